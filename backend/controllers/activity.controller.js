@@ -12,6 +12,7 @@ const activityService = require('../services/activity.services');
  * - starsAwarded: Number (optional, default: 15)
  * - badgeAwarded: String (optional) - Badge ID
  * - tags: JSON String (optional) - Array of tag strings
+ * - skills: JSON String (optional) - Array of skill IDs
  * - isPublished: Boolean (optional, default: false)
  * - scormFile: File (required) - SCORM ZIP file
  * - coverImage: File (optional) - Cover image for the activity
@@ -36,10 +37,14 @@ const createActivity = async (req, res) => {
       data: activity,
     });
   } catch (error) {
-    const statusCode = error.message.includes('Invalid') || error.message.includes('required') ? 400 : 500;
+    const statusCode =
+      error.statusCode ||
+      (error.message.includes('Invalid') || error.message.includes('required') ? 400 : 500);
     res.status(statusCode).json({
       success: false,
       message: error.message || 'Failed to create activity',
+      // SCORM package problems (path traversal, file types, size limits, ...)
+      validationReport: error.validationReport,
     });
   }
 };
@@ -125,6 +130,7 @@ const getActivityById = async (req, res) => {
  * - description: String (optional)
  * - starsAwarded: Number (optional)
  * - isPublished: Boolean (optional)
+ * - skills: JSON String (optional) - Array of skill IDs, replaces the list
  * - coverImage: File (optional) - New cover image
  */
 const updateActivity = async (req, res) => {
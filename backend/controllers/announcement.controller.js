@@ -0,0 +1,203 @@
+const announcementService = require('../services/announcement.service');
+
+/**
+ * Build the viewer for feed/read requests
+ * A child session always reads as its child; /child/:childId routes read as that child
+ * @param {Object} req - Express request
+ * @returns {Object} { user, childId }
+ */
+const getViewer = (req) => ({
+  user: req.user,
+  childId: req.params.childId || req.childSession?.childId || null,
+});
+
+/**
+ * @desc    Create an announcement
+ * @route   POST /api/announcements
+ * @access  Private (Admin only)
+ *
+ * Body: title, message, targetAudience (all|parents|children|teachers|admins, array),
+ * priority (low|normal|high|urgent), displayAs (banner|modal), publishDate, expiryDate, isPublished
+ */
+const createAnnouncement = async (req, res) => {
+  try {
+    const announcement = await announcementService.createAnnouncement(req.user._id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Announcement created successfully',
+      data: announcement,
+    });
+  } catch (error) {
+    console.error('Error creating announcement:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to create announcement',
+    });
+  }
+};
+
+/**
+ * @desc    Get all announcements
+ * @route   GET /api/announcements
+ * @access  Private (Admin only)
+ *
+ * Query parameters:
+ * - status (draft|scheduled|active|expired), audience, priority, search, page, limit
+ */
+const getAnnouncements = async (req, res) => {
+  try {
+    const { status, audience, priority, search, page, limit } = req.query;
+    const result = await announcementService.getAnnouncements(
+      { status, audience, priority, search },
+      { page, limit }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Announcements retrieved successfully',
+      data: result.announcements,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error('Error getting announcements:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to retrieve announcements',
+    });
+  }
+};
+
+/**
+ * @desc    Get an announcement
+ * @route   GET /api/announcements/:id
+ * @access  Private (Admin only)
+ */
+const getAnnouncementById = async (req, res) => {
+  try {
+    const announcement = await announcementService.getAnnouncementById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Announcement retrieved successfully',
+      data: announcement,
+    });
+  } catch (error) {
+    console.error('Error getting announcement:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to retrieve announcement',
+    });
+  }
+};
+
+/**
+ * @desc    Update an announcement
+ * @route   PUT /api/announcements/:id
+ * @access  Private (Admin only)
+ */
+const updateAnnouncement = async (req, res) => {
+  try {
+    const announcement = await announcementService.updateAnnouncement(req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Announcement updated successfully',
+      data: announcement,
+    });
+  } catch (error) {
+    console.error('Error updating announcement:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to update announcement',
+    });
+  }
+};
+
+/**
+ * @desc    Delete an announcement
+ * @route   DELETE /api/announcements/:id
+ * @access  Private (Admin only)
+ */
+const deleteAnnouncement = async (req, res) => {
+  try {
+    await announcementService.deleteAnnouncement(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Announcement deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting announcement:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to delete announcement',
+    });
+  }
+};
+
+/**
+ * @desc    Get the live announcements for the current user (or child)
+ * @route   GET /api/announcements/feed
+ * @route   GET /api/announcements/child/:childId/feed
+ * @access  Private (Parent, Teacher, Admin; child session reads as its child)
+ *
+ * Query parameters:
+ * - unreadOnly: 'true' to skip read announcements
+ * - limit: Max announcements (default: 20)
+ */
+const getFeed = async (req, res) => {
+  try {
+    const feed = await announcementService.getFeed(getViewer(req), {
+      unreadOnly: req.query.unreadOnly === 'true',
+      limit: req.query.limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Announcements retrieved successfully',
+      data: feed.announcements,
+      unreadCount: feed.unreadCount,
+    });
+  } catch (error) {
+    console.error('Error getting announcement feed:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to retrieve announcements',
+    });
+  }
+};
+
+/**
+ * @desc    Mark an announcement as read
+ * @route   POST /api/announcements/:id/read
+ * @route   POST /api/announcements/:id/read/child/:childId
+ * @access  Private (Parent, Teacher, Admin; child session reads as its child)
+ */
+const markAsRead = async (req, res) => {
+  try {
+    const receipt = await announcementService.markAsRead(req.params.id, getViewer(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Announcement marked as read',
+      data: receipt,
+    });
+  } catch (error) {
+    console.error('Error marking announcement as read:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to mark announcement as read',
+    });
+  }
+};
+
+module.exports = {
+  createAnnouncement,
+  getAnnouncements,
+  getAnnouncementById,
+  updateAnnouncement,
+  deleteAnnouncement,
+  getFeed,
+  markAsRead,
+};
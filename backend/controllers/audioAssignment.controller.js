@@ -11,9 +11,12 @@ const audioAssignmentService = require('../services/audioAssignment.services');
  * - instructions: String (required)
  * - estimatedDuration: Number (optional) - in minutes
  * - starsAwarded: Number (optional, default: 10)
+ * - minSimilarityScore: Number (optional) - 0-100 match with the reference audio required for recordings
  * - isStarAssignment: Boolean (optional, default: false)
  * - badgeAwarded: String (optional) - Badge ID
  * - tags: JSON String (optional) - Array of tag strings
+ * - skills: JSON String (optional) - Array of skill IDs
+ * - rubric: JSON String (optional) - [{ key, label, description, maxScore, weight }]
  * - isPublished: Boolean (optional, default: false)
  * - referenceAudio: File (optional) - Reference/example audio file
  * - instructionVideo: File (optional) - Instruction video played while child records
@@ -129,8 +132,11 @@ const getAudioAssignmentById = async (req, res) => {
  * - instructions: String (optional)
  * - estimatedDuration: Number (optional)
  * - starsAwarded: Number (optional)
+ * - minSimilarityScore: Number|'' (optional) - '' removes the minimum
  * - isStarAssignment: Boolean (optional)
+ * - rubric: JSON String (optional) - Replaces the review rubric
  * - isPublished: Boolean (optional)
+ * - skills: JSON String (optional) - Array of skill IDs, replaces the list
  * - coverImage: File (optional) - New cover image
  * - instructionVideo: File (optional) - New instruction video
  */
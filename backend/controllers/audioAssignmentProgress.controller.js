@@ -80,6 +80,10 @@ const getAudioAssignmentProgressForChild = async (req, res) => {
  * @route   POST /api/audio-assignments/:id/child/:childId/submit
  * @access  Private (Parent/Admin)
  *
+ * The recording is scored against the reference audio first; below the
+ * assignment's minimum score it comes back as "rejected" instead of being
+ * queued for review.
+ *
  * Request (multipart/form-data):
  * - recordedAudio: File (required) - child's recording
  * - timeSpent: Number (optional) - seconds
@@ -111,7 +115,9 @@ const submitAudioAssignmentForChild = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Audio assignment submitted successfully',
+      message: progress.status === 'rejected'
+        ? 'Recording saved, but it did not match the example closely enough to send for review'
+        : 'Audio assignment submitted successfully',
       data: progress,
     });
   } catch (error) {
@@ -155,13 +161,16 @@ const listAudioAssignmentSubmissions = async (req, res) => {
  * Request body:
  * {
  *   "decision": "approved" | "rejected",
- *   "feedback": "string (optional)"
+ *   "feedback": "string (optional)",
+ *   "scores": [{ "criterion": "pronunciation", "score": 4, "comment": "..." }]
+ *             (required to approve when the assignment has a rubric),
+ *   "comments": [{ "at": 12.5, "text": "Listen to the 'th' here" }] (optional, seconds)
  * }
  */
 const reviewAudioAssignmentSubmission = async (req, res) => {
   try {
     const { id: audioAssignmentId, childId } = req.params;
-    const { decision, feedback } = req.body || {};
+    const { decision, feedback, scores, comments } = req.body || {};
 
     const reviewed = await audioAssignmentProgressService.reviewAudioAssignmentSubmission({
       childId,
@@ -169,6 +178,8 @@ const reviewAudioAssignmentSubmission = async (req, res) => {
       reviewerUserId: req.user._id,
       decision,
       feedback,
+      scores,
+      comments,
     });
 
     res.status(200).json({
@@ -177,7 +188,8 @@ const reviewAudioAssignmentSubmission = async (req, res) => {
       data: reviewed,
     });
   } catch (error) {
-    const statusCode = error.message.includes('Invalid') ? 400 : (error.message.includes('not found') ? 404 : 500);
+    const statusCode = error.statusCode ||
+      (error.message.includes('Invalid') ? 400 : (error.message.includes('not found') ? 404 : 500));
     res.status(statusCode).json({
       success: false,
       message: error.message || 'Failed to review submission',
@@ -276,6 +276,149 @@ const changePassword = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Request a password reset email
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * 
+ * Request body:
+ * {
+ *   "email": "john@example.com"
+ * }
+ * 
+ * Always responds with the same message whether or not the account exists
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email',
+      });
+    }
+
+    const result = await authService.requestPasswordReset(email);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to send password reset email',
+    });
+  }
+};
+
+/**
+ * @desc    Reset password with an emailed token
+ * @route   POST /api/auth/reset-password
+ * @access  Public
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * 
+ * Request body:
+ * {
+ *   "token": "<token from the email link>",
+ *   "password": "newPassword123"
+ * }
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide token and new password',
+      });
+    }
+
+    const result = await authService.resetPassword(token, password);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to reset password',
+    });
+  }
+};
+
+/**
+ * @desc    Verify email address with an emailed token
+ * @route   POST /api/auth/verify-email
+ * @access  Public
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * 
+ * Request body:
+ * {
+ *   "token": "<token from the email link>"
+ * }
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required',
+      });
+    }
+
+    const user = await authService.verifyEmail(token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      data: { user },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to verify email',
+    });
+  }
+};
+
+/**
+ * @desc    Resend the email verification link to the current user
+ * @route   POST /api/auth/resend-verification
+ * @access  Private
+ * 
+ * @param {Object} req - Express request object (must have req.user from protect middleware)
+ * @param {Object} res - Express response object
+ */
+const resendVerification = async (req, res) => {
+  try {
+    const result = await authService.sendVerificationEmail(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to send verification email',
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
@@ -283,5 +426,9 @@ module.exports = {
   logout,
   updateProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
 };
 
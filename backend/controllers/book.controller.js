@@ -16,6 +16,7 @@ const bookService = require('../services/book.services');
  * - totalStarsAwarded: Number (optional, default: 50)
  * - badgeAwarded: String (optional) - Badge ID
  * - tags: JSON String (optional) - Array of tag strings
+ * - skills: JSON String (optional) - Array of skill IDs
  * - isPublished: Boolean (optional, default: false)
  * - scormFile: File (required) - SCORM ZIP file
  * - coverImage: File (optional) - Cover image for the book
@@ -40,10 +41,14 @@ const createBook = async (req, res) => {
       data: book,
     });
   } catch (error) {
-    const statusCode = error.message.includes('Invalid') || error.message.includes('required') ? 400 : 500;
+    const statusCode =
+      error.statusCode ||
+      (error.message.includes('Invalid') || error.message.includes('required') ? 400 : 500);
     res.status(statusCode).json({
       success: false,
       message: error.message || 'Failed to create book',
+      // SCORM package problems (path traversal, file types, size limits, ...)
+      validationReport: error.validationReport,
     });
   }
 };
@@ -135,6 +140,7 @@ const getBookById = async (req, res) => {
  * - starsPerReading: Number (optional)
  * - totalStarsAwarded: Number (optional)
  * - isPublished: Boolean (optional)
+ * - skills: JSON String (optional) - Array of skill IDs, replaces the list
  * - coverImage: File (optional) - New cover image
  */
 const updateBook = async (req, res) => {
@@ -11,8 +11,10 @@ const chantService = require('../services/chant.services');
  * - instructions: String (optional)
  * - estimatedDuration: Number (optional) - in minutes
  * - starsAwarded: Number (optional, default: 10)
+ * - minSimilarityScore: Number (optional) - 0-100 match with the reference audio required for recordings
  * - badgeAwarded: String (optional) - Badge ID
  * - tags: JSON String (optional) - Array of tag strings
+ * - skills: JSON String (optional) - Array of skill IDs
  * - isPublished: Boolean (optional, default: false)
  * - audio: File (optional) - Audio file
  * - instructionVideo: File (optional) - Instruction video played while child records
@@ -39,10 +41,14 @@ const createChant = async (req, res) => {
       data: chant,
     });
   } catch (error) {
-    const statusCode = error.message.includes('Invalid') || error.message.includes('required') ? 400 : 500;
+    const statusCode =
+      error.statusCode ||
+      (error.message.includes('Invalid') || error.message.includes('required') ? 400 : 500);
     res.status(statusCode).json({
       success: false,
       message: error.message || 'Failed to create chant',
+      // SCORM package problems (path traversal, file types, size limits, ...)
+      validationReport: error.validationReport,
     });
   }
 };
@@ -128,6 +134,8 @@ const getChantById = async (req, res) => {
  * - instructions: String (optional)
  * - estimatedDuration: Number (optional) - in minutes
  * - starsAwarded: Number (optional)
+ * - minSimilarityScore: Number|'' (optional) - '' removes the minimum
+ * - skills: JSON String (optional) - Array of skill IDs, replaces the list
  * - coverImage: File (optional) - New cover image/thumbnail
  * - instructionVideo: File (optional) - New instruction video
  */
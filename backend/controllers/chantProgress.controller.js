@@ -74,6 +74,9 @@ const getChantProgressForChild = async (req, res) => {
  * @route   POST /api/chants/:id/child/:childId/complete
  * @access  Private (Parent/Admin)
  *
+ * The recording is scored against the reference audio (data.analysis). Below the
+ * chant's minimum score the chant stays in progress and no stars are awarded.
+ *
  * Request (multipart/form-data):
  * - recordedAudio: File (required)
  * - timeSpent: Number (optional) - seconds
@@ -105,7 +108,9 @@ const completeChantForChild = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Chant completed successfully',
+      message: progress.analysis?.passed === false
+        ? 'Recording saved, but it did not match the chant closely enough yet'
+        : 'Chant completed successfully',
       data: progress,
     });
   } catch (error) {
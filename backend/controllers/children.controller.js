@@ -268,6 +268,83 @@ const getChildProfile = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Set or replace child's PIN
+ * @route   PUT /api/children/:id/pin
+ * @access  Private (Parent only)
+ * 
+ * Request body:
+ * { "pin": "1234" }
+ */
+const setChildPin = async (req, res) => {
+  try {
+    const result = await childrenService.setChildPin(req.params.id, req.user._id, req.body.pin);
+
+    res.status(200).json({
+      success: true,
+      message: 'Child PIN saved successfully',
+      data: result,
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to save child PIN',
+    });
+  }
+};
+
+/**
+ * @desc    Remove child's PIN
+ * @route   DELETE /api/children/:id/pin
+ * @access  Private (Parent only)
+ */
+const removeChildPin = async (req, res) => {
+  try {
+    const result = await childrenService.removeChildPin(req.params.id, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Child PIN removed successfully',
+      data: result,
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to remove child PIN',
+    });
+  }
+};
+
+/**
+ * @desc    Start a child session (issue child-scoped token)
+ * @route   POST /api/children/:id/session
+ * @access  Private (Parent only, not from a child session)
+ * 
+ * Request body:
+ * { "pin": "1234" }   // required only if the child has a PIN
+ */
+const startChildSession = async (req, res) => {
+  try {
+    const result = await childrenService.startChildSession(req.params.id, req.user._id, req.body.pin);
+
+    res.status(200).json({
+      success: true,
+      message: 'Child session started',
+      data: result,
+    });
+  } catch (error) {
+    let statusCode = 400;
+    if (error.message.includes('not found')) statusCode = 404;
+    if (error.message.includes('PIN')) statusCode = 401;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to start child session',
+    });
+  }
+};
+
 module.exports = {
   getAllChildren,
   getChildById,
@@ -276,5 +353,8 @@ module.exports = {
   deleteChild,
   restoreChild,
   getChildProfile,
+  setChildPin,
+  removeChildPin,
+  startChildSession,
 };
 
@@ -0,0 +1,364 @@
+const classroomService = require('../services/classroom.service');
+
+/**
+ * @desc    Get the teacher dashboard
+ * @route   GET /api/classrooms/dashboard
+ * @access  Private (Teacher, Admin)
+ *
+ * Class progress, recordings waiting for review from the teacher's children
+ * and upcoming meetings
+ */
+const getTeacherDashboard = async (req, res) => {
+  try {
+    const result = await classroomService.getTeacherDashboard(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Teacher dashboard retrieved successfully',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error getting teacher dashboard:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to retrieve teacher dashboard',
+    });
+  }
+};
+
+/**
+ * @desc    Create a classroom
+ * @route   POST /api/classrooms
+ * @access  Private (Teacher, Admin)
+ *
+ * Body: name, description, teacherId (admin only; defaults to the current user)
+ */
+const createClassroom = async (req, res) => {
+  try {
+    const result = await classroomService.createClassroom(req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Classroom created successfully',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error creating classroom:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to create classroom',
+    });
+  }
+};
+
+/**
+ * @desc    Get classrooms
+ * @route   GET /api/classrooms
+ * @access  Private (Teacher, Admin)
+ *
+ * Teachers get their own classrooms; admins get all (?teacherId to filter)
+ * Query parameters: includeArchived (true|false), teacherId
+ */
+const getClassrooms = async (req, res) => {
+  try {
+    const result = await classroomService.getClassrooms(req.user, {
+      includeArchived: req.query.includeArchived,
+      teacherId: req.query.teacherId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Classrooms retrieved successfully',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error getting classrooms:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to retrieve classrooms',
+    });
+  }
+};
+
+/**
+ * @desc    Get a classroom with its roster and courses
+ * @route   GET /api/classrooms/:id
+ * @access  Private (Teacher who owns it, Admin)
+ */
+const getClassroomById = async (req, res) => {
+  try {
+    const result = await classroomService.getClassroomById(req.user, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Classroom retrieved successfully',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error getting classroom:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to retrieve classroom',
+    });
+  }
+};
+
+/**
+ * @desc    Update a classroom
+ * @route   PUT /api/classrooms/:id
+ * @access  Private (Teacher who owns it, Admin)
+ *
+ * Body: name, description, isJoinOpen, isArchived
+ */
+const updateClassroom = async (req, res) => {
+  try {
+    const result = await classroomService.updateClassroom(req.user, req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Classroom updated successfully',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error updating classroom:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to update classroom',
+    });
+  }
+};
+
+/**
+ * @desc    Archive a classroom
+ * @route   DELETE /api/classrooms/:id
+ * @access  Private (Teacher who owns it, Admin)
+ */
+const archiveClassroom = async (req, res) => {
+  try {
+    const result = await classroomService.archiveClassroom(req.user, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Classroom archived successfully',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error archiving classroom:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to archive classroom',
+    });
+  }
+};
+
+/**
+ * @desc    Regenerate the invite code
+ * @route   POST /api/classrooms/:id/invite-code
+ * @access  Private (Teacher who owns it, Admin)
+ *
+ * The previous invite code stops working
+ */
+const regenerateInviteCode = async (req, res) => {
+  try {
+    const result = await classroomService.regenerateInviteCode(req.user, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite code regenerated successfully',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error regenerating invite code:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to regenerate invite code',
+    });
+  }
+};
+
+/**
+ * @desc    Remove a child from a classroom
+ * @route   DELETE /api/classrooms/:id/members/:childId
+ * @access  Private (Teacher who owns it, Admin)
+ */
+const removeMember = async (req, res) => {
+  try {
+    const result = await classroomService.removeMember(req.user, req.params.id, req.params.childId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Child removed from classroom',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error removing classroom member:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to remove child from classroom',
+    });
+  }
+};
+
+/**
+ * @desc    Assign a course to a classroom
+ * @route   POST /api/classrooms/:id/courses
+ * @access  Private (Teacher who owns it, Admin)
+ *
+ * Body: courseId, dueDate (optional)
+ * Starts the course for every child in the class; assigning again updates the due date
+ */
+const assignCourse = async (req, res) => {
+  try {
+    const result = await classroomService.assignCourse(req.user, req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Course assigned to classroom',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error assigning course to classroom:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to assign course',
+    });
+  }
+};
+
+/**
+ * @desc    Remove a course from a classroom
+ * @route   DELETE /api/classrooms/:id/courses/:courseId
+ * @access  Private (Teacher who owns it, Admin)
+ *
+ * Children keep their progress on the course
+ */
+const unassignCourse = async (req, res) => {
+  try {
+    const result = await classroomService.unassignCourse(req.user, req.params.id, req.params.courseId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Course removed from classroom',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error removing course from classroom:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to remove course',
+    });
+  }
+};
+
+/**
+ * @desc    Get classroom progress
+ * @route   GET /api/classrooms/:id/progress
+ * @access  Private (Teacher who owns it, Admin)
+ *
+ * Per-course averages and per-child progress on each assigned course
+ */
+const getClassroomProgress = async (req, res) => {
+  try {
+    const result = await classroomService.getClassroomProgress(req.user, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Classroom progress retrieved successfully',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error getting classroom progress:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to retrieve classroom progress',
+    });
+  }
+};
+
+/**
+ * @desc    Get a child's classrooms
+ * @route   GET /api/classrooms/child/:childId
+ * @access  Private (Parent/child session, Admin)
+ */
+const getChildClassrooms = async (req, res) => {
+  try {
+    const result = await classroomService.getChildClassrooms(req.params.childId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Child classrooms retrieved successfully',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error getting child classrooms:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to retrieve child classrooms',
+    });
+  }
+};
+
+/**
+ * @desc    Add a child to a classroom with an invite code
+ * @route   POST /api/classrooms/child/:childId/join
+ * @access  Private (Parent, Admin)
+ *
+ * Body: inviteCode
+ * Entering the code is the parent's consent for the child to join the class
+ */
+const joinClassroom = async (req, res) => {
+  try {
+    const result = await classroomService.joinClassroom(req.user, req.params.childId, req.body.inviteCode);
+
+    res.status(200).json({
+      success: true,
+      message: 'Child joined the classroom',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error joining classroom:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to join classroom',
+    });
+  }
+};
+
+/**
+ * @desc    Take a child out of a classroom
+ * @route   DELETE /api/classrooms/child/:childId/:id
+ * @access  Private (Parent, Admin)
+ */
+const leaveClassroom = async (req, res) => {
+  try {
+    await classroomService.leaveClassroom(req.params.childId, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Child left the classroom',
+    });
+  } catch (error) {
+    console.error('Error leaving classroom:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to leave classroom',
+    });
+  }
+};
+
+module.exports = {
+  getTeacherDashboard,
+  createClassroom,
+  getClassrooms,
+  getClassroomById,
+  updateClassroom,
+  archiveClassroom,
+  regenerateInviteCode,
+  removeMember,
+  assignCourse,
+  unassignCourse,
+  getClassroomProgress,
+  getChildClassrooms,
+  joinClassroom,
+  leaveClassroom,
+};
@@ -0,0 +1,114 @@
+const cmi5Service = require('../services/cmi5.service');
+
+/**
+ * @desc    Import a cmi5 package into a course (every AU becomes a course content item)
+ * @route   POST /api/cmi5/import
+ * @access  Private (Admin/Teacher only)
+ *
+ * Request body (multipart/form-data):
+ * - cmi5File: cmi5 package ZIP (required, cmi5.xml at the root)
+ * - courseId: Course to add the AUs to (required)
+ * - step: Step number for the AUs (optional, default: new step after the last one)
+ * - starsAwarded: Stars per AU (optional, default: 15)
+ */
+const importPackage = async (req, res) => {
+  try {
+    const { courseId, step, starsAwarded } = req.body;
+
+    if (!courseId) {
+      return res.status(400).json({
+        success: false,
+        message: 'courseId is required',
+      });
+    }
+
+    const result = await cmi5Service.importCmi5Package({
+      file: req.file,
+      courseId,
+      step,
+      starsAwarded,
+      userId: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${result.aus.length} AU(s) from cmi5 package`,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error importing cmi5 package:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to import cmi5 package',
+      // Package problems (path traversal, file types, size limits, ...)
+      validationReport: error.validationReport,
+    });
+  }
+};
+
+/**
+ * @desc    Launch an AU for a child
+ * @route   GET /api/cmi5/:auId/launch/child/:childId?courseId=<id>
+ * @access  Private (Parent/child session for own children, Admin)
+ *
+ * Response data: { launchUrl, launchMethod, registration, sessionId }
+ */
+const launchAu = async (req, res) => {
+  try {
+    const data = await cmi5Service.launchAu({
+      auId: req.params.auId,
+      childId: req.params.childId,
+      courseId: req.query.courseId,
+      baseUrl: `${req.protocol}://${req.get('host')}`,
+      requester: { user: req.user, childId: req.childSession?.childId },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'AU launch URL created',
+      data,
+    });
+  } catch (error) {
+    console.error('Error launching cmi5 AU:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to launch AU',
+    });
+  }
+};
+
+/**
+ * @desc    Exchange the launch fetch token for LRS credentials (cmi5 fetch URL)
+ * @route   POST /api/cmi5/fetch/:token
+ * @access  Public (the single-use token is the credential)
+ *
+ * Response (cmi5 spec): { "auth-token": "..." } or { "error-code": "1"|"2", "error-text": "..." }
+ */
+const fetchAuthToken = async (req, res) => {
+  try {
+    const result = await cmi5Service.fetchAuthToken(req.params.token);
+
+    if (result.errorCode) {
+      return res.status(200).json({
+        'error-code': result.errorCode,
+        'error-text': result.errorText,
+      });
+    }
+
+    res.status(200).json({ 'auth-token': result.authToken });
+  } catch (error) {
+    console.error('Error fetching cmi5 auth token:', error);
+    res.status(200).json({
+      'error-code': '3',
+      'error-text': 'Could not create the auth token',
+    });
+  }
+};
+
+module.exports = {
+  importPackage,
+  launchAu,
+  fetchAuthToken,
+};
@@ -0,0 +1,178 @@
+const courseAssignmentService = require('../services/courseAssignment.service');
+
+/**
+ * @desc    Get the courses that can be assigned (published, not archived)
+ * @route   GET /api/course-assignments/courses
+ * @access  Private (Parent, Teacher, Admin)
+ */
+const getAssignableCourses = async (req, res) => {
+  try {
+    const courses = await courseAssignmentService.getAssignableCourses();
+
+    res.status(200).json({
+      success: true,
+      message: 'Assignable courses retrieved successfully',
+      data: courses,
+    });
+  } catch (error) {
+    console.error('Error getting assignable courses:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to retrieve assignable courses',
+    });
+  }
+};
+
+/**
+ * @desc    Get a child's course assignments and their history
+ * @route   GET /api/course-assignments/child/:childId
+ * @access  Private (Parent for own children, Teacher for children in their classrooms, Admin)
+ *
+ * Response data: assignments [{ _id, course, status, order, targetDate, overrideLocks,
+ * assignedBy, assignedByRole, assignedAt, progress, isOverdue }],
+ * history [{ course, action, by, byRole, at, details }] (newest first)
+ */
+const getChildAssignments = async (req, res) => {
+  try {
+    const result = await courseAssignmentService.getChildAssignments(req.user, req.params.childId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Course assignments retrieved successfully',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error getting course assignments:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to retrieve course assignments',
+    });
+  }
+};
+
+/**
+ * @desc    Assign a course to a child
+ * @route   POST /api/course-assignments/child/:childId
+ * @access  Private (Parent for own children, Teacher for children in their classrooms, Admin)
+ *
+ * Body:
+ * - courseId: String (required) - Published course
+ * - targetDate: Date (optional) - Target completion date
+ * - overrideLocks: Boolean (optional) - Open the course even if prerequisites are not completed
+ */
+const assignCourse = async (req, res) => {
+  try {
+    const result = await courseAssignmentService.assignCourse(req.user, req.params.childId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Course assigned successfully',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error assigning course:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to assign course',
+    });
+  }
+};
+
+/**
+ * @desc    Reorder a child's assigned courses
+ * @route   PUT /api/course-assignments/child/:childId/order
+ * @access  Private (Parent for own children, Teacher for children in their classrooms, Admin)
+ *
+ * Body:
+ * - courseIds: Array (required) - Every assigned course ID, in the new order
+ */
+const reorderAssignments = async (req, res) => {
+  try {
+    const result = await courseAssignmentService.reorderAssignments(
+      req.user,
+      req.params.childId,
+      req.body.courseIds
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Assigned courses reordered successfully',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error reordering course assignments:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to reorder assigned courses',
+    });
+  }
+};
+
+/**
+ * @desc    Update a course assignment
+ * @route   PATCH /api/course-assignments/child/:childId/:courseId
+ * @access  Private (Parent for own children, Teacher for children in their classrooms, Admin)
+ *
+ * Body (all optional):
+ * - status: 'active' | 'paused'
+ * - targetDate: Date or null to clear
+ * - overrideLocks: Boolean
+ */
+const updateAssignment = async (req, res) => {
+  try {
+    const result = await courseAssignmentService.updateAssignment(
+      req.user,
+      req.params.childId,
+      req.params.courseId,
+      req.body
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Course assignment updated successfully',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error updating course assignment:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to update course assignment',
+    });
+  }
+};
+
+/**
+ * @desc    Unassign a course from a child (progress is kept)
+ * @route   DELETE /api/course-assignments/child/:childId/:courseId
+ * @access  Private (Parent for own children, Teacher for children in their classrooms, Admin)
+ */
+const unassignCourse = async (req, res) => {
+  try {
+    const result = await courseAssignmentService.unassignCourse(
+      req.user,
+      req.params.childId,
+      req.params.courseId
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Course unassigned successfully',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error unassigning course:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to unassign course',
+    });
+  }
+};
+
+module.exports = {
+  getAssignableCourses,
+  getChildAssignments,
+  assignCourse,
+  reorderAssignments,
+  updateAssignment,
+  unassignCourse,
+};
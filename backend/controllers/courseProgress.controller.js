@@ -1,4 +1,5 @@
 const courseProgressService = require('../services/courseProgress.services');
+const xapiService = require('../services/xapi.service');
 const { ChildProfile, Book, BookReading, ChildStats, StarEarning, CourseProgress, Course } = require('../models');
 
 /**
@@ -522,6 +523,19 @@ const submitBookCompletion = async (req, res) => {
 
         console.log(`[Book Completion] Request ${requestId} - ✅ BookReading created:`, newReading._id.toString());
 
+        await xapiService.recordLearningEvent({
+          childId,
+          verb: 'read',
+          contentType: 'book',
+          contentId: bookId,
+          title: book.title,
+          courseId,
+          result: {
+            completion: true,
+            duration: xapiService.secondsToDuration(parsedTimeSpent),
+          },
+        });
+
         readingCount = await BookReading.getCompletedReadingCount(childId, bookId);
         console.log(`[Book Completion] Request ${requestId} - ✅ New reading count:`, readingCount);
       }
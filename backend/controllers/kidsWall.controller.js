@@ -1,4 +1,5 @@
 const kidsWallService = require('../services/kidsWall.service');
+const storageService = require('../services/storage.service');
 const { ChildProfile } = require('../models');
 
 /**
@@ -179,8 +180,7 @@ const createPost = async (req, res) => {
     // Clean up uploaded file if post creation failed
     if (req.file && req.file.path) {
       try {
-        const fs = require('fs-extra');
-        await fs.remove(req.file.path);
+        await storageService.removeFile(req.file.storageKey || req.file.path);
       } catch (cleanupError) {
         console.error('Error cleaning up uploaded file:', cleanupError);
       }
@@ -252,8 +252,7 @@ const updatePost = async (req, res) => {
     // Clean up uploaded file if update failed
     if (req.file && req.file.path) {
       try {
-        const fs = require('fs-extra');
-        await fs.remove(req.file.path);
+        await storageService.removeFile(req.file.storageKey || req.file.path);
       } catch (cleanupError) {
         console.error('Error cleaning up uploaded file:', cleanupError);
       }
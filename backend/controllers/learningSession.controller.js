@@ -0,0 +1,121 @@
+const learningSessionService = require('../services/learningSession.service');
+
+/**
+ * @desc    Start a learning session when a player opens
+ * @route   POST /api/learning-sessions/child/:childId
+ * @access  Private (Parent/child session for own children, Admin)
+ *
+ * Body: { contentType, contentId, courseId? }
+ * Response data: { sessionId, heartbeatInterval, idleTimeout } (seconds)
+ */
+const startSession = async (req, res) => {
+  try {
+    const session = await learningSessionService.startSession(req.params.childId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Learning session started',
+      data: session,
+    });
+  } catch (error) {
+    console.error('Error starting learning session:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to start learning session',
+    });
+  }
+};
+
+/**
+ * @desc    Record a learning session heartbeat
+ * @route   POST /api/learning-sessions/child/:childId/:sessionId/heartbeat
+ * @access  Private (Parent/child session for own children, Admin)
+ *
+ * Body: { idle?, activeSeconds? }
+ * 409 when the session has ended or expired (the player starts a new one)
+ */
+const recordHeartbeat = async (req, res) => {
+  try {
+    const result = await learningSessionService.recordHeartbeat(
+      req.params.childId,
+      req.params.sessionId,
+      req.body
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Heartbeat recorded',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error recording learning session heartbeat:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to record heartbeat',
+    });
+  }
+};
+
+/**
+ * @desc    End a learning session when a player closes
+ * @route   POST /api/learning-sessions/child/:childId/:sessionId/end
+ * @access  Private (Parent/child session for own children, Admin)
+ *
+ * Body: { idle?, activeSeconds? }
+ */
+const endSession = async (req, res) => {
+  try {
+    const result = await learningSessionService.endSession(
+      req.params.childId,
+      req.params.sessionId,
+      req.body
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Learning session ended',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error ending learning session:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to end learning session',
+    });
+  }
+};
+
+/**
+ * @desc    Get a child's learning time (total and per day)
+ * @route   GET /api/learning-sessions/child/:childId/summary
+ * @access  Private (Parent/child session for own children, Admin)
+ *
+ * Query params:
+ * - days: Days in the range ending today (default: 7, max: 90)
+ */
+const getLearningTimeSummary = async (req, res) => {
+  try {
+    const summary = await learningSessionService.getLearningTimeSummary(req.params.childId, {
+      days: req.query.days,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Learning time retrieved successfully',
+      data: summary,
+    });
+  } catch (error) {
+    console.error('Error getting learning time summary:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to get learning time',
+    });
+  }
+};
+
+module.exports = {
+  startSession,
+  recordHeartbeat,
+  endSession,
+  getLearningTimeSummary,
+};
@@ -0,0 +1,180 @@
+const path = require('path');
+const mediaAccessService = require('../services/mediaAccess.service');
+const storageService = require('../services/storage.service');
+
+const MEDIA_CACHE_HEADERS = {
+  'Cache-Control': 'private, max-age=300',
+  'X-Content-Type-Options': 'nosniff',
+};
+
+/**
+ * Stream a file from a remote storage driver, honouring a single Range
+ */
+const streamStoredFile = async (req, res, key) => {
+  // key is already normalized relative to uploads/, so it goes to the driver as is
+  const stat = await storageService.getStorageDriver().stat(key);
+  if (!stat) {
+    return res.status(404).json({ success: false, message: 'Media file not found' });
+  }
+
+  const ranges = req.range(stat.size);
+  if (ranges === -1) {
+    res.set('Content-Range', `bytes */${stat.size}`);
+    return res.status(416).end();
+  }
+  const range = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1 ? ranges[0] : null;
+
+  res.set(MEDIA_CACHE_HEADERS);
+  res.set('Accept-Ranges', 'bytes');
+  res.type(stat.contentType || path.extname(key) || 'application/octet-stream');
+  if (stat.lastModified) res.set('Last-Modified', new Date(stat.lastModified).toUTCString());
+
+  if (range) {
+    res.status(206);
+    res.set('Content-Range', `bytes ${range.start}-${range.end}/${stat.size}`);
+    res.set('Content-Length', String(range.end - range.start + 1));
+  } else {
+    res.status(200);
+    res.set('Content-Length', String(stat.size));
+  }
+  if (req.method === 'HEAD') return res.end();
+
+  const stream = await storageService.createReadStream(key, range || undefined);
+  stream.on('error', (error) => {
+    console.error('Error streaming media file:', error.message);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+  return undefined;
+};
+
+/**
+ * @desc    Get a short-lived signed URL for an uploaded file
+ * @route   GET /api/media/access?path=/uploads/...
+ * @access  Private (children's recordings: the child, their parent, admin/teacher;
+ *          Kids Wall: the posting family, everyone once approved; other content: subscribers)
+ *
+ * Response data: url (relative to the API origin), expiresAt (null for public files)
+ */
+const getMediaAccess = async (req, res) => {
+  try {
+    const { path: mediaPath } = req.query;
+    if (!mediaPath) {
+      return res.status(400).json({
+        success: false,
+        message: 'path query parameter is required',
+      });
+    }
+
+    const access = await mediaAccessService.getMediaAccessUrl(
+      { user: req.user, childId: req.childSession?.childId },
+      mediaPath
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Media URL created successfully',
+      data: access,
+    });
+  } catch (error) {
+    console.error('Error creating media URL:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to create media URL',
+    });
+  }
+};
+
+/**
+ * @desc    Serve an uploaded file through a signed URL
+ * @route   GET /api/media/files/:token/*
+ * @access  Public (the signed token is the credential)
+ *
+ * Range requests are supported, so audio and video can seek. Files are read
+ * from the storage driver (sendFile for local disk, streamed for S3).
+ */
+const serveMediaFile = (req, res) => {
+  let relativePath;
+  try {
+    relativePath = mediaAccessService.normalizeUploadPath(req.params[0]);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  }
+
+  const absolutePath = mediaAccessService.resolveUploadPath(relativePath);
+  if (!absolutePath || !mediaAccessService.verifySignedPath(req.params.token, relativePath)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Media link is invalid or has expired',
+    });
+  }
+
+  if (!storageService.getStorageDriver().isLocal) {
+    streamStoredFile(req, res, relativePath).catch((error) => {
+      console.error('Error serving media file:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ success: false, message: 'Failed to serve media file' });
+      }
+    });
+    return;
+  }
+
+  res.sendFile(
+    absolutePath,
+    {
+      acceptRanges: true,
+      dotfiles: 'deny',
+      headers: MEDIA_CACHE_HEADERS,
+    },
+    (error) => {
+      if (!error || res.headersSent) return;
+      const notFound = error.code === 'ENOENT' || error.status === 404;
+      res.status(notFound ? 404 : error.status || 500).json({
+        success: false,
+        message: notFound ? 'Media file not found' : 'Failed to serve media file',
+      });
+    }
+  );
+};
+
+/**
+ * @desc    Serve public uploads (cover images, badges, rewards, video posters)
+ * @route   GET /uploads/*
+ * @access  Public
+ *
+ * Any other path falls through to the 404 handler: private files are only
+ * served through signed URLs.
+ */
+const servePublicUpload = (req, res, next) => {
+  if (!['GET', 'HEAD'].includes(req.method)) return next();
+
+  let relativePath;
+  try {
+    relativePath = mediaAccessService.normalizeUploadPath(req.path);
+  } catch (error) {
+    return next();
+  }
+  const absolutePath = mediaAccessService.resolveUploadPath(relativePath);
+  if (!absolutePath || !mediaAccessService.isPublicUploadPath(relativePath)) return next();
+
+  const handleError = (error) => {
+    if (res.headersSent) return;
+    if (error.code === 'ENOENT' || error.status === 404) return next();
+    console.error('Error serving public upload:', error);
+    res.status(500).json({ success: false, message: 'Failed to serve file' });
+  };
+
+  if (!storageService.getStorageDriver().isLocal) {
+    streamStoredFile(req, res, relativePath).catch(handleError);
+    return undefined;
+  }
+
+  res.sendFile(absolutePath, { dotfiles: 'deny' }, (error) => error && handleError(error));
+  return undefined;
+};
+
+module.exports = {
+  getMediaAccess,
+  serveMediaFile,
+  servePublicUpload,
+};
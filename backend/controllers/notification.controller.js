@@ -0,0 +1,200 @@
+const notificationService = require('../services/notification.service');
+
+/**
+ * Build the viewer for notification requests
+ * /child/:childId routes read the child app's notifications; the others read the user's own
+ * @param {Object} req - Express request
+ * @returns {Object} { userId, childId }
+ */
+const getViewer = (req) => ({
+  userId: req.user._id,
+  childId: req.params.childId || null,
+});
+
+/**
+ * @desc    Get notifications (newest first) with the unread count
+ * @route   GET /api/notifications
+ * @route   GET /api/notifications/child/:childId
+ * @access  Private (Parent, Teacher, Admin; child routes: Parent/child session, Admin)
+ *
+ * Query parameters:
+ * - unreadOnly (true|false), page, limit
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const { unreadOnly, page, limit } = req.query;
+    const result = await notificationService.getNotifications(getViewer(req), {
+      unreadOnly: unreadOnly === 'true',
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Notifications retrieved successfully',
+      data: result.notifications,
+      unreadCount: result.unreadCount,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error('Error getting notifications:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to retrieve notifications',
+    });
+  }
+};
+
+/**
+ * @desc    Get the unread notification count
+ * @route   GET /api/notifications/unread-count
+ * @route   GET /api/notifications/child/:childId/unread-count
+ * @access  Private (Parent, Teacher, Admin; child routes: Parent/child session, Admin)
+ */
+const getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await notificationService.getUnreadCount(getViewer(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Unread count retrieved successfully',
+      data: { unreadCount },
+    });
+  } catch (error) {
+    console.error('Error getting unread notification count:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to retrieve unread count',
+    });
+  }
+};
+
+/**
+ * @desc    Stream new notifications and unread counts (Server-Sent Events)
+ * @route   GET /api/notifications/stream
+ * @route   GET /api/notifications/child/:childId/stream
+ * @access  Private (Parent, Teacher, Admin; child routes: Parent/child session, Admin)
+ *
+ * Events: 'unread' { unreadCount }, 'notification' { notification, unreadCount }
+ */
+const streamNotifications = async (req, res) => {
+  try {
+    await notificationService.openStream(getViewer(req), req, res);
+  } catch (error) {
+    console.error('Error opening notification stream:', error);
+    if (!res.headersSent) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to open notification stream',
+      });
+    }
+  }
+};
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PATCH /api/notifications/:id/read
+ * @route   PATCH /api/notifications/child/:childId/:id/read
+ * @access  Private (Parent, Teacher, Admin; child routes: Parent/child session, Admin)
+ */
+const markAsRead = async (req, res) => {
+  try {
+    const result = await notificationService.markAsRead(getViewer(req), req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read',
+      data: result.notification,
+      unreadCount: result.unreadCount,
+    });
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to mark notification as read',
+    });
+  }
+};
+
+/**
+ * @desc    Mark all notifications as read
+ * @route   PATCH /api/notifications/read-all
+ * @route   PATCH /api/notifications/child/:childId/read-all
+ * @access  Private (Parent, Teacher, Admin; child routes: Parent/child session, Admin)
+ */
+const markAllAsRead = async (req, res) => {
+  try {
+    const result = await notificationService.markAllAsRead(getViewer(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error marking all notifications as read:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to mark notifications as read',
+    });
+  }
+};
+
+/**
+ * @desc    Get notification preferences ({ [type]: enabled })
+ * @route   GET /api/notifications/preferences
+ * @access  Private (Parent, Teacher, Admin)
+ */
+const getPreferences = async (req, res) => {
+  try {
+    const preferences = await notificationService.getPreferences(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences retrieved successfully',
+      data: preferences,
+    });
+  } catch (error) {
+    console.error('Error getting notification preferences:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to retrieve notification preferences',
+    });
+  }
+};
+
+/**
+ * @desc    Update notification preferences
+ * @route   PUT /api/notifications/preferences
+ * @access  Private (Parent, Teacher, Admin)
+ *
+ * Body: { [type]: true|false } for audio_review, kids_wall_post, support_response,
+ * badge_awarded, meeting_scheduled
+ */
+const updatePreferences = async (req, res) => {
+  try {
+    const preferences = await notificationService.updatePreferences(req.user._id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      data: preferences,
+    });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to update notification preferences',
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  streamNotifications,
+  markAsRead,
+  markAllAsRead,
+  getPreferences,
+  updatePreferences,
+};
@@ -0,0 +1,149 @@
+const quizService = require('../services/quiz.services');
+
+/**
+ * @desc    Create new quiz
+ * @route   POST /api/quizzes
+ * @access  Private (Admin/Teacher only)
+ *
+ * Request (multipart/form-data):
+ * - title: String (required)
+ * - description: String (optional)
+ * - instructions: String (optional)
+ * - questions: JSON String (required) - Array of questions:
+ *     { kind: 'picture_choice' | 'audio_prompt', prompt, promptImage, promptAudio, points,
+ *       options: [{ text, image, isCorrect }] }
+ *     { kind: 'match', prompt, ..., pairs: [{ left: { text, image }, right: { text, image } }] }
+ *     { kind: 'ordering', prompt, ..., items: [{ text, image }] } - in the correct order
+ *   Media fields hold an existing /uploads/... path or "upload:<key>" for a file sent in field "upload:<key>"
+ * - questionsPerAttempt: Number (optional) - Questions drawn per attempt (empty = all)
+ * - shuffleQuestions: Boolean (optional, default: true)
+ * - passingScore: Number (optional, default: 70) - Percent needed to pass
+ * - starsAwarded: Number (optional, default: 10) - Stars for the first pass
+ * - estimatedDuration: Number (optional) - in minutes
+ * - tags: JSON String (optional) - Array of tag strings
+ * - skills: JSON String (optional) - Array of skill IDs
+ * - isPublished: Boolean (optional, default: false)
+ * - coverImage: File (optional) - Cover image for the quiz
+ */
+const createQuiz = async (req, res) => {
+  try {
+    const quiz = await quizService.createQuiz(req.user._id, req.body, req.files);
+
+    res.status(201).json({
+      success: true,
+      message: 'Quiz created successfully',
+      data: quiz,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to create quiz',
+    });
+  }
+};
+
+/**
+ * @desc    Get all quizzes
+ * @route   GET /api/quizzes
+ * @access  Private (Admin/Teacher only)
+ *
+ * Query parameters:
+ * - isPublished: Filter by published status (true/false)
+ * - search: Search in title/description/instructions
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 10)
+ */
+const getAllQuizzes = async (req, res) => {
+  try {
+    const result = await quizService.getAllQuizzes(req.query);
+
+    res.status(200).json({
+      success: true,
+      message: 'Quizzes retrieved successfully',
+      data: result.quizzes,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to retrieve quizzes',
+    });
+  }
+};
+
+/**
+ * @desc    Get single quiz by ID (with answers)
+ * @route   GET /api/quizzes/:id
+ * @access  Private (Admin/Teacher only)
+ */
+const getQuizById = async (req, res) => {
+  try {
+    const quiz = await quizService.getQuizById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Quiz retrieved successfully',
+      data: quiz,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to retrieve quiz',
+    });
+  }
+};
+
+/**
+ * @desc    Update quiz
+ * @route   PUT /api/quizzes/:id
+ * @access  Private (Admin/Teacher only)
+ *
+ * Request (multipart/form-data): same fields as create, all optional.
+ * Sending questions replaces the whole list.
+ */
+const updateQuiz = async (req, res) => {
+  try {
+    const quiz = await quizService.updateQuiz(req.params.id, req.body, req.files);
+
+    res.status(200).json({
+      success: true,
+      message: 'Quiz updated successfully',
+      data: quiz,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to update quiz',
+    });
+  }
+};
+
+/**
+ * @desc    Delete quiz
+ * @route   DELETE /api/quizzes/:id
+ * @access  Private (Admin/Teacher only)
+ */
+const deleteQuiz = async (req, res) => {
+  try {
+    const result = await quizService.deleteQuiz(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: { id: result.id },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to delete quiz',
+    });
+  }
+};
+
+module.exports = {
+  createQuiz,
+  getAllQuizzes,
+  getQuizById,
+  updateQuiz,
+  deleteQuiz,
+};
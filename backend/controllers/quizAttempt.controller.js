@@ -0,0 +1,62 @@
+const quizAttemptService = require('../services/quizAttempt.services');
+
+/**
+ * @desc    Start a quiz attempt: questions drawn for this attempt, without answers
+ * @route   GET /api/quizzes/:id/child/:childId/play?courseId=
+ * @access  Private (Parent/Admin)
+ */
+const getQuizForChild = async (req, res) => {
+  try {
+    const { id: quizId, childId } = req.params;
+
+    const result = await quizAttemptService.getQuizForChild(quizId, childId, req.query.courseId);
+
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json({
+      success: true,
+      message: 'Quiz retrieved successfully',
+      data: result,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to load quiz',
+    });
+  }
+};
+
+/**
+ * @desc    Submit the answers of a quiz attempt
+ * @route   POST /api/quizzes/:id/child/:childId/attempts
+ * @access  Private (Parent/Admin)
+ *
+ * Body:
+ * - courseId: String (required)
+ * - answers: Array - [{ questionId, optionId }] for choice questions,
+ *   [{ questionId, matches: [{ left, right }] }] for matching,
+ *   [{ questionId, order: [itemId, ...] }] for ordering
+ * - timeSpent: Number (optional) - seconds
+ */
+const submitQuizAttempt = async (req, res) => {
+  try {
+    const { id: quizId, childId } = req.params;
+
+    const result = await quizAttemptService.submitQuizAttempt(quizId, childId, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: result.passed ? 'Quiz passed' : 'Quiz submitted',
+      data: result,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to submit quiz',
+    });
+  }
+};
+
+module.exports = {
+  getQuizForChild,
+  submitQuizAttempt,
+};
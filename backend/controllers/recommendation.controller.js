@@ -0,0 +1,90 @@
+const recommendationService = require('../services/recommendation.service');
+
+/**
+ * @desc    Get "what to do next" recommendations for a child
+ * @route   GET /api/recommendations/child/:childId
+ * @access  Private (Parent/child session for own children, Admin)
+ *
+ * Query params:
+ * - limit: Course content items (default: 5, max: 20)
+ * - exploreLimit: Explore videos (default: 3, max: 20, 0 for none)
+ *
+ * Response data: generatedAt, context (age, timezone, localHour, timeOfDay, streak),
+ * items [{ contentType, contentId, title, coverImage, durationMinutes, course, step, status, score, reasons }],
+ * exploreVideos [{ _id, title, coverImage, videoType, durationMinutes, watched, score, reasons }]
+ */
+const getChildRecommendations = async (req, res) => {
+  try {
+    const { limit, exploreLimit } = req.query;
+    const recommendations = await recommendationService.getChildRecommendations(req.params.childId, {
+      limit,
+      exploreLimit,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Recommendations retrieved successfully',
+      data: recommendations,
+    });
+  } catch (error) {
+    console.error('Error getting recommendations:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to get recommendations',
+    });
+  }
+};
+
+/**
+ * @desc    Get recommendation signal weights
+ * @route   GET /api/recommendations/settings
+ * @access  Private (Admin only)
+ */
+const getRecommendationSettings = async (req, res) => {
+  try {
+    const settings = await recommendationService.getRecommendationSettings();
+
+    res.status(200).json({
+      success: true,
+      message: 'Recommendation settings retrieved successfully',
+      data: settings,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to get recommendation settings',
+    });
+  }
+};
+
+/**
+ * @desc    Update recommendation signal weights
+ * @route   PUT /api/recommendations/settings
+ * @access  Private (Admin only)
+ *
+ * Body:
+ * - weights: Object (required) - Signal → weight (0-10); signals left out keep their weight
+ *   Signals: continueCourse, ageFit, skillGap, scoreRetry, typePreference, timeOfDay, streak, exploreVideo
+ */
+const updateRecommendationSettings = async (req, res) => {
+  try {
+    const settings = await recommendationService.updateRecommendationSettings(req.user._id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Recommendation settings updated successfully',
+      data: settings,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to update recommendation settings',
+    });
+  }
+};
+
+module.exports = {
+  getChildRecommendations,
+  getRecommendationSettings,
+  updateRecommendationSettings,
+};
@@ -0,0 +1,131 @@
+const resumableUploadService = require('../services/resumableUpload.service');
+
+// Progress headers as in tus, so clients can read the offset without the body
+const setUploadHeaders = (res, upload) => {
+  res.set({
+    'Upload-Offset': String(upload.offset),
+    'Upload-Length': String(upload.size),
+    'Cache-Control': 'no-store',
+  });
+};
+
+/**
+ * @desc    Start a resumable upload (or resume the unfinished upload of the same file)
+ * @route   POST /api/uploads
+ * @access  Private (Admin/Teacher)
+ *
+ * Body: purpose ('scorm' | 'video'), fileName, size, mimeType, fingerprint?, checksum? (SHA-256 hex)
+ * Response data: id, offset, size, status, maxChunkSize, expiresAt
+ */
+const createUpload = async (req, res) => {
+  try {
+    const upload = await resumableUploadService.createUpload(req.user._id, req.body);
+    setUploadHeaders(res, upload);
+
+    res.status(upload.offset > 0 ? 200 : 201).json({
+      success: true,
+      message: upload.offset > 0 ? 'Upload resumed' : 'Upload created successfully',
+      data: upload,
+    });
+  } catch (error) {
+    console.error('Error creating upload:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to create upload',
+    });
+  }
+};
+
+/**
+ * @desc    Get an upload's offset and status
+ * @route   GET /api/uploads/:id
+ * @access  Private (Admin/Teacher, own uploads)
+ */
+const getUpload = async (req, res) => {
+  try {
+    const upload = await resumableUploadService.getUpload(req.params.id, req.user._id);
+    setUploadHeaders(res, upload);
+
+    res.status(200).json({
+      success: true,
+      message: 'Upload retrieved successfully',
+      data: upload,
+    });
+  } catch (error) {
+    console.error('Error getting upload:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to get upload',
+    });
+  }
+};
+
+/**
+ * @desc    Append a chunk at the upload's offset
+ * @route   PATCH /api/uploads/:id
+ * @access  Private (Admin/Teacher, own uploads)
+ *
+ * Headers: Content-Type: application/offset+octet-stream, Upload-Offset,
+ * Upload-Checksum: sha256 <base64 digest of the chunk> (optional)
+ * Body: the chunk bytes
+ * 409 when Upload-Offset is not the current offset (GET the upload and continue from there)
+ */
+const appendChunk = async (req, res) => {
+  try {
+    if (!req.is('application/offset+octet-stream')) {
+      return res.status(415).json({
+        success: false,
+        message: 'Content-Type must be application/offset+octet-stream',
+      });
+    }
+
+    const upload = await resumableUploadService.appendChunk(req.params.id, req.user._id, {
+      offset: req.get('Upload-Offset'),
+      checksum: req.get('Upload-Checksum'),
+      stream: req,
+    });
+    setUploadHeaders(res, upload);
+
+    res.status(200).json({
+      success: true,
+      message: upload.status === 'completed' ? 'Upload completed' : 'Chunk received',
+      data: upload,
+    });
+  } catch (error) {
+    console.error('Error receiving upload chunk:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to receive chunk',
+    });
+  }
+};
+
+/**
+ * @desc    Cancel an upload and delete the received data
+ * @route   DELETE /api/uploads/:id
+ * @access  Private (Admin/Teacher, own uploads)
+ */
+const abortUpload = async (req, res) => {
+  try {
+    await resumableUploadService.abortUpload(req.params.id, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Upload cancelled',
+      data: { id: req.params.id },
+    });
+  } catch (error) {
+    console.error('Error cancelling upload:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to cancel upload',
+    });
+  }
+};
+
+module.exports = {
+  createUpload,
+  getUpload,
+  appendChunk,
+  abortUpload,
+};
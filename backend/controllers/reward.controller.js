@@ -0,0 +1,228 @@
+const rewardService = require('../services/reward.services');
+
+/**
+ * Map service error messages to HTTP status codes
+ * @param {Error} error - Error thrown by reward service
+ * @returns {Number} HTTP status code
+ */
+const getErrorStatus = (error) => {
+  const message = error.message || '';
+  if (message.includes('not found') || message.includes('no longer available')) return 404;
+  if (message.includes('does not belong')) return 403;
+  if (message.includes('Not enough stars') || message.includes('already owned')) return 409;
+  if (message.includes('Invalid') || message.includes('Please provide') || message.includes('cannot be empty')) return 400;
+  return 500;
+};
+
+/**
+ * @desc    Create a reward item
+ * @route   POST /api/rewards
+ * @access  Private (Admin only)
+ *
+ * Multipart form data:
+ * - name, description, type (avatar_frame|sticker|theme|certificate), cost, order, metadata (JSON string)
+ * - image (file, optional)
+ */
+const createReward = async (req, res) => {
+  try {
+    const reward = await rewardService.createReward(req.user._id, req.body, req.file);
+
+    res.status(201).json({
+      success: true,
+      message: 'Reward created successfully',
+      data: reward,
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to create reward',
+    });
+  }
+};
+
+/**
+ * @desc    Get all reward items (with archived items)
+ * @route   GET /api/rewards
+ * @access  Private (Admin only)
+ *
+ * Query parameters:
+ * - type, isActive, search, page, limit
+ */
+const getRewards = async (req, res) => {
+  try {
+    const { type, isActive, search, page, limit } = req.query;
+
+    const result = await rewardService.getRewards(
+      { type, isActive, search },
+      {
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 20,
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Rewards retrieved successfully',
+      data: result.rewards,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to retrieve rewards',
+    });
+  }
+};
+
+/**
+ * @desc    Update a reward item
+ * @route   PUT /api/rewards/:id
+ * @access  Private (Admin only)
+ */
+const updateReward = async (req, res) => {
+  try {
+    const reward = await rewardService.updateReward(req.params.id, req.body, req.file);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reward updated successfully',
+      data: reward,
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to update reward',
+    });
+  }
+};
+
+/**
+ * @desc    Archive a reward item (soft delete)
+ * @route   DELETE /api/rewards/:id
+ * @access  Private (Admin only)
+ */
+const deleteReward = async (req, res) => {
+  try {
+    const reward = await rewardService.deleteReward(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reward archived successfully',
+      data: reward,
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to archive reward',
+    });
+  }
+};
+
+/**
+ * @desc    Get reward shop for a child (items, owned flags, spendable balance)
+ * @route   GET /api/rewards/child/:childId/shop
+ * @access  Private (Parent only)
+ */
+const getChildShop = async (req, res) => {
+  try {
+    const shop = await rewardService.getShopForChild(req.params.childId, req.user._id, req.query);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reward shop retrieved successfully',
+      data: shop,
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to retrieve reward shop',
+    });
+  }
+};
+
+/**
+ * @desc    Purchase a reward for a child
+ * @route   POST /api/rewards/child/:childId/purchase/:rewardId
+ * @access  Private (Parent only)
+ *
+ * Debits spendable stars only; lifetime totalStars is unchanged
+ */
+const purchaseReward = async (req, res) => {
+  try {
+    const { childId, rewardId } = req.params;
+    const result = await rewardService.purchaseReward(childId, req.user._id, rewardId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Reward purchased successfully',
+      data: result,
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to purchase reward',
+    });
+  }
+};
+
+/**
+ * @desc    Get a child's reward inventory
+ * @route   GET /api/rewards/child/:childId/inventory
+ * @access  Private (Parent only)
+ */
+const getChildInventory = async (req, res) => {
+  try {
+    const inventory = await rewardService.getChildInventory(req.params.childId, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Inventory retrieved successfully',
+      data: inventory,
+      count: inventory.items.length,
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to retrieve inventory',
+    });
+  }
+};
+
+/**
+ * @desc    Equip or unequip an owned reward
+ * @route   PATCH /api/rewards/child/:childId/inventory/:inventoryId/equip
+ * @access  Private (Parent only)
+ *
+ * Request body:
+ * { "equip": true }
+ */
+const equipReward = async (req, res) => {
+  try {
+    const { childId, inventoryId } = req.params;
+    const equip = req.body.equip !== undefined ? req.body.equip === true || req.body.equip === 'true' : true;
+
+    const entry = await rewardService.equipReward(childId, req.user._id, inventoryId, equip);
+
+    res.status(200).json({
+      success: true,
+      message: equip ? 'Reward equipped successfully' : 'Reward unequipped successfully',
+      data: entry,
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to update reward',
+    });
+  }
+};
+
+module.exports = {
+  createReward,
+  getRewards,
+  updateReward,
+  deleteReward,
+  getChildShop,
+  purchaseReward,
+  getChildInventory,
+  equipReward,
+};
@@ -1,5 +1,7 @@
 const scormService = require('../services/scorm.service');
 const courseProgressService = require('../services/courseProgress.services');
+const mediaAccessService = require('../services/mediaAccess.service');
+const storageService = require('../services/storage.service');
 // Content models - only for finding SCORM files (launch operations)
 const AudioAssignment = require('../models/AudioAssignment');
 const Chant = require('../models/Chant');
@@ -34,22 +36,47 @@ function parseTimeToSeconds(timeString) {
 }
 
 /**
- * Calculate progress from lesson location
- * @param {String} lessonLocation - SCORM lesson location
- * @returns {Number} Progress percentage (0-100)
+ * Resolve the extracted package directory of a content item's SCORM file
+ * ZIP packages are extracted on first use
+ * @param {Object} content - Content document with scormFilePath / scormFileUrl
+ * @param {String} contentType - Content type
+ * @param {String} contentId - Content ID
+ * @returns {Promise<String|null>} Extracted package path, or null if the file is missing
  */
-function calculateProgressFromLocation(lessonLocation) {
-  if (!lessonLocation || lessonLocation === '') {
-    return 0;
+async function resolveExtractedPackage(content, contentType, contentId) {
+  // Extracted packages live in a dedicated directory
+  const extractDir = path.join(
+    __dirname,
+    '../uploads/scorm',
+    contentType,
+    contentId.toString(),
+    'extracted'
+  );
+  
+  // Already extracted (here, or on another server with shared storage)
+  const storedExtractDir = await storageService.ensureLocalDirectory(extractDir);
+  if (storedExtractDir) {
+    return storedExtractDir;
   }
-  // Try to extract slide/video number
-  const numberMatch = lessonLocation.match(/(\d+)/);
-  if (numberMatch) {
-    const currentSlide = parseInt(numberMatch[1]);
-    const estimatedTotalSlides = 40; // Adjust per SCORM package
-    return Math.min((currentSlide / estimatedTotalSlides) * 100, 95);
+  
+  // SCORM package key: scormFilePath, or the path in scormFileUrl
+  const scormKey = content.scormFilePath || content.scormFileUrl;
+  const scormPath = scormKey ? await storageService.ensureLocalFile(scormKey) : null;
+  
+  // Check if SCORM file exists
+  if (!scormPath || !(await fs.pathExists(scormPath))) {
+    return null;
   }
-  return 0;
+  
+  // Determine if file is ZIP (needs extraction) or already extracted
+  const isZip = path.extname(scormPath).toLowerCase() === '.zip';
+  if (!isZip) {
+    return scormPath;
+  }
+  
+  const extractedPath = await scormService.extractScormPackage(scormPath, extractDir);
+  await scormService.validateScormPackage(extractedPath);
+  return extractedPath;
 }
 
 /**
@@ -59,11 +86,16 @@ function calculateProgressFromLocation(lessonLocation) {
  * 
  * Query parameters:
  * - contentType: 'audioAssignment', 'chant', 'book', or 'video'
+ * - scoId: Manifest item to launch (multi-SCO packages, optional)
+ * 
+ * Multi-SCO packages also return the organization tree (toc) and the
+ * launchable items (scos), each with its own launchUrl and status.
+ * Without scoId, the last SCO the child was on (or the first unfinished one) is launched.
  */
 const getLaunchUrl = async (req, res) => {
   try {
     const { contentId } = req.params;
-    const { contentType } = req.query;
+    const { contentType, scoId } = req.query;
     
     if (!contentType || !['audioAssignment', 'chant', 'book', 'video'].includes(contentType)) {
       return res.status(400).json({
@@ -98,65 +130,89 @@ const getLaunchUrl = async (req, res) => {
       });
     }
     
-    // Determine SCORM package path
-    let scormPath = content.scormFilePath;
-    
-    // If scormFilePath is not set, try to construct from scormFileUrl
-    if (!scormPath && content.scormFileUrl) {
-      // Extract path from URL (remove base URL if present)
-      const urlPath = content.scormFileUrl.replace(/^.*\/uploads\//, '');
-      scormPath = path.join(__dirname, '../uploads', urlPath);
-    }
-    
-    // Check if SCORM file exists
-    if (!scormPath || !(await fs.pathExists(scormPath))) {
+    const extractedPath = await resolveExtractedPackage(content, contentType, contentId);
+    if (!extractedPath) {
       return res.status(404).json({
         success: false,
         message: 'SCORM file not found on server',
       });
     }
     
-    // Determine if file is ZIP (needs extraction) or already extracted
-    const isZip = path.extname(scormPath).toLowerCase() === '.zip';
-    
-    let extractedPath;
     let entryPoint = 'index.html';
+    let scormVersion = '1.2';
+    let organization = null;
+    let scos = [];
     
-    if (isZip) {
-      // Extract to a dedicated directory
-      const extractDir = path.join(
-        __dirname,
-        '../uploads/scorm',
-        contentType,
-        contentId.toString(),
-        'extracted'
-      );
-      
-      // Check if already extracted
-      if (await fs.pathExists(extractDir)) {
-        extractedPath = extractDir;
-      } else {
-        // Extract now
-        extractedPath = await scormService.extractScormPackage(scormPath, extractDir);
-        await scormService.validateScormPackage(extractedPath);
-      }
-      
-      // Get entry point from manifest
-      const manifestPath = await scormService.findManifestFile(extractedPath);
-      if (manifestPath) {
-        entryPoint = await scormService.getScormEntryPoint(manifestPath, extractedPath);
+    // Get entry point, SCORM version (1.2 / 2004) and table of contents from manifest
+    const manifestPath = await scormService.findManifestFile(extractedPath);
+    if (manifestPath) {
+      const metadata = await scormService.getScormMetadata(extractedPath);
+      entryPoint = metadata.entryPoint;
+      scormVersion = metadata.version;
+      organization = metadata.organization;
+      scos = metadata.scos || [];
+    }
+    
+    // Only packages with several launchable items are tracked per SCO
+    const isMultiSco = scos.length > 1;
+    
+    // Packages uploaded before slide detection existed are detected on first launch
+    let slideCount = content.scormSettings?.slideCount || null;
+    const scormZipPath = !slideCount && !content.scormSettings?.slideCountSource && content.scormFilePath
+      ? await storageService.ensureLocalFile(content.scormFilePath)
+      : null;
+    if (scormZipPath && fs.existsSync(scormZipPath)) {
+      const detected = await scormService.detectSlideCount(scormZipPath);
+      if (detected.slideCount) {
+        slideCount = detected.slideCount;
+        await content.constructor.updateOne(
+          { _id: content._id },
+          { $set: { 'scormSettings.slideCount': detected.slideCount, 'scormSettings.slideCountSource': detected.source } }
+        );
       }
-    } else {
-      // Already extracted, use the path directly
-      extractedPath = scormPath;
-      
-      // Try to find entry point
-      const manifestPath = await scormService.findManifestFile(extractedPath);
-      if (manifestPath) {
-        entryPoint = await scormService.getScormEntryPoint(manifestPath, extractedPath);
+    }
+    
+    // Per-SCO status for the table of contents (best effort - never blocks launch)
+    let scormProgress = null;
+    if (isMultiSco) {
+      try {
+        const child = req.childSession
+          ? await ChildProfile.findById(req.childSession.childId)
+          : await ChildProfile.findOne({ parent: req.user._id });
+        const Course = require('../models/Course');
+        const course = await Course.findOne({
+          'contents.contentId': contentId,
+          'contents.contentType': contentType,
+        });
+        if (child && course) {
+          scormProgress = await courseProgressService.getScormProgress(
+            child._id,
+            course._id,
+            contentId,
+            contentType
+          );
+        }
+      } catch (progressError) {
+        console.warn('[SCORM] Could not load SCO progress for launch:', progressError.message);
       }
     }
     
+    const scoRows = scormProgress?.scos || [];
+    const getScoStatus = (identifier) =>
+      scoRows.find((row) => row.scoId === identifier)?.lessonStatus || 'not attempted';
+    const isScoDone = (identifier) => ['completed', 'passed'].includes(getScoStatus(identifier));
+    
+    // Pick the SCO to launch: requested, last visited, first unfinished, first
+    let currentSco = null;
+    if (isMultiSco) {
+      currentSco =
+        scos.find((sco) => sco.identifier === scoId) ||
+        scos.find((sco) => sco.identifier === scormProgress?.currentScoId) ||
+        scos.find((sco) => !isScoDone(sco.identifier)) ||
+        scos[0];
+      entryPoint = currentSco.href;
+    }
+    
     // Construct launch URL using wrapper endpoint to avoid cross-origin issues.
     //
     // IMPORTANT:
@@ -172,26 +228,73 @@ const getLaunchUrl = async (req, res) => {
       extractedPath
     );
     
+    // Package files are served through a signed URL covering the whole package
+    const packagePath = `${relativePath.replace(/\\/g, '/')}/`;
+    const canOpenPackage = await mediaAccessService.canAccessUploadPath(
+      { user: req.user, childId: req.childSession?.childId },
+      packagePath
+    );
+    if (!canOpenPackage) {
+      return res.status(403).json({
+        success: false,
+        message: 'A subscription is required to open this content',
+      });
+    }
+    const { token: mediaToken } = mediaAccessService.createAccessToken(packagePath);
+    
     // Get auth token from request headers to pass to wrapper
     const authToken = req.headers.authorization?.replace('Bearer ', '') || '';
     
     // Use wrapper endpoint instead of direct file URL
     // This ensures same-origin and allows API injection
-    const launchUrl = `${baseUrl}/api/scorm/${contentId}/wrapper?contentType=${encodeURIComponent(contentType)}&entryPoint=${encodeURIComponent(entryPoint)}&path=${encodeURIComponent(relativePath.replace(/\\/g, '/'))}&token=${encodeURIComponent(authToken)}`;
+    // Item parameters (href?x=1#y) are passed through on the wrapper URL
+    const buildLaunchUrl = (href, itemScoId) => {
+      const [, file, query = '', hash = ''] = /^([^?#]*)(?:\?([^#]*))?(#.*)?$/.exec(href);
+      return `${baseUrl}/api/scorm/${contentId}/wrapper?contentType=${encodeURIComponent(contentType)}&entryPoint=${encodeURIComponent(file)}&path=${encodeURIComponent(relativePath.replace(/\\/g, '/'))}&scormVersion=${encodeURIComponent(scormVersion)}${slideCount && !isMultiSco ? `&slideCount=${slideCount}` : ''}${itemScoId ? `&scoId=${encodeURIComponent(itemScoId)}` : ''}&token=${encodeURIComponent(authToken)}&mediaToken=${encodeURIComponent(mediaToken)}${query ? `&${query}` : ''}${hash}`;
+    };
+    
+    const launchUrl = buildLaunchUrl(entryPoint, currentSco?.identifier);
+    
+    // Table of contents with a launch URL on every launchable item
+    const buildTocItem = (item) => ({
+      identifier: item.identifier,
+      title: item.title,
+      launchUrl: item.href && item.isVisible ? buildLaunchUrl(item.href, item.identifier) : null,
+      status: item.href ? getScoStatus(item.identifier) : null,
+      children: item.children.filter((child) => child.isVisible).map(buildTocItem),
+    });
     
     res.json({
       success: true,
       data: {
         launchUrl,
         entryPoint,
+        scormVersion,
         extractedPath: relativePath.replace(/\\/g, '/'),
         contentType,
         contentId,
+        scoId: currentSco?.identifier || null,
+        slideCount,
+        toc: isMultiSco
+          ? {
+              title: organization.title,
+              items: organization.items.filter((item) => item.isVisible).map(buildTocItem),
+            }
+          : null,
+        scos: isMultiSco
+          ? scos.map((sco) => ({
+              identifier: sco.identifier,
+              title: sco.title,
+              launchUrl: buildLaunchUrl(sco.href, sco.identifier),
+              status: getScoStatus(sco.identifier),
+            }))
+          : [],
       },
     });
   } catch (error) {
     console.error('Error getting SCORM launch URL:', error);
-    res.status(500).json({
+    // Packages rejected by extraction (zip-slip, limits, file types) carry statusCode 400
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || 'Failed to get SCORM launch URL',
     });
@@ -212,7 +315,16 @@ const getLaunchUrl = async (req, res) => {
  *     "timeSpent": "00:15:30.00",
  *     "suspendData": "...",
  *     "entry": "ab-initio" | "resume",
- *     "exit": "normal" | "time-out" | "suspend" | "logout"
+ *     "exit": "normal" | "time-out" | "suspend" | "logout",
+ *     // SCORM 2004 packages additionally send:
+ *     "scormVersion": "2004",
+ *     "completionStatus": "completed" | "incomplete" | "not attempted" | "unknown",
+ *     "successStatus": "passed" | "failed" | "unknown",
+ *     "progressMeasure": 0.5,
+ *     "scoreScaled": 0.85,
+ *     "interactions": [{ "interactionId": "q1", "type": "choice", "learnerResponse": "a", "result": "correct" }],
+ *     // Multi-SCO packages: manifest item the data belongs to (rolled up to the content)
+ *     "scoId": "item_2"
  *   }
  * }
  */
@@ -245,6 +357,38 @@ const saveProgress = async (req, res) => {
       });
     }
     
+    // Validate SCORM 2004 data model values
+    if (progressData.scormVersion === '2004') {
+      const validCompletion = ['completed', 'incomplete', 'not attempted', 'unknown'];
+      const validSuccess = ['passed', 'failed', 'unknown'];
+      if (progressData.completionStatus && !validCompletion.includes(progressData.completionStatus)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid completionStatus. Must be one of: ${validCompletion.join(', ')}`,
+        });
+      }
+      if (progressData.successStatus && !validSuccess.includes(progressData.successStatus)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid successStatus. Must be one of: ${validSuccess.join(', ')}`,
+        });
+      }
+      if (progressData.progressMeasure !== undefined && progressData.progressMeasure !== null &&
+          !(progressData.progressMeasure >= 0 && progressData.progressMeasure <= 1)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid progressMeasure. Must be between 0 and 1',
+        });
+      }
+      if (progressData.scoreScaled !== undefined && progressData.scoreScaled !== null &&
+          !(progressData.scoreScaled >= -1 && progressData.scoreScaled <= 1)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid scoreScaled. Must be between -1 and 1',
+        });
+      }
+    }
+    
     // Get content to verify it exists
     let content;
     if (contentType === 'audioAssignment') {
@@ -269,7 +413,9 @@ const saveProgress = async (req, res) => {
     // All progress operations go through courseProgressService
     try {
       // Find child profile to get childId
-      const child = await ChildProfile.findOne({ parent: userId });
+      const child = req.childSession
+        ? await ChildProfile.findById(req.childSession.childId)
+        : await ChildProfile.findOne({ parent: userId });
       
       if (child) {
         // Find course that contains this content (via service if needed, or pass childId/contentId to service)
@@ -286,12 +432,23 @@ const saveProgress = async (req, res) => {
           });
           
           if (course) {
+            // Multi-SCO rollup needs every launchable item of the package
+            let scoIds = [];
+            if (progressData.scoId) {
+              const extractedPath = await resolveExtractedPackage(content, contentType, contentId);
+              if (extractedPath) {
+                const metadata = await scormService.getScormMetadata(extractedPath);
+                scoIds = (metadata.scos || []).map((sco) => sco.identifier);
+              }
+            }
+            
             await courseProgressService.updateScormProgress(
               child._id,
               course._id,
               contentId,
               contentType,
-              progressData
+              progressData,
+              scoIds
             );
           }
         } catch (progressError) {
@@ -333,11 +490,12 @@ const saveProgress = async (req, res) => {
  * 
  * Query parameters:
  * - contentType: 'audioAssignment', 'chant', 'book', or 'video'
+ * - scoId: Manifest item identifier (multi-SCO packages, optional)
  */
 const getProgress = async (req, res) => {
   try {
     const { contentId } = req.params;
-    const { contentType } = req.query;
+    const { contentType, scoId } = req.query;
     const userId = req.user._id;
     
     if (!contentType || !['audioAssignment', 'chant', 'book', 'video'].includes(contentType)) {
@@ -350,7 +508,9 @@ const getProgress = async (req, res) => {
     // Get SCORM progress via service layer
     // SCORM controller should NOT directly access Course or CourseProgress models
     // Find child profile to get childId
-    const child = await ChildProfile.findOne({ parent: userId });
+    const child = req.childSession
+      ? await ChildProfile.findById(req.childSession.childId)
+      : await ChildProfile.findOne({ parent: userId });
     
     if (!child) {
       return res.status(404).json({
@@ -378,7 +538,8 @@ const getProgress = async (req, res) => {
       child._id,
       course._id,
       contentId,
-      contentType
+      contentType,
+      scoId
     );
   
     res.json({
@@ -408,12 +569,18 @@ const getProgress = async (req, res) => {
  * - contentType: 'audioAssignment', 'chant', 'book', or 'video'
  * - entryPoint: Entry point HTML file (e.g., 'index.html')
  * - path: Relative path to SCORM content from uploads directory
+ * - scormVersion: '1.2' or '2004'
+ * - scoId: Manifest item identifier (multi-SCO packages, optional)
  * - token: Auth token for API calls
+ * - mediaToken: Signed token for the package folder (issued by the launch endpoint)
  */
 const getWrapper = async (req, res) => {
   try {
     const { contentId } = req.params;
-    const { contentType, entryPoint, path: scormPath, token } = req.query;
+    const { contentType, entryPoint, path: scormPath, token, mediaToken, scormVersion } = req.query;
+    // Manifest identifiers are XML IDs - strip anything else before embedding in the script
+    const scoId = String(req.query.scoId || '').replace(/[^\w.\-]/g, '');
+    const slideCount = parseInt(req.query.slideCount, 10) || 0;
     
     // Verify token if provided (optional for now, but recommended)
     let userId = null;
@@ -448,7 +615,26 @@ const getWrapper = async (req, res) => {
     const scormBasePathForFiles = path.join(__dirname, '../uploads/scorm', cleanPath);
     const scormHtmlPath = path.join(scormBasePathForFiles, entryPoint);
     
-    // Check if HTML file exists
+    // Entry points come from the manifest - never serve files outside the package
+    if (!scormHtmlPath.startsWith(scormBasePathForFiles + path.sep)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid entryPoint',
+      });
+    }
+    
+    // Only packages opened through the launch endpoint (which checks access)
+    const packagePath = `scorm/${cleanPath.replace(/\\/g, '/').replace(/\/+$/, '')}/`;
+    const entryFilePath = `${packagePath}${entryPoint.replace(/\\/g, '/')}`;
+    if (!mediaAccessService.verifySignedPath(mediaToken, entryFilePath)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Launch link is invalid or has expired',
+      });
+    }
+    
+    // Check if HTML file exists (fetching the working copy from storage if needed)
+    await storageService.ensureLocalFile(scormHtmlPath);
     if (!(await fs.pathExists(scormHtmlPath))) {
       return res.status(404).json({
         success: false,
@@ -467,9 +653,13 @@ const getWrapper = async (req, res) => {
     const authToken = token || '';
     
     // Set base URL for relative path resolution.
-    // Use request host so /scorm/* asset requests stay same-origin (and work with dev proxy).
+    // Use request host so package asset requests stay same-origin (and work with dev proxy).
     const baseUrl = `${req.protocol}://${req.get('host')}`;
-    const scormBasePath = `/scorm/${cleanPath}`;
+    // Relative URLs resolve against the entry point's folder (SCOs can live in subfolders),
+    // under the signed package URL so every asset request carries the media token
+    const entryDir = path.posix.dirname(entryPoint.replace(/\\/g, '/'));
+    const packageBasePath = mediaAccessService.buildSignedPath(mediaToken, packagePath).replace(/\/$/, '');
+    const scormBasePath = entryDir === '.' ? packageBasePath : `${packageBasePath}/${entryDir}`;
     
     // Generate API script that will be injected BEFORE any other scripts
     // This follows the guide pattern: API must exist BEFORE SCORM loads
@@ -491,6 +681,9 @@ const getWrapper = async (req, res) => {
         const userId = '${userId}';
         const apiBaseUrl = '${apiBaseUrl}';
         const authToken = '${authToken}';
+        const scormVersion = '${scormVersion === '2004' ? '2004' : '1.2'}';
+        const scoId = '${scoId}';
+        const slideCount = ${slideCount};
         
         // CRITICAL: Override window.open and DisplayError BEFORE SCORM content loads
         // This prevents cross-origin errors when SCORM tries to access window.parent.open
@@ -877,12 +1070,12 @@ const getWrapper = async (req, res) => {
                             console.warn('[SCORM Shim] SCORM2004_Initialize caught SecurityError, using our API');
                             // Force set the API and retry
                             if (typeof window.SCORM2004_objAPI === 'undefined' || window.SCORM2004_objAPI === null) {
-                                window.SCORM2004_objAPI = api;
+                                window.SCORM2004_objAPI = api2004;
                             }
                             // Try to call Initialize on our API directly
                             try {
-                                if (api && typeof api.Initialize === 'function') {
-                                    const result = api.Initialize('');
+                                if (api2004 && typeof api2004.Initialize === 'function') {
+                                    const result = api2004.Initialize('');
                                     if (result === 'true') {
                                         if (typeof window.InitializeExecuted === 'function') {
                                             window.InitializeExecuted(true, '');
@@ -1005,7 +1198,7 @@ const getWrapper = async (req, res) => {
                 this.errorCode = 0;
                 
                 // Load existing progress asynchronously (don't block initialization)
-                fetch(apiBaseUrl + '/api/scorm/' + contentId + '/progress?contentType=' + contentType, {
+                fetch(apiBaseUrl + '/api/scorm/' + contentId + '/progress?contentType=' + contentType + (scoId ? '&scoId=' + encodeURIComponent(scoId) : ''), {
                     headers: {
                         'Authorization': 'Bearer ' + authToken,
                     }
@@ -1028,12 +1221,19 @@ const getWrapper = async (req, res) => {
                         if (data.data.lessonStatus) {
                             this.data['cmi.core.lesson_status'] = data.data.lessonStatus;
                         }
-                        if (data.data.score !== null && data.data.score !== undefined) {
-                            this.data['cmi.core.score.raw'] = String(data.data.score);
+                        // Saved progress returns score as { raw, max, min }
+                        const savedScore = data.data.score && typeof data.data.score === 'object'
+                            ? data.data.score.raw
+                            : data.data.score;
+                        if (savedScore !== null && savedScore !== undefined) {
+                            this.data['cmi.core.score.raw'] = String(savedScore);
                         }
                         if (data.data.timeSpent) {
                             this.data['cmi.core.total_time'] = data.data.timeSpent;
                         }
+                        if (this.version2004) {
+                            this.version2004.loadFromProgress(data.data);
+                        }
                     }
                 })
                 .catch(err => {
@@ -1198,6 +1398,15 @@ const getWrapper = async (req, res) => {
                     lessonLocation: this.data['cmi.core.lesson_location'] || '',
                 };
                 
+                // SCORM 2004 packages also save completion/success status, progress measure and interactions
+                if (this.version2004 && this.version2004.state !== 'not_initialized') {
+                    Object.assign(progressDataSafe, this.version2004.getProgressFields());
+                }
+                // Multi-SCO packages: progress is stored per SCO and rolled up by the server
+                if (scoId) {
+                    progressDataSafe.scoId = scoId;
+                }
+                
                 // Log the commit attempt (but don't spam)
                 if (!this.lastCommitLog || (Date.now() - this.lastCommitLog) > 5000) {
                     console.log('[SCORM] LMSCommit - Saving progress', {
@@ -1318,31 +1527,15 @@ const getWrapper = async (req, res) => {
                 return Math.floor((Date.now() - this.progressData.sessionStartTime) / 1000);
             }
             
-            // Calculate progress based on lesson location, time, and score
+            // Calculate progress from the slide reached (against the package's detected slide count), time, and score
             calculateProgress(lessonLocation, timeSpentSeconds, score, maxScore) {
                 let progress = 0;
                 
-                // Base progress from lesson location (if available)
-                if (lessonLocation && lessonLocation !== '') {
-                    // Try to extract slide/video number from lesson location
-                    // Examples: "slide_5", "vr/Vi35.mp4", "page_10", etc.
-                    const numberMatch = lessonLocation.match(/(\d+)/);
+                // Slide number from lesson location, e.g. "slide_5", "5", "page_10"
+                if (slideCount > 0 && lessonLocation) {
+                    const numberMatch = lessonLocation.match(/(\\d+)/);
                     if (numberMatch) {
-                        const currentSlide = parseInt(numberMatch[1]);
-                        // Estimate total slides (heuristic - may need adjustment per SCORM package)
-                        const estimatedTotalSlides = 40;
-                        progress = Math.min((currentSlide / estimatedTotalSlides) * 90, 90);
-                    } else {
-                        // If no number found, check for keywords
-                        if (lessonLocation.includes('final') || lessonLocation.includes('end') || 
-                            lessonLocation.includes('complete') || lessonLocation.includes('last')) {
-                            progress = 95;
-                        } else if (lessonLocation.includes('start') || lessonLocation.includes('begin')) {
-                            progress = 5;
-                        } else {
-                            // Default: assume some progress if location is set
-                            progress = 20;
-                        }
+                        progress = Math.min((parseInt(numberMatch[1]) / slideCount) * 100, 100);
                     }
                 }
                 
@@ -1363,6 +1556,442 @@ const getWrapper = async (req, res) => {
             }
         }
         
+        // ============================================================
+        // SCORM 2004 RUNTIME (API_1484_11)
+        // ============================================================
+        // Implements the 2004 cmi.* data model on top of the SCORMAPI instance above.
+        // Overlapping elements (location, score, suspend data, status, exit, time)
+        // are mirrored onto the 1.2 keys so saving, progress monitoring and the
+        // "Done" flow keep working unchanged for 2004 packages.
+        const SCORM2004_ERRORS = {
+            0: 'No Error',
+            101: 'General Exception',
+            102: 'General Initialization Failure',
+            103: 'Already Initialized',
+            104: 'Content Instance Terminated',
+            111: 'General Termination Failure',
+            112: 'Termination Before Initialization',
+            113: 'Termination After Termination',
+            122: 'Retrieve Data Before Initialization',
+            123: 'Retrieve Data After Termination',
+            132: 'Store Data Before Initialization',
+            133: 'Store Data After Termination',
+            142: 'Commit Before Initialization',
+            143: 'Commit After Termination',
+            201: 'General Argument Error',
+            301: 'General Get Failure',
+            351: 'General Set Failure',
+            391: 'General Commit Failure',
+            401: 'Undefined Data Model Element',
+            402: 'Unimplemented Data Model Element',
+            403: 'Data Model Element Value Not Initialized',
+            404: 'Data Model Element Is Read Only',
+            405: 'Data Model Element Is Write Only',
+            406: 'Data Model Element Type Mismatch',
+            407: 'Data Model Element Value Out Of Range',
+            408: 'Data Model Dependency Not Established',
+        };
+
+        const SCORM2004_READ_ONLY = [
+            'cmi._version', 'cmi.learner_id', 'cmi.learner_name', 'cmi.credit', 'cmi.entry', 'cmi.mode',
+            'cmi.launch_data', 'cmi.total_time', 'cmi.max_time_allowed', 'cmi.time_limit_action',
+            'cmi.completion_threshold', 'cmi.scaled_passing_score', 'cmi.interactions._count',
+            'cmi.interactions._children', 'cmi.objectives._count', 'cmi.objectives._children',
+            'cmi.score._children', 'cmi.comments_from_lms._count', 'cmi.comments_from_learner._count',
+            'cmi.learner_preference._children', 'adl.nav.request_valid.continue', 'adl.nav.request_valid.previous',
+        ];
+        const SCORM2004_WRITE_ONLY = ['cmi.exit', 'cmi.session_time'];
+        const SCORM2004_INTERACTION_TYPES = [
+            'true-false', 'choice', 'fill-in', 'long-fill-in', 'matching', 'performance',
+            'sequencing', 'likert', 'numeric', 'other',
+        ];
+        const SCORM2004_INTERACTION_FIELDS = [
+            'id', 'type', 'timestamp', 'weighting', 'learner_response', 'result', 'latency', 'description',
+        ];
+        const ISO_DURATION = /^P(?:(\\d+)Y)?(?:(\\d+)M)?(?:(\\d+)D)?(?:T(?:(\\d+)H)?(?:(\\d+)M)?(?:(\\d+(?:\\.\\d+)?)S)?)?$/;
+
+        // ISO 8601 duration (PT1H2M3.5S) -> seconds
+        const isoDurationToSeconds = function(value) {
+            const match = ISO_DURATION.exec(value || '');
+            if (!match) return 0;
+            return (parseInt(match[1] || 0) * 365 * 86400) + (parseInt(match[2] || 0) * 30 * 86400) +
+                (parseInt(match[3] || 0) * 86400) + (parseInt(match[4] || 0) * 3600) +
+                (parseInt(match[5] || 0) * 60) + parseFloat(match[6] || 0);
+        };
+
+        // seconds -> ISO 8601 duration
+        const secondsToIsoDuration = function(seconds) {
+            const total = Math.max(0, seconds || 0);
+            const hours = Math.floor(total / 3600);
+            const minutes = Math.floor((total % 3600) / 60);
+            const secs = Math.round((total % 60) * 100) / 100;
+            return 'PT' + hours + 'H' + minutes + 'M' + secs + 'S';
+        };
+
+        // seconds -> SCORM 1.2 time (HH:MM:SS.SS)
+        const secondsToScorm12Time = function(seconds) {
+            const total = Math.max(0, seconds || 0);
+            const hours = Math.floor(total / 3600);
+            const minutes = Math.floor((total % 3600) / 60);
+            const secs = (total % 60).toFixed(2);
+            return String(hours).padStart(2, '0') + ':' + String(minutes).padStart(2, '0') + ':' + secs.padStart(5, '0');
+        };
+
+        class SCORM2004API {
+            constructor(api12) {
+                this.api12 = api12;
+                this.state = 'not_initialized'; // not_initialized | running | terminated
+                this.data = {};
+                this.interactions = [];
+                this.errorCode = 0;
+                this.diagnostic = '';
+                this.baseTotalSeconds = 0;
+                this.sessionSeconds = 0;
+                // Lets SCORMAPI include 2004 fields when committing and load them on initialize
+                api12.version2004 = this;
+            }
+
+            fail(code, returnValue, diagnostic) {
+                this.errorCode = code;
+                this.diagnostic = diagnostic || '';
+                return returnValue === undefined ? 'false' : returnValue;
+            }
+
+            Initialize(parameter) {
+                if (parameter !== undefined && parameter !== '') return this.fail(201);
+                if (this.state === 'running') return this.fail(103);
+                if (this.state === 'terminated') return this.fail(104);
+                if (!this.api12.initialized) {
+                    this.api12.LMSInitialize('');
+                }
+                this.state = 'running';
+                this.errorCode = 0;
+                return 'true';
+            }
+
+            Terminate(parameter) {
+                if (parameter !== undefined && parameter !== '') return this.fail(201);
+                if (this.state === 'not_initialized') return this.fail(112);
+                if (this.state === 'terminated') return this.fail(113);
+
+                this.Commit('');
+                this.state = 'terminated';
+
+                // Sequencing: hand navigation requests (continue, previous, choice, exit...) to the player
+                const navRequest = this.data['adl.nav.request'];
+                if (navRequest && navRequest !== '_none_' && window.parent && window.parent !== window) {
+                    window.parent.postMessage({ type: 'SCORM_NAV_REQUEST', data: { request: navRequest } }, '*');
+                }
+
+                this.errorCode = 0;
+                return 'true';
+            }
+
+            Commit(parameter) {
+                if (parameter !== undefined && parameter !== '') return this.fail(201);
+                if (this.state === 'not_initialized') return this.fail(142);
+                if (this.state === 'terminated') return this.fail(143);
+
+                this.api12.hasUncommittedChanges = true;
+                const result = this.api12.LMSCommit('');
+                if (result !== 'true') return this.fail(391);
+                this.errorCode = 0;
+                return 'true';
+            }
+
+            GetLastError() {
+                return String(this.errorCode);
+            }
+
+            GetErrorString(errorCode) {
+                return SCORM2004_ERRORS[parseInt(errorCode, 10)] || '';
+            }
+
+            GetDiagnostic(errorCode) {
+                const code = errorCode ? parseInt(errorCode, 10) : this.errorCode;
+                return this.diagnostic || SCORM2004_ERRORS[code] || '';
+            }
+
+            GetValue(element) {
+                if (this.state === 'not_initialized') return this.fail(122, '');
+                if (this.state === 'terminated') return this.fail(123, '');
+                if (!element || typeof element !== 'string') return this.fail(301, '');
+                if (SCORM2004_WRITE_ONLY.indexOf(element) !== -1) return this.fail(405, '');
+
+                this.errorCode = 0;
+
+                const interactionMatch = /^cmi\\.interactions\\.(\\d+)\\.(.+)$/.exec(element);
+                if (interactionMatch) {
+                    return this.getInteractionValue(parseInt(interactionMatch[1], 10), interactionMatch[2]);
+                }
+
+                switch (element) {
+                    case 'cmi._version': return '1.0';
+                    case 'cmi.learner_id': return this.api12.userId || '';
+                    case 'cmi.learner_name': return 'Student';
+                    case 'cmi.credit': return 'credit';
+                    case 'cmi.mode': return 'normal';
+                    case 'cmi.entry': return this.api12.data['cmi.suspend_data'] ? 'resume' : 'ab-initio';
+                    case 'cmi.total_time': return secondsToIsoDuration(this.baseTotalSeconds);
+                    case 'cmi.location': return this.data[element] || this.api12.data['cmi.core.lesson_location'] || '';
+                    case 'cmi.suspend_data': return this.data[element] || this.api12.data['cmi.suspend_data'] || '';
+                    case 'cmi.completion_status': return this.data[element] || 'unknown';
+                    case 'cmi.success_status': return this.data[element] || 'unknown';
+                    case 'cmi.interactions._count': return String(this.interactions.length);
+                    case 'cmi.interactions._children': return 'id,type,objectives,timestamp,correct_responses,weighting,learner_response,result,latency,description';
+                    case 'cmi.score._children': return 'scaled,raw,min,max';
+                    case 'cmi.objectives._children': return 'id,score,success_status,completion_status,progress_measure,description';
+                    case 'cmi.learner_preference._children': return 'audio_level,language,delivery_speed,audio_captioning';
+                    case 'cmi.objectives._count':
+                    case 'cmi.comments_from_lms._count':
+                    case 'cmi.comments_from_learner._count':
+                        return String(this.data[element] || 0);
+                    case 'adl.nav.request': return this.data[element] || '_none_';
+                    case 'adl.nav.request_valid.continue':
+                    case 'adl.nav.request_valid.previous':
+                        return this.data[element] || 'unknown';
+                    case 'cmi.launch_data':
+                    case 'cmi.max_time_allowed':
+                    case 'cmi.time_limit_action':
+                    case 'cmi.completion_threshold':
+                    case 'cmi.scaled_passing_score':
+                        return this.data[element] || '';
+                    default:
+                        break;
+                }
+
+                if (Object.prototype.hasOwnProperty.call(this.data, element)) {
+                    return String(this.data[element]);
+                }
+                if (/^(cmi|adl)\\./.test(element)) {
+                    // Known element that has not been set yet
+                    return this.fail(403, '');
+                }
+                return this.fail(401, '');
+            }
+
+            SetValue(element, value) {
+                if (this.state === 'not_initialized') return this.fail(132);
+                if (this.state === 'terminated') return this.fail(133);
+                if (!element || typeof element !== 'string') return this.fail(351);
+                if (SCORM2004_READ_ONLY.indexOf(element) !== -1) return this.fail(404);
+
+                const stringValue = value === undefined || value === null ? '' : String(value);
+
+                const interactionMatch = /^cmi\\.interactions\\.(\\d+)\\.(.+)$/.exec(element);
+                if (interactionMatch) {
+                    return this.setInteractionValue(parseInt(interactionMatch[1], 10), interactionMatch[2], stringValue);
+                }
+
+                switch (element) {
+                    case 'cmi.completion_status':
+                        if (['completed', 'incomplete', 'not attempted', 'unknown'].indexOf(stringValue) === -1) return this.fail(406);
+                        this.data[element] = stringValue;
+                        this.mirrorLessonStatus();
+                        break;
+                    case 'cmi.success_status':
+                        if (['passed', 'failed', 'unknown'].indexOf(stringValue) === -1) return this.fail(406);
+                        this.data[element] = stringValue;
+                        this.mirrorLessonStatus();
+                        break;
+                    case 'cmi.progress_measure': {
+                        const measure = parseFloat(stringValue);
+                        if (isNaN(measure)) return this.fail(406);
+                        if (measure < 0 || measure > 1) return this.fail(407);
+                        this.data[element] = measure;
+                        break;
+                    }
+                    case 'cmi.score.scaled': {
+                        const scaled = parseFloat(stringValue);
+                        if (isNaN(scaled)) return this.fail(406);
+                        if (scaled < -1 || scaled > 1) return this.fail(407);
+                        this.data[element] = scaled;
+                        break;
+                    }
+                    case 'cmi.score.raw':
+                    case 'cmi.score.min':
+                    case 'cmi.score.max':
+                        if (isNaN(parseFloat(stringValue))) return this.fail(406);
+                        this.data[element] = stringValue;
+                        // Score range must be known before the raw score is validated by SCORMAPI
+                        this.api12.data[element.replace('cmi.score.', 'cmi.core.score.')] = stringValue;
+                        if (element === 'cmi.score.raw') {
+                            this.api12.LMSSetValue('cmi.core.score.raw', stringValue);
+                        }
+                        break;
+                    case 'cmi.location':
+                        if (stringValue.length > 1000) return this.fail(407);
+                        this.data[element] = stringValue;
+                        this.api12.LMSSetValue('cmi.core.lesson_location', stringValue);
+                        break;
+                    case 'cmi.suspend_data':
+                        if (stringValue.length > 64000) return this.fail(407);
+                        this.data[element] = stringValue;
+                        this.api12.LMSSetValue('cmi.suspend_data', stringValue);
+                        break;
+                    case 'cmi.exit':
+                        if (['time-out', 'suspend', 'logout', 'normal', ''].indexOf(stringValue) === -1) return this.fail(406);
+                        this.data[element] = stringValue;
+                        this.api12.LMSSetValue('cmi.core.exit', stringValue);
+                        break;
+                    case 'cmi.session_time':
+                        if (!ISO_DURATION.test(stringValue) || stringValue === 'P' || /T$/.test(stringValue)) return this.fail(406);
+                        this.data[element] = stringValue;
+                        this.sessionSeconds = isoDurationToSeconds(stringValue);
+                        // Total time = previous attempts + this session
+                        this.api12.LMSSetValue('cmi.core.total_time', secondsToScorm12Time(this.baseTotalSeconds + this.sessionSeconds));
+                        break;
+                    case 'adl.nav.request':
+                        if (!/^(continue|previous|exit|exitAll|abandon|abandonAll|suspendAll|_none_|\\{target=[^}]+\\}(choice|jump))$/.test(stringValue)) return this.fail(406);
+                        this.data[element] = stringValue;
+                        break;
+                    default:
+                        if (!/^(cmi|adl)\\./.test(element)) return this.fail(401);
+                        // Objectives, comments and learner preferences are kept for the session only
+                        this.data[element] = stringValue;
+                        break;
+                }
+
+                this.api12.hasUncommittedChanges = true;
+                this.errorCode = 0;
+                return 'true';
+            }
+
+            // Derive the 1.2 lesson status (success status wins over completion status)
+            mirrorLessonStatus() {
+                const success = this.data['cmi.success_status'];
+                const completion = this.data['cmi.completion_status'];
+                let lessonStatus = null;
+                if (success === 'passed' || success === 'failed') {
+                    lessonStatus = success;
+                } else if (completion === 'completed' || completion === 'incomplete' || completion === 'not attempted') {
+                    lessonStatus = completion;
+                }
+                if (lessonStatus) {
+                    this.api12.LMSSetValue('cmi.core.lesson_status', lessonStatus);
+                }
+            }
+
+            getInteractionValue(index, field) {
+                const interaction = this.interactions[index];
+                if (!interaction) return this.fail(301, '');
+                if (field === 'correct_responses._count') {
+                    return String((interaction.correct_responses || []).length);
+                }
+                const responseMatch = /^correct_responses\\.(\\d+)\\.pattern$/.exec(field);
+                if (responseMatch) {
+                    const pattern = (interaction.correct_responses || [])[parseInt(responseMatch[1], 10)];
+                    return pattern === undefined ? this.fail(301, '') : pattern;
+                }
+                if (field === 'objectives._count') {
+                    return String(interaction.objectivesCount || 0);
+                }
+                if (SCORM2004_INTERACTION_FIELDS.indexOf(field) === -1) return this.fail(401, '');
+                if (interaction[field] === undefined) return this.fail(403, '');
+                return String(interaction[field]);
+            }
+
+            setInteractionValue(index, field, value) {
+                // Interactions are appended in order: n may be at most _count
+                if (index > this.interactions.length) return this.fail(351);
+                if (index === this.interactions.length) {
+                    if (field !== 'id') return this.fail(408);
+                    this.interactions.push({});
+                }
+                const interaction = this.interactions[index];
+                if (field !== 'id' && !interaction.id) return this.fail(408);
+
+                const responseMatch = /^correct_responses\\.(\\d+)\\.pattern$/.exec(field);
+                if (responseMatch) {
+                    const responses = interaction.correct_responses || [];
+                    const responseIndex = parseInt(responseMatch[1], 10);
+                    if (responseIndex > responses.length) return this.fail(351);
+                    responses[responseIndex] = value;
+                    interaction.correct_responses = responses;
+                } else if (/^objectives\\.(\\d+)\\.id$/.test(field)) {
+                    interaction.objectivesCount = (interaction.objectivesCount || 0) + 1;
+                } else if (SCORM2004_INTERACTION_FIELDS.indexOf(field) === -1) {
+                    return this.fail(401);
+                } else {
+                    if (field === 'type' && SCORM2004_INTERACTION_TYPES.indexOf(value) === -1) return this.fail(406);
+                    if (field === 'result' && ['correct', 'incorrect', 'unanticipated', 'neutral'].indexOf(value) === -1 && isNaN(parseFloat(value))) {
+                        return this.fail(406);
+                    }
+                    if (field === 'weighting' && isNaN(parseFloat(value))) return this.fail(406);
+                    if (field === 'latency' && !ISO_DURATION.test(value)) return this.fail(406);
+                    interaction[field] = value;
+                }
+
+                this.api12.hasUncommittedChanges = true;
+                this.errorCode = 0;
+                return 'true';
+            }
+
+            // Called by SCORMAPI after loading saved progress
+            loadFromProgress(progress) {
+                if (!progress) return;
+                if (progress.timeSpent) {
+                    const parts = String(progress.timeSpent).split(':');
+                    if (parts.length >= 3) {
+                        this.baseTotalSeconds = (parseInt(parts[0]) || 0) * 3600 + (parseInt(parts[1]) || 0) * 60 + (parseFloat(parts[2]) || 0);
+                    }
+                }
+                if (progress.completionStatus) this.data['cmi.completion_status'] = progress.completionStatus;
+                if (progress.successStatus) this.data['cmi.success_status'] = progress.successStatus;
+                if (progress.progressMeasure !== null && progress.progressMeasure !== undefined) {
+                    this.data['cmi.progress_measure'] = progress.progressMeasure;
+                }
+                if (progress.score && progress.score.scaled !== null && progress.score.scaled !== undefined) {
+                    this.data['cmi.score.scaled'] = progress.score.scaled;
+                }
+                if (progress.lessonLocation) this.data['cmi.location'] = progress.lessonLocation;
+                if (Array.isArray(progress.interactions)) {
+                    this.interactions = progress.interactions.map(function(item) {
+                        return {
+                            id: item.interactionId,
+                            type: item.type,
+                            description: item.description,
+                            learner_response: item.learnerResponse,
+                            correct_responses: item.correctResponses || [],
+                            result: item.result,
+                            weighting: item.weighting === null ? undefined : item.weighting,
+                            latency: item.latency || undefined,
+                            timestamp: item.timestamp || undefined,
+                        };
+                    });
+                }
+            }
+
+            // Extra fields sent with every SCORMAPI commit
+            getProgressFields() {
+                const fields = {
+                    scormVersion: '2004',
+                    completionStatus: this.data['cmi.completion_status'] || 'unknown',
+                    successStatus: this.data['cmi.success_status'] || 'unknown',
+                    interactions: this.interactions.map(function(item) {
+                        return {
+                            interactionId: item.id,
+                            type: item.type,
+                            description: item.description || '',
+                            learnerResponse: item.learner_response || '',
+                            correctResponses: item.correct_responses || [],
+                            result: item.result || '',
+                            weighting: item.weighting !== undefined ? parseFloat(item.weighting) : null,
+                            latency: item.latency || '',
+                            timestamp: item.timestamp || '',
+                        };
+                    }),
+                };
+                if (this.data['cmi.progress_measure'] !== undefined) {
+                    fields.progressMeasure = this.data['cmi.progress_measure'];
+                }
+                if (this.data['cmi.score.scaled'] !== undefined) {
+                    fields.scoreScaled = this.data['cmi.score.scaled'];
+                }
+                return fields;
+            }
+        }
+
         // ============================================================
         // CRITICAL: Create API IMMEDIATELY - BEFORE any SCORM scripts run
         // This is the KEY to preventing "unable to acquire LMS API" popup
@@ -1371,6 +2000,8 @@ const getWrapper = async (req, res) => {
         
         // Create API instance IMMEDIATELY
         const api = new SCORMAPI(contentId, contentType, userId);
+        const api2004 = new SCORM2004API(api);
+        console.log('[SCORM API] Package schema version:', scormVersion);
         
         // Removed: Last video detection - completion now based on score, progress, and time only
         
@@ -1391,7 +2022,7 @@ const getWrapper = async (req, res) => {
         console.log('[SCORM API] ✅ window.API created - SCORM will find this!');
         
         // Inject into window IMMEDIATELY - SCORM 2004  
-        window.API_1484_11 = api;
+        window.API_1484_11 = api2004;
         console.log('[SCORM API] ✅ window.API_1484_11 created - SCORM will find this!');
         
         // Ensure API stays available (monitor and restore if cleared)
@@ -1401,7 +2032,7 @@ const getWrapper = async (req, res) => {
                 console.log('[SCORM API] Restored window.API');
             }
             if (!window.API_1484_11 || window.API_1484_11 === null || window.API_1484_11 === undefined) {
-                window.API_1484_11 = api;
+                window.API_1484_11 = api2004;
                 console.log('[SCORM API] Restored window.API_1484_11');
             }
         };
@@ -1548,6 +2179,9 @@ const getWrapper = async (req, res) => {
             const apiGetter = function() {
                 return api;
             };
+            const api2004Getter = function() {
+                return api2004;
+            };
             const apiSetter = function(value) {
                 // SCORM will call SCORM2004_objAPI = SCORM2004_GrabAPI();
                 // We intentionally ignore the assigned value to keep our API bound.
@@ -1560,14 +2194,14 @@ const getWrapper = async (req, res) => {
                 Object.defineProperty(window, 'SCORM2004_objAPI', {
                     configurable: true,
                     enumerable: true,
-                    get: apiGetter,
+                    get: api2004Getter,
                     set: apiSetter,
                 });
                 console.log('[SCORM Shim] ✅ SCORM2004_objAPI accessor defined');
             } catch (e) {
                 console.warn('[SCORM Shim] Could not redefine SCORM2004_objAPI accessor:', e.message);
                 // Fallback: direct assignment (less robust, but better than nothing)
-                window.SCORM2004_objAPI = api;
+                window.SCORM2004_objAPI = api2004;
             }
             
             // Redefine SCORM_objAPI with getter/setter
@@ -1587,7 +2221,7 @@ const getWrapper = async (req, res) => {
         } catch (e) {
             console.error('[SCORM Shim] Error setting SCORM *_objAPI accessors:', e);
             // Absolute fallback: direct assignment (original behavior)
-            window.SCORM2004_objAPI = api;
+            window.SCORM2004_objAPI = api2004;
             window.SCORM_objAPI = api;
         }
         
@@ -1597,7 +2231,7 @@ const getWrapper = async (req, res) => {
             if (window.parent && window.parent !== window) {
                 try {
                     window.parent.API = api;
-                    window.parent.API_1484_11 = api;
+                    window.parent.API_1484_11 = api2004;
                 } catch (e) {
                     // Cross-origin - that's okay, parent is React app (localhost:3000)
                     // We can't set it, but that's fine since API is in current window
@@ -1611,7 +2245,7 @@ const getWrapper = async (req, res) => {
             if (window.top && window.top !== window) {
                 try {
                     window.top.API = api;
-                    window.top.API_1484_11 = api;
+                    window.top.API_1484_11 = api2004;
                 } catch (e) {
                     // Cross-origin - that's okay
                 }
@@ -1790,12 +2424,19 @@ const getWrapper = async (req, res) => {
                     }
                     
                     // Calculate progress based on lesson location, time, and score
-                    const calculatedProgress = api.calculateProgress(
+                    let calculatedProgress = api.calculateProgress(
                         lessonLocation,
                         timeSpentSeconds,
                         parsedScore,
                         parsedMaxScore
                     );
+                    // SCORM 2004 content can report its own progress (cmi.progress_measure, 0..1)
+                    if (typeof api2004.data['cmi.progress_measure'] === 'number') {
+                        calculatedProgress = Math.max(calculatedProgress, api2004.data['cmi.progress_measure'] * 100);
+                    }
+                    if (status === 'completed' || status === 'passed') {
+                        calculatedProgress = 100;
+                    }
                     api.progressData.currentProgress = calculatedProgress;
                     
                     // Format time for display (convert seconds to HH:MM:SS.SS)
@@ -2052,7 +2693,9 @@ const recordLastVideoWatch = async (req, res) => {
     }
     
     // Get child profile
-    const child = await ChildProfile.findOne({ parent: userId });
+    const child = req.childSession
+      ? await ChildProfile.findById(req.childSession.childId)
+      : await ChildProfile.findOne({ parent: userId });
     if (!child) {
       return res.status(404).json({
         success: false,
@@ -2118,7 +2761,54 @@ const recordLastVideoWatch = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Validate a SCORM package before creating content
+ * @route   POST /api/scorm/validate
+ * @access  Private (Admin/Teacher only)
+ * 
+ * Request (multipart/form-data):
+ * - scormFile: File (required) - SCORM ZIP file
+ * 
+ * Returns the validation report (errors, warnings, sizes, detected version, title and
+ * slide count). The uploaded file is deleted afterwards - content create endpoints
+ * validate their own upload again.
+ */
+const validatePackage = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a SCORM file (ZIP format)',
+      });
+    }
+    
+    const report = await scormService.inspectScormPackage(req.file.path, req.file.originalname);
+    if (report.valid) {
+      const detected = await scormService.detectSlideCount(req.file.path);
+      report.slideCount = detected.slideCount;
+      report.slideCountSource = detected.source;
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: report.valid ? 'SCORM package is valid' : 'SCORM package failed validation',
+      data: report,
+    });
+  } catch (error) {
+    console.error('Error validating SCORM package:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to validate SCORM package',
+    });
+  } finally {
+    if (req.file) {
+      await fs.remove(req.file.path);
+    }
+  }
+};
+
 module.exports = {
+  validatePackage,
   getLaunchUrl,
   saveProgress,
   getProgress,
@@ -0,0 +1,132 @@
+const skillService = require('../services/skill.services');
+const skillMasteryService = require('../services/skillMastery.service');
+
+/**
+ * @desc    Get all skills (flat, in tree order, with path and depth)
+ * @route   GET /api/skills
+ * @access  Private (Admin/Teacher only)
+ *
+ * Query parameters:
+ * - includeInactive: Include deactivated skills (true/false)
+ */
+const getAllSkills = async (req, res) => {
+  try {
+    const skills = await skillService.getAllSkills(req.query);
+
+    res.status(200).json({
+      success: true,
+      message: 'Skills retrieved successfully',
+      data: skills,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to retrieve skills',
+    });
+  }
+};
+
+/**
+ * @desc    Create new skill
+ * @route   POST /api/skills
+ * @access  Private (Admin only)
+ *
+ * Body:
+ * - name: String (required)
+ * - description: String (optional)
+ * - parent: String (optional) - Parent skill ID, empty for a top-level area
+ * - icon: String (optional) - Emoji
+ * - order: Number (optional) - Order among siblings
+ */
+const createSkill = async (req, res) => {
+  try {
+    const skill = await skillService.createSkill(req.user._id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Skill created successfully',
+      data: skill,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to create skill',
+    });
+  }
+};
+
+/**
+ * @desc    Update skill
+ * @route   PUT /api/skills/:id
+ * @access  Private (Admin only)
+ *
+ * Body: same fields as create plus isActive, all optional
+ */
+const updateSkill = async (req, res) => {
+  try {
+    const skill = await skillService.updateSkill(req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Skill updated successfully',
+      data: skill,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to update skill',
+    });
+  }
+};
+
+/**
+ * @desc    Delete skill (removes it from tagged content and children's mastery)
+ * @route   DELETE /api/skills/:id
+ * @access  Private (Admin only)
+ */
+const deleteSkill = async (req, res) => {
+  try {
+    const result = await skillService.deleteSkill(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: { id: result.id },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to delete skill',
+    });
+  }
+};
+
+/**
+ * @desc    Get a child's skills tree with mastery
+ * @route   GET /api/skills/child/:childId
+ * @access  Private (Parent/Admin)
+ */
+const getChildSkills = async (req, res) => {
+  try {
+    const result = await skillMasteryService.getChildSkills(req.params.childId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Child skills retrieved successfully',
+      data: result,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to retrieve child skills',
+    });
+  }
+};
+
+module.exports = {
+  getAllSkills,
+  createSkill,
+  updateSkill,
+  deleteSkill,
+  getChildSkills,
+};
@@ -0,0 +1,85 @@
+const streakService = require('../services/streak.service');
+
+/**
+ * @desc    Get a child's streak status
+ * @route   GET /api/streaks/child/:childId
+ * @access  Private (Parent/child session for own children, Admin)
+ *
+ * Response data: currentStreak, longestStreak, activeToday, atRisk, freezesNeeded,
+ * streakFreezes, maxStreakFreezes, freezeCost, timezone, today, lastActivityDay
+ */
+const getStreak = async (req, res) => {
+  try {
+    const streak = await streakService.getStreak(req.params.childId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Streak retrieved successfully',
+      data: streak,
+    });
+  } catch (error) {
+    console.error('Error getting streak:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to get streak',
+    });
+  }
+};
+
+/**
+ * @desc    Get a child's streak calendar
+ * @route   GET /api/streaks/child/:childId/history
+ * @access  Private (Parent/child session for own children, Admin)
+ *
+ * Query params:
+ * - from: First day (YYYY-MM-DD)
+ * - to: Last day (YYYY-MM-DD, default: today in the child's timezone)
+ * - days: Number of days ending at `to` when from is omitted (default: 30, max: 366)
+ */
+const getStreakHistory = async (req, res) => {
+  try {
+    const { from, to, days } = req.query;
+    const history = await streakService.getStreakHistory(req.params.childId, { from, to, days });
+
+    res.status(200).json({
+      success: true,
+      message: 'Streak history retrieved successfully',
+      data: history,
+    });
+  } catch (error) {
+    console.error('Error getting streak history:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to get streak history',
+    });
+  }
+};
+
+/**
+ * @desc    Buy a streak freeze with spendable stars
+ * @route   POST /api/streaks/child/:childId/freezes
+ * @access  Private (Parent/child session for own children)
+ */
+const purchaseStreakFreeze = async (req, res) => {
+  try {
+    const result = await streakService.purchaseStreakFreeze(req.params.childId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Streak freeze purchased successfully',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error purchasing streak freeze:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to purchase streak freeze',
+    });
+  }
+};
+
+module.exports = {
+  getStreak,
+  getStreakHistory,
+  purchaseStreakFreeze,
+};
@@ -5,7 +5,7 @@ const {
   cancelSubscription,
   getSubscription,
 } = require('../services/stripe.services');
-const { generateToken } = require('../services/auth.services');
+const { generateToken, sendVerificationEmail } = require('../services/auth.services');
 
 /**
  * Phase 1 Stripe controller
@@ -55,6 +55,13 @@ exports.createParentSignupSession = async (req, res, next) => {
       subscriptionStatus: 'inactive',
     });
 
+    // Send verification email (signup must not fail if the mail transport is down)
+    try {
+      await sendVerificationEmail(user._id);
+    } catch (error) {
+      console.error('[Auth] Failed to send verification email:', error.message);
+    }
+
     const frontendBaseUrl = process.env.FRONTEND_BASE_URL || 'http://localhost:3000';
 
     const successUrl = `${frontendBaseUrl}/parent/signup/success?session_id={CHECKOUT_SESSION_ID}`;
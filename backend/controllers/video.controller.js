@@ -13,6 +13,7 @@ const videoService = require('../services/video.services');
  * - requiredWatchCount: Number (optional, default: 5) - Number of times video must be watched to earn stars
  * - badgeAwarded: String (optional) - Badge ID
  * - tags: JSON String (optional) - Array of tag strings
+ * - skills: JSON String (optional) - Array of skill IDs
  * - videoFile: File (required) - Playable video file
  * - scormFile: File (optional) - SCORM ZIP file from Adobe (optional for video-only lessons)
  * - coverImage: File (optional) - Cover image/thumbnail for the video
@@ -37,10 +38,14 @@ const createVideo = async (req, res) => {
       data: video,
     });
   } catch (error) {
-    const statusCode = error.message.includes('Invalid') || error.message.includes('required') ? 400 : 500;
+    const statusCode =
+      error.statusCode ||
+      (error.message.includes('Invalid') || error.message.includes('required') ? 400 : 500);
     res.status(statusCode).json({
       success: false,
       message: error.message || 'Failed to create video',
+      // SCORM package problems (path traversal, file types, size limits, ...)
+      validationReport: error.validationReport,
     });
   }
 };
@@ -127,6 +132,7 @@ const getVideoById = async (req, res) => {
  * - duration: Number (optional) - in seconds
  * - starsAwarded: Number (optional)
  * - requiredWatchCount: Number (optional) - Number of times video must be watched to earn stars
+ * - skills: JSON String (optional) - Array of skill IDs, replaces the list
  * - coverImage: File (optional) - New cover image/thumbnail
  */
 const updateVideo = async (req, res) => {
@@ -191,11 +197,37 @@ const deleteVideo = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Transcode video to HLS again (e.g. after processing failed)
+ * @route   POST /api/videos/:id/reprocess
+ * @access  Private (Admin/Teacher only)
+ */
+const reprocessVideo = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const video = await videoService.reprocessVideo(id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Video queued for processing',
+      data: video,
+    });
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found') ? 404 : 500);
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to queue video for processing',
+    });
+  }
+};
+
 module.exports = {
   createVideo,
   getAllVideos,
   getVideoById,
   updateVideo,
   deleteVideo,
+  reprocessVideo,
 };
 
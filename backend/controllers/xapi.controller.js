@@ -0,0 +1,233 @@
+const xapiService = require('../services/xapi.service');
+const cmi5Service = require('../services/cmi5.service');
+
+/**
+ * xAPI LRS Controller
+ *
+ * Successful responses follow the xAPI 1.0.3 spec (statement id arrays,
+ * StatementResult objects) so xAPI content and external LRS tools can use
+ * these endpoints directly. Errors use the usual { success, message } body.
+ *
+ * Requests authenticated with cmi5 launch credentials (req.cmi5Session) also
+ * update the launched AU's session from the statements they store.
+ */
+
+const sendError = (res, error, fallbackMessage) => {
+  const statusCode = error.statusCode || 500;
+  if (statusCode === 500) {
+    console.error('[xAPI] Error:', error);
+  }
+  res.status(statusCode).json({
+    success: false,
+    message: error.message || fallbackMessage,
+  });
+};
+
+/**
+ * @desc    Get LRS information
+ * @route   GET /api/xapi/about
+ * @access  Public
+ */
+const getAbout = async (req, res) => {
+  res.status(200).json({
+    version: [xapiService.XAPI_VERSION],
+  });
+};
+
+/**
+ * @desc    Store statements
+ * @route   POST /api/xapi/statements
+ * @access  Private (Admin/Teacher: any actor, Parent/child session: own children only)
+ *
+ * Request body: a statement or an array of statements
+ * Response: array of stored statement ids
+ */
+const postStatements = async (req, res) => {
+  try {
+    const allowedChildIds = await xapiService.getAccessibleChildIds(req.user, req.childSession);
+    const ids = await xapiService.saveStatements(req.body, {
+      user: req.user,
+      allowedChildIds,
+    });
+
+    if (req.cmi5Session) {
+      await cmi5Service.handleSessionStatements(req.cmi5Session, req.body);
+    }
+
+    res.status(200).json(ids);
+  } catch (error) {
+    sendError(res, error, 'Failed to store statements');
+  }
+};
+
+/**
+ * @desc    Store a statement with a client-chosen id
+ * @route   PUT /api/xapi/statements?statementId=<uuid>
+ * @access  Private (Admin/Teacher: any actor, Parent/child session: own children only)
+ *
+ * Request body: a single statement
+ * Response: 204 No Content
+ */
+const putStatement = async (req, res) => {
+  try {
+    const { statementId } = req.query;
+
+    if (!statementId) {
+      return res.status(400).json({
+        success: false,
+        message: 'statementId parameter is required',
+      });
+    }
+
+    const allowedChildIds = await xapiService.getAccessibleChildIds(req.user, req.childSession);
+    await xapiService.saveStatements(req.body, {
+      user: req.user,
+      allowedChildIds,
+      statementId,
+    });
+
+    if (req.cmi5Session) {
+      await cmi5Service.handleSessionStatements(req.cmi5Session, req.body);
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to store statement');
+  }
+};
+
+/**
+ * @desc    Get a statement or query statements
+ * @route   GET /api/xapi/statements
+ * @access  Private (Admin/Teacher: all statements, Parent/child session: own children only)
+ *
+ * Query params:
+ * - statementId / voidedStatementId: get a single statement
+ * - agent: JSON agent (e.g. {"mbox":"mailto:kid@example.com"})
+ * - verb: verb IRI
+ * - activity: activity IRI (related_activities=true also matches context activities)
+ * - registration: registration UUID
+ * - since / until: ISO 8601 dates (stored time)
+ * - limit: page size (0 = server maximum)
+ * - ascending: "true" for oldest first
+ * - cursor: page offset (from the "more" link)
+ */
+const getStatements = async (req, res) => {
+  try {
+    const allowedChildIds = await xapiService.getAccessibleChildIds(req.user, req.childSession);
+    const result = await xapiService.getStatements(req.query, { allowedChildIds });
+
+    res.set('X-Experience-API-Consistent-Through', new Date().toISOString());
+
+    if (result.statement) {
+      return res.status(200).json(result.statement);
+    }
+
+    let more = '';
+    if (result.nextCursor) {
+      const params = new URLSearchParams({ ...req.query, cursor: result.nextCursor });
+      more = `${req.baseUrl}${req.path}?${params.toString()}`;
+    }
+
+    res.status(200).json({
+      statements: result.statements,
+      more,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to get statements');
+  }
+};
+
+/**
+ * @desc    Get a state document, or the list of state ids when stateId is omitted
+ * @route   GET /api/xapi/activities/state
+ * @access  Private (Admin/Teacher: any agent, Parent/child session: own children only)
+ *
+ * Query params: activityId, agent (JSON), registration, stateId, since
+ */
+const getState = async (req, res) => {
+  try {
+    const allowedChildIds = await xapiService.getAccessibleChildIds(req.user, req.childSession);
+    const result = await xapiService.getStateDocument(req.query, { allowedChildIds });
+
+    if (result.stateIds) {
+      return res.status(200).json(result.stateIds);
+    }
+
+    res.status(200).type(result.document.contentType).send(result.document.content);
+  } catch (error) {
+    sendError(res, error, 'Failed to get state');
+  }
+};
+
+/**
+ * @desc    Store a state document (PUT replaces, POST merges JSON objects)
+ * @route   PUT/POST /api/xapi/activities/state
+ * @access  Private (Admin/Teacher: any agent, Parent/child session: own children only)
+ *
+ * Query params: activityId, agent (JSON), registration, stateId
+ * Request body: the document (JSON or text)
+ * Response: 204 No Content
+ */
+const saveState = async (req, res) => {
+  try {
+    const allowedChildIds = await xapiService.getAccessibleChildIds(req.user, req.childSession);
+    await xapiService.saveStateDocument(req.query, req.body, {
+      merge: req.method === 'POST',
+      allowedChildIds,
+    });
+
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to store state');
+  }
+};
+
+/**
+ * @desc    Delete a state document, or all of them when stateId is omitted
+ * @route   DELETE /api/xapi/activities/state
+ * @access  Private (Admin/Teacher: any agent, Parent/child session: own children only)
+ *
+ * Query params: activityId, agent (JSON), registration, stateId
+ * Response: 204 No Content
+ */
+const deleteState = async (req, res) => {
+  try {
+    const allowedChildIds = await xapiService.getAccessibleChildIds(req.user, req.childSession);
+    await xapiService.deleteStateDocument(req.query, { allowedChildIds });
+
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to delete state');
+  }
+};
+
+/**
+ * @desc    Get an agent profile document (profiles are not stored; cmi5 AUs
+ *          read "cmi5LearnerPreferences" and fall back to defaults on 404)
+ * @route   GET /api/xapi/agents/profile
+ * @access  Private (Admin/Teacher/Parent/child session)
+ *
+ * Query params: agent (JSON), profileId, since
+ */
+const getAgentProfile = async (req, res) => {
+  if (req.query.profileId) {
+    return res.status(404).json({
+      success: false,
+      message: 'Agent profile not found',
+    });
+  }
+
+  res.status(200).json([]);
+};
+
+module.exports = {
+  getAbout,
+  postStatements,
+  putStatement,
+  getStatements,
+  getState,
+  saveState,
+  deleteState,
+  getAgentProfile,
+};
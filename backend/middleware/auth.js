@@ -1,5 +1,5 @@
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { User, ChildProfile, Cmi5Session } = require('../models');
 
 /**
  * Authentication Middleware
@@ -49,6 +49,33 @@ const protect = async (req, res, next) => {
       });
     }
 
+    // Reject tokens issued before the password was last reset
+    if (user.passwordChangedAt && decoded.iat * 1000 < user.passwordChangedAt.getTime()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed. Please log in again.',
+      });
+    }
+
+    // Child-scoped token: issued to a parent for one selected child
+    // The child must still exist, be active and belong to the token's parent
+    if (decoded.scope === 'child') {
+      const child = await ChildProfile.findOne({
+        _id: decoded.childId,
+        parent: user._id,
+        isActive: true,
+      }).select('_id');
+
+      if (!child) {
+        return res.status(401).json({
+          success: false,
+          message: 'Child session is no longer valid.',
+        });
+      }
+
+      req.childSession = { childId: child._id.toString() };
+    }
+
     // Attach user to request object
     req.user = user;
     next();
@@ -89,5 +116,124 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, authorize };
+/**
+ * Child Session Guard Middleware
+ * 
+ * Blocks child-scoped tokens from parent-only routes
+ * (parent dashboard, child management, account settings, billing)
+ * Must be used after protect middleware
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const denyChildSession = (req, res, next) => {
+  if (req.childSession) {
+    return res.status(403).json({
+      success: false,
+      message: 'This route is not available in a child session.',
+    });
+  }
+
+  next();
+};
+
+/**
+ * Child Access Param Middleware
+ * 
+ * Use with router.param('childId', requireChildAccess)
+ * - Child session: the token's child must match the route's child
+ * - Parent: the child must belong to the parent
+ * - Admin/teacher: allowed (role checks are done by authorize)
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @param {String} childId - Child ID from the route parameter
+ */
+const requireChildAccess = async (req, res, next, childId) => {
+  if (!req.user) {
+    return next();
+  }
+
+  if (req.childSession) {
+    if (req.childSession.childId !== String(childId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This child session cannot access another child.',
+      });
+    }
+    return next();
+  }
+
+  if (req.user.role === 'parent') {
+    try {
+      const child = await ChildProfile.exists({ _id: childId, parent: req.user._id });
+      if (!child) {
+        return res.status(403).json({
+          success: false,
+          message: 'Child not found or does not belong to you',
+        });
+      }
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: 'Child not found',
+      });
+    }
+  }
+
+  next();
+};
+
+/**
+ * LRS Authentication Middleware
+ * 
+ * For the xAPI endpoints. Accepts the usual Bearer JWT (protect) and the
+ * HTTP Basic credentials a cmi5 AU receives from the fetch URL.
+ * cmi5 credentials act as a child session for the launched child and
+ * attach the launch session as req.cmi5Session.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const protectLrs = async (req, res, next) => {
+  const authorization = req.headers.authorization || '';
+  if (!authorization.startsWith('Basic ')) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const credentials = Buffer.from(authorization.slice(6), 'base64').toString('utf-8');
+    const authToken = credentials.slice(credentials.indexOf(':') + 1);
+
+    const session = authToken
+      ? await Cmi5Session.findOne({ authToken, expiresAt: { $gt: new Date() } })
+      : null;
+    const child = session
+      ? await ChildProfile.findOne({ _id: session.child, isActive: true }).select('_id parent')
+      : null;
+    const user = child ? await User.findById(child.parent).select('-password') : null;
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Launch session is not valid or has expired.',
+      });
+    }
+
+    req.user = user;
+    req.childSession = { childId: child._id.toString() };
+    req.cmi5Session = session;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to access this route. Invalid credentials.',
+    });
+  }
+};
+
+module.exports = { protect, protectLrs, authorize, denyChildSession, requireChildAccess };
 
@@ -1,6 +1,8 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const storageService = require('../services/storage.service');
+const resumableUploadService = require('../services/resumableUpload.service');
 
 /**
  * Generate filename with date/time formatter
@@ -26,23 +28,31 @@ const generateFileName = (originalname) => {
  * File Upload Middleware
  * 
  * Handles file uploads for activities, books, and other content
- * Files are stored locally in the uploads directory
+ * Files are written to the uploads directory, then stored with the configured
+ * storage driver (see storage.service.js); file.storageKey holds the key
+ * SCORM ZIPs are stored in quarantine until scormService.releaseScormUpload() validates them
  */
 
+// Not served statically - packages are moved to uploads/activities/scorm once valid
+const SCORM_QUARANTINE_PATH = path.join(__dirname, '../quarantine/scorm');
+
 // Ensure upload directories exist
 const ensureUploadDirs = () => {
   const dirs = [
     path.join(__dirname, '../uploads/activities'),
     path.join(__dirname, '../uploads/activities/scorm'),
+    SCORM_QUARANTINE_PATH,
     path.join(__dirname, '../uploads/scorm'),
     path.join(__dirname, '../uploads/scorm/audio-assignments'),
     path.join(__dirname, '../uploads/scorm/chants'),
+    path.join(__dirname, '../uploads/cmi5'),
     path.join(__dirname, '../uploads/media/images'),
     path.join(__dirname, '../uploads/media/videos'),
     path.join(__dirname, '../uploads/media/audio'),
     path.join(__dirname, '../uploads/media/other'),
     path.join(__dirname, '../uploads/courses'),
     path.join(__dirname, '../uploads/kids-wall'),
+    path.join(__dirname, '../uploads/rewards'),
   ];
 
   dirs.forEach(dir => {
@@ -54,8 +64,42 @@ const ensureUploadDirs = () => {
 
 ensureUploadDirs();
 
+/**
+ * Multer storage engine: writes like multer.diskStorage, then hands files
+ * below uploads/ to the storage driver and sets file.storageKey.
+ * Files written elsewhere (the SCORM quarantine) are left where they are.
+ * @param {Object} options - { destination, filename } as for multer.diskStorage
+ */
+const createUploadStorage = (options) => {
+  const diskStorage = multer.diskStorage(options);
+
+  return {
+    _handleFile(req, file, cb) {
+      diskStorage._handleFile(req, file, (error, info) => {
+        if (error) return cb(error);
+
+        const storageKey = storageService.toStorageKey(info.path);
+        if (!storageKey) return cb(null, info);
+
+        storageService
+          .saveFile(info.path, { key: storageKey, contentType: file.mimetype })
+          .then(() => cb(null, { ...info, storageKey }))
+          .catch((saveError) => {
+            fs.unlink(info.path, () => cb(saveError));
+          });
+      });
+    },
+    _removeFile(req, file, cb) {
+      diskStorage._removeFile(req, file, (error) => {
+        if (!file.storageKey) return cb(error);
+        storageService.removeFile(file.storageKey).then(() => cb(error), cb);
+      });
+    },
+  };
+};
+
 // Configure storage
-const storage = multer.diskStorage({
+const storage = createUploadStorage({
   destination: function (req, file, cb) {
     let uploadPath = path.join(__dirname, '../uploads/media');
     
@@ -138,9 +182,9 @@ const scormFileFilter = (req, file, cb) => {
 };
 
 // Storage for SCORM files
-const scormStorage = multer.diskStorage({
+const scormStorage = createUploadStorage({
   destination: function (req, file, cb) {
-    const uploadPath = path.join(__dirname, '../uploads/activities/scorm');
+    const uploadPath = SCORM_QUARANTINE_PATH;
     
     // Ensure directory exists
     if (!fs.existsSync(uploadPath)) {
@@ -182,12 +226,12 @@ const uploadScorm = multer({
 
 // Middleware for activity uploads (SCORM file + cover image)
 const uploadActivity = multer({
-  storage: multer.diskStorage({
+  storage: createUploadStorage({
     destination: function (req, file, cb) {
       let uploadPath;
       
       if (file.fieldname === 'scormFile') {
-        uploadPath = path.join(__dirname, '../uploads/activities/scorm');
+        uploadPath = SCORM_QUARANTINE_PATH;
       } else if (file.fieldname === 'coverImage') {
         uploadPath = path.join(__dirname, '../uploads/media/images');
       } else {
@@ -238,7 +282,7 @@ const uploadActivity = multer({
 
 // Middleware for activity update (cover image only, no SCORM file)
 const uploadActivityUpdate = multer({
-  storage: multer.diskStorage({
+  storage: createUploadStorage({
     destination: function (req, file, cb) {
       const uploadPath = path.join(__dirname, '../uploads/media/images');
       
@@ -275,12 +319,12 @@ const uploadActivityUpdate = multer({
 
 // Middleware for book uploads (SCORM file + cover image) - same as activity
 const uploadBook = multer({
-  storage: multer.diskStorage({
+  storage: createUploadStorage({
     destination: function (req, file, cb) {
       let uploadPath;
       
       if (file.fieldname === 'scormFile') {
-        uploadPath = path.join(__dirname, '../uploads/activities/scorm');
+        uploadPath = SCORM_QUARANTINE_PATH;
       } else if (file.fieldname === 'coverImage') {
         uploadPath = path.join(__dirname, '../uploads/media/images');
       } else {
@@ -328,7 +372,7 @@ const uploadBook = multer({
 
 // Middleware for book update (cover image only, no SCORM file)
 const uploadBookUpdate = multer({
-  storage: multer.diskStorage({
+  storage: createUploadStorage({
     destination: function (req, file, cb) {
       const uploadPath = path.join(__dirname, '../uploads/media/images');
       
@@ -362,14 +406,14 @@ const uploadBookUpdate = multer({
 
 // Middleware for video uploads (video file + SCORM file + cover image)
 const uploadVideo = multer({
-  storage: multer.diskStorage({
+  storage: createUploadStorage({
     destination: function (req, file, cb) {
       let uploadPath;
       
       if (file.fieldname === 'videoFile') {
         uploadPath = path.join(__dirname, '../uploads/media/videos');
       } else if (file.fieldname === 'scormFile') {
-        uploadPath = path.join(__dirname, '../uploads/activities/scorm');
+        uploadPath = SCORM_QUARANTINE_PATH;
       } else if (file.fieldname === 'coverImage') {
         uploadPath = path.join(__dirname, '../uploads/media/images');
       } else {
@@ -423,7 +467,7 @@ const uploadVideo = multer({
 
 // Middleware for video update (cover image only, no video/SCORM files)
 const uploadVideoUpdate = multer({
-  storage: multer.diskStorage({
+  storage: createUploadStorage({
     destination: function (req, file, cb) {
       const uploadPath = path.join(__dirname, '../uploads/media/images');
       
@@ -457,7 +501,7 @@ const uploadVideoUpdate = multer({
 
 // Middleware for audio assignment uploads (reference audio + cover image)
 const uploadAudioAssignment = multer({
-  storage: multer.diskStorage({
+  storage: createUploadStorage({
     destination: function (req, file, cb) {
       let uploadPath;
       
@@ -515,7 +559,7 @@ const uploadAudioAssignment = multer({
 
 // Middleware for audio assignment update (cover image + instruction video, no reference audio)
 const uploadAudioAssignmentUpdate = multer({
-  storage: multer.diskStorage({
+  storage: createUploadStorage({
     destination: function (req, file, cb) {
       let uploadPath = path.join(__dirname, '../uploads/media/other');
       
@@ -562,7 +606,7 @@ const uploadAudioAssignmentUpdate = multer({
 
 // Middleware for course cover image upload
 const uploadCourse = multer({
-  storage: multer.diskStorage({
+  storage: createUploadStorage({
     destination: function (req, file, cb) {
       const uploadPath = path.join(__dirname, '../uploads/courses');
       
@@ -596,7 +640,7 @@ const uploadCourse = multer({
 
 // Middleware for chant creation (audio, scormFile, coverImage - all optional)
 const uploadChant = multer({
-  storage: multer.diskStorage({
+  storage: createUploadStorage({
     destination: function (req, file, cb) {
       let uploadPath;
       
@@ -605,7 +649,7 @@ const uploadChant = multer({
       } else if (file.fieldname === 'instructionVideo') {
         uploadPath = path.join(__dirname, '../uploads/media/videos');
       } else if (file.fieldname === 'scormFile') {
-        uploadPath = path.join(__dirname, '../uploads/activities/scorm');
+        uploadPath = SCORM_QUARANTINE_PATH;
       } else if (file.fieldname === 'coverImage') {
         uploadPath = path.join(__dirname, '../uploads/media/images');
       } else {
@@ -666,7 +710,7 @@ const uploadChant = multer({
 
 // Middleware for chant update (cover image + instruction video only, no audio/scormFile)
 const uploadChantUpdate = multer({
-  storage: multer.diskStorage({
+  storage: createUploadStorage({
     destination: function (req, file, cb) {
       let uploadPath = path.join(__dirname, '../uploads/media/other');
       
@@ -711,13 +755,55 @@ const uploadChantUpdate = multer({
   { name: 'instructionVideo', maxCount: 1 },
 ]);
 
+// Middleware for quiz create/update (coverImage, plus question pictures and
+// sounds in fields named "upload:<key>" that the questions JSON refers to)
+const uploadQuiz = multer({
+  storage: createUploadStorage({
+    destination: function (req, file, cb) {
+      const uploadPath = file.mimetype.startsWith('audio/')
+        ? path.join(__dirname, '../uploads/media/audio')
+        : path.join(__dirname, '../uploads/media/images');
+
+      if (!fs.existsSync(uploadPath)) {
+        fs.mkdirSync(uploadPath, { recursive: true });
+      }
+
+      cb(null, uploadPath);
+    },
+    filename: function (req, file, cb) {
+      cb(null, generateFileName(file.originalname));
+    },
+  }),
+  fileFilter: function (req, file, cb) {
+    if (file.fieldname === 'coverImage') {
+      if (file.mimetype.startsWith('image/')) {
+        cb(null, true);
+      } else {
+        cb(new Error('Cover image must be an image file'), false);
+      }
+    } else if (file.fieldname.startsWith('upload:')) {
+      if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('audio/')) {
+        cb(null, true);
+      } else {
+        cb(new Error('Quiz pictures and sounds must be image or audio files'), false);
+      }
+    } else {
+      cb(new Error(`Unexpected file field: ${file.fieldname}`), false);
+    }
+  },
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB max file size
+    files: 300,
+  },
+}).any();
+
 // Middleware for child recorded audio submissions (single audio file)
 // Field name: recordedAudio
 const uploadRecordedAudio = upload.single('recordedAudio');
 
 // Middleware for explore content uploads (video file + cover photo for all video types)
 const uploadExplore = multer({
-  storage: multer.diskStorage({
+  storage: createUploadStorage({
     destination: function (req, file, cb) {
       let uploadPath;
       
@@ -767,7 +853,7 @@ const uploadExplore = multer({
 // Middleware for explore content update (cover photo only, no video file)
 // Cover photo allowed for all video types
 const uploadExploreUpdate = multer({
-  storage: multer.diskStorage({
+  storage: createUploadStorage({
     destination: function (req, file, cb) {
       const uploadPath = path.join(__dirname, '../uploads/media/images');
       
@@ -801,7 +887,7 @@ const uploadExploreUpdate = multer({
 
 // Middleware for KidsWall image uploads
 const uploadKidsWallImage = multer({
-  storage: multer.diskStorage({
+  storage: createUploadStorage({
     destination: function (req, file, cb) {
       const uploadPath = path.join(__dirname, '../uploads/kids-wall');
       
@@ -841,6 +927,90 @@ const uploadKidsWallImage = multer({
   },
 });
 
+// Middleware for reward item image uploads (admin rewards shop)
+const uploadRewardImage = multer({
+  storage: createUploadStorage({
+    destination: function (req, file, cb) {
+      const uploadPath = path.join(__dirname, '../uploads/rewards');
+
+      if (!fs.existsSync(uploadPath)) {
+        fs.mkdirSync(uploadPath, { recursive: true });
+      }
+
+      cb(null, uploadPath);
+    },
+    filename: function (req, file, cb) {
+      cb(null, generateFileName(file.originalname));
+    },
+  }),
+  fileFilter: function (req, file, cb) {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Reward image must be an image file'), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB max file size
+  },
+}).single('image');
+
+// Where files sent through /api/uploads go, per form field
+const RESUMABLE_FIELDS = {
+  scormFile: { purpose: 'scorm', destination: SCORM_QUARANTINE_PATH },
+  videoFile: { purpose: 'video', destination: path.join(__dirname, '../uploads/media/videos') },
+};
+
+/**
+ * Use completed resumable uploads (see resumableUpload.service.js) in place of
+ * multipart files: for each field, a "<field>UploadId" body value is turned
+ * into req.files[field] exactly as multer would have stored the file, so the
+ * create services need no changes. Runs after the route's multer middleware.
+ * @param {Array<String>} fieldNames - Fields that accept an upload id (keys of RESUMABLE_FIELDS)
+ */
+const attachResumableUploads = (fieldNames) => async (req, res, next) => {
+  try {
+    for (const fieldName of fieldNames) {
+      const uploadId = req.body?.[`${fieldName}UploadId`];
+      if (!uploadId) continue;
+
+      if (req.files?.[fieldName]?.length) {
+        const error = new Error(`Send either ${fieldName} or ${fieldName}UploadId, not both`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const { purpose, destination } = RESUMABLE_FIELDS[fieldName];
+      fs.mkdirSync(destination, { recursive: true });
+      const { upload, path: filePath } = await resumableUploadService.consumeUpload(uploadId, req.user._id, {
+        purpose,
+        getTargetPath: (completed) => path.join(destination, generateFileName(completed.fileName)),
+      });
+
+      const file = {
+        fieldname: fieldName,
+        originalname: upload.fileName,
+        encoding: '7bit',
+        mimetype: upload.mimeType,
+        destination,
+        filename: path.basename(filePath),
+        path: filePath,
+        size: upload.size,
+      };
+      const storageKey = storageService.toStorageKey(filePath);
+      if (storageKey) {
+        await storageService.saveFile(filePath, { key: storageKey, contentType: upload.mimeType });
+        file.storageKey = storageKey;
+      }
+
+      req.files = { ...(req.files || {}), [fieldName]: [file] };
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   upload,
   uploadActivityMedia,
@@ -855,10 +1025,13 @@ module.exports = {
   uploadAudioAssignmentUpdate,
   uploadChant,
   uploadChantUpdate,
+  uploadQuiz,
   uploadRecordedAudio,
   uploadCourse,
   uploadExplore,
   uploadExploreUpdate,
   uploadKidsWallImage,
+  uploadRewardImage,
+  attachResumableUploads,
 };
 
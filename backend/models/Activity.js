@@ -67,6 +67,13 @@ const activitySchema = new mongoose.Schema(
         trim: true,
       },
     ],
+    // Skills the content practises (feeds per-child skill mastery)
+    skills: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Skill',
+      },
+    ],
     isPublished: {
       type: Boolean,
       default: false,
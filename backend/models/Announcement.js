@@ -19,7 +19,7 @@ const announcementSchema = new mongoose.Schema(
       type: [
         {
           type: String,
-          enum: ['all', 'parents', 'children', 'admins'],
+          enum: ['all', 'parents', 'children', 'teachers', 'admins'],
         },
       ],
       default: ['all'],
@@ -30,6 +30,12 @@ const announcementSchema = new mongoose.Schema(
       enum: ['low', 'normal', 'high', 'urgent'],
       default: 'normal',
     },
+    // How the announcement is shown in the apps (urgent ones always open as a modal)
+    displayAs: {
+      type: String,
+      enum: ['banner', 'modal'],
+      default: 'banner',
+    },
     // Media attachment (optional)
     attachment: {
       type: mongoose.Schema.Types.ObjectId,
@@ -56,13 +62,19 @@ const announcementSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
-    // Read tracking (optional - for future)
+    // Read receipts - one per user, or per child for announcements read in the child app
+    // (child entries also store the parent account the child used)
     readBy: [
       {
         user: {
           type: mongoose.Schema.Types.ObjectId,
           ref: 'User',
         },
+        child: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'ChildProfile',
+          default: null,
+        },
         readAt: {
           type: Date,
           default: Date.now,
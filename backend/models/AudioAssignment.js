@@ -1,4 +1,45 @@
 const mongoose = require('mongoose');
+const scormSettingsSchema = require('./schemas/scormSettings');
+
+/**
+ * Rubric criterion teachers score a recording on (e.g. pronunciation, fluency)
+ * Scores run from 0 to maxScore; weight sets the criterion's share of the total
+ */
+const rubricCriterionSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    label: {
+      type: String,
+      required: [true, 'Please provide a rubric criterion label'],
+      trim: true,
+      maxlength: [60, 'Rubric criterion label cannot exceed 60 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Rubric criterion description cannot exceed 200 characters'],
+      default: '',
+    },
+    maxScore: {
+      type: Number,
+      default: 5,
+      min: 1,
+      max: 10,
+    },
+    weight: {
+      type: Number,
+      default: 1,
+      min: 0.1,
+      max: 10,
+    },
+  },
+  { _id: false }
+);
 
 /**
  * AudioAssignment Model
@@ -62,6 +103,11 @@ const audioAssignmentSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // SCORM slide count and completion rule
+    scormSettings: {
+      type: scormSettingsSchema,
+      default: () => ({}),
+    },
     // Cover image
     coverImage: {
       type: String, // File path or URL
@@ -78,6 +124,21 @@ const audioAssignmentSchema = new mongoose.Schema(
       default: 10,
       min: 0,
     },
+    // Minimum similarity score (0-100) against the reference audio before a
+    // recording is queued for review; lower scores are sent back to the child
+    // to try again (null = every recording is queued)
+    minSimilarityScore: {
+      type: Number,
+      default: null,
+      min: 0,
+      max: 100,
+    },
+    // Rubric used when reviewing recordings; empty keeps plain approve/reject
+    // and approval awards the full starsAwarded
+    rubric: {
+      type: [rubricCriterionSchema],
+      default: [],
+    },
     // Whether this is a "star assignment" (special/high-value)
     isStarAssignment: {
       type: Boolean,
@@ -123,6 +184,13 @@ const audioAssignmentSchema = new mongoose.Schema(
         trim: true,
       },
     ],
+    // Skills the content practises (feeds per-child skill mastery)
+    skills: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Skill',
+      },
+    ],
   },
   {
     timestamps: true,
@@ -1,4 +1,101 @@
 const mongoose = require('mongoose');
+const audioAnalysisSchema = require('./schemas/audioAnalysis');
+
+/**
+ * One recording a child submitted, with the review it received
+ */
+const attemptSchema = new mongoose.Schema(
+  {
+    attemptNumber: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    recordedAudio: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Media',
+      default: null,
+    },
+    timeSpent: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // superseded: replaced by a newer recording before it was reviewed
+    status: {
+      type: String,
+      enum: ['submitted', 'approved', 'rejected', 'superseded'],
+      default: 'submitted',
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    feedback: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Feedback cannot exceed 1000 characters'],
+      default: null,
+    },
+    // Rubric scores, copied with the criterion label/maxScore/weight at review time
+    scores: [
+      {
+        _id: false,
+        criterion: { type: String, required: true },
+        label: { type: String, default: '' },
+        score: { type: Number, required: true, min: 0 },
+        maxScore: { type: Number, required: true, min: 1 },
+        weight: { type: Number, default: 1 },
+        comment: {
+          type: String,
+          trim: true,
+          maxlength: [300, 'Rubric comment cannot exceed 300 characters'],
+          default: '',
+        },
+      },
+    ],
+    // Weighted rubric score as a percentage (null when the assignment has no rubric)
+    rubricScore: {
+      type: Number,
+      default: null,
+      min: 0,
+      max: 100,
+    },
+    // Comments pinned to a moment in the recording
+    comments: [
+      {
+        _id: false,
+        at: { type: Number, required: true, min: 0 }, // seconds into the recording
+        text: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: [300, 'Comment cannot exceed 300 characters'],
+        },
+      },
+    ],
+    starsEarned: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Similarity to the reference audio, checked when the attempt is submitted
+    analysis: {
+      type: audioAnalysisSchema,
+      default: null,
+    },
+  },
+  { timestamps: false }
+);
 
 /**
  * AudioAssignmentProgress Model
@@ -83,6 +180,12 @@ const audioAssignmentProgressSchema = new mongoose.Schema(
       maxlength: [1000, 'Feedback cannot exceed 1000 characters'],
       default: null,
     },
+    // Every submitted recording, oldest first; top-level recordedAudio,
+    // reviewedBy, reviewedAt and adminFeedback mirror the latest attempt
+    attemptHistory: {
+      type: [attemptSchema],
+      default: [],
+    },
     // Number of attempts
     attempts: {
       type: Number,
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const scormSettingsSchema = require('./schemas/scormSettings');
 
 // Schema for book pages
 const pageSchema = new mongoose.Schema({
@@ -72,6 +73,11 @@ const bookSchema = new mongoose.Schema(
       type: Number, // in bytes
       required: true,
     },
+    // SCORM slide count and completion rule
+    scormSettings: {
+      type: scormSettingsSchema,
+      default: () => ({}),
+    },
     // Pages array (optional - kept for backward compatibility, but SCORM file is primary)
     pages: [pageSchema],
     // Audio narration (read-along feature)
@@ -139,6 +145,13 @@ const bookSchema = new mongoose.Schema(
         trim: true,
       },
     ],
+    // Skills the content practises (feeds per-child skill mastery)
+    skills: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Skill',
+      },
+    ],
     isPublished: {
       type: Boolean,
       default: false,
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const scormSettingsSchema = require('./schemas/scormSettings');
 
 /**
  * Chant Model
@@ -61,6 +62,11 @@ const chantSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // SCORM slide count and completion rule
+    scormSettings: {
+      type: scormSettingsSchema,
+      default: () => ({}),
+    },
     // Cover image
     coverImage: {
       type: String, // File path or URL
@@ -77,6 +83,14 @@ const chantSchema = new mongoose.Schema(
       default: 10,
       min: 0,
     },
+    // Minimum similarity score (0-100) against the reference audio before the
+    // chant counts as completed and stars are awarded (null = any recording)
+    minSimilarityScore: {
+      type: Number,
+      default: null,
+      min: 0,
+      max: 100,
+    },
     // Badge awarded for completion (optional)
     badgeAwarded: {
       type: mongoose.Schema.Types.ObjectId,
@@ -117,6 +131,13 @@ const chantSchema = new mongoose.Schema(
         trim: true,
       },
     ],
+    // Skills the content practises (feeds per-child skill mastery)
+    skills: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Skill',
+      },
+    ],
   },
   {
     timestamps: true,
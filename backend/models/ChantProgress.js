@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const audioAnalysisSchema = require('./schemas/audioAnalysis');
 
 /**
  * ChantProgress Model
@@ -6,6 +7,7 @@ const mongoose = require('mongoose');
  * Tracks child's progress on chants.
  * Chants can include an instruction video and a child recorded audio response,
  * but (unlike AudioAssignments) do NOT require admin/teacher review.
+ * Each recording is scored against the chant's reference audio instead.
  */
 const chantProgressSchema = new mongoose.Schema(
   {
@@ -32,6 +34,11 @@ const chantProgressSchema = new mongoose.Schema(
       ref: 'Media',
       default: null,
     },
+    // Similarity analysis of the latest recording
+    analysis: {
+      type: audioAnalysisSchema,
+      default: null,
+    },
     starsEarned: {
       type: Number,
       default: 0,
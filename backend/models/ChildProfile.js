@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
 
 const childProfileSchema = new mongoose.Schema(
   {
@@ -48,6 +49,33 @@ const childProfileSchema = new mongoose.Schema(
         default: true,
       },
     },
+    // IANA timezone (e.g. 'America/New_York') used for day boundaries of streaks; UTC when unset
+    timezone: {
+      type: String,
+      default: null,
+      validate: {
+        validator: (value) => {
+          if (!value) return true;
+          try {
+            new Intl.DateTimeFormat('en-US', { timeZone: value });
+            return true;
+          } catch (error) {
+            return false;
+          }
+        },
+        message: 'Timezone must be a valid IANA timezone (e.g. Europe/London)',
+      },
+    },
+    // Optional 4-digit PIN the child enters before a child session starts (hashed)
+    pin: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    hasPin: {
+      type: Boolean,
+      default: false,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -65,6 +93,29 @@ childProfileSchema.index({ parent: 1 });
 childProfileSchema.index({ currentJourney: 1 });
 childProfileSchema.index({ currentLesson: 1 });
 
+// Hash PIN before saving
+childProfileSchema.pre('save', async function (next) {
+  if (!this.isModified('pin')) {
+    return next();
+  }
+  if (!this.pin) {
+    this.hasPin = false;
+    return next();
+  }
+  const salt = await bcrypt.genSalt(10);
+  this.pin = await bcrypt.hash(this.pin, salt);
+  this.hasPin = true;
+  next();
+});
+
+// Method to compare PIN (document must be loaded with +pin)
+childProfileSchema.methods.matchPin = async function (enteredPin) {
+  if (!this.pin) {
+    return false;
+  }
+  return await bcrypt.compare(String(enteredPin), this.pin);
+};
+
 // Virtual for progress tracking
 childProfileSchema.virtual('progress', {
   ref: 'Progress',
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * ChildReward Model
+ *
+ * Inventory entry for a reward item a child has purchased
+ * One document per child per reward item
+ */
+const childRewardSchema = new mongoose.Schema(
+  {
+    child: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ChildProfile',
+      required: [true, 'Reward must be associated with a child'],
+      index: true,
+    },
+    reward: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RewardItem',
+      required: [true, 'Please provide a reward item'],
+    },
+    // Stars paid at time of purchase (reward cost may change later)
+    starsSpent: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Copied from reward so equip rules don't need a populate
+    rewardType: {
+      type: String,
+      enum: ['avatar_frame', 'sticker', 'theme', 'certificate'],
+      required: true,
+    },
+    // Only one avatar frame and one theme can be equipped at a time
+    isEquipped: {
+      type: Boolean,
+      default: false,
+    },
+    purchasedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+childRewardSchema.index({ child: 1, reward: 1 }, { unique: true });
+childRewardSchema.index({ child: 1, rewardType: 1, isEquipped: 1 });
+
+module.exports = mongoose.model('ChildReward', childRewardSchema);
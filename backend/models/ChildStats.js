@@ -1,5 +1,56 @@
 const mongoose = require('mongoose');
 
+// Streak freezes: one is earned every EARN_EVERY streak days, up to MAX held at a time;
+// parents can also buy them for COST spendable stars
+const STREAK_FREEZE_RULES = {
+  MAX: 2,
+  EARN_EVERY: 7,
+  COST: 50,
+};
+
+/**
+ * Calendar day (YYYY-MM-DD) of a date in an IANA timezone
+ * Invalid or missing timezones fall back to UTC
+ * @param {Date} date - Date to convert
+ * @param {String} [timeZone] - IANA timezone (e.g. 'Europe/Istanbul')
+ * @returns {String} Day key
+ */
+const getDayKey = (date, timeZone) => {
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-CA', {
+      timeZone: timeZone || 'UTC',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    });
+  } catch (error) {
+    formatter = new Intl.DateTimeFormat('en-CA', { timeZone: 'UTC', year: 'numeric', month: '2-digit', day: '2-digit' });
+  }
+  return formatter.format(date);
+};
+
+/**
+ * Shift a day key by a number of days
+ * @param {String} dayKey - YYYY-MM-DD
+ * @param {Number} days - Days to add (negative to subtract)
+ * @returns {String} Day key
+ */
+const addDays = (dayKey, days) => {
+  const date = new Date(`${dayKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Number of calendar days from one day key to another
+ * @param {String} fromKey - YYYY-MM-DD
+ * @param {String} toKey - YYYY-MM-DD
+ * @returns {Number} Days (negative if toKey is earlier)
+ */
+const daysBetween = (fromKey, toKey) =>
+  Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / 86400000);
+
 /**
  * ChildStats Model
  * 
@@ -21,6 +72,13 @@ const childStatsSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Stars spent in the rewards shop (cumulative)
+    // Kept separate so spending never lowers totalStars used for levels
+    spentStars: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     // Current day streak
     currentStreak: {
       type: Number,
@@ -38,6 +96,23 @@ const childStatsSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Calendar day (YYYY-MM-DD, child's timezone) of the last activity
+    lastActivityDay: {
+      type: String,
+      default: null,
+    },
+    // Streak freezes available to cover missed days
+    streakFreezes: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Streak freezes used so far (cumulative)
+    streakFreezesUsed: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     // Total badges earned
     totalBadges: {
       type: Number,
@@ -102,6 +177,7 @@ childStatsSchema.index({ currentStreak: -1 }); // For streak leaderboards
 
 /**
  * Method to add stars and update streak
+ * Also records the stars in the child's daily activity history
  * @param {Number} stars - Number of stars to add
  * @returns {Promise} Updated stats
  */
@@ -116,7 +192,7 @@ childStatsSchema.methods.addStars = async function (stars) {
       this.totalStars = previousTotal + stars;
     }
     
-    await this.updateStreak();
+    const streakUpdate = await this.updateStreak();
     
     // Save with validation
     try {
@@ -126,6 +202,18 @@ childStatsSchema.methods.addStars = async function (stars) {
       console.error(`[ChildStats] Error saving stars for child ${this.child}:`, error);
       throw error;
     }
+
+    // History is informational - a failed write must not undo the stars
+    try {
+      const DailyActivity = require('./DailyActivity');
+      await DailyActivity.recordActivity(this.child, streakUpdate.today, {
+        stars,
+        timezone: streakUpdate.timezone,
+        frozenDays: streakUpdate.frozenDays,
+      });
+    } catch (error) {
+      console.error(`[ChildStats] Error recording daily activity for child ${this.child}:`, error);
+    }
   }
   return this;
 };
@@ -133,48 +221,111 @@ childStatsSchema.methods.addStars = async function (stars) {
 /**
  * Method to update streak based on last activity
  * Call this when child completes any activity
+ *
+ * Days are calendar days in the child's timezone (ChildProfile.timezone, UTC if unset).
+ * Missed days are covered by streak freezes when enough are available; otherwise
+ * the streak restarts at 1. A freeze is earned every STREAK_FREEZE_RULES.EARN_EVERY days.
+ *
+ * @param {Object} [options]
+ * @param {String} [options.timezone] - Child's timezone (looked up when omitted)
+ * @param {Date} [options.now] - Activity time (default: now)
+ * @returns {Promise<Object>} { today, timezone, frozenDays, earnedFreeze }
  */
-childStatsSchema.methods.updateStreak = async function () {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-
-  const lastActivity = this.lastActivityDate
-    ? new Date(this.lastActivityDate)
-    : null;
-  if (lastActivity) {
-    lastActivity.setHours(0, 0, 0, 0);
+childStatsSchema.methods.updateStreak = async function (options = {}) {
+  let { timezone } = options;
+  if (timezone === undefined) {
+    const child = await require('./ChildProfile').findById(this.child).select('timezone').lean();
+    timezone = child?.timezone || null;
   }
 
-  const todayTime = today.getTime();
-  const lastActivityTime = lastActivity ? lastActivity.getTime() : null;
-
-  // If no previous activity or last activity was not today
-  if (!lastActivityTime || lastActivityTime !== todayTime) {
-    // Check if last activity was yesterday (streak continues)
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
-    const yesterdayTime = yesterday.getTime();
-
-    if (lastActivityTime === yesterdayTime) {
-      // Continue streak
-      this.currentStreak += 1;
-    } else if (lastActivityTime < yesterdayTime) {
-      // Streak broken, reset to 1
-      this.currentStreak = 1;
-    } else {
-      // First activity ever
-      this.currentStreak = 1;
-    }
+  const now = options.now || new Date();
+  const today = getDayKey(now, timezone);
+  const result = { today, timezone, frozenDays: [], earnedFreeze: false };
+
+  // Stats written before lastActivityDay existed only have the timestamp
+  const lastDay = this.lastActivityDay || (this.lastActivityDate ? getDayKey(this.lastActivityDate, timezone) : null);
+
+  // Activity was already counted today (or the clock/timezone moved backwards)
+  if (lastDay && daysBetween(lastDay, today) <= 0) {
+    return result;
+  }
 
-    // Update longest streak if needed
-    if (this.currentStreak > this.longestStreak) {
-      this.longestStreak = this.currentStreak;
+  const gap = lastDay ? daysBetween(lastDay, today) : null;
+
+  if (gap === 1) {
+    // Continue streak
+    this.currentStreak += 1;
+  } else if (gap > 1 && this.currentStreak > 0 && gap - 1 <= (this.streakFreezes || 0)) {
+    // Missed days are covered by streak freezes
+    const missedDays = gap - 1;
+    this.streakFreezes -= missedDays;
+    this.streakFreezesUsed = (this.streakFreezesUsed || 0) + missedDays;
+    for (let i = 1; i <= missedDays; i += 1) {
+      result.frozenDays.push(addDays(lastDay, i));
     }
+    this.currentStreak += 1;
+  } else {
+    // First activity ever, or streak broken
+    this.currentStreak = 1;
+  }
+
+  if (
+    this.currentStreak % STREAK_FREEZE_RULES.EARN_EVERY === 0 &&
+    (this.streakFreezes || 0) < STREAK_FREEZE_RULES.MAX
+  ) {
+    this.streakFreezes = (this.streakFreezes || 0) + 1;
+    result.earnedFreeze = true;
+  }
+
+  // Update longest streak if needed
+  if (this.currentStreak > this.longestStreak) {
+    this.longestStreak = this.currentStreak;
+  }
+
+  // Update last activity date
+  this.lastActivityDate = now;
+  this.lastActivityDay = today;
+
+  return result;
+};
 
-    // Update last activity date
-    this.lastActivityDate = today;
+/**
+ * Streak as it stands today, without recording activity
+ * currentStreak is only updated on activity, so a streak that was broken by
+ * missed days still holds its old value until the next activity.
+ *
+ * @param {String} [timezone] - Child's timezone
+ * @param {Date} [now] - Reference time (default: now)
+ * @returns {Object} { currentStreak, today, lastActivityDay, activeToday, atRisk, freezesNeeded }
+ */
+childStatsSchema.methods.getStreakStatus = function (timezone, now = new Date()) {
+  const today = getDayKey(now, timezone);
+  const lastDay = this.lastActivityDay || (this.lastActivityDate ? getDayKey(this.lastActivityDate, timezone) : null);
+  const status = {
+    currentStreak: 0,
+    today,
+    lastActivityDay: lastDay,
+    activeToday: false,
+    atRisk: false,
+    freezesNeeded: 0,
+  };
+
+  if (!lastDay || !this.currentStreak) {
+    return status;
   }
-  // If activity was already today, don't update streak
+
+  const gap = daysBetween(lastDay, today);
+  if (gap <= 0) {
+    status.currentStreak = this.currentStreak;
+    status.activeToday = true;
+  } else if (gap - 1 <= (this.streakFreezes || 0)) {
+    // Alive: today's activity continues it (spending gap - 1 freezes)
+    status.currentStreak = this.currentStreak;
+    status.atRisk = true;
+    status.freezesNeeded = gap - 1;
+  }
+
+  return status;
 };
 
 /**
@@ -257,6 +408,63 @@ childStatsSchema.methods.getNextLevel = function () {
   };
 };
 
+/**
+ * Static method to atomically spend stars from the spendable balance
+ * Only succeeds if the child has enough unspent stars
+ * @param {ObjectId} childId - Child profile ID
+ * @param {Number} stars - Number of stars to spend
+ * @returns {Promise} Updated ChildStats document, or null if balance is too low
+ */
+childStatsSchema.statics.spendStars = async function (childId, stars) {
+  return this.findOneAndUpdate(
+    {
+      child: childId,
+      $expr: {
+        $gte: [{ $subtract: ['$totalStars', { $ifNull: ['$spentStars', 0] }] }, stars],
+      },
+    },
+    { $inc: { spentStars: stars } },
+    { new: true }
+  );
+};
+
+/**
+ * Static method to give back spent stars (e.g. when a purchase fails after debit)
+ * @param {ObjectId} childId - Child profile ID
+ * @param {Number} stars - Number of stars to refund
+ * @returns {Promise} Updated ChildStats document
+ */
+childStatsSchema.statics.refundStars = async function (childId, stars) {
+  return this.findOneAndUpdate(
+    { child: childId },
+    { $inc: { spentStars: -stars } },
+    { new: true }
+  );
+};
+
+/**
+ * Static method to atomically add a streak freeze if the child holds fewer than the maximum
+ * @param {ObjectId} childId - Child profile ID
+ * @returns {Promise} Updated ChildStats document, or null if the child already holds the maximum
+ */
+childStatsSchema.statics.addStreakFreeze = async function (childId) {
+  return this.findOneAndUpdate(
+    { child: childId, streakFreezes: { $lt: STREAK_FREEZE_RULES.MAX } },
+    { $inc: { streakFreezes: 1 } },
+    { new: true }
+  );
+};
+
+childStatsSchema.statics.STREAK_FREEZE_RULES = STREAK_FREEZE_RULES;
+childStatsSchema.statics.getDayKey = getDayKey;
+childStatsSchema.statics.addDays = addDays;
+childStatsSchema.statics.daysBetween = daysBetween;
+
+// Virtual for spendable stars (lifetime stars minus stars spent in the shop)
+childStatsSchema.virtual('spendableStars').get(function () {
+  return Math.max(0, (this.totalStars || 0) - (this.spentStars || 0));
+});
+
 // Virtual for level (for display purposes)
 childStatsSchema.virtual('level').get(function () {
   return this.calculateLevel();
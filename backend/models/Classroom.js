@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Invite codes avoid look-alike characters (0/O, 1/I/L) so they can be read aloud
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 6;
+
+/**
+ * Classroom Model
+ *
+ * A teacher's class: a roster of children and the courses assigned to the class.
+ *
+ * Children join with the classroom's invite code, entered by their parent; joining
+ * is the parent's consent (recorded in consentedBy/consentedAt). A parent can take
+ * the child out of the class again, and the teacher can remove a child; removed
+ * members are kept with status 'removed' for history.
+ */
+const classroomSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a classroom name'],
+      trim: true,
+      maxlength: [100, 'Classroom name cannot exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+    teacher: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Classroom must have a teacher'],
+    },
+    inviteCode: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    // Teachers can close the class to new members without archiving it
+    isJoinOpen: {
+      type: Boolean,
+      default: true,
+    },
+    members: [
+      {
+        child: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'ChildProfile',
+          required: true,
+        },
+        status: {
+          type: String,
+          enum: ['active', 'removed'],
+          default: 'active',
+        },
+        // Parent who entered the invite code
+        consentedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        consentedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        removedAt: {
+          type: Date,
+          default: null,
+        },
+        // 'parent' (left the class) or 'teacher' (removed by the teacher/admin)
+        removedBy: {
+          type: String,
+          enum: ['parent', 'teacher', null],
+          default: null,
+        },
+      },
+    ],
+    courses: [
+      {
+        course: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Course',
+          required: true,
+        },
+        assignedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        assignedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        dueDate: {
+          type: Date,
+          default: null,
+        },
+      },
+    ],
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+classroomSchema.index({ teacher: 1, isArchived: 1 });
+classroomSchema.index({ 'members.child': 1 });
+
+/**
+ * Static method to generate an unused invite code
+ * @returns {Promise<String>} Invite code
+ */
+classroomSchema.statics.generateInviteCode = async function () {
+  for (let attempt = 0; attempt < 10; attempt += 1) {
+    const bytes = crypto.randomBytes(INVITE_CODE_LENGTH);
+    const code = Array.from(bytes, (byte) => INVITE_CODE_ALPHABET[byte % INVITE_CODE_ALPHABET.length]).join('');
+    if (!(await this.exists({ inviteCode: code }))) {
+      return code;
+    }
+  }
+  throw new Error('Could not generate a unique invite code');
+};
+
+/**
+ * Active roster entries
+ * @returns {Array} Members with status 'active'
+ */
+classroomSchema.methods.getActiveMembers = function () {
+  return this.members.filter((member) => member.status === 'active');
+};
+
+const Classroom = mongoose.model('Classroom', classroomSchema);
+
+module.exports = Classroom;
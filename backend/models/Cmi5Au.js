@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cmi5Au Model
+ *
+ * One Assignable Unit (AU) imported from a cmi5 course package (cmi5.xml).
+ * Every AU of a package becomes a course content item with contentType 'cmi5'.
+ *
+ * The package is extracted once to uploads/cmi5/<packageId>; all AUs of the
+ * package share the same packageId. AUs with an absolute url are hosted by the
+ * content vendor and have no files of their own.
+ */
+const cmi5AuSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Please provide an AU title'],
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    },
+    coverImage: {
+      type: String,
+      default: null,
+    },
+    // Publisher id of the AU (au@id in cmi5.xml)
+    auId: {
+      type: String,
+      required: [true, 'AU id is required'],
+      trim: true,
+    },
+    // Launch URL from cmi5.xml - relative to the package root or absolute
+    url: {
+      type: String,
+      required: [true, 'AU url is required'],
+      trim: true,
+    },
+    // cmi5 move-on criteria: what the AU must report for the LMS to consider it satisfied
+    moveOn: {
+      type: String,
+      enum: ['Passed', 'Completed', 'CompletedAndPassed', 'CompletedOrPassed', 'NotApplicable'],
+      default: 'NotApplicable',
+    },
+    // Scaled score (0-1) the AU uses to decide pass/fail
+    masteryScore: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: null,
+    },
+    launchMethod: {
+      type: String,
+      enum: ['AnyWindow', 'OwnWindow'],
+      default: 'AnyWindow',
+    },
+    launchParameters: {
+      type: String,
+      default: '',
+    },
+    entitlementKey: {
+      type: String,
+      default: '',
+    },
+    activityType: {
+      type: String,
+      default: '',
+    },
+    // Package this AU was imported from
+    packageId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Extracted package directory, relative to uploads/ (e.g. "cmi5/<packageId>")
+    packagePath: {
+      type: String,
+      required: true,
+    },
+    // Course id and title from cmi5.xml (publisher ids, not our Course)
+    packageCourseId: {
+      type: String,
+      default: '',
+    },
+    packageCourseTitle: {
+      type: String,
+      default: '',
+    },
+    starsAwarded: {
+      type: Number,
+      default: 15,
+      min: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    isPublished: {
+      type: Boolean,
+      default: true,
+    },
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+cmi5AuSchema.index({ auId: 1 });
+
+module.exports = mongoose.model('Cmi5Au', cmi5AuSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cmi5Session Model
+ *
+ * One launch of a cmi5 AU by a child.
+ *
+ * - registration: shared by every launch of the same AU in the same course by the same child
+ * - fetchToken: single-use token in the launch URL; the AU exchanges it for authToken
+ * - authToken: credentials the AU uses (HTTP Basic) to talk to /api/xapi
+ *
+ * The status fields are filled from the statements the AU sends and decide
+ * when the AU's moveOn criteria are satisfied.
+ */
+const cmi5SessionSchema = new mongoose.Schema(
+  {
+    sessionId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    registration: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    child: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ChildProfile',
+      required: true,
+      index: true,
+    },
+    au: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Cmi5Au',
+      required: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: true,
+    },
+    // Activity IRI the AU was launched with (statement object id)
+    activityId: {
+      type: String,
+      required: true,
+    },
+    fetchToken: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    fetchedAt: {
+      type: Date,
+      default: null,
+    },
+    authToken: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    launchMode: {
+      type: String,
+      enum: ['Normal', 'Browse', 'Review'],
+      default: 'Normal',
+    },
+    initializedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    passedAt: {
+      type: Date,
+      default: null,
+    },
+    failedAt: {
+      type: Date,
+      default: null,
+    },
+    terminatedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when the moveOn criteria were met in this session
+    satisfiedAt: {
+      type: Date,
+      default: null,
+    },
+    // Last scaled score reported with passed/failed
+    scoreScaled: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+cmi5SessionSchema.index({ child: 1, au: 1, course: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Cmi5Session', cmi5SessionSchema);
@@ -32,17 +32,17 @@ const courseSchema = new mongoose.Schema(
     // Example: Step 1 (Books: Book A, Book B) -> Step 2 (Activities: Activity 1, Activity 2)
     contents: [
       {
-        // Content item reference (can be Activity, Book, Video/Media, AudioAssignment)
+        // Content item reference (can be Activity, Book, Video/Media, AudioAssignment, Chant, Cmi5Au, Quiz)
         contentId: {
           type: mongoose.Schema.Types.ObjectId,
           required: true,
           // No ref because it can reference different models
         },
-        // Content type: 'activity', 'book', 'video', 'audioAssignment', 'chant'
+        // Content type: 'activity', 'book', 'video', 'audioAssignment', 'chant', 'cmi5', 'quiz'
         contentType: {
           type: String,
           required: true,
-          enum: ['activity', 'book', 'video', 'audioAssignment', 'chant'],
+          enum: ['activity', 'book', 'video', 'audioAssignment', 'chant', 'cmi5', 'quiz'],
         },
         // Step number (1, 2, 3, ...) - contents are organized into steps
         // Within each step, contents are grouped by type and must be completed sequentially
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+/**
+ * CourseAssignment Model
+ *
+ * A course assigned to one child by a parent, teacher or admin, on top of the
+ * default courses and the global sequence. Assigned courses are exempt from the
+ * one-course-in-progress limit, come first on the child's journey in the order
+ * set by the adults, can be paused, and can override prerequisite locks.
+ *
+ * One document per child and course: unassigning sets status 'removed' and
+ * assigning again reactivates it, so the history stays in one place.
+ */
+
+const ASSIGNMENT_STATUSES = ['active', 'paused', 'removed'];
+
+const ASSIGNER_ROLES = ['parent', 'teacher', 'admin'];
+
+const HISTORY_ACTIONS = [
+  'assigned',
+  'unassigned',
+  'paused',
+  'resumed',
+  'reordered',
+  'target_date_set',
+  'target_date_cleared',
+  'lock_override_set',
+  'lock_override_removed',
+];
+
+const historyEntrySchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: HISTORY_ACTIONS,
+      required: true,
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    byRole: {
+      type: String,
+      enum: ASSIGNER_ROLES,
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    // Action details, e.g. the new target date or position
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const courseAssignmentSchema = new mongoose.Schema(
+  {
+    child: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ChildProfile',
+      required: [true, 'Assignment must be associated with a child'],
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: [true, 'Assignment must be associated with a course'],
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    assignedByRole: {
+      type: String,
+      enum: ASSIGNER_ROLES,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ASSIGNMENT_STATUSES,
+      default: 'active',
+    },
+    // Position among the child's assigned courses (0 first)
+    order: {
+      type: Number,
+      default: 0,
+    },
+    targetDate: {
+      type: Date,
+      default: null,
+    },
+    // Open the course even if its prerequisites are not completed
+    overrideLocks: {
+      type: Boolean,
+      default: false,
+    },
+    history: {
+      type: [historyEntrySchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+courseAssignmentSchema.index({ child: 1, course: 1 }, { unique: true });
+courseAssignmentSchema.index({ child: 1, status: 1, order: 1 });
+
+courseAssignmentSchema.statics.ASSIGNMENT_STATUSES = ASSIGNMENT_STATUSES;
+courseAssignmentSchema.statics.ASSIGNER_ROLES = ASSIGNER_ROLES;
+courseAssignmentSchema.statics.HISTORY_ACTIONS = HISTORY_ACTIONS;
+
+module.exports = mongoose.model('CourseAssignment', courseAssignmentSchema);
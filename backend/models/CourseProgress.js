@@ -52,7 +52,7 @@ const courseProgressSchema = new mongoose.Schema(
         contentType: {
           type: String,
           required: true,
-          enum: ['activity', 'book', 'video', 'audioAssignment', 'chant'],
+          enum: ['activity', 'book', 'video', 'audioAssignment', 'chant', 'cmi5', 'quiz'],
         },
         step: {
           type: Number,
@@ -69,7 +69,14 @@ const courseProgressSchema = new mongoose.Schema(
           default: null,
         },
         // SCORM progress data (optional, only for SCORM content)
+        // lessonStatus/score/timeSpent/lessonLocation hold the SCORM 1.2 view;
+        // SCORM 2004 packages also fill the 2004-only fields below and lessonStatus is derived
         scormProgress: {
+          scormVersion: {
+            type: String,
+            enum: ['1.2', '2004'],
+            default: '1.2',
+          },
           lessonStatus: {
             type: String,
             enum: ['passed', 'failed', 'completed', 'incomplete', 'browsed', 'not attempted'],
@@ -88,7 +95,79 @@ const courseProgressSchema = new mongoose.Schema(
               type: Number,
               default: 0,
             },
+            // SCORM 2004 cmi.score.scaled (-1..1)
+            scaled: {
+              type: Number,
+              min: -1,
+              max: 1,
+              default: null,
+            },
+          },
+          // SCORM 2004 cmi.completion_status
+          completionStatus: {
+            type: String,
+            enum: ['completed', 'incomplete', 'not attempted', 'unknown'],
+            default: 'unknown',
+          },
+          // SCORM 2004 cmi.success_status
+          successStatus: {
+            type: String,
+            enum: ['passed', 'failed', 'unknown'],
+            default: 'unknown',
+          },
+          // SCORM 2004 cmi.progress_measure (0..1)
+          progressMeasure: {
+            type: Number,
+            min: 0,
+            max: 1,
+            default: null,
           },
+          // Progress percentage computed server-side (progress_measure, slides reached, SCO rollup)
+          progressPercent: {
+            type: Number,
+            min: 0,
+            max: 100,
+            default: 0,
+          },
+          // SCORM 2004 cmi.interactions.n.*
+          interactions: [
+            {
+              _id: false,
+              interactionId: {
+                type: String,
+                required: true,
+              },
+              type: {
+                type: String,
+                enum: ['true-false', 'choice', 'fill-in', 'long-fill-in', 'matching', 'performance', 'sequencing', 'likert', 'numeric', 'other'],
+              },
+              description: {
+                type: String,
+                default: '',
+              },
+              learnerResponse: {
+                type: String,
+                default: '',
+              },
+              correctResponses: [String],
+              result: {
+                type: String, // correct | incorrect | unanticipated | neutral | <decimal>
+                default: '',
+              },
+              weighting: {
+                type: Number,
+                default: null,
+              },
+              latency: {
+                type: String, // ISO 8601 duration
+                default: '',
+              },
+              timestamp: {
+                type: String, // ISO 8601 time
+                default: '',
+              },
+            },
+          ],
           timeSpent: {
             type: String, // HH:MM:SS.SS format
             default: '00:00:00.00',
@@ -111,6 +190,74 @@ const courseProgressSchema = new mongoose.Schema(
             type: String,
             default: '',
           },
+          // Multi-SCO packages: one row per launchable manifest item (SCO)
+          // The content-level fields above hold the rollup of these rows
+          currentScoId: {
+            type: String,
+            default: null,
+          },
+          scos: [
+            {
+              _id: false,
+              scoId: {
+                type: String, // <item identifier> from imsmanifest.xml
+                required: true,
+              },
+              lessonStatus: {
+                type: String,
+                enum: ['passed', 'failed', 'completed', 'incomplete', 'browsed', 'not attempted'],
+                default: 'not attempted',
+              },
+              completionStatus: {
+                type: String,
+                enum: ['completed', 'incomplete', 'not attempted', 'unknown'],
+                default: 'unknown',
+              },
+              successStatus: {
+                type: String,
+                enum: ['passed', 'failed', 'unknown'],
+                default: 'unknown',
+              },
+              score: {
+                raw: { type: Number, default: null },
+                max: { type: Number, default: 100 },
+                min: { type: Number, default: 0 },
+                scaled: { type: Number, min: -1, max: 1, default: null },
+              },
+              progressMeasure: {
+                type: Number,
+                min: 0,
+                max: 1,
+                default: null,
+              },
+              timeSpent: {
+                type: String, // HH:MM:SS.SS format
+                default: '00:00:00.00',
+              },
+              suspendData: {
+                type: String,
+                default: '',
+              },
+              entry: {
+                type: String,
+                enum: ['ab-initio', 'resume', ''],
+                default: 'ab-initio',
+              },
+              exit: {
+                type: String,
+                enum: ['normal', 'time-out', 'suspend', 'logout', ''],
+                default: '',
+              },
+              lessonLocation: {
+                type: String,
+                default: '',
+              },
+              lastAccessed: {
+                type: Date,
+                default: Date.now,
+              },
+            },
+          ],
           completion: {
             isCompleted: {
               type: Boolean,
@@ -146,6 +293,69 @@ const courseProgressSchema = new mongoose.Schema(
             default: Date.now,
           },
         },
+        // Quiz progress data (optional, only for native quizzes)
+        quizProgress: {
+          attempts: {
+            type: Number,
+            default: 0,
+          },
+          bestPercent: {
+            type: Number,
+            min: 0,
+            max: 100,
+            default: null,
+          },
+          lastPercent: {
+            type: Number,
+            min: 0,
+            max: 100,
+            default: null,
+          },
+          passed: {
+            type: Boolean,
+            default: false,
+          },
+          passedAt: {
+            type: Date,
+            default: null,
+          },
+          // Questions drawn for the attempt in progress (scored on submit)
+          currentQuestions: [
+            {
+              type: mongoose.Schema.Types.ObjectId,
+            },
+          ],
+          starsAwarded: {
+            type: Boolean,
+            default: false,
+          },
+          starsAwardedAt: {
+            type: Date,
+            default: null,
+          },
+          // Most recent attempts, newest last
+          history: [
+            {
+              _id: false,
+              score: Number,
+              maxScore: Number,
+              percent: Number,
+              passed: Boolean,
+              timeSpent: {
+                type: Number, // seconds
+                default: 0,
+              },
+              submittedAt: {
+                type: Date,
+                default: Date.now,
+              },
+            },
+          ],
+          lastAccessed: {
+            type: Date,
+            default: Date.now,
+          },
+        },
       },
     ],
     // Track which steps are completed
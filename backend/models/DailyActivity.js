@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+/**
+ * DailyActivity Model
+ *
+ * One document per child per calendar day (in the child's timezone) with learning
+ * activity or a streak freeze. Feeds the streak calendar; days without a document
+ * had no activity.
+ *
+ * - active: the child earned stars that day
+ * - frozen: a streak freeze covered the missed day
+ */
+const dailyActivitySchema = new mongoose.Schema(
+  {
+    child: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ChildProfile',
+      required: [true, 'Daily activity must be associated with a child'],
+    },
+    // Calendar day YYYY-MM-DD in the child's timezone
+    date: {
+      type: String,
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD'],
+    },
+    // Timezone the day was recorded in
+    timezone: {
+      type: String,
+      default: 'UTC',
+    },
+    status: {
+      type: String,
+      enum: ['active', 'frozen'],
+      default: 'active',
+    },
+    // Number of star-earning activities that day
+    activityCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    starsEarned: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+dailyActivitySchema.index({ child: 1, date: 1 }, { unique: true });
+
+/**
+ * Static method to record a star-earning activity and the days a streak freeze covered
+ * @param {ObjectId} childId - Child profile ID
+ * @param {String} date - Day of the activity (YYYY-MM-DD)
+ * @param {Object} [options]
+ * @param {Number} [options.stars] - Stars earned
+ * @param {String} [options.timezone] - Child's timezone
+ * @param {Array<String>} [options.frozenDays] - Missed days covered by freezes
+ * @returns {Promise} Updated DailyActivity document for date
+ */
+dailyActivitySchema.statics.recordActivity = async function (childId, date, options = {}) {
+  const { stars = 0, timezone, frozenDays = [] } = options;
+  const tz = timezone || 'UTC';
+
+  if (frozenDays.length > 0) {
+    await this.bulkWrite(
+      frozenDays.map((day) => ({
+        updateOne: {
+          filter: { child: childId, date: day },
+          update: { $setOnInsert: { status: 'frozen', timezone: tz } },
+          upsert: true,
+        },
+      }))
+    );
+  }
+
+  return this.findOneAndUpdate(
+    { child: childId, date },
+    {
+      $inc: { activityCount: 1, starsEarned: stars },
+      $set: { status: 'active' },
+      $setOnInsert: { timezone: tz },
+    },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('DailyActivity', dailyActivitySchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Content a child can spend learning time on
+const LEARNING_CONTENT_TYPES = [
+  'book',
+  'video',
+  'chant',
+  'audioAssignment',
+  'scorm',
+  'cmi5',
+  'quiz',
+  'exploreVideo',
+];
+
+/**
+ * LearningSession Model
+ *
+ * One document per time a child opens a piece of content (book reader, video,
+ * recording modal, SCORM/cmi5 player). The player sends heartbeats while it is
+ * open; each heartbeat credits the active time since the previous one and adds
+ * it to the child's LearningTime aggregates.
+ */
+const learningSessionSchema = new mongoose.Schema(
+  {
+    child: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ChildProfile',
+      required: [true, 'Learning session must be associated with a child'],
+      index: true,
+    },
+    contentType: {
+      type: String,
+      enum: LEARNING_CONTENT_TYPES,
+      required: [true, 'Content type is required'],
+    },
+    contentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'Content ID is required'],
+    },
+    // Course the content was opened from (null for explore content)
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      default: null,
+    },
+    // Child's timezone when the session started (used for the daily aggregates)
+    timezone: {
+      type: String,
+      default: 'UTC',
+    },
+    status: {
+      type: String,
+      enum: ['active', 'ended'],
+      default: 'active',
+    },
+    // closed: the player ended the session; timeout: no heartbeat for too long
+    endReason: {
+      type: String,
+      enum: ['closed', 'timeout', null],
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastHeartbeatAt: {
+      type: Date,
+      default: Date.now,
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    // Time counted as learning (seconds)
+    activeSeconds: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Time the player was open but the child was idle or away (seconds)
+    idleSeconds: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    heartbeatCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+learningSessionSchema.index({ child: 1, status: 1, lastHeartbeatAt: 1 });
+
+learningSessionSchema.statics.CONTENT_TYPES = LEARNING_CONTENT_TYPES;
+
+module.exports = mongoose.model('LearningSession', learningSessionSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+/**
+ * LearningTime Model
+ *
+ * Learning time aggregated per child, calendar day (in the child's timezone)
+ * and content item. Written by learning session heartbeats; read by the parent
+ * dashboard for total and weekly learning time.
+ */
+const learningTimeSchema = new mongoose.Schema(
+  {
+    child: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ChildProfile',
+      required: [true, 'Learning time must be associated with a child'],
+    },
+    // Calendar day YYYY-MM-DD in the child's timezone
+    date: {
+      type: String,
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD'],
+    },
+    contentType: {
+      type: String,
+      required: true,
+    },
+    contentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      default: null,
+    },
+    seconds: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Number of learning sessions that started on this day for this content
+    sessionCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+learningTimeSchema.index({ child: 1, date: 1, contentType: 1, contentId: 1 }, { unique: true });
+
+/**
+ * Static method to add learning time for a content item on a day
+ * @param {ObjectId} childId - Child profile ID
+ * @param {String} date - Day (YYYY-MM-DD)
+ * @param {Object} entry
+ * @param {String} entry.contentType - Content type
+ * @param {ObjectId} entry.contentId - Content ID
+ * @param {ObjectId} [entry.course] - Course the content belongs to
+ * @param {Number} [entry.seconds] - Seconds to add
+ * @param {Boolean} [entry.newSession] - Count a new session
+ * @returns {Promise} Updated LearningTime document
+ */
+learningTimeSchema.statics.addTime = async function (childId, date, entry) {
+  const { contentType, contentId, course = null, seconds = 0, newSession = false } = entry;
+
+  return this.findOneAndUpdate(
+    { child: childId, date, contentType, contentId },
+    {
+      $inc: { seconds, sessionCount: newSession ? 1 : 0 },
+      $setOnInsert: { course },
+    },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('LearningTime', learningTimeSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const scormSettingsSchema = require('./schemas/scormSettings');
+const mediaProcessingSchema = require('./schemas/mediaProcessing');
 const path = require('path');
 
 const mediaSchema = new mongoose.Schema(
@@ -58,6 +60,22 @@ const mediaSchema = new mongoose.Schema(
       type: String, // File path or URL for video thumbnails
       default: null,
     },
+    // Peaks JSON for drawing the waveform of processed recordings
+    waveformUrl: {
+      type: String,
+      default: null,
+    },
+    // HLS master playlist (adaptive streaming) once a video is transcoded
+    hlsUrl: {
+      type: String,
+      default: null,
+    },
+    // Background processing: child recordings (transcode, trim, normalize)
+    // and videos (HLS renditions, poster thumbnail)
+    processing: {
+      type: mediaProcessingSchema,
+      default: null,
+    },
     // Optional badge awarded for completing this media (primarily for videos)
     badgeAwarded: {
       type: mongoose.Schema.Types.ObjectId,
@@ -98,6 +116,11 @@ const mediaSchema = new mongoose.Schema(
       type: Number, // in bytes
       default: null,
     },
+    // SCORM slide count and completion rule
+    scormSettings: {
+      type: scormSettingsSchema,
+      default: () => ({}),
+    },
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -109,6 +132,13 @@ const mediaSchema = new mongoose.Schema(
         trim: true,
       },
     ],
+    // Skills the content practises (feeds per-child skill mastery)
+    skills: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Skill',
+      },
+    ],
     isActive: {
       type: Boolean,
       default: true,
@@ -133,6 +163,7 @@ mediaSchema.index({ isActive: 1 });
 mediaSchema.index({ isPublished: 1 });
 mediaSchema.index({ scormFile: 1 });
 mediaSchema.index({ badgeAwarded: 1 });
+mediaSchema.index({ 'processing.status': 1 });
 
 // Pre-save hook to set url based on availability
 mediaSchema.pre('save', function (next) {
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Events that create notifications; each type can be switched off in the user's preferences
+const NOTIFICATION_TYPES = [
+  'audio_review',
+  'kids_wall_post',
+  'support_response',
+  'badge_awarded',
+  'meeting_scheduled',
+];
+
+/**
+ * Notification Model
+ *
+ * In-app notification for one user (bell/drawer in the parent, teacher and child apps).
+ *
+ * Children don't have user accounts: notifications for the child app belong to the
+ * parent user with `child` set and audience 'child'. Notifications in the parent's own
+ * feed have audience 'user' (`child` may still be set to say which child it is about).
+ */
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Notification must have a recipient'],
+    },
+    child: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ChildProfile',
+      default: null,
+    },
+    // 'user': shown in the user's own bell; 'child': shown in the child app of `child`
+    audience: {
+      type: String,
+      enum: ['user', 'child'],
+      default: 'user',
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: [true, 'Notification type is required'],
+    },
+    title: {
+      type: String,
+      required: [true, 'Notification title is required'],
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters'],
+    },
+    message: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [1000, 'Message cannot exceed 1000 characters'],
+    },
+    // App path (e.g. '/parent/dashboard') or absolute URL (e.g. a Meet link)
+    link: {
+      type: String,
+      default: null,
+    },
+    // Extra IDs for the client (postId, badgeId, meetingId...)
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ user: 1, audience: 1, child: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, audience: 1, child: 1, readAt: 1 });
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+
+// Question kinds a quiz can contain
+const QUESTION_KINDS = ['picture_choice', 'match', 'audio_prompt', 'ordering'];
+
+/**
+ * Card Sub-Schema
+ *
+ * Something the child sees or taps: a word, a picture or both.
+ * Used for answer options, the two sides of a matching pair and ordering items.
+ * Each card keeps its own _id, which is what the child's answers refer to.
+ */
+const quizCardSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Card text cannot exceed 200 characters'],
+    default: '',
+  },
+  image: {
+    type: String, // /uploads/... path
+    default: null,
+  },
+});
+
+const quizOptionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Option text cannot exceed 200 characters'],
+    default: '',
+  },
+  image: {
+    type: String, // /uploads/... path
+    default: null,
+  },
+  isCorrect: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+/**
+ * Question Sub-Schema
+ *
+ * - picture_choice: pick the right picture (options, one or more isCorrect)
+ * - audio_prompt: listen to promptAudio, then pick the right option
+ * - match: tap a left card, then its partner on the right (pairs)
+ * - ordering: put the items in order (items are stored in the correct order)
+ */
+const quizQuestionSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: QUESTION_KINDS,
+    required: [true, 'Please provide a question kind'],
+  },
+  prompt: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Question prompt cannot exceed 500 characters'],
+    default: '',
+  },
+  promptImage: {
+    type: String, // /uploads/... path
+    default: null,
+  },
+  promptAudio: {
+    type: String, // /uploads/... path
+    default: null,
+  },
+  // Weight of the question in the score
+  points: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: 10,
+  },
+  options: [quizOptionSchema],
+  pairs: [
+    {
+      left: quizCardSchema,
+      right: quizCardSchema,
+    },
+  ],
+  items: [quizCardSchema],
+});
+
+/**
+ * Quiz Model
+ *
+ * Native quiz content type built in the admin panel (no SCORM package).
+ * The questions form a bank: when questionsPerAttempt is set, every attempt
+ * draws that many questions at random. Attempts are scored on the server and
+ * stored in CourseProgress.contentProgress[].quizProgress.
+ */
+const quizSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Please provide a quiz title'],
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    },
+    instructions: {
+      type: String,
+      trim: true,
+    },
+    // Cover image
+    coverImage: {
+      type: String, // File path or URL
+      default: null,
+    },
+    questions: [quizQuestionSchema],
+    // Questions drawn from the bank per attempt (null = all questions)
+    questionsPerAttempt: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    // Shuffle question order on every attempt
+    shuffleQuestions: {
+      type: Boolean,
+      default: true,
+    },
+    // Score (0-100) needed to pass the quiz and earn the stars
+    passingScore: {
+      type: Number,
+      default: 70,
+      min: 0,
+      max: 100,
+    },
+    // Stars awarded the first time the quiz is passed
+    starsAwarded: {
+      type: Number,
+      default: 10,
+      min: 0,
+    },
+    // Estimated duration (in minutes)
+    estimatedDuration: {
+      type: Number,
+      default: null,
+    },
+    isPublished: {
+      type: Boolean,
+      default: false,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    tags: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    // Skills the content practises (feeds per-child skill mastery)
+    skills: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Skill',
+      },
+    ],
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+quizSchema.index({ createdBy: 1 });
+quizSchema.index({ isPublished: 1 });
+
+quizSchema.statics.QUESTION_KINDS = QUESTION_KINDS;
+
+module.exports = mongoose.model('Quiz', quizSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+/**
+ * RecommendationSettings Model
+ *
+ * Admin-tuned weights of the signals behind a child's "what to do next"
+ * recommendations (see recommendation.service). A single document
+ * (key: 'global') holds the settings; until an admin saves it the
+ * service uses DEFAULT_WEIGHTS.
+ */
+
+// Signal → default weight (0 turns a signal off)
+const DEFAULT_WEIGHTS = {
+  // Keep going with a course the child has already started
+  continueCourse: 3,
+  // Course age range fits the child's age
+  ageFit: 2,
+  // Content practises skills the child has not mastered yet
+  skillGap: 3,
+  // SCORM or quiz content the child scored low on
+  scoreRetry: 2,
+  // Content types the child completes most
+  typePreference: 1,
+  // Content suits the child's local time of day
+  timeOfDay: 1,
+  // Short content when the streak is at risk
+  streak: 2,
+  // Explore videos the child has not watched yet
+  exploreVideo: 1,
+};
+
+const MAX_WEIGHT = 10;
+
+const weightsDefinition = Object.entries(DEFAULT_WEIGHTS).reduce(
+  (definition, [signal, weight]) => ({
+    ...definition,
+    [signal]: {
+      type: Number,
+      min: [0, 'Weights cannot be negative'],
+      max: [MAX_WEIGHT, `Weights cannot exceed ${MAX_WEIGHT}`],
+      default: weight,
+    },
+  }),
+  {}
+);
+
+const recommendationSettingsSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: 'global',
+      unique: true,
+    },
+    weights: weightsDefinition,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+recommendationSettingsSchema.statics.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+recommendationSettingsSchema.statics.MAX_WEIGHT = MAX_WEIGHT;
+
+module.exports = mongoose.model('RecommendationSettings', recommendationSettingsSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+/**
+ * ResumableUpload Model
+ *
+ * A large file (SCORM package, video) sent in chunks through /api/uploads.
+ *
+ * - offset: bytes received so far; the next chunk must start here
+ * - fingerprint: client-side identity of the file (name, size, modified
+ *   time), so choosing the same file again resumes instead of restarting
+ * - checksum: optional SHA-256 (hex) of the whole file given by the client;
+ *   sha256 is what the server computed once the last chunk arrived
+ *
+ * Once completed, the file is handed to a create request (e.g. POST
+ * /api/books with scormFileUploadId) and the upload is marked consumed.
+ * Chunks are written to backend/quarantine/uploads/<id>.part.
+ */
+const resumableUploadSchema = new mongoose.Schema(
+  {
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // What the file will be used for (decides type and size limits)
+    purpose: {
+      type: String,
+      enum: ['scorm', 'video'],
+      required: true,
+    },
+    fileName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    mimeType: {
+      type: String,
+      default: 'application/octet-stream',
+    },
+    size: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    offset: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    fingerprint: {
+      type: String,
+      default: null,
+    },
+    checksum: {
+      type: String,
+      default: null,
+    },
+    sha256: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ['uploading', 'completed', 'consumed', 'failed'],
+      default: 'uploading',
+      index: true,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    // Pushed back on every chunk; expired uploads are deleted with their file
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+resumableUploadSchema.index({ uploadedBy: 1, fingerprint: 1, status: 1 });
+
+module.exports = mongoose.model('ResumableUpload', resumableUploadSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * RewardItem Model
+ *
+ * Admin-managed items that children can buy with their spendable stars
+ * (avatar frames, stickers, themes, printable certificates)
+ */
+const rewardItemSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a reward name'],
+      trim: true,
+      maxlength: [100, 'Reward name cannot exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+    type: {
+      type: String,
+      enum: ['avatar_frame', 'sticker', 'theme', 'certificate'],
+      required: [true, 'Please provide a reward type'],
+    },
+    // Price in spendable stars
+    cost: {
+      type: Number,
+      required: [true, 'Please provide a star cost'],
+      min: [0, 'Cost cannot be negative'],
+    },
+    image: {
+      type: String, // File path or URL for reward preview image
+      default: null,
+    },
+    // Type-specific settings (e.g. theme colors, certificate template text)
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Order for display in the shop
+    order: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+rewardItemSchema.index({ type: 1, order: 1 });
+rewardItemSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('RewardItem', rewardItemSchema);
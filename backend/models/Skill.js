@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * Skill Model
+ *
+ * Admin-managed skills tree (e.g. Phonics → Letter sounds). Content items are
+ * tagged with skills; children build mastery of a skill from the content
+ * tagged with it (see SkillMastery). A skill without parent is a top-level area.
+ */
+const skillSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a skill name'],
+      trim: true,
+      maxlength: [100, 'Skill name cannot exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+      default: null,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Skill',
+      default: null,
+    },
+    // Emoji shown next to the skill in the parent view
+    icon: {
+      type: String,
+      trim: true,
+      maxlength: [10, 'Icon cannot exceed 10 characters'],
+      default: null,
+    },
+    // Order among siblings
+    order: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+skillSchema.index({ parent: 1, order: 1 });
+skillSchema.index({ isActive: 1 });
+
+// Deepest tree allowed (area → skill → sub-skill → ...)
+skillSchema.statics.MAX_DEPTH = 4;
+
+module.exports = mongoose.model('Skill', skillSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+/**
+ * SkillMastery Model
+ *
+ * A child's mastery of one skill, built from evidence: completions, SCORM and
+ * quiz scores, chant analysis and audio review outcomes of content tagged with
+ * the skill. The score is a recency-weighted average of the evidence values, so
+ * recent work counts more than old work. Written by skillMastery.service.
+ */
+
+const EVIDENCE_SOURCES = ['completion', 'scorm', 'quiz', 'chant', 'review'];
+
+const MASTERY_LEVELS = ['not_started', 'emerging', 'developing', 'proficient', 'mastered'];
+
+const evidenceSchema = new mongoose.Schema(
+  {
+    source: {
+      type: String,
+      enum: EVIDENCE_SOURCES,
+      required: true,
+    },
+    contentType: {
+      type: String,
+      required: true,
+    },
+    contentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    title: {
+      type: String,
+      default: null,
+    },
+    // 0-100
+    value: {
+      type: Number,
+      min: 0,
+      max: 100,
+      required: true,
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const skillMasterySchema = new mongoose.Schema(
+  {
+    child: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ChildProfile',
+      required: [true, 'Skill mastery must be associated with a child'],
+    },
+    skill: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Skill',
+      required: [true, 'Skill mastery must be associated with a skill'],
+    },
+    // Recency-weighted sums; score = weightedValue / weightTotal
+    weightedValue: {
+      type: Number,
+      default: 0,
+    },
+    weightTotal: {
+      type: Number,
+      default: 0,
+    },
+    // 0-100
+    score: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    level: {
+      type: String,
+      enum: MASTERY_LEVELS,
+      default: 'not_started',
+    },
+    evidenceCount: {
+      type: Number,
+      default: 0,
+    },
+    lastEvidenceAt: {
+      type: Date,
+      default: null,
+    },
+    // Latest evidence first, capped by the service
+    recentEvidence: [evidenceSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+skillMasterySchema.index({ child: 1, skill: 1 }, { unique: true });
+skillMasterySchema.index({ skill: 1 });
+
+skillMasterySchema.statics.EVIDENCE_SOURCES = EVIDENCE_SOURCES;
+skillMasterySchema.statics.MASTERY_LEVELS = MASTERY_LEVELS;
+
+module.exports = mongoose.model('SkillMastery', skillMasterySchema);
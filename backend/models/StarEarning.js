@@ -32,6 +32,8 @@ const starEarningSchema = new mongoose.Schema(
           'book',
           'audio_assignment',
           'chant',
+          'cmi5',
+          'quiz',
           'explore_content',
           'explore_video',
           'kids_wall_post',
@@ -51,7 +53,7 @@ const starEarningSchema = new mongoose.Schema(
       // Content type for dynamic reference
       contentType: {
         type: String,
-        enum: ['Lesson', 'LessonItem', 'Activity', 'Media', 'Book', 'AudioAssignment', 'Chant', 'ExploreContent', 'KidsWallPost', 'Badge'],
+        enum: ['Lesson', 'LessonItem', 'Activity', 'Media', 'Book', 'AudioAssignment', 'Chant', 'Cmi5Au', 'Quiz', 'ExploreContent', 'KidsWallPost', 'Badge'],
         default: null,
       },
       // Additional source metadata
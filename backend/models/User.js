@@ -70,6 +70,42 @@ const userSchema = new mongoose.Schema(
     lastLogin: {
       type: Date,
     },
+    // Email verification
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    // Single-use tokens are stored as HMAC digests; the raw token only travels in the email link
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    // Set on password reset; JWTs issued before this are rejected by the auth middleware
+    passwordChangedAt: {
+      type: Date,
+    },
+    // In-app notification types the user switched off, e.g. { badge_awarded: false }
+    // Types that are missing are enabled (see Notification.TYPES)
+    notificationPreferences: {
+      type: Map,
+      of: Boolean,
+      default: {},
+    },
     // Stripe subscription fields (Phase 1)
     stripeCustomerId: {
       type: String,
@@ -106,6 +142,8 @@ const userSchema = new mongoose.Schema(
 userSchema.index({ email: 1 }, { sparse: true }); // Sparse index to allow multiple null emails
 userSchema.index({ role: 1 });
 userSchema.index({ linkedParent: 1 });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function (next) {
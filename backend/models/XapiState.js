@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * XapiState Model
+ *
+ * xAPI State API document, identified by activity + agent + registration + stateId.
+ * Used by xAPI/cmi5 content for bookmarks and suspend data, and by the cmi5
+ * launch to hand the AU its LMS.LaunchData.
+ */
+const xapiStateSchema = new mongoose.Schema(
+  {
+    activityId: {
+      type: String,
+      required: true,
+    },
+    // Inverse functional identifier of the agent (see xapi.service getActorKey)
+    actorKey: {
+      type: String,
+      required: true,
+    },
+    // Empty string when the document is not tied to a registration
+    registration: {
+      type: String,
+      default: '',
+    },
+    stateId: {
+      type: String,
+      required: true,
+    },
+    // Child the document belongs to, when the agent is one of our child accounts
+    child: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ChildProfile',
+      default: null,
+    },
+    contentType: {
+      type: String,
+      default: 'application/json',
+    },
+    content: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+xapiStateSchema.index({ activityId: 1, actorKey: 1, registration: 1, stateId: 1 }, { unique: true });
+
+module.exports = mongoose.model('XapiState', xapiStateSchema);
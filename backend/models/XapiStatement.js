@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+/**
+ * XapiStatement Model
+ *
+ * Learning Record Store (LRS) entry for one xAPI statement.
+ * The full statement (as returned to LRS clients) is kept in `statement`;
+ * the other fields are denormalized copies used for filtering.
+ *
+ * Statements are written by xAPI content packages (POST /api/xapi/statements)
+ * and by the progress services (video watched, book read, chant submitted, ...).
+ */
+const xapiStatementSchema = new mongoose.Schema(
+  {
+    // Statement UUID (statement.id)
+    statementId: {
+      type: String,
+      required: [true, 'Statement ID is required'],
+      unique: true,
+      lowercase: true,
+    },
+    // Complete statement, including id, timestamp, stored, authority and version
+    statement: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, 'Statement is required'],
+    },
+    // Inverse functional identifier of the actor (e.g. "account:https://example.com|<name>")
+    actorKey: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    verbId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // object.id when the object is an Activity
+    activityId: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    // Object activity plus context activities (for related_activities queries)
+    relatedActivityIds: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+    registration: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    // Child the statement is about, when the actor is one of our child accounts
+    child: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ChildProfile',
+      default: null,
+      index: true,
+    },
+    // Set when a later "voided" statement references this one
+    voided: {
+      type: Boolean,
+      default: false,
+    },
+    timestamp: {
+      type: Date,
+      required: true,
+    },
+    stored: {
+      type: Date,
+      required: true,
+    },
+    // User whose credentials stored the statement (null for server-emitted statements)
+    storedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Statement queries are always ordered by stored time
+xapiStatementSchema.index({ voided: 1, stored: -1 });
+xapiStatementSchema.index({ child: 1, stored: -1 });
+
+module.exports = mongoose.model('XapiStatement', xapiStatementSchema);
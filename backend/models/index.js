@@ -26,6 +26,23 @@ const VideoWatch = require('./VideoWatch');
 const ContactSupport = require('./ContactSupport');
 const GoogleIntegration = require('./GoogleIntegration');
 const Meeting = require('./Meeting');
+const RewardItem = require('./RewardItem');
+const ChildReward = require('./ChildReward');
+const XapiStatement = require('./XapiStatement');
+const XapiState = require('./XapiState');
+const Cmi5Au = require('./Cmi5Au');
+const Cmi5Session = require('./Cmi5Session');
+const Quiz = require('./Quiz');
+const Skill = require('./Skill');
+const SkillMastery = require('./SkillMastery');
+const RecommendationSettings = require('./RecommendationSettings');
+const DailyActivity = require('./DailyActivity');
+const LearningSession = require('./LearningSession');
+const LearningTime = require('./LearningTime');
+const Notification = require('./Notification');
+const Classroom = require('./Classroom');
+const CourseAssignment = require('./CourseAssignment');
+const ResumableUpload = require('./ResumableUpload');
 
 module.exports = {
   User,
@@ -55,5 +72,22 @@ module.exports = {
   ContactSupport,
   GoogleIntegration,
   Meeting,
+  RewardItem,
+  ChildReward,
+  XapiStatement,
+  XapiState,
+  Cmi5Au,
+  Cmi5Session,
+  Quiz,
+  Skill,
+  SkillMastery,
+  RecommendationSettings,
+  DailyActivity,
+  LearningSession,
+  LearningTime,
+  Notification,
+  Classroom,
+  CourseAssignment,
+  ResumableUpload,
 };
 
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * Audio Analysis Sub-Schema
+ *
+ * Result of comparing a child's recording with the reference audio
+ * (see services/audioAnalysis.service.js). Embedded in ChantProgress and in
+ * AudioAssignmentProgress attempts.
+ *
+ * - status: 'pending' until the recording has been analysed in the
+ *   background (see services/audioProcessing.service.js)
+ * - score: overall similarity (0-100); sub-scores are null when they could
+ *   not be judged (e.g. no reference audio)
+ * - minScore/passed: the content's minimum score at analysis time and
+ *   whether the recording reached it (failed analyses pass only without a
+ *   minimum)
+ */
+const scoreField = {
+  type: Number,
+  default: null,
+  min: 0,
+  max: 100,
+};
+
+const audioAnalysisSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed'],
+      required: true,
+    },
+    score: scoreField,
+    durationScore: scoreField,
+    loudnessScore: scoreField,
+    rhythmScore: scoreField,
+    recordingDuration: {
+      type: Number, // seconds
+      default: null,
+    },
+    referenceDuration: {
+      type: Number, // seconds
+      default: null,
+    },
+    minScore: scoreField,
+    passed: {
+      type: Boolean,
+      default: true,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    analyzedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+module.exports = audioAnalysisSchema;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * Media Processing Sub-Schema
+ *
+ * State of the background job that prepares an uploaded file for playback
+ * (services/audioProcessing.service.js for child recordings,
+ * services/videoProcessing.service.js for HLS video). Embedded in Media; null
+ * for files that are served exactly as uploaded.
+ *
+ * - status: pending -> processing -> completed | failed. A failed job leaves
+ *   the original upload in place, so the file stays playable.
+ * - progress: share of the job's steps done (0-100), for the admin lists
+ * - originalMimeType/originalSize: what the browser uploaded, kept after the
+ *   processed file replaces it
+ */
+const mediaProcessingSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'completed', 'failed'],
+      default: 'pending',
+    },
+    progress: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    originalMimeType: {
+      type: String,
+      default: null,
+    },
+    originalSize: {
+      type: Number, // in bytes
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+module.exports = mediaProcessingSchema;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * SCORM Settings Sub-Schema
+ *
+ * Embedded in every content model that can carry a SCORM package
+ * (Book, Chant, AudioAssignment, Media videos).
+ *
+ * - slideCount: number of slides/pages in the package, detected at upload
+ *   (or entered by an admin) and used to turn lesson_location into progress
+ * - completionRule: how the server decides the content item is completed
+ */
+const scormSettingsSchema = new mongoose.Schema(
+  {
+    slideCount: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    // Where slideCount came from
+    slideCountSource: {
+      type: String,
+      enum: ['manifest', 'story', 'manual', null],
+      default: null,
+    },
+    completionRule: {
+      // status: SCORM completion/lesson status reports completed or passed
+      // score: score percentage reaches minScore
+      // time: time spent reaches minTimeSeconds
+      // location: lesson location reaches targetLocation (or the last slide)
+      type: {
+        type: String,
+        enum: ['status', 'score', 'time', 'location'],
+        default: 'status',
+      },
+      minScore: {
+        type: Number, // Percentage (0-100)
+        default: 80,
+        min: 0,
+        max: 100,
+      },
+      minTimeSeconds: {
+        type: Number,
+        default: 60,
+        min: 0,
+      },
+      // Empty = last slide (requires slideCount)
+      targetLocation: {
+        type: String,
+        default: '',
+        trim: true,
+      },
+    },
+  },
+  { _id: false }
+);
+
+module.exports = scormSettingsSchema;
@@ -9,7 +9,7 @@ const {
   restoreActivity,
 } = require('../controllers/activity.controller');
 const { protect, authorize } = require('../middleware/auth');
-const { uploadActivity, uploadActivityUpdate } = require('../middleware/upload');
+const { uploadActivity, uploadActivityUpdate, attachResumableUploads } = require('../middleware/upload');
 
 /**
  * Activity Routes
@@ -34,7 +34,8 @@ router.use(protect);
 router.use(authorize('admin', 'teacher'));
 
 // Create new activity (with SCORM file and cover image upload)
-router.post('/', uploadActivity, createActivity);
+// Large files can be sent first through /api/uploads and referenced by <field>UploadId
+router.post('/', uploadActivity, attachResumableUploads(['scormFile']), createActivity);
 
 // Get all activities
 router.get('/', getAllActivities);
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createAnnouncement,
+  getAnnouncements,
+  getAnnouncementById,
+  updateAnnouncement,
+  deleteAnnouncement,
+  getFeed,
+  markAsRead,
+} = require('../controllers/announcement.controller');
+const { protect, authorize, requireChildAccess } = require('../middleware/auth');
+
+/**
+ * Announcement Routes
+ *
+ * Base path: /api/announcements
+ *
+ * Routes:
+ * - GET    /feed                          - Live announcements for the current user (parent, teacher, admin)
+ * - POST   /:id/read                      - Mark as read for the current user
+ * - GET    /child/:childId/feed           - Live announcements for a child (parent/child session, admin)
+ * - POST   /:id/read/child/:childId       - Mark as read for a child (parent/child session, admin)
+ * - GET    /                              - List announcements (?status&audience&priority&search) (admin)
+ * - POST   /                              - Create announcement (admin)
+ * - GET    /:id                           - Get announcement with read count (admin)
+ * - PUT    /:id                           - Update announcement (admin)
+ * - DELETE /:id                           - Delete announcement (admin)
+ *
+ * A child session always reads announcements as its child.
+ */
+
+// All routes require authentication
+router.use(protect);
+
+// Verify access to :childId (child session must match, parent must own the child)
+router.param('childId', requireChildAccess);
+
+// Feed and read receipts
+router.get('/feed', authorize('parent', 'teacher', 'admin'), getFeed);
+router.get('/child/:childId/feed', authorize('parent', 'admin'), getFeed);
+router.post('/:id/read', authorize('parent', 'teacher', 'admin'), markAsRead);
+router.post('/:id/read/child/:childId', authorize('parent', 'admin'), markAsRead);
+
+// Admin routes
+router.get('/', authorize('admin'), getAnnouncements);
+router.post('/', authorize('admin'), createAnnouncement);
+router.get('/:id', authorize('admin'), getAnnouncementById);
+router.put('/:id', authorize('admin'), updateAnnouncement);
+router.delete('/:id', authorize('admin'), deleteAnnouncement);
+
+module.exports = router;
@@ -14,7 +14,7 @@ const {
   listAudioAssignmentSubmissions,
   reviewAudioAssignmentSubmission,
 } = require('../controllers/audioAssignmentProgress.controller');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requireChildAccess } = require('../middleware/auth');
 const { uploadAudioAssignment, uploadAudioAssignmentUpdate, uploadRecordedAudio } = require('../middleware/upload');
 
 /**
@@ -28,18 +28,21 @@ const { uploadAudioAssignment, uploadAudioAssignmentUpdate, uploadRecordedAudio
  * - POST / - Create new audio assignment (with reference audio and cover image upload)
  * - GET / - Get all audio assignments (with filtering and pagination)
  * - GET /:id - Get single audio assignment by ID
- * - PUT /:id - Update audio assignment (title, description, instructions, coverImage, settings, isPublished)
+ * - PUT /:id - Update audio assignment (title, description, instructions, coverImage, settings, rubric, isPublished)
  * - DELETE /:id - Delete audio assignment (hard delete)
  * - POST /:id/child/:childId/start - Start assignment for child (Parent/Admin)
  * - GET /:id/child/:childId/progress - Get child's progress (Parent/Admin/Teacher)
  * - POST /:id/child/:childId/submit - Submit recorded audio (Parent/Admin)
  * - GET /submissions - List submissions for review (Admin/Teacher)
- * - POST /:id/child/:childId/review - Approve/reject submission (Admin/Teacher)
+ * - POST /:id/child/:childId/review - Approve/reject the latest attempt with rubric scores (Admin/Teacher)
  */
 
 // All routes require authentication
 router.use(protect);
 
+// Verify access to :childId (child session must match, parent must own the child)
+router.param('childId', requireChildAccess);
+
 // ------------------------------------------------------------
 // Child progress/submission routes
 // ------------------------------------------------------------
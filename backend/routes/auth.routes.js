@@ -7,8 +7,12 @@ const {
   logout,
   updateProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
 } = require('../controllers/auth.controller');
-const { protect } = require('../middleware/auth');
+const { protect, denyChildSession } = require('../middleware/auth');
 
 /**
  * Authentication Routes
@@ -18,23 +22,31 @@ const { protect } = require('../middleware/auth');
  * Public routes:
  * - POST /register - Register new user
  * - POST /login - Login user
+ * - POST /forgot-password - Email a password reset link
+ * - POST /reset-password - Set a new password with a reset token
+ * - POST /verify-email - Verify email with a verification token
  * 
  * Protected routes (require authentication):
  * - GET /me - Get current user data
  * - POST /logout - Logout user
  * - PUT /update-profile - Update user profile
  * - PUT /change-password - Change user password
+ * - POST /resend-verification - Resend the email verification link
  */
 
 // Public routes
 router.post('/register', register);
 router.post('/login', login);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/verify-email', verifyEmail);
 
 // Protected routes (require authentication)
 router.get('/me', protect, getMe);
 router.post('/logout', protect, logout);
-router.put('/update-profile', protect, updateProfile);
-router.put('/change-password', protect, changePassword);
+router.put('/update-profile', protect, denyChildSession, updateProfile);
+router.put('/change-password', protect, denyChildSession, changePassword);
+router.post('/resend-verification', protect, denyChildSession, resendVerification);
 
 module.exports = router;
 
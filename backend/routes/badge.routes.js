@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { getAllBadges, getChildLatestBadges } = require('../controllers/badge.controller');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requireChildAccess } = require('../middleware/auth');
 
 /**
  * Badge Routes
@@ -18,6 +18,9 @@ const { protect, authorize } = require('../middleware/auth');
 // All routes require authentication
 router.use(protect);
 
+// Verify access to :childId (child session must match, parent must own the child)
+router.param('childId', requireChildAccess);
+
 // All routes require parent role
 router.use(authorize('parent'));
 
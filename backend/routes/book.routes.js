@@ -8,7 +8,7 @@ const {
   deleteBook,
 } = require('../controllers/book.controller');
 const { protect, authorize } = require('../middleware/auth');
-const { uploadBook, uploadBookUpdate } = require('../middleware/upload');
+const { uploadBook, uploadBookUpdate, attachResumableUploads } = require('../middleware/upload');
 
 /**
  * Book Routes
@@ -32,7 +32,8 @@ router.use(protect);
 router.use(authorize('admin', 'teacher'));
 
 // Create new book (with SCORM file and cover image upload)
-router.post('/', uploadBook, createBook);
+// Large files can be sent first through /api/uploads and referenced by <field>UploadId
+router.post('/', uploadBook, attachResumableUploads(['scormFile']), createBook);
 
 // Get all books
 router.get('/', getAllBooks);
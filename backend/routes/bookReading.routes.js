@@ -4,7 +4,7 @@ const {
   getChildBookReadings,
   getBookReadingStatus,
 } = require('../controllers/bookReading.controller');
-const { protect } = require('../middleware/auth');
+const { protect, requireChildAccess } = require('../middleware/auth');
 
 /**
  * Book Reading Routes
@@ -21,6 +21,9 @@ const { protect } = require('../middleware/auth');
 // All routes require authentication
 router.use(protect);
 
+// Verify access to :childId (child session must match, parent must own the child)
+router.param('childId', requireChildAccess);
+
 // Get all book readings for a child
 router.get('/child/:childId', getChildBookReadings);
 
@@ -12,7 +12,7 @@ const {
   getChantProgressForChild,
   completeChantForChild,
 } = require('../controllers/chantProgress.controller');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requireChildAccess } = require('../middleware/auth');
 const { uploadChant, uploadChantUpdate, uploadRecordedAudio } = require('../middleware/upload');
 
 /**
@@ -36,6 +36,9 @@ const { uploadChant, uploadChantUpdate, uploadRecordedAudio } = require('../midd
 // All routes require authentication
 router.use(protect);
 
+// Verify access to :childId (child session must match, parent must own the child)
+router.param('childId', requireChildAccess);
+
 // ------------------------------------------------------------
 // Child progress routes (no review flow)
 // ------------------------------------------------------------
@@ -8,8 +8,11 @@ const {
   deleteChild,
   restoreChild,
   getChildProfile,
+  setChildPin,
+  removeChildPin,
+  startChildSession,
 } = require('../controllers/children.controller');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, denyChildSession, requireChildAccess } = require('../middleware/auth');
 
 /**
  * Children Routes
@@ -25,6 +28,11 @@ const { protect, authorize } = require('../middleware/auth');
  * - PUT /:id - Update child profile
  * - DELETE /:id - Delete child profile (soft delete)
  * - PUT /:id/restore - Restore archived child profile
+ * - PUT /:id/pin - Set child's 4-digit PIN
+ * - DELETE /:id/pin - Remove child's PIN
+ * - POST /:id/session - Start child session (returns child-scoped token)
+ * 
+ * Child-scoped tokens may only read their own profile (GET /:id/profile)
  */
 
 // All routes require authentication
@@ -33,15 +41,21 @@ router.use(protect);
 // All routes require parent role
 router.use(authorize('parent'));
 
+// Child sessions can only reach their own child
+router.param('id', requireChildAccess);
+
+// Get child profile with full stats, badges, and level info (allowed in child session)
+router.get('/:id/profile', getChildProfile);
+
+// Everything below is parent-only
+router.use(denyChildSession);
+
 // Get all children of logged-in parent
 router.get('/', getAllChildren);
 
 // Get single child by ID
 router.get('/:id', getChildById);
 
-// Get child profile with full stats, badges, and level info
-router.get('/:id/profile', getChildProfile);
-
 // Create new child profile
 router.post('/', createChild);
 
@@ -54,5 +68,12 @@ router.delete('/:id', deleteChild);
 // Restore archived child profile
 router.put('/:id/restore', restoreChild);
 
+// Set or remove child's PIN
+router.put('/:id/pin', setChildPin);
+router.delete('/:id/pin', removeChildPin);
+
+// Start child session (parent selects child, child enters PIN if set)
+router.post('/:id/session', startChildSession);
+
 module.exports = router;
 
@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTeacherDashboard,
+  createClassroom,
+  getClassrooms,
+  getClassroomById,
+  updateClassroom,
+  archiveClassroom,
+  regenerateInviteCode,
+  removeMember,
+  assignCourse,
+  unassignCourse,
+  getClassroomProgress,
+  getChildClassrooms,
+  joinClassroom,
+  leaveClassroom,
+} = require('../controllers/classroom.controller');
+const { protect, authorize, denyChildSession, requireChildAccess } = require('../middleware/auth');
+
+/**
+ * Classroom Routes
+ *
+ * Base path: /api/classrooms
+ *
+ * Routes:
+ * - GET    /child/:childId                  - Child's classrooms (parent/child session, admin)
+ * - POST   /child/:childId/join             - Join with an invite code (parent, admin)
+ * - DELETE /child/:childId/:id              - Take the child out of a classroom (parent, admin)
+ * - GET    /dashboard                       - Teacher dashboard (teacher, admin)
+ * - GET    /                                - List classrooms (?includeArchived&teacherId) (teacher, admin)
+ * - POST   /                                - Create classroom (teacher, admin)
+ * - GET    /:id                             - Classroom with roster and courses (teacher, admin)
+ * - PUT    /:id                             - Update classroom (teacher, admin)
+ * - DELETE /:id                             - Archive classroom (teacher, admin)
+ * - POST   /:id/invite-code                 - Regenerate invite code (teacher, admin)
+ * - DELETE /:id/members/:childId            - Remove a child (teacher, admin)
+ * - POST   /:id/courses                     - Assign a course (teacher, admin)
+ * - DELETE /:id/courses/:courseId           - Remove a course (teacher, admin)
+ * - GET    /:id/progress                    - Per-child course progress (teacher, admin)
+ *
+ * Teachers can only manage their own classrooms.
+ */
+
+// All routes require authentication
+router.use(protect);
+
+// Verify access to :childId (child session must match, parent must own the child)
+router.param('childId', requireChildAccess);
+
+// Parent routes (joining and leaving are the parent's decision, not the child's)
+router.get('/child/:childId', authorize('parent', 'admin'), getChildClassrooms);
+router.post('/child/:childId/join', denyChildSession, authorize('parent', 'admin'), joinClassroom);
+router.delete('/child/:childId/:id', denyChildSession, authorize('parent', 'admin'), leaveClassroom);
+
+// Teacher routes
+router.use(authorize('teacher', 'admin'));
+
+router.get('/dashboard', getTeacherDashboard);
+router.get('/', getClassrooms);
+router.post('/', createClassroom);
+router.get('/:id', getClassroomById);
+router.put('/:id', updateClassroom);
+router.delete('/:id', archiveClassroom);
+router.post('/:id/invite-code', regenerateInviteCode);
+router.delete('/:id/members/:childId', removeMember);
+router.post('/:id/courses', assignCourse);
+router.delete('/:id/courses/:courseId', unassignCourse);
+router.get('/:id/progress', getClassroomProgress);
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize, requireChildAccess } = require('../middleware/auth');
+const { uploadScorm } = require('../middleware/upload');
+const cmi5Controller = require('../controllers/cmi5.controller');
+
+/**
+ * cmi5 Routes
+ *
+ * Base path: /api/cmi5
+ *
+ * Routes:
+ * - POST /import                       - Import a cmi5 package into a course (Admin/Teacher)
+ * - GET  /:auId/launch/child/:childId  - Launch URL for an AU (Parent/child session, Admin)
+ * - POST /fetch/:token                 - cmi5 fetch URL: exchange the launch token for LRS credentials
+ *
+ * Launched AUs talk to the LRS at /api/xapi with the credentials from the fetch URL.
+ */
+
+/**
+ * @route   POST /api/cmi5/fetch/:token
+ * @desc    Exchange a single-use fetch token for the AU's auth token
+ * @access  Public (the token is the credential)
+ */
+router.post('/fetch/:token', cmi5Controller.fetchAuthToken);
+
+// All other routes require authentication
+router.use(protect);
+
+// Verify access to :childId (child session must match, parent must own the child)
+router.param('childId', requireChildAccess);
+
+/**
+ * @route   POST /api/cmi5/import
+ * @desc    Import a cmi5 package; every AU becomes a 'cmi5' content item of the course
+ * @access  Private (Admin/Teacher only)
+ *
+ * Body (multipart/form-data):
+ * - cmi5File: cmi5 package ZIP
+ * - courseId: Course ID
+ * - step: Step number (optional)
+ * - starsAwarded: Stars per AU (optional)
+ */
+router.post(
+  '/import',
+  authorize('admin', 'teacher'),
+  uploadScorm.single('cmi5File'),
+  cmi5Controller.importPackage
+);
+
+/**
+ * @route   GET /api/cmi5/:auId/launch/child/:childId
+ * @desc    Create a launch session and return the AU launch URL
+ * @access  Private (Parent/child session for own children, Admin)
+ *
+ * Query params:
+ * - courseId: Course the AU is launched from (required)
+ */
+router.get(
+  '/:auId/launch/child/:childId',
+  authorize('parent', 'admin'),
+  cmi5Controller.launchAu
+);
+
+module.exports = router;
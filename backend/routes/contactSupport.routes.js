@@ -8,7 +8,7 @@ const {
   updateMessageStatus,
   respondToMessage,
 } = require('../controllers/contactSupport.controller');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, denyChildSession } = require('../middleware/auth');
 
 /**
  * Contact Support Routes
@@ -27,6 +27,9 @@ const { protect, authorize } = require('../middleware/auth');
 // All routes require authentication
 router.use(protect);
 
+// Support messages are parent-only, not available in a child session
+router.use(denyChildSession);
+
 // Parent routes (no admin authorization needed)
 router.post('/', createContactMessage);
 router.get('/my-messages', getMyContactMessages);
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAssignableCourses,
+  getChildAssignments,
+  assignCourse,
+  reorderAssignments,
+  updateAssignment,
+  unassignCourse,
+} = require('../controllers/courseAssignment.controller');
+const { protect, authorize, denyChildSession, requireChildAccess } = require('../middleware/auth');
+
+/**
+ * Course Assignment Routes
+ *
+ * Base path: /api/course-assignments
+ *
+ * Routes:
+ * - GET    /courses                   - Courses that can be assigned
+ * - GET    /child/:childId            - Assigned courses and history
+ * - POST   /child/:childId            - Assign a course
+ * - PUT    /child/:childId/order      - Reorder assigned courses
+ * - PATCH  /child/:childId/:courseId  - Pause/resume, target date, lock override
+ * - DELETE /child/:childId/:courseId  - Unassign a course
+ *
+ * Parents manage their own children, teachers the children in their classrooms,
+ * admins every child. Not available in child sessions.
+ */
+
+// All routes require authentication
+router.use(protect);
+router.use(denyChildSession);
+router.use(authorize('parent', 'teacher', 'admin'));
+
+// Verify access to :childId (parent must own the child)
+router.param('childId', requireChildAccess);
+
+router.get('/courses', getAssignableCourses);
+router.get('/child/:childId', getChildAssignments);
+router.post('/child/:childId', assignCourse);
+router.put('/child/:childId/order', reorderAssignments);
+router.patch('/child/:childId/:courseId', updateAssignment);
+router.delete('/child/:childId/:courseId', unassignCourse);
+
+module.exports = router;
@@ -9,11 +9,14 @@ const {
   getCourseDetailsForChild,
   submitBookCompletion,
 } = require('../controllers/courseProgress.controller');
-const { protect } = require('../middleware/auth');
+const { protect, requireChildAccess } = require('../middleware/auth');
 
 // All routes require authentication
 router.use(protect);
 
+// Verify access to :childId (child session must match, parent must own the child)
+router.param('childId', requireChildAccess);
+
 /**
  * @route   GET /api/course-progress/child/:childId
  * @desc    Get all courses with progress for a child
@@ -6,7 +6,7 @@ const {
   getTotalStarsForVideoType,
   getVideoTypeProgress,
 } = require('../controllers/exploreVideoWatch.controller');
-const { protect } = require('../middleware/auth');
+const { protect, requireChildAccess } = require('../middleware/auth');
 
 /**
  * Explore Video Watch Routes
@@ -25,6 +25,9 @@ const { protect } = require('../middleware/auth');
 // All routes require authentication
 router.use(protect);
 
+// Verify access to :childId (child session must match, parent must own the child)
+router.param('childId', requireChildAccess);
+
 // Get total stars for video type (MUST be before /:exploreContentId routes to avoid route conflict)
 router.get('/video-type/:videoType/total-stars/child/:childId', getTotalStarsForVideoType);
 
@@ -13,12 +13,15 @@ const {
   approvePost,
   rejectPost,
 } = require('../controllers/kidsWall.controller');
-const { protect } = require('../middleware/auth');
+const { protect, requireChildAccess } = require('../middleware/auth');
 const { uploadKidsWallImage } = require('../middleware/upload');
 
 // All routes require authentication
 router.use(protect);
 
+// Verify access to :childId (child session must match, parent must own the child)
+router.param('childId', requireChildAccess);
+
 /**
  * KidsWall Routes
  * 
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const {
+  startSession,
+  recordHeartbeat,
+  endSession,
+  getLearningTimeSummary,
+} = require('../controllers/learningSession.controller');
+const { protect, authorize, requireChildAccess } = require('../middleware/auth');
+
+/**
+ * Learning Session Routes
+ *
+ * Base path: /api/learning-sessions
+ *
+ * Routes:
+ * - POST /child/:childId                        - Start a session when a player opens
+ * - POST /child/:childId/:sessionId/heartbeat   - Heartbeat while the player is open
+ * - POST /child/:childId/:sessionId/end         - End the session when the player closes
+ * - GET  /child/:childId/summary                - Learning time total and per day (?days)
+ *
+ * All routes: parent/child session for own children, admin
+ */
+
+// All routes require authentication
+router.use(protect);
+
+// Verify access to :childId (child session must match, parent must own the child)
+router.param('childId', requireChildAccess);
+
+router.get('/child/:childId/summary', authorize('parent', 'admin'), getLearningTimeSummary);
+router.post('/child/:childId', authorize('parent', 'admin'), startSession);
+router.post('/child/:childId/:sessionId/heartbeat', authorize('parent', 'admin'), recordHeartbeat);
+router.post('/child/:childId/:sessionId/end', authorize('parent', 'admin'), endSession);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { getMediaAccess, serveMediaFile } = require('../controllers/media.controller');
+const { protect } = require('../middleware/auth');
+
+/**
+ * Media Routes
+ *
+ * Base path: /api/media
+ *
+ * Routes:
+ * - GET /access?path=     - Signed, expiring URL for an uploaded file (Private)
+ * - GET /files/:token/*   - Serve a file through a signed URL, with Range support (token only)
+ */
+
+router.get('/access', protect, getMediaAccess);
+
+// No protect: <audio>, <video>, HLS segments and SCORM assets cannot send a bearer token
+router.get('/files/:token/*', serveMediaFile);
+
+module.exports = router;
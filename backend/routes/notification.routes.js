@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  getUnreadCount,
+  streamNotifications,
+  markAsRead,
+  markAllAsRead,
+  getPreferences,
+  updatePreferences,
+} = require('../controllers/notification.controller');
+const { protect, authorize, denyChildSession, requireChildAccess } = require('../middleware/auth');
+
+/**
+ * Notification Routes
+ *
+ * Base path: /api/notifications
+ *
+ * Routes:
+ * - GET    /                                - Current user's notifications (?unreadOnly&page&limit)
+ * - GET    /unread-count                    - Current user's unread count
+ * - GET    /stream                          - Server-Sent Events stream for the current user
+ * - PATCH  /read-all                        - Mark all as read
+ * - PATCH  /:id/read                        - Mark one as read
+ * - GET    /preferences                     - Per-type preferences
+ * - PUT    /preferences                     - Update per-type preferences
+ * - GET    /child/:childId                  - Child app notifications (parent/child session, admin)
+ * - GET    /child/:childId/unread-count     - Child app unread count
+ * - GET    /child/:childId/stream           - Server-Sent Events stream for the child app
+ * - PATCH  /child/:childId/read-all         - Mark all child notifications as read
+ * - PATCH  /child/:childId/:id/read         - Mark a child notification as read
+ *
+ * The user routes (parent, teacher, admin) are not available in a child session.
+ */
+
+// All routes require authentication
+router.use(protect);
+
+// Verify access to :childId (child session must match, parent must own the child)
+router.param('childId', requireChildAccess);
+
+// Child app notifications
+router.get('/child/:childId', authorize('parent', 'admin'), getNotifications);
+router.get('/child/:childId/unread-count', authorize('parent', 'admin'), getUnreadCount);
+router.get('/child/:childId/stream', authorize('parent', 'admin'), streamNotifications);
+router.patch('/child/:childId/read-all', authorize('parent', 'admin'), markAllAsRead);
+router.patch('/child/:childId/:id/read', authorize('parent', 'admin'), markAsRead);
+
+// Current user's notifications
+const userAccess = [denyChildSession, authorize('parent', 'teacher', 'admin')];
+router.get('/', userAccess, getNotifications);
+router.get('/unread-count', userAccess, getUnreadCount);
+router.get('/stream', userAccess, streamNotifications);
+router.get('/preferences', userAccess, getPreferences);
+router.put('/preferences', userAccess, updatePreferences);
+router.patch('/read-all', userAccess, markAllAsRead);
+router.patch('/:id/read', userAccess, markAsRead);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { protect, denyChildSession } = require('../middleware/auth');
 const fs = require('fs');
 const logPath = 'd:\\UPWORK\\RiseUpKids\\.cursor\\debug.log';
 
@@ -32,6 +32,9 @@ try {
 // All routes require authentication
 router.use(protect);
 
+// Parent dashboard is not available in a child session
+router.use(denyChildSession);
+
 /**
  * @route   GET /api/parent-dashboard/child/:childId/progress
  * @desc    Get child progress summary for parent dashboard
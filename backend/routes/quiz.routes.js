@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createQuiz,
+  getAllQuizzes,
+  getQuizById,
+  updateQuiz,
+  deleteQuiz,
+} = require('../controllers/quiz.controller');
+const {
+  getQuizForChild,
+  submitQuizAttempt,
+} = require('../controllers/quizAttempt.controller');
+const { protect, authorize, requireChildAccess } = require('../middleware/auth');
+const { uploadQuiz } = require('../middleware/upload');
+
+/**
+ * Quiz Routes
+ *
+ * Base path: /api/quizzes
+ *
+ * All routes require authentication
+ *
+ * Routes:
+ * - POST / - Create new quiz (questions JSON, cover image and question media)
+ * - GET / - Get all quizzes (with filtering and pagination)
+ * - GET /:id - Get single quiz by ID, with answers
+ * - PUT /:id - Update quiz
+ * - DELETE /:id - Delete quiz
+ * - GET /:id/child/:childId/play?courseId= - Start an attempt, questions without answers (Parent/Admin)
+ * - POST /:id/child/:childId/attempts - Submit and score an attempt (Parent/Admin)
+ */
+
+// All routes require authentication
+router.use(protect);
+
+// Verify access to :childId (child session must match, parent must own the child)
+router.param('childId', requireChildAccess);
+
+// ------------------------------------------------------------
+// Child play routes
+// ------------------------------------------------------------
+
+router.get('/:id/child/:childId/play', authorize('parent', 'admin'), getQuizForChild);
+
+router.post('/:id/child/:childId/attempts', authorize('parent', 'admin'), submitQuizAttempt);
+
+// ------------------------------------------------------------
+// Admin/Teacher content management routes
+// ------------------------------------------------------------
+
+// All routes below require admin/teacher role
+router.use(authorize('admin', 'teacher'));
+
+router.post('/', uploadQuiz, createQuiz);
+
+router.get('/', getAllQuizzes);
+
+router.get('/:id', getQuizById);
+
+router.put('/:id', uploadQuiz, updateQuiz);
+
+router.delete('/:id', deleteQuiz);
+
+module.exports = router;
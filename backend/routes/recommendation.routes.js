@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getChildRecommendations,
+  getRecommendationSettings,
+  updateRecommendationSettings,
+} = require('../controllers/recommendation.controller');
+const { protect, authorize, requireChildAccess } = require('../middleware/auth');
+
+/**
+ * Recommendation Routes
+ *
+ * Base path: /api/recommendations
+ *
+ * Routes:
+ * - GET /child/:childId - What to do next (?limit&exploreLimit) (parent/child session, admin)
+ * - GET /settings       - Signal weights (Admin)
+ * - PUT /settings       - Update signal weights (Admin)
+ */
+
+// All routes require authentication
+router.use(protect);
+
+// Verify access to :childId (child session must match, parent must own the child)
+router.param('childId', requireChildAccess);
+
+router.get('/child/:childId', authorize('parent', 'admin'), getChildRecommendations);
+
+router.get('/settings', authorize('admin'), getRecommendationSettings);
+router.put('/settings', authorize('admin'), updateRecommendationSettings);
+
+module.exports = router;
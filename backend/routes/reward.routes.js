@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createReward,
+  getRewards,
+  updateReward,
+  deleteReward,
+  getChildShop,
+  purchaseReward,
+  getChildInventory,
+  equipReward,
+} = require('../controllers/reward.controller');
+const { protect, authorize, requireChildAccess } = require('../middleware/auth');
+const { uploadRewardImage } = require('../middleware/upload');
+
+/**
+ * Reward Shop Routes
+ *
+ * Base path: /api/rewards
+ *
+ * Routes:
+ * - GET    /child/:childId/shop                            - Shop items + spendable balance (parent)
+ * - POST   /child/:childId/purchase/:rewardId              - Purchase reward (parent)
+ * - GET    /child/:childId/inventory                       - Child's owned rewards (parent)
+ * - PATCH  /child/:childId/inventory/:inventoryId/equip    - Equip/unequip reward (parent)
+ * - GET    /                                               - List reward items (admin)
+ * - POST   /                                               - Create reward item (admin)
+ * - PUT    /:id                                            - Update reward item (admin)
+ * - DELETE /:id                                            - Archive reward item (admin)
+ */
+
+// All routes require authentication
+router.use(protect);
+
+// Verify access to :childId (child session must match, parent must own the child)
+router.param('childId', requireChildAccess);
+
+// Child shop routes (parent acting for their child)
+router.get('/child/:childId/shop', authorize('parent'), getChildShop);
+router.post('/child/:childId/purchase/:rewardId', authorize('parent'), purchaseReward);
+router.get('/child/:childId/inventory', authorize('parent'), getChildInventory);
+router.patch('/child/:childId/inventory/:inventoryId/equip', authorize('parent'), equipReward);
+
+// Admin routes
+router.get('/', authorize('admin'), getRewards);
+router.post('/', authorize('admin'), uploadRewardImage, createReward);
+router.put('/:id', authorize('admin'), uploadRewardImage, updateReward);
+router.delete('/:id', authorize('admin'), deleteReward);
+
+module.exports = router;
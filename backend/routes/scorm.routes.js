@@ -1,8 +1,25 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
+const { uploadScorm } = require('../middleware/upload');
 const scormController = require('../controllers/scorm.controller');
 
+/**
+ * @route   POST /api/scorm/validate
+ * @desc    Validate a SCORM package (path traversal, symlinks, size/entry limits, file types, manifest)
+ * @access  Private (Admin/Teacher only)
+ * 
+ * Body (multipart/form-data):
+ * - scormFile: SCORM ZIP file
+ */
+router.post(
+  '/validate',
+  protect,
+  authorize('admin', 'teacher'),
+  uploadScorm.single('scormFile'),
+  scormController.validatePackage
+);
+
 /**
  * @route   GET /api/scorm/:contentId/launch
  * @desc    Get SCORM launch URL
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAllSkills,
+  createSkill,
+  updateSkill,
+  deleteSkill,
+  getChildSkills,
+} = require('../controllers/skill.controller');
+const { protect, authorize, requireChildAccess } = require('../middleware/auth');
+
+/**
+ * Skill Routes
+ *
+ * Base path: /api/skills
+ *
+ * All routes require authentication
+ *
+ * Routes:
+ * - GET /child/:childId - Child's skills tree with mastery (Parent/Admin)
+ * - GET / - Get all skills (Admin/Teacher, for tagging content)
+ * - POST / - Create skill (Admin)
+ * - PUT /:id - Update skill (Admin)
+ * - DELETE /:id - Delete skill (Admin)
+ */
+
+// All routes require authentication
+router.use(protect);
+
+// Verify access to :childId (child session must match, parent must own the child)
+router.param('childId', requireChildAccess);
+
+router.get('/child/:childId', authorize('parent', 'admin'), getChildSkills);
+
+router.get('/', authorize('admin', 'teacher'), getAllSkills);
+
+// The skills tree is managed by admins only
+router.post('/', authorize('admin'), createSkill);
+
+router.put('/:id', authorize('admin'), updateSkill);
+
+router.delete('/:id', authorize('admin'), deleteSkill);
+
+module.exports = router;
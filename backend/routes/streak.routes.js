@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getStreak,
+  getStreakHistory,
+  purchaseStreakFreeze,
+} = require('../controllers/streak.controller');
+const { protect, authorize, requireChildAccess } = require('../middleware/auth');
+
+/**
+ * Streak Routes
+ *
+ * Base path: /api/streaks
+ *
+ * Routes:
+ * - GET  /child/:childId          - Streak status and freezes (parent/child session, admin)
+ * - GET  /child/:childId/history  - Streak calendar (?from&to or ?days) (parent/child session, admin)
+ * - POST /child/:childId/freezes  - Buy a streak freeze with spendable stars (parent/child session)
+ */
+
+// All routes require authentication
+router.use(protect);
+
+// Verify access to :childId (child session must match, parent must own the child)
+router.param('childId', requireChildAccess);
+
+router.get('/child/:childId', authorize('parent', 'admin'), getStreak);
+router.get('/child/:childId/history', authorize('parent', 'admin'), getStreakHistory);
+router.post('/child/:childId/freezes', authorize('parent'), purchaseStreakFreeze);
+
+module.exports = router;
@@ -5,7 +5,7 @@ const {
   cancelUserSubscription,
   handleWebhook,
 } = require('../controllers/stripe.controller');
-const { protect } = require('../middleware/auth');
+const { protect, denyChildSession } = require('../middleware/auth');
 const stripeWebhook = require('../middleware/stripeWebhook');
 
 const router = express.Router();
@@ -21,6 +21,6 @@ router.post('/webhook', stripeWebhook, handleWebhook);
 
 router.post('/parent-signup-session', createParentSignupSession);
 router.get('/checkout-session/:sessionId', getCheckoutSessionDetails);
-router.post('/cancel-subscription', protect, cancelUserSubscription);
+router.post('/cancel-subscription', protect, denyChildSession, cancelUserSubscription);
 
 module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createUpload,
+  getUpload,
+  appendChunk,
+  abortUpload,
+} = require('../controllers/resumableUpload.controller');
+const { protect, authorize } = require('../middleware/auth');
+
+/**
+ * Resumable Upload Routes
+ *
+ * Base path: /api/uploads
+ *
+ * All routes require authentication and admin/teacher role
+ *
+ * Routes:
+ * - POST /       - Start (or resume) an upload of a SCORM package or video
+ * - GET /:id     - Current offset and status
+ * - PATCH /:id   - Append a chunk at Upload-Offset
+ * - DELETE /:id  - Cancel the upload
+ *
+ * Completed uploads are used by passing their id instead of the file, e.g.
+ * scormFileUploadId on POST /api/books (see attachResumableUploads)
+ */
+
+// All routes require authentication
+router.use(protect);
+
+// All routes require admin/teacher role
+router.use(authorize('admin', 'teacher'));
+
+router.post('/', createUpload);
+router.get('/:id', getUpload);
+router.patch('/:id', appendChunk);
+router.delete('/:id', abortUpload);
+
+module.exports = router;
@@ -6,9 +6,10 @@ const {
   getVideoById,
   updateVideo,
   deleteVideo,
+  reprocessVideo,
 } = require('../controllers/video.controller');
 const { protect, authorize } = require('../middleware/auth');
-const { uploadVideo, uploadVideoUpdate } = require('../middleware/upload');
+const { uploadVideo, uploadVideoUpdate, attachResumableUploads } = require('../middleware/upload');
 
 /**
  * Video Routes
@@ -23,6 +24,7 @@ const { uploadVideo, uploadVideoUpdate } = require('../middleware/upload');
  * - GET /:id - Get single video by ID
  * - PUT /:id - Update video (title, description, coverImage, duration, starsAwarded)
  * - DELETE /:id - Delete video (hard delete)
+ * - POST /:id/reprocess - Transcode video to HLS again (e.g. after processing failed)
  */
 
 // All routes require authentication
@@ -32,7 +34,8 @@ router.use(protect);
 router.use(authorize('admin', 'teacher'));
 
 // Create new video (with video file, SCORM file, and cover image upload)
-router.post('/', uploadVideo, createVideo);
+// Large files can be sent first through /api/uploads and referenced by <field>UploadId
+router.post('/', uploadVideo, attachResumableUploads(['videoFile', 'scormFile']), createVideo);
 
 // Get all videos
 router.get('/', getAllVideos);
@@ -46,5 +49,8 @@ router.put('/:id', uploadVideoUpdate, updateVideo);
 // Delete video
 router.delete('/:id', deleteVideo);
 
+// Transcode video to HLS again
+router.post('/:id/reprocess', reprocessVideo);
+
 module.exports = router;
 
@@ -6,7 +6,7 @@ const {
   getChildVideoWatches,
   resetVideoWatch,
 } = require('../controllers/videoWatch.controller');
-const { protect } = require('../middleware/auth');
+const { protect, requireChildAccess } = require('../middleware/auth');
 
 /**
  * Video Watch Routes
@@ -25,6 +25,9 @@ const { protect } = require('../middleware/auth');
 // All routes require authentication
 router.use(protect);
 
+// Verify access to :childId (child session must match, parent must own the child)
+router.param('childId', requireChildAccess);
+
 // Mark video as watched
 router.post('/:videoId/child/:childId', markVideoWatched);
 
@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const { protectLrs, authorize } = require('../middleware/auth');
+const { XAPI_VERSION } = require('../services/xapi.service');
+const xapiController = require('../controllers/xapi.controller');
+
+/**
+ * xAPI Routes (Learning Record Store)
+ *
+ * Base path: /api/xapi
+ *
+ * Routes:
+ * - GET    /about              - LRS version information (public)
+ * - POST   /statements         - Store statements
+ * - PUT    /statements         - Store a statement with a given id
+ * - GET    /statements         - Get or query statements
+ * - GET    /activities/state   - Get a state document or list state ids
+ * - PUT    /activities/state   - Replace a state document
+ * - POST   /activities/state   - Merge into a JSON state document
+ * - DELETE /activities/state   - Delete state documents
+ * - GET    /agents/profile     - Agent profiles (none stored)
+ *
+ * Private routes accept a JWT or the HTTP Basic credentials of a cmi5 launch
+ * (see protectLrs).
+ */
+
+// Every LRS response carries the xAPI version header
+router.use((req, res, next) => {
+  res.set('X-Experience-API-Version', XAPI_VERSION);
+  next();
+});
+
+/**
+ * @route   GET /api/xapi/about
+ * @desc    LRS version information
+ * @access  Public
+ */
+router.get('/about', xapiController.getAbout);
+
+/**
+ * @route   POST /api/xapi/statements
+ * @desc    Store one statement or an array of statements
+ * @access  Private (Admin/Teacher: any actor, Parent/child session: own children only)
+ */
+router.post(
+  '/statements',
+  protectLrs,
+  authorize('admin', 'teacher', 'parent'),
+  xapiController.postStatements
+);
+
+/**
+ * @route   PUT /api/xapi/statements
+ * @desc    Store a statement with the id given in ?statementId=
+ * @access  Private (Admin/Teacher: any actor, Parent/child session: own children only)
+ */
+router.put(
+  '/statements',
+  protectLrs,
+  authorize('admin', 'teacher', 'parent'),
+  xapiController.putStatement
+);
+
+/**
+ * @route   GET /api/xapi/statements
+ * @desc    Get a statement (statementId / voidedStatementId) or query statements
+ *          (agent, verb, activity, registration, since, until, limit, ascending)
+ * @access  Private (Admin/Teacher: all statements, Parent/child session: own children only)
+ */
+router.get(
+  '/statements',
+  protectLrs,
+  authorize('admin', 'teacher', 'parent'),
+  xapiController.getStatements
+);
+
+// State documents may be plain text; JSON bodies are already parsed by express.json()
+const parseStateBody = express.text({ type: (req) => !req.is('application/json') });
+
+/**
+ * @route   GET /api/xapi/activities/state
+ * @desc    Get a state document (stateId) or the ids of all state documents
+ * @access  Private (Admin/Teacher: any agent, Parent/child session: own children only)
+ */
+router.get(
+  '/activities/state',
+  protectLrs,
+  authorize('admin', 'teacher', 'parent'),
+  xapiController.getState
+);
+
+/**
+ * @route   PUT /api/xapi/activities/state
+ * @desc    Store (replace) a state document
+ * @access  Private (Admin/Teacher: any agent, Parent/child session: own children only)
+ */
+router.put(
+  '/activities/state',
+  protectLrs,
+  authorize('admin', 'teacher', 'parent'),
+  parseStateBody,
+  xapiController.saveState
+);
+
+/**
+ * @route   POST /api/xapi/activities/state
+ * @desc    Merge a JSON object into a state document
+ * @access  Private (Admin/Teacher: any agent, Parent/child session: own children only)
+ */
+router.post(
+  '/activities/state',
+  protectLrs,
+  authorize('admin', 'teacher', 'parent'),
+  parseStateBody,
+  xapiController.saveState
+);
+
+/**
+ * @route   DELETE /api/xapi/activities/state
+ * @desc    Delete a state document (stateId) or all documents of the activity/agent
+ * @access  Private (Admin/Teacher: any agent, Parent/child session: own children only)
+ */
+router.delete(
+  '/activities/state',
+  protectLrs,
+  authorize('admin', 'teacher', 'parent'),
+  xapiController.deleteState
+);
+
+/**
+ * @route   GET /api/xapi/agents/profile
+ * @desc    Agent profile documents (none are stored)
+ * @access  Private (Admin/Teacher/Parent/child session)
+ */
+router.get(
+  '/agents/profile',
+  protectLrs,
+  authorize('admin', 'teacher', 'parent'),
+  xapiController.getAgentProfile
+);
+
+module.exports = router;
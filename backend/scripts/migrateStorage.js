@@ -0,0 +1,217 @@
+/**
+ * Migration Script: Move Uploads To The Configured Storage Driver
+ *
+ * Copies every file under backend/uploads to the storage driver selected with
+ * STORAGE_DRIVER (see services/storage.service.js) and rewrites the file
+ * fields saved before storage keys were introduced:
+ *
+ * - key fields (Media.filePath, scormFilePath, ExploreContent.videoFilePath)
+ *   become storage keys, e.g. "media/audio/recording.webm" instead of an
+ *   absolute path on the old server
+ * - URL fields (url, waveformUrl, hlsUrl, thumbnail, scormFileUrl, coverImage,
+ *   badge and reward images) become "/uploads/<key>"
+ *
+ * Files already stored with the same size are skipped, so the script can be
+ * run again after a partial run. Values that do not point into uploads/
+ * (external URLs, YouTube links) are left untouched.
+ *
+ * Usage:
+ * node backend/scripts/migrateStorage.js [--dry-run] [--delete-local]
+ *
+ * --dry-run       Report what would change without copying or saving anything
+ * --delete-local  Delete local copies after they are stored (s3 driver only)
+ *
+ * Test against MinIO by setting STORAGE_DRIVER=s3, S3_ENDPOINT=http://localhost:9000,
+ * S3_FORCE_PATH_STYLE=true and the MinIO credentials in backend/.env.
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const fs = require('fs-extra');
+const path = require('path');
+const models = require('../models');
+const connectDB = require('../config/database');
+const storageService = require('../services/storage.service');
+const { createLocalDriver } = require('../services/storageDrivers/local.driver');
+
+// Fields holding a storage key, per model
+const KEY_FIELDS = {
+  Media: ['filePath', 'scormFilePath'],
+  Activity: ['scormFilePath'],
+  AudioAssignment: ['scormFilePath'],
+  Book: ['scormFilePath'],
+  Chant: ['scormFilePath'],
+  ExploreContent: ['videoFilePath'],
+};
+
+// Fields holding an "/uploads/<key>" URL, per model
+const URL_FIELDS = {
+  Media: ['url', 'waveformUrl', 'hlsUrl', 'thumbnail', 'scormFileUrl'],
+  Activity: ['scormFileUrl', 'coverImage'],
+  ActivityGroup: ['coverImage'],
+  AudioAssignment: ['scormFileUrl', 'coverImage'],
+  Badge: ['icon', 'image'],
+  Book: ['scormFileUrl', 'coverImage'],
+  Chant: ['scormFileUrl', 'coverImage'],
+  Cmi5Au: ['coverImage'],
+  Course: ['coverImage'],
+  ExploreContent: ['coverImage'],
+  Journey: ['coverImage'],
+  Lesson: ['coverImage'],
+  RewardItem: ['image'],
+};
+
+const UPLOADS_SEGMENT = /(^|[\\/])uploads[\\/]/;
+
+const parseArgs = (argv) => ({
+  dryRun: argv.includes('--dry-run'),
+  deleteLocal: argv.includes('--delete-local'),
+});
+
+/**
+ * Copy local uploads to the driver
+ * @returns {Promise<Object>} { stored, skipped, deleted, failed }
+ */
+const migrateFiles = async (driver, { dryRun, deleteLocal }) => {
+  const counts = { stored: 0, skipped: 0, deleted: 0, failed: 0 };
+
+  if (driver.isLocal) {
+    console.log('💡 Local driver selected: files stay in uploads/, only documents are updated\n');
+    return counts;
+  }
+  if (!(await fs.pathExists(storageService.UPLOADS_ROOT))) {
+    console.log('💡 No uploads folder found, nothing to copy\n');
+    return counts;
+  }
+
+  const keys = await createLocalDriver({ root: storageService.UPLOADS_ROOT }).list('');
+  console.log(`📊 Found ${keys.length} local files\n`);
+
+  for (const key of keys) {
+    const localPath = path.join(storageService.UPLOADS_ROOT, key);
+    try {
+      const { size } = await fs.stat(localPath);
+      const stored = await driver.stat(key);
+
+      if (stored && stored.size === size) {
+        counts.skipped += 1;
+      } else if (dryRun) {
+        console.log(`   - would store ${key}`);
+        counts.stored += 1;
+      } else {
+        await driver.putFile(key, localPath);
+        counts.stored += 1;
+      }
+
+      if (deleteLocal && !dryRun) {
+        await fs.remove(localPath);
+        counts.deleted += 1;
+      }
+    } catch (error) {
+      console.error(`❌ Could not store ${key}:`, error.message);
+      counts.failed += 1;
+    }
+  }
+
+  return counts;
+};
+
+const toKeyValue = (value) => {
+  if (typeof value !== 'string' || !value) return value;
+  const key = storageService.toStorageKey(value);
+  return key || value;
+};
+
+const toUrlValue = (value) => {
+  if (typeof value !== 'string' || !UPLOADS_SEGMENT.test(value)) return value;
+  const key = storageService.toStorageKey(value);
+  return key ? storageService.toUploadsUrl(key) : value;
+};
+
+/**
+ * Rewrite file fields of one model
+ * @returns {Promise<Number>} Documents updated
+ */
+const migrateModel = async (modelName, { dryRun }) => {
+  const Model = models[modelName];
+  const keyFields = KEY_FIELDS[modelName] || [];
+  const urlFields = URL_FIELDS[modelName] || [];
+  const fields = [...keyFields, ...urlFields];
+
+  const documents = await Model.find({
+    $or: fields.map((field) => ({ [field]: { $type: 'string', $ne: '' } })),
+  }).select(fields.join(' ')).lean();
+
+  let updated = 0;
+  for (const document of documents) {
+    const changes = {};
+    keyFields.forEach((field) => {
+      const value = toKeyValue(document[field]);
+      if (value !== document[field]) changes[field] = value;
+    });
+    urlFields.forEach((field) => {
+      const value = toUrlValue(document[field]);
+      if (value !== document[field]) changes[field] = value;
+    });
+
+    if (Object.keys(changes).length === 0) continue;
+    updated += 1;
+    if (dryRun) {
+      console.log(`   - ${modelName} ${document._id}: ${Object.keys(changes).join(', ')}`);
+      continue;
+    }
+    await Model.updateOne({ _id: document._id }, { $set: changes }, { timestamps: false });
+  }
+
+  return updated;
+};
+
+const migrateStorage = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  try {
+    const driver = storageService.getStorageDriver();
+    console.log(`🔄 Starting storage migration to the "${driver.name}" driver${options.dryRun ? ' (dry run)' : ''}...\n`);
+
+    if (options.deleteLocal && driver.isLocal) {
+      console.log('⚠️  --delete-local is ignored with the local driver\n');
+      options.deleteLocal = false;
+    }
+
+    // Connect to database
+    await connectDB();
+    console.log('✅ Connected to database\n');
+
+    const counts = await migrateFiles(driver, options);
+    console.log(`✅ Files: ${counts.stored} stored, ${counts.skipped} already stored, ${counts.deleted} local copies deleted, ${counts.failed} failed\n`);
+
+    console.log('🔄 Rewriting file fields...');
+    const modelNames = [...new Set([...Object.keys(KEY_FIELDS), ...Object.keys(URL_FIELDS)])];
+    for (const modelName of modelNames) {
+      const updated = await migrateModel(modelName, options);
+      if (updated > 0) {
+        console.log(`✅ ${modelName}: ${updated} records ${options.dryRun ? 'would be ' : ''}updated`);
+      }
+    }
+
+    if (counts.failed > 0) {
+      console.log(`\n⚠️  ${counts.failed} files could not be stored. Run the migration again to retry them.\n`);
+    }
+    console.log('\n✅ Migration completed successfully!\n');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  } finally {
+    // Close database connection
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+    process.exit(0);
+  }
+};
+
+// Run migration
+if (require.main === module) {
+  migrateStorage();
+}
+
+module.exports = { migrateStorage };
@@ -3,7 +3,6 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const morgan = require('morgan');
 const dotenv = require('dotenv');
-const path = require('path');
 
 // Load environment variables
 dotenv.config();
@@ -17,11 +16,15 @@ const childrenRoutes = require('./routes/children.routes');
 const courseRoutes = require('./routes/course.routes');
 const contentCollectionRoutes = require('./routes/contentCollection.routes');
 const courseProgressRoutes = require('./routes/courseProgress.routes');
+const courseAssignmentRoutes = require('./routes/courseAssignment.routes');
 const activityRoutes = require('./routes/activity.routes');
 const bookRoutes = require('./routes/book.routes');
 const videoRoutes = require('./routes/video.routes');
 const audioAssignmentRoutes = require('./routes/audioAssignment.routes');
 const chantRoutes = require('./routes/chant.routes');
+const quizRoutes = require('./routes/quiz.routes');
+const skillRoutes = require('./routes/skill.routes');
+const recommendationRoutes = require('./routes/recommendation.routes');
 const scormRoutes = require('./routes/scorm.routes');
 const kidsWallRoutes = require('./routes/kidsWall.routes');
 const videoWatchRoutes = require('./routes/videoWatch.routes');
@@ -35,11 +38,28 @@ const adminDashboardRoutes = require('./routes/adminDashboard.routes');
 const badgeRoutes = require('./routes/badge.routes');
 const googleMeetRoutes = require('./routes/googleMeet.routes');
 const meetingRoutes = require('./routes/meeting.routes');
+const rewardRoutes = require('./routes/reward.routes');
+const xapiRoutes = require('./routes/xapi.routes');
+const cmi5Routes = require('./routes/cmi5.routes');
+const streakRoutes = require('./routes/streak.routes');
+const learningSessionRoutes = require('./routes/learningSession.routes');
+const announcementRoutes = require('./routes/announcement.routes');
+const notificationRoutes = require('./routes/notification.routes');
+const classroomRoutes = require('./routes/classroom.routes');
+const mediaRoutes = require('./routes/media.routes');
+const uploadRoutes = require('./routes/upload.routes');
+const { servePublicUpload } = require('./controllers/media.controller');
 
 // Import middleware
 const notFound = require('./middleware/notFound');
 const errorHandler = require('./middleware/errorHandler');
 
+// Import background jobs
+const { resumePendingProcessing } = require('./services/audioProcessing.service');
+const { checkDecoderAvailable } = require('./services/audioAnalysis.service');
+const { resumePendingVideoProcessing } = require('./services/videoProcessing.service');
+const { removeExpiredUploads } = require('./services/resumableUpload.service');
+
 // Initialize Express app
 const app = express();
 
@@ -71,11 +91,10 @@ app.get('/favicon.ico', (req, res) => {
   res.status(204).end();
 });
 
-// Serve uploaded files statically
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
-// Serve extracted SCORM packages
-app.use('/scorm', express.static(path.join(__dirname, 'uploads/scorm')));
+// Serve public uploads (cover images, badges, rewards, video posters) from storage.
+// Everything else - recordings, Kids Wall, videos, SCORM and cmi5 packages -
+// is only reachable through signed URLs from /api/media (see mediaAccess.service.js)
+app.use('/uploads', servePublicUpload);
 
 // Routes
 app.use('/api', apiRoutes);
@@ -89,11 +108,15 @@ app.use('/api/courses', courseRoutes);
 app.use('/api/courses', contentCollectionRoutes);
 // Course Progress routes: /api/course-progress
 app.use('/api/course-progress', courseProgressRoutes);
+app.use('/api/course-assignments', courseAssignmentRoutes);
 app.use('/api/activities', activityRoutes);
 app.use('/api/books', bookRoutes);
 app.use('/api/videos', videoRoutes);
 app.use('/api/audio-assignments', audioAssignmentRoutes);
 app.use('/api/chants', chantRoutes);
+app.use('/api/quizzes', quizRoutes);
+app.use('/api/skills', skillRoutes);
+app.use('/api/recommendations', recommendationRoutes);
 app.use('/api/scorm', scormRoutes);
 app.use('/api/kids-wall', kidsWallRoutes);
 app.use('/api/video-watch', videoWatchRoutes);
@@ -105,6 +128,16 @@ app.use('/api/contact-support', contactSupportRoutes);
 app.use('/api/badges', badgeRoutes);
 app.use('/api/google', googleMeetRoutes);
 app.use('/api/meetings', meetingRoutes);
+app.use('/api/rewards', rewardRoutes);
+app.use('/api/streaks', streakRoutes);
+app.use('/api/learning-sessions', learningSessionRoutes);
+app.use('/api/announcements', announcementRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/classrooms', classroomRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/xapi', xapiRoutes);
+app.use('/api/cmi5', cmi5Routes);
 app.use('/api/stripe', stripeRoutes);
 app.use('/api/admin/dashboard', adminDashboardRoutes);
 
@@ -121,16 +154,28 @@ app.get('/', (req, res) => {
       children: '/api/children',
       courses: '/api/courses',
       courseProgress: '/api/course-progress',
+      courseAssignments: '/api/course-assignments',
       activities: '/api/activities',
       books: '/api/books',
       videos: '/api/videos',
       audioAssignments: '/api/audio-assignments',
       chants: '/api/chants',
+      quizzes: '/api/quizzes',
+      skills: '/api/skills',
+      recommendations: '/api/recommendations',
       scorm: '/api/scorm',
       kidsWall: '/api/kids-wall',
       videoWatch: '/api/video-watch',
       bookReading: '/api/book-reading',
-      explore: '/api/explore'
+      explore: '/api/explore',
+      rewards: '/api/rewards',
+      streaks: '/api/streaks',
+      learningSessions: '/api/learning-sessions',
+      announcements: '/api/announcements',
+      notifications: '/api/notifications',
+      classrooms: '/api/classrooms',
+      media: '/api/media',
+      uploads: '/api/uploads'
     }
   });
 });
@@ -160,6 +205,19 @@ const PORT = process.env.PORT || 5000;
 
 const startServer = async () => {
   await connectDB();
+  // Logs once here when ffmpeg is missing, instead of on every recording
+  checkDecoderAvailable();
+  // Recordings and videos uploaded before a restart still need processing
+  resumePendingProcessing()
+    .then((count) => count > 0 && console.log(`Queued ${count} recording(s) for audio processing`))
+    .catch((error) => console.error('Audio processing resume error:', error.message));
+  resumePendingVideoProcessing()
+    .then((count) => count > 0 && console.log(`Queued ${count} video(s) for HLS processing`))
+    .catch((error) => console.error('Video processing resume error:', error.message));
+  // Resumable uploads abandoned for a day
+  removeExpiredUploads()
+    .then((count) => count > 0 && console.log(`Removed ${count} expired upload(s)`))
+    .catch((error) => console.error('Upload cleanup error:', error.message));
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
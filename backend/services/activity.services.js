@@ -1,6 +1,8 @@
 const { Activity, Media, Badge } = require('../models');
 const fs = require('fs');
 const path = require('path');
+const scormService = require('./scorm.service');
+const skillService = require('./skill.services');
 
 /**
  * Create Activity Service
@@ -21,6 +23,7 @@ const createActivity = async (userId, activityData, files = {}) => {
     starsAwarded,
     badgeAwarded,
     tags,
+    skills,
     isPublished,
   } = activityData;
 
@@ -29,6 +32,9 @@ const createActivity = async (userId, activityData, files = {}) => {
     throw new Error('Please provide an activity title');
   }
 
+  // Validate skills if provided
+  const skillIds = await skillService.resolveSkillIds(skills);
+
   // Validate SCORM file is provided
   if (!files.scormFile || !Array.isArray(files.scormFile) || files.scormFile.length === 0) {
     throw new Error('Please provide a SCORM file (ZIP format)');
@@ -44,6 +50,9 @@ const createActivity = async (userId, activityData, files = {}) => {
     }
   }
 
+  // Validate the quarantined package and move it to uploads
+  const scormValidation = await scormService.releaseScormUpload(scormFile);
+
   // Process SCORM file and create Media record
   const relativePath = scormFile.path.replace(path.join(__dirname, '../uploads'), '').replace(/\\/g, '/');
   const scormFileUrl = `/uploads${relativePath.startsWith('/') ? relativePath : `/${relativePath}`}`;
@@ -51,7 +60,7 @@ const createActivity = async (userId, activityData, files = {}) => {
   const scormMedia = await Media.create({
     type: 'video', // Using 'video' type for SCORM files (or we could add 'scorm' type)
     title: scormFile.originalname,
-    filePath: scormFile.path,
+    filePath: scormFile.storageKey,
     url: scormFileUrl,
     mimeType: scormFile.mimetype,
     size: scormFile.size,
@@ -85,13 +94,14 @@ const createActivity = async (userId, activityData, files = {}) => {
     description: description?.trim() || null,
     coverImage: coverImagePath,
     scormFile: scormMedia._id,
-    scormFilePath: scormFile.path,
+    scormFilePath: scormFile.storageKey,
     scormFileUrl: scormFileUrl,
     scormFileSize: scormFile.size,
     estimatedTime: estimatedTime ? parseInt(estimatedTime, 10) : null,
     starsAwarded: starsAwarded ? parseInt(starsAwarded, 10) : 15,
     badgeAwarded: badgeAwarded || null,
     tags: parsedTags.filter(t => t && t.trim()).map(t => t.trim()),
+    skills: skillIds,
     isPublished: isPublished === 'true' || isPublished === true,
     createdBy: userId,
   });
@@ -103,7 +113,7 @@ const createActivity = async (userId, activityData, files = {}) => {
     .populate('createdBy', 'name email')
     .lean();
 
-  return createdActivity;
+  return { ...createdActivity, scormValidation };
 };
 
 /**
@@ -222,6 +232,7 @@ const updateActivity = async (activityId, userId, updateData, files = {}) => {
     description,
     starsAwarded,
     isPublished,
+    skills,
   } = updateData;
 
   // Find activity
@@ -269,6 +280,11 @@ const updateActivity = async (activityId, userId, updateData, files = {}) => {
     activity.coverImage = coverImagePath;
   }
 
+  // Update skills
+  if (skills !== undefined) {
+    activity.skills = await skillService.resolveSkillIds(skills);
+  }
+
   await activity.save();
 
   // Get updated activity with populated data
@@ -0,0 +1,443 @@
+const mongoose = require('mongoose');
+const { Announcement, ChildProfile } = require('../models');
+
+/**
+ * Announcement Service
+ *
+ * Admin-managed announcements with scheduling (publishDate/expiryDate),
+ * audience targeting and read receipts.
+ *
+ * An announcement is live when it is published, its publishDate has passed and
+ * it has not expired. Viewers see live announcements for their audience:
+ * - parents: 'parents'    - teachers: 'teachers'    - admins: 'admins'
+ * - children (child app / child session): 'children'
+ * 'all' reaches every audience.
+ */
+
+const AUDIENCES = ['all', 'parents', 'children', 'teachers', 'admins'];
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const DISPLAY_STYLES = ['banner', 'modal'];
+
+// Audience of each user role
+const ROLE_AUDIENCE = {
+  parent: 'parents',
+  teacher: 'teachers',
+  admin: 'admins',
+};
+
+// Feed order: most important first
+const PRIORITY_RANK = { urgent: 0, high: 1, normal: 2, low: 3 };
+
+const DEFAULT_FEED_LIMIT = 20;
+
+const createAnnouncementError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Parse a date field from a request body
+ * @param {*} value - Date string, Date, or empty
+ * @param {String} field - Field name for the error message
+ * @returns {Date|null} Parsed date (null when empty)
+ */
+const parseDate = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createAnnouncementError(`Invalid ${field}`, 400);
+  }
+  return date;
+};
+
+/**
+ * Normalize targetAudience (array or comma-separated string)
+ * @param {Array|String} value - Requested audiences
+ * @returns {Array<String>} Audiences ('all' alone when it is included)
+ */
+const parseAudience = (value) => {
+  const audiences = (Array.isArray(value) ? value : String(value).split(','))
+    .map((audience) => String(audience).trim())
+    .filter(Boolean);
+
+  if (audiences.length === 0) {
+    throw createAnnouncementError('Please select at least one target audience', 400);
+  }
+  const invalid = audiences.filter((audience) => !AUDIENCES.includes(audience));
+  if (invalid.length > 0) {
+    throw createAnnouncementError(
+      `Invalid target audience: ${invalid.join(', ')}. Must be one of: ${AUDIENCES.join(', ')}`,
+      400
+    );
+  }
+
+  return audiences.includes('all') ? ['all'] : Array.from(new Set(audiences));
+};
+
+/**
+ * Validate and pick the editable announcement fields
+ * @param {Object} data - Request body
+ * @param {Boolean} partial - Only validate the fields present (update)
+ * @returns {Object} Fields to save
+ */
+const buildAnnouncementFields = (data, partial = false) => {
+  const fields = {};
+
+  if (!partial || data.title !== undefined) {
+    if (!data.title || !String(data.title).trim()) {
+      throw createAnnouncementError('Please provide an announcement title', 400);
+    }
+    fields.title = String(data.title).trim();
+  }
+
+  if (!partial || data.message !== undefined) {
+    if (!data.message || !String(data.message).trim()) {
+      throw createAnnouncementError('Please provide announcement message', 400);
+    }
+    fields.message = String(data.message).trim();
+  }
+
+  if (data.targetAudience !== undefined) {
+    fields.targetAudience = parseAudience(data.targetAudience);
+  }
+
+  if (data.priority !== undefined) {
+    if (!PRIORITIES.includes(data.priority)) {
+      throw createAnnouncementError(`Invalid priority. Must be one of: ${PRIORITIES.join(', ')}`, 400);
+    }
+    fields.priority = data.priority;
+  }
+
+  if (data.displayAs !== undefined) {
+    if (!DISPLAY_STYLES.includes(data.displayAs)) {
+      throw createAnnouncementError(`Invalid displayAs. Must be one of: ${DISPLAY_STYLES.join(', ')}`, 400);
+    }
+    fields.displayAs = data.displayAs;
+  }
+
+  if (data.publishDate !== undefined) {
+    fields.publishDate = parseDate(data.publishDate, 'publish date') || new Date();
+  }
+
+  if (data.expiryDate !== undefined) {
+    fields.expiryDate = parseDate(data.expiryDate, 'expiry date');
+  }
+
+  if (data.isPublished !== undefined) {
+    fields.isPublished = data.isPublished === true || data.isPublished === 'true';
+  }
+
+  return fields;
+};
+
+/**
+ * Status of an announcement for the admin list
+ * @param {Object} announcement - Announcement (lean or document)
+ * @param {Date} now - Current time
+ * @returns {String} draft | scheduled | active | expired
+ */
+const getAnnouncementStatus = (announcement, now = new Date()) => {
+  if (!announcement.isPublished) return 'draft';
+  if (announcement.expiryDate && announcement.expiryDate <= now) return 'expired';
+  if (announcement.publishDate && announcement.publishDate > now) return 'scheduled';
+  return 'active';
+};
+
+/**
+ * Admin view of an announcement: status and read count instead of the receipts
+ * @param {Object} announcement - Lean announcement
+ * @returns {Object} Announcement summary
+ */
+const toAdminView = (announcement) => {
+  const { readBy = [], ...rest } = announcement;
+  return {
+    ...rest,
+    status: getAnnouncementStatus(announcement),
+    readCount: readBy.length,
+  };
+};
+
+/**
+ * Query for announcements that are live now
+ * @param {Date} now - Current time
+ * @returns {Object} Mongo query
+ */
+const liveQuery = (now) => ({
+  isPublished: true,
+  publishDate: { $lte: now },
+  $or: [{ expiryDate: null }, { expiryDate: { $gt: now } }],
+});
+
+/**
+ * Resolve who is reading: the audience and the read receipt key
+ * @param {Object} viewer - { user, childId? }
+ * @returns {Object} { audience, receipt: { user, child } }
+ */
+const resolveViewer = (viewer) => {
+  if (viewer.childId) {
+    return {
+      audience: 'children',
+      receipt: { user: viewer.user._id, child: new mongoose.Types.ObjectId(String(viewer.childId)) },
+    };
+  }
+
+  const audience = ROLE_AUDIENCE[viewer.user.role];
+  if (!audience) {
+    throw createAnnouncementError('Announcements are not available for this account', 403);
+  }
+  return { audience, receipt: { user: viewer.user._id, child: null } };
+};
+
+/**
+ * Create an announcement (Admin)
+ * @param {String} adminId - Admin user ID
+ * @param {Object} data - title, message, targetAudience, priority, displayAs, publishDate, expiryDate, isPublished
+ * @returns {Object} Created announcement
+ */
+const createAnnouncement = async (adminId, data = {}) => {
+  const fields = buildAnnouncementFields(data);
+
+  if (fields.expiryDate && fields.expiryDate <= (fields.publishDate || new Date())) {
+    throw createAnnouncementError('Expiry date must be after the publish date', 400);
+  }
+
+  const announcement = await Announcement.create({ ...fields, createdBy: adminId });
+  return toAdminView(announcement.toObject());
+};
+
+/**
+ * Get announcements with filtering and pagination (Admin)
+ * @param {Object} filters - status (draft|scheduled|active|expired), audience, priority, search
+ * @param {Object} pagination - page, limit
+ * @returns {Object} { announcements, pagination }
+ */
+const getAnnouncements = async (filters = {}, pagination = {}) => {
+  const { status, audience, priority, search } = filters;
+  const page = Math.max(parseInt(pagination.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(pagination.limit, 10) || 20, 1), 100);
+  const now = new Date();
+
+  const conditions = [];
+
+  if (status === 'draft') {
+    conditions.push({ isPublished: false });
+  } else if (status === 'scheduled') {
+    conditions.push({ isPublished: true, publishDate: { $gt: now } });
+  } else if (status === 'active') {
+    conditions.push(liveQuery(now));
+  } else if (status === 'expired') {
+    conditions.push({ isPublished: true, expiryDate: { $ne: null, $lte: now } });
+  }
+
+  if (audience) {
+    conditions.push({ targetAudience: audience });
+  }
+
+  if (priority) {
+    conditions.push({ priority });
+  }
+
+  if (search) {
+    conditions.push({
+      $or: [
+        { title: { $regex: search, $options: 'i' } },
+        { message: { $regex: search, $options: 'i' } },
+      ],
+    });
+  }
+
+  const query = conditions.length > 0 ? { $and: conditions } : {};
+
+  const [total, announcements] = await Promise.all([
+    Announcement.countDocuments(query),
+    Announcement.find(query)
+      .populate('createdBy', 'name email')
+      .sort({ publishDate: -1, createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+  ]);
+
+  return {
+    announcements: announcements.map(toAdminView),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Get one announcement (Admin)
+ * @param {String} announcementId - Announcement ID
+ * @returns {Object} Announcement with status and readCount
+ */
+const getAnnouncementById = async (announcementId) => {
+  if (!mongoose.Types.ObjectId.isValid(announcementId)) {
+    throw createAnnouncementError('Announcement not found', 404);
+  }
+
+  const announcement = await Announcement.findById(announcementId)
+    .populate('createdBy', 'name email')
+    .lean();
+  if (!announcement) {
+    throw createAnnouncementError('Announcement not found', 404);
+  }
+
+  return toAdminView(announcement);
+};
+
+/**
+ * Update an announcement (Admin)
+ * @param {String} announcementId - Announcement ID
+ * @param {Object} data - Fields to update (same as create)
+ * @returns {Object} Updated announcement
+ */
+const updateAnnouncement = async (announcementId, data = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(announcementId)) {
+    throw createAnnouncementError('Announcement not found', 404);
+  }
+
+  const announcement = await Announcement.findById(announcementId);
+  if (!announcement) {
+    throw createAnnouncementError('Announcement not found', 404);
+  }
+
+  const fields = buildAnnouncementFields(data, true);
+  Object.assign(announcement, fields);
+
+  if (announcement.expiryDate && announcement.expiryDate <= announcement.publishDate) {
+    throw createAnnouncementError('Expiry date must be after the publish date', 400);
+  }
+
+  await announcement.save();
+  return toAdminView(announcement.toObject());
+};
+
+/**
+ * Delete an announcement (Admin)
+ * @param {String} announcementId - Announcement ID
+ */
+const deleteAnnouncement = async (announcementId) => {
+  if (!mongoose.Types.ObjectId.isValid(announcementId)) {
+    throw createAnnouncementError('Announcement not found', 404);
+  }
+
+  const announcement = await Announcement.findByIdAndDelete(announcementId);
+  if (!announcement) {
+    throw createAnnouncementError('Announcement not found', 404);
+  }
+};
+
+/**
+ * Get the live announcements for a viewer, most important first
+ * @param {Object} viewer - { user, childId? } (childId: read as that child)
+ * @param {Object} [options]
+ * @param {Boolean} [options.unreadOnly] - Only announcements the viewer has not read
+ * @param {Number} [options.limit] - Max announcements (default 20)
+ * @returns {Object} { announcements: [{ ..., isRead, readAt }], unreadCount }
+ */
+const getFeed = async (viewer, options = {}) => {
+  const { audience, receipt } = resolveViewer(viewer);
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_FEED_LIMIT, 1), 100);
+
+  if (receipt.child) {
+    const childExists = await ChildProfile.exists({ _id: receipt.child });
+    if (!childExists) {
+      throw createAnnouncementError('Child not found', 404);
+    }
+  }
+
+  const announcements = await Announcement.find({
+    ...liveQuery(new Date()),
+    targetAudience: { $in: ['all', audience] },
+  })
+    .select('title message priority displayAs publishDate expiryDate targetAudience readBy')
+    .lean();
+
+  const isOwnReceipt = (entry) =>
+    String(entry.user) === String(receipt.user) &&
+    String(entry.child || null) === String(receipt.child || null);
+
+  const feed = announcements
+    .map(({ readBy = [], ...announcement }) => {
+      const ownReceipt = readBy.find(isOwnReceipt);
+      return {
+        ...announcement,
+        displayAs: announcement.priority === 'urgent' ? 'modal' : announcement.displayAs || 'banner',
+        isRead: Boolean(ownReceipt),
+        readAt: ownReceipt?.readAt || null,
+      };
+    })
+    .sort(
+      (a, b) =>
+        PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority] ||
+        new Date(b.publishDate) - new Date(a.publishDate)
+    );
+
+  const unreadCount = feed.filter((announcement) => !announcement.isRead).length;
+  const visible = options.unreadOnly ? feed.filter((announcement) => !announcement.isRead) : feed;
+
+  return {
+    announcements: visible.slice(0, limit),
+    unreadCount,
+  };
+};
+
+/**
+ * Mark a live announcement as read for a viewer (idempotent)
+ * @param {String} announcementId - Announcement ID
+ * @param {Object} viewer - { user, childId? }
+ * @returns {Object} { announcementId, readAt }
+ */
+const markAsRead = async (announcementId, viewer) => {
+  if (!mongoose.Types.ObjectId.isValid(announcementId)) {
+    throw createAnnouncementError('Announcement not found', 404);
+  }
+
+  const { audience, receipt } = resolveViewer(viewer);
+  const visibleQuery = {
+    _id: announcementId,
+    ...liveQuery(new Date()),
+    targetAudience: { $in: ['all', audience] },
+  };
+
+  const readAt = new Date();
+  const updated = await Announcement.findOneAndUpdate(
+    { ...visibleQuery, readBy: { $not: { $elemMatch: { user: receipt.user, child: receipt.child } } } },
+    { $push: { readBy: { ...receipt, readAt } } },
+    { new: true, projection: { _id: 1 } }
+  );
+
+  if (updated) {
+    return { announcementId, readAt };
+  }
+
+  // Already read, or not visible to this viewer
+  const existing = await Announcement.findOne(visibleQuery).select('readBy').lean();
+  if (!existing) {
+    throw createAnnouncementError('Announcement not found', 404);
+  }
+
+  const ownReceipt = existing.readBy.find(
+    (entry) =>
+      String(entry.user) === String(receipt.user) &&
+      String(entry.child || null) === String(receipt.child || null)
+  );
+  return { announcementId, readAt: ownReceipt?.readAt || readAt };
+};
+
+module.exports = {
+  createAnnouncement,
+  getAnnouncements,
+  getAnnouncementById,
+  updateAnnouncement,
+  deleteAnnouncement,
+  getFeed,
+  markAsRead,
+  AUDIENCES,
+  PRIORITIES,
+};
@@ -0,0 +1,400 @@
+const fs = require('fs');
+const { spawn } = require('child_process');
+
+const storageService = require('./storage.service');
+
+/**
+ * Audio Analysis Service
+ *
+ * Compares a child's recording with the reference audio of a chant or audio
+ * assignment, so completion and stars can depend on the child actually
+ * chanting along instead of on any file being uploaded.
+ *
+ * Both files are decoded to mono PCM with ffmpeg (FFMPEG_PATH, default
+ * "ffmpeg" on the PATH), turned into a loudness envelope (RMS per 50 ms
+ * frame) and trimmed of leading/trailing silence. Three sub-scores (0-100):
+ *
+ * - duration: how close the chanted length is to the reference
+ * - loudness: whether the child is clearly audible and voiced for a similar
+ *   share of the time
+ * - rhythm: dynamic time warping (DTW) similarity of the two envelopes, so a
+ *   slightly faster or slower chant with the same beat still scores well
+ *
+ * The overall score weights rhythm most. Without reference audio only
+ * loudness can be judged, and it becomes the score.
+ *
+ * analyzeRecording() never throws: decoder problems are returned as
+ * { status: 'failed' }. A failed analysis only passes when the content has no
+ * minimum score; otherwise the recording cannot count as good enough, and
+ * callers let the child try again or send it to a person to check.
+ *
+ * checkDecoderAvailable() runs once at startup, so a missing ffmpeg is
+ * reported there instead of on every recording.
+ */
+
+const SAMPLE_RATE = 8000;
+const FRAME_MS = 50;
+const MAX_ANALYSIS_SECONDS = 300;
+const DECODE_TIMEOUT_MS = 30000;
+
+// Frames quieter than this (or 30 dB below the recording's peak) count as silence
+const SILENCE_FLOOR_DB = -50;
+const SILENCE_BELOW_PEAK_DB = 30;
+// Average level of voiced frames mapped onto the loudness level score
+const QUIET_LEVEL_DB = -50;
+const CLEAR_LEVEL_DB = -30;
+// Recordings with less voiced audio than this score 0
+const MIN_VOICED_SECONDS = 0.5;
+// Envelopes are averaged down to at most this many points before DTW
+const DTW_MAX_POINTS = 200;
+
+const SCORE_WEIGHTS = { duration: 0.25, loudness: 0.15, rhythm: 0.6 };
+
+const DECODER_MISSING_MESSAGE = 'Audio decoder (ffmpeg) is not installed';
+const DECODER_CHECK_TIMEOUT_MS = 10000;
+
+// Set by checkDecoderAvailable(); recordings then fail without logging again
+let decoderMissing = false;
+
+const createAnalysisError = (message, statusCode = 500) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+const toPercent = (value) => Math.round(clamp01(value) * 100);
+const toDb = (rms) => 20 * Math.log10(Math.max(rms, 1e-6));
+
+/**
+ * Local path of a Media file, fetched from storage when this server has no copy
+ * @param {Object} media - Media document with filePath (storage key or older path) or url
+ * @returns {Promise<String|null>}
+ */
+const resolveMediaFilePath = async (media) => {
+  const location = media?.filePath || media?.url;
+  if (!location) return null;
+  return storageService.ensureLocalFile(location);
+};
+
+/**
+ * Decode any audio/video file to mono 32-bit float PCM
+ * @param {String} filePath - File to decode
+ * @param {Object} [options]
+ * @param {Number} [options.sampleRate=8000]
+ * @param {Number} [options.maxSeconds=300] - Decoding stops after this much audio
+ * @returns {Promise<Float32Array>} Samples in the range -1..1
+ */
+const decodeAudio = (filePath, { sampleRate = SAMPLE_RATE, maxSeconds = MAX_ANALYSIS_SECONDS } = {}) =>
+  new Promise((resolve, reject) => {
+    if (!filePath || !fs.existsSync(filePath)) {
+      reject(createAnalysisError('Audio file not found', 404));
+      return;
+    }
+
+    const maxBytes = sampleRate * maxSeconds * 4;
+    const chunks = [];
+    let size = 0;
+    let stderr = '';
+    let settled = false;
+
+    const ffmpeg = spawn(process.env.FFMPEG_PATH || 'ffmpeg', [
+      '-v', 'error',
+      '-i', filePath,
+      '-t', String(maxSeconds),
+      '-ac', '1',
+      '-ar', String(sampleRate),
+      '-f', 'f32le',
+      'pipe:1',
+    ]);
+
+    const finish = (error, samples) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (error) reject(error);
+      else resolve(samples);
+    };
+
+    const timer = setTimeout(() => {
+      ffmpeg.kill('SIGKILL');
+      finish(createAnalysisError('Audio decoding timed out'));
+    }, DECODE_TIMEOUT_MS);
+
+    ffmpeg.stdout.on('data', (chunk) => {
+      if (size >= maxBytes) return;
+      chunks.push(chunk);
+      size += chunk.length;
+    });
+    ffmpeg.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk.toString()).slice(-500);
+    });
+    ffmpeg.on('error', (error) => {
+      finish(createAnalysisError(
+        error.code === 'ENOENT' ? DECODER_MISSING_MESSAGE : `Audio decoder failed: ${error.message}`
+      ));
+    });
+    ffmpeg.on('close', (code) => {
+      if (code !== 0) {
+        finish(createAnalysisError(`Could not decode audio${stderr ? `: ${stderr.trim()}` : ''}`, 422));
+        return;
+      }
+      const buffer = Buffer.concat(chunks, Math.min(size, maxBytes));
+      const samples = new Float32Array(Math.floor(buffer.length / 4));
+      for (let i = 0; i < samples.length; i += 1) {
+        samples[i] = buffer.readFloatLE(i * 4);
+      }
+      finish(null, samples);
+    });
+  });
+
+/**
+ * Check once that ffmpeg can be started, and log when it cannot
+ * @returns {Promise<Boolean>} Whether recordings can be analysed
+ */
+const checkDecoderAvailable = () =>
+  new Promise((resolve) => {
+    let settled = false;
+    const ffmpeg = spawn(process.env.FFMPEG_PATH || 'ffmpeg', ['-version'], { stdio: 'ignore' });
+
+    const finish = (available, reason) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      decoderMissing = !available;
+      if (!available) {
+        console.error(`[AudioAnalysis] ${reason}; recordings will not be scored until it is fixed`);
+      }
+      resolve(available);
+    };
+
+    const timer = setTimeout(() => {
+      ffmpeg.kill('SIGKILL');
+      finish(false, 'Audio decoder (ffmpeg) did not respond');
+    }, DECODER_CHECK_TIMEOUT_MS);
+
+    ffmpeg.on('error', (error) => {
+      finish(false, error.code === 'ENOENT' ? DECODER_MISSING_MESSAGE : `Audio decoder failed: ${error.message}`);
+    });
+    ffmpeg.on('close', (code) => {
+      finish(code === 0, `Audio decoder (ffmpeg) exited with code ${code}`);
+    });
+  });
+
+/**
+ * RMS loudness per frame
+ * @param {Float32Array} samples
+ * @param {Number} sampleRate
+ * @returns {Array<Number>}
+ */
+const computeEnvelope = (samples, sampleRate = SAMPLE_RATE) => {
+  const frameSize = Math.max(1, Math.round((sampleRate * FRAME_MS) / 1000));
+  const envelope = [];
+  for (let start = 0; start < samples.length; start += frameSize) {
+    const end = Math.min(start + frameSize, samples.length);
+    let sum = 0;
+    for (let i = start; i < end; i += 1) sum += samples[i] * samples[i];
+    envelope.push(Math.sqrt(sum / (end - start)));
+  }
+  return envelope;
+};
+
+/**
+ * Loudness features of one recording, with leading/trailing silence trimmed
+ */
+const describeEnvelope = (envelope) => {
+  const frameSeconds = FRAME_MS / 1000;
+  const peakDb = envelope.reduce((max, rms) => Math.max(max, toDb(rms)), -Infinity);
+  const thresholdDb = Math.max(SILENCE_FLOOR_DB, peakDb - SILENCE_BELOW_PEAK_DB);
+  const voiced = envelope.map((rms) => toDb(rms) > thresholdDb);
+
+  const first = voiced.indexOf(true);
+  const last = voiced.lastIndexOf(true);
+  const duration = envelope.length * frameSeconds;
+  if (first === -1) {
+    return { duration, activeDuration: 0, voicedSeconds: 0, voicedRatio: 0, levelDb: SILENCE_FLOOR_DB, shape: [] };
+  }
+
+  const active = envelope.slice(first, last + 1);
+  const activeVoiced = voiced.slice(first, last + 1);
+  const voicedLevels = active.filter((_, i) => activeVoiced[i]).map(toDb);
+  const peak = Math.max(...active);
+
+  return {
+    duration,
+    activeDuration: active.length * frameSeconds,
+    voicedSeconds: voicedLevels.length * frameSeconds,
+    voicedRatio: voicedLevels.length / active.length,
+    levelDb: voicedLevels.reduce((sum, db) => sum + db, 0) / voicedLevels.length,
+    // Shape normalised to the peak so recording volume does not matter
+    shape: active.map((rms) => rms / peak),
+  };
+};
+
+/**
+ * Average a series down to at most maxPoints values
+ */
+const downsample = (values, maxPoints = DTW_MAX_POINTS) => {
+  if (values.length <= maxPoints) return values;
+  const step = values.length / maxPoints;
+  const result = [];
+  for (let i = 0; i < maxPoints; i += 1) {
+    const start = Math.floor(i * step);
+    const end = Math.max(start + 1, Math.floor((i + 1) * step));
+    let sum = 0;
+    for (let j = start; j < end; j += 1) sum += values[j];
+    result.push(sum / (end - start));
+  }
+  return result;
+};
+
+/**
+ * DTW distance between two series with a Sakoe-Chiba band, averaged over the
+ * warping path length
+ * @returns {Number} Average absolute difference along the best path (0 = identical)
+ */
+const dtwDistance = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0 || m === 0) return 1;
+
+  const band = Math.max(Math.abs(n - m), Math.ceil(Math.max(n, m) * 0.2));
+  let previous = new Float64Array(m + 1).fill(Infinity);
+  let previousSteps = new Uint32Array(m + 1);
+  previous[0] = 0;
+
+  for (let i = 1; i <= n; i += 1) {
+    const current = new Float64Array(m + 1).fill(Infinity);
+    const currentSteps = new Uint32Array(m + 1);
+    const from = Math.max(1, Math.round((i * m) / n) - band);
+    const to = Math.min(m, Math.round((i * m) / n) + band);
+    for (let j = from; j <= to; j += 1) {
+      const cost = Math.abs(a[i - 1] - b[j - 1]);
+      let best = previous[j - 1];
+      let steps = previousSteps[j - 1];
+      if (previous[j] < best) {
+        best = previous[j];
+        steps = previousSteps[j];
+      }
+      if (current[j - 1] < best) {
+        best = current[j - 1];
+        steps = currentSteps[j - 1];
+      }
+      current[j] = cost + best;
+      currentSteps[j] = steps + 1;
+    }
+    previous = current;
+    previousSteps = currentSteps;
+  }
+
+  return Number.isFinite(previous[m]) ? previous[m] / previousSteps[m] : 1;
+};
+
+/**
+ * Score a recording against a reference from their loudness features
+ * @returns {Object} { score, durationScore, loudnessScore, rhythmScore } (0-100, null when not judged)
+ */
+const scoreFeatures = (recording, reference) => {
+  if (recording.voicedSeconds < MIN_VOICED_SECONDS) {
+    return { score: 0, durationScore: reference ? 0 : null, loudnessScore: 0, rhythmScore: reference ? 0 : null };
+  }
+
+  const levelScore = clamp01((recording.levelDb - QUIET_LEVEL_DB) / (CLEAR_LEVEL_DB - QUIET_LEVEL_DB));
+  if (!reference || reference.voicedSeconds < MIN_VOICED_SECONDS) {
+    return { score: toPercent(levelScore), durationScore: null, loudnessScore: toPercent(levelScore), rhythmScore: null };
+  }
+
+  const duration = Math.min(recording.activeDuration, reference.activeDuration)
+    / Math.max(recording.activeDuration, reference.activeDuration);
+  const voicedMatch = Math.min(recording.voicedRatio, reference.voicedRatio)
+    / Math.max(recording.voicedRatio, reference.voicedRatio);
+  const loudness = 0.5 * levelScore + 0.5 * voicedMatch;
+  // An average envelope difference of 0.5 or more along the path counts as no match
+  const rhythm = clamp01(1 - 2 * dtwDistance(downsample(recording.shape), downsample(reference.shape)));
+
+  return {
+    score: toPercent(
+      SCORE_WEIGHTS.duration * duration + SCORE_WEIGHTS.loudness * loudness + SCORE_WEIGHTS.rhythm * rhythm
+    ),
+    durationScore: toPercent(duration),
+    loudnessScore: toPercent(loudness),
+    rhythmScore: toPercent(rhythm),
+  };
+};
+
+/**
+ * Parse an admin-entered minimum similarity score (form fields arrive as strings)
+ * @param {*} value - '' / null / 'null' clear the minimum
+ * @returns {Number|null}
+ * @throws {Error} If the value is not a whole number from 0 to 100
+ */
+const parseMinSimilarityScore = (value) => {
+  if (value === null || value === '' || value === 'null') return null;
+  const score = Number(value);
+  if (!Number.isInteger(score) || score < 0 || score > 100) {
+    throw createAnalysisError('Invalid minimum similarity score. Must be a whole number from 0 to 100', 400);
+  }
+  return score;
+};
+
+/**
+ * Analyse a child's recording against the reference audio
+ * @param {Object} params
+ * @param {String} params.recordingPath - Child's uploaded recording
+ * @param {String|null} [params.referencePath] - Reference audio (loudness-only scoring without it)
+ * @param {Number|null} [params.minScore] - Minimum score required to pass (null = no minimum)
+ * @returns {Promise<Object>} Analysis result for the audioAnalysis sub-schema
+ */
+const analyzeRecording = async ({ recordingPath, referencePath = null, minScore = null }) => {
+  const analyzedAt = new Date();
+  const hasMinimum = minScore !== null && minScore !== undefined;
+  try {
+    const recordingEnvelope = computeEnvelope(await decodeAudio(recordingPath));
+    const recording = describeEnvelope(recordingEnvelope);
+
+    let reference = null;
+    if (referencePath) {
+      try {
+        reference = describeEnvelope(computeEnvelope(await decodeAudio(referencePath)));
+      } catch (error) {
+        console.warn('[AudioAnalysis] Reference audio could not be decoded, scoring loudness only:', error.message);
+      }
+    }
+
+    const scores = scoreFeatures(recording, reference);
+
+    return {
+      status: 'completed',
+      ...scores,
+      recordingDuration: Math.round(recording.duration * 10) / 10,
+      referenceDuration: reference ? Math.round(reference.duration * 10) / 10 : null,
+      minScore: hasMinimum ? minScore : null,
+      passed: hasMinimum ? scores.score >= minScore : true,
+      error: null,
+      analyzedAt,
+    };
+  } catch (error) {
+    // A missing decoder was already reported at startup
+    if (!(decoderMissing && error.message === DECODER_MISSING_MESSAGE)) {
+      console.error('[AudioAnalysis] Error analyzing recording:', error.message);
+    }
+    return {
+      status: 'failed',
+      minScore: hasMinimum ? minScore : null,
+      // Without a score there is no telling whether the minimum was reached
+      passed: !hasMinimum,
+      error: error.message,
+      analyzedAt,
+    };
+  }
+};
+
+module.exports = {
+  analyzeRecording,
+  checkDecoderAvailable,
+  decodeAudio,
+  computeEnvelope,
+  dtwDistance,
+  resolveMediaFilePath,
+  parseMinSimilarityScore,
+};
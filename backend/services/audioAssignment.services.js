@@ -1,6 +1,72 @@
 const { AudioAssignment, Media, Badge } = require('../models');
-const fs = require('fs');
 const path = require('path');
+const storageService = require('./storage.service');
+const { parseMinSimilarityScore } = require('./audioAnalysis.service');
+const skillService = require('./skill.services');
+
+const MAX_RUBRIC_CRITERIA = 10;
+
+/**
+ * Parse rubric criteria sent as a JSON string (multipart forms) or an array
+ * Keys are kept when given so reviews scored against them still line up,
+ * otherwise they are derived from the label
+ *
+ * @param {String|Array} rubric - [{ key, label, description, maxScore, weight }]
+ * @returns {Array} Validated criteria with unique keys
+ * @throws {Error} If the rubric or one of its criteria is invalid
+ */
+const parseRubric = (rubric) => {
+  let criteria = rubric;
+  if (typeof rubric === 'string') {
+    try {
+      criteria = rubric.trim() ? JSON.parse(rubric) : [];
+    } catch (error) {
+      throw new Error('Invalid rubric format');
+    }
+  }
+  if (!Array.isArray(criteria)) {
+    throw new Error('Invalid rubric format');
+  }
+  if (criteria.length > MAX_RUBRIC_CRITERIA) {
+    throw new Error(`Invalid rubric: at most ${MAX_RUBRIC_CRITERIA} criteria are allowed`);
+  }
+
+  const usedKeys = new Set();
+  return criteria.map((criterion) => {
+    const label = String(criterion?.label || '').trim();
+    if (!label) {
+      throw new Error('Invalid rubric: every criterion needs a label');
+    }
+
+    const maxScore = criterion.maxScore === undefined || criterion.maxScore === '' ? 5 : Number(criterion.maxScore);
+    if (!Number.isInteger(maxScore) || maxScore < 1 || maxScore > 10) {
+      throw new Error(`Invalid rubric: max score for "${label}" must be a whole number from 1 to 10`);
+    }
+
+    const weight = criterion.weight === undefined || criterion.weight === '' ? 1 : Number(criterion.weight);
+    if (!Number.isFinite(weight) || weight < 0.1 || weight > 10) {
+      throw new Error(`Invalid rubric: weight for "${label}" must be between 0.1 and 10`);
+    }
+
+    const baseKey = String(criterion.key || label)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '') || 'criterion';
+    let key = baseKey;
+    for (let suffix = 2; usedKeys.has(key); suffix += 1) {
+      key = `${baseKey}_${suffix}`;
+    }
+    usedKeys.add(key);
+
+    return {
+      key,
+      label,
+      description: String(criterion.description || '').trim(),
+      maxScore,
+      weight,
+    };
+  });
+};
 
 /**
  * Create Audio Assignment Service
@@ -21,9 +87,12 @@ const createAudioAssignment = async (userId, assignmentData, files = {}) => {
     instructions,
     estimatedDuration,
     starsAwarded,
+    minSimilarityScore,
     isStarAssignment,
     badgeAwarded,
     tags,
+    skills,
+    rubric,
     isPublished,
   } = assignmentData;
 
@@ -32,10 +101,15 @@ const createAudioAssignment = async (userId, assignmentData, files = {}) => {
     throw new Error('Please provide an assignment title');
   }
 
+  // Validate skills if provided
+  const skillIds = await skillService.resolveSkillIds(skills);
+
   if (!instructions || !instructions.trim()) {
     throw new Error('Please provide assignment instructions');
   }
 
+  const parsedRubric = rubric !== undefined ? parseRubric(rubric) : [];
+
   // Validate badge if provided
   if (badgeAwarded) {
     const badge = await Badge.findById(badgeAwarded);
@@ -54,7 +128,7 @@ const createAudioAssignment = async (userId, assignmentData, files = {}) => {
     const audioMedia = await Media.create({
       type: 'audio',
       title: referenceAudio.originalname,
-      filePath: referenceAudio.path,
+      filePath: referenceAudio.storageKey,
       url: audioFileUrl,
       mimeType: referenceAudio.mimetype,
       size: referenceAudio.size,
@@ -74,7 +148,7 @@ const createAudioAssignment = async (userId, assignmentData, files = {}) => {
     const videoMedia = await Media.create({
       type: 'video',
       title: instructionVideo.originalname,
-      filePath: instructionVideo.path,
+      filePath: instructionVideo.storageKey,
       url: videoFileUrl,
       mimeType: instructionVideo.mimetype,
       size: instructionVideo.size,
@@ -115,9 +189,12 @@ const createAudioAssignment = async (userId, assignmentData, files = {}) => {
     coverImage: coverImagePath,
     estimatedDuration: estimatedDuration ? parseInt(estimatedDuration, 10) : null,
     starsAwarded: starsAwarded ? parseInt(starsAwarded, 10) : 10,
+    minSimilarityScore: minSimilarityScore !== undefined ? parseMinSimilarityScore(minSimilarityScore) : null,
     isStarAssignment: isStarAssignment === 'true' || isStarAssignment === true,
     badgeAwarded: badgeAwarded || null,
     tags: parsedTags.filter(t => t && t.trim()).map(t => t.trim()),
+    skills: skillIds,
+    rubric: parsedRubric,
     isPublished: isPublished === 'true' || isPublished === true,
     createdBy: userId,
   });
@@ -232,7 +309,7 @@ const getAudioAssignmentById = async (assignmentId) => {
  * Update Audio Assignment Service
  * 
  * Updates audio assignment fields: title, description, instructions, coverImage,
- * estimatedDuration, starsAwarded, isStarAssignment, isPublished
+ * estimatedDuration, starsAwarded, isStarAssignment, rubric, isPublished
  * Reference audio cannot be changed
  * 
  * @param {String} assignmentId - Audio assignment's MongoDB ID
@@ -249,8 +326,11 @@ const updateAudioAssignment = async (assignmentId, userId, updateData, files = {
     instructions,
     estimatedDuration,
     starsAwarded,
+    minSimilarityScore,
     isStarAssignment,
+    rubric,
     isPublished,
+    skills,
   } = updateData;
 
   // Find audio assignment
@@ -300,6 +380,16 @@ const updateAudioAssignment = async (assignmentId, userId, updateData, files = {
     audioAssignment.isStarAssignment = isStarAssignment === 'true' || isStarAssignment === true;
   }
 
+  // Update minimum similarity score for recordings
+  if (minSimilarityScore !== undefined) {
+    audioAssignment.minSimilarityScore = parseMinSimilarityScore(minSimilarityScore);
+  }
+
+  // Update review rubric (past reviews keep the scores they were given)
+  if (rubric !== undefined) {
+    audioAssignment.rubric = parseRubric(rubric);
+  }
+
   // Update published status
   if (isPublished !== undefined) {
     audioAssignment.isPublished = isPublished === 'true' || isPublished === true;
@@ -322,7 +412,7 @@ const updateAudioAssignment = async (assignmentId, userId, updateData, files = {
     const videoMedia = await Media.create({
       type: 'video',
       title: instructionVideo.originalname,
-      filePath: instructionVideo.path,
+      filePath: instructionVideo.storageKey,
       url: videoFileUrl,
       mimeType: instructionVideo.mimetype,
       size: instructionVideo.size,
@@ -332,6 +422,11 @@ const updateAudioAssignment = async (assignmentId, userId, updateData, files = {
     audioAssignment.instructionVideo = videoMedia._id;
   }
 
+  // Update skills
+  if (skills !== undefined) {
+    audioAssignment.skills = await skillService.resolveSkillIds(skills);
+  }
+
   await audioAssignment.save();
 
   // Get updated audio assignment with populated data
@@ -365,8 +460,8 @@ const deleteAudioAssignment = async (assignmentId) => {
   if (audioAssignment.referenceAudio) {
     try {
       const audioMedia = await Media.findById(audioAssignment.referenceAudio);
-      if (audioMedia && audioMedia.filePath && fs.existsSync(audioMedia.filePath)) {
-        fs.unlinkSync(audioMedia.filePath);
+      if (audioMedia) {
+        await storageService.removeFile(audioMedia.filePath || audioMedia.url);
       }
       await Media.findByIdAndDelete(audioAssignment.referenceAudio);
     } catch (error) {
@@ -378,8 +473,8 @@ const deleteAudioAssignment = async (assignmentId) => {
   if (audioAssignment.instructionVideo) {
     try {
       const videoMedia = await Media.findById(audioAssignment.instructionVideo);
-      if (videoMedia && videoMedia.filePath && fs.existsSync(videoMedia.filePath)) {
-        fs.unlinkSync(videoMedia.filePath);
+      if (videoMedia) {
+        await storageService.removeFile(videoMedia.filePath || videoMedia.url);
       }
       await Media.findByIdAndDelete(audioAssignment.instructionVideo);
     } catch (error) {
@@ -388,12 +483,8 @@ const deleteAudioAssignment = async (assignmentId) => {
   }
 
   // Delete cover image if exists
-  if (audioAssignment.coverImage && fs.existsSync(path.join(__dirname, '../', audioAssignment.coverImage.replace('/uploads', 'uploads')))) {
-    try {
-      fs.unlinkSync(path.join(__dirname, '../', audioAssignment.coverImage.replace('/uploads', 'uploads')));
-    } catch (error) {
-      console.error('Error deleting cover image:', error);
-    }
+  if (audioAssignment.coverImage) {
+    await storageService.removeFile(audioAssignment.coverImage);
   }
 
   await AudioAssignment.findByIdAndDelete(assignmentId);
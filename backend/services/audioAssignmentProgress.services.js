@@ -8,6 +8,14 @@ const {
   Media,
   StarEarning,
 } = require('../models');
+const xapiService = require('./xapi.service');
+const skillMasteryService = require('./skillMastery.service');
+const notificationService = require('./notification.service');
+const audioAnalysisService = require('./audioAnalysis.service');
+const audioProcessingService = require('./audioProcessing.service');
+
+// Tip shown to the child when a recording is sent back before review
+const RETRY_FEEDBACK = 'We could not hear enough of your recording. Listen to the example and try again, nice and loud!';
 
 /**
  * Convert an absolute uploaded file path to a public /uploads URL.
@@ -22,6 +30,123 @@ const filePathToUploadsUrl = (absolutePath) => {
   return `/uploads${relativePath.startsWith('/') ? relativePath : `/${relativePath}`}`;
 };
 
+const createAudioReviewError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Progress saved before attempt history existed has its only recording on the
+ * top-level fields; turn it into the first attempt so reviews and resubmissions
+ * have something to build on
+ */
+const seedLegacyAttempt = (progress) => {
+  if (progress.attemptHistory.length > 0 || !progress.recordedAudio) return;
+  progress.attemptHistory.push({
+    attemptNumber: 1,
+    recordedAudio: progress.recordedAudio,
+    timeSpent: progress.timeSpent || 0,
+    submittedAt: progress.submittedAt || progress.updatedAt || new Date(),
+    status: ['approved', 'rejected'].includes(progress.status) ? progress.status : 'submitted',
+    reviewedBy: progress.reviewedBy,
+    reviewedAt: progress.reviewedAt,
+    feedback: progress.adminFeedback,
+    starsEarned: progress.starsEarned || 0,
+  });
+};
+
+/**
+ * Latest attempt (the one the top-level fields mirror)
+ */
+const getLatestAttempt = (progress) => progress.attemptHistory[progress.attemptHistory.length - 1] || null;
+
+/**
+ * Check review scores against the assignment rubric
+ * @param {Array} rubric - AudioAssignment.rubric
+ * @param {Array} scores - [{ criterion, score, comment }]
+ * @param {Boolean} required - Whether every criterion must be scored
+ * @returns {Object} { scores, rubricScore } - rubricScore is a weighted percentage, null without scores
+ * @throws {Error} 400 if a score is missing, unknown or out of range
+ */
+const scoreRubric = (rubric = [], scores, required) => {
+  if (rubric.length === 0) {
+    return { scores: [], rubricScore: null };
+  }
+  if (!Array.isArray(scores) || scores.length === 0) {
+    if (required) {
+      throw createAudioReviewError('Invalid review: please score every rubric criterion', 400);
+    }
+    return { scores: [], rubricScore: null };
+  }
+
+  const byCriterion = new Map(scores.map((entry) => [String(entry?.criterion || ''), entry]));
+  const unknown = [...byCriterion.keys()].find((key) => !rubric.some((criterion) => criterion.key === key));
+  if (unknown !== undefined) {
+    throw createAudioReviewError(`Invalid review: unknown rubric criterion "${unknown}"`, 400);
+  }
+
+  let weightedTotal = 0;
+  let totalWeight = 0;
+  const normalized = rubric.map((criterion) => {
+    const entry = byCriterion.get(criterion.key);
+    const score = Number(entry?.score);
+    if (!entry || !Number.isFinite(score) || score < 0 || score > criterion.maxScore) {
+      throw createAudioReviewError(
+        `Invalid review: "${criterion.label}" needs a score from 0 to ${criterion.maxScore}`,
+        400
+      );
+    }
+    weightedTotal += (score / criterion.maxScore) * criterion.weight;
+    totalWeight += criterion.weight;
+    return {
+      criterion: criterion.key,
+      label: criterion.label,
+      score,
+      maxScore: criterion.maxScore,
+      weight: criterion.weight,
+      comment: String(entry.comment || '').trim(),
+    };
+  });
+
+  return {
+    scores: normalized,
+    rubricScore: Math.round((weightedTotal / totalWeight) * 100),
+  };
+};
+
+/**
+ * Validate comments pinned to moments in the recording
+ * @param {Array} comments - [{ at, text }], at in seconds
+ * @returns {Array} Comments sorted by time, empty texts dropped
+ */
+const normalizeTimedComments = (comments) => {
+  if (comments === undefined || comments === null) return [];
+  if (!Array.isArray(comments)) {
+    throw createAudioReviewError('Invalid review: comments must be a list', 400);
+  }
+  return comments
+    .map((comment) => ({ at: Number(comment?.at), text: String(comment?.text || '').trim() }))
+    .filter((comment) => comment.text)
+    .map((comment) => {
+      if (!Number.isFinite(comment.at) || comment.at < 0) {
+        throw createAudioReviewError('Invalid review: comment time must be a positive number of seconds', 400);
+      }
+      return { at: Math.round(comment.at * 10) / 10, text: comment.text };
+    })
+    .sort((a, b) => a.at - b.at);
+};
+
+/**
+ * Stars for an approved attempt: the full amount without a rubric, otherwise
+ * the rubric share of it (at least one star for an approved recording)
+ */
+const calculateAttemptStars = (maxStars, rubricScore) => {
+  if (!maxStars) return 0;
+  if (rubricScore === null || rubricScore === undefined) return maxStars;
+  return Math.max(1, Math.round((maxStars * rubricScore) / 100));
+};
+
 const getOrCreateProgress = async ({ childId, audioAssignmentId }) => {
   const progress = await AudioAssignmentProgress.findOne({
     child: childId,
@@ -54,7 +179,8 @@ const startAudioAssignment = async ({ childId, audioAssignmentId }) => {
   }
 
   return await AudioAssignmentProgress.findById(progress._id)
-    .populate('recordedAudio', 'type title url mimeType size duration')
+    .populate('recordedAudio', 'type title url mimeType size duration waveformUrl processing')
+    .populate('attemptHistory.recordedAudio', 'type title url mimeType size duration waveformUrl processing')
     .populate({
       path: 'audioAssignment',
       select: 'title instructions coverImage starsAwarded badgeAwarded instructionVideo referenceAudio',
@@ -78,7 +204,8 @@ const getAudioAssignmentProgress = async ({ childId, audioAssignmentId }) => {
   const progress = await getOrCreateProgress({ childId, audioAssignmentId });
 
   return await AudioAssignmentProgress.findById(progress._id)
-    .populate('recordedAudio', 'type title url mimeType size duration')
+    .populate('recordedAudio', 'type title url mimeType size duration waveformUrl processing')
+    .populate('attemptHistory.recordedAudio', 'type title url mimeType size duration waveformUrl processing')
     .populate({
       path: 'audioAssignment',
       select: 'title instructions coverImage starsAwarded badgeAwarded instructionVideo referenceAudio',
@@ -102,30 +229,59 @@ const submitAudioAssignmentRecording = async ({
     throw new Error('Recorded audio file is required');
   }
 
-  const assignment = await AudioAssignment.findById(audioAssignmentId).select('title').lean();
+  const assignment = await AudioAssignment.findById(audioAssignmentId)
+    .select('title minSimilarityScore')
+    .lean();
   if (!assignment) throw new Error('Audio assignment not found');
 
   const child = await ChildProfile.findById(childId).select('_id displayName').lean();
   if (!child) throw new Error('Child not found');
 
+  const progress = await getOrCreateProgress({ childId, audioAssignmentId });
+  if (progress.status === 'approved') {
+    throw createAudioReviewError('This recording has already been approved', 409);
+  }
+
   // Create media for recorded audio
   const audioUrl = filePathToUploadsUrl(recordedAudioFile.path);
   const recordedAudioMedia = await Media.create({
     type: 'audio',
     title: recordedAudioFile.originalname || `audio-assignment-${audioAssignmentId}`,
-    filePath: recordedAudioFile.path,
+    filePath: recordedAudioFile.storageKey,
     url: audioUrl,
     mimeType: recordedAudioFile.mimetype,
     size: recordedAudioFile.size,
     uploadedBy: uploadedByUserId,
+    processing: {
+      status: 'pending',
+    },
   });
 
-  const progress = await getOrCreateProgress({ childId, audioAssignmentId });
+  seedLegacyAttempt(progress);
+  // A recording still waiting for review is replaced, but kept in the history
+  const pendingAttempt = getLatestAttempt(progress);
+  if (pendingAttempt && pendingAttempt.status === 'submitted') {
+    pendingAttempt.status = 'superseded';
+  }
 
   // Reset review info when re-submitting
   progress.recordedAudio = recordedAudioMedia._id;
   progress.status = 'submitted';
+  progress.submittedAt = new Date();
   progress.timeSpent = typeof timeSpent === 'number' ? timeSpent : parseInt(timeSpent || '0', 10) || 0;
+  progress.attemptHistory.push({
+    attemptNumber: progress.attemptHistory.length + 1,
+    recordedAudio: recordedAudioMedia._id,
+    timeSpent: progress.timeSpent,
+    submittedAt: progress.submittedAt,
+    // Scored in the background, see analyzeAssignmentRecording
+    analysis: {
+      status: 'pending',
+      minScore: assignment.minSimilarityScore ?? null,
+      passed: false,
+      analyzedAt: null,
+    },
+  });
   progress.reviewedBy = null;
   progress.reviewedAt = null;
   progress.adminFeedback = null;
@@ -133,8 +289,21 @@ const submitAudioAssignmentRecording = async ({
 
   await progress.save();
 
+  // Score, transcode, trim and normalize after the response; the upload plays meanwhile
+  audioProcessingService.enqueueRecordingProcessing(recordedAudioMedia._id);
+
+  await xapiService.recordLearningEvent({
+    childId,
+    verb: 'submitted',
+    contentType: 'audioAssignment',
+    contentId: audioAssignmentId,
+    title: assignment.title,
+    result: { completion: true, duration: xapiService.secondsToDuration(progress.timeSpent) },
+  });
+
   return await AudioAssignmentProgress.findById(progress._id)
-    .populate('recordedAudio', 'type title url mimeType size duration')
+    .populate('recordedAudio', 'type title url mimeType size duration waveformUrl processing')
+    .populate('attemptHistory.recordedAudio', 'type title url mimeType size duration waveformUrl processing')
     .populate({
       path: 'audioAssignment',
       select: 'title instructions coverImage starsAwarded badgeAwarded instructionVideo referenceAudio',
@@ -146,6 +315,58 @@ const submitAudioAssignmentRecording = async ({
     .lean();
 };
 
+/**
+ * Score an audio assignment attempt waiting for analysis (run by the audio
+ * processing queue before the recording is processed). Recordings below the
+ * minimum similarity score go back to the child instead of staying in the
+ * review queue; recordings that could not be analysed stay in the review
+ * queue for a person to check.
+ * @param {Object} media - Recording Media document
+ * @param {String} filePath - Local path of the original upload
+ */
+const analyzeAssignmentRecording = async (media, filePath) => {
+  const pending = await AudioAssignmentProgress.findOne({
+    attemptHistory: { $elemMatch: { recordedAudio: media._id, 'analysis.status': 'pending' } },
+  })
+    .select('audioAssignment')
+    .lean();
+  if (!pending) return;
+
+  const assignment = await AudioAssignment.findById(pending.audioAssignment)
+    .select('referenceAudio minSimilarityScore')
+    .populate('referenceAudio', 'filePath url')
+    .lean();
+
+  const analysis = await audioAnalysisService.analyzeRecording({
+    recordingPath: filePath,
+    referencePath: assignment ? await audioAnalysisService.resolveMediaFilePath(assignment.referenceAudio) : null,
+    minScore: assignment?.minSimilarityScore,
+  });
+
+  // Reload: the attempt may have been reviewed or replaced meanwhile
+  const progress = await AudioAssignmentProgress.findById(pending._id);
+  const attempt = progress?.attemptHistory.find(
+    (entry) => entry.recordedAudio?.toString() === media._id.toString()
+  );
+  if (!attempt) return;
+
+  attempt.analysis = analysis;
+
+  const isWaitingForReview = attempt === getLatestAttempt(progress) && attempt.status === 'submitted';
+  if (isWaitingForReview && analysis.status === 'completed' && !analysis.passed) {
+    attempt.status = 'rejected';
+    attempt.reviewedAt = new Date();
+    attempt.feedback = RETRY_FEEDBACK;
+    progress.status = 'rejected';
+    progress.reviewedAt = attempt.reviewedAt;
+    progress.adminFeedback = RETRY_FEEDBACK;
+  }
+
+  await progress.save();
+};
+
+audioProcessingService.registerRecordingAnalyzer(analyzeAssignmentRecording);
+
 const listAudioAssignmentSubmissions = async (queryParams = {}) => {
   const {
     status = 'submitted',
@@ -170,8 +391,9 @@ const listAudioAssignmentSubmissions = async (queryParams = {}) => {
 
   const submissions = await AudioAssignmentProgress.find(query)
     .populate('child', 'displayName avatar parent')
-    .populate('audioAssignment', 'title coverImage')
-    .populate('recordedAudio', 'type title url mimeType size duration')
+    .populate('audioAssignment', 'title coverImage starsAwarded rubric')
+    .populate('recordedAudio', 'type title url mimeType size duration waveformUrl processing')
+    .populate('attemptHistory.recordedAudio', 'type title url mimeType size duration waveformUrl processing')
     .populate('reviewedBy', 'name email role')
     .sort({ submittedAt: -1, updatedAt: -1 })
     .skip(skip)
@@ -191,12 +413,21 @@ const listAudioAssignmentSubmissions = async (queryParams = {}) => {
   };
 };
 
+/**
+ * Review the latest recording: approve or request another attempt, with
+ * rubric scores, an overall tip and comments pinned to moments in the audio
+ *
+ * Approval awards stars from the rubric score. Stars are never taken back; a
+ * better score on a re-review only tops up the difference.
+ */
 const reviewAudioAssignmentSubmission = async ({
   childId,
   audioAssignmentId,
   reviewerUserId,
   decision,
   feedback,
+  scores,
+  comments,
 }) => {
   if (!['approved', 'rejected'].includes(decision)) {
     throw new Error('Invalid decision. Must be "approved" or "rejected"');
@@ -215,30 +446,42 @@ const reviewAudioAssignmentSubmission = async ({
     throw new Error('Submission has no recorded audio');
   }
 
+  const assignment = await AudioAssignment.findById(audioAssignmentId).select('title starsAwarded rubric').lean();
+  if (!assignment) throw new Error('Audio assignment not found');
+
+  const rubricResult = scoreRubric(assignment.rubric, scores, decision === 'approved');
+  const timedComments = normalizeTimedComments(comments);
+
+  seedLegacyAttempt(progress);
+  const attempt = getLatestAttempt(progress);
+  attempt.status = decision;
+  attempt.reviewedBy = reviewerUserId;
+  attempt.reviewedAt = new Date();
+  attempt.feedback = feedback?.trim() || null;
+  attempt.scores = rubricResult.scores;
+  attempt.rubricScore = rubricResult.rubricScore;
+  attempt.comments = timedComments;
+
   progress.status = decision;
   progress.reviewedBy = reviewerUserId;
-  progress.reviewedAt = new Date();
-  progress.adminFeedback = feedback?.trim() || null;
+  progress.reviewedAt = attempt.reviewedAt;
+  progress.adminFeedback = attempt.feedback;
 
-  // Award stars only once, and only on approval
-  if (decision === 'approved' && !progress.starsAwarded) {
-    const assignment = await AudioAssignment.findById(audioAssignmentId).select('title starsAwarded').lean();
-    if (!assignment) throw new Error('Audio assignment not found');
+  if (decision === 'approved') {
+    const targetStars = calculateAttemptStars(assignment.starsAwarded || 0, rubricResult.rubricScore);
+    attempt.starsEarned = targetStars;
 
-    const starsToAward = assignment.starsAwarded || 0;
-
-    const existingEarning = await StarEarning.findOne({
+    const earnings = await StarEarning.find({
       child: childId,
       'source.type': 'audio_assignment',
       'source.contentId': audioAssignmentId,
-    }).lean();
+    })
+      .select('stars createdAt')
+      .lean();
+    const earnedSoFar = earnings.reduce((sum, earning) => sum + (earning.stars || 0), 0);
+    const starsToAward = targetStars - earnedSoFar;
 
-    if (existingEarning && starsToAward > 0) {
-      // Stars were already awarded previously; sync progress flags
-      progress.starsEarned = progress.starsEarned || starsToAward;
-      progress.starsAwarded = true;
-      progress.starsAwardedAt = progress.starsAwardedAt || existingEarning.createdAt || new Date();
-    } else if (!existingEarning && starsToAward > 0) {
+    if (starsToAward > 0) {
       await StarEarning.create({
         child: childId,
         stars: starsToAward,
@@ -248,13 +491,19 @@ const reviewAudioAssignmentSubmission = async ({
           contentType: 'AudioAssignment',
           metadata: {
             audioAssignmentTitle: assignment.title,
+            attemptNumber: attempt.attemptNumber,
+            rubricScore: rubricResult.rubricScore,
           },
         },
-        description: `Earned ${starsToAward} stars for completing "${assignment.title}"`,
+        description: earnedSoFar > 0
+          ? `Earned ${starsToAward} more stars for improving "${assignment.title}"`
+          : `Earned ${starsToAward} stars for completing "${assignment.title}"`,
       });
 
       const stats = await ChildStats.getOrCreate(childId);
-      stats.totalAudioAssignmentsCompleted = (stats.totalAudioAssignmentsCompleted || 0) + 1;
+      if (earnedSoFar === 0) {
+        stats.totalAudioAssignmentsCompleted = (stats.totalAudioAssignmentsCompleted || 0) + 1;
+      }
       await stats.addStars(starsToAward);
 
       // Check for badges after awarding stars
@@ -265,21 +514,78 @@ const reviewAudioAssignmentSubmission = async ({
         console.error(`[AudioAssignmentProgress] Error checking badges after star award:`, badgeError);
         // Don't throw - badge checking failure shouldn't block audio assignment completion
       }
+    }
 
-      progress.starsEarned = starsToAward;
+    // Sync progress flags with what the child has actually been given
+    const totalEarned = earnedSoFar + Math.max(starsToAward, 0);
+    if (totalEarned > 0) {
+      progress.starsEarned = totalEarned;
       progress.starsAwarded = true;
-      progress.starsAwardedAt = new Date();
+      progress.starsAwardedAt = starsToAward > 0
+        ? new Date()
+        : progress.starsAwardedAt || earnings[0]?.createdAt || new Date();
     }
   }
 
   await progress.save();
 
-  return await AudioAssignmentProgress.findById(progress._id)
+  const reviewed = await AudioAssignmentProgress.findById(progress._id)
     .populate('child', 'displayName avatar parent')
     .populate('audioAssignment', 'title instructions coverImage starsAwarded badgeAwarded instructionVideo referenceAudio')
-    .populate('recordedAudio', 'type title url mimeType size duration')
+    .populate('recordedAudio', 'type title url mimeType size duration waveformUrl processing')
+    .populate('attemptHistory.recordedAudio', 'type title url mimeType size duration waveformUrl processing')
     .populate('reviewedBy', 'name email role')
     .lean();
+
+  await xapiService.recordLearningEvent({
+    childId,
+    verb: decision,
+    contentType: 'audioAssignment',
+    contentId: audioAssignmentId,
+    title: reviewed.audioAssignment?.title,
+    instructorId: reviewerUserId,
+    result: {
+      success: decision === 'approved',
+      ...(attempt.rubricScore !== null && { score: { scaled: attempt.rubricScore / 100 } }),
+    },
+  });
+
+  await skillMasteryService.recordSkillEvidence({
+    childId,
+    contentType: 'audioAssignment',
+    contentId: audioAssignmentId,
+    source: 'review',
+    value: attempt.rubricScore ?? (decision === 'approved' ? 100 : 0),
+  });
+
+  const assignmentTitle = reviewed.audioAssignment?.title || 'your recording';
+  const childName = reviewed.child?.displayName || 'Your child';
+  await notificationService.notifyChild(childId, {
+    type: 'audio_review',
+    child: {
+      title: decision === 'approved' ? 'Great job! 🎉' : 'Let\'s try again! 🎤',
+      message: decision === 'approved'
+        ? `Your teacher loved your recording of "${assignmentTitle}"!`
+        : `Your teacher wants you to record "${assignmentTitle}" again.`,
+      link: `/child/${childId}/journey`,
+    },
+    parent: {
+      title: decision === 'approved' ? 'Recording approved' : 'Recording needs another try',
+      message: `${childName}'s recording of "${assignmentTitle}" was ${decision}${
+        attempt.rubricScore !== null ? ` (score ${attempt.rubricScore}%)` : ''
+      }${reviewed.adminFeedback ? `: ${reviewed.adminFeedback}` : '.'}`,
+      link: '/parent/dashboard',
+    },
+    data: {
+      audioAssignmentId,
+      progressId: reviewed._id,
+      decision,
+      attemptNumber: attempt.attemptNumber,
+      rubricScore: attempt.rubricScore,
+    },
+  });
+
+  return reviewed;
 };
 
 module.exports = {
@@ -0,0 +1,281 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const { Media } = require('../models');
+const { decodeAudio, resolveMediaFilePath } = require('./audioAnalysis.service');
+const { createProcessingQueue } = require('./mediaProcessingQueue.service');
+const storageService = require('./storage.service');
+
+/**
+ * Audio Processing Service
+ *
+ * Prepares child recordings for playback after the upload has returned.
+ * Browsers record in whatever container they like (webm/ogg/mp4), often
+ * without a duration in the header, so each recording is:
+ *
+ * 1. transcoded to mono AAC in an .m4a file, which every browser plays
+ * 2. trimmed of leading and trailing silence
+ * 3. loudness-normalized, so quiet and loud children sound alike in review
+ * 4. measured (Media.duration) and summarized as a waveform peaks JSON file
+ *    next to the audio (Media.waveformUrl) for the review UI
+ *
+ * Before that, the original upload is scored against its reference audio by
+ * the analyzers registered with registerRecordingAnalyzer() (chant and audio
+ * assignment progress), so stars and the review queue wait for the score
+ * without holding up the upload. Scoring runs first because loudness
+ * normalization would hide how clearly the child was heard.
+ *
+ * The processed file and waveform are saved to storage (storage.service.js),
+ * the processed file replaces the upload on the same Media document and the
+ * original is deleted. If any step fails the original upload is kept and
+ * Media.processing records the error.
+ *
+ * Jobs run one at a time in this process, in upload order (see
+ * mediaProcessingQueue.service.js). Recordings still pending are queued again
+ * when the server starts, so a restart does not lose work.
+ */
+
+const OUTPUT_MIME_TYPE = 'audio/mp4';
+const OUTPUT_SAMPLE_RATE = 44100;
+const OUTPUT_BITRATE = '96k';
+const MAX_RECORDING_SECONDS = 600;
+const TRANSCODE_TIMEOUT_MS = 120000;
+
+// Silence quieter than this is trimmed from both ends
+const SILENCE_THRESHOLD_DB = -50;
+// EBU R128 targets for loudnorm (integrated loudness, true peak, range)
+const TARGET_LOUDNESS = { I: -16, TP: -1.5, LRA: 11 };
+
+const WAVEFORM_SAMPLE_RATE = 8000;
+const WAVEFORM_POINTS = 800;
+const WAVEFORM_DIRECTORY = 'waveforms';
+
+// async (media, filePath) => void, see registerRecordingAnalyzer()
+const recordingAnalyzers = [];
+
+const createProcessingError = (message, statusCode = 500) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Run ffmpeg (FFMPEG_PATH, default "ffmpeg" on the PATH) to completion
+ * @param {Array<String>} args - ffmpeg arguments
+ * @param {Object} [options]
+ * @param {Number} [options.timeoutMs=120000] - ffmpeg is killed after this long
+ * @returns {Promise<void>}
+ */
+const runFfmpeg = (args, { timeoutMs = TRANSCODE_TIMEOUT_MS } = {}) =>
+  new Promise((resolve, reject) => {
+    let stderr = '';
+    let settled = false;
+
+    const ffmpeg = spawn(process.env.FFMPEG_PATH || 'ffmpeg', ['-v', 'error', '-y', ...args]);
+
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (error) reject(error);
+      else resolve();
+    };
+
+    const timer = setTimeout(() => {
+      ffmpeg.kill('SIGKILL');
+      finish(createProcessingError('ffmpeg timed out'));
+    }, timeoutMs);
+
+    ffmpeg.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk.toString()).slice(-500);
+    });
+    ffmpeg.on('error', (error) => {
+      finish(createProcessingError(
+        error.code === 'ENOENT' ? 'ffmpeg is not installed' : `ffmpeg failed: ${error.message}`
+      ));
+    });
+    ffmpeg.on('close', (code) => {
+      if (code !== 0) {
+        finish(createProcessingError(`ffmpeg exited with code ${code}${stderr ? `: ${stderr.trim()}` : ''}`, 422));
+        return;
+      }
+      finish(null);
+    });
+  });
+
+/**
+ * Peaks for drawing a waveform: the loudest sample in each of `points`
+ * equal slices, scaled so the loudest slice is 1
+ * @param {Float32Array} samples - Mono PCM samples
+ * @param {Number} sampleRate
+ * @param {Number} [points=800]
+ * @returns {Object} { version, duration, peaks }
+ */
+const buildWaveform = (samples, sampleRate, points = WAVEFORM_POINTS) => {
+  const count = Math.min(points, samples.length);
+  const peaks = new Array(count).fill(0);
+  let max = 0;
+
+  for (let p = 0; p < count; p += 1) {
+    const start = Math.floor((p * samples.length) / count);
+    const end = Math.floor(((p + 1) * samples.length) / count);
+    let peak = 0;
+    for (let i = start; i < end; i += 1) {
+      const value = Math.abs(samples[i]);
+      if (value > peak) peak = value;
+    }
+    peaks[p] = peak;
+    if (peak > max) max = peak;
+  }
+
+  return {
+    version: 1,
+    duration: Math.round((samples.length / sampleRate) * 100) / 100,
+    peaks: peaks.map((peak) => (max > 0 ? Math.round((peak / max) * 1000) / 1000 : 0)),
+  };
+};
+
+const buildOutputPath = (inputPath) => {
+  const { dir, name, ext } = path.parse(inputPath);
+  const suffix = ext.toLowerCase() === '.m4a' ? '-processed' : '';
+  return path.join(dir, `${name}${suffix}.m4a`);
+};
+
+/**
+ * Score a recording before it is processed, while the original upload exists
+ * @param {Function} analyzer - async (media, filePath) => void; ignores media it does not own
+ */
+const registerRecordingAnalyzer = (analyzer) => {
+  recordingAnalyzers.push(analyzer);
+};
+
+const runRecordingAnalyzers = async (media, filePath) => {
+  for (const analyzer of recordingAnalyzers) {
+    try {
+      await analyzer(media, filePath);
+    } catch (error) {
+      console.error(`[AudioProcessing] Error analyzing media ${media._id}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Process one recording now (normally called by the queue)
+ * @param {String} mediaId - Media ID with processing.status 'pending' or 'failed'
+ * @returns {Promise<Object|null>} Updated Media document, or null when not found
+ */
+const processRecording = async (mediaId) => {
+  const media = await Media.findById(mediaId);
+  if (!media) return null;
+  if (!media.processing || ['processing', 'completed'].includes(media.processing.status)) {
+    return media;
+  }
+
+  const originalLocation = media.filePath || media.url;
+  const inputPath = await resolveMediaFilePath(media);
+  const outputPath = buildOutputPath(inputPath);
+  const waveformPath = path.join(
+    path.dirname(outputPath),
+    WAVEFORM_DIRECTORY,
+    `${path.parse(outputPath).name}.json`
+  );
+
+  media.processing.status = 'processing';
+  media.processing.attempts += 1;
+  media.processing.startedAt = new Date();
+  media.processing.error = null;
+  await media.save();
+
+  await runRecordingAnalyzers(media, inputPath);
+
+  try {
+    if (!fs.existsSync(inputPath)) {
+      throw createProcessingError('Recording file not found', 404);
+    }
+
+    const trimSilence = `silenceremove=start_periods=1:start_threshold=${SILENCE_THRESHOLD_DB}dB`;
+    const loudnorm = `loudnorm=I=${TARGET_LOUDNESS.I}:TP=${TARGET_LOUDNESS.TP}:LRA=${TARGET_LOUDNESS.LRA}`;
+    await runFfmpeg([
+      '-i', inputPath,
+      '-t', String(MAX_RECORDING_SECONDS),
+      '-vn',
+      '-ac', '1',
+      // Trim the start, reverse to trim the end, then restore the order
+      '-af', [trimSilence, 'areverse', trimSilence, 'areverse', loudnorm].join(','),
+      '-ar', String(OUTPUT_SAMPLE_RATE),
+      '-c:a', 'aac',
+      '-b:a', OUTPUT_BITRATE,
+      '-movflags', '+faststart',
+      outputPath,
+    ]);
+
+    const samples = await decodeAudio(outputPath, {
+      sampleRate: WAVEFORM_SAMPLE_RATE,
+      maxSeconds: MAX_RECORDING_SECONDS,
+    });
+    if (samples.length === 0) {
+      throw createProcessingError('Recording is silent', 422);
+    }
+
+    const waveform = buildWaveform(samples, WAVEFORM_SAMPLE_RATE);
+    await fs.promises.mkdir(path.dirname(waveformPath), { recursive: true });
+    await fs.promises.writeFile(waveformPath, JSON.stringify(waveform));
+    const { size } = await fs.promises.stat(outputPath);
+    const outputKey = await storageService.saveFile(outputPath, { contentType: OUTPUT_MIME_TYPE });
+    const waveformKey = await storageService.saveFile(waveformPath, { contentType: 'application/json' });
+
+    media.processing.originalMimeType = media.mimeType;
+    media.processing.originalSize = media.size;
+    media.filePath = outputKey;
+    media.url = storageService.toUploadsUrl(outputKey);
+    media.mimeType = OUTPUT_MIME_TYPE;
+    media.size = size;
+    media.duration = waveform.duration;
+    media.waveformUrl = storageService.toUploadsUrl(waveformKey);
+    media.processing.status = 'completed';
+    media.processing.progress = 100;
+    media.processing.completedAt = new Date();
+    await media.save();
+
+    await storageService.removeFile(originalLocation);
+  } catch (error) {
+    console.error(`[AudioProcessing] Error processing media ${mediaId}:`, error.message);
+    await storageService.removeFile(outputPath);
+    await storageService.removeFile(waveformPath);
+
+    media.processing.status = 'failed';
+    media.processing.error = error.message;
+    media.processing.completedAt = new Date();
+    await media.save();
+  }
+
+  return media;
+};
+
+const recordingQueue = createProcessingQueue({
+  name: 'AudioProcessing',
+  mediaType: 'audio',
+  processMedia: processRecording,
+});
+
+/**
+ * Queue a recording for processing; returns immediately
+ * @param {String} mediaId - Media ID created with processing: { status: 'pending' }
+ */
+const enqueueRecordingProcessing = (mediaId) => recordingQueue.enqueue(mediaId);
+
+/**
+ * Queue recordings left pending or interrupted by a restart
+ * @returns {Promise<Number>} Number of recordings queued
+ */
+const resumePendingProcessing = () => recordingQueue.resume();
+
+module.exports = {
+  enqueueRecordingProcessing,
+  registerRecordingAnalyzer,
+  processRecording,
+  resumePendingProcessing,
+  buildWaveform,
+  runFfmpeg,
+};
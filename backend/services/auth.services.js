@@ -1,6 +1,12 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
 const { ChildProfile, ChildStats } = require('../models');
+const { sendMail } = require('./mail.service');
+
+// Lifetimes of emailed single-use tokens
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL_MS = 48 * 60 * 60 * 1000; // 48 hours
 
 /**
  * Generate JWT Token
@@ -16,6 +22,57 @@ const generateToken = (userId) => {
   });
 };
 
+/**
+ * Generate Child Session Token
+ * 
+ * Creates a JWT scoped to one child of a parent
+ * The auth middleware restricts these tokens to that child's routes
+ * 
+ * @param {String} parentId - Parent user's MongoDB ID
+ * @param {String} childId - Child profile's MongoDB ID
+ * @returns {String} JWT token
+ */
+const generateChildToken = (parentId, childId) => {
+  return jwt.sign({ id: parentId, childId, scope: 'child' }, process.env.JWT_SECRET, {
+    expiresIn: process.env.CHILD_JWT_EXPIRE || '12h',
+  });
+};
+
+/**
+ * Create Emailed Token
+ * 
+ * Generates a random single-use token and its HMAC digest (signed with JWT_SECRET)
+ * Only the digest is stored on the user; the raw token is sent by email
+ * 
+ * @returns {Object} { token, digest }
+ */
+const createEmailToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, digest: hashEmailToken(token) };
+};
+
+/**
+ * Hash Emailed Token
+ * 
+ * @param {String} token - Raw token from the email link
+ * @returns {String} HMAC-SHA256 digest
+ */
+const hashEmailToken = (token) => {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update(String(token)).digest('hex');
+};
+
+/**
+ * Build a link into the frontend app
+ * 
+ * @param {String} pathname - Frontend path (e.g. /reset-password)
+ * @param {String} token - Raw token
+ * @returns {String} Absolute URL
+ */
+const buildFrontendLink = (pathname, token) => {
+  const frontendBaseUrl = process.env.FRONTEND_BASE_URL || 'http://localhost:3000';
+  return `${frontendBaseUrl}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
 /**
  * Register/Signup Service
  * 
@@ -57,6 +114,13 @@ const register = async (userData) => {
     role,
   });
 
+  // Send verification email (signup must not fail if the mail transport is down)
+  try {
+    await sendVerificationEmail(user._id);
+  } catch (error) {
+    console.error('[Auth] Failed to send verification email:', error.message);
+  }
+
   // Generate token
   const token = generateToken(user._id);
 
@@ -235,11 +299,190 @@ const logout = async (userId) => {
   };
 };
 
+/**
+ * Send Verification Email Service
+ * 
+ * Issues a new email verification token (replacing any previous one) and emails the link
+ * 
+ * @param {String} userId - User's MongoDB ID
+ * @returns {Object} Success message
+ * @throws {Error} If user not found or already verified
+ */
+const sendVerificationEmail = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (user.isEmailVerified) {
+    throw new Error('Email is already verified');
+  }
+
+  const { token, digest } = createEmailToken();
+  user.emailVerificationToken = digest;
+  user.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+  await user.save();
+
+  const link = buildFrontendLink('/verify-email', token);
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Rise Up Kids email',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 48 hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address:</p><p><a href="${link}">Verify my email</a></p><p>The link expires in 48 hours.</p>`,
+  });
+
+  return {
+    message: 'Verification email sent',
+  };
+};
+
+/**
+ * Verify Email Service
+ * 
+ * @param {String} token - Raw token from the verification link
+ * @returns {Object} Updated user (without password)
+ * @throws {Error} If token is missing, invalid or expired
+ */
+const verifyEmail = async (token) => {
+  if (!token) {
+    throw new Error('Verification token is required');
+  }
+
+  const user = await User.findOne({
+    emailVerificationToken: hashEmailToken(token),
+    emailVerificationExpires: { $gt: new Date() },
+  });
+
+  if (!user) {
+    throw new Error('Verification link is invalid or has expired');
+  }
+
+  user.isEmailVerified = true;
+  user.emailVerifiedAt = new Date();
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save();
+
+  return await User.findById(user._id).select('-password');
+};
+
+/**
+ * Request Password Reset Service
+ * 
+ * Emails a reset link to active parent/teacher/admin accounts
+ * Always resolves with the same message so the endpoint cannot be used to discover accounts
+ * 
+ * @param {String} email - Account email
+ * @returns {Object} Generic success message
+ * @throws {Error} If email is missing
+ */
+const requestPasswordReset = async (email) => {
+  if (!email) {
+    throw new Error('Please provide an email');
+  }
+
+  const genericResponse = {
+    message: 'If an account exists for this email, a password reset link has been sent',
+  };
+
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+
+  if (!user || !user.isActive || user.role === 'child') {
+    return genericResponse;
+  }
+
+  const { token, digest } = createEmailToken();
+  user.passwordResetToken = digest;
+  user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+  await user.save();
+
+  const link = buildFrontendLink('/reset-password', token);
+  // A mail failure must not change the response, or it would reveal that the account exists
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your Rise Up Kids password',
+      text: `Hi ${user.name},\n\nWe received a request to reset your password. Open this link to choose a new one:\n${link}\n\nThe link expires in 1 hour. If you did not ask for this, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>We received a request to reset your password.</p><p><a href="${link}">Choose a new password</a></p><p>The link expires in 1 hour. If you did not ask for this, you can ignore this email.</p>`,
+    });
+  } catch (error) {
+    console.error('[Auth] Failed to send password reset email:', error.message);
+  }
+
+  return genericResponse;
+};
+
+/**
+ * Reset Password Service
+ * 
+ * Sets a new password using a reset token; the token is single-use and
+ * all sessions issued before the reset are invalidated
+ * 
+ * @param {String} token - Raw token from the reset link
+ * @param {String} newPassword - New password (min 6 characters)
+ * @returns {Object} Success message
+ * @throws {Error} If token is invalid/expired or password is too short
+ */
+const resetPassword = async (token, newPassword) => {
+  if (!token) {
+    throw new Error('Reset token is required');
+  }
+
+  if (!newPassword || newPassword.length < 6) {
+    throw new Error('New password must be at least 6 characters');
+  }
+
+  const user = await User.findOne({
+    passwordResetToken: hashEmailToken(token),
+    passwordResetExpires: { $gt: new Date() },
+  });
+
+  if (!user) {
+    throw new Error('Reset link is invalid or has expired');
+  }
+
+  user.password = newPassword;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  // Back-date by a second: JWT iat has second precision
+  user.passwordChangedAt = new Date(Date.now() - 1000);
+  // Receiving the reset email proves ownership of the address
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  return {
+    message: 'Password has been reset. You can now log in.',
+  };
+};
+
+/**
+ * Escape text for use in HTML email bodies
+ * 
+ * @param {String} value - Raw text
+ * @returns {String} Escaped text
+ */
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
 module.exports = {
   register,
   login,
   getCurrentUser,
   logout,
+  sendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
   generateToken,
+  generateChildToken,
 };
 
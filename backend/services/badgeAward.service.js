@@ -1,5 +1,6 @@
 const ChildStats = require('../models/ChildStats');
 const Badge = require('../models/Badge');
+const notificationService = require('./notification.service');
 
 /**
  * Badge Awarding Service
@@ -30,7 +31,25 @@ const awardBadge = async (childId, badgeId) => {
   const stats = await ChildStats.getOrCreate(childId);
 
   // Award badge (addBadge method prevents duplicates)
-  await stats.addBadge(badgeId);
+  const alreadyAwarded = stats.badges.some((id) => id.toString() === badge._id.toString());
+  await stats.addBadge(badge._id);
+
+  if (!alreadyAwarded) {
+    await notificationService.notifyChild(childId, {
+      type: 'badge_awarded',
+      child: {
+        title: 'You earned a new badge! 🏅',
+        message: badge.description ? `${badge.name}: ${badge.description}` : badge.name,
+        link: `/child/${childId}/profile`,
+      },
+      parent: {
+        title: 'New badge earned',
+        message: `Your child earned the "${badge.name}" badge.`,
+        link: '/parent/dashboard',
+      },
+      data: { badgeId: badge._id },
+    });
+  }
 
   return stats;
 };
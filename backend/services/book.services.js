@@ -1,6 +1,8 @@
 const { Book, Media, Badge } = require('../models');
-const fs = require('fs');
 const path = require('path');
+const storageService = require('./storage.service');
+const scormService = require('./scorm.service');
+const skillService = require('./skill.services');
 
 /**
  * Create Book Service
@@ -26,7 +28,10 @@ const createBook = async (userId, bookData, files = {}) => {
     totalStarsAwarded,
     badgeAwarded,
     tags,
+    skills,
     isPublished,
+    completionRule,
+    slideCount,
   } = bookData;
 
   // Validate required fields
@@ -34,6 +39,9 @@ const createBook = async (userId, bookData, files = {}) => {
     throw new Error('Please provide a book title');
   }
 
+  // Validate skills if provided
+  const skillIds = await skillService.resolveSkillIds(skills);
+
   // Validate SCORM file is provided
   if (!files.scormFile || !Array.isArray(files.scormFile) || files.scormFile.length === 0) {
     throw new Error('Please provide a SCORM file (ZIP format) for the book');
@@ -49,6 +57,12 @@ const createBook = async (userId, bookData, files = {}) => {
     }
   }
 
+  // Validate the quarantined package and move it to uploads
+  const scormValidation = await scormService.releaseScormUpload(scormFile);
+
+  // Detect slide count and validate the completion rule
+  const scormSettings = await scormService.buildScormSettings(scormFile.path, { completionRule, slideCount });
+
   // Process SCORM file and create Media record
   const relativePath = scormFile.path.replace(path.join(__dirname, '../uploads'), '').replace(/\\/g, '/');
   const scormFileUrl = `/uploads${relativePath.startsWith('/') ? relativePath : `/${relativePath}`}`;
@@ -56,7 +70,7 @@ const createBook = async (userId, bookData, files = {}) => {
   const scormMedia = await Media.create({
     type: 'video', // Using 'video' type for SCORM files
     title: scormFile.originalname,
-    filePath: scormFile.path,
+    filePath: scormFile.storageKey,
     url: scormFileUrl,
     mimeType: scormFile.mimetype,
     size: scormFile.size,
@@ -90,9 +104,10 @@ const createBook = async (userId, bookData, files = {}) => {
     description: description?.trim() || null,
     coverImage: coverImagePath,
     scormFile: scormMedia._id,
-    scormFilePath: scormFile.path,
+    scormFilePath: scormFile.storageKey,
     scormFileUrl: scormFileUrl,
     scormFileSize: scormFile.size,
+    scormSettings,
     language: language || 'en',
     readingLevel: readingLevel || 'beginner',
     estimatedReadingTime: estimatedReadingTime ? parseInt(estimatedReadingTime, 10) : null,
@@ -101,6 +116,7 @@ const createBook = async (userId, bookData, files = {}) => {
     totalStarsAwarded: totalStarsAwarded ? parseInt(totalStarsAwarded, 10) : 50,
     badgeAwarded: badgeAwarded || null,
     tags: parsedTags.filter(t => t && t.trim()).map(t => t.trim()),
+    skills: skillIds,
     isPublished: isPublished === 'true' || isPublished === true,
     createdBy: userId,
   });
@@ -112,7 +128,7 @@ const createBook = async (userId, bookData, files = {}) => {
     .populate('createdBy', 'name email')
     .lean();
 
-  return createdBook;
+  return { ...createdBook, scormValidation };
 };
 
 /**
@@ -238,6 +254,9 @@ const updateBook = async (bookId, userId, updateData, files = {}) => {
     starsPerReading,
     totalStarsAwarded,
     isPublished,
+    completionRule,
+    slideCount,
+    skills,
   } = updateData;
 
   // Find book
@@ -310,6 +329,9 @@ const updateBook = async (bookId, userId, updateData, files = {}) => {
     book.isPublished = isPublished === 'true' || isPublished === true;
   }
 
+  // Update SCORM completion rule / slide count
+  scormService.updateScormSettings(book, { completionRule, slideCount });
+
   // Process cover image if provided
   if (files.coverImage && Array.isArray(files.coverImage) && files.coverImage.length > 0) {
     const coverImage = files.coverImage[0];
@@ -318,6 +340,11 @@ const updateBook = async (bookId, userId, updateData, files = {}) => {
     book.coverImage = coverImagePath;
   }
 
+  // Update skills
+  if (skills !== undefined) {
+    book.skills = await skillService.resolveSkillIds(skills);
+  }
+
   await book.save();
 
   // Get updated book with populated data
@@ -350,8 +377,8 @@ const deleteBook = async (bookId) => {
   if (book.scormFile) {
     try {
       const scormMedia = await Media.findById(book.scormFile);
-      if (scormMedia && scormMedia.filePath && fs.existsSync(scormMedia.filePath)) {
-        fs.unlinkSync(scormMedia.filePath);
+      if (scormMedia) {
+        await storageService.removeFile(scormMedia.filePath || scormMedia.url);
       }
       await Media.findByIdAndDelete(book.scormFile);
     } catch (error) {
@@ -360,12 +387,8 @@ const deleteBook = async (bookId) => {
   }
 
   // Delete cover image if exists
-  if (book.coverImage && fs.existsSync(path.join(__dirname, '../', book.coverImage.replace('/uploads', 'uploads')))) {
-    try {
-      fs.unlinkSync(path.join(__dirname, '../', book.coverImage.replace('/uploads', 'uploads')));
-    } catch (error) {
-      console.error('Error deleting cover image:', error);
-    }
+  if (book.coverImage) {
+    await storageService.removeFile(book.coverImage);
   }
 
   await Book.findByIdAndDelete(bookId);
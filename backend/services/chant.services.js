@@ -1,6 +1,9 @@
 const { Chant, Media, Badge } = require('../models');
-const fs = require('fs');
 const path = require('path');
+const storageService = require('./storage.service');
+const { parseMinSimilarityScore } = require('./audioAnalysis.service');
+const scormService = require('./scorm.service');
+const skillService = require('./skill.services');
 
 /**
  * Create Chant Service
@@ -20,9 +23,13 @@ const createChant = async (userId, chantData, files = {}) => {
     instructions,
     estimatedDuration,
     starsAwarded,
+    minSimilarityScore,
     badgeAwarded,
     tags,
+    skills,
     isPublished,
+    completionRule,
+    slideCount,
   } = chantData;
 
   // Validate required fields
@@ -30,6 +37,9 @@ const createChant = async (userId, chantData, files = {}) => {
     throw new Error('Please provide a chant title');
   }
 
+  // Validate skills if provided
+  const skillIds = await skillService.resolveSkillIds(skills);
+
   // Validate badge if provided
   if (badgeAwarded) {
     const badge = await Badge.findById(badgeAwarded);
@@ -38,6 +48,13 @@ const createChant = async (userId, chantData, files = {}) => {
     }
   }
 
+  // Validate the optional SCORM package (quarantined upload) before any media is created
+  const scormUpload = files.scormFile && Array.isArray(files.scormFile) && files.scormFile.length > 0 ? files.scormFile[0] : null;
+  const scormValidation = scormUpload ? await scormService.releaseScormUpload(scormUpload) : null;
+  const scormSettings = scormUpload
+    ? await scormService.buildScormSettings(scormUpload.path, { completionRule, slideCount })
+    : undefined;
+
   // Process audio if provided (optional)
   let audioId = null;
   if (files.audio && Array.isArray(files.audio) && files.audio.length > 0) {
@@ -48,7 +65,7 @@ const createChant = async (userId, chantData, files = {}) => {
     const audioMedia = await Media.create({
       type: 'audio',
       title: audioFile.originalname,
-      filePath: audioFile.path,
+      filePath: audioFile.storageKey,
       url: audioFileUrl,
       mimeType: audioFile.mimetype,
       size: audioFile.size,
@@ -68,7 +85,7 @@ const createChant = async (userId, chantData, files = {}) => {
     const videoMedia = await Media.create({
       type: 'video',
       title: instructionVideo.originalname,
-      filePath: instructionVideo.path,
+      filePath: instructionVideo.storageKey,
       url: videoFileUrl,
       mimeType: instructionVideo.mimetype,
       size: instructionVideo.size,
@@ -93,7 +110,7 @@ const createChant = async (userId, chantData, files = {}) => {
     const scormMedia = await Media.create({
       type: 'video', // Using 'video' type for SCORM files
       title: scormFile.originalname,
-      filePath: scormFile.path,
+      filePath: scormFile.storageKey,
       url: scormFileUrl,
       mimeType: scormFile.mimetype,
       size: scormFile.size,
@@ -101,7 +118,7 @@ const createChant = async (userId, chantData, files = {}) => {
     });
 
     scormFileId = scormMedia._id;
-    scormFilePath = scormFile.path;
+    scormFilePath = scormFile.storageKey;
     scormFileSize = scormFile.size;
     scormFileMimeType = scormFile.mimetype;
   }
@@ -139,11 +156,14 @@ const createChant = async (userId, chantData, files = {}) => {
     scormFileUrl: scormFileUrl,
     scormFileSize: scormFileSize,
     scormFileMimeType: scormFileMimeType,
+    scormSettings,
     coverImage: coverImagePath,
     estimatedDuration: estimatedDuration ? parseInt(estimatedDuration, 10) : null,
     starsAwarded: starsAwarded ? parseInt(starsAwarded, 10) : 10,
+    minSimilarityScore: minSimilarityScore !== undefined ? parseMinSimilarityScore(minSimilarityScore) : null,
     badgeAwarded: badgeAwarded || null,
     tags: parsedTags.filter(t => t && t.trim()).map(t => t.trim()),
+    skills: skillIds,
     isPublished: isPublished === 'true' || isPublished === true,
     createdBy: userId,
   });
@@ -157,7 +177,7 @@ const createChant = async (userId, chantData, files = {}) => {
     .populate('createdBy', 'name email')
     .lean();
 
-  return createdChant;
+  return { ...createdChant, scormValidation };
 };
 
 /**
@@ -272,7 +292,11 @@ const updateChant = async (chantId, userId, updateData, files = {}) => {
     instructions,
     estimatedDuration,
     starsAwarded,
+    minSimilarityScore,
     isPublished,
+    completionRule,
+    slideCount,
+    skills,
   } = updateData;
 
   // Find chant
@@ -314,11 +338,19 @@ const updateChant = async (chantId, userId, updateData, files = {}) => {
     chant.starsAwarded = stars;
   }
 
+  // Update minimum similarity score for recordings
+  if (minSimilarityScore !== undefined) {
+    chant.minSimilarityScore = parseMinSimilarityScore(minSimilarityScore);
+  }
+
   // Update published status
   if (isPublished !== undefined) {
     chant.isPublished = isPublished === 'true' || isPublished === true;
   }
 
+  // Update SCORM completion rule / slide count
+  scormService.updateScormSettings(chant, { completionRule, slideCount });
+
   // Process cover image if provided
   if (files.coverImage && Array.isArray(files.coverImage) && files.coverImage.length > 0) {
     const coverImage = files.coverImage[0];
@@ -336,7 +368,7 @@ const updateChant = async (chantId, userId, updateData, files = {}) => {
     const videoMedia = await Media.create({
       type: 'video',
       title: instructionVideo.originalname,
-      filePath: instructionVideo.path,
+      filePath: instructionVideo.storageKey,
       url: videoFileUrl,
       mimeType: instructionVideo.mimetype,
       size: instructionVideo.size,
@@ -346,6 +378,11 @@ const updateChant = async (chantId, userId, updateData, files = {}) => {
     chant.instructionVideo = videoMedia._id;
   }
 
+  // Update skills
+  if (skills !== undefined) {
+    chant.skills = await skillService.resolveSkillIds(skills);
+  }
+
   await chant.save();
 
   // Get updated chant with populated data
@@ -380,8 +417,8 @@ const deleteChant = async (chantId) => {
   if (chant.audio) {
     try {
       const audioMedia = await Media.findById(chant.audio);
-      if (audioMedia && audioMedia.filePath && fs.existsSync(audioMedia.filePath)) {
-        fs.unlinkSync(audioMedia.filePath);
+      if (audioMedia) {
+        await storageService.removeFile(audioMedia.filePath || audioMedia.url);
       }
       await Media.findByIdAndDelete(chant.audio);
     } catch (error) {
@@ -393,8 +430,8 @@ const deleteChant = async (chantId) => {
   if (chant.instructionVideo) {
     try {
       const videoMedia = await Media.findById(chant.instructionVideo);
-      if (videoMedia && videoMedia.filePath && fs.existsSync(videoMedia.filePath)) {
-        fs.unlinkSync(videoMedia.filePath);
+      if (videoMedia) {
+        await storageService.removeFile(videoMedia.filePath || videoMedia.url);
       }
       await Media.findByIdAndDelete(chant.instructionVideo);
     } catch (error) {
@@ -406,8 +443,8 @@ const deleteChant = async (chantId) => {
   if (chant.scormFile) {
     try {
       const scormMedia = await Media.findById(chant.scormFile);
-      if (scormMedia && scormMedia.filePath && fs.existsSync(scormMedia.filePath)) {
-        fs.unlinkSync(scormMedia.filePath);
+      if (scormMedia) {
+        await storageService.removeFile(scormMedia.filePath || scormMedia.url);
       }
       await Media.findByIdAndDelete(chant.scormFile);
     } catch (error) {
@@ -416,12 +453,8 @@ const deleteChant = async (chantId) => {
   }
 
   // Delete cover image if exists
-  if (chant.coverImage && fs.existsSync(path.join(__dirname, '../', chant.coverImage.replace('/uploads', 'uploads')))) {
-    try {
-      fs.unlinkSync(path.join(__dirname, '../', chant.coverImage.replace('/uploads', 'uploads')));
-    } catch (error) {
-      console.error('Error deleting cover image:', error);
-    }
+  if (chant.coverImage) {
+    await storageService.removeFile(chant.coverImage);
   }
 
   const deletedId = chant._id;
@@ -10,6 +10,10 @@ const {
 } = require('../models');
 
 const { awardBadgeForChant } = require('./badgeAward.service');
+const xapiService = require('./xapi.service');
+const skillMasteryService = require('./skillMastery.service');
+const audioAnalysisService = require('./audioAnalysis.service');
+const audioProcessingService = require('./audioProcessing.service');
 
 const filePathToUploadsUrl = (absolutePath) => {
   const uploadsIndex = absolutePath.indexOf('uploads');
@@ -31,6 +35,19 @@ const getOrCreateProgress = async ({ childId, chantId }) => {
   });
 };
 
+const populateChantProgress = (progressId) =>
+  ChantProgress.findById(progressId)
+    .populate('recordedAudio', 'type title url mimeType size duration waveformUrl processing')
+    .populate({
+      path: 'chant',
+      select: 'title instructions coverImage starsAwarded badgeAwarded instructionVideo minSimilarityScore',
+      populate: {
+        path: 'instructionVideo',
+        select: 'type title url mimeType size duration',
+      },
+    })
+    .lean();
+
 const startChant = async ({ childId, chantId }) => {
   const [child, chant] = await Promise.all([
     ChildProfile.findById(childId).select('_id').lean(),
@@ -45,17 +62,7 @@ const startChant = async ({ childId, chantId }) => {
     await progress.save();
   }
 
-  return await ChantProgress.findById(progress._id)
-    .populate('recordedAudio', 'type title url mimeType size duration')
-    .populate({
-      path: 'chant',
-      select: 'title instructions coverImage starsAwarded badgeAwarded instructionVideo',
-      populate: {
-        path: 'instructionVideo',
-        select: 'type title url mimeType size duration',
-      },
-    })
-    .lean();
+  return await populateChantProgress(progress._id);
 };
 
 const getChantProgress = async ({ childId, chantId }) => {
@@ -68,19 +75,14 @@ const getChantProgress = async ({ childId, chantId }) => {
 
   const progress = await getOrCreateProgress({ childId, chantId });
 
-  return await ChantProgress.findById(progress._id)
-    .populate('recordedAudio', 'type title url mimeType size duration')
-    .populate({
-      path: 'chant',
-      select: 'title instructions coverImage starsAwarded badgeAwarded instructionVideo',
-      populate: {
-        path: 'instructionVideo',
-        select: 'type title url mimeType size duration',
-      },
-    })
-    .lean();
+  return await populateChantProgress(progress._id);
 };
 
+/**
+ * Save a chant recording. The chant stays in progress until the recording has
+ * been scored against the chant's reference audio in the background (see
+ * analyzeChantRecording); a completed chant stays completed.
+ */
 const completeChant = async ({
   childId,
   chantId,
@@ -93,7 +95,7 @@ const completeChant = async ({
     throw new Error('Recorded audio file is required');
   }
 
-  const chant = await Chant.findById(chantId).select('title starsAwarded badgeAwarded').lean();
+  const chant = await Chant.findById(chantId).select('minSimilarityScore').lean();
   if (!chant) throw new Error('Chant not found');
 
   const child = await ChildProfile.findById(childId).select('_id displayName').lean();
@@ -103,19 +105,57 @@ const completeChant = async ({
   const recordedAudioMedia = await Media.create({
     type: 'audio',
     title: recordedAudioFile.originalname || `chant-${chantId}`,
-    filePath: recordedAudioFile.path,
+    filePath: recordedAudioFile.storageKey,
     url: audioUrl,
     mimeType: recordedAudioFile.mimetype,
     size: recordedAudioFile.size,
     uploadedBy: uploadedByUserId,
+    processing: {
+      status: 'pending',
+    },
   });
 
   const progress = await getOrCreateProgress({ childId, chantId });
 
   progress.recordedAudio = recordedAudioMedia._id;
-  progress.status = 'completed';
+  progress.analysis = {
+    status: 'pending',
+    minScore: chant.minSimilarityScore ?? null,
+    passed: false,
+    analyzedAt: null,
+  };
   progress.timeSpent = typeof timeSpent === 'number' ? timeSpent : parseInt(timeSpent || '0', 10) || 0;
   progress.metadata = metadata && typeof metadata === 'object' ? metadata : progress.metadata || {};
+  if (progress.status === 'not_started') {
+    progress.status = 'in_progress';
+  }
+  await progress.save();
+
+  // Score, transcode, trim and normalize after the response; the upload plays meanwhile
+  audioProcessingService.enqueueRecordingProcessing(recordedAudioMedia._id);
+
+  return await populateChantProgress(progress._id);
+};
+
+/**
+ * Complete the chant for a scored recording. When the chant has a minimum
+ * score and the recording falls short or could not be scored, it is kept but
+ * the chant stays in progress without stars so the child can try again.
+ */
+const finishChantAttempt = async ({ progress, chant, analysis }) => {
+  const childId = progress.child;
+  const chantId = chant._id;
+
+  progress.analysis = analysis;
+
+  if (!analysis.passed) {
+    // Not close enough to the reference yet, or not scored while a minimum
+    // is required; a completed chant stays completed
+    await progress.save();
+    return;
+  }
+
+  progress.status = 'completed';
 
   // Award stars once
   const starsToAward = chant.starsAwarded || 0;
@@ -140,6 +180,7 @@ const completeChant = async ({
           contentType: 'Chant',
           metadata: {
             chantTitle: chant.title,
+            similarityScore: analysis.score ?? null,
           },
         },
         description: `Earned ${starsToAward} stars for completing "${chant.title}"`,
@@ -173,19 +214,69 @@ const completeChant = async ({
     console.warn('[ChantProgress] Badge award skipped:', e.message);
   }
 
-  return await ChantProgress.findById(progress._id)
-    .populate('recordedAudio', 'type title url mimeType size duration')
-    .populate({
-      path: 'chant',
-      select: 'title instructions coverImage starsAwarded badgeAwarded instructionVideo',
-      populate: {
-        path: 'instructionVideo',
-        select: 'type title url mimeType size duration',
-      },
-    })
+  await xapiService.recordLearningEvent({
+    childId,
+    verb: 'submitted',
+    contentType: 'chant',
+    contentId: chantId,
+    title: chant.title,
+    result: {
+      completion: true,
+      duration: xapiService.secondsToDuration(progress.timeSpent),
+      ...(analysis.status === 'completed' && { score: { scaled: analysis.score / 100 } }),
+    },
+  });
+
+  // Only an analysed recording says how well the chant was said
+  if (analysis.status === 'completed') {
+    await skillMasteryService.recordSkillEvidence({
+      childId,
+      contentType: 'chant',
+      contentId: chantId,
+      source: 'chant',
+      value: analysis.score,
+    });
+  }
+};
+
+/**
+ * Score a chant recording waiting for analysis (run by the audio processing
+ * queue before the recording is processed)
+ * @param {Object} media - Recording Media document
+ * @param {String} filePath - Local path of the original upload
+ */
+const analyzeChantRecording = async (media, filePath) => {
+  const pending = await ChantProgress.findOne({ recordedAudio: media._id, 'analysis.status': 'pending' })
+    .select('chant')
+    .lean();
+  if (!pending) return;
+
+  const chant = await Chant.findById(pending.chant)
+    .select('title starsAwarded badgeAwarded audio minSimilarityScore')
+    .populate('audio', 'filePath url')
     .lean();
+
+  const analysis = await audioAnalysisService.analyzeRecording({
+    recordingPath: filePath,
+    referencePath: chant ? await audioAnalysisService.resolveMediaFilePath(chant.audio) : null,
+    minScore: chant?.minSimilarityScore,
+  });
+
+  // The child may have recorded again while this one was being scored
+  const progress = await ChantProgress.findOne({ _id: pending._id, recordedAudio: media._id });
+  if (!progress) return;
+
+  if (!chant) {
+    progress.analysis = analysis;
+    await progress.save();
+    return;
+  }
+
+  await finishChantAttempt({ progress, chant, analysis });
 };
 
+audioProcessingService.registerRecordingAnalyzer(analyzeChantRecording);
+
 module.exports = {
   startChant,
   getChantProgress,
@@ -1,4 +1,19 @@
 const { ChildProfile, Journey, Lesson, Course, CourseProgress, ChildStats } = require('../models');
+const { generateChildToken } = require('./auth.services');
+
+/**
+ * Check an IANA timezone name (e.g. 'America/New_York')
+ * @param {String} timezone - Timezone name
+ * @returns {Boolean} True if the runtime knows the timezone
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
 
 /**
  * Get All Children Service
@@ -23,7 +38,7 @@ const getAllChildren = async (parentId, queryParams = {}) => {
 
   // Get all children for this parent
   const children = await ChildProfile.find(query)
-    .select('displayName age avatar currentJourney currentLesson preferences isActive createdAt updatedAt')
+    .select('displayName age avatar currentJourney currentLesson preferences timezone hasPin isActive createdAt updatedAt')
     .populate('currentJourney', 'title description order')
     .populate('currentLesson', 'title description order')
     .sort({ createdAt: -1 }) // Newest first
@@ -103,6 +118,7 @@ const getChildById = async (childId, parentId) => {
  * @param {String} [childData.currentJourney] - Current journey ID
  * @param {String} [childData.currentLesson] - Current lesson ID
  * @param {Object} [childData.preferences] - Child preferences
+ * @param {String} [childData.timezone] - IANA timezone for streak days (e.g. 'Europe/London')
  * @returns {Object} Created child profile
  * @throws {Error} If validation fails
  */
@@ -114,6 +130,7 @@ const createChild = async (parentId, childData) => {
     currentJourney,
     currentLesson,
     preferences,
+    timezone,
   } = childData;
 
   // Validate required fields
@@ -144,6 +161,10 @@ const createChild = async (parentId, childData) => {
     }
   }
 
+  if (timezone && !isValidTimezone(timezone)) {
+    throw new Error('Timezone must be a valid IANA timezone (e.g. Europe/London)');
+  }
+
   // Create child profile
   const child = await ChildProfile.create({
     parent: parentId,
@@ -157,6 +178,7 @@ const createChild = async (parentId, childData) => {
       theme: preferences?.theme || 'light',
       soundEnabled: preferences?.soundEnabled !== undefined ? preferences.soundEnabled : true,
     },
+    timezone: timezone || null,
     isActive: true,
   });
 
@@ -266,6 +288,7 @@ const assignDefaultCourses = async (childId, childAge) => {
  * @param {String} [updateData.currentJourney] - Current journey ID
  * @param {String} [updateData.currentLesson] - Current lesson ID
  * @param {Object} [updateData.preferences] - Child preferences
+ * @param {String|null} [updateData.timezone] - IANA timezone for streak days (null = UTC)
  * @param {Boolean} [updateData.isActive] - Active status
  * @returns {Object} Updated child profile
  * @throws {Error} If child not found or validation fails
@@ -278,6 +301,7 @@ const updateChild = async (childId, parentId, updateData) => {
     currentJourney,
     currentLesson,
     preferences,
+    timezone,
     isActive,
   } = updateData;
 
@@ -346,6 +370,13 @@ const updateChild = async (childId, parentId, updateData) => {
     }
   }
 
+  if (timezone !== undefined) {
+    if (timezone && !isValidTimezone(timezone)) {
+      throw new Error('Timezone must be a valid IANA timezone (e.g. Europe/London)');
+    }
+    child.timezone = timezone || null;
+  }
+
   if (isActive !== undefined) {
     child.isActive = isActive;
   }
@@ -477,12 +508,15 @@ const getChildProfileWithStats = async (childId, parentId) => {
   // Calculate level and next level info
   let currentLevel = 'New Learner';
   let nextLevelInfo = { level: 'First Star', starsNeeded: 1 };
+  let streakStatus = null;
 
   if (stats) {
     const statsDoc = await ChildStats.findById(stats._id);
     if (statsDoc) {
       currentLevel = statsDoc.calculateLevel();
       nextLevelInfo = statsDoc.getNextLevel();
+      // Stored currentStreak only changes on activity; report 0 once missed days broke it
+      streakStatus = statsDoc.getStreakStatus(child.timezone);
     }
   } else {
     // No stats yet, default to first level
@@ -493,6 +527,12 @@ const getChildProfileWithStats = async (childId, parentId) => {
     ...child,
     stats: {
       ...childStats,
+      spendableStars: Math.max(0, (childStats.totalStars || 0) - (childStats.spentStars || 0)),
+      ...(streakStatus && {
+        currentStreak: streakStatus.currentStreak,
+        streakActiveToday: streakStatus.activeToday,
+        streakAtRisk: streakStatus.atRisk,
+      }),
       level: currentLevel,
       nextLevel: nextLevelInfo.level,
       starsNeededForNextLevel: nextLevelInfo.starsNeeded,
@@ -500,6 +540,110 @@ const getChildProfileWithStats = async (childId, parentId) => {
   };
 };
 
+/**
+ * Set Child PIN Service
+ * 
+ * Sets (or replaces) the optional 4-digit PIN a child enters to start a child session
+ * 
+ * @param {String} childId - Child profile's MongoDB ID
+ * @param {String} parentId - Parent's MongoDB ID (for verification)
+ * @param {String} pin - 4-digit PIN
+ * @returns {Object} { hasPin: true }
+ * @throws {Error} If child not found or PIN is invalid
+ */
+const setChildPin = async (childId, parentId, pin) => {
+  if (!/^\d{4}$/.test(String(pin || ''))) {
+    throw new Error('Invalid PIN. PIN must be exactly 4 digits');
+  }
+
+  const child = await ChildProfile.findOne({
+    _id: childId,
+    parent: parentId,
+  });
+
+  if (!child) {
+    throw new Error('Child profile not found or does not belong to you');
+  }
+
+  child.pin = String(pin);
+  await child.save();
+
+  return { hasPin: true };
+};
+
+/**
+ * Remove Child PIN Service
+ * 
+ * @param {String} childId - Child profile's MongoDB ID
+ * @param {String} parentId - Parent's MongoDB ID (for verification)
+ * @returns {Object} { hasPin: false }
+ * @throws {Error} If child not found
+ */
+const removeChildPin = async (childId, parentId) => {
+  const child = await ChildProfile.findOne({
+    _id: childId,
+    parent: parentId,
+  });
+
+  if (!child) {
+    throw new Error('Child profile not found or does not belong to you');
+  }
+
+  child.pin = null;
+  await child.save();
+
+  return { hasPin: false };
+};
+
+/**
+ * Start Child Session Service
+ * 
+ * Issues a child-scoped token after the parent selects a child
+ * If the child has a PIN, the entered PIN must match
+ * 
+ * @param {String} childId - Child profile's MongoDB ID
+ * @param {String} parentId - Parent's MongoDB ID (for verification)
+ * @param {String} [pin] - PIN entered by the child
+ * @returns {Object} { token, child }
+ * @throws {Error} If child not found, inactive, or PIN is wrong
+ */
+const startChildSession = async (childId, parentId, pin) => {
+  const child = await ChildProfile.findOne({
+    _id: childId,
+    parent: parentId,
+  }).select('+pin');
+
+  if (!child) {
+    throw new Error('Child profile not found or does not belong to you');
+  }
+
+  if (!child.isActive) {
+    throw new Error('Invalid child profile. This profile is archived');
+  }
+
+  if (child.hasPin) {
+    if (!pin) {
+      throw new Error('PIN required for this child');
+    }
+    const isMatch = await child.matchPin(pin);
+    if (!isMatch) {
+      throw new Error('Incorrect PIN');
+    }
+  }
+
+  const token = generateChildToken(parentId, child._id);
+
+  const childData = await ChildProfile.findById(child._id)
+    .populate('currentJourney', 'title description order')
+    .populate('currentLesson', 'title description order')
+    .lean();
+
+  return {
+    token,
+    child: childData,
+  };
+};
+
 module.exports = {
   getAllChildren,
   getChildById,
@@ -509,5 +653,8 @@ module.exports = {
   restoreChild,
   assignDefaultCourses,
   getChildProfileWithStats,
+  setChildPin,
+  removeChildPin,
+  startChildSession,
 };
 
@@ -0,0 +1,575 @@
+const mongoose = require('mongoose');
+const {
+  AudioAssignmentProgress,
+  ChildProfile,
+  Classroom,
+  Course,
+  CourseProgress,
+  Meeting,
+} = require('../models');
+const courseProgressService = require('./courseProgress.services');
+
+/**
+ * Classroom Service
+ *
+ * Teacher classrooms: rosters of children, courses assigned to the class and
+ * per-class progress.
+ *
+ * - Teachers manage their own classrooms; admins can manage every classroom.
+ * - Parents add a child to a class with its invite code (their consent) and can
+ *   take the child out again.
+ * - Assigning a course starts CourseProgress for every child in the class, and
+ *   children who join later get the class's courses when they join.
+ */
+
+const DASHBOARD_LIST_LIMIT = 10;
+
+const createClassroomError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isAdmin = (user) => user.role === 'admin';
+
+/**
+ * Load a classroom the user manages
+ * @param {Object} user - Teacher or admin user
+ * @param {String} classroomId - Classroom ID
+ * @returns {Promise<Object>} Classroom document
+ */
+const getManagedClassroom = async (user, classroomId) => {
+  if (!mongoose.Types.ObjectId.isValid(classroomId)) {
+    throw createClassroomError('Classroom not found', 404);
+  }
+
+  const classroom = await Classroom.findById(classroomId);
+  if (!classroom) {
+    throw createClassroomError('Classroom not found', 404);
+  }
+  if (!isAdmin(user) && classroom.teacher.toString() !== user._id.toString()) {
+    throw createClassroomError('You can only manage your own classrooms', 403);
+  }
+
+  return classroom;
+};
+
+/**
+ * Parse an optional due date
+ * @param {*} value - Date string, Date, or empty
+ * @returns {Date|null}
+ */
+const parseDueDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createClassroomError('Invalid due date', 400);
+  }
+  return date;
+};
+
+/**
+ * Start progress for children on courses (existing progress is kept)
+ * @param {Array<String>} childIds - Child profile IDs
+ * @param {Array<String>} courseIds - Course IDs
+ */
+const startCourses = async (childIds, courseIds) => {
+  for (const childId of childIds) {
+    for (const courseId of courseIds) {
+      await courseProgressService.getOrCreateCourseProgress(childId, courseId);
+    }
+  }
+};
+
+/**
+ * Compact classroom view for lists
+ * @param {Object} classroom - Classroom document or lean object
+ * @returns {Object}
+ */
+const toSummary = (classroom) => ({
+  _id: classroom._id,
+  name: classroom.name,
+  description: classroom.description,
+  teacher: classroom.teacher,
+  inviteCode: classroom.inviteCode,
+  isJoinOpen: classroom.isJoinOpen,
+  isArchived: classroom.isArchived,
+  memberCount: classroom.members.filter((member) => member.status === 'active').length,
+  courseCount: classroom.courses.length,
+  createdAt: classroom.createdAt,
+  updatedAt: classroom.updatedAt,
+});
+
+/**
+ * Create a classroom
+ * @param {Object} user - Teacher or admin creating the class
+ * @param {Object} data - { name, description, teacherId (admin only) }
+ * @returns {Promise<Object>} Classroom summary
+ */
+const createClassroom = async (user, data = {}) => {
+  if (!data.name || !String(data.name).trim()) {
+    throw createClassroomError('Please provide a classroom name', 400);
+  }
+
+  let teacher = user._id;
+  if (data.teacherId && isAdmin(user)) {
+    if (!mongoose.Types.ObjectId.isValid(data.teacherId)) {
+      throw createClassroomError('Invalid teacherId', 400);
+    }
+    teacher = data.teacherId;
+  }
+
+  const classroom = await Classroom.create({
+    name: String(data.name).trim(),
+    description: data.description ? String(data.description).trim() : '',
+    teacher,
+    inviteCode: await Classroom.generateInviteCode(),
+  });
+
+  return toSummary(classroom);
+};
+
+/**
+ * List classrooms (teachers: their own; admins: all or one teacher's)
+ * @param {Object} user - Teacher or admin
+ * @param {Object} [filters] - { includeArchived, teacherId }
+ * @returns {Promise<Array>} Classroom summaries
+ */
+const getClassrooms = async (user, filters = {}) => {
+  const query = {};
+  if (!isAdmin(user)) {
+    query.teacher = user._id;
+  } else if (filters.teacherId) {
+    query.teacher = filters.teacherId;
+  }
+  if (!(filters.includeArchived === true || filters.includeArchived === 'true')) {
+    query.isArchived = false;
+  }
+
+  const classrooms = await Classroom.find(query)
+    .populate('teacher', 'name email')
+    .sort({ name: 1 })
+    .lean();
+
+  return classrooms.map(toSummary);
+};
+
+/**
+ * Get a classroom with its roster and assigned courses
+ * @param {Object} user - Teacher or admin
+ * @param {String} classroomId - Classroom ID
+ * @returns {Promise<Object>} Classroom
+ */
+const getClassroomById = async (user, classroomId) => {
+  const classroom = await getManagedClassroom(user, classroomId);
+  await classroom.populate([
+    { path: 'teacher', select: 'name email' },
+    { path: 'members.child', select: 'displayName avatar age' },
+    { path: 'members.consentedBy', select: 'name email' },
+    { path: 'courses.course', select: 'title coverImage stepOrder isPublished isArchived' },
+  ]);
+
+  return {
+    ...toSummary(classroom),
+    teacher: classroom.teacher,
+    members: classroom.getActiveMembers(),
+    courses: classroom.courses,
+  };
+};
+
+/**
+ * Update a classroom
+ * @param {Object} user - Teacher or admin
+ * @param {String} classroomId - Classroom ID
+ * @param {Object} data - { name, description, isJoinOpen, isArchived }
+ * @returns {Promise<Object>} Classroom summary
+ */
+const updateClassroom = async (user, classroomId, data = {}) => {
+  const classroom = await getManagedClassroom(user, classroomId);
+
+  if (data.name !== undefined) {
+    if (!String(data.name).trim()) {
+      throw createClassroomError('Please provide a classroom name', 400);
+    }
+    classroom.name = String(data.name).trim();
+  }
+  if (data.description !== undefined) {
+    classroom.description = String(data.description || '').trim();
+  }
+  if (data.isJoinOpen !== undefined) {
+    classroom.isJoinOpen = Boolean(data.isJoinOpen);
+  }
+  if (data.isArchived !== undefined) {
+    classroom.isArchived = Boolean(data.isArchived);
+  }
+
+  await classroom.save();
+  return toSummary(classroom);
+};
+
+/**
+ * Archive a classroom (children keep their course progress)
+ * @param {Object} user - Teacher or admin
+ * @param {String} classroomId - Classroom ID
+ * @returns {Promise<Object>} Classroom summary
+ */
+const archiveClassroom = async (user, classroomId) =>
+  updateClassroom(user, classroomId, { isArchived: true });
+
+/**
+ * Replace the invite code (the old code stops working)
+ * @param {Object} user - Teacher or admin
+ * @param {String} classroomId - Classroom ID
+ * @returns {Promise<Object>} Classroom summary
+ */
+const regenerateInviteCode = async (user, classroomId) => {
+  const classroom = await getManagedClassroom(user, classroomId);
+  classroom.inviteCode = await Classroom.generateInviteCode();
+  await classroom.save();
+  return toSummary(classroom);
+};
+
+/**
+ * Mark a child's membership as removed
+ * @param {Object} classroom - Classroom document
+ * @param {String} childId - Child profile ID
+ * @param {String} removedBy - 'parent' or 'teacher'
+ */
+const deactivateMember = async (classroom, childId, removedBy) => {
+  const member = classroom.members.find(
+    (entry) => entry.child.toString() === String(childId) && entry.status === 'active'
+  );
+  if (!member) {
+    throw createClassroomError('Child is not in this classroom', 404);
+  }
+
+  member.status = 'removed';
+  member.removedAt = new Date();
+  member.removedBy = removedBy;
+  await classroom.save();
+};
+
+/**
+ * Remove a child from a classroom (teacher side)
+ * @param {Object} user - Teacher or admin
+ * @param {String} classroomId - Classroom ID
+ * @param {String} childId - Child profile ID
+ * @returns {Promise<Object>} Classroom summary
+ */
+const removeMember = async (user, classroomId, childId) => {
+  const classroom = await getManagedClassroom(user, classroomId);
+  await deactivateMember(classroom, childId, 'teacher');
+  return toSummary(classroom);
+};
+
+/**
+ * Assign a course to a classroom and start it for every child in the class
+ * @param {Object} user - Teacher or admin
+ * @param {String} classroomId - Classroom ID
+ * @param {Object} data - { courseId, dueDate }
+ * @returns {Promise<Object>} Classroom with roster and courses
+ */
+const assignCourse = async (user, classroomId, data = {}) => {
+  const classroom = await getManagedClassroom(user, classroomId);
+
+  if (!mongoose.Types.ObjectId.isValid(data.courseId)) {
+    throw createClassroomError('A valid courseId is required', 400);
+  }
+  const course = await Course.findOne({ _id: data.courseId, isArchived: false }).select('isPublished');
+  if (!course) {
+    throw createClassroomError('Course not found', 404);
+  }
+  if (!course.isPublished) {
+    throw createClassroomError('Only published courses can be assigned', 400);
+  }
+
+  const dueDate = parseDueDate(data.dueDate);
+  const existing = classroom.courses.find((entry) => entry.course.toString() === String(data.courseId));
+  if (existing) {
+    existing.dueDate = dueDate;
+  } else {
+    classroom.courses.push({ course: data.courseId, assignedBy: user._id, dueDate });
+  }
+  await classroom.save();
+
+  const childIds = classroom.getActiveMembers().map((member) => member.child.toString());
+  await startCourses(childIds, [data.courseId]);
+
+  return getClassroomById(user, classroomId);
+};
+
+/**
+ * Remove a course from a classroom (children keep their progress)
+ * @param {Object} user - Teacher or admin
+ * @param {String} classroomId - Classroom ID
+ * @param {String} courseId - Course ID
+ * @returns {Promise<Object>} Classroom with roster and courses
+ */
+const unassignCourse = async (user, classroomId, courseId) => {
+  const classroom = await getManagedClassroom(user, classroomId);
+
+  const index = classroom.courses.findIndex((entry) => entry.course.toString() === String(courseId));
+  if (index === -1) {
+    throw createClassroomError('Course is not assigned to this classroom', 404);
+  }
+  classroom.courses.splice(index, 1);
+  await classroom.save();
+
+  return getClassroomById(user, classroomId);
+};
+
+/**
+ * Build per-child, per-course progress of a classroom
+ * @param {Object} classroom - Classroom document
+ * @returns {Promise<Object>} { courses, children, averageProgress }
+ */
+const buildClassProgress = async (classroom) => {
+  const members = classroom.getActiveMembers();
+  const childIds = members.map((member) => member.child);
+  const courseIds = classroom.courses.map((entry) => entry.course);
+
+  const [children, courses, progressRecords] = await Promise.all([
+    ChildProfile.find({ _id: { $in: childIds } }).select('displayName avatar age').lean(),
+    Course.find({ _id: { $in: courseIds } }).select('title coverImage stepOrder').lean(),
+    childIds.length && courseIds.length
+      ? CourseProgress.find({ child: { $in: childIds }, course: { $in: courseIds } })
+          .select('child course status progressPercentage completedAt updatedAt')
+          .lean()
+      : [],
+  ]);
+
+  const progressByKey = new Map(
+    progressRecords.map((record) => [`${record.child}:${record.course}`, record])
+  );
+  const courseById = new Map(courses.map((course) => [course._id.toString(), course]));
+  const now = new Date();
+
+  const courseRows = classroom.courses
+    .filter((entry) => courseById.has(entry.course.toString()))
+    .map((entry) => {
+      const courseId = entry.course.toString();
+      let total = 0;
+      let completed = 0;
+      childIds.forEach((childId) => {
+        const record = progressByKey.get(`${childId}:${courseId}`);
+        total += record?.progressPercentage || 0;
+        if (record?.status === 'completed') completed += 1;
+      });
+      return {
+        course: courseById.get(courseId),
+        assignedAt: entry.assignedAt,
+        dueDate: entry.dueDate,
+        isOverdue: Boolean(entry.dueDate && entry.dueDate < now && completed < childIds.length),
+        averageProgress: childIds.length ? Math.round(total / childIds.length) : 0,
+        completedCount: completed,
+      };
+    });
+
+  const childById = new Map(children.map((child) => [child._id.toString(), child]));
+  const childRows = members
+    .filter((member) => childById.has(member.child.toString()))
+    .map((member) => {
+      const childId = member.child.toString();
+      const courseProgress = courseRows.map((row) => {
+        const record = progressByKey.get(`${childId}:${row.course._id}`);
+        return {
+          course: row.course._id,
+          status: record?.status || 'not_started',
+          progressPercentage: record?.progressPercentage || 0,
+          completedAt: record?.completedAt || null,
+        };
+      });
+      const total = courseProgress.reduce((sum, item) => sum + item.progressPercentage, 0);
+      return {
+        child: childById.get(childId),
+        joinedAt: member.consentedAt,
+        averageProgress: courseProgress.length ? Math.round(total / courseProgress.length) : 0,
+        courses: courseProgress,
+      };
+    });
+
+  const averageProgress = courseRows.length
+    ? Math.round(courseRows.reduce((sum, row) => sum + row.averageProgress, 0) / courseRows.length)
+    : 0;
+
+  return { courses: courseRows, children: childRows, averageProgress };
+};
+
+/**
+ * Get per-child, per-course progress for a classroom
+ * @param {Object} user - Teacher or admin
+ * @param {String} classroomId - Classroom ID
+ * @returns {Promise<Object>} { classroom, courses, children, averageProgress }
+ */
+const getClassroomProgress = async (user, classroomId) => {
+  const classroom = await getManagedClassroom(user, classroomId);
+  const progress = await buildClassProgress(classroom);
+  return { classroom: toSummary(classroom), ...progress };
+};
+
+/**
+ * Teacher dashboard: class progress, recordings waiting for review from the
+ * teacher's children and the teacher's upcoming meetings
+ * @param {Object} user - Teacher or admin
+ * @returns {Promise<Object>} { classrooms, pendingReviews, pendingReviewCount, upcomingMeetings }
+ */
+const getTeacherDashboard = async (user) => {
+  const classrooms = await Classroom.find({ teacher: user._id, isArchived: false }).sort({ name: 1 });
+
+  const classroomRows = await Promise.all(
+    classrooms.map(async (classroom) => {
+      const progress = await buildClassProgress(classroom);
+      return {
+        ...toSummary(classroom),
+        averageProgress: progress.averageProgress,
+        courses: progress.courses,
+      };
+    })
+  );
+
+  const childIds = Array.from(
+    new Set(
+      classrooms.flatMap((classroom) =>
+        classroom.getActiveMembers().map((member) => member.child.toString())
+      )
+    )
+  );
+
+  const reviewQuery = { child: { $in: childIds }, status: 'submitted' };
+  const meetingQuery = {
+    status: 'scheduled',
+    isArchived: false,
+    startTime: { $gte: new Date() },
+    $or: [{ createdBy: user._id }, { attendees: user.email }],
+  };
+
+  const [pendingReviews, pendingReviewCount, upcomingMeetings] = await Promise.all([
+    childIds.length
+      ? AudioAssignmentProgress.find(reviewQuery)
+          .populate('child', 'displayName avatar')
+          .populate('audioAssignment', 'title')
+          .select('child audioAssignment submittedAt attempts')
+          .sort({ submittedAt: 1 })
+          .limit(DASHBOARD_LIST_LIMIT)
+          .lean()
+      : [],
+    childIds.length ? AudioAssignmentProgress.countDocuments(reviewQuery) : 0,
+    Meeting.find(meetingQuery)
+      .select('title startTime endTime timeZone meetLink attendees')
+      .sort({ startTime: 1 })
+      .limit(DASHBOARD_LIST_LIMIT)
+      .lean(),
+  ]);
+
+  return {
+    classrooms: classroomRows,
+    childCount: childIds.length,
+    pendingReviews,
+    pendingReviewCount,
+    upcomingMeetings,
+  };
+};
+
+/**
+ * Add a child to a classroom with its invite code (parent consent)
+ * @param {Object} parentUser - Parent entering the code
+ * @param {String} childId - Child profile ID (ownership checked by the route)
+ * @param {String} inviteCode - Classroom invite code
+ * @returns {Promise<Object>} { _id, name, teacher }
+ */
+const joinClassroom = async (parentUser, childId, inviteCode) => {
+  const code = String(inviteCode || '').trim().toUpperCase();
+  if (!code) {
+    throw createClassroomError('Please provide an invite code', 400);
+  }
+
+  const classroom = await Classroom.findOne({ inviteCode: code, isArchived: false });
+  if (!classroom) {
+    throw createClassroomError('No classroom found with this invite code', 404);
+  }
+  if (!classroom.isJoinOpen) {
+    throw createClassroomError('This classroom is not accepting new children', 403);
+  }
+
+  const member = classroom.members.find((entry) => entry.child.toString() === String(childId));
+  if (member && member.status === 'active') {
+    throw createClassroomError('Child is already in this classroom', 409);
+  }
+
+  if (member) {
+    member.status = 'active';
+    member.consentedBy = parentUser._id;
+    member.consentedAt = new Date();
+    member.removedAt = null;
+    member.removedBy = null;
+  } else {
+    classroom.members.push({ child: childId, consentedBy: parentUser._id });
+  }
+  await classroom.save();
+
+  await startCourses([childId], classroom.courses.map((entry) => entry.course.toString()));
+
+  await classroom.populate('teacher', 'name');
+  return { _id: classroom._id, name: classroom.name, teacher: classroom.teacher };
+};
+
+/**
+ * Take a child out of a classroom (parent side)
+ * @param {String} childId - Child profile ID (ownership checked by the route)
+ * @param {String} classroomId - Classroom ID
+ */
+const leaveClassroom = async (childId, classroomId) => {
+  if (!mongoose.Types.ObjectId.isValid(classroomId)) {
+    throw createClassroomError('Classroom not found', 404);
+  }
+  const classroom = await Classroom.findById(classroomId);
+  if (!classroom) {
+    throw createClassroomError('Classroom not found', 404);
+  }
+  await deactivateMember(classroom, childId, 'parent');
+};
+
+/**
+ * Classrooms a child is in, with their assigned courses
+ * @param {String} childId - Child profile ID
+ * @returns {Promise<Array>} [{ _id, name, description, teacher, joinedAt, courses }]
+ */
+const getChildClassrooms = async (childId) => {
+  const classrooms = await Classroom.find({
+    isArchived: false,
+    members: { $elemMatch: { child: childId, status: 'active' } },
+  })
+    .populate('teacher', 'name')
+    .populate('courses.course', 'title coverImage')
+    .lean();
+
+  return classrooms.map((classroom) => ({
+    _id: classroom._id,
+    name: classroom.name,
+    description: classroom.description,
+    teacher: classroom.teacher,
+    joinedAt: classroom.members.find(
+      (member) => member.child.toString() === String(childId) && member.status === 'active'
+    )?.consentedAt,
+    courses: classroom.courses
+      .filter((entry) => entry.course)
+      .map((entry) => ({ course: entry.course, dueDate: entry.dueDate })),
+  }));
+};
+
+module.exports = {
+  createClassroom,
+  getClassrooms,
+  getClassroomById,
+  updateClassroom,
+  archiveClassroom,
+  regenerateInviteCode,
+  removeMember,
+  assignCourse,
+  unassignCourse,
+  getClassroomProgress,
+  getTeacherDashboard,
+  joinClassroom,
+  leaveClassroom,
+  getChildClassrooms,
+};
@@ -0,0 +1,613 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { parseString } = require('xml2js');
+const { Course, Cmi5Au, Cmi5Session, ChildProfile, ChildStats, StarEarning } = require('../models');
+const scormService = require('./scorm.service');
+const xapiService = require('./xapi.service');
+const courseProgressService = require('./courseProgress.services');
+const mediaAccessService = require('./mediaAccess.service');
+const storageService = require('./storage.service');
+
+/**
+ * cmi5 Service
+ *
+ * Imports cmi5 course packages (ZIP with cmi5.xml) and runs the cmi5 launch:
+ *
+ * 1. importCmi5Package: the ZIP goes through the SCORM package checks, is extracted
+ *    to uploads/cmi5/<packageId>, and every AU becomes a Cmi5Au added to the Course
+ * 2. launchAu: creates a session, writes LMS.LaunchData, records "launched" and
+ *    returns the AU URL with endpoint/fetch/actor/registration/activityId
+ * 3. fetchAuthToken: the AU exchanges the single-use fetch token for LRS credentials
+ * 4. handleSessionStatements: statements the AU sends update the session; once the
+ *    AU's moveOn criteria are met it is "satisfied" and the course content is completed
+ */
+
+const CMI5_UPLOAD_DIR = path.join(__dirname, '../uploads/cmi5');
+
+const CMI5_MANIFEST_PATHS = ['cmi5.xml'];
+
+// Lifetime of a launch session's LRS credentials
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const CMI5_CATEGORY = {
+  objectType: 'Activity',
+  id: 'https://w3id.org/xapi/cmi5/context/categories/cmi5',
+};
+
+const CMI5_EXTENSIONS = {
+  sessionId: 'https://w3id.org/xapi/cmi5/context/extensions/sessionid',
+  launchMode: 'https://w3id.org/xapi/cmi5/context/extensions/launchmode',
+  launchUrl: 'https://w3id.org/xapi/cmi5/context/extensions/launchurl',
+  moveOn: 'https://w3id.org/xapi/cmi5/context/extensions/moveon',
+  launchParameters: 'https://w3id.org/xapi/cmi5/context/extensions/launchparameters',
+  masteryScore: 'https://w3id.org/xapi/cmi5/context/extensions/masteryscore',
+};
+
+const MOVE_ON_VALUES = ['Passed', 'Completed', 'CompletedAndPassed', 'CompletedOrPassed', 'NotApplicable'];
+
+// fetch URL error codes from the cmi5 spec
+const FETCH_ERRORS = {
+  alreadyUsed: { code: '1', text: 'Fetch token has already been used' },
+  security: { code: '2', text: 'Fetch token is invalid or has expired' },
+};
+
+const createCmi5Error = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toArray = (value) => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+
+/**
+ * Read a cmi5.xml text element (plain text or <langstring> list, en-US preferred)
+ * @param {*} value - xml2js value
+ * @returns {String} Text
+ */
+const getText = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'string') return value.trim();
+  if (value.langstring !== undefined) {
+    const langstrings = toArray(value.langstring);
+    const preferred =
+      langstrings.find((item) => typeof item === 'object' && /^en/i.test(item.lang || '')) || langstrings[0];
+    return getText(preferred);
+  }
+  return typeof value._ === 'string' ? value._.trim() : '';
+};
+
+const parseCmi5Xml = (xml) =>
+  new Promise((resolve, reject) => {
+    parseString(xml, { explicitArray: false, mergeAttrs: true, tagNameProcessors: [(name) => name.replace(/^.*:/, '')] }, (err, result) => {
+      if (err) {
+        reject(new Error(`Failed to parse cmi5.xml: ${err.message}`));
+      } else {
+        resolve(result);
+      }
+    });
+  });
+
+/**
+ * Parse a cmi5 course structure
+ *
+ * AUs are returned in document order; nested blocks are flattened and their
+ * titles kept as blockTitle.
+ *
+ * @param {String} xml - cmi5.xml content
+ * @returns {Promise<Object>} { courseId, title, description, aus: [{ auId, title, description, url, moveOn,
+ *   masteryScore, launchMethod, launchParameters, entitlementKey, activityType, blockTitle }] }
+ * @throws {Error} If the XML is not a cmi5 course structure or an AU is invalid
+ */
+const parseCourseStructure = async (xml) => {
+  const parsed = await parseCmi5Xml(xml);
+  const structure = parsed?.courseStructure;
+
+  if (!structure || !structure.course) {
+    throw new Error('cmi5.xml must contain a courseStructure with a course element');
+  }
+
+  const aus = [];
+  const collect = (node, blockTitle) => {
+    toArray(node.au).forEach((au) => {
+      const auId = String(au.id || '').trim();
+      const url = getText(au.url);
+
+      if (!/^[a-z][a-z0-9+.-]*:\S+$/i.test(auId)) {
+        throw new Error(`AU id "${auId}" must be an IRI`);
+      }
+      if (!url) {
+        throw new Error(`AU ${auId} has no url`);
+      }
+
+      const moveOn = au.moveOn || 'NotApplicable';
+      if (!MOVE_ON_VALUES.includes(moveOn)) {
+        throw new Error(`AU ${auId} has an invalid moveOn value "${moveOn}"`);
+      }
+
+      let masteryScore = null;
+      if (au.masteryScore !== undefined && au.masteryScore !== '') {
+        masteryScore = parseFloat(au.masteryScore);
+        if (Number.isNaN(masteryScore) || masteryScore < 0 || masteryScore > 1) {
+          throw new Error(`AU ${auId} masteryScore must be between 0 and 1`);
+        }
+      }
+
+      aus.push({
+        auId,
+        title: getText(au.title) || auId,
+        description: getText(au.description),
+        url,
+        moveOn,
+        masteryScore,
+        launchMethod: au.launchMethod === 'OwnWindow' ? 'OwnWindow' : 'AnyWindow',
+        launchParameters: getText(au.launchParameters),
+        entitlementKey: getText(au.entitlementKey),
+        activityType: au.activityType || '',
+        blockTitle,
+      });
+    });
+
+    toArray(node.block).forEach((block) => collect(block, getText(block.title) || blockTitle));
+  };
+
+  collect(structure, null);
+
+  if (aus.length === 0) {
+    throw new Error('cmi5.xml does not contain any AU');
+  }
+
+  // The parsed tree groups <au> and <block> children separately; restore document order
+  const documentOrder = [...xml.matchAll(/<(?:[\w.-]+:)?au\b[^>]*?\bid\s*=\s*["']([^"']+)["']/g)].map(
+    (match) => match[1].trim()
+  );
+  aus.sort((a, b) => documentOrder.indexOf(a.auId) - documentOrder.indexOf(b.auId));
+
+  return {
+    courseId: structure.course.id || '',
+    title: getText(structure.course.title),
+    description: getText(structure.course.description),
+    aus,
+  };
+};
+
+// readManifest hook for scormService.inspectScormPackage
+const readCmi5ManifestSummary = async (xml) => {
+  const structure = await parseCourseStructure(xml);
+  return { title: structure.title || null, auCount: structure.aus.length };
+};
+
+const cmi5InspectOptions = {
+  label: 'cmi5',
+  manifestPaths: CMI5_MANIFEST_PATHS,
+  readManifest: readCmi5ManifestSummary,
+  validateExtracted: async (extractedPath) => {
+    if (!(await fs.pathExists(path.join(extractedPath, 'cmi5.xml')))) {
+      throw new Error('cmi5.xml not found at the package root');
+    }
+  },
+};
+
+/**
+ * Inspect a cmi5 ZIP (same checks and report format as SCORM uploads)
+ * @param {String} zipPath - Path to the ZIP file
+ * @param {String} [fileName] - Original file name
+ * @returns {Promise<Object>} Validation report (title, auCount)
+ */
+const inspectCmi5Package = (zipPath, fileName) =>
+  scormService.inspectScormPackage(zipPath, fileName, cmi5InspectOptions);
+
+/**
+ * Import a cmi5 package into a course
+ *
+ * @param {Object} params
+ * @param {Object} params.file - Multer file (ZIP in quarantine)
+ * @param {String} params.courseId - Course to add the AUs to
+ * @param {Number} [params.step] - Step the AUs are added to (default: a new step after the last one)
+ * @param {Number} [params.starsAwarded] - Stars per AU
+ * @param {String} params.userId - Importing user
+ * @returns {Object} { course, aus, validation }
+ * @throws {Error} 400 invalid package (with validationReport), 404 course not found
+ */
+const importCmi5Package = async ({ file, courseId, step, starsAwarded, userId }) => {
+  if (!file) {
+    throw createCmi5Error('cmi5 package (ZIP) is required', 400);
+  }
+
+  const packageId = crypto.randomUUID();
+  const extractedPath = path.join(CMI5_UPLOAD_DIR, packageId);
+
+  try {
+    const course = await Course.findById(courseId);
+    if (!course) {
+      throw createCmi5Error('Course not found', 404);
+    }
+
+    const validation = await inspectCmi5Package(file.path, file.originalname);
+    if (!validation.valid) {
+      throw scormService.createValidationError(validation, 'cmi5');
+    }
+
+    await scormService.extractScormPackage(file.path, extractedPath, cmi5InspectOptions);
+
+    const structure = await parseCourseStructure(
+      await fs.readFile(path.join(extractedPath, 'cmi5.xml'), 'utf-8')
+    );
+
+    // Relative AU urls must point at a file of the package
+    for (const au of structure.aus) {
+      if (/^https?:\/\//i.test(au.url)) continue;
+      const [auFile] = au.url.split(/[?#]/);
+      const target = path.resolve(extractedPath, decodeURIComponent(auFile));
+      if (!target.startsWith(extractedPath + path.sep) || !(await fs.pathExists(target))) {
+        throw createCmi5Error(`AU ${au.auId} url "${au.url}" does not point to a file in the package`, 400);
+      }
+    }
+
+    const parsedStars = parseInt(starsAwarded, 10);
+    const aus = await Cmi5Au.insertMany(
+      structure.aus.map((au) => ({
+        title: au.title.slice(0, 200),
+        description: (au.description || (au.blockTitle ? au.blockTitle : '')).slice(0, 1000),
+        auId: au.auId,
+        url: au.url,
+        moveOn: au.moveOn,
+        masteryScore: au.masteryScore,
+        launchMethod: au.launchMethod,
+        launchParameters: au.launchParameters,
+        entitlementKey: au.entitlementKey,
+        activityType: au.activityType,
+        packageId,
+        packagePath: `cmi5/${packageId}`,
+        packageCourseId: structure.courseId,
+        packageCourseTitle: structure.title,
+        ...(!Number.isNaN(parsedStars) && parsedStars >= 0 && { starsAwarded: parsedStars }),
+        createdBy: userId,
+      }))
+    );
+
+    const lastStep = course.contents.reduce((max, item) => Math.max(max, item.step || 1), 0);
+    const targetStep = parseInt(step, 10) > 0 ? parseInt(step, 10) : lastStep + 1;
+    let order = course.contents
+      .filter((item) => item.step === targetStep && item.contentType === 'cmi5')
+      .reduce((max, item) => Math.max(max, item.order + 1), 0);
+
+    aus.forEach((au) => {
+      course.contents.push({
+        contentId: au._id,
+        contentType: 'cmi5',
+        step: targetStep,
+        order: order++,
+      });
+    });
+    await course.save();
+
+    return { course, aus, validation };
+  } catch (error) {
+    await storageService.removeDirectory(extractedPath);
+    await fs.remove(extractedPath);
+    throw error;
+  } finally {
+    await storageService.removeFile(file.path);
+  }
+};
+
+const buildLaunchData = (au, session) => ({
+  contextTemplate: {
+    contextActivities: {
+      grouping: [{ objectType: 'Activity', id: au.auId }],
+    },
+    extensions: {
+      [CMI5_EXTENSIONS.sessionId]: session.sessionId,
+    },
+  },
+  launchMode: session.launchMode,
+  moveOn: au.moveOn,
+  ...(au.masteryScore !== null && au.masteryScore !== undefined && { masteryScore: au.masteryScore }),
+  ...(au.launchParameters && { launchParameters: au.launchParameters }),
+  ...(au.entitlementKey && { entitlementKey: { courseStructure: au.entitlementKey } }),
+});
+
+// Statements the LMS itself records for an AU (launched, satisfied)
+const recordLmsStatement = async (verb, au, session, extensions = {}) => {
+  try {
+    await xapiService.saveStatements({
+      actor: xapiService.buildChildActor(session.child),
+      verb: xapiService.XAPI_VERBS[verb],
+      object: {
+        objectType: 'Activity',
+        id: session.activityId,
+        definition: {
+          type: xapiService.XAPI_ACTIVITY_TYPES.cmi5,
+          name: { 'en-US': au.title },
+        },
+      },
+      context: {
+        registration: session.registration,
+        contextActivities: {
+          grouping: [{ objectType: 'Activity', id: au.auId }],
+          category: [CMI5_CATEGORY],
+        },
+        extensions: {
+          [CMI5_EXTENSIONS.sessionId]: session.sessionId,
+          ...extensions,
+        },
+      },
+    });
+  } catch (error) {
+    console.error(`[cmi5] Failed to record "${verb}" for session ${session.sessionId}:`, error.message);
+  }
+};
+
+const isMoveOnMet = (moveOn, { completed, passed }) => {
+  switch (moveOn) {
+    case 'Completed':
+      return completed;
+    case 'Passed':
+      return passed;
+    case 'CompletedAndPassed':
+      return completed && passed;
+    case 'CompletedOrPassed':
+      return completed || passed;
+    default:
+      return true;
+  }
+};
+
+/**
+ * Record satisfaction of an AU once per registration, award its stars and complete the course content
+ * @param {Object} au - Cmi5Au
+ * @param {Object} session - Cmi5Session document
+ */
+const satisfyAu = async (au, session) => {
+  const alreadySatisfied = await Cmi5Session.exists({
+    registration: session.registration,
+    satisfiedAt: { $ne: null },
+  });
+
+  session.satisfiedAt = new Date();
+  await session.save();
+
+  if (alreadySatisfied) {
+    return;
+  }
+
+  await recordLmsStatement('satisfied', au, session);
+
+  try {
+    const starsToAward = au.starsAwarded || 0;
+    if (starsToAward > 0) {
+      await StarEarning.create({
+        child: session.child,
+        stars: starsToAward,
+        source: {
+          type: 'cmi5',
+          contentId: au._id,
+          contentType: 'Cmi5Au',
+          metadata: {
+            auTitle: au.title,
+          },
+        },
+        description: `Earned ${starsToAward} stars for completing "${au.title}"`,
+      });
+
+      const stats = await ChildStats.getOrCreate(session.child);
+      await stats.addStars(starsToAward);
+    }
+  } catch (error) {
+    console.error(`[cmi5] Could not award stars for AU ${au._id}:`, error.message);
+  }
+
+  try {
+    await courseProgressService.updateContentProgress(session.child, session.course, au._id, 'cmi5');
+  } catch (error) {
+    console.error(`[cmi5] Could not complete AU ${au._id} in course ${session.course}:`, error.message);
+  }
+};
+
+/**
+ * Launch an AU for a child
+ *
+ * @param {Object} params
+ * @param {String} params.auId - Cmi5Au MongoDB ID
+ * @param {String} params.childId - Child's MongoDB ID
+ * @param {String} params.courseId - Course the AU is launched from
+ * @param {String} params.baseUrl - Public base URL of the backend (protocol + host)
+ * @param {Object} params.requester - { user, childId } of the request, for the package access check
+ * @returns {Object} { launchUrl, launchMethod, registration, sessionId }
+ * @throws {Error} 400/403/404 with statusCode
+ */
+const launchAu = async ({ auId, childId, courseId, baseUrl, requester }) => {
+  if (!courseId) {
+    throw createCmi5Error('courseId is required', 400);
+  }
+
+  const [au, course, child] = await Promise.all([
+    Cmi5Au.findById(auId).lean(),
+    Course.findById(courseId).select('contents').lean(),
+    ChildProfile.findById(childId).select('_id').lean(),
+  ]);
+
+  if (!au || au.isArchived) {
+    throw createCmi5Error('AU not found', 404);
+  }
+  if (!child) {
+    throw createCmi5Error('Child not found', 404);
+  }
+
+  const contentItem = course?.contents.find(
+    (item) => item.contentType === 'cmi5' && item.contentId.toString() === au._id.toString()
+  );
+  if (!contentItem) {
+    throw createCmi5Error('AU not found in course', 404);
+  }
+
+  const stepAccess = await courseProgressService.checkStepAccess(childId, courseId, contentItem.step);
+  if (!stepAccess.accessible) {
+    throw createCmi5Error(stepAccess.reason || 'Step is locked. Complete previous steps first.', 403);
+  }
+
+  // Package files are served through a signed URL covering the whole package
+  const packagePath = `${au.packagePath}/`;
+  if (!(await mediaAccessService.canAccessUploadPath(requester, packagePath))) {
+    throw createCmi5Error('A subscription is required to open this content', 403);
+  }
+
+  // Every launch of this AU by this child in this course shares the registration
+  const previous = await Cmi5Session.findOne({ child: childId, au: au._id, course: courseId })
+    .sort({ createdAt: -1 })
+    .select('registration')
+    .lean();
+
+  const session = await Cmi5Session.create({
+    sessionId: crypto.randomUUID(),
+    registration: previous?.registration || crypto.randomUUID(),
+    child: childId,
+    au: au._id,
+    course: courseId,
+    activityId: xapiService.buildActivity('cmi5', au._id).id,
+    fetchToken: crypto.randomBytes(32).toString('hex'),
+    authToken: crypto.randomBytes(32).toString('hex'),
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+  });
+
+  const actor = xapiService.buildChildActor(childId);
+
+  await xapiService.saveStateDocument(
+    {
+      activityId: session.activityId,
+      agent: actor,
+      registration: session.registration,
+      stateId: 'LMS.LaunchData',
+    },
+    buildLaunchData(au, session)
+  );
+
+  let auUrl = au.url;
+  if (!/^https?:\/\//i.test(au.url)) {
+    const [, auFile, auRest] = /^([^?#]*)(.*)$/.exec(au.url.replace(/^\.?\//, ''));
+    const { token } = mediaAccessService.createAccessToken(packagePath);
+    auUrl = `${baseUrl}${mediaAccessService.buildSignedPath(token, `${packagePath}${auFile}`)}${auRest}`;
+  }
+  const [urlWithoutHash, hash = ''] = auUrl.split('#');
+
+  const params = new URLSearchParams({
+    endpoint: `${baseUrl}/api/xapi/`,
+    fetch: `${baseUrl}/api/cmi5/fetch/${session.fetchToken}`,
+    actor: JSON.stringify(actor),
+    registration: session.registration,
+    activityId: session.activityId,
+  });
+  const launchUrl = `${urlWithoutHash}${urlWithoutHash.includes('?') ? '&' : '?'}${params.toString()}${hash ? `#${hash}` : ''}`;
+
+  await recordLmsStatement('launched', au, session, {
+    [CMI5_EXTENSIONS.launchMode]: session.launchMode,
+    [CMI5_EXTENSIONS.launchUrl]: auUrl,
+    [CMI5_EXTENSIONS.moveOn]: au.moveOn,
+    ...(au.launchParameters && { [CMI5_EXTENSIONS.launchParameters]: au.launchParameters }),
+  });
+
+  // AUs without criteria are satisfied as soon as they are launched
+  if (au.moveOn === 'NotApplicable') {
+    await satisfyAu(au, session);
+  }
+
+  return {
+    launchUrl,
+    launchMethod: au.launchMethod,
+    registration: session.registration,
+    sessionId: session.sessionId,
+  };
+};
+
+/**
+ * Exchange a fetch token for LRS credentials (single use)
+ * @param {String} fetchToken - Token from the launch URL
+ * @returns {Object} { authToken } on success, { errorCode, errorText } otherwise
+ */
+const fetchAuthToken = async (fetchToken) => {
+  const session = await Cmi5Session.findOne({ fetchToken });
+
+  if (!session || session.expiresAt <= new Date()) {
+    return { errorCode: FETCH_ERRORS.security.code, errorText: FETCH_ERRORS.security.text };
+  }
+
+  // Atomic check-and-set so two concurrent fetches can't both succeed
+  const claimed = await Cmi5Session.findOneAndUpdate(
+    { _id: session._id, fetchedAt: null },
+    { $set: { fetchedAt: new Date() } }
+  );
+  if (!claimed) {
+    return { errorCode: FETCH_ERRORS.alreadyUsed.code, errorText: FETCH_ERRORS.alreadyUsed.text };
+  }
+
+  return { authToken: Buffer.from(`cmi5:${session.authToken}`).toString('base64') };
+};
+
+/**
+ * Apply statements sent by a launched AU to its session
+ *
+ * Only statements about the session's activity and registration count. When the
+ * AU's moveOn criteria are met the AU is satisfied and the course content completed.
+ *
+ * @param {Object} session - Cmi5Session document (req.cmi5Session)
+ * @param {Object|Array} statements - Statements that were stored
+ */
+const handleSessionStatements = async (session, statements) => {
+  const relevant = (Array.isArray(statements) ? statements : [statements]).filter(
+    (statement) =>
+      statement?.object?.id === session.activityId &&
+      String(statement?.context?.registration || '').toLowerCase() === session.registration
+  );
+
+  if (relevant.length === 0) {
+    return;
+  }
+
+  const now = new Date();
+  relevant.forEach((statement) => {
+    const verbId = statement.verb.id;
+    if (verbId === xapiService.XAPI_VERBS.initialized.id) {
+      session.initializedAt = session.initializedAt || now;
+    } else if (verbId === xapiService.XAPI_VERBS.completed.id) {
+      session.completedAt = session.completedAt || now;
+    } else if (verbId === xapiService.XAPI_VERBS.passed.id) {
+      session.passedAt = session.passedAt || now;
+      session.scoreScaled = statement.result?.score?.scaled ?? session.scoreScaled;
+    } else if (verbId === xapiService.XAPI_VERBS.failed.id) {
+      session.failedAt = session.failedAt || now;
+      session.scoreScaled = statement.result?.score?.scaled ?? session.scoreScaled;
+    } else if (verbId === xapiService.XAPI_VERBS.terminated.id) {
+      session.terminatedAt = session.terminatedAt || now;
+    }
+  });
+  await session.save();
+
+  if (session.satisfiedAt) {
+    return;
+  }
+
+  // Completion and passing may be reported in different sessions of the same registration
+  const registrationSessions = await Cmi5Session.find({ registration: session.registration })
+    .select('completedAt passedAt')
+    .lean();
+  const status = {
+    completed: registrationSessions.some((row) => row.completedAt),
+    passed: registrationSessions.some((row) => row.passedAt),
+  };
+
+  const au = await Cmi5Au.findById(session.au).lean();
+  if (au && isMoveOnMet(au.moveOn, status)) {
+    await satisfyAu(au, session);
+  }
+};
+
+module.exports = {
+  CMI5_UPLOAD_DIR,
+  parseCourseStructure,
+  inspectCmi5Package,
+  importCmi5Package,
+  launchAu,
+  fetchAuthToken,
+  handleSessionStatements,
+};
@@ -1,5 +1,6 @@
 const ContactSupport = require('../models/ContactSupport');
 const User = require('../models/User');
+const notificationService = require('./notification.service');
 
 /**
  * Create a new contact support message
@@ -210,6 +211,18 @@ const respondToContactMessage = async (messageId, response, adminId) => {
     throw new Error('Contact message not found');
   }
 
+  if (message.user?._id) {
+    await notificationService.notifyUser({
+      userId: message.user._id,
+      type: 'support_response',
+      title: `Support replied: ${message.subject}`,
+      message: message.adminResponse.length > 200
+        ? `${message.adminResponse.slice(0, 197)}...`
+        : message.adminResponse,
+      data: { contactMessageId: message._id },
+    });
+  }
+
   return message;
 };
 
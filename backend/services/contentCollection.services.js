@@ -4,8 +4,10 @@ const Book = require('../models/Book');
 const Media = require('../models/Media');
 const AudioAssignment = require('../models/AudioAssignment');
 const Chant = require('../models/Chant');
-const fs = require('fs');
+const Cmi5Au = require('../models/Cmi5Au');
+const Quiz = require('../models/Quiz');
 const path = require('path');
+const storageService = require('./storage.service');
 
 /**
  * Content Collection Service
@@ -140,6 +142,12 @@ const createCourse = async (userId, courseData, files = {}) => {
       } else if (contentType === 'chant') {
         const chant = await Chant.findById(contentId);
         contentExists = !!chant;
+      } else if (contentType === 'cmi5') {
+        const au = await Cmi5Au.findById(contentId);
+        contentExists = !!au;
+      } else if (contentType === 'quiz') {
+        const quiz = await Quiz.findById(contentId);
+        contentExists = !!quiz;
       }
 
       if (!contentExists) {
@@ -373,6 +381,12 @@ const getCourseById = async (courseId, includeArchived = false) => {
           .populate('badgeAwarded', 'name description icon image category rarity')
           .lean();
         contentData = chant ? { ...chant, _contentType: 'chant' } : null;
+      } else if (contentItem.contentType === 'cmi5') {
+        const au = await Cmi5Au.findById(contentItem.contentId).lean();
+        contentData = au ? { ...au, _contentType: 'cmi5' } : null;
+      } else if (contentItem.contentType === 'quiz') {
+        const quiz = await Quiz.findById(contentItem.contentId).lean();
+        contentData = quiz ? { ...quiz, _contentType: 'quiz' } : null;
       }
 
       if (contentData) {
@@ -499,6 +513,10 @@ const updateCourse = async (courseId, userId, updateData, files = {}) => {
           contentExists = !!(await AudioAssignment.findById(contentItem.contentId));
         } else if (contentItem.contentType === 'chant') {
           contentExists = !!(await Chant.findById(contentItem.contentId));
+        } else if (contentItem.contentType === 'cmi5') {
+          contentExists = !!(await Cmi5Au.findById(contentItem.contentId));
+        } else if (contentItem.contentType === 'quiz') {
+          contentExists = !!(await Quiz.findById(contentItem.contentId));
         }
 
         if (contentExists) {
@@ -623,12 +641,8 @@ const deleteCourse = async (courseId) => {
   }
 
   // Delete cover image if exists
-  if (course.coverImage && fs.existsSync(path.join(__dirname, '../', course.coverImage.replace('/uploads', 'uploads')))) {
-    try {
-      fs.unlinkSync(path.join(__dirname, '../', course.coverImage.replace('/uploads', 'uploads')));
-    } catch (error) {
-      console.error('Error deleting cover image:', error);
-    }
+  if (course.coverImage) {
+    await storageService.removeFile(course.coverImage);
   }
 
   await Course.findByIdAndDelete(courseId);
@@ -0,0 +1,346 @@
+const mongoose = require('mongoose');
+const { ChildProfile, Classroom, Course, CourseAssignment, CourseProgress } = require('../models');
+const courseProgressService = require('./courseProgress.services');
+
+/**
+ * Course Assignment Service
+ *
+ * Courses assigned to one child by a parent, teacher or admin, on top of the
+ * default courses and the global sequence (see courseProgress.services for how
+ * assignments affect access, ordering and the one-course limit).
+ *
+ * - Parents manage their own children (ownership is checked by requireChildAccess).
+ * - Teachers manage children who are active members of one of their classrooms.
+ * - Every change is recorded in the assignment's history.
+ */
+
+const CURRENT_STATUSES = ['active', 'paused'];
+
+const createAssignmentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Make sure the user can manage the child's courses
+ * @param {Object} user - Parent, teacher or admin user
+ * @param {String} childId - Child profile ID
+ */
+const assertCanManageChild = async (user, childId) => {
+  if (!mongoose.Types.ObjectId.isValid(childId) || !(await ChildProfile.exists({ _id: childId }))) {
+    throw createAssignmentError('Child not found', 404);
+  }
+
+  if (user.role === 'teacher') {
+    const inClassroom = await Classroom.exists({
+      teacher: user._id,
+      isArchived: false,
+      members: { $elemMatch: { child: childId, status: 'active' } },
+    });
+    if (!inClassroom) {
+      throw createAssignmentError('You can only manage courses of children in your classrooms', 403);
+    }
+  }
+};
+
+/**
+ * Parse an optional target date
+ * @param {*} value - Date string, Date, or empty
+ * @returns {Date|null}
+ */
+const parseTargetDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createAssignmentError('Invalid target date', 400);
+  }
+  return date;
+};
+
+/**
+ * Build a history entry for the acting user
+ * @param {Object} user - Acting user
+ * @param {String} action - One of CourseAssignment.HISTORY_ACTIONS
+ * @param {Object} [details] - Action details
+ * @returns {Object}
+ */
+const historyEntry = (user, action, details = null) => ({
+  action,
+  by: user._id,
+  byRole: user.role,
+  at: new Date(),
+  details,
+});
+
+/**
+ * Load the child's current (active or paused) assignment of a course
+ * @param {String} childId - Child profile ID
+ * @param {String} courseId - Course ID
+ * @returns {Promise<Object>} CourseAssignment document
+ */
+const getCurrentAssignment = async (childId, courseId) => {
+  const assignment = mongoose.Types.ObjectId.isValid(courseId)
+    ? await CourseAssignment.findOne({ child: childId, course: courseId, status: { $in: CURRENT_STATUSES } })
+    : null;
+  if (!assignment) {
+    throw createAssignmentError('Course is not assigned to this child', 404);
+  }
+  return assignment;
+};
+
+/**
+ * Assignments of a child with course progress, and the history of every
+ * assignment (including removed ones), newest first
+ * @param {String} childId - Child profile ID
+ * @returns {Promise<Object>} { assignments, history }
+ */
+const buildAssignmentsView = async (childId) => {
+  const assignments = await CourseAssignment.find({ child: childId })
+    .populate('course', 'title coverImage stepOrder')
+    .populate('assignedBy', 'name')
+    .populate('history.by', 'name')
+    .sort({ order: 1, createdAt: 1 })
+    .lean();
+
+  const progressList = await CourseProgress.find({
+    child: childId,
+    course: { $in: assignments.map((assignment) => assignment.course?._id).filter(Boolean) },
+  })
+    .select('course status progressPercentage completedAt')
+    .lean();
+  const progressByCourse = new Map(progressList.map((progress) => [progress.course.toString(), progress]));
+
+  const now = new Date();
+  const current = assignments
+    .filter((assignment) => CURRENT_STATUSES.includes(assignment.status) && assignment.course)
+    .map((assignment) => {
+      const progress = progressByCourse.get(assignment.course._id.toString()) || null;
+      return {
+        _id: assignment._id,
+        course: assignment.course,
+        status: assignment.status,
+        order: assignment.order,
+        targetDate: assignment.targetDate,
+        overrideLocks: assignment.overrideLocks,
+        assignedBy: assignment.assignedBy,
+        assignedByRole: assignment.assignedByRole,
+        assignedAt: assignment.createdAt,
+        progress: progress
+          ? {
+              status: progress.status,
+              progressPercentage: progress.progressPercentage,
+              completedAt: progress.completedAt,
+            }
+          : null,
+        isOverdue: Boolean(
+          assignment.targetDate && assignment.targetDate < now && progress?.status !== 'completed'
+        ),
+      };
+    });
+
+  const history = assignments
+    .flatMap((assignment) =>
+      assignment.history.map((entry) => ({
+        course: assignment.course ? { _id: assignment.course._id, title: assignment.course.title } : null,
+        action: entry.action,
+        by: entry.by,
+        byRole: entry.byRole,
+        at: entry.at,
+        details: entry.details,
+      }))
+    )
+    .sort((a, b) => new Date(b.at) - new Date(a.at));
+
+  return { assignments: current, history };
+};
+
+/**
+ * Courses that can be assigned: published and not archived
+ * @returns {Promise<Array>} Courses (title, coverImage, stepOrder, ageRange) in journey order
+ */
+const getAssignableCourses = async () => {
+  return Course.find({ isPublished: true, isArchived: false })
+    .select('title coverImage stepOrder ageRange')
+    .sort({ stepOrder: 1, createdAt: 1 })
+    .lean();
+};
+
+/**
+ * Get a child's course assignments and their history
+ * @param {Object} user - Parent, teacher or admin user
+ * @param {String} childId - Child profile ID
+ * @returns {Promise<Object>} { assignments, history }
+ */
+const getChildAssignments = async (user, childId) => {
+  await assertCanManageChild(user, childId);
+  return buildAssignmentsView(childId);
+};
+
+/**
+ * Assign a course to a child (a removed assignment is reactivated)
+ * The course goes to the end of the child's assigned courses and is started
+ * as soon as it is accessible.
+ * @param {Object} user - Parent, teacher or admin user
+ * @param {String} childId - Child profile ID
+ * @param {Object} data - { courseId, targetDate, overrideLocks }
+ * @returns {Promise<Object>} { assignments, history }
+ */
+const assignCourse = async (user, childId, data = {}) => {
+  await assertCanManageChild(user, childId);
+
+  const { courseId } = data;
+  if (!courseId || !mongoose.Types.ObjectId.isValid(courseId)) {
+    throw createAssignmentError('Please provide a valid courseId', 400);
+  }
+  const course = await Course.findOne({ _id: courseId, isArchived: false }).select('isPublished');
+  if (!course) {
+    throw createAssignmentError('Course not found', 404);
+  }
+  if (!course.isPublished) {
+    throw createAssignmentError('Only published courses can be assigned', 400);
+  }
+
+  const targetDate = parseTargetDate(data.targetDate);
+  const overrideLocks = data.overrideLocks === true || data.overrideLocks === 'true';
+
+  let assignment = await CourseAssignment.findOne({ child: childId, course: courseId });
+  if (assignment && CURRENT_STATUSES.includes(assignment.status)) {
+    throw createAssignmentError('Course is already assigned to this child', 409);
+  }
+
+  const last = await CourseAssignment.findOne({ child: childId, status: { $in: CURRENT_STATUSES } })
+    .sort({ order: -1 })
+    .select('order');
+  const order = last ? last.order + 1 : 0;
+
+  if (!assignment) {
+    assignment = new CourseAssignment({ child: childId, course: courseId });
+  }
+  assignment.set({
+    assignedBy: user._id,
+    assignedByRole: user.role,
+    status: 'active',
+    order,
+    targetDate,
+    overrideLocks,
+  });
+  assignment.history.push(historyEntry(user, 'assigned', { targetDate, overrideLocks }));
+  await assignment.save();
+
+  await courseProgressService.getOrCreateCourseProgress(childId, courseId);
+
+  return buildAssignmentsView(childId);
+};
+
+/**
+ * Update an assignment: pause or resume it, set or clear the target date,
+ * turn the prerequisite lock override on or off
+ * @param {Object} user - Parent, teacher or admin user
+ * @param {String} childId - Child profile ID
+ * @param {String} courseId - Course ID
+ * @param {Object} data - { status: 'active'|'paused', targetDate, overrideLocks }
+ * @returns {Promise<Object>} { assignments, history }
+ */
+const updateAssignment = async (user, childId, courseId, data = {}) => {
+  await assertCanManageChild(user, childId);
+  const assignment = await getCurrentAssignment(childId, courseId);
+
+  if (data.status !== undefined) {
+    if (!CURRENT_STATUSES.includes(data.status)) {
+      throw createAssignmentError("Status must be 'active' or 'paused'", 400);
+    }
+    if (data.status !== assignment.status) {
+      assignment.status = data.status;
+      assignment.history.push(historyEntry(user, data.status === 'paused' ? 'paused' : 'resumed'));
+    }
+  }
+
+  if (data.targetDate !== undefined) {
+    const targetDate = parseTargetDate(data.targetDate);
+    if ((targetDate?.getTime() ?? null) !== (assignment.targetDate?.getTime() ?? null)) {
+      assignment.targetDate = targetDate;
+      assignment.history.push(
+        targetDate
+          ? historyEntry(user, 'target_date_set', { targetDate })
+          : historyEntry(user, 'target_date_cleared')
+      );
+    }
+  }
+
+  if (data.overrideLocks !== undefined) {
+    const overrideLocks = data.overrideLocks === true || data.overrideLocks === 'true';
+    if (overrideLocks !== assignment.overrideLocks) {
+      assignment.overrideLocks = overrideLocks;
+      assignment.history.push(historyEntry(user, overrideLocks ? 'lock_override_set' : 'lock_override_removed'));
+    }
+  }
+
+  await assignment.save();
+
+  return buildAssignmentsView(childId);
+};
+
+/**
+ * Unassign a course (the child keeps their progress)
+ * @param {Object} user - Parent, teacher or admin user
+ * @param {String} childId - Child profile ID
+ * @param {String} courseId - Course ID
+ * @returns {Promise<Object>} { assignments, history }
+ */
+const unassignCourse = async (user, childId, courseId) => {
+  await assertCanManageChild(user, childId);
+  const assignment = await getCurrentAssignment(childId, courseId);
+
+  assignment.status = 'removed';
+  assignment.history.push(historyEntry(user, 'unassigned'));
+  await assignment.save();
+
+  return buildAssignmentsView(childId);
+};
+
+/**
+ * Reorder a child's assigned courses
+ * @param {Object} user - Parent, teacher or admin user
+ * @param {String} childId - Child profile ID
+ * @param {Array<String>} courseIds - Every assigned course ID, in the new order
+ * @returns {Promise<Object>} { assignments, history }
+ */
+const reorderAssignments = async (user, childId, courseIds) => {
+  await assertCanManageChild(user, childId);
+
+  if (!Array.isArray(courseIds)) {
+    throw createAssignmentError('Please provide courseIds as an array', 400);
+  }
+
+  const assignments = await CourseAssignment.find({ child: childId, status: { $in: CURRENT_STATUSES } });
+  const byCourse = new Map(assignments.map((assignment) => [assignment.course.toString(), assignment]));
+  const uniqueIds = new Set(courseIds.map(String));
+  const isComplete =
+    uniqueIds.size === courseIds.length &&
+    courseIds.length === assignments.length &&
+    [...uniqueIds].every((id) => byCourse.has(id));
+  if (!isComplete) {
+    throw createAssignmentError("courseIds must list each of the child's assigned courses once", 400);
+  }
+
+  for (const [index, courseId] of courseIds.entries()) {
+    const assignment = byCourse.get(String(courseId));
+    if (assignment.order !== index) {
+      assignment.order = index;
+      assignment.history.push(historyEntry(user, 'reordered', { position: index + 1 }));
+      await assignment.save();
+    }
+  }
+
+  return buildAssignmentsView(childId);
+};
+
+module.exports = {
+  getAssignableCourses,
+  getChildAssignments,
+  assignCourse,
+  updateAssignment,
+  unassignCourse,
+  reorderAssignments,
+};
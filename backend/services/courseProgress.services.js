@@ -1,37 +1,74 @@
-const { Course, CourseProgress, ChildProfile, Activity, Book, Media, AudioAssignment, Chant, VideoWatch } = require('../models');
+const { Course, CourseProgress, CourseAssignment, ChildProfile, Activity, Book, Media, AudioAssignment, Chant, VideoWatch, Cmi5Au, Quiz } = require('../models');
+const xapiService = require('./xapi.service');
+const skillMasteryService = require('./skillMastery.service');
+
+/**
+ * Get a child's current assignment of a course (active or paused)
+ * 
+ * @param {String} childId - Child's MongoDB ID
+ * @param {String} courseId - Course's MongoDB ID
+ * @returns {Object|null} CourseAssignment (lean) or null when not assigned
+ */
+const getCourseAssignment = async (childId, courseId) => {
+  return CourseAssignment.findOne({
+    child: childId,
+    course: courseId,
+    status: { $in: ['active', 'paused'] },
+  }).lean();
+};
 
 /**
  * Count courses in "in_progress" or "not_started" status for a child
- * Maximum allowed is 2
+ * Courses assigned to the child (active or paused) don't count towards the limit
  * 
  * @param {String} childId - Child's MongoDB ID
  * @returns {Number} Count of in-progress courses
  */
 const countInProgressCourses = async (childId) => {
+  const assignedCourseIds = await CourseAssignment.distinct('course', {
+    child: childId,
+    status: { $in: ['active', 'paused'] },
+  });
+
   const count = await CourseProgress.countDocuments({
     child: childId,
     status: { $in: ['in_progress', 'not_started'] },
+    course: { $nin: assignedCourseIds },
   });
   return count;
 };
 
 /**
  * Check if a child can access a course
- * Verifies prerequisites are completed if course is sequential
+ * Verifies prerequisites are completed if course is sequential.
+ * A paused assignment closes the course; an assignment with overrideLocks
+ * opens it regardless of prerequisites.
  * 
  * @param {String} childId - Child's MongoDB ID
  * @param {String} courseId - Course's MongoDB ID
+ * @param {Object|null} [preloadedAssignment] - The child's current assignment of the course
+ *   (null when not assigned); looked up when omitted
  * @returns {Object} Access information with accessible flag and reason
  */
-const checkCourseAccess = async (childId, courseId) => {
+const checkCourseAccess = async (childId, courseId, preloadedAssignment) => {
   const course = await Course.findById(courseId);
   if (!course) {
     throw new Error('Course not found');
   }
 
+  const assignment = preloadedAssignment !== undefined
+    ? preloadedAssignment
+    : await getCourseAssignment(childId, courseId);
+  if (assignment && assignment.status === 'paused') {
+    return { accessible: false, reason: 'Course is paused', course, assignment };
+  }
+  if (assignment && assignment.overrideLocks) {
+    return { accessible: true, reason: null, course, assignment };
+  }
+
   // If course is not sequential or has no prerequisites, it's accessible
   if (!course.isSequential || !course.prerequisites || course.prerequisites.length === 0) {
-    return { accessible: true, reason: null, course };
+    return { accessible: true, reason: null, course, assignment };
   }
 
   // Check if all prerequisites are completed
@@ -56,10 +93,11 @@ const checkCourseAccess = async (childId, courseId) => {
       missingPrerequisites: missing,
       missingCourses,
       course,
+      assignment,
     };
   }
 
-  return { accessible: true, reason: null, course };
+  return { accessible: true, reason: null, course, assignment };
 };
 
 /**
@@ -149,11 +187,24 @@ const getChildCourses = async (childId, queryParams = {}) => {
     progressMap[p.course.toString()] = p;
   });
 
+  // Load the child's current assignments once instead of per course
+  const assignments = await CourseAssignment.find({
+    child: childId,
+    status: { $in: ['active', 'paused'] },
+  }).lean();
+  const assignmentByCourse = new Map(assignments.map((assignment) => [assignment.course.toString(), assignment]));
+
   // Combine courses with progress and check access
   let coursesWithProgress = await Promise.all(
     courses.map(async (course) => {
       const progress = progressMap[course._id.toString()] || null;
-      const accessCheck = await checkCourseAccess(childId, course._id);
+      const accessCheck = await checkCourseAccess(
+        childId,
+        course._id,
+        assignmentByCourse.get(course._id.toString()) || null
+      );
+
+      const { assignment } = accessCheck;
 
       // Determine current status
       let currentStatus = 'not_started';
@@ -162,6 +213,10 @@ const getChildCourses = async (childId, queryParams = {}) => {
       } else if (!accessCheck.accessible) {
         currentStatus = 'locked';
       }
+      // Paused assignments show as locked without touching the saved progress
+      if (assignment && assignment.status === 'paused' && currentStatus !== 'completed') {
+        currentStatus = 'locked';
+      }
 
       return {
         course: course.toObject(),
@@ -170,28 +225,46 @@ const getChildCourses = async (childId, queryParams = {}) => {
         accessible: accessCheck.accessible,
         missingPrerequisites: accessCheck.missingCourses || [],
         progressPercentage: progress ? progress.progressPercentage : 0,
+        assignment: assignment
+          ? {
+              status: assignment.status,
+              order: assignment.order,
+              targetDate: assignment.targetDate,
+              overrideLocks: assignment.overrideLocks,
+            }
+          : null,
       };
     })
   );
 
+  // Courses assigned to the child come first, in the order set by the parent or teacher
+  coursesWithProgress = [
+    ...coursesWithProgress
+      .filter((item) => item.assignment)
+      .sort((a, b) => a.assignment.order - b.assignment.order),
+    ...coursesWithProgress.filter((item) => !item.assignment),
+  ];
+
   // Enforce 1-course limit: only 1 course can be in "in_progress" or "not_started" at a time
   // Keep completed courses as-is, but limit active courses
   // Lock courses beyond the first 1 (in order) that are in progress/not_started
   // If no course is in progress and there are accessible locked courses, unlock the next one
+  // Assigned courses are exempt from the limit and start as soon as they are accessible
   const MAX_IN_PROGRESS = 1;
   let inProgressCount = 0;
   const coursesToLock = []; // Track courses that need to be locked in the database
   let courseToUnlock = null; // Track the next course that should be unlocked and set to in_progress
+  const assignedToStart = []; // Track assigned courses that should be set to in_progress
 
   // First pass: count current in-progress courses and find if we need to unlock one
   const currentInProgress = coursesWithProgress.filter(
-    (item) => item.status === 'in_progress' || item.status === 'not_started'
+    (item) => !item.assignment && (item.status === 'in_progress' || item.status === 'not_started')
   );
 
   // If no course is in progress, find the first accessible locked course and unlock it
   if (currentInProgress.length === 0) {
     for (const item of coursesWithProgress) {
-      if (item.status === 'locked' && item.accessible && item.status !== 'completed') {
+      if (!item.assignment && item.status === 'locked' && item.accessible && item.status !== 'completed') {
         // This is the next course that should be unlocked and started
         courseToUnlock = {
           progressId: item.progress?._id || null,
@@ -237,6 +310,38 @@ const getChildCourses = async (childId, queryParams = {}) => {
       return item;
     }
 
+    // Assigned courses: start active, accessible ones; leave paused and blocked ones as they are
+    if (item.assignment) {
+      if (
+        item.assignment.status === 'active' &&
+        item.accessible &&
+        (item.status === 'not_started' || item.status === 'locked')
+      ) {
+        assignedToStart.push({
+          progressId: item.progress?._id || null,
+          courseId: item.course._id,
+        });
+        return {
+          ...item,
+          status: 'in_progress',
+          progress: item.progress
+            ? {
+                ...item.progress,
+                status: 'in_progress',
+                startedAt: item.progress.startedAt || new Date(),
+                currentStep: item.progress.currentStep || 1,
+              }
+            : {
+                status: 'in_progress',
+                progressPercentage: 0,
+                startedAt: new Date(),
+                currentStep: 1,
+              },
+        };
+      }
+      return item;
+    }
+
     // For courses that are "in_progress" or "not_started", enforce the 1-course limit
     if (item.status === 'in_progress' || item.status === 'not_started') {
       if (inProgressCount < MAX_IN_PROGRESS) {
@@ -284,11 +389,12 @@ const getChildCourses = async (childId, queryParams = {}) => {
     return item;
   });
 
-  // Update database records for course that needs to be unlocked and started
-  if (courseToUnlock) {
-    if (courseToUnlock.progressId) {
+  // Update database records for courses that need to be unlocked and started
+  const coursesToStart = courseToUnlock ? [courseToUnlock, ...assignedToStart] : assignedToStart;
+  for (const entry of coursesToStart) {
+    if (entry.progressId) {
       await CourseProgress.findOneAndUpdate(
-        { _id: courseToUnlock.progressId },
+        { _id: entry.progressId },
         {
           status: 'in_progress',
           startedAt: new Date(),
@@ -300,7 +406,7 @@ const getChildCourses = async (childId, queryParams = {}) => {
       // Create new progress entry
       await CourseProgress.create({
         child: childId,
-        course: courseToUnlock.courseId,
+        course: entry.courseId,
         status: 'in_progress',
         progressPercentage: 0,
         startedAt: new Date(),
@@ -343,6 +449,12 @@ const checkStepAccess = async (childId, courseId, step) => {
     };
   }
 
+  // A paused assignment closes every step
+  const assignment = await getCourseAssignment(childId, courseId);
+  if (assignment && assignment.status === 'paused') {
+    return { accessible: false, reason: 'Course is paused' };
+  }
+
   // For steps > 1, check if previous step is completed
   const progress = await CourseProgress.findOne({
     child: childId,
@@ -375,13 +487,16 @@ const checkStepAccess = async (childId, courseId, step) => {
   return { accessible: true, reason: null };
 };
 
+// Content whose completion is the only skill evidence it produces
+const COMPLETION_EVIDENCE_TYPES = ['activity', 'book', 'video'];
+
 /**
  * Update course progress when content is completed
  * 
  * @param {String} childId - Child's MongoDB ID
  * @param {String} courseId - Course's MongoDB ID
  * @param {String} contentId - Content item's MongoDB ID
- * @param {String} contentType - Content type ('activity', 'book', 'video', 'audioAssignment', 'chant')
+ * @param {String} contentType - Content type ('activity', 'book', 'video', 'audioAssignment', 'chant', 'cmi5', 'quiz')
  * @returns {Object} Updated CourseProgress
  */
 const updateContentProgress = async (childId, courseId, contentId, contentType) => {
@@ -416,6 +531,9 @@ const updateContentProgress = async (childId, courseId, contentId, contentType)
     course: courseId,
   }).populate('course');
 
+  // Courses assigned to the child are exempt from the 1-course limit
+  const isAssigned = Boolean(await getCourseAssignment(childId, courseId));
+
   if (!progress) {
     const accessCheck = await checkCourseAccess(childId, courseId);
     if (!accessCheck.accessible) {
@@ -426,7 +544,7 @@ const updateContentProgress = async (childId, courseId, contentId, contentType)
     const currentInProgressCount = await countInProgressCourses(childId);
     const MAX_IN_PROGRESS = 1;
 
-    if (currentInProgressCount >= MAX_IN_PROGRESS) {
+    if (!isAssigned && currentInProgressCount >= MAX_IN_PROGRESS) {
       throw new Error('Maximum 1 course in progress. Complete the current course before starting another.');
     }
 
@@ -445,7 +563,7 @@ const updateContentProgress = async (childId, courseId, contentId, contentType)
     const currentInProgressCount = await countInProgressCourses(childId);
     const MAX_IN_PROGRESS = 1;
 
-    if (currentInProgressCount >= MAX_IN_PROGRESS) {
+    if (!isAssigned && currentInProgressCount >= MAX_IN_PROGRESS) {
       throw new Error('Maximum 1 course in progress. Complete the current course before starting another.');
     }
 
@@ -491,10 +609,39 @@ const updateContentProgress = async (childId, courseId, contentId, contentType)
     }
   }
 
+  const wasContentCompleted = progress.contentProgress.some(
+    (item) =>
+      item.contentId.toString() === contentId.toString() &&
+      item.contentType === contentType &&
+      item.status === 'completed'
+  );
+
   // Mark content as completed (with step)
   progress.markContentCompleted(contentId, contentType, step, course);
   await progress.save();
 
+  if (!wasContentCompleted) {
+    await xapiService.recordLearningEvent({
+      childId,
+      verb: 'completed',
+      contentType,
+      contentId,
+      courseId,
+      result: { completion: true },
+    });
+
+    // Chants, audio assignments and quizzes report scored evidence of their own
+    if (COMPLETION_EVIDENCE_TYPES.includes(contentType)) {
+      await skillMasteryService.recordSkillEvidence({
+        childId,
+        contentType,
+        contentId,
+        source: 'completion',
+        value: 100,
+      });
+    }
+  }
+
   // Check if all content is completed
   const totalContent = course.contents.length;
   const completedContent = progress.contentProgress.filter(
@@ -506,6 +653,15 @@ const updateContentProgress = async (childId, courseId, contentId, contentType)
     progress.completedAt = new Date();
     await progress.save();
 
+    await xapiService.recordLearningEvent({
+      childId,
+      verb: 'completed',
+      contentType: 'course',
+      contentId: courseId,
+      title: course.title,
+      result: { completion: true },
+    });
+
     // Unlock next course in sequence (if any)
     await unlockNextCourse(childId, courseId);
   }
@@ -622,6 +778,7 @@ const markCourseCompleted = async (childId, courseId) => {
     child: childId,
     course: courseId,
   });
+  const wasCompleted = progress?.status === 'completed';
 
   if (!progress) {
     const accessCheck = await checkCourseAccess(childId, courseId);
@@ -647,6 +804,16 @@ const markCourseCompleted = async (childId, courseId) => {
     await progress.save();
   }
 
+  if (!wasCompleted) {
+    await xapiService.recordLearningEvent({
+      childId,
+      verb: 'completed',
+      contentType: 'course',
+      contentId: courseId,
+      result: { completion: true },
+    });
+  }
+
   // Unlock next course
   await unlockNextCourse(childId, courseId);
 
@@ -760,6 +927,13 @@ const getCourseDetailsForChild = async (childId, courseId) => {
           .populate('badgeAwarded', 'name description icon image category rarity')
           .lean();
         contentData = chant ? { ...chant, _contentType: 'chant' } : null;
+      } else if (contentItem.contentType === 'cmi5') {
+        const au = await Cmi5Au.findById(contentItem.contentId).lean();
+        contentData = au ? { ...au, _contentType: 'cmi5' } : null;
+      } else if (contentItem.contentType === 'quiz') {
+        // Answers stay on the server; the player loads its questions per attempt
+        const quiz = await Quiz.findById(contentItem.contentId).select('-questions').lean();
+        contentData = quiz ? { ...quiz, _contentType: 'quiz' } : null;
       }
 
       if (contentData) {
@@ -811,17 +985,252 @@ const getCourseDetailsForChild = async (childId, courseId) => {
   };
 };
 
+/**
+ * Derive a SCORM 1.2 lesson status from SCORM 2004 completion/success statuses
+ * 
+ * success_status wins over completion_status (passed/failed imply the attempt was evaluated)
+ * 
+ * @param {String} completionStatus - cmi.completion_status
+ * @param {String} successStatus - cmi.success_status
+ * @returns {String|null} 1.2 lesson status, or null when nothing is known yet
+ */
+const deriveLessonStatusFrom2004 = (completionStatus, successStatus) => {
+  if (successStatus === 'passed' || successStatus === 'failed') {
+    return successStatus;
+  }
+  if (completionStatus === 'completed' || completionStatus === 'incomplete' || completionStatus === 'not attempted') {
+    return completionStatus;
+  }
+  return null;
+};
+
+/**
+ * Convert SCORM time (HH:MM:SS.SS) to seconds
+ * @param {String} timeString - SCORM time
+ * @returns {Number} Seconds
+ */
+const scormTimeToSeconds = (timeString) => {
+  const parts = String(timeString || '').split(':');
+  if (parts.length < 3) {
+    return 0;
+  }
+  return (parseInt(parts[0]) || 0) * 3600 + (parseInt(parts[1]) || 0) * 60 + (parseFloat(parts[2]) || 0);
+};
+
+/**
+ * Convert seconds to SCORM time (HH:MM:SS.SS)
+ * @param {Number} seconds - Seconds
+ * @returns {String} SCORM time
+ */
+const secondsToScormTime = (seconds) => {
+  const hours = String(Math.floor(seconds / 3600)).padStart(2, '0');
+  const minutes = String(Math.floor((seconds % 3600) / 60)).padStart(2, '0');
+  const secs = (seconds % 60).toFixed(2).padStart(5, '0');
+  return `${hours}:${minutes}:${secs}`;
+};
+
+/**
+ * Store a multi-SCO attempt on its SCO row and roll the package up to the content level
+ *
+ * The content is completed once every SCO of the package is completed/passed.
+ * Time is the sum of all SCOs, score is the average percentage of scored SCOs.
+ *
+ * @param {Object} scormProgress - contentProgress[].scormProgress subdocument
+ * @param {Object} progressData - SCORM progress data for one SCO (progressData.scoId set)
+ * @param {Array<String>} scoIds - Launchable item identifiers of the package (manifest order)
+ * @returns {Object} Content-level progress data to apply on scormProgress
+ */
+const applyScoProgress = (scormProgress, progressData, scoIds) => {
+  const { scoId } = progressData;
+
+  let row = scormProgress.scos.find((item) => item.scoId === scoId);
+  if (!row) {
+    scormProgress.scos.push({ scoId });
+    row = scormProgress.scos[scormProgress.scos.length - 1];
+  }
+
+  if (progressData.completionStatus) {
+    row.completionStatus = progressData.completionStatus;
+  }
+  if (progressData.successStatus) {
+    row.successStatus = progressData.successStatus;
+  }
+  if (progressData.progressMeasure !== undefined) {
+    row.progressMeasure = progressData.progressMeasure;
+  }
+
+  const lessonStatus = progressData.lessonStatus ||
+    (progressData.scormVersion === '2004'
+      ? deriveLessonStatusFrom2004(row.completionStatus, row.successStatus)
+      : null);
+  if (lessonStatus) {
+    row.lessonStatus = lessonStatus;
+  }
+
+  if (progressData.score !== undefined) {
+    row.score = {
+      raw: progressData.score?.raw || progressData.score || null,
+      max: progressData.scoreMax !== undefined ? progressData.scoreMax : (progressData.score?.max || 100),
+      min: progressData.scoreMin !== undefined ? progressData.scoreMin : (progressData.score?.min || 0),
+      scaled: progressData.scoreScaled !== undefined ? progressData.scoreScaled : (row.score?.scaled ?? null),
+    };
+  }
+  if (progressData.timeSpent) {
+    row.timeSpent = progressData.timeSpent;
+  }
+  if (progressData.suspendData !== undefined) {
+    row.suspendData = progressData.suspendData || '';
+  }
+  if (progressData.entry) {
+    row.entry = progressData.entry;
+  }
+  if (progressData.exit) {
+    row.exit = progressData.exit;
+  }
+  if (progressData.lessonLocation !== undefined) {
+    row.lessonLocation = progressData.lessonLocation;
+  }
+  row.lastAccessed = new Date();
+  scormProgress.currentScoId = scoId;
+
+  // Rollup over the package's SCOs (fall back to the rows seen so far)
+  const expectedIds = scoIds.length > 0 ? scoIds : scormProgress.scos.map((item) => item.scoId);
+  const rows = scormProgress.scos.filter((item) => expectedIds.includes(item.scoId));
+  const completedCount = rows.filter((item) => ['completed', 'passed'].includes(item.lessonStatus)).length;
+  const started = rows.some((item) => item.lessonStatus !== 'not attempted');
+
+  const rollup = {
+    timeSpent: secondsToScormTime(rows.reduce((total, item) => total + scormTimeToSeconds(item.timeSpent), 0)),
+  };
+
+  if (completedCount === expectedIds.length) {
+    rollup.lessonStatus = 'completed';
+  } else if (started) {
+    rollup.lessonStatus = 'incomplete';
+  }
+
+  const scored = rows.filter((item) => item.score && item.score.raw !== null && item.score.max > item.score.min);
+  if (scored.length > 0) {
+    const percentages = scored.map((item) => ((item.score.raw - item.score.min) / (item.score.max - item.score.min)) * 100);
+    rollup.score = Math.round(percentages.reduce((total, value) => total + value, 0) / scored.length);
+    rollup.scoreMax = 100;
+    rollup.scoreMin = 0;
+  }
+
+  if (progressData.scormVersion === '2004') {
+    rollup.scormVersion = '2004';
+    rollup.completionStatus = completedCount === expectedIds.length ? 'completed' : (started ? 'incomplete' : 'not attempted');
+    rollup.progressMeasure = expectedIds.length > 0 ? completedCount / expectedIds.length : 0;
+  }
+
+  return rollup;
+};
+
+// SCORM content models by course content type
+const SCORM_CONTENT_MODELS = {
+  book: Book,
+  chant: Chant,
+  audioAssignment: AudioAssignment,
+  video: Media,
+};
+
+/**
+ * Slide number from a SCORM lesson location ("slide_5", "5", "page-12", ...)
+ * @param {String} lessonLocation - cmi.core.lesson_location / cmi.location
+ * @returns {Number|null} Slide number or null
+ */
+const getSlideNumber = (lessonLocation) => {
+  const match = /(\d+)/.exec(lessonLocation || '');
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * Compute progress percentage of a SCORM attempt from real signals
+ *
+ * Order: completed status, cmi.progress_measure, SCOs completed (multi-SCO),
+ * slide reached against the package's detected slide count.
+ *
+ * @param {Object} scormProgress - contentProgress[].scormProgress subdocument
+ * @param {Number|null} slideCount - Slide count of the package
+ * @param {Array<String>} scoIds - Launchable item identifiers of a multi-SCO package
+ * @returns {Number|null} Percentage (0-100), or null when there is no signal
+ */
+const computeScormProgressPercent = (scormProgress, slideCount, scoIds) => {
+  if (['completed', 'passed'].includes(scormProgress.lessonStatus)) {
+    return 100;
+  }
+
+  if (typeof scormProgress.progressMeasure === 'number') {
+    return Math.round(scormProgress.progressMeasure * 100);
+  }
+
+  if (scoIds.length > 1) {
+    const completedCount = scormProgress.scos.filter(
+      (row) => scoIds.includes(row.scoId) && ['completed', 'passed'].includes(row.lessonStatus)
+    ).length;
+    return Math.round((completedCount / scoIds.length) * 100);
+  }
+
+  const slideNumber = getSlideNumber(scormProgress.lessonLocation);
+  if (slideNumber && slideCount) {
+    return Math.min(Math.round((slideNumber / slideCount) * 100), 100);
+  }
+
+  return null;
+};
+
+/**
+ * Evaluate a content item's SCORM completion rule
+ *
+ * @param {Object} rule - scormSettings.completionRule ({ type, minScore, minTimeSeconds, targetLocation })
+ * @param {Object} scormProgress - contentProgress[].scormProgress subdocument
+ * @param {Number|null} slideCount - Slide count of the package
+ * @returns {Boolean} True when the content item counts as completed
+ */
+const isScormCompletionRuleMet = (rule, scormProgress, slideCount) => {
+  switch (rule?.type) {
+    case 'score': {
+      const score = scormProgress.score || {};
+      let percent = null;
+      if (typeof score.scaled === 'number') {
+        percent = score.scaled * 100;
+      } else if (typeof score.raw === 'number') {
+        const min = score.min || 0;
+        const max = score.max || 100;
+        percent = max > min ? ((score.raw - min) / (max - min)) * 100 : null;
+      }
+      return percent !== null && percent >= rule.minScore;
+    }
+    case 'time':
+      return scormTimeToSeconds(scormProgress.timeSpent) >= rule.minTimeSeconds;
+    case 'location': {
+      if (rule.targetLocation) {
+        return scormProgress.lessonLocation === rule.targetLocation;
+      }
+      const slideNumber = getSlideNumber(scormProgress.lessonLocation);
+      return Boolean(slideCount && slideNumber && slideNumber >= slideCount);
+    }
+    case 'status':
+    default:
+      return ['completed', 'passed'].includes(scormProgress.lessonStatus);
+  }
+};
+
 /**
  * Update SCORM progress for a content item
  * 
+ * Progress percentage is computed from the reported data and the package's slide count;
+ * the content is completed when its admin completion rule (scormSettings.completionRule) is met.
+ * 
  * @param {String} childId - Child's MongoDB ID
  * @param {String} courseId - Course's MongoDB ID
  * @param {String} contentId - Content item's MongoDB ID
  * @param {String} contentType - Content type ('audioAssignment' or 'chant')
- * @param {Object} progressData - SCORM progress data
+ * @param {Object} progressData - SCORM progress data (progressData.scoId set for multi-SCO packages)
+ * @param {Array<String>} scoIds - Launchable item identifiers of a multi-SCO package, used for rollup
  * @returns {Object} Updated progress
  */
-const updateScormProgress = async (childId, courseId, contentId, contentType, progressData) => {
+const updateScormProgress = async (childId, courseId, contentId, contentType, progressData, scoIds = []) => {
   // Verify course exists and contains this content
   const course = await Course.findById(courseId);
   if (!course) {
@@ -877,51 +1286,54 @@ const updateScormProgress = async (childId, courseId, contentId, contentType, pr
     contentProgressItem = progress.contentProgress[progress.contentProgress.length - 1];
   }
 
+  // Multi-SCO packages: the attempt belongs to one SCO, the content gets the rollup
+  if (progressData.scoId) {
+    progressData = applyScoProgress(contentProgressItem.scormProgress, progressData, scoIds);
+  }
+
+  // SCORM 2004 data model fields
+  if (progressData.scormVersion === '2004') {
+    const scorm = contentProgressItem.scormProgress;
+    scorm.scormVersion = '2004';
+
+    if (progressData.completionStatus) {
+      scorm.completionStatus = progressData.completionStatus;
+    }
+    if (progressData.successStatus) {
+      scorm.successStatus = progressData.successStatus;
+    }
+    if (progressData.progressMeasure !== undefined) {
+      scorm.progressMeasure = progressData.progressMeasure;
+    }
+    if (progressData.scoreScaled !== undefined) {
+      contentProgressItem.set('scormProgress.score.scaled', progressData.scoreScaled);
+    }
+    if (Array.isArray(progressData.interactions)) {
+      scorm.interactions = progressData.interactions;
+    }
+
+    // Older code paths (completion, stars) read the 1.2 lesson status
+    if (!progressData.lessonStatus) {
+      const derivedStatus = deriveLessonStatusFrom2004(scorm.completionStatus, scorm.successStatus);
+      if (derivedStatus) {
+        progressData = { ...progressData, lessonStatus: derivedStatus };
+      }
+    }
+  }
+
   // Update SCORM progress data
   if (progressData.lessonStatus) {
     contentProgressItem.scormProgress.lessonStatus = progressData.lessonStatus;
-    
-    // Update content status based on SCORM lesson status
-    // For books, only mark as completed if reading count requirement is met
-    if (progressData.lessonStatus === 'completed' || progressData.lessonStatus === 'passed') {
-      // For books, verify reading count requirement before marking as completed
-      if (contentType === 'book') {
-        const BookReading = require('../models/BookReading');
-        const Book = require('../models/Book');
-        
-        // Get book to check required reading count
-        const book = await Book.findById(contentId).select('requiredReadingCount');
-        if (book) {
-          const requiredReadingCount = book.requiredReadingCount || 5;
-          const readingCount = await BookReading.getCompletedReadingCount(childId, contentId);
-          
-          // Only mark as completed if reading count requirement is met
-          if (readingCount >= requiredReadingCount) {
-            contentProgressItem.status = 'completed';
-            contentProgressItem.completedAt = new Date();
-          } else {
-            // Keep as in_progress until requirement is met
-            contentProgressItem.status = 'in_progress';
-          }
-        } else {
-          // Book not found, but still update lesson status
-          contentProgressItem.status = 'in_progress';
-        }
-      } else {
-        // For non-book content (audioAssignment, chant), mark as completed normally
-        contentProgressItem.status = 'completed';
-        contentProgressItem.completedAt = new Date();
-      }
-    } else if (progressData.lessonStatus === 'incomplete' || progressData.lessonStatus === 'browsed') {
-      contentProgressItem.status = 'in_progress';
-    }
   }
 
   if (progressData.score !== undefined) {
     contentProgressItem.scormProgress.score = {
-      raw: progressData.score.raw || progressData.score || null,
+      raw: progressData.score?.raw || progressData.score || null,
       max: progressData.scoreMax !== undefined ? progressData.scoreMax : (progressData.score?.max || 100),
       min: progressData.scoreMin !== undefined ? progressData.scoreMin : (progressData.score?.min || 0),
+      scaled: progressData.scoreScaled !== undefined
+        ? progressData.scoreScaled
+        : (contentProgressItem.scormProgress.score?.scaled ?? null),
     };
   }
 
@@ -951,6 +1363,53 @@ const updateScormProgress = async (childId, courseId, contentId, contentType, pr
 
   contentProgressItem.scormProgress.lastAccessed = new Date();
 
+  // Progress and completion come from the package's slide count and the admin completion rule
+  const ContentModel = SCORM_CONTENT_MODELS[contentType];
+  const content = ContentModel ? await ContentModel.findById(contentId).select('scormSettings requiredReadingCount').lean() : null;
+  const slideCount = content?.scormSettings?.slideCount || null;
+  const completionRule = content?.scormSettings?.completionRule || { type: 'status' };
+
+  const progressPercent = computeScormProgressPercent(contentProgressItem.scormProgress, slideCount, scoIds);
+  if (progressPercent !== null) {
+    contentProgressItem.scormProgress.progressPercent = Math.max(
+      contentProgressItem.scormProgress.progressPercent || 0,
+      progressPercent
+    );
+  }
+
+  const wasContentCompleted = contentProgressItem.status === 'completed';
+
+  if (isScormCompletionRuleMet(completionRule, contentProgressItem.scormProgress, slideCount)) {
+    // For books, verify reading count requirement before marking as completed
+    if (contentType === 'book') {
+      const BookReading = require('../models/BookReading');
+      
+      // Check the book's required reading count
+      if (content) {
+        const requiredReadingCount = content.requiredReadingCount || 5;
+        const readingCount = await BookReading.getCompletedReadingCount(childId, contentId);
+        
+        // Only mark as completed if reading count requirement is met
+        if (readingCount >= requiredReadingCount) {
+          contentProgressItem.status = 'completed';
+          contentProgressItem.completedAt = contentProgressItem.completedAt || new Date();
+        } else if (contentProgressItem.status !== 'completed') {
+          // Keep as in_progress until requirement is met
+          contentProgressItem.status = 'in_progress';
+        }
+      } else if (contentProgressItem.status !== 'completed') {
+        // Book not found, but still update lesson status
+        contentProgressItem.status = 'in_progress';
+      }
+    } else {
+      // For non-book content (audioAssignment, chant, video), mark as completed normally
+      contentProgressItem.status = 'completed';
+      contentProgressItem.completedAt = contentProgressItem.completedAt || new Date();
+    }
+  } else if (contentProgressItem.status !== 'completed') {
+    contentProgressItem.status = 'in_progress';
+  }
+
   // Update overall course progress
   progress.updateProgressPercentage(course);
 
@@ -961,6 +1420,36 @@ const updateScormProgress = async (childId, courseId, contentId, contentType, pr
 
   await progress.save();
 
+  if (!wasContentCompleted && contentProgressItem.status === 'completed') {
+    const { score, timeSpent, lessonStatus } = contentProgressItem.scormProgress;
+    const scaled = score?.scaled ?? (score?.raw !== null && score?.raw !== undefined && score?.max
+      ? Math.max(-1, Math.min(1, score.raw / score.max))
+      : null);
+
+    await xapiService.recordLearningEvent({
+      childId,
+      verb: 'completed',
+      contentType,
+      contentId,
+      courseId,
+      result: {
+        completion: true,
+        ...(lessonStatus === 'passed' && { success: true }),
+        ...(scaled !== null && { score: { scaled } }),
+        ...(timeSpent && { duration: xapiService.secondsToDuration(scormTimeToSeconds(timeSpent)) }),
+      },
+    });
+
+    // A reported score is evidence of how well, a bare completion only that it was done
+    await skillMasteryService.recordSkillEvidence({
+      childId,
+      contentType,
+      contentId,
+      source: scaled !== null ? 'scorm' : 'completion',
+      value: scaled !== null ? Math.max(scaled, 0) * 100 : 100,
+    });
+  }
+
   return progress;
 };
 
@@ -971,9 +1460,10 @@ const updateScormProgress = async (childId, courseId, contentId, contentType, pr
  * @param {String} courseId - Course's MongoDB ID
  * @param {String} contentId - Content item's MongoDB ID
  * @param {String} contentType - Content type ('audioAssignment' or 'chant')
+ * @param {String} [scoId] - Manifest item identifier, to get one SCO of a multi-SCO package
  * @returns {Object|null} SCORM progress data or null
  */
-const getScormProgress = async (childId, courseId, contentId, contentType) => {
+const getScormProgress = async (childId, courseId, contentId, contentType, scoId = null) => {
   const progress = await CourseProgress.findOne({
     child: childId,
     course: courseId,
@@ -994,9 +1484,166 @@ const getScormProgress = async (childId, courseId, contentId, contentType) => {
     return null;
   }
 
+  if (scoId) {
+    return contentProgressItem.scormProgress.scos.find((item) => item.scoId === scoId) || null;
+  }
+
   return contentProgressItem.scormProgress;
 };
 
+// Attempts kept in quizProgress.history
+const QUIZ_HISTORY_LIMIT = 20;
+
+/**
+ * Find (or create) a child's course progress and the entry for one quiz
+ *
+ * @param {String} childId - Child's MongoDB ID
+ * @param {String} courseId - Course's MongoDB ID
+ * @param {String} quizId - Quiz's MongoDB ID
+ * @returns {Object} { course, progress, contentProgressItem, step }
+ */
+const getQuizProgressItem = async (childId, courseId, quizId) => {
+  const course = await Course.findById(courseId);
+  if (!course) {
+    throw new Error('Course not found');
+  }
+
+  const contentItem = course.contents.find(
+    (item) => item.contentId.toString() === quizId.toString() && item.contentType === 'quiz'
+  );
+  if (!contentItem) {
+    throw new Error('Content not found in course');
+  }
+
+  const step = contentItem.step;
+
+  let progress = await CourseProgress.findOne({
+    child: childId,
+    course: courseId,
+  });
+
+  if (!progress) {
+    progress = await CourseProgress.create({
+      child: childId,
+      course: courseId,
+      status: 'in_progress',
+      progressPercentage: 0,
+      startedAt: new Date(),
+    });
+  }
+
+  let contentProgressItem = progress.contentProgress.find(
+    (item) =>
+      item.contentId.toString() === quizId.toString() &&
+      item.contentType === 'quiz' &&
+      item.step === step
+  );
+
+  if (!contentProgressItem) {
+    progress.contentProgress.push({
+      contentId: quizId,
+      contentType: 'quiz',
+      step,
+      status: 'in_progress',
+      quizProgress: {},
+    });
+    contentProgressItem = progress.contentProgress[progress.contentProgress.length - 1];
+  }
+
+  return { course, progress, contentProgressItem, step };
+};
+
+/**
+ * Remember the questions drawn for a quiz attempt
+ *
+ * @param {String} childId - Child's MongoDB ID
+ * @param {String} courseId - Course's MongoDB ID
+ * @param {String} quizId - Quiz's MongoDB ID
+ * @param {Array<String>} questionIds - Questions the child was given
+ * @returns {Object} quizProgress of the content item
+ */
+const startQuizAttempt = async (childId, courseId, quizId, questionIds) => {
+  const { progress, contentProgressItem } = await getQuizProgressItem(childId, courseId, quizId);
+
+  contentProgressItem.quizProgress.currentQuestions = questionIds;
+  contentProgressItem.quizProgress.lastAccessed = new Date();
+  await progress.save();
+
+  return contentProgressItem.quizProgress;
+};
+
+/**
+ * Record a scored quiz attempt
+ *
+ * Keeps the best and last score and the recent history; the content item is
+ * completed the first time the quiz is passed.
+ *
+ * @param {String} childId - Child's MongoDB ID
+ * @param {String} courseId - Course's MongoDB ID
+ * @param {String} quizId - Quiz's MongoDB ID
+ * @param {Object} attempt - { score, maxScore, percent, passed, timeSpent (seconds) }
+ * @returns {Object} { progress, quizProgress, firstPass }
+ */
+const recordQuizAttempt = async (childId, courseId, quizId, attempt) => {
+  const { course, progress, contentProgressItem, step } = await getQuizProgressItem(childId, courseId, quizId);
+  const quizProgress = contentProgressItem.quizProgress;
+  const firstPass = attempt.passed && !quizProgress.passed;
+
+  quizProgress.attempts = (quizProgress.attempts || 0) + 1;
+  quizProgress.lastPercent = attempt.percent;
+  quizProgress.bestPercent = Math.max(quizProgress.bestPercent ?? 0, attempt.percent);
+  quizProgress.currentQuestions = [];
+  quizProgress.lastAccessed = new Date();
+  quizProgress.history.push({
+    score: attempt.score,
+    maxScore: attempt.maxScore,
+    percent: attempt.percent,
+    passed: attempt.passed,
+    timeSpent: attempt.timeSpent || 0,
+    submittedAt: new Date(),
+  });
+  if (quizProgress.history.length > QUIZ_HISTORY_LIMIT) {
+    quizProgress.history.splice(0, quizProgress.history.length - QUIZ_HISTORY_LIMIT);
+  }
+
+  if (firstPass) {
+    quizProgress.passed = true;
+    quizProgress.passedAt = new Date();
+    quizProgress.starsAwarded = true;
+    quizProgress.starsAwardedAt = new Date();
+    contentProgressItem.status = 'completed';
+    contentProgressItem.completedAt = contentProgressItem.completedAt || new Date();
+  }
+
+  // Update overall course progress
+  progress.updateProgressPercentage(course);
+
+  // Check if step is completed
+  if (progress.isStepCompleted(step, course)) {
+    progress.markStepCompleted(step);
+  }
+
+  await progress.save();
+
+  if (firstPass) {
+    await xapiService.recordLearningEvent({
+      childId,
+      verb: 'completed',
+      contentType: 'quiz',
+      contentId: quizId,
+      courseId,
+      result: {
+        completion: true,
+        success: true,
+        score: { scaled: attempt.percent / 100 },
+        ...(attempt.timeSpent && { duration: xapiService.secondsToDuration(attempt.timeSpent) }),
+      },
+    });
+  }
+
+  return { progress, quizProgress, firstPass };
+};
+
 module.exports = {
   checkCourseAccess,
   checkStepAccess,
@@ -1009,5 +1656,7 @@ module.exports = {
   getCourseDetailsForChild,
   updateScormProgress,
   getScormProgress,
+  startQuizAttempt,
+  recordQuizAttempt,
 };
 
@@ -1,6 +1,7 @@
 const { ExploreContent, Media } = require('../models');
-const fs = require('fs');
 const path = require('path');
+const storageService = require('./storage.service');
+const videoProcessingService = require('./videoProcessing.service');
 
 /**
  * Create Explore Content Service
@@ -56,14 +57,14 @@ const createExploreContent = async (userId, contentData, files = {}) => {
     const videoFile = files.videoFile[0];
     const videoRelativePath = videoFile.path.replace(path.join(__dirname, '../uploads'), '').replace(/\\/g, '/');
     videoFileUrl = `/uploads${videoRelativePath.startsWith('/') ? videoRelativePath : `/${videoRelativePath}`}`;
-    videoFilePath = videoFile.path;
+    videoFilePath = videoFile.storageKey;
 
     // Create Media record for video
     videoMedia = await Media.create({
       type: 'video',
       title: title?.trim() || videoFile.originalname,
       description: description?.trim() || null,
-      filePath: videoFile.path,
+      filePath: videoFile.storageKey,
       url: videoFileUrl,
       mimeType: videoFile.mimetype,
       size: videoFile.size,
@@ -71,6 +72,9 @@ const createExploreContent = async (userId, contentData, files = {}) => {
       starsAwarded: starsAwarded ? parseInt(starsAwarded, 10) : 10,
       isPublished: isPublished === 'true' || isPublished === true,
       uploadedBy: userId,
+      processing: {
+        status: 'pending',
+      },
     });
   }
 
@@ -119,9 +123,15 @@ const createExploreContent = async (userId, contentData, files = {}) => {
     tags: parsedTags.filter(t => t && t.trim()).map(t => t.trim()),
   });
 
+  // Transcode to HLS in the background once the content exists, so the
+  // poster can become its cover image
+  if (videoMedia) {
+    videoProcessingService.enqueueVideoProcessing(videoMedia._id);
+  }
+
   // Get created content with populated data
   const createdContent = await ExploreContent.findById(exploreContent._id)
-    .populate('videoFile', 'type title url mimeType size duration')
+    .populate('videoFile', 'type title url mimeType size duration thumbnail hlsUrl processing')
     .populate('contentRef')
     .populate('createdBy', 'name email')
     .lean();
@@ -198,7 +208,7 @@ const getAllExploreContent = async (queryParams = {}) => {
 
   // Get explore content
   const exploreContent = await ExploreContent.find(query)
-    .populate('videoFile', 'type title url mimeType size duration thumbnail')
+    .populate('videoFile', 'type title url mimeType size duration thumbnail hlsUrl processing')
     .populate('contentRef')
     .populate('createdBy', 'name email')
     .sort(sortObject)
@@ -231,7 +241,7 @@ const getAllExploreContent = async (queryParams = {}) => {
  */
 const getExploreContentById = async (contentId) => {
   const content = await ExploreContent.findById(contentId)
-    .populate('videoFile', 'type title url mimeType size duration thumbnail')
+    .populate('videoFile', 'type title url mimeType size duration thumbnail hlsUrl processing')
     .populate('contentRef')
     .populate('createdBy', 'name email')
     .lean();
@@ -357,14 +367,7 @@ const updateExploreContent = async (contentId, userId, updateData, files = {}) =
   if (files.coverImage && Array.isArray(files.coverImage) && files.coverImage.length > 0) {
     // Delete old cover image if exists
     if (content.coverImage) {
-      const oldCoverPath = path.join(__dirname, '../', content.coverImage.replace('/uploads', 'uploads'));
-      if (fs.existsSync(oldCoverPath)) {
-        try {
-          fs.unlinkSync(oldCoverPath);
-        } catch (error) {
-          console.error('Error deleting old cover image:', error);
-        }
-      }
+      await storageService.removeFile(content.coverImage);
     }
     const coverImage = files.coverImage[0];
     const coverRelativePath = coverImage.path.replace(path.join(__dirname, '../uploads'), '').replace(/\\/g, '/');
@@ -375,7 +378,7 @@ const updateExploreContent = async (contentId, userId, updateData, files = {}) =
 
   // Get updated content with populated data
   const updatedContent = await ExploreContent.findById(contentId)
-    .populate('videoFile', 'type title url mimeType size duration thumbnail')
+    .populate('videoFile', 'type title url mimeType size duration thumbnail hlsUrl processing')
     .populate('contentRef')
     .populate('createdBy', 'name email')
     .lean();
@@ -401,21 +404,18 @@ const deleteExploreContent = async (contentId) => {
   }
 
   // Delete video file if exists
-  if (content.videoFilePath && fs.existsSync(content.videoFilePath)) {
-    try {
-      fs.unlinkSync(content.videoFilePath);
-    } catch (error) {
-      console.error('Error deleting video file:', error);
-    }
+  if (content.videoFilePath) {
+    await storageService.removeFile(content.videoFilePath);
   }
 
   // Delete associated Media record if exists
   if (content.videoFile) {
     try {
       const mediaRecord = await Media.findById(content.videoFile);
-      if (mediaRecord && mediaRecord.filePath && fs.existsSync(mediaRecord.filePath)) {
-        fs.unlinkSync(mediaRecord.filePath);
+      if (mediaRecord) {
+        await storageService.removeFile(mediaRecord.filePath || mediaRecord.url);
       }
+      await videoProcessingService.removeVideoRenditions(content.videoFile);
       await Media.findByIdAndDelete(content.videoFile);
     } catch (error) {
       console.error('Error deleting media record:', error);
@@ -424,14 +424,7 @@ const deleteExploreContent = async (contentId) => {
 
   // Delete cover image if exists
   if (content.coverImage) {
-    const coverPath = path.join(__dirname, '../', content.coverImage.replace('/uploads', 'uploads'));
-    if (fs.existsSync(coverPath)) {
-      try {
-        fs.unlinkSync(coverPath);
-      } catch (error) {
-        console.error('Error deleting cover image:', error);
-      }
-    }
+    await storageService.removeFile(content.coverImage);
   }
 
 
@@ -484,7 +477,7 @@ const getExploreContentByType = async (type, videoType = null, queryParams = {})
 
   // Get explore content
   const exploreContent = await ExploreContent.find(query)
-    .populate('videoFile', 'type title url mimeType size duration thumbnail')
+    .populate('videoFile', 'type title url mimeType size duration thumbnail hlsUrl processing')
     .populate('contentRef')
     .select('-createdBy') // Don't expose creator for public endpoint
     .sort({ order: 1, createdAt: -1 })
@@ -519,7 +512,7 @@ const getFeaturedExploreContent = async (limit = 10) => {
     isPublished: true,
     isFeatured: true,
   })
-    .populate('videoFile', 'type title url mimeType size duration thumbnail')
+    .populate('videoFile', 'type title url mimeType size duration thumbnail hlsUrl processing')
     .populate('contentRef')
     .select('-createdBy')
     .sort({ order: 1, createdAt: -1 })
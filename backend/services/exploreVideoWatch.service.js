@@ -1,4 +1,5 @@
 const { VideoWatch, ExploreContent, Media, ChildProfile, StarEarning, ChildStats } = require('../models');
+const xapiService = require('./xapi.service');
 
 /**
  * Mark explore video as watched (completed)
@@ -171,6 +172,15 @@ const markExploreVideoWatched = async (childId, exploreContentId, completionPerc
 
   await videoWatch.save();
 
+  await xapiService.recordLearningEvent({
+    childId,
+    verb: 'watched',
+    contentType: 'exploreVideo',
+    contentId: exploreContentId,
+    title: exploreContent.title,
+    result: { completion: completionPercentage >= 100 },
+  });
+
   // Populate video info
   await videoWatch.populate('video', 'title starsAwarded requiredWatchCount');
 
@@ -1,8 +1,9 @@
 const KidsWallPost = require('../models/KidsWallPost');
 const Media = require('../models/Media');
 const { ChildProfile } = require('../models');
+const notificationService = require('./notification.service');
 const path = require('path');
-const fs = require('fs-extra');
+const storageService = require('./storage.service');
 
 /**
  * KidsWall Service
@@ -129,7 +130,7 @@ const createMediaFromFile = async (file, uploadedBy) => {
     const media = await Media.create({
       type: 'image',
       title: file.originalname,
-      filePath: relativePath,
+      filePath: file.storageKey || relativePath,
       url: fileUrl,
       mimeType: file.mimetype,
       size: file.size,
@@ -296,10 +297,7 @@ const updatePostWithImage = async (postId, childId, postData, imageFile, uploade
         try {
           const oldMedia = await Media.findById(oldImage);
           if (oldMedia && oldMedia.filePath) {
-            const oldFilePath = path.join(__dirname, '../uploads', oldMedia.filePath);
-            if (await fs.pathExists(oldFilePath)) {
-              await fs.remove(oldFilePath);
-            }
+            await storageService.removeFile(oldMedia.filePath);
           }
           await Media.findByIdAndDelete(oldImage);
         } catch (err) {
@@ -621,6 +619,22 @@ const approvePost = async (postId, approvedBy) => {
       })
       .lean();
 
+    const childName = updatedPost.child?.displayName || 'Your child';
+    await notificationService.notifyChild(post.child, {
+      type: 'kids_wall_post',
+      child: {
+        title: 'Your post is on the Kids Wall! 🌟',
+        message: `Everyone can now see "${post.title}".`,
+        link: `/child/${post.child}/wall`,
+      },
+      parent: {
+        title: 'Kids Wall post approved',
+        message: `${childName}'s post "${post.title}" is now on the Kids Wall.`,
+        link: '/parent/dashboard',
+      },
+      data: { postId: post._id, approved: true },
+    });
+
     return updatedPost;
   } catch (error) {
     throw new Error(`Failed to approve post: ${error.message}`);
@@ -644,6 +658,17 @@ const rejectPost = async (postId) => {
     post.isActive = false;
     await post.save();
 
+    // Only the parent hears about rejected posts
+    await notificationService.notifyChild(post.child, {
+      type: 'kids_wall_post',
+      parent: {
+        title: 'Kids Wall post not approved',
+        message: `The post "${post.title}" was not approved for the Kids Wall.`,
+        link: '/parent/dashboard',
+      },
+      data: { postId: post._id, approved: false },
+    });
+
     return { success: true };
   } catch (error) {
     throw new Error(`Failed to reject post: ${error.message}`);
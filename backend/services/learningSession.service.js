@@ -0,0 +1,278 @@
+const mongoose = require('mongoose');
+const { ChildProfile, ChildStats, LearningSession, LearningTime } = require('../models');
+
+/**
+ * Learning Session Service
+ *
+ * Tracks real learning time from player heartbeats.
+ *
+ * A player (book reader, video, recording modal, SCORM/cmi5 player) starts a
+ * session when it opens and sends a heartbeat every HEARTBEAT_INTERVAL_SECONDS.
+ * Each heartbeat credits the time since the previous one unless:
+ * - the client reports the child as idle (no input, tab hidden, media paused),
+ * - or the gap is longer than IDLE_TIMEOUT_SECONDS (tab suspended, device asleep).
+ * Credited time is added to the session and to the per-day, per-content
+ * LearningTime aggregates in the child's timezone.
+ */
+
+// How often players send heartbeats
+const HEARTBEAT_INTERVAL_SECONDS = 30;
+// Gaps between heartbeats longer than this are counted as idle time
+const IDLE_TIMEOUT_SECONDS = 90;
+// Sessions without a heartbeat for this long are ended
+const SESSION_EXPIRY_SECONDS = 15 * 60;
+
+const DEFAULT_SUMMARY_DAYS = 7;
+const MAX_SUMMARY_DAYS = 90;
+
+const createLearningSessionError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * End the child's sessions that stopped sending heartbeats
+ * @param {String} childId - Child profile ID
+ * @param {Date} now - Current time
+ */
+const expireStaleSessions = async (childId, now) => {
+  await LearningSession.updateMany(
+    {
+      child: childId,
+      status: 'active',
+      lastHeartbeatAt: { $lt: new Date(now.getTime() - SESSION_EXPIRY_SECONDS * 1000) },
+    },
+    { $set: { status: 'ended', endReason: 'timeout', endedAt: now } }
+  );
+};
+
+/**
+ * Start a learning session
+ * @param {String} childId - Child profile ID
+ * @param {Object} data
+ * @param {String} data.contentType - One of LearningSession.CONTENT_TYPES
+ * @param {String} data.contentId - Content ID
+ * @param {String} [data.courseId] - Course the content was opened from
+ * @returns {Object} { sessionId, heartbeatInterval, idleTimeout }
+ */
+const startSession = async (childId, data = {}) => {
+  const { contentType, contentId, courseId } = data;
+
+  if (!LearningSession.CONTENT_TYPES.includes(contentType)) {
+    throw createLearningSessionError(
+      `contentType must be one of: ${LearningSession.CONTENT_TYPES.join(', ')}`,
+      400
+    );
+  }
+  if (!mongoose.Types.ObjectId.isValid(contentId)) {
+    throw createLearningSessionError('A valid contentId is required', 400);
+  }
+  if (courseId && !mongoose.Types.ObjectId.isValid(courseId)) {
+    throw createLearningSessionError('Invalid courseId', 400);
+  }
+
+  const child = await ChildProfile.findById(childId).select('timezone').lean();
+  if (!child) {
+    throw createLearningSessionError('Child not found', 404);
+  }
+
+  const now = new Date();
+  await expireStaleSessions(childId, now);
+
+  const timezone = child.timezone || 'UTC';
+  const session = await LearningSession.create({
+    child: childId,
+    contentType,
+    contentId,
+    course: courseId || null,
+    timezone,
+    startedAt: now,
+    lastHeartbeatAt: now,
+  });
+
+  await LearningTime.addTime(childId, ChildStats.getDayKey(now, timezone), {
+    contentType,
+    contentId,
+    course: session.course,
+    newSession: true,
+  });
+
+  return {
+    sessionId: session._id,
+    heartbeatInterval: HEARTBEAT_INTERVAL_SECONDS,
+    idleTimeout: IDLE_TIMEOUT_SECONDS,
+  };
+};
+
+/**
+ * Record a heartbeat (and optionally end the session)
+ * @param {String} childId - Child profile ID
+ * @param {String} sessionId - Learning session ID
+ * @param {Object} [data]
+ * @param {Boolean} [data.idle] - The child was idle since the previous heartbeat
+ * @param {Number} [data.activeSeconds] - Active seconds the client counted since the previous heartbeat
+ * @param {Boolean} [end] - End the session after crediting the time
+ * @returns {Object} { sessionId, status, creditedSeconds, activeSeconds, idleSeconds }
+ */
+const recordHeartbeat = async (childId, sessionId, data = {}, end = false) => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw createLearningSessionError('Learning session not found', 404);
+  }
+
+  const session = await LearningSession.findOne({ _id: sessionId, child: childId });
+  if (!session) {
+    throw createLearningSessionError('Learning session not found', 404);
+  }
+  if (session.status === 'ended') {
+    throw createLearningSessionError('Learning session has ended', 409);
+  }
+
+  const now = new Date();
+  const gapSeconds = Math.max(0, Math.round((now - session.lastHeartbeatAt) / 1000));
+
+  if (gapSeconds > SESSION_EXPIRY_SECONDS) {
+    session.status = 'ended';
+    session.endReason = 'timeout';
+    session.endedAt = session.lastHeartbeatAt;
+    await session.save();
+    throw createLearningSessionError('Learning session has expired', 409);
+  }
+
+  let creditedSeconds = 0;
+  if (!data.idle && gapSeconds <= IDLE_TIMEOUT_SECONDS) {
+    const reported = Number(data.activeSeconds);
+    creditedSeconds = Number.isFinite(reported) && reported >= 0
+      ? Math.min(Math.round(reported), gapSeconds)
+      : gapSeconds;
+  }
+  const idleSeconds = gapSeconds - creditedSeconds;
+
+  const update = {
+    $set: { lastHeartbeatAt: now },
+    $inc: { activeSeconds: creditedSeconds, idleSeconds, heartbeatCount: 1 },
+  };
+  if (end) {
+    update.$set.status = 'ended';
+    update.$set.endReason = 'closed';
+    update.$set.endedAt = now;
+  }
+
+  // Only the request that moves lastHeartbeatAt forward credits the gap,
+  // so overlapping heartbeats cannot count the same seconds twice
+  const updated = await LearningSession.findOneAndUpdate(
+    { _id: session._id, status: 'active', lastHeartbeatAt: session.lastHeartbeatAt },
+    update,
+    { new: true }
+  );
+
+  if (!updated) {
+    const current = await LearningSession.findById(session._id).lean();
+    return {
+      sessionId: session._id,
+      status: current?.status || session.status,
+      creditedSeconds: 0,
+      activeSeconds: current?.activeSeconds || session.activeSeconds,
+      idleSeconds: current?.idleSeconds || session.idleSeconds,
+    };
+  }
+
+  if (creditedSeconds > 0) {
+    await LearningTime.addTime(childId, ChildStats.getDayKey(now, session.timezone), {
+      contentType: session.contentType,
+      contentId: session.contentId,
+      course: session.course,
+      seconds: creditedSeconds,
+    });
+  }
+
+  return {
+    sessionId: updated._id,
+    status: updated.status,
+    creditedSeconds,
+    activeSeconds: updated.activeSeconds,
+    idleSeconds: updated.idleSeconds,
+  };
+};
+
+/**
+ * End a learning session (credits the time since the last heartbeat)
+ * @param {String} childId - Child profile ID
+ * @param {String} sessionId - Learning session ID
+ * @param {Object} [data] - Same as recordHeartbeat
+ * @returns {Object} Same as recordHeartbeat
+ */
+const endSession = async (childId, sessionId, data = {}) => recordHeartbeat(childId, sessionId, data, true);
+
+/**
+ * Get a child's learning time: all-time total plus a per-day, per-content-type
+ * and per-course breakdown of the last `days` days (in the child's timezone)
+ * @param {String} childId - Child profile ID
+ * @param {Object} [options]
+ * @param {Number} [options.days] - Days in the range ending today (default 7, max 90)
+ * @returns {Object} { totalSeconds, rangeSeconds, from, to, days, byContentType, byCourse }
+ */
+const getLearningTimeSummary = async (childId, options = {}) => {
+  const child = await ChildProfile.findById(childId).select('timezone').lean();
+  if (!child) {
+    throw createLearningSessionError('Child not found', 404);
+  }
+
+  const length = Math.min(
+    Math.max(parseInt(options.days, 10) || DEFAULT_SUMMARY_DAYS, 1),
+    MAX_SUMMARY_DAYS
+  );
+  const to = ChildStats.getDayKey(new Date(), child.timezone || 'UTC');
+  const from = ChildStats.addDays(to, -(length - 1));
+  const childObjectId = new mongoose.Types.ObjectId(childId);
+
+  const [totals, rangeRecords] = await Promise.all([
+    LearningTime.aggregate([
+      { $match: { child: childObjectId } },
+      { $group: { _id: null, seconds: { $sum: '$seconds' } } },
+    ]),
+    LearningTime.find({ child: childObjectId, date: { $gte: from, $lte: to } })
+      .select('date contentType course seconds')
+      .lean(),
+  ]);
+
+  const secondsByDay = new Map();
+  const byContentType = {};
+  const secondsByCourse = new Map();
+  let rangeSeconds = 0;
+
+  rangeRecords.forEach((record) => {
+    rangeSeconds += record.seconds;
+    secondsByDay.set(record.date, (secondsByDay.get(record.date) || 0) + record.seconds);
+    byContentType[record.contentType] = (byContentType[record.contentType] || 0) + record.seconds;
+    if (record.course) {
+      const courseId = record.course.toString();
+      secondsByCourse.set(courseId, (secondsByCourse.get(courseId) || 0) + record.seconds);
+    }
+  });
+
+  const days = [];
+  for (let i = 0; i < length; i += 1) {
+    const date = ChildStats.addDays(from, i);
+    days.push({ date, seconds: secondsByDay.get(date) || 0 });
+  }
+
+  return {
+    totalSeconds: totals[0]?.seconds || 0,
+    rangeSeconds,
+    from,
+    to,
+    days,
+    byContentType,
+    byCourse: Array.from(secondsByCourse, ([course, seconds]) => ({ course, seconds })),
+  };
+};
+
+module.exports = {
+  startSession,
+  recordHeartbeat,
+  endSession,
+  getLearningTimeSummary,
+  HEARTBEAT_INTERVAL_SECONDS,
+  IDLE_TIMEOUT_SECONDS,
+};
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Mail Service
+ *
+ * Sends transactional emails through a pluggable transport.
+ * The transport is picked with MAIL_TRANSPORT (default: console).
+ *
+ * Built-in transports (work offline, no provider needed):
+ * - console: prints the message to the server log
+ * - file:    writes each message as JSON to MAIL_OUTBOX_DIR (default ./logs/mail)
+ *
+ * Providers (SMTP, SES, SendGrid, ...) plug in with registerTransport(name, send)
+ * where send(message) is an async function receiving { from, to, subject, text, html }.
+ */
+
+const DEFAULT_FROM = process.env.MAIL_FROM || 'Rise Up Kids <no-reply@riseupkids.com>';
+
+const consoleTransport = async (message) => {
+  console.log('[Mail] ---------------------------------------------');
+  console.log(`[Mail] To: ${message.to}`);
+  console.log(`[Mail] Subject: ${message.subject}`);
+  console.log(`[Mail] ${message.text}`);
+  console.log('[Mail] ---------------------------------------------');
+  return { transport: 'console' };
+};
+
+const fileTransport = async (message) => {
+  const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || './logs/mail');
+  await fs.promises.mkdir(outboxDir, { recursive: true });
+
+  const safeRecipient = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+  const fileName = `${Date.now()}-${safeRecipient}.json`;
+  const filePath = path.join(outboxDir, fileName);
+
+  await fs.promises.writeFile(
+    filePath,
+    JSON.stringify({ ...message, createdAt: new Date().toISOString() }, null, 2)
+  );
+
+  return { transport: 'file', path: filePath };
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+/**
+ * Register a mail transport
+ *
+ * @param {String} name - Transport name (matched against MAIL_TRANSPORT)
+ * @param {Function} send - Async function (message) => result
+ * @throws {Error} If send is not a function
+ */
+const registerTransport = (name, send) => {
+  if (!name || typeof send !== 'function') {
+    throw new Error('Mail transport requires a name and a send function');
+  }
+  transports[name] = send;
+};
+
+/**
+ * Send an email
+ *
+ * @param {Object} message - Email message
+ * @param {String} message.to - Recipient address
+ * @param {String} message.subject - Subject line
+ * @param {String} message.text - Plain-text body
+ * @param {String} [message.html] - HTML body
+ * @param {String} [message.from] - Sender (defaults to MAIL_FROM)
+ * @returns {Promise<Object>} Transport result
+ * @throws {Error} If required fields are missing or the transport is unknown
+ */
+const sendMail = async ({ to, subject, text, html, from }) => {
+  if (!to || !subject || !text) {
+    throw new Error('Email requires to, subject and text');
+  }
+
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const send = transports[transportName];
+
+  if (!send) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  return send({
+    from: from || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+};
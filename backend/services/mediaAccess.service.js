@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const path = require('path');
+
+const {
+  Media,
+  ChildProfile,
+  ChantProgress,
+  AudioAssignmentProgress,
+  KidsWallPost,
+} = require('../models');
+
+/**
+ * Media Access Service
+ *
+ * Everything under uploads/ except a few public folders (cover images,
+ * badges, reward pictures) is served only through short-lived signed URLs:
+ *
+ *   /api/media/files/<token>/<path under uploads>
+ *
+ * The token carries an expiry, how many leading path segments it covers and
+ * an HMAC-SHA256 signature (MEDIA_URL_SECRET, falling back to JWT_SECRET).
+ * A token for a single file covers exactly that file; a token for a folder
+ * (HLS renditions, an extracted SCORM or cmi5 package) covers everything
+ * below it, so relative URLs inside playlists and packages keep working.
+ *
+ * Before signing, canAccessUploadPath() checks how the requester relates to
+ * the file:
+ * - children's recordings and waveforms: the child, their parent, reviewers
+ * - Kids Wall uploads: the posting family; everyone once the post is approved
+ * - any other content (videos, audio, SCORM, cmi5): subscribers
+ * Admins and teachers can open everything.
+ */
+
+const UPLOADS_ROOT = path.join(__dirname, '..', 'uploads');
+const SIGNED_URL_PREFIX = '/api/media/files';
+
+const DEFAULT_TTL_SECONDS = parseInt(process.env.MEDIA_URL_TTL_SECONDS, 10) || 60 * 60;
+// Folder tokens (HLS, packages) are used for a whole sitting
+const FOLDER_TTL_SECONDS = 4 * 60 * 60;
+
+// Served by express.static without a token
+const PUBLIC_PATTERNS = [
+  /^media\/images\//,
+  /^courses\//,
+  /^rewards\//,
+  /^media\/videos\/hls\/[^/]+\/poster\.jpg$/,
+];
+
+// Folders signed as a whole
+const FOLDER_SCOPE_PATTERNS = [
+  /^media\/videos\/hls\/[^/]+\//,
+  /^scorm\/[^/]+\/[^/]+\/extracted\//,
+  /^cmi5\/[^/]+\//,
+];
+
+// Parents in a payment retry keep access until Stripe gives up
+const SUBSCRIBED_STATUSES = ['active', 'past_due'];
+
+const createMediaAccessError = (message, statusCode = 500) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getSecret = () => process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET;
+
+const sign = (scope, depth, expires) =>
+  crypto
+    .createHmac('sha256', getSecret())
+    .update(`${depth}:${scope}:${expires}`)
+    .digest('base64url');
+
+/**
+ * Path of a file relative to uploads/ from any form the API hands out
+ * (/uploads/..., an absolute URL to it, or an already relative path)
+ * @param {String} input
+ * @returns {String} e.g. "media/audio/recording.m4a"
+ * @throws {Error} 400 for paths outside uploads/
+ */
+const normalizeUploadPath = (input) => {
+  let value = String(input || '').trim();
+  if (/^https?:\/\//i.test(value)) {
+    try {
+      value = new URL(value).pathname;
+    } catch (error) {
+      throw createMediaAccessError('Invalid media path', 400);
+    }
+  }
+  value = value.split(/[?#]/)[0];
+  try {
+    value = decodeURIComponent(value);
+  } catch (error) {
+    throw createMediaAccessError('Invalid media path', 400);
+  }
+  value = value.replace(/\\/g, '/').replace(/^\/+/, '').replace(/^uploads\//, '');
+
+  const normalized = path.posix.normalize(value);
+  if (!normalized || normalized === '.' || normalized.startsWith('..') || normalized.includes('\0')) {
+    throw createMediaAccessError('Invalid media path', 400);
+  }
+  return normalized;
+};
+
+/**
+ * @param {String} relativePath - Path relative to uploads/
+ * @returns {Boolean} True for files anyone may load without a token
+ */
+const isPublicUploadPath = (relativePath) =>
+  PUBLIC_PATTERNS.some((pattern) => pattern.test(relativePath));
+
+/**
+ * Folder a token for this file should cover, or the file itself
+ * @param {String} relativePath
+ * @returns {String} Scope; folders end with "/"
+ */
+const getAccessScope = (relativePath) => {
+  for (const pattern of FOLDER_SCOPE_PATTERNS) {
+    const match = pattern.exec(relativePath);
+    if (match) return match[0];
+  }
+  return relativePath;
+};
+
+/**
+ * Token covering a file, or a folder and everything below it
+ * @param {String} scope - File or folder (ending in "/") relative to uploads/
+ * @param {Object} [options]
+ * @param {Number} [options.expiresIn] - Seconds; defaults to 1 hour for files, 4 hours for folders
+ * @returns {Object} { token, expiresAt }
+ */
+const createAccessToken = (scope, { expiresIn } = {}) => {
+  const isFolder = scope.endsWith('/');
+  const depth = isFolder ? scope.split('/').length - 1 : 0;
+  const ttl = expiresIn || (isFolder ? FOLDER_TTL_SECONDS : DEFAULT_TTL_SECONDS);
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+
+  return {
+    token: `${expires}.${depth}.${sign(scope, depth, expires)}`,
+    expiresAt: new Date(expires * 1000),
+  };
+};
+
+/**
+ * Signed URL path for a file or folder under uploads/
+ * @param {String} token - From createAccessToken()
+ * @param {String} relativePath - File or folder relative to uploads/
+ * @returns {String} e.g. "/api/media/files/<token>/media/audio/recording.m4a"
+ */
+const buildSignedPath = (token, relativePath) =>
+  `${SIGNED_URL_PREFIX}/${token}/${relativePath.split('/').map(encodeURIComponent).join('/')}`;
+
+/**
+ * Signed URL for a file under uploads/
+ * @param {String} relativePath - File to open, relative to uploads/
+ * @param {Object} [options]
+ * @param {Number} [options.expiresIn] - Seconds (see createAccessToken)
+ * @returns {Object} { url, expiresAt } - url is relative to the backend origin
+ */
+const createSignedUrl = (relativePath, options = {}) => {
+  const { token, expiresAt } = createAccessToken(getAccessScope(relativePath), options);
+  return { url: buildSignedPath(token, relativePath), expiresAt };
+};
+
+/**
+ * Check a token against the requested file
+ * @param {String} token - "<expires>.<depth>.<signature>"
+ * @param {String} relativePath - Requested file relative to uploads/
+ * @returns {Boolean}
+ */
+const verifySignedPath = (token, relativePath) => {
+  const match = /^(\d+)\.(\d+)\.([\w-]+)$/.exec(token || '');
+  if (!match) return false;
+
+  const expires = parseInt(match[1], 10);
+  const depth = parseInt(match[2], 10);
+  if (expires < Date.now() / 1000) return false;
+
+  let scope = relativePath;
+  if (depth > 0) {
+    const segments = relativePath.split('/');
+    if (segments.length <= depth) return false;
+    scope = `${segments.slice(0, depth).join('/')}/`;
+  }
+
+  const expected = Buffer.from(sign(scope, depth, expires));
+  const actual = Buffer.from(match[3]);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Absolute path of a file under uploads/, or null if it escapes the folder
+ * @param {String} relativePath
+ * @returns {String|null}
+ */
+const resolveUploadPath = (relativePath) => {
+  const absolutePath = path.join(UPLOADS_ROOT, relativePath);
+  return absolutePath.startsWith(UPLOADS_ROOT + path.sep) ? absolutePath : null;
+};
+
+const isReviewer = (user) => ['admin', 'teacher'].includes(user.role);
+
+const isSubscriber = (user) =>
+  user.role === 'parent' && SUBSCRIBED_STATUSES.includes(user.subscriptionStatus);
+
+// The child themselves (child session) or their parent
+const isFamilyOf = async ({ user, childId }, ownerChildId) => {
+  if (childId) return String(childId) === String(ownerChildId);
+  if (user.role !== 'parent') return false;
+  return !!(await ChildProfile.exists({ _id: ownerChildId, parent: user._id }));
+};
+
+const findRecordingOwner = async (mediaId) => {
+  const chantProgress = await ChantProgress.findOne({ recordedAudio: mediaId }).select('child').lean();
+  if (chantProgress) return chantProgress.child;
+
+  const assignmentProgress = await AudioAssignmentProgress.findOne({
+    $or: [{ recordedAudio: mediaId }, { 'attemptHistory.recordedAudio': mediaId }],
+  })
+    .select('child')
+    .lean();
+  return assignmentProgress ? assignmentProgress.child : null;
+};
+
+/**
+ * Whether the requester may open a file under uploads/
+ * @param {Object} requester
+ * @param {Object} requester.user - Authenticated user (the parent for child sessions)
+ * @param {String} [requester.childId] - Child of a child-scoped session
+ * @param {String} relativePath - File relative to uploads/
+ * @returns {Promise<Boolean>}
+ */
+const canAccessUploadPath = async ({ user, childId }, relativePath) => {
+  if (isPublicUploadPath(relativePath)) return true;
+  if (isReviewer(user)) return true;
+
+  const url = `/uploads/${relativePath}`;
+  const media = await Media.findOne({
+    $or: [{ url }, { waveformUrl: url }, { filePath: relativePath }],
+  })
+    .select('_id')
+    .lean();
+
+  if (media) {
+    const recordingOwner = await findRecordingOwner(media._id);
+    if (recordingOwner) {
+      return isFamilyOf({ user, childId }, recordingOwner);
+    }
+  }
+
+  if (relativePath.startsWith('kids-wall/')) {
+    if (!media) return false;
+    const post = await KidsWallPost.findOne({ $or: [{ images: media._id }, { videos: media._id }] })
+      .select('child isApproved isActive')
+      .lean();
+    if (!post) return false;
+    if (post.isApproved && post.isActive) return true;
+    return isFamilyOf({ user, childId }, post.child);
+  }
+
+  return isSubscriber(user);
+};
+
+/**
+ * Signed URL for a requester, after checking their access
+ * @param {Object} requester - { user, childId }
+ * @param {String} mediaPath - /uploads/... path or URL, as returned by the API
+ * @returns {Promise<Object>} { url, expiresAt } - public files keep their /uploads URL and no expiry
+ * @throws {Error} 400 invalid path, 403 no access
+ */
+const getMediaAccessUrl = async (requester, mediaPath) => {
+  const relativePath = normalizeUploadPath(mediaPath);
+
+  if (isPublicUploadPath(relativePath)) {
+    return { url: `/uploads/${relativePath}`, expiresAt: null };
+  }
+
+  const allowed = await canAccessUploadPath(requester, relativePath);
+  if (!allowed) {
+    throw createMediaAccessError('You do not have access to this media', 403);
+  }
+
+  return createSignedUrl(relativePath);
+};
+
+module.exports = {
+  UPLOADS_ROOT,
+  PUBLIC_PATTERNS,
+  normalizeUploadPath,
+  isPublicUploadPath,
+  getAccessScope,
+  createAccessToken,
+  buildSignedPath,
+  createSignedUrl,
+  verifySignedPath,
+  resolveUploadPath,
+  canAccessUploadPath,
+  getMediaAccessUrl,
+};
@@ -0,0 +1,79 @@
+const { Media } = require('../models');
+
+/**
+ * Media Processing Queue
+ *
+ * In-process FIFO queue for background media jobs (audio recordings, video
+ * transcoding). Each queue runs one job at a time so ffmpeg never competes
+ * with itself for the CPU, and uploads return before the work starts.
+ *
+ * Jobs are keyed by Media ID and tracked in Media.processing, which is what
+ * lets resume() pick up pending work after a restart.
+ */
+
+/**
+ * Create a processing queue
+ * @param {Object} options
+ * @param {String} options.name - Label used in logs
+ * @param {String} options.mediaType - Media.type the queue processes ('audio' | 'video')
+ * @param {Function} options.processMedia - async (mediaId) => void; should record its own failures
+ * @returns {Object} { enqueue, resume }
+ */
+const createProcessingQueue = ({ name, mediaType, processMedia }) => {
+  const queue = [];
+  let isDraining = false;
+
+  const drain = async () => {
+    if (isDraining) return;
+    isDraining = true;
+    try {
+      while (queue.length > 0) {
+        const mediaId = queue.shift();
+        try {
+          await processMedia(mediaId);
+        } catch (error) {
+          console.error(`[${name}] Job for media ${mediaId} failed:`, error.message);
+        }
+      }
+    } finally {
+      isDraining = false;
+    }
+  };
+
+  /**
+   * Queue a Media document for processing; returns immediately
+   * @param {String} mediaId - Media ID with processing.status 'pending'
+   */
+  const enqueue = (mediaId) => {
+    const id = String(mediaId);
+    if (!queue.includes(id)) {
+      queue.push(id);
+    }
+    setImmediate(drain);
+  };
+
+  /**
+   * Queue media left pending or interrupted by a restart
+   * @returns {Promise<Number>} Number of media queued
+   */
+  const resume = async () => {
+    // A job that was running when the server stopped never finished
+    await Media.updateMany(
+      { type: mediaType, 'processing.status': 'processing' },
+      { $set: { 'processing.status': 'pending' } }
+    );
+
+    const pending = await Media.find({ type: mediaType, 'processing.status': 'pending' })
+      .sort({ createdAt: 1 })
+      .select('_id')
+      .lean();
+    pending.forEach((media) => enqueue(media._id));
+    return pending.length;
+  };
+
+  return { enqueue, resume };
+};
+
+module.exports = {
+  createProcessingQueue,
+};
@@ -1,4 +1,6 @@
 const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const notificationService = require('./notification.service');
 
 /**
  * Meeting Service
@@ -7,6 +9,49 @@ const Meeting = require('../models/Meeting');
  * Includes CRUD, filtering, pagination, search, and archive functionality
  */
 
+/**
+ * Notify invited users (matched by attendee email) that a meeting was scheduled
+ * @param {Object} meeting - Meeting document
+ * @param {Array<String>} emails - Attendee emails to notify
+ */
+const notifyAttendees = async (meeting, emails) => {
+  if (!emails || emails.length === 0) return;
+
+  try {
+    const users = await User.find({
+      email: { $in: emails.map((email) => String(email).toLowerCase()) },
+      _id: { $ne: meeting.createdBy },
+    }).select('_id').lean();
+
+    let when;
+    try {
+      when = meeting.startTime.toLocaleString('en-US', {
+        dateStyle: 'medium',
+        timeStyle: 'short',
+        timeZone: meeting.timeZone || 'UTC',
+      });
+    } catch (error) {
+      when = meeting.startTime.toISOString();
+    }
+
+    await Promise.all(
+      users.map((user) =>
+        notificationService.notifyUser({
+          userId: user._id,
+          type: 'meeting_scheduled',
+          title: `Meeting scheduled: ${meeting.title}`,
+          message: `${when}${meeting.timeZone ? ` (${meeting.timeZone})` : ''}`,
+          link: meeting.meetLink,
+          data: { meetingId: meeting._id, startTime: meeting.startTime },
+        })
+      )
+    );
+  } catch (error) {
+    // Notifications must never fail the meeting itself
+    console.error('Error notifying meeting attendees:', error);
+  }
+};
+
 /**
  * Create a meeting in database
  * @param {String} userId - User's MongoDB ID
@@ -45,6 +90,9 @@ const createMeeting = async (userId, meetingData) => {
   const existingMeeting = await Meeting.findOne({ googleEventId });
   if (existingMeeting) {
     // Update existing meeting instead of creating duplicate
+    const newAttendees = attendees.filter(
+      (email) => !existingMeeting.attendees.includes(String(email).toLowerCase())
+    );
     existingMeeting.title = title;
     existingMeeting.description = description || '';
     existingMeeting.startTime = new Date(startTime);
@@ -59,6 +107,7 @@ const createMeeting = async (userId, meetingData) => {
       existingMeeting.metadata = new Map(Object.entries(metadata));
     }
     await existingMeeting.save();
+    await notifyAttendees(existingMeeting, newAttendees);
     return existingMeeting;
   }
 
@@ -81,6 +130,8 @@ const createMeeting = async (userId, meetingData) => {
     isArchived: false,
   });
 
+  await notifyAttendees(meeting, attendees);
+
   return meeting;
 };
 
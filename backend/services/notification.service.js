@@ -0,0 +1,362 @@
+const mongoose = require('mongoose');
+const { ChildProfile, Notification, User } = require('../models');
+
+/**
+ * Notification Service
+ *
+ * Creates in-app notifications for events families and teachers care about
+ * (recording reviewed, Kids Wall post moderated, support reply, badge earned,
+ * meeting scheduled) and pushes them to open Server-Sent Events streams.
+ *
+ * A viewer is either a user ({ userId }) reading their own bell, or a child
+ * ({ userId, childId }) reading the child app's bell.
+ *
+ * Streams are held in memory per server process; clients that miss a push
+ * (another instance, reconnecting) catch up from the list endpoint.
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+// Comment line sent to idle streams so proxies don't close them
+const STREAM_KEEP_ALIVE_MS = 25 * 1000;
+
+// Open SSE responses by channel ('user:<id>' or 'child:<id>')
+const streams = new Map();
+
+const createNotificationError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getChannel = (viewer) =>
+  viewer.childId ? `child:${viewer.childId}` : `user:${viewer.userId}`;
+
+const getViewerFilter = (viewer) =>
+  viewer.childId
+    ? { child: viewer.childId, audience: 'child' }
+    : { user: viewer.userId, audience: 'user' };
+
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Send an event to every open stream of a channel
+ * @param {String} channel - Stream channel
+ * @param {String} event - SSE event name
+ * @param {Object} data - Event payload
+ */
+const publish = (channel, event, data) => {
+  const channelStreams = streams.get(channel);
+  if (!channelStreams) return;
+  channelStreams.forEach((res) => {
+    try {
+      writeEvent(res, event, data);
+    } catch (error) {
+      console.error('Error writing notification stream:', error);
+    }
+  });
+};
+
+/**
+ * Count unread notifications
+ * @param {Object} viewer - { userId, childId }
+ * @returns {Promise<Number>} Unread count
+ */
+const getUnreadCount = async (viewer) =>
+  Notification.countDocuments({ ...getViewerFilter(viewer), readAt: null });
+
+// Keep the viewer's other open tabs in sync after reads
+const publishUnreadCount = (viewer, unreadCount) => {
+  publish(getChannel(viewer), 'unread', { unreadCount });
+};
+
+/**
+ * Check whether a user wants in-app notifications of a type
+ * @param {Object} user - User document with notificationPreferences
+ * @param {String} type - Notification type
+ * @returns {Boolean}
+ */
+const isTypeEnabled = (user, type) => {
+  const preferences = user?.notificationPreferences;
+  const value = preferences instanceof Map ? preferences.get(type) : preferences?.[type];
+  return value !== false;
+};
+
+const createAndPublish = async (fields) => {
+  const notification = await Notification.create(fields);
+  const viewer = fields.audience === 'child'
+    ? { userId: fields.user, childId: fields.child }
+    : { userId: fields.user };
+  const channel = getChannel(viewer);
+
+  if (streams.has(channel)) {
+    const unreadCount = await getUnreadCount(viewer);
+    publish(channel, 'notification', { notification: notification.toObject(), unreadCount });
+  }
+
+  return notification;
+};
+
+/**
+ * Notify a user (respects the user's notification preferences)
+ * Never throws: a failed notification must not fail the action that caused it
+ * @param {Object} data
+ * @param {String} data.userId - Recipient user ID
+ * @param {String} data.type - One of Notification.TYPES
+ * @param {String} data.title - Title
+ * @param {String} [data.message] - Message
+ * @param {String} [data.link] - App path or URL to open
+ * @param {String} [data.childId] - Child the notification is about
+ * @param {Object} [data.data] - Extra data for the client
+ * @returns {Promise<Object|null>} Notification or null when skipped/failed
+ */
+const notifyUser = async ({ userId, type, title, message, link, childId, data }) => {
+  try {
+    const user = await User.findById(userId).select('notificationPreferences isActive').lean();
+    if (!user || !user.isActive || !isTypeEnabled(user, type)) {
+      return null;
+    }
+
+    return await createAndPublish({
+      user: userId,
+      child: childId || null,
+      audience: 'user',
+      type,
+      title,
+      message,
+      link,
+      data,
+    });
+  } catch (error) {
+    console.error(`Error creating ${type} notification:`, error);
+    return null;
+  }
+};
+
+/**
+ * Notify a child (child app bell) and their parent (parent bell)
+ * The parent's preferences only apply to the parent's copy
+ * Never throws
+ * @param {String} childId - Child profile ID
+ * @param {Object} data
+ * @param {String} data.type - One of Notification.TYPES
+ * @param {Object} [data.child] - { title, message, link } for the child; omit to skip the child
+ * @param {Object} [data.parent] - { title, message, link } for the parent; omit to skip the parent
+ * @param {Object} [data.data] - Extra data for the client
+ */
+const notifyChild = async (childId, { type, child, parent, data }) => {
+  try {
+    const profile = await ChildProfile.findById(childId).select('parent').lean();
+    if (!profile) return;
+
+    if (child) {
+      await createAndPublish({
+        user: profile.parent,
+        child: childId,
+        audience: 'child',
+        type,
+        title: child.title,
+        message: child.message,
+        link: child.link,
+        data,
+      });
+    }
+
+    if (parent) {
+      await notifyUser({ userId: profile.parent, childId, type, ...parent, data });
+    }
+  } catch (error) {
+    console.error(`Error creating ${type} notification:`, error);
+  }
+};
+
+/**
+ * List notifications, newest first
+ * @param {Object} viewer - { userId, childId }
+ * @param {Object} [options]
+ * @param {Boolean} [options.unreadOnly] - Only unread notifications
+ * @param {Number} [options.page] - Page (default 1)
+ * @param {Number} [options.limit] - Page size (default 20, max 50)
+ * @returns {Promise<Object>} { notifications, unreadCount, pagination }
+ */
+const getNotifications = async (viewer, options = {}) => {
+  const page = Math.max(parseInt(options.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const query = getViewerFilter(viewer);
+  if (options.unreadOnly) {
+    query.readAt = null;
+  }
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Notification.countDocuments(query),
+    getUnreadCount(viewer),
+  ]);
+
+  return {
+    notifications,
+    unreadCount,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Mark a notification as read
+ * @param {Object} viewer - { userId, childId }
+ * @param {String} notificationId - Notification ID
+ * @returns {Promise<Object>} { notification, unreadCount }
+ */
+const markAsRead = async (viewer, notificationId) => {
+  if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+    throw createNotificationError('Notification not found', 404);
+  }
+
+  const filter = { _id: notificationId, ...getViewerFilter(viewer) };
+  const notification = await Notification.findOneAndUpdate(
+    { ...filter, readAt: null },
+    { $set: { readAt: new Date() } },
+    { new: true }
+  ).lean() || await Notification.findOne(filter).lean();
+
+  if (!notification) {
+    throw createNotificationError('Notification not found', 404);
+  }
+
+  const unreadCount = await getUnreadCount(viewer);
+  publishUnreadCount(viewer, unreadCount);
+
+  return { notification, unreadCount };
+};
+
+/**
+ * Mark all notifications as read
+ * @param {Object} viewer - { userId, childId }
+ * @returns {Promise<Object>} { updated, unreadCount }
+ */
+const markAllAsRead = async (viewer) => {
+  const result = await Notification.updateMany(
+    { ...getViewerFilter(viewer), readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+
+  publishUnreadCount(viewer, 0);
+
+  return { updated: result.modifiedCount, unreadCount: 0 };
+};
+
+/**
+ * Get a user's notification preferences (every type, enabled unless switched off)
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} { [type]: Boolean }
+ */
+const getPreferences = async (userId) => {
+  const user = await User.findById(userId).select('notificationPreferences').lean();
+  if (!user) {
+    throw createNotificationError('User not found', 404);
+  }
+
+  return Notification.TYPES.reduce((preferences, type) => {
+    preferences[type] = isTypeEnabled(user, type);
+    return preferences;
+  }, {});
+};
+
+/**
+ * Update a user's notification preferences
+ * @param {String} userId - User ID
+ * @param {Object} updates - { [type]: Boolean }; unknown types are rejected
+ * @returns {Promise<Object>} Updated preferences
+ */
+const updatePreferences = async (userId, updates = {}) => {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    throw createNotificationError('Preferences must be an object of { type: true|false }', 400);
+  }
+
+  const $set = {};
+  Object.entries(updates).forEach(([type, enabled]) => {
+    if (!Notification.TYPES.includes(type)) {
+      throw createNotificationError(
+        `Unknown notification type "${type}". Must be one of: ${Notification.TYPES.join(', ')}`,
+        400
+      );
+    }
+    if (typeof enabled !== 'boolean') {
+      throw createNotificationError(`Preference "${type}" must be true or false`, 400);
+    }
+    $set[`notificationPreferences.${type}`] = enabled;
+  });
+
+  if (Object.keys($set).length > 0) {
+    const user = await User.findByIdAndUpdate(userId, { $set }, { new: true });
+    if (!user) {
+      throw createNotificationError('User not found', 404);
+    }
+  }
+
+  return getPreferences(userId);
+};
+
+/**
+ * Open a Server-Sent Events stream for a viewer
+ * Sends the current unread count, then 'notification' and 'unread' events
+ * @param {Object} viewer - { userId, childId }
+ * @param {Object} req - Express request (closed when the client disconnects)
+ * @param {Object} res - Express response
+ */
+const openStream = async (viewer, req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const channel = getChannel(viewer);
+  if (!streams.has(channel)) {
+    streams.set(channel, new Set());
+  }
+  streams.get(channel).add(res);
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), STREAM_KEEP_ALIVE_MS);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    const channelStreams = streams.get(channel);
+    if (channelStreams) {
+      channelStreams.delete(res);
+      if (channelStreams.size === 0) streams.delete(channel);
+    }
+  });
+
+  try {
+    writeEvent(res, 'unread', { unreadCount: await getUnreadCount(viewer) });
+  } catch (error) {
+    // Headers are already sent; the client falls back to the list endpoint
+    console.error('Error sending unread count to notification stream:', error);
+  }
+};
+
+module.exports = {
+  notifyUser,
+  notifyChild,
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  getPreferences,
+  updatePreferences,
+  openStream,
+};
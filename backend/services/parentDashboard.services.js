@@ -12,6 +12,8 @@ const Activity = require('../models/Activity');
 const Lesson = require('../models/Lesson');
 const AudioAssignment = require('../models/AudioAssignment');
 const Chant = require('../models/Chant');
+const Quiz = require('../models/Quiz');
+const learningSessionService = require('./learningSession.service');
 
 /**
  * Get child progress summary for parent dashboard
@@ -38,11 +40,15 @@ const getChildProgress = async (childId) => {
     });
   }
 
-  // Calculate total learning time (in seconds) from Progress model
-  const progressRecords = await Progress.find({ child: childId });
-  const totalTimeSpentSeconds = progressRecords.reduce((sum, record) => {
+  // Learning time comes from learning session heartbeats (last 7 days + all-time total)
+  const learningTime = await learningSessionService.getLearningTimeSummary(childId, { days: 7 });
+
+  // Legacy lesson Progress records may still carry time spent
+  const progressRecords = await Progress.find({ child: childId }).select('timeSpent').lean();
+  const legacyTimeSpentSeconds = progressRecords.reduce((sum, record) => {
     return sum + (record.timeSpent || 0);
   }, 0);
+  const totalTimeSpentSeconds = learningTime.totalSeconds + legacyTimeSpentSeconds;
 
   // Convert seconds to hours (rounded to 1 decimal)
   const learningTimeHours = Math.round((totalTimeSpentSeconds / 3600) * 10) / 10;
@@ -57,6 +63,10 @@ const getChildProgress = async (childId) => {
     .sort({ updatedAt: -1 })
     .limit(4);
 
+  const weekSecondsByCourse = new Map(
+    learningTime.byCourse.map((entry) => [entry.course, entry.seconds])
+  );
+
   // Format courses with progress data
   const courses = await Promise.all(
     courseProgresses.map(async (cp) => {
@@ -80,6 +90,7 @@ const getChildProgress = async (childId) => {
         status: cp.status || 'not_started',
         completedCount,
         totalCount,
+        weekSeconds: weekSecondsByCourse.get(course._id.toString()) || 0,
         updatedAt: cp.updatedAt,
       };
     })
@@ -153,6 +164,10 @@ const getChildProgress = async (childId) => {
               content = await Chant.findById(contentId).select('title').lean();
               if (content?.title) return content.title;
               break;
+            case 'Quiz':
+              content = await Quiz.findById(contentId).select('title').lean();
+              if (content?.title) return content.title;
+              break;
           }
         } catch (err) {
           console.error(`[ParentDashboard] Error fetching content title for ${contentType}:${contentId}`, err);
@@ -180,6 +195,7 @@ const getChildProgress = async (childId) => {
           'activity': 'Activity',
           'audio_assignment': 'Audio Assignment',
           'chant': 'Chant',
+          'quiz': 'Quiz',
           'explore_content': 'Explore Content',
           'kids_wall_post': 'Kids Wall Post',
           'kids_wall_like': 'Kids Wall Like',
@@ -205,6 +221,7 @@ const getChildProgress = async (childId) => {
         'activity': 'Activity',
         'audio_assignment': 'Audio Assignment',
         'chant': 'Chant',
+        'quiz': 'Quiz',
         'explore_content': 'Explore Content',
         'kids_wall_post': 'Kids Wall Post',
         'kids_wall_like': 'Kids Wall Like',
@@ -246,6 +263,12 @@ const getChildProgress = async (childId) => {
     },
     totalStars: childStats.totalStars || 0,
     learningTimeHours: learningTimeHours || 0,
+    learningTime: {
+      totalSeconds: totalTimeSpentSeconds,
+      weekSeconds: learningTime.rangeSeconds,
+      days: learningTime.days,
+      byContentType: learningTime.byContentType,
+    },
     courses: topCourses,
     starSources: starSources,
   };
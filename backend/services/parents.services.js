@@ -1,4 +1,5 @@
 const { User } = require('../models');
+const { sendVerificationEmail } = require('./auth.services');
 const { ChildProfile } = require('../models');
 
 /**
@@ -192,6 +193,13 @@ const createParent = async (parentData) => {
     isActive: true,
   });
 
+  // Send verification email (account creation must not fail if the mail transport is down)
+  try {
+    await sendVerificationEmail(parent._id);
+  } catch (error) {
+    console.error('[Auth] Failed to send verification email:', error.message);
+  }
+
   // Get created user (exclude password)
   const createdParent = await User.findById(parent._id).select('-password');
 
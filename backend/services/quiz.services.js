@@ -0,0 +1,502 @@
+const { Quiz, Course } = require('../models');
+const storageService = require('./storage.service');
+const skillService = require('./skill.services');
+
+/**
+ * Quiz Service
+ *
+ * Admin management of native quizzes. Questions arrive as a JSON string in
+ * the multipart body; pictures and sounds picked in the builder are sent as
+ * files whose field name is a placeholder ("upload:<key>") used in the JSON
+ * wherever the file belongs, e.g. { "promptAudio": "upload:q1-audio" }.
+ * Media already saved on the quiz keeps its /uploads/... path.
+ */
+
+const UPLOAD_PLACEHOLDER_PREFIX = 'upload:';
+
+const MAX_QUESTIONS = 100;
+
+// Lower and upper bounds of the answer lists per question kind
+const QUESTION_LIMITS = {
+  picture_choice: { field: 'options', min: 2, max: 6 },
+  audio_prompt: { field: 'options', min: 2, max: 6 },
+  match: { field: 'pairs', min: 2, max: 6 },
+  ordering: { field: 'items', min: 2, max: 8 },
+};
+
+const createQuizError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * @param {Array|Object} files - req.files from multer (.any() array or .fields() object)
+ * @returns {Object} First file per field name
+ */
+const groupFilesByField = (files) => {
+  const list = Array.isArray(files) ? files : Object.values(files || {}).flat();
+  return list.reduce((grouped, file) => {
+    if (!grouped[file.fieldname]) grouped[file.fieldname] = file;
+    return grouped;
+  }, {});
+};
+
+const fileToUrl = (file) =>
+  storageService.toUploadsUrl(file.storageKey || storageService.toStorageKey(file.path));
+
+/**
+ * Resolve a media reference from the builder
+ * @param {String} value - "upload:<key>", an existing /uploads/... path or empty
+ * @param {Object} filesByField - Uploaded files by field name
+ * @param {Set} usedFields - Collects the placeholders that were used
+ * @param {String} expectedType - 'image' or 'audio'
+ * @returns {String|null} /uploads/... path
+ */
+const resolveMedia = (value, filesByField, usedFields, expectedType) => {
+  if (!value || typeof value !== 'string') return null;
+
+  if (value.startsWith(UPLOAD_PLACEHOLDER_PREFIX)) {
+    const file = filesByField[value];
+    if (!file) {
+      throw createQuizError(`Missing uploaded file for ${value}`);
+    }
+    if (!file.mimetype.startsWith(`${expectedType}/`)) {
+      throw createQuizError(`${file.originalname} must be an ${expectedType} file`);
+    }
+    usedFields.add(value);
+    return fileToUrl(file);
+  }
+
+  // Only files we stored ourselves, never arbitrary URLs
+  return value.startsWith('/uploads/') ? value : null;
+};
+
+const resolveCard = (card, filesByField, usedFields) => {
+  const text = typeof card?.text === 'string' ? card.text.trim() : '';
+  const image = resolveMedia(card?.image, filesByField, usedFields, 'image');
+  if (!text && !image) {
+    return null;
+  }
+  return {
+    ...(card?._id && { _id: card._id }),
+    text,
+    image,
+  };
+};
+
+/**
+ * Validate the builder's questions and attach uploaded media
+ *
+ * @param {String|Array} rawQuestions - JSON string or array from the request
+ * @param {Object} filesByField - Uploaded files by field name
+ * @param {Set} usedFields - Collects the placeholders that were used
+ * @returns {Array} Questions ready for the Quiz document
+ * @throws {Error} 400 describing the first invalid question
+ */
+const parseQuestions = (rawQuestions, filesByField, usedFields) => {
+  let questions = rawQuestions;
+  if (typeof questions === 'string') {
+    try {
+      questions = JSON.parse(questions);
+    } catch (error) {
+      throw createQuizError('Invalid questions format');
+    }
+  }
+
+  if (!Array.isArray(questions) || questions.length === 0) {
+    throw createQuizError('Please add at least one question');
+  }
+  if (questions.length > MAX_QUESTIONS) {
+    throw createQuizError(`A quiz can have at most ${MAX_QUESTIONS} questions`);
+  }
+
+  return questions.map((question, index) => {
+    const label = `Question ${index + 1}`;
+    const limits = QUESTION_LIMITS[question?.kind];
+    if (!limits) {
+      throw createQuizError(`${label}: invalid question kind`);
+    }
+
+    const parsed = {
+      ...(question._id && { _id: question._id }),
+      kind: question.kind,
+      prompt: typeof question.prompt === 'string' ? question.prompt.trim() : '',
+      promptImage: resolveMedia(question.promptImage, filesByField, usedFields, 'image'),
+      promptAudio: resolveMedia(question.promptAudio, filesByField, usedFields, 'audio'),
+      points: Math.min(Math.max(parseInt(question.points, 10) || 1, 1), 10),
+      options: [],
+      pairs: [],
+      items: [],
+    };
+
+    if (!parsed.prompt && !parsed.promptImage && !parsed.promptAudio) {
+      throw createQuizError(`${label}: please provide a prompt`);
+    }
+    if (parsed.kind === 'audio_prompt' && !parsed.promptAudio) {
+      throw createQuizError(`${label}: audio questions need a sound to listen to`);
+    }
+
+    const entries = Array.isArray(question[limits.field]) ? question[limits.field] : [];
+
+    if (limits.field === 'options') {
+      parsed.options = entries
+        .map((option) => {
+          const card = resolveCard(option, filesByField, usedFields);
+          return card && { ...card, isCorrect: option.isCorrect === true || option.isCorrect === 'true' };
+        })
+        .filter(Boolean);
+      if (parsed.kind === 'picture_choice' && parsed.options.some((option) => !option.image)) {
+        throw createQuizError(`${label}: every answer needs a picture`);
+      }
+      if (!parsed.options.some((option) => option.isCorrect)) {
+        throw createQuizError(`${label}: mark the correct answer`);
+      }
+    } else if (limits.field === 'pairs') {
+      parsed.pairs = entries
+        .map((pair) => {
+          const left = resolveCard(pair?.left, filesByField, usedFields);
+          const right = resolveCard(pair?.right, filesByField, usedFields);
+          if (!left && !right) return null;
+          if (!left || !right) {
+            throw createQuizError(`${label}: every pair needs two sides`);
+          }
+          return { ...(pair._id && { _id: pair._id }), left, right };
+        })
+        .filter(Boolean);
+    } else {
+      parsed.items = entries
+        .map((item) => resolveCard(item, filesByField, usedFields))
+        .filter(Boolean);
+    }
+
+    const count = parsed[limits.field].length;
+    if (count < limits.min || count > limits.max) {
+      throw createQuizError(`${label}: needs between ${limits.min} and ${limits.max} ${limits.field}`);
+    }
+
+    return parsed;
+  });
+};
+
+/**
+ * Every /uploads path a quiz refers to
+ * @param {Object} quiz - Quiz document or plain object
+ * @returns {Set<String>}
+ */
+const collectQuizMedia = (quiz) => {
+  const media = new Set();
+  const add = (value) => {
+    if (value) media.add(value);
+  };
+
+  add(quiz.coverImage);
+  (quiz.questions || []).forEach((question) => {
+    add(question.promptImage);
+    add(question.promptAudio);
+    (question.options || []).forEach((option) => add(option.image));
+    (question.pairs || []).forEach((pair) => {
+      add(pair.left?.image);
+      add(pair.right?.image);
+    });
+    (question.items || []).forEach((item) => add(item.image));
+  });
+  return media;
+};
+
+// Uploaded files no question ended up using
+const removeUnusedUploads = async (filesByField, usedFields) => {
+  const unused = Object.entries(filesByField).filter(
+    ([field]) => field !== 'coverImage' && !usedFields.has(field)
+  );
+  await Promise.all(unused.map(([, file]) => storageService.removeFile(file.storageKey || file.path)));
+};
+
+const removeUploads = async (filesByField) => {
+  await Promise.all(
+    Object.values(filesByField).map((file) => storageService.removeFile(file.storageKey || file.path))
+  );
+};
+
+const parseTags = (tags) => {
+  if (!tags) return [];
+  try {
+    const parsedTags = typeof tags === 'string' ? JSON.parse(tags) : tags;
+    return Array.isArray(parsedTags)
+      ? parsedTags.filter((tag) => typeof tag === 'string' && tag.trim()).map((tag) => tag.trim())
+      : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const parseQuestionsPerAttempt = (value) => {
+  if (value === undefined || value === null || value === '' || value === 'null') return null;
+  const count = parseInt(value, 10);
+  return count > 0 ? count : null;
+};
+
+const parsePassingScore = (value) => {
+  const score = parseInt(value, 10);
+  if (Number.isNaN(score) || score < 0 || score > 100) {
+    throw createQuizError('Passing score must be between 0 and 100');
+  }
+  return score;
+};
+
+const populateQuiz = (query) => query.populate('createdBy', 'name email');
+
+/**
+ * Create Quiz Service
+ *
+ * @param {String} userId - Admin/teacher user's MongoDB ID
+ * @param {Object} quizData - title, description, instructions, questions (JSON),
+ *   questionsPerAttempt, shuffleQuestions, passingScore, starsAwarded,
+ *   estimatedDuration, tags, isPublished
+ * @param {Array|Object} files - coverImage and "upload:<key>" question media
+ * @returns {Object} Created quiz
+ * @throws {Error} 400 if validation fails
+ */
+const createQuiz = async (userId, quizData, files = []) => {
+  const filesByField = groupFilesByField(files);
+  const usedFields = new Set();
+
+  try {
+    const {
+      title,
+      description,
+      instructions,
+      questions,
+      questionsPerAttempt,
+      shuffleQuestions,
+      passingScore,
+      starsAwarded,
+      estimatedDuration,
+      tags,
+      skills,
+      isPublished,
+    } = quizData;
+
+    if (!title || !title.trim()) {
+      throw createQuizError('Please provide a quiz title');
+    }
+
+    const parsedQuestions = parseQuestions(questions, filesByField, usedFields);
+    const skillIds = await skillService.resolveSkillIds(skills);
+    const coverImage = filesByField.coverImage ? fileToUrl(filesByField.coverImage) : null;
+
+    const quiz = await Quiz.create({
+      title: title.trim(),
+      description: description?.trim() || null,
+      instructions: instructions?.trim() || null,
+      coverImage,
+      questions: parsedQuestions,
+      questionsPerAttempt: parseQuestionsPerAttempt(questionsPerAttempt),
+      shuffleQuestions: shuffleQuestions === undefined ? true : shuffleQuestions === 'true' || shuffleQuestions === true,
+      passingScore: passingScore !== undefined && passingScore !== '' ? parsePassingScore(passingScore) : 70,
+      starsAwarded: starsAwarded !== undefined && starsAwarded !== '' ? parseInt(starsAwarded, 10) || 0 : 10,
+      estimatedDuration: estimatedDuration ? parseInt(estimatedDuration, 10) : null,
+      tags: parseTags(tags),
+      skills: skillIds,
+      isPublished: isPublished === 'true' || isPublished === true,
+      createdBy: userId,
+    });
+
+    await removeUnusedUploads(filesByField, usedFields);
+
+    return await populateQuiz(Quiz.findById(quiz._id)).lean();
+  } catch (error) {
+    await removeUploads(filesByField);
+    if (error.name === 'ValidationError') {
+      throw createQuizError(error.message);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get All Quizzes Service
+ *
+ * @param {Object} queryParams - Query parameters
+ * @param {Boolean} [queryParams.isPublished] - Filter by published status
+ * @param {String} [queryParams.search] - Search in title/description/instructions
+ * @param {Number} [queryParams.page] - Page number (default: 1)
+ * @param {Number} [queryParams.limit] - Items per page (default: 10)
+ * @returns {Object} Quizzes with pagination info
+ */
+const getAllQuizzes = async (queryParams = {}) => {
+  const {
+    isPublished,
+    search,
+    page = 1,
+    limit = 10,
+  } = queryParams;
+
+  const query = {};
+
+  if (isPublished !== undefined) {
+    query.isPublished = isPublished === 'true' || isPublished === true;
+  }
+
+  if (search) {
+    query.$or = [
+      { title: { $regex: search, $options: 'i' } },
+      { description: { $regex: search, $options: 'i' } },
+      { instructions: { $regex: search, $options: 'i' } },
+    ];
+  }
+
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 10;
+  const skip = (pageNum - 1) * limitNum;
+
+  const [quizzes, total] = await Promise.all([
+    populateQuiz(Quiz.find(query))
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean(),
+    Quiz.countDocuments(query),
+  ]);
+
+  return {
+    quizzes,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum),
+    },
+  };
+};
+
+/**
+ * Get Quiz By ID Service
+ *
+ * @param {String} quizId - Quiz's MongoDB ID
+ * @returns {Object} Quiz including answers (admin view)
+ * @throws {Error} 404 if quiz not found
+ */
+const getQuizById = async (quizId) => {
+  const quiz = await populateQuiz(Quiz.findById(quizId)).lean();
+
+  if (!quiz) {
+    throw createQuizError('Quiz not found', 404);
+  }
+
+  return quiz;
+};
+
+/**
+ * Update Quiz Service
+ *
+ * Fields left out of the request keep their value. Sending questions replaces
+ * the whole question list; media no longer used is deleted.
+ *
+ * @param {String} quizId - Quiz's MongoDB ID
+ * @param {Object} updateData - Same fields as createQuiz
+ * @param {Array|Object} files - coverImage and "upload:<key>" question media
+ * @returns {Object} Updated quiz
+ * @throws {Error} 404 if quiz not found, 400 if validation fails
+ */
+const updateQuiz = async (quizId, updateData, files = []) => {
+  const filesByField = groupFilesByField(files);
+  const usedFields = new Set();
+
+  try {
+    const quiz = await Quiz.findById(quizId);
+    if (!quiz) {
+      throw createQuizError('Quiz not found', 404);
+    }
+
+    const previousMedia = collectQuizMedia(quiz);
+    const {
+      title,
+      description,
+      instructions,
+      questions,
+      questionsPerAttempt,
+      shuffleQuestions,
+      passingScore,
+      starsAwarded,
+      estimatedDuration,
+      tags,
+      skills,
+      isPublished,
+    } = updateData;
+
+    if (title !== undefined) {
+      if (!title || !title.trim()) {
+        throw createQuizError('Please provide a quiz title');
+      }
+      quiz.title = title.trim();
+    }
+    if (description !== undefined) quiz.description = description?.trim() || null;
+    if (instructions !== undefined) quiz.instructions = instructions?.trim() || null;
+    if (questions !== undefined) quiz.questions = parseQuestions(questions, filesByField, usedFields);
+    if (questionsPerAttempt !== undefined) quiz.questionsPerAttempt = parseQuestionsPerAttempt(questionsPerAttempt);
+    if (shuffleQuestions !== undefined) quiz.shuffleQuestions = shuffleQuestions === 'true' || shuffleQuestions === true;
+    if (passingScore !== undefined && passingScore !== '') quiz.passingScore = parsePassingScore(passingScore);
+    if (starsAwarded !== undefined && starsAwarded !== '') quiz.starsAwarded = parseInt(starsAwarded, 10) || 0;
+    if (estimatedDuration !== undefined) quiz.estimatedDuration = estimatedDuration ? parseInt(estimatedDuration, 10) : null;
+    if (tags !== undefined) quiz.tags = parseTags(tags);
+    if (skills !== undefined) quiz.skills = await skillService.resolveSkillIds(skills);
+    if (isPublished !== undefined) quiz.isPublished = isPublished === 'true' || isPublished === true;
+    if (filesByField.coverImage) quiz.coverImage = fileToUrl(filesByField.coverImage);
+
+    await quiz.save();
+    await removeUnusedUploads(filesByField, usedFields);
+
+    const currentMedia = collectQuizMedia(quiz);
+    await Promise.all(
+      [...previousMedia]
+        .filter((media) => !currentMedia.has(media))
+        .map((media) => storageService.removeFile(media))
+    );
+
+    return await populateQuiz(Quiz.findById(quiz._id)).lean();
+  } catch (error) {
+    await removeUploads(filesByField);
+    if (error.name === 'ValidationError') {
+      throw createQuizError(error.message);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Delete Quiz Service
+ *
+ * Deletes the quiz and its media. Quizzes still used in a course cannot be deleted.
+ *
+ * @param {String} quizId - Quiz's MongoDB ID
+ * @returns {Object} Deleted quiz info
+ * @throws {Error} 404 if quiz not found, 409 if a course uses it
+ */
+const deleteQuiz = async (quizId) => {
+  const quiz = await Quiz.findById(quizId);
+
+  if (!quiz) {
+    throw createQuizError('Quiz not found', 404);
+  }
+
+  const usedInCourse = await Course.exists({
+    contents: { $elemMatch: { contentId: quiz._id, contentType: 'quiz' } },
+  });
+  if (usedInCourse) {
+    throw createQuizError('This quiz is used in a course. Remove it from the course first.', 409);
+  }
+
+  await Promise.all([...collectQuizMedia(quiz)].map((media) => storageService.removeFile(media)));
+  await Quiz.findByIdAndDelete(quizId);
+
+  return { message: 'Quiz deleted successfully', id: quiz._id };
+};
+
+module.exports = {
+  createQuiz,
+  getAllQuizzes,
+  getQuizById,
+  updateQuiz,
+  deleteQuiz,
+};
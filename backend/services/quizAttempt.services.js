@@ -0,0 +1,360 @@
+const { Quiz, Course, CourseProgress, ChildProfile, ChildStats, StarEarning } = require('../models');
+const courseProgressService = require('./courseProgress.services');
+const xapiService = require('./xapi.service');
+const skillMasteryService = require('./skillMastery.service');
+
+/**
+ * Quiz Attempt Service
+ *
+ * How a child plays a quiz inside a course:
+ *
+ * 1. getQuizForChild draws the attempt's questions from the bank, remembers
+ *    them in quizProgress.currentQuestions and returns them without answers
+ *    (options, right-hand cards and ordering items shuffled)
+ * 2. submitQuizAttempt scores the answers against the drawn questions, records
+ *    the attempt in CourseProgress and, the first time the quiz is passed,
+ *    awards the quiz's stars and completes the course content
+ *
+ * Choice questions score all or nothing; matching and ordering questions earn
+ * the share of pairs/positions that are right.
+ */
+
+const createQuizAttemptError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const shuffle = (list) => {
+  const shuffled = [...list];
+  for (let i = shuffled.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Ordering items must not start out already solved
+const shuffleOutOfOrder = (items) => {
+  if (items.length < 2) return items;
+  let shuffled = shuffle(items);
+  while (shuffled.every((item, index) => item === items[index])) {
+    shuffled = shuffle(items);
+  }
+  return shuffled;
+};
+
+const toCard = (card) => ({ _id: card._id, text: card.text, image: card.image });
+
+/**
+ * Question as the child sees it, without answers
+ * @param {Object} question - Quiz question
+ * @returns {Object} Child view of the question
+ */
+const toChildQuestion = (question) => {
+  const childQuestion = {
+    _id: question._id,
+    kind: question.kind,
+    prompt: question.prompt,
+    promptImage: question.promptImage,
+    promptAudio: question.promptAudio,
+    points: question.points,
+  };
+
+  if (question.kind === 'match') {
+    childQuestion.left = shuffle(question.pairs.map((pair) => toCard(pair.left)));
+    childQuestion.right = shuffle(question.pairs.map((pair) => toCard(pair.right)));
+  } else if (question.kind === 'ordering') {
+    childQuestion.items = shuffleOutOfOrder(question.items).map(toCard);
+  } else {
+    childQuestion.options = shuffle(question.options).map(toCard);
+  }
+
+  return childQuestion;
+};
+
+/**
+ * Share (0-1) of a question answered correctly
+ * @param {Object} question - Quiz question
+ * @param {Object} answer - { optionId } | { matches: [{ left, right }] } | { order: [itemId] }
+ * @returns {Number}
+ */
+const scoreQuestion = (question, answer = {}) => {
+  if (question.kind === 'match') {
+    const matches = Array.isArray(answer.matches) ? answer.matches : [];
+    const usedLeft = new Set();
+    const correct = matches.filter((match) => {
+      const leftId = String(match?.left);
+      if (usedLeft.has(leftId)) return false;
+      usedLeft.add(leftId);
+      return question.pairs.some(
+        (pair) => String(pair.left._id) === leftId && String(pair.right._id) === String(match?.right)
+      );
+    }).length;
+    return question.pairs.length ? correct / question.pairs.length : 0;
+  }
+
+  if (question.kind === 'ordering') {
+    const order = Array.isArray(answer.order) ? answer.order.map(String) : [];
+    const correct = question.items.filter((item, index) => order[index] === String(item._id)).length;
+    return question.items.length ? correct / question.items.length : 0;
+  }
+
+  const option = question.options.find((item) => String(item._id) === String(answer.optionId));
+  return option?.isCorrect ? 1 : 0;
+};
+
+/**
+ * Correct answer to show after submitting
+ * @param {Object} question - Quiz question
+ * @returns {Object} { optionIds } | { matches } | { order }
+ */
+const getCorrectAnswer = (question) => {
+  if (question.kind === 'match') {
+    return { matches: question.pairs.map((pair) => ({ left: pair.left._id, right: pair.right._id })) };
+  }
+  if (question.kind === 'ordering') {
+    return { order: question.items.map((item) => item._id) };
+  }
+  return { optionIds: question.options.filter((option) => option.isCorrect).map((option) => option._id) };
+};
+
+/**
+ * Load a quiz and check it belongs to the course and step the child may open
+ * @returns {Object} Quiz document (lean)
+ */
+const loadQuizForChild = async (quizId, childId, courseId) => {
+  if (!courseId) {
+    throw createQuizAttemptError('courseId is required');
+  }
+
+  const [quiz, course, child] = await Promise.all([
+    Quiz.findById(quizId).lean(),
+    Course.findById(courseId).select('contents').lean(),
+    ChildProfile.findById(childId).select('_id').lean(),
+  ]);
+
+  if (!quiz) {
+    throw createQuizAttemptError('Quiz not found', 404);
+  }
+  if (!child) {
+    throw createQuizAttemptError('Child not found', 404);
+  }
+
+  const contentItem = course?.contents.find(
+    (item) => String(item.contentId) === String(quiz._id) && item.contentType === 'quiz'
+  );
+  if (!contentItem) {
+    throw createQuizAttemptError('Quiz not found in course', 404);
+  }
+
+  const stepAccess = await courseProgressService.checkStepAccess(childId, courseId, contentItem.step);
+  if (!stepAccess.accessible) {
+    throw createQuizAttemptError(stepAccess.reason || 'Step is locked. Complete previous steps first.', 403);
+  }
+
+  return quiz;
+};
+
+const toProgressSummary = (quizProgress) => ({
+  attempts: quizProgress?.attempts || 0,
+  bestPercent: quizProgress?.bestPercent ?? null,
+  lastPercent: quizProgress?.lastPercent ?? null,
+  passed: Boolean(quizProgress?.passed),
+});
+
+/**
+ * Start a quiz attempt
+ *
+ * @param {String} quizId - Quiz's MongoDB ID
+ * @param {String} childId - Child's MongoDB ID
+ * @param {String} courseId - Course the quiz is played in
+ * @returns {Object} { quiz, questions, progress }
+ * @throws {Error} 400/403/404 with statusCode
+ */
+const getQuizForChild = async (quizId, childId, courseId) => {
+  const quiz = await loadQuizForChild(quizId, childId, courseId);
+
+  let questions = quiz.questions || [];
+  if (questions.length === 0) {
+    throw createQuizAttemptError('This quiz has no questions yet', 409);
+  }
+
+  if (quiz.questionsPerAttempt && quiz.questionsPerAttempt < questions.length) {
+    const drawn = new Set(shuffle(questions).slice(0, quiz.questionsPerAttempt));
+    // Keep bank order unless the quiz is shuffled
+    questions = questions.filter((question) => drawn.has(question));
+  }
+  if (quiz.shuffleQuestions) {
+    questions = shuffle(questions);
+  }
+
+  const quizProgress = await courseProgressService.startQuizAttempt(
+    childId,
+    courseId,
+    quiz._id,
+    questions.map((question) => question._id)
+  );
+
+  return {
+    quiz: {
+      _id: quiz._id,
+      title: quiz.title,
+      description: quiz.description,
+      instructions: quiz.instructions,
+      coverImage: quiz.coverImage,
+      passingScore: quiz.passingScore,
+      starsAwarded: quiz.starsAwarded,
+    },
+    questions: questions.map(toChildQuestion),
+    progress: toProgressSummary(quizProgress),
+  };
+};
+
+/**
+ * Award a quiz's stars once per child
+ * @returns {Number} Stars awarded now (0 if already earned)
+ */
+const awardQuizStars = async (childId, quiz, percent) => {
+  const starsToAward = quiz.starsAwarded || 0;
+  if (starsToAward <= 0) return 0;
+
+  const existingEarning = await StarEarning.exists({
+    child: childId,
+    'source.type': 'quiz',
+    'source.contentId': quiz._id,
+  });
+  if (existingEarning) return 0;
+
+  await StarEarning.create({
+    child: childId,
+    stars: starsToAward,
+    source: {
+      type: 'quiz',
+      contentId: quiz._id,
+      contentType: 'Quiz',
+      metadata: {
+        quizTitle: quiz.title,
+        percent,
+      },
+    },
+    description: `Earned ${starsToAward} stars for passing "${quiz.title}"`,
+  });
+
+  const stats = await ChildStats.getOrCreate(childId);
+  await stats.addStars(starsToAward);
+
+  // Check for badges after awarding stars
+  try {
+    const badgeCheck = require('./badgeCheck.service');
+    await badgeCheck.updateBadges(childId, { silent: false });
+  } catch (badgeError) {
+    console.error('[QuizAttempt] Error checking badges after star award:', badgeError);
+  }
+
+  return starsToAward;
+};
+
+/**
+ * Score and record a quiz attempt
+ *
+ * @param {String} quizId - Quiz's MongoDB ID
+ * @param {String} childId - Child's MongoDB ID
+ * @param {Object} submission
+ * @param {String} submission.courseId - Course the quiz is played in
+ * @param {Array} submission.answers - [{ questionId, optionId | matches | order }]
+ * @param {Number} [submission.timeSpent] - Seconds spent on the attempt
+ * @returns {Object} { score, maxScore, percent, passed, starsEarned, results, progress }
+ * @throws {Error} 400/403/404/409 with statusCode
+ */
+const submitQuizAttempt = async (quizId, childId, { courseId, answers, timeSpent } = {}) => {
+  const quiz = await loadQuizForChild(quizId, childId, courseId);
+
+  if (!Array.isArray(answers)) {
+    throw createQuizAttemptError('answers must be an array');
+  }
+
+  // Score the questions that were drawn for this attempt, not the ones answered
+  const courseProgress = await CourseProgress.findOne({ child: childId, course: courseId })
+    .select('contentProgress')
+    .lean();
+  const contentProgressItem = courseProgress?.contentProgress?.find(
+    (item) => String(item.contentId) === String(quiz._id) && item.contentType === 'quiz'
+  );
+  const drawnIds = (contentProgressItem?.quizProgress?.currentQuestions || []).map(String);
+  if (drawnIds.length === 0) {
+    throw createQuizAttemptError('Start the quiz before submitting answers', 409);
+  }
+
+  const questions = quiz.questions.filter((question) => drawnIds.includes(String(question._id)));
+  const answersByQuestion = new Map(answers.map((answer) => [String(answer?.questionId), answer]));
+
+  let score = 0;
+  let maxScore = 0;
+  const results = questions.map((question) => {
+    const share = scoreQuestion(question, answersByQuestion.get(String(question._id)));
+    const points = Math.round(question.points * share * 100) / 100;
+    score += points;
+    maxScore += question.points;
+    return {
+      questionId: question._id,
+      correct: share === 1,
+      points,
+      maxPoints: question.points,
+      correctAnswer: getCorrectAnswer(question),
+    };
+  });
+
+  score = Math.round(score * 100) / 100;
+  const percent = maxScore ? Math.round((score / maxScore) * 100) : 0;
+  const passed = percent >= quiz.passingScore;
+  const seconds = Math.max(parseInt(timeSpent, 10) || 0, 0);
+
+  const starsEarned = passed ? await awardQuizStars(childId, quiz, percent) : 0;
+
+  const { quizProgress } = await courseProgressService.recordQuizAttempt(childId, courseId, quiz._id, {
+    score,
+    maxScore,
+    percent,
+    passed,
+    timeSpent: seconds,
+  });
+
+  await xapiService.recordLearningEvent({
+    childId,
+    verb: passed ? 'passed' : 'failed',
+    contentType: 'quiz',
+    contentId: quiz._id,
+    title: quiz.title,
+    courseId,
+    result: {
+      success: passed,
+      score: { raw: score, max: maxScore, min: 0, scaled: maxScore ? score / maxScore : 0 },
+      ...(seconds && { duration: xapiService.secondsToDuration(seconds) }),
+    },
+  });
+
+  await skillMasteryService.recordSkillEvidence({
+    childId,
+    contentType: 'quiz',
+    contentId: quiz._id,
+    source: 'quiz',
+    value: percent,
+  });
+
+  return {
+    score,
+    maxScore,
+    percent,
+    passed,
+    passingScore: quiz.passingScore,
+    starsEarned,
+    results,
+    progress: toProgressSummary(quizProgress),
+  };
+};
+
+module.exports = {
+  getQuizForChild,
+  submitQuizAttempt,
+};
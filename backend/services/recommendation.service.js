@@ -0,0 +1,476 @@
+const {
+  ChildProfile,
+  Course,
+  CourseProgress,
+  CourseAssignment,
+  Skill,
+  SkillMastery,
+  ExploreContent,
+  VideoWatch,
+  Cmi5Au,
+  RecommendationSettings,
+} = require('../models');
+const streakService = require('./streak.service');
+const { SKILL_CONTENT_MODELS } = require('./skill.services');
+
+/**
+ * Recommendation Service
+ *
+ * "What to do next" for a child. Candidates are the next content items of the
+ * courses the child can work on (the current step of every unlocked course),
+ * content of any started course the child scored low on, and explore videos.
+ * Course locking stays with courseProgress.services - this only ranks what is
+ * already open to the child.
+ *
+ * Each candidate gets a 0-1 value per signal (see RecommendationSettings):
+ * score = sum(weight * value) / sum(weights), 0-100. The strongest signals are
+ * returned as reasons the child UI can show.
+ */
+
+const CONTENT_MODELS = {
+  ...SKILL_CONTENT_MODELS,
+  cmi5: Cmi5Au,
+};
+
+const CONTENT_FIELDS =
+  'title coverImage thumbnail estimatedTime estimatedReadingTime estimatedDuration duration skills isPublished';
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+const DEFAULT_EXPLORE_LIMIT = 3;
+
+// Content of at most this many minutes counts as a quick win for the streak
+const QUICK_WIN_MINUTES = 10;
+
+// SCORM/quiz scores (0-1) below this are worth a retry
+const RETRY_BELOW_SCORE = 0.7;
+
+// Signals shown as reasons need at least this value
+const REASON_MIN_VALUE = 0.5;
+const MAX_REASONS = 2;
+
+// Focused practice in the morning, lighter content (books, videos) later in the day
+const TIME_OF_DAY_FIT = {
+  morning: { activity: 1, quiz: 1, audioAssignment: 1, chant: 1, cmi5: 1, book: 0.75, video: 0.5, explore: 0.25 },
+  afternoon: { activity: 0.75, quiz: 0.75, audioAssignment: 0.75, chant: 0.75, cmi5: 0.75, book: 0.75, video: 0.75, explore: 0.75 },
+  evening: { activity: 0.5, quiz: 0.5, audioAssignment: 0.5, chant: 0.75, cmi5: 0.5, book: 1, video: 1, explore: 1 },
+  night: { activity: 0.25, quiz: 0.25, audioAssignment: 0.25, chant: 0.5, cmi5: 0.25, book: 1, video: 0.75, explore: 0.75 },
+};
+
+const TIME_OF_DAY_REASONS = {
+  morning: 'Great for a fresh morning mind',
+  afternoon: 'Good for this afternoon',
+  evening: 'Nice for this evening',
+  night: 'A calm one before bed',
+};
+
+const parseLimit = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : Math.min(Math.max(parsed, 0), MAX_LIMIT);
+};
+
+const createRecommendationError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Hour (0-23) in a timezone
+ * @param {String} timezone - IANA timezone
+ * @param {Date} [now] - Reference time
+ * @returns {Number} Local hour
+ */
+const getLocalHour = (timezone, now = new Date()) =>
+  Number(new Intl.DateTimeFormat('en-US', { timeZone: timezone, hour: 'numeric', hourCycle: 'h23' }).format(now)) % 24;
+
+const getTimeOfDay = (hour) => {
+  if (hour >= 5 && hour < 12) return 'morning';
+  if (hour >= 12 && hour < 17) return 'afternoon';
+  if (hour >= 17 && hour < 21) return 'evening';
+  return 'night';
+};
+
+const getDurationMinutes = (contentType, content) => {
+  if (contentType === 'video') return content.duration ? Math.ceil(content.duration / 60) : null;
+  return content.estimatedTime ?? content.estimatedReadingTime ?? content.estimatedDuration ?? null;
+};
+
+// 1 inside the course's age range, 0 outside it, 0.5 when either is unknown
+const getAgeFit = (age, ageRange) => {
+  const min = ageRange?.min ?? null;
+  const max = ageRange?.max ?? null;
+  if (age === null || age === undefined || (min === null && max === null)) return 0.5;
+  return (min === null || age >= min) && (max === null || age <= max) ? 1 : 0;
+};
+
+// Short content is a quick win while today's streak activity is still missing
+const getStreakValue = (streak, durationMinutes) => {
+  if (streak.activeToday) return 0;
+  const quickWin = durationMinutes === null ? 0.5 : durationMinutes <= QUICK_WIN_MINUTES ? 1 : 0.2;
+  // Keeping a streak alive matters more than starting one
+  return streak.atRisk ? quickWin : quickWin / 2;
+};
+
+/**
+ * Best 0-1 score of a SCORM or quiz content item
+ * @param {Object} progressItem - CourseProgress.contentProgress entry
+ * @returns {Number|null} Score, null when the item has none
+ */
+const getItemScore = (progressItem) => {
+  if (!progressItem) return null;
+
+  const quiz = progressItem.quizProgress;
+  if (quiz?.attempts) {
+    return quiz.passed ? 1 : (quiz.bestPercent || 0) / 100;
+  }
+
+  const score = progressItem.scormProgress?.score;
+  if (!score) return null;
+  if (score.scaled !== null && score.scaled !== undefined) return Math.max(score.scaled, 0);
+  if (score.raw === null || score.raw === undefined) return null;
+
+  const min = score.min ?? 0;
+  const range = (score.max ?? 100) - min;
+  return range > 0 ? Math.min(Math.max((score.raw - min) / range, 0), 1) : null;
+};
+
+const getRetryValue = (itemScore) =>
+  itemScore !== null && itemScore < RETRY_BELOW_SCORE ? (RETRY_BELOW_SCORE - itemScore) / RETRY_BELOW_SCORE : 0;
+
+/**
+ * Load the weights, falling back to the defaults
+ * @returns {Object} Weights by signal
+ */
+const loadWeights = async () => {
+  const settings = await RecommendationSettings.findOne({ key: 'global' }).lean();
+  return { ...RecommendationSettings.DEFAULT_WEIGHTS, ...(settings?.weights || {}) };
+};
+
+/**
+ * Score a candidate and pick the reasons to show
+ * @param {Object} values - 0-1 value by signal
+ * @param {Object} weights - Weight by signal
+ * @param {Object} reasonTexts - Reason text by signal
+ * @returns {Object} { score, reasons: [{ code, text }] }
+ */
+const scoreCandidate = (values, weights, reasonTexts) => {
+  const totalWeight = Object.keys(weights).reduce((sum, signal) => sum + weights[signal], 0);
+  const weightedSum = Object.keys(weights).reduce((sum, signal) => sum + weights[signal] * (values[signal] || 0), 0);
+
+  const reasons = Object.keys(values)
+    .filter((signal) => weights[signal] > 0 && values[signal] >= REASON_MIN_VALUE && reasonTexts[signal])
+    .sort((a, b) => weights[b] * values[b] - weights[a] * values[a])
+    .slice(0, MAX_REASONS)
+    .map((signal) => ({ code: signal, text: reasonTexts[signal] }));
+
+  return {
+    score: totalWeight ? Math.round((weightedSum / totalWeight) * 100) : 0,
+    reasons,
+  };
+};
+
+/**
+ * Course content the child can do next or should retry
+ *
+ * Unlocked courses contribute the unfinished items of their current step;
+ * any started course contributes items with a low SCORM/quiz score.
+ * Courses paused by a parent or teacher are filtered out by the caller.
+ *
+ * @returns {Array} [{ course, progress, item, progressItem }]
+ */
+const collectCourseCandidates = (courses, progressByCourse) => {
+  const candidates = [];
+
+  courses.forEach((course) => {
+    const progress = progressByCourse.get(String(course._id));
+    if (!progress || progress.status === 'locked') return;
+
+    const findProgressItem = (item) =>
+      (progress.contentProgress || []).find(
+        (entry) =>
+          String(entry.contentId) === String(item.contentId) &&
+          entry.contentType === item.contentType &&
+          entry.step === item.step
+      );
+
+    const contents = (course.contents || []).map((item) => ({ item, progressItem: findProgressItem(item) }));
+    const unfinished = contents.filter(({ progressItem }) => progressItem?.status !== 'completed');
+    const currentStep = progress.status !== 'completed' && unfinished.length
+      ? Math.min(...unfinished.map(({ item }) => item.step))
+      : null;
+
+    contents.forEach(({ item, progressItem }) => {
+      const isNext = currentStep !== null && item.step === currentStep && progressItem?.status !== 'completed';
+      const isRetry = getRetryValue(getItemScore(progressItem)) > 0;
+      if (isNext || isRetry) {
+        candidates.push({ course, progress, item, progressItem });
+      }
+    });
+  });
+
+  return candidates;
+};
+
+/**
+ * Get "what to do next" recommendations for a child
+ *
+ * @param {String} childId - Child's MongoDB ID
+ * @param {Object} [options]
+ * @param {Number} [options.limit] - Course content items (default 5, max 20)
+ * @param {Number} [options.exploreLimit] - Explore videos (default 3, max 20)
+ * @param {Date} [options.now] - Reference time (time of day)
+ * @returns {Object} { generatedAt, context, items, exploreVideos }
+ * @throws {Error} 404 child not found
+ */
+const getChildRecommendations = async (childId, options = {}) => {
+  const limit = Math.max(parseLimit(options.limit, DEFAULT_LIMIT), 1);
+  const exploreLimit = parseLimit(options.exploreLimit, DEFAULT_EXPLORE_LIMIT);
+  const now = options.now || new Date();
+
+  const child = await ChildProfile.findById(childId).select('age timezone').lean();
+  if (!child) {
+    throw createRecommendationError('Child not found', 404);
+  }
+
+  const [weights, streak, courses, allProgress, masteries, pausedCourseIds] = await Promise.all([
+    loadWeights(),
+    streakService.getStreak(childId),
+    Course.find({ isPublished: true, isArchived: false }).select('title coverImage contents ageRange').lean(),
+    CourseProgress.find({ child: childId }).lean(),
+    SkillMastery.find({ child: childId }).select('skill score').lean(),
+    CourseAssignment.distinct('course', { child: childId, status: 'paused' }),
+  ]);
+
+  const timezone = child.timezone || 'UTC';
+  const localHour = getLocalHour(timezone, now);
+  const timeOfDay = getTimeOfDay(localHour);
+
+  // Completed items per content type, relative to the child's favourite type
+  const completionsByType = {};
+  allProgress.forEach((progress) => {
+    (progress.contentProgress || [])
+      .filter((entry) => entry.status === 'completed')
+      .forEach((entry) => {
+        completionsByType[entry.contentType] = (completionsByType[entry.contentType] || 0) + 1;
+      });
+  });
+  const mostCompleted = Math.max(0, ...Object.values(completionsByType));
+  const getTypePreference = (contentType) =>
+    mostCompleted ? (completionsByType[contentType] || 0) / mostCompleted : 0.5;
+
+  const streakReason = streak.atRisk ? 'Quick win to keep your streak!' : 'Quick win to start a streak';
+
+  // ===== Course content =====
+  // Paused assignments keep their saved progress status, so they are left out here
+  const pausedIds = new Set(pausedCourseIds.map(String));
+  const openCourses = courses.filter((course) => !pausedIds.has(String(course._id)));
+  const progressByCourse = new Map(allProgress.map((progress) => [String(progress.course), progress]));
+  const candidates = collectCourseCandidates(openCourses, progressByCourse);
+
+  const idsByType = {};
+  candidates.forEach(({ item }) => {
+    if (!CONTENT_MODELS[item.contentType]) return;
+    idsByType[item.contentType] = idsByType[item.contentType] || new Set();
+    idsByType[item.contentType].add(String(item.contentId));
+  });
+
+  const contentByKey = new Map();
+  await Promise.all(
+    Object.entries(idsByType).map(async ([contentType, ids]) => {
+      const Model = CONTENT_MODELS[contentType];
+      const docs = await Model.find({ _id: { $in: [...ids] } }).select(CONTENT_FIELDS).lean();
+      docs.forEach((doc) => contentByKey.set(`${contentType}:${doc._id}`, doc));
+    })
+  );
+
+  const masteryBySkill = new Map(masteries.map((mastery) => [String(mastery.skill), mastery.score]));
+  const taggedSkillIds = [...new Set([...contentByKey.values()].flatMap((content) => (content.skills || []).map(String)))];
+  const skills = taggedSkillIds.length
+    ? await Skill.find({ _id: { $in: taggedSkillIds }, isActive: true }).select('name').lean()
+    : [];
+  const skillNames = new Map(skills.map((skill) => [String(skill._id), skill.name]));
+
+  const itemsByKey = new Map();
+  candidates.forEach(({ course, progress, item, progressItem }) => {
+    const key = `${item.contentType}:${item.contentId}`;
+    const content = contentByKey.get(key);
+    if (!content || content.isPublished === false) return;
+
+    const durationMinutes = getDurationMinutes(item.contentType, content);
+
+    // Gap of the weakest active skill the content practises (unpractised skills are a full gap)
+    const skillGaps = (content.skills || [])
+      .map(String)
+      .filter((skillId) => skillNames.has(skillId))
+      .map((skillId) => ({ skillId, gap: 1 - (masteryBySkill.get(skillId) || 0) / 100 }))
+      .sort((a, b) => b.gap - a.gap);
+    const weakestSkill = skillGaps[0] || null;
+
+    const values = {
+      continueCourse: progress.status === 'in_progress' && progress.progressPercentage > 0
+        ? Math.min(1, 0.5 + progress.progressPercentage / 200)
+        : 0,
+      ageFit: getAgeFit(child.age, course.ageRange),
+      skillGap: weakestSkill ? weakestSkill.gap : 0,
+      scoreRetry: getRetryValue(getItemScore(progressItem)),
+      typePreference: getTypePreference(item.contentType),
+      timeOfDay: TIME_OF_DAY_FIT[timeOfDay][item.contentType] ?? 0.5,
+      streak: getStreakValue(streak, durationMinutes),
+    };
+
+    const { score, reasons } = scoreCandidate(values, weights, {
+      continueCourse: 'Pick up where you left off',
+      ageFit: 'Just right for your age',
+      skillGap: weakestSkill ? `Practise ${skillNames.get(weakestSkill.skillId)}` : null,
+      scoreRetry: 'Try again and beat your score',
+      typePreference: 'You love this kind of activity',
+      timeOfDay: TIME_OF_DAY_REASONS[timeOfDay],
+      streak: streakReason,
+    });
+
+    // The same content can sit in several courses - keep its best placement
+    if (itemsByKey.has(key) && itemsByKey.get(key).score >= score) return;
+
+    itemsByKey.set(key, {
+      contentType: item.contentType,
+      contentId: content._id,
+      title: content.title,
+      coverImage: content.coverImage || content.thumbnail || null,
+      durationMinutes,
+      course: { _id: course._id, title: course.title },
+      step: item.step,
+      status: progressItem?.status || 'not_started',
+      score,
+      reasons,
+    });
+  });
+
+  const items = [...itemsByKey.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+
+  // ===== Explore videos =====
+  let exploreVideos = [];
+  if (exploreLimit > 0) {
+    // Replays are recordings of live classes, not something to recommend
+    const videos = await ExploreContent.find({ type: 'video', isPublished: true, videoType: { $ne: 'replay' } })
+      .select('title coverImage videoType videoFile duration')
+      .lean();
+    const watches = await VideoWatch.find({
+      child: childId,
+      video: { $in: videos.map((video) => video.videoFile).filter(Boolean) },
+      watchCount: { $gt: 0 },
+    })
+      .select('video')
+      .lean();
+    const watchedIds = new Set(watches.map((watch) => String(watch.video)));
+
+    exploreVideos = videos
+      .map((video) => {
+        const watched = watchedIds.has(String(video.videoFile));
+        const durationMinutes = video.duration ? Math.ceil(video.duration / 60) : null;
+        const values = {
+          ageFit: 0.5,
+          typePreference: getTypePreference('video'),
+          timeOfDay: TIME_OF_DAY_FIT[timeOfDay].explore,
+          streak: getStreakValue(streak, durationMinutes),
+          exploreVideo: watched ? 0.2 : 1,
+        };
+        const { score, reasons } = scoreCandidate(values, weights, {
+          typePreference: 'You love watching videos',
+          timeOfDay: TIME_OF_DAY_REASONS[timeOfDay],
+          streak: streakReason,
+          exploreVideo: 'Something new to watch',
+        });
+
+        return {
+          _id: video._id,
+          title: video.title,
+          coverImage: video.coverImage,
+          videoType: video.videoType,
+          durationMinutes,
+          watched,
+          score,
+          reasons,
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, exploreLimit);
+  }
+
+  return {
+    generatedAt: now,
+    context: {
+      age: child.age ?? null,
+      timezone,
+      localHour,
+      timeOfDay,
+      streak: {
+        currentStreak: streak.currentStreak,
+        activeToday: streak.activeToday,
+        atRisk: streak.atRisk,
+      },
+    },
+    items,
+    exploreVideos,
+  };
+};
+
+/**
+ * Get the recommendation weights
+ * @returns {Object} { weights, defaults, maxWeight, updatedAt, updatedBy }
+ */
+const getRecommendationSettings = async () => {
+  const settings = await RecommendationSettings.findOne({ key: 'global' })
+    .populate('updatedBy', 'name email')
+    .lean();
+
+  return {
+    weights: { ...RecommendationSettings.DEFAULT_WEIGHTS, ...(settings?.weights || {}) },
+    defaults: RecommendationSettings.DEFAULT_WEIGHTS,
+    maxWeight: RecommendationSettings.MAX_WEIGHT,
+    updatedAt: settings?.updatedAt || null,
+    updatedBy: settings?.updatedBy || null,
+  };
+};
+
+/**
+ * Update the recommendation weights
+ *
+ * @param {String} userId - Admin user's MongoDB ID
+ * @param {Object} data - { weights: { signal: Number } } (signals left out keep their weight)
+ * @returns {Object} Updated settings (see getRecommendationSettings)
+ * @throws {Error} 400 unknown signal or weight out of range
+ */
+const updateRecommendationSettings = async (userId, data = {}) => {
+  const { weights } = data;
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    throw createRecommendationError('Please provide weights');
+  }
+
+  const { DEFAULT_WEIGHTS, MAX_WEIGHT } = RecommendationSettings;
+  const updates = {};
+  Object.entries(weights).forEach(([signal, value]) => {
+    if (!(signal in DEFAULT_WEIGHTS)) {
+      throw createRecommendationError(`Unknown recommendation signal: ${signal}`);
+    }
+    const weight = Number(value);
+    if (value === '' || value === null || Number.isNaN(weight) || weight < 0 || weight > MAX_WEIGHT) {
+      throw createRecommendationError(`Weight of ${signal} must be a number from 0 to ${MAX_WEIGHT}`);
+    }
+    updates[`weights.${signal}`] = weight;
+  });
+
+  await RecommendationSettings.findOneAndUpdate(
+    { key: 'global' },
+    { $set: { ...updates, updatedBy: userId } },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  return getRecommendationSettings();
+};
+
+module.exports = {
+  getChildRecommendations,
+  getRecommendationSettings,
+  updateRecommendationSettings,
+};
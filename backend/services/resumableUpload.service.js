@@ -0,0 +1,379 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+const { promisify } = require('util');
+
+const { ResumableUpload } = require('../models');
+
+const pipelineAsync = promisify(pipeline);
+
+/**
+ * Resumable Upload Service
+ *
+ * Chunk/offset upload protocol (modelled on tus) for files too large to send
+ * in one request:
+ *
+ * 1. createUpload() registers the file and returns its id and offset (0, or
+ *    the bytes already received when the same file was started before)
+ * 2. appendChunk() writes bytes at the current offset, after checking the
+ *    chunk's SHA-256; a chunk that fails half-way is discarded, so the client
+ *    retries it from the same offset
+ * 3. after the last chunk the whole file is hashed (and compared with the
+ *    checksum given at creation, if any) and the upload is completed
+ * 4. consumeUpload() moves the file to where a create request needs it
+ *    (see attachResumableUploads in middleware/upload.js)
+ *
+ * Uploads without a chunk for UPLOAD_TTL_MS expire and are deleted.
+ */
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'quarantine', 'uploads');
+const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+
+// Accepted files and size limits per purpose
+const UPLOAD_PURPOSES = {
+  scorm: {
+    maxSize: 500 * 1024 * 1024,
+    accepts: (fileName, mimeType) =>
+      ['application/zip', 'application/x-zip-compressed'].includes(mimeType) ||
+      path.extname(fileName).toLowerCase() === '.zip',
+    typeError: 'SCORM file must be a ZIP file',
+  },
+  video: {
+    maxSize: 2 * 1024 * 1024 * 1024,
+    accepts: (fileName, mimeType) => mimeType.startsWith('video/'),
+    typeError: 'Video file must be a video file',
+  },
+};
+
+// Uploads with a chunk being written right now (one writer per upload)
+const activeWrites = new Set();
+
+const createUploadError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getPartPath = (upload) => path.join(UPLOAD_DIR, `${upload._id}.part`);
+
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+
+/**
+ * Parse an Upload-Checksum header ("sha256 <base64 digest>")
+ * @param {String} header
+ * @returns {String|null} Base64 digest, or null when no header was sent
+ * @throws {Error} If another algorithm is used
+ */
+const parseChecksumHeader = (header) => {
+  if (!header) return null;
+  const [algorithm, digest] = String(header).trim().split(/\s+/);
+  if (algorithm.toLowerCase() !== 'sha256' || !digest) {
+    throw createUploadError('Upload-Checksum must be "sha256 <base64 digest>"');
+  }
+  return digest;
+};
+
+/**
+ * Public view of an upload
+ * @param {Object} upload - ResumableUpload document
+ * @returns {Object}
+ */
+const formatUpload = (upload) => ({
+  id: upload._id,
+  purpose: upload.purpose,
+  fileName: upload.fileName,
+  mimeType: upload.mimeType,
+  size: upload.size,
+  offset: upload.offset,
+  status: upload.status,
+  sha256: upload.sha256,
+  maxChunkSize: MAX_CHUNK_SIZE,
+  expiresAt: upload.expiresAt,
+});
+
+const findOwnUpload = async (uploadId, userId) => {
+  if (!uploadId || !String(uploadId).match(/^[0-9a-fA-F]{24}$/)) {
+    throw createUploadError('Upload not found', 404);
+  }
+  const upload = await ResumableUpload.findOne({ _id: uploadId, uploadedBy: userId });
+  if (!upload || upload.expiresAt < new Date()) {
+    throw createUploadError('Upload not found', 404);
+  }
+  return upload;
+};
+
+/**
+ * Delete expired uploads and their partial files
+ * @returns {Promise<Number>} Uploads deleted
+ */
+const removeExpiredUploads = async () => {
+  const expired = await ResumableUpload.find({
+    $or: [
+      { expiresAt: { $lt: new Date() } },
+      { status: 'consumed' },
+    ],
+  }).select('_id');
+
+  for (const upload of expired) {
+    await fs.remove(getPartPath(upload));
+  }
+  if (expired.length > 0) {
+    await ResumableUpload.deleteMany({ _id: { $in: expired.map((upload) => upload._id) } });
+  }
+  return expired.length;
+};
+
+/**
+ * Start an upload, or return the unfinished upload of the same file
+ * @param {String} userId - Uploading admin/teacher
+ * @param {Object} data
+ * @param {String} data.purpose - 'scorm' or 'video'
+ * @param {String} data.fileName
+ * @param {Number} data.size - Total bytes
+ * @param {String} [data.mimeType]
+ * @param {String} [data.fingerprint] - Client identity of the file, for resuming
+ * @param {String} [data.checksum] - SHA-256 (hex) of the whole file
+ * @returns {Promise<Object>} Upload (formatUpload)
+ * @throws {Error} If the file type or size is not accepted
+ */
+const createUpload = async (userId, data = {}) => {
+  const { purpose, fileName, mimeType = 'application/octet-stream', fingerprint, checksum } = data;
+  const size = parseInt(data.size, 10);
+
+  const rules = UPLOAD_PURPOSES[purpose];
+  if (!rules) {
+    throw createUploadError(`Upload purpose must be one of: ${Object.keys(UPLOAD_PURPOSES).join(', ')}`);
+  }
+  if (!fileName || !String(fileName).trim()) {
+    throw createUploadError('Please provide the file name');
+  }
+  if (!Number.isFinite(size) || size < 1) {
+    throw createUploadError('Please provide the file size');
+  }
+  if (size > rules.maxSize) {
+    throw createUploadError(`File is too large (maximum ${Math.round(rules.maxSize / (1024 * 1024))}MB)`, 413);
+  }
+  if (!rules.accepts(String(fileName), String(mimeType))) {
+    throw createUploadError(rules.typeError);
+  }
+  if (checksum && !/^[0-9a-fA-F]{64}$/.test(checksum)) {
+    throw createUploadError('Checksum must be a SHA-256 hex digest');
+  }
+
+  await removeExpiredUploads();
+
+  if (fingerprint) {
+    const existing = await ResumableUpload.findOne({
+      uploadedBy: userId,
+      fingerprint,
+      purpose,
+      size,
+      status: { $in: ['uploading', 'completed'] },
+      expiresAt: { $gt: new Date() },
+    });
+    if (existing) {
+      // The part file may have been lost (e.g. quarantine emptied); start over then
+      const partSize = (await fs.pathExists(getPartPath(existing)))
+        ? (await fs.stat(getPartPath(existing))).size
+        : -1;
+      if (partSize === existing.offset) {
+        return formatUpload(existing);
+      }
+      await fs.remove(getPartPath(existing));
+      await ResumableUpload.deleteOne({ _id: existing._id });
+    }
+  }
+
+  const upload = await ResumableUpload.create({
+    uploadedBy: userId,
+    purpose,
+    fileName: path.basename(String(fileName).trim()),
+    mimeType,
+    size,
+    fingerprint: fingerprint || null,
+    checksum: checksum ? checksum.toLowerCase() : null,
+    expiresAt: new Date(Date.now() + UPLOAD_TTL_MS),
+  });
+
+  await fs.ensureDir(UPLOAD_DIR);
+  await fs.writeFile(getPartPath(upload), Buffer.alloc(0));
+
+  return formatUpload(upload);
+};
+
+/**
+ * Current state of an upload (the offset to continue from)
+ * @param {String} uploadId
+ * @param {String} userId
+ * @returns {Promise<Object>} Upload (formatUpload)
+ */
+const getUpload = async (uploadId, userId) => formatUpload(await findOwnUpload(uploadId, userId));
+
+/**
+ * Write one chunk at the upload's offset
+ * @param {String} uploadId
+ * @param {String} userId
+ * @param {Object} chunk
+ * @param {Number} chunk.offset - Upload-Offset the client sent
+ * @param {Readable} chunk.stream - Chunk bytes (the request)
+ * @param {String} [chunk.checksum] - Upload-Checksum header
+ * @returns {Promise<Object>} Upload (formatUpload), completed after the last chunk
+ * @throws {Error} 409 on an offset mismatch, 422 on a checksum mismatch
+ */
+const appendChunk = async (uploadId, userId, { offset, stream, checksum }) => {
+  const upload = await findOwnUpload(uploadId, userId);
+  const expectedDigest = parseChecksumHeader(checksum);
+  const chunkOffset = parseInt(offset, 10);
+
+  if (upload.status !== 'uploading') {
+    throw createUploadError(`Upload is ${upload.status}`, 409);
+  }
+  if (!Number.isFinite(chunkOffset) || chunkOffset !== upload.offset) {
+    throw createUploadError(`Upload offset mismatch: expected ${upload.offset}`, 409);
+  }
+
+  const uploadKey = String(upload._id);
+  if (activeWrites.has(uploadKey)) {
+    throw createUploadError('Another chunk of this upload is being written', 409);
+  }
+  activeWrites.add(uploadKey);
+
+  const partPath = getPartPath(upload);
+  const maxBytes = Math.min(MAX_CHUNK_SIZE, upload.size - upload.offset);
+  const hash = crypto.createHash('sha256');
+  let received = 0;
+
+  try {
+    if (!(await fs.pathExists(partPath))) {
+      throw createUploadError('Upload data is missing, please start the upload again', 410);
+    }
+
+    try {
+      await pipelineAsync(
+        stream,
+        new Transform({
+          transform(data, encoding, callback) {
+            received += data.length;
+            if (received > maxBytes) {
+              callback(createUploadError(`Chunk is too large (at most ${maxBytes} bytes expected)`, 413));
+              return;
+            }
+            hash.update(data);
+            callback(null, data);
+          },
+        }),
+        fs.createWriteStream(partPath, { flags: 'r+', start: upload.offset })
+      );
+    } catch (error) {
+      await fs.truncate(partPath, upload.offset);
+      throw error.statusCode ? error : createUploadError('Chunk upload was interrupted');
+    }
+
+    if (received === 0) {
+      throw createUploadError('Chunk is empty');
+    }
+    if (expectedDigest && hash.digest('base64') !== expectedDigest) {
+      await fs.truncate(partPath, upload.offset);
+      throw createUploadError('Chunk checksum mismatch', 422);
+    }
+
+    upload.offset += received;
+    upload.expiresAt = new Date(Date.now() + UPLOAD_TTL_MS);
+
+    if (upload.offset === upload.size) {
+      upload.sha256 = await hashFile(partPath);
+      if (upload.checksum && upload.checksum !== upload.sha256) {
+        upload.status = 'failed';
+        upload.error = 'File checksum mismatch';
+        await upload.save();
+        await fs.remove(partPath);
+        throw createUploadError('File checksum mismatch, please upload the file again', 422);
+      }
+      upload.status = 'completed';
+      upload.completedAt = new Date();
+    }
+
+    await upload.save();
+    return formatUpload(upload);
+  } finally {
+    activeWrites.delete(uploadKey);
+  }
+};
+
+/**
+ * Cancel an upload and delete what was received
+ * @param {String} uploadId
+ * @param {String} userId
+ */
+const abortUpload = async (uploadId, userId) => {
+  const upload = await findOwnUpload(uploadId, userId);
+  if (activeWrites.has(String(upload._id))) {
+    throw createUploadError('A chunk of this upload is being written', 409);
+  }
+  await fs.remove(getPartPath(upload));
+  await ResumableUpload.deleteOne({ _id: upload._id });
+};
+
+/**
+ * Move a completed upload's file to targetPath and mark it consumed;
+ * an upload can only be used once
+ * @param {String} uploadId
+ * @param {String} userId - Must be the uploader
+ * @param {Object} options
+ * @param {String} options.purpose - Purpose the file is used for
+ * @param {Function} options.getTargetPath - (upload) => absolute path to move the file to
+ * @returns {Promise<Object>} { upload, path } with the upload document and the file's new path
+ * @throws {Error} If the upload is unknown, unfinished or for another purpose
+ */
+const consumeUpload = async (uploadId, userId, { purpose, getTargetPath }) => {
+  const upload = await findOwnUpload(uploadId, userId);
+  if (upload.purpose !== purpose) {
+    throw createUploadError(`Upload ${uploadId} is not a ${purpose} upload`);
+  }
+  if (upload.status !== 'completed') {
+    throw createUploadError(
+      upload.status === 'consumed' ? 'Upload has already been used' : 'Upload is not complete',
+      409
+    );
+  }
+
+  // Claim the upload first so two requests cannot use the same file
+  const claimed = await ResumableUpload.findOneAndUpdate(
+    { _id: upload._id, status: 'completed' },
+    { status: 'consumed' },
+    { new: true }
+  );
+  if (!claimed) {
+    throw createUploadError('Upload has already been used', 409);
+  }
+
+  const targetPath = getTargetPath(claimed);
+  try {
+    await fs.move(getPartPath(claimed), targetPath);
+  } catch (error) {
+    await ResumableUpload.updateOne({ _id: claimed._id }, { status: 'completed' });
+    throw error;
+  }
+
+  return { upload: claimed, path: targetPath };
+};
+
+module.exports = {
+  UPLOAD_PURPOSES,
+  MAX_CHUNK_SIZE,
+  createUpload,
+  getUpload,
+  appendChunk,
+  abortUpload,
+  consumeUpload,
+  removeExpiredUploads,
+};
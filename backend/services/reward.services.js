@@ -0,0 +1,409 @@
+const path = require('path');
+const { RewardItem, ChildReward, ChildProfile, ChildStats } = require('../models');
+
+/**
+ * Reward Shop Service
+ *
+ * Admin-managed reward items and child purchases
+ * Purchases debit the spendable balance (ChildStats.spentStars) and never
+ * reduce totalStars, so level badges are unaffected by spending
+ */
+
+const REWARD_TYPES = ['avatar_frame', 'sticker', 'theme', 'certificate'];
+
+// Reward types where only one item can be equipped at a time
+const EXCLUSIVE_EQUIP_TYPES = ['avatar_frame', 'theme'];
+
+/**
+ * Convert an uploaded reward image to its public /uploads URL
+ * @param {Object} file - Multer file object
+ * @returns {String|null} Public URL path
+ */
+const rewardImageUrl = (file) => {
+  if (!file) return null;
+  return `/uploads/rewards/${path.basename(file.path)}`;
+};
+
+/**
+ * Verify a child belongs to the parent
+ * @param {String} childId - Child profile ID
+ * @param {String} parentId - Parent user ID
+ * @returns {Object} Child profile
+ * @throws {Error} If child not found or doesn't belong to parent
+ */
+const verifyChildOwnership = async (childId, parentId) => {
+  const child = await ChildProfile.findOne({ _id: childId, parent: parentId });
+  if (!child) {
+    throw new Error('Child profile not found or does not belong to you');
+  }
+  return child;
+};
+
+/**
+ * Build the balance summary returned with shop responses
+ * @param {Object} stats - ChildStats document
+ * @returns {Object} { totalStars, spentStars, spendableStars }
+ */
+const buildBalance = (stats) => {
+  const totalStars = stats?.totalStars || 0;
+  const spentStars = stats?.spentStars || 0;
+  return {
+    totalStars,
+    spentStars,
+    spendableStars: Math.max(0, totalStars - spentStars),
+  };
+};
+
+/**
+ * Parse reward metadata sent as a JSON string (multipart forms) or an object
+ *
+ * @param {String|Object} metadata - Metadata from the request body
+ * @returns {Object} Parsed metadata
+ * @throws {Error} If the string is not valid JSON
+ */
+const parseMetadata = (metadata) => {
+  if (typeof metadata !== 'string') return metadata || {};
+  try {
+    return JSON.parse(metadata || '{}');
+  } catch (error) {
+    throw new Error('Invalid metadata: must be valid JSON');
+  }
+};
+
+/**
+ * Create a reward item (Admin only)
+ *
+ * @param {String} adminId - Admin user ID
+ * @param {Object} rewardData - Reward fields (name, description, type, cost, metadata, order)
+ * @param {Object} [file] - Uploaded image file
+ * @returns {Object} Created reward item
+ */
+const createReward = async (adminId, rewardData, file) => {
+  const { name, description, type, cost, metadata, order } = rewardData;
+
+  if (!name || !name.trim()) {
+    throw new Error('Please provide a reward name');
+  }
+
+  if (!REWARD_TYPES.includes(type)) {
+    throw new Error(`Invalid reward type. Must be one of: ${REWARD_TYPES.join(', ')}`);
+  }
+
+  const costNum = parseInt(cost, 10);
+  if (isNaN(costNum) || costNum < 0) {
+    throw new Error('Invalid cost. Cost must be a number of stars (0 or more)');
+  }
+
+  const parsedMetadata = parseMetadata(metadata);
+
+  const reward = await RewardItem.create({
+    name: name.trim(),
+    description: description ? description.trim() : undefined,
+    type,
+    cost: costNum,
+    image: rewardImageUrl(file),
+    metadata: parsedMetadata,
+    order: order !== undefined ? parseInt(order, 10) || 0 : 0,
+    createdBy: adminId,
+  });
+
+  return reward;
+};
+
+/**
+ * Get reward items with filtering and pagination (Admin)
+ *
+ * @param {Object} filters - Filter options (type, isActive, search)
+ * @param {Object} pagination - Pagination options (page, limit)
+ * @returns {Object} Paginated reward items
+ */
+const getRewards = async (filters = {}, pagination = {}) => {
+  const { type, isActive, search } = filters;
+  const { page = 1, limit = 20 } = pagination;
+
+  const query = {};
+
+  if (type) {
+    query.type = type;
+  }
+
+  if (isActive !== undefined && isActive !== '') {
+    query.isActive = isActive === 'true' || isActive === true;
+  }
+
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { description: { $regex: search, $options: 'i' } },
+    ];
+  }
+
+  const skip = (page - 1) * limit;
+  const total = await RewardItem.countDocuments(query);
+
+  const rewards = await RewardItem.find(query)
+    .populate('createdBy', 'name email')
+    .sort({ order: 1, createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit))
+    .lean();
+
+  return {
+    rewards,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Update a reward item (Admin only)
+ *
+ * @param {String} rewardId - Reward item ID
+ * @param {Object} updateData - Fields to update
+ * @param {Object} [file] - New uploaded image file
+ * @returns {Object} Updated reward item
+ */
+const updateReward = async (rewardId, updateData, file) => {
+  const reward = await RewardItem.findById(rewardId);
+  if (!reward) {
+    throw new Error('Reward not found');
+  }
+
+  const { name, description, type, cost, metadata, order, isActive } = updateData;
+
+  if (name !== undefined) {
+    if (!name.trim()) {
+      throw new Error('Reward name cannot be empty');
+    }
+    reward.name = name.trim();
+  }
+
+  if (description !== undefined) {
+    reward.description = description.trim();
+  }
+
+  if (type !== undefined) {
+    if (!REWARD_TYPES.includes(type)) {
+      throw new Error(`Invalid reward type. Must be one of: ${REWARD_TYPES.join(', ')}`);
+    }
+    reward.type = type;
+  }
+
+  if (cost !== undefined) {
+    const costNum = parseInt(cost, 10);
+    if (isNaN(costNum) || costNum < 0) {
+      throw new Error('Invalid cost. Cost must be a number of stars (0 or more)');
+    }
+    reward.cost = costNum;
+  }
+
+  if (metadata !== undefined) {
+    reward.metadata = parseMetadata(metadata);
+  }
+
+  if (order !== undefined) {
+    reward.order = parseInt(order, 10) || 0;
+  }
+
+  if (isActive !== undefined) {
+    reward.isActive = isActive === 'true' || isActive === true;
+  }
+
+  if (file) {
+    reward.image = rewardImageUrl(file);
+  }
+
+  await reward.save();
+
+  return RewardItem.findById(rewardId).populate('createdBy', 'name email').lean();
+};
+
+/**
+ * Archive a reward item (Admin only)
+ * Soft delete so children keep items they already own
+ *
+ * @param {String} rewardId - Reward item ID
+ * @returns {Object} Archived reward item
+ */
+const deleteReward = async (rewardId) => {
+  const reward = await RewardItem.findByIdAndUpdate(
+    rewardId,
+    { isActive: false },
+    { new: true }
+  ).lean();
+
+  if (!reward) {
+    throw new Error('Reward not found');
+  }
+
+  return reward;
+};
+
+/**
+ * Get the shop for a child: active reward items with owned/equipped flags and balance
+ *
+ * @param {String} childId - Child profile ID
+ * @param {String} parentId - Parent user ID (for verification)
+ * @param {Object} filters - Optional filters (type)
+ * @returns {Object} { balance, items }
+ */
+const getShopForChild = async (childId, parentId, filters = {}) => {
+  await verifyChildOwnership(childId, parentId);
+
+  const query = { isActive: true };
+  if (filters.type) {
+    query.type = filters.type;
+  }
+
+  const [items, owned, stats] = await Promise.all([
+    RewardItem.find(query).select('-createdBy').sort({ order: 1, cost: 1 }).lean(),
+    ChildReward.find({ child: childId }).select('reward isEquipped').lean(),
+    ChildStats.findOne({ child: childId }).lean(),
+  ]);
+
+  const ownedMap = new Map(owned.map((entry) => [entry.reward.toString(), entry]));
+  const balance = buildBalance(stats);
+
+  return {
+    balance,
+    items: items.map((item) => {
+      const entry = ownedMap.get(item._id.toString());
+      return {
+        ...item,
+        owned: !!entry,
+        isEquipped: entry ? entry.isEquipped : false,
+        canAfford: balance.spendableStars >= item.cost,
+      };
+    }),
+  };
+};
+
+/**
+ * Purchase a reward item for a child
+ * Debits the spendable balance atomically; totalStars is left untouched
+ *
+ * @param {String} childId - Child profile ID
+ * @param {String} parentId - Parent user ID (for verification)
+ * @param {String} rewardId - Reward item ID
+ * @returns {Object} { purchase, balance }
+ */
+const purchaseReward = async (childId, parentId, rewardId) => {
+  await verifyChildOwnership(childId, parentId);
+
+  const reward = await RewardItem.findOne({ _id: rewardId, isActive: true });
+  if (!reward) {
+    throw new Error('Reward not found or no longer available');
+  }
+
+  const alreadyOwned = await ChildReward.exists({ child: childId, reward: rewardId });
+  if (alreadyOwned) {
+    throw new Error('Reward already owned');
+  }
+
+  // Make sure a stats document exists before the conditional debit
+  await ChildStats.getOrCreate(childId);
+
+  const stats = await ChildStats.spendStars(childId, reward.cost);
+  if (!stats) {
+    throw new Error('Not enough stars to buy this reward');
+  }
+
+  let purchase;
+  try {
+    purchase = await ChildReward.create({
+      child: childId,
+      reward: reward._id,
+      starsSpent: reward.cost,
+      rewardType: reward.type,
+    });
+  } catch (error) {
+    // Give the stars back if the inventory write failed (e.g. a double-tap purchase)
+    await ChildStats.refundStars(childId, reward.cost);
+    if (error.code === 11000) {
+      throw new Error('Reward already owned');
+    }
+    throw error;
+  }
+
+  const populated = await ChildReward.findById(purchase._id)
+    .populate('reward', 'name description type cost image metadata')
+    .lean();
+
+  return {
+    purchase: populated,
+    balance: buildBalance(stats),
+  };
+};
+
+/**
+ * Get a child's reward inventory
+ *
+ * @param {String} childId - Child profile ID
+ * @param {String} parentId - Parent user ID (for verification)
+ * @returns {Object} { balance, items }
+ */
+const getChildInventory = async (childId, parentId) => {
+  await verifyChildOwnership(childId, parentId);
+
+  const [items, stats] = await Promise.all([
+    ChildReward.find({ child: childId })
+      .populate('reward', 'name description type cost image metadata')
+      .sort({ purchasedAt: -1 })
+      .lean(),
+    ChildStats.findOne({ child: childId }).lean(),
+  ]);
+
+  return {
+    balance: buildBalance(stats),
+    items,
+  };
+};
+
+/**
+ * Equip or unequip an owned reward
+ * Avatar frames and themes are exclusive: equipping one unequips the others of that type
+ *
+ * @param {String} childId - Child profile ID
+ * @param {String} parentId - Parent user ID (for verification)
+ * @param {String} childRewardId - Inventory entry ID
+ * @param {Boolean} equip - true to equip, false to unequip
+ * @returns {Object} Updated inventory entry
+ */
+const equipReward = async (childId, parentId, childRewardId, equip = true) => {
+  await verifyChildOwnership(childId, parentId);
+
+  const entry = await ChildReward.findOne({ _id: childRewardId, child: childId });
+  if (!entry) {
+    throw new Error('Reward not found in inventory');
+  }
+
+  if (equip && EXCLUSIVE_EQUIP_TYPES.includes(entry.rewardType)) {
+    await ChildReward.updateMany(
+      { child: childId, rewardType: entry.rewardType, _id: { $ne: entry._id } },
+      { isEquipped: false }
+    );
+  }
+
+  entry.isEquipped = !!equip;
+  await entry.save();
+
+  return ChildReward.findById(entry._id)
+    .populate('reward', 'name description type cost image metadata')
+    .lean();
+};
+
+module.exports = {
+  REWARD_TYPES,
+  createReward,
+  getRewards,
+  updateReward,
+  deleteReward,
+  getShopForChild,
+  purchaseReward,
+  getChildInventory,
+  equipReward,
+};
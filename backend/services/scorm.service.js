@@ -2,6 +2,7 @@ const AdmZip = require('adm-zip');
 const fs = require('fs-extra');
 const path = require('path');
 const { parseString } = require('xml2js');
+const storageService = require('./storage.service');
 
 /**
  * SCORM Service
@@ -9,24 +10,325 @@ const { parseString } = require('xml2js');
  * Handles SCORM package extraction, parsing, and validation
  */
 
+// Limits applied to every SCORM ZIP before anything is written outside quarantine
+const SCORM_LIMITS = {
+  maxEntries: 10000,
+  maxTotalSize: 1024 * 1024 * 1024, // 1GB decompressed
+  maxEntrySize: 300 * 1024 * 1024, // 300MB per file
+  maxCompressionRatio: 100, // Decompressed / compressed, per file
+};
+
+// File types a SCORM package may contain
+const SCORM_ALLOWED_EXTENSIONS = new Set([
+  // Markup, scripts, data
+  '.html', '.htm', '.xhtml', '.js', '.mjs', '.css', '.json', '.xml', '.xsd', '.dtd', '.txt', '.csv', '.map',
+  // Images
+  '.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.bmp', '.ico',
+  // Audio / video / captions
+  '.mp3', '.wav', '.ogg', '.oga', '.m4a', '.aac', '.mp4', '.m4v', '.webm', '.ogv', '.mov', '.vtt', '.srt',
+  // Fonts
+  '.woff', '.woff2', '.ttf', '.otf', '.eot',
+  // Documents and legacy players
+  '.pdf', '.swf',
+]);
+
+// OS metadata that is skipped instead of rejected
+const SCORM_IGNORED_ENTRY_PATTERN = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$|desktop\.ini$)/i;
+
+// Manifest locations findManifestFile() looks at
+const SCORM_MANIFEST_PATHS = ['imsmanifest.xml', 'manifest/imsmanifest.xml', 'ims/imsmanifest.xml'];
+
+// Uploaded ZIPs and extractions wait here until validation passes (not served statically)
+const SCORM_QUARANTINE_DIR = path.join(__dirname, '../quarantine/scorm');
+
+/**
+ * Check whether a ZIP entry is a symbolic link (Unix mode stored in the external attributes)
+ * @param {Object} entry - AdmZip entry
+ * @returns {boolean} True for symlinks
+ */
+function isSymlinkEntry(entry) {
+  const unixMode = (entry.header.attr >>> 16) & 0o170000;
+  return unixMode === 0o120000;
+}
+
+/**
+ * Normalize a ZIP entry name and check it stays inside the package root
+ * @param {string} entryName - Entry name from the ZIP directory
+ * @returns {string|null} Safe relative path, or null for traversal / absolute paths
+ */
+function getSafeEntryPath(entryName) {
+  const name = entryName.replace(/\\/g, '/');
+  if (name.includes('\0') || name.startsWith('/') || /^[a-zA-Z]:/.test(name)) {
+    return null;
+  }
+  const normalized = path.posix.normalize(name);
+  if (normalized === '..' || normalized.startsWith('../') || normalized.split('/').includes('..')) {
+    return null;
+  }
+  return normalized;
+}
+
+/**
+ * Read version and title from imsmanifest.xml for the validation report
+ * @param {string} xml - Manifest XML
+ * @returns {Promise<Object>} { scormVersion, title }
+ */
+async function readScormManifestSummary(xml) {
+  const manifest = await parseManifestXml(xml);
+  return {
+    scormVersion: detectScormVersion(manifest).version,
+    title: getOrganizationTree(manifest)?.title || null,
+  };
+}
+
+/**
+ * Inspect a SCORM package ZIP without extracting it
+ *
+ * Rejects path traversal, absolute paths, symlinks, too many entries,
+ * oversized or suspiciously compressed files (zip bombs) and file types
+ * outside the allowlist. OS metadata (__MACOSX, .DS_Store) is skipped with a warning.
+ *
+ * Other ZIP-based package formats (cmi5) reuse the checks with their own manifest.
+ *
+ * @param {string} zipPath - Path to the ZIP file
+ * @param {string} [fileName] - Original file name, for the report
+ * @param {Object} [options]
+ * @param {string} [options.label] - Package format name used in messages (default: SCORM)
+ * @param {Array<string>} [options.manifestPaths] - Accepted manifest locations (lowercase)
+ * @param {Function} [options.readManifest] - async (xml) => fields merged into the report (throws on invalid XML)
+ * @returns {Promise<Object>} Validation report
+ *   { valid, fileName, entryCount, fileCount, totalSize, compressedSize,
+ *     scormVersion, title, errors: [{ code, message, entry }], warnings: [{ code, message, entry }] }
+ */
+async function inspectScormPackage(zipPath, fileName = path.basename(zipPath), options = {}) {
+  const {
+    label = 'SCORM',
+    manifestPaths = SCORM_MANIFEST_PATHS,
+    readManifest = readScormManifestSummary,
+  } = options;
+  const report = {
+    valid: false,
+    fileName,
+    entryCount: 0,
+    fileCount: 0,
+    totalSize: 0,
+    compressedSize: 0,
+    scormVersion: null,
+    title: null,
+    errors: [],
+    warnings: [],
+  };
+  const addError = (code, message, entry = null) => report.errors.push({ code, message, entry });
+  const addWarning = (code, message, entry = null) => report.warnings.push({ code, message, entry });
+
+  let entries;
+  try {
+    entries = new AdmZip(zipPath).getEntries();
+  } catch (error) {
+    addError('invalid_zip', `File is not a readable ZIP archive: ${error.message}`);
+    return report;
+  }
+
+  report.entryCount = entries.length;
+  if (entries.length > SCORM_LIMITS.maxEntries) {
+    addError('too_many_entries', `Package has ${entries.length} entries (limit ${SCORM_LIMITS.maxEntries})`);
+    return report;
+  }
+
+  let manifestEntry = null;
+  let ignoredCount = 0;
+  const skippedTypes = new Set();
+
+  for (const entry of entries) {
+    const safePath = getSafeEntryPath(entry.entryName);
+    if (!safePath) {
+      addError('path_traversal', 'Entry path points outside the package', entry.entryName);
+      continue;
+    }
+    if (isSymlinkEntry(entry)) {
+      addError('symlink', 'Symbolic links are not allowed', entry.entryName);
+      continue;
+    }
+    if (entry.isDirectory) {
+      continue;
+    }
+    if (SCORM_IGNORED_ENTRY_PATTERN.test(safePath)) {
+      ignoredCount += 1;
+      continue;
+    }
+
+    const extension = path.extname(safePath).toLowerCase();
+    if (!SCORM_ALLOWED_EXTENSIONS.has(extension)) {
+      if (!skippedTypes.has(extension)) {
+        skippedTypes.add(extension);
+        addError('file_type', `File type "${extension || '(none)'}" is not allowed in ${label} packages`, entry.entryName);
+      }
+      continue;
+    }
+
+    const size = entry.header.size;
+    const compressedSize = entry.header.compressedSize;
+    report.fileCount += 1;
+    report.totalSize += size;
+    report.compressedSize += compressedSize;
+
+    if (size > SCORM_LIMITS.maxEntrySize) {
+      addError('entry_too_large', `File is larger than ${Math.round(SCORM_LIMITS.maxEntrySize / 1024 / 1024)}MB`, entry.entryName);
+    } else if (size > 1024 * 1024 && compressedSize > 0 && size / compressedSize > SCORM_LIMITS.maxCompressionRatio) {
+      addError('compression_ratio', 'File is compressed suspiciously well (possible ZIP bomb)', entry.entryName);
+    }
+
+    if (manifestPaths.includes(safePath.toLowerCase()) &&
+        (!manifestEntry || safePath.length < manifestEntry.path.length)) {
+      manifestEntry = { entry, path: safePath };
+    }
+  }
+
+  if (ignoredCount > 0) {
+    addWarning('ignored_files', `${ignoredCount} OS metadata file(s) (__MACOSX, .DS_Store) will be skipped`);
+  }
+
+  if (report.totalSize > SCORM_LIMITS.maxTotalSize) {
+    addError('package_too_large', `Package decompresses to more than ${Math.round(SCORM_LIMITS.maxTotalSize / 1024 / 1024)}MB`);
+  }
+
+  if (!manifestEntry) {
+    addError('missing_manifest', `${manifestPaths[0]} not found at the package root`);
+  } else {
+    if (manifestEntry.path.includes('/')) {
+      addWarning('nested_manifest', `Manifest is not at the package root (${manifestEntry.path})`);
+    }
+    if (report.errors.length === 0) {
+      try {
+        Object.assign(report, await readManifest(manifestEntry.entry.getData().toString('utf-8')));
+      } catch (error) {
+        addError('invalid_manifest', error.message, manifestEntry.path);
+      }
+    }
+  }
+
+  report.valid = report.errors.length === 0;
+  return report;
+}
+
+/**
+ * Build the error thrown for a package that failed inspection
+ * @param {Object} report - Validation report from inspectScormPackage()
+ * @param {string} [label] - Package format name (default: SCORM)
+ * @returns {Error} Error with statusCode 400 and the report attached
+ */
+function createValidationError(report, label = 'SCORM') {
+  const first = report.errors[0];
+  const error = new Error(
+    `Invalid ${label} package: ${first.message}${first.entry ? ` (${first.entry})` : ''}` +
+    (report.errors.length > 1 ? ` and ${report.errors.length - 1} more problem(s)` : '')
+  );
+  error.statusCode = 400;
+  error.validationReport = report;
+  return error;
+}
+
+/**
+ * Validate an uploaded SCORM ZIP held in quarantine and release it to uploads/
+ *
+ * Multer writes SCORM uploads to the quarantine directory. A valid package is moved
+ * to uploads/activities/scorm and stored (file.path and file.storageKey are updated);
+ * an invalid one is deleted.
+ *
+ * @param {Object} file - Multer file object (path in quarantine)
+ * @returns {Promise<Object>} Validation report
+ * @throws {Error} With statusCode 400 and validationReport when the package is invalid
+ */
+async function releaseScormUpload(file) {
+  const report = await inspectScormPackage(file.path, file.originalname);
+
+  if (!report.valid) {
+    await fs.remove(file.path);
+    throw createValidationError(report);
+  }
+
+  const releasedPath = path.join(__dirname, '../uploads/activities/scorm', path.basename(file.path));
+  if (path.resolve(file.path) !== path.resolve(releasedPath)) {
+    await fs.move(file.path, releasedPath, { overwrite: true });
+    file.path = releasedPath;
+    file.destination = path.dirname(releasedPath);
+  }
+  file.storageKey = await storageService.saveFile(releasedPath, { contentType: 'application/zip' });
+
+  return report;
+}
+
 /**
  * Extract SCORM package ZIP file to specified directory
+ *
+ * The package is inspected first, extracted entry by entry into a quarantine
+ * directory, checked for a manifest, and only then moved to outputDir and
+ * stored with the storage driver (outputDir must be below uploads/).
+ *
  * @param {string} zipPath - Path to the ZIP file
  * @param {string} outputDir - Directory to extract to
+ * @param {Object} [options] - inspectScormPackage() options, plus:
+ * @param {Function} [options.validateExtracted] - async (dir) check of the extracted files (default: SCORM manifest check)
  * @returns {Promise<string>} Path to extracted directory
+ * @throws {Error} With validationReport when the package is rejected
  */
-async function extractScormPackage(zipPath, outputDir) {
+async function extractScormPackage(zipPath, outputDir, options = {}) {
+  const { label = 'SCORM', validateExtracted = validateScormPackage } = options;
+
+  const report = await inspectScormPackage(zipPath, path.basename(zipPath), options);
+  if (!report.valid) {
+    throw createValidationError(report, label);
+  }
+
+  const quarantineDir = path.join(
+    SCORM_QUARANTINE_DIR,
+    `extract-${Date.now()}-${Math.round(Math.random() * 1E9)}`
+  );
+
   try {
-    // Ensure output directory exists
-    await fs.ensureDir(outputDir);
-    
-    // Extract ZIP file
+    await fs.ensureDir(quarantineDir);
+
     const zip = new AdmZip(zipPath);
-    zip.extractAllTo(outputDir, true);
-    
+    let writtenSize = 0;
+
+    for (const entry of zip.getEntries()) {
+      const safePath = getSafeEntryPath(entry.entryName);
+      if (entry.isDirectory || SCORM_IGNORED_ENTRY_PATTERN.test(safePath)) {
+        continue;
+      }
+
+      const targetPath = path.join(quarantineDir, safePath);
+      if (!targetPath.startsWith(quarantineDir + path.sep)) {
+        throw new Error(`Entry path points outside the package (${entry.entryName})`);
+      }
+
+      const data = entry.getData();
+      // Declared sizes can lie - check what was actually decompressed
+      if (data.length !== entry.header.size) {
+        throw new Error(`Entry size does not match the ZIP directory (${entry.entryName})`);
+      }
+      writtenSize += data.length;
+      if (writtenSize > SCORM_LIMITS.maxTotalSize) {
+        throw new Error('Package decompresses to more than the allowed size');
+      }
+
+      await fs.outputFile(targetPath, data);
+    }
+
+    await validateExtracted(quarantineDir);
+
+    await storageService.removeDirectory(outputDir);
+    await fs.remove(outputDir);
+    await fs.move(quarantineDir, outputDir);
+    await storageService.saveDirectory(outputDir);
+
     return outputDir;
   } catch (error) {
-    throw new Error(`Failed to extract SCORM package: ${error.message}`);
+    await fs.remove(quarantineDir);
+    if (error.validationReport) {
+      throw error;
+    }
+    throw new Error(`Failed to extract ${label} package: ${error.message}`);
   }
 }
 
@@ -36,28 +338,171 @@ async function extractScormPackage(zipPath, outputDir) {
  * @returns {Promise<Object>} Parsed manifest object
  */
 async function parseManifest(manifestPath) {
+  let xmlContent;
   try {
-    const xmlContent = await fs.readFile(manifestPath, 'utf-8');
-    
-    return new Promise((resolve, reject) => {
-      parseString(xmlContent, { 
-        explicitArray: false,
-        mergeAttrs: true 
-      }, (err, result) => {
-        if (err) {
-          reject(new Error(`Failed to parse manifest XML: ${err.message}`));
-        } else {
-          resolve(result);
-        }
-      });
-    });
+    xmlContent = await fs.readFile(manifestPath, 'utf-8');
   } catch (error) {
     throw new Error(`Failed to read manifest file: ${error.message}`);
   }
+  return parseManifestXml(xmlContent);
+}
+
+/**
+ * Parse imsmanifest.xml content
+ * @param {string} xmlContent - Manifest XML
+ * @returns {Promise<Object>} Parsed manifest object
+ */
+function parseManifestXml(xmlContent) {
+  return new Promise((resolve, reject) => {
+    parseString(xmlContent, { 
+      explicitArray: false,
+      mergeAttrs: true 
+    }, (err, result) => {
+      if (err) {
+        reject(new Error(`Failed to parse manifest XML: ${err.message}`));
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+/**
+ * Normalize an xml2js value (object, array or undefined) to an array
+ * @param {*} value - Parsed XML node(s)
+ * @returns {Array} Array of nodes
+ */
+function toArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Get the text of a parsed XML element (plain string or { _: 'text', ...attrs })
+ * @param {*} node - Parsed XML node
+ * @returns {string} Trimmed text, or empty string
+ */
+function nodeText(node) {
+  if (!node) {
+    return '';
+  }
+  if (typeof node === 'string') {
+    return node.trim();
+  }
+  return typeof node._ === 'string' ? node._.trim() : '';
+}
+
+/**
+ * Build the launch href for an item: resource href (with xml:base) + item parameters
+ * @param {Object} resource - Parsed <resource>
+ * @param {string} parameters - <item parameters="..."> value
+ * @param {string} resourcesBase - xml:base of <resources>
+ * @returns {string|null} Relative launch href
+ */
+function buildItemHref(resource, parameters, resourcesBase) {
+  if (!resource || !resource.href) {
+    return null;
+  }
+
+  let href = `${resourcesBase || ''}${resource['xml:base'] || ''}${resource.href}`;
+
+  if (parameters) {
+    // SCORM CAM: strip a leading "?"/"&" when the href already has a query string
+    let params = parameters.trim();
+    if (params.startsWith('#')) {
+      href += params;
+    } else {
+      params = params.replace(/^[?&]/, '');
+      href += (href.includes('?') ? '&' : '?') + params;
+    }
+  }
+
+  return href;
+}
+
+/**
+ * Parse the default <organization> of a manifest into a table of contents
+ *
+ * Each node: { identifier, title, href, isSco, isVisible, children }
+ * href is null for aggregation items (folders) that only group children.
+ *
+ * @param {Object} manifest - Parsed manifest (parseManifest result)
+ * @returns {Object|null} { identifier, title, items } or null when the manifest has no organization
+ */
+function getOrganizationTree(manifest) {
+  const root = (manifest && manifest.manifest) || {};
+  const organizations = root.organizations || {};
+  const organizationList = toArray(organizations.organization);
+
+  if (organizationList.length === 0) {
+    return null;
+  }
+
+  const organization =
+    organizationList.find((org) => org.identifier === organizations.default) || organizationList[0];
+
+  const resourcesNode = root.resources || {};
+  const resourcesById = new Map(
+    toArray(resourcesNode.resource).map((resource) => [resource.identifier, resource])
+  );
+
+  const buildItem = (item) => {
+    const resource = item.identifierref ? resourcesById.get(item.identifierref) : null;
+    const scormType = resource
+      ? (resource['adlcp:scormType'] || resource['adlcp:scormtype'] || '').toLowerCase()
+      : '';
+
+    return {
+      identifier: item.identifier,
+      title: nodeText(item.title) || item.identifier,
+      href: buildItemHref(resource, item.parameters, resourcesNode['xml:base']),
+      isSco: scormType === 'sco',
+      isVisible: item.isvisible !== 'false',
+      children: toArray(item.item).map(buildItem),
+    };
+  };
+
+  return {
+    identifier: organization.identifier,
+    title: nodeText(organization.title),
+    items: toArray(organization.item).map(buildItem),
+  };
+}
+
+/**
+ * Flatten an organization tree into its launchable items, in navigation order
+ * @param {Object|null} organization - getOrganizationTree result
+ * @returns {Array<Object>} [{ identifier, title, href, isSco }]
+ */
+function getLaunchableItems(organization) {
+  const launchable = [];
+
+  const walk = (items) => {
+    items.forEach((item) => {
+      if (item.href && item.isVisible) {
+        launchable.push({
+          identifier: item.identifier,
+          title: item.title,
+          href: item.href,
+          isSco: item.isSco,
+        });
+      }
+      walk(item.children);
+    });
+  };
+
+  if (organization) {
+    walk(organization.items);
+  }
+
+  return launchable;
 }
 
 /**
  * Get SCORM entry point (index.html path) from manifest
+ * Uses the first launchable item of the default organization, then the first resource
  * @param {string} manifestPath - Path to imsmanifest.xml
  * @param {string} basePath - Base path of extracted SCORM package
  * @returns {Promise<string>} Relative path to entry point
@@ -66,11 +511,16 @@ async function getScormEntryPoint(manifestPath, basePath) {
   try {
     const manifest = await parseManifest(manifestPath);
     
-    // SCORM 1.2 structure: manifest.resources.resource.href
-    // SCORM 2004 structure: manifest.resources.resource.href
     let entryPoint = null;
     
-    if (manifest.manifest) {
+    // SCORM 1.2 / 2004: <organizations><organization><item identifierref="..."> -> <resource href>
+    const launchable = getLaunchableItems(getOrganizationTree(manifest));
+    if (launchable.length > 0) {
+      entryPoint = launchable[0].href;
+    }
+    
+    // Packages without an organization: manifest.resources.resource.href
+    if (!entryPoint && manifest.manifest) {
       const resources = manifest.manifest.resources;
       if (resources) {
         const resource = Array.isArray(resources.resource) 
@@ -172,6 +622,48 @@ async function findManifestFile(extractedPath) {
   return null;
 }
 
+/**
+ * Detect SCORM version from a parsed manifest
+ * 
+ * Checks <metadata><schemaversion> first ("1.2", "CAM 1.3", "2004 3rd Edition", ...),
+ * then falls back to the ADL namespaces declared on <manifest>
+ * (adlcp_rootv1p2 = SCORM 1.2, adlcp_v1p3 = SCORM 2004)
+ * 
+ * @param {Object} manifest - Manifest parsed by parseManifest()
+ * @returns {{ version: string, schemaVersion: string|null }} version is '1.2' or '2004'
+ */
+function detectScormVersion(manifest) {
+  const root = (manifest && manifest.manifest) || {};
+  const metadata = root.metadata || {};
+  
+  let schemaVersion = metadata.schemaversion || null;
+  if (schemaVersion && typeof schemaVersion === 'object') {
+    schemaVersion = schemaVersion._ || null;
+  }
+  schemaVersion = schemaVersion ? String(schemaVersion).trim() : null;
+  
+  if (schemaVersion) {
+    if (/2004|CAM\s*1\.3/i.test(schemaVersion)) {
+      return { version: '2004', schemaVersion };
+    }
+    if (/1\.2/.test(schemaVersion)) {
+      return { version: '1.2', schemaVersion };
+    }
+  }
+  
+  // Attributes are merged into the element (mergeAttrs: true)
+  const namespaces = Object.keys(root)
+    .filter((key) => key === 'xmlns' || key.startsWith('xmlns:'))
+    .map((key) => String(root[key]))
+    .join(' ');
+  
+  if (/adlcp_v1p3|adlseq_v1p3|adlnav_v1p3|imsss/i.test(namespaces)) {
+    return { version: '2004', schemaVersion };
+  }
+  
+  return { version: '1.2', schemaVersion };
+}
+
 /**
  * Get SCORM package metadata
  * @param {string} extractedPath - Path to extracted SCORM package
@@ -186,6 +678,8 @@ async function getScormMetadata(extractedPath) {
         title: 'SCORM Package',
         entryPoint: 'index.html',
         version: '1.2',
+        organization: null,
+        scos: [],
       };
     }
     
@@ -211,20 +705,24 @@ async function getScormMetadata(extractedPath) {
       }
     }
     
-    // Try to determine SCORM version from manifest
-    let version = '1.2';
-    if (manifest.manifest && manifest.manifest.$) {
-      const schemaversion = manifest.manifest.$.schemaversion;
-      if (schemaversion && schemaversion.includes('2004')) {
-        version = '2004';
-      }
+    // Determine SCORM version from <metadata><schemaversion> and namespaces
+    const { version, schemaVersion } = detectScormVersion(manifest);
+    
+    // Table of contents (multi-SCO packages have several launchable items)
+    const organization = getOrganizationTree(manifest);
+    const scos = getLaunchableItems(organization);
+    if (title === 'SCORM Package' && organization && organization.title) {
+      title = organization.title;
     }
     
     return {
       title,
       entryPoint,
       version,
+      schemaVersion,
       manifestPath: path.relative(extractedPath, manifestPath),
+      organization,
+      scos,
     };
   } catch (error) {
     console.warn(`Could not extract full metadata: ${error.message}`);
@@ -232,10 +730,199 @@ async function getScormMetadata(extractedPath) {
       title: 'SCORM Package',
       entryPoint: 'index.html',
       version: '1.2',
+      organization: null,
+      scos: [],
     };
   }
 }
 
+// Authoring-tool data files that may declare the slide count
+const STORY_DATA_FILE_PATTERN = /(^|\/)(data\.js|data\.json|frame\.xml|CPM\.js|project\.txt|story\.js|player\.js|slides\.json|config\.json)$/i;
+// e.g. cpInfoSlideCount = 12, "NoOfSlides":12, totalSlides: 12, "slideCount":"12"
+const STORY_SLIDE_COUNT_PATTERN = /["']?(?:cpInfoSlideCount|NoOfSlides|totalSlides|slideCount|numSlides|slide_count)["']?\s*[:=]\s*["']?(\d{1,4})\b/i;
+// e.g. res/slide12.xml, slides/slide_3.js, pages/page-7.html
+const SLIDE_FILE_PATTERN = /(?:^|\/)(?:slide|page|scene)[_-]?(\d{1,4})\.[a-z0-9]+$/i;
+// Story data files larger than this are not scanned
+const MAX_STORY_FILE_SIZE = 2 * 1024 * 1024;
+
+/**
+ * Count distinct slide numbers in a list of file paths
+ * @param {Array<string>} filePaths - File paths from the manifest
+ * @returns {number|null} Slide count or null
+ */
+function countSlideFiles(filePaths) {
+  const slideNumbers = new Set();
+  filePaths.forEach((filePath) => {
+    const match = SLIDE_FILE_PATTERN.exec(filePath.replace(/\\/g, '/'));
+    if (match) {
+      slideNumbers.add(parseInt(match[1], 10));
+    }
+  });
+  return slideNumbers.size > 0 ? slideNumbers.size : null;
+}
+
+/**
+ * Detect the number of slides in a SCORM package ZIP
+ *
+ * Looks for a slide count declared in the authoring tool's story data
+ * (Captivate CPM.js, Storyline data.js, ...) first, then counts slide files
+ * listed in the manifest resources.
+ *
+ * @param {string} zipPath - Path to the ZIP file
+ * @returns {Promise<{slideCount: number|null, source: string|null}>} Detected count and its source
+ */
+async function detectSlideCount(zipPath) {
+  try {
+    const zip = new AdmZip(zipPath);
+    const entries = zip.getEntries().filter((entry) => !entry.isDirectory);
+
+    // 1. Story data declared by the authoring tool
+    for (const entry of entries) {
+      if (!STORY_DATA_FILE_PATTERN.test(entry.entryName) || entry.header.size > MAX_STORY_FILE_SIZE) {
+        continue;
+      }
+      const match = STORY_SLIDE_COUNT_PATTERN.exec(entry.getData().toString('utf-8'));
+      const count = match ? parseInt(match[1], 10) : 0;
+      if (count > 0) {
+        return { slideCount: count, source: 'story' };
+      }
+    }
+
+    // 2. Slide files listed in the manifest
+    const manifestEntry = entries
+      .filter((entry) => path.basename(entry.entryName).toLowerCase() === 'imsmanifest.xml')
+      .sort((a, b) => a.entryName.split('/').length - b.entryName.split('/').length)[0];
+
+    if (manifestEntry) {
+      const manifest = await parseManifestXml(manifestEntry.getData().toString('utf-8'));
+      const resources = toArray(manifest.manifest?.resources?.resource);
+      const filePaths = resources.flatMap((resource) =>
+        toArray(resource.file).map((file) => file.href).filter(Boolean)
+      );
+      const count = countSlideFiles(filePaths);
+      if (count) {
+        return { slideCount: count, source: 'manifest' };
+      }
+    }
+
+    return { slideCount: null, source: null };
+  } catch (error) {
+    console.error(`Failed to detect SCORM slide count: ${error.message}`);
+    return { slideCount: null, source: null };
+  }
+}
+
+/**
+ * Validate and normalize an admin-supplied completion rule
+ * @param {Object|string} rule - Completion rule (JSON string from multipart forms)
+ * @returns {Object} Normalized completion rule
+ * @throws {Error} If the rule is invalid
+ */
+function parseCompletionRule(rule) {
+  let parsed = rule;
+  if (typeof rule === 'string') {
+    try {
+      parsed = JSON.parse(rule);
+    } catch (error) {
+      throw new Error('Invalid completion rule');
+    }
+  }
+
+  if (!parsed || typeof parsed !== 'object') {
+    throw new Error('Invalid completion rule');
+  }
+
+  const type = parsed.type || 'status';
+  if (!['status', 'score', 'time', 'location'].includes(type)) {
+    throw new Error('Completion rule type must be status, score, time, or location');
+  }
+
+  const minScore = parsed.minScore !== undefined && parsed.minScore !== '' ? Number(parsed.minScore) : 80;
+  if (isNaN(minScore) || minScore < 0 || minScore > 100) {
+    throw new Error('Completion rule minimum score must be between 0 and 100');
+  }
+
+  const minTimeSeconds = parsed.minTimeSeconds !== undefined && parsed.minTimeSeconds !== '' ? Number(parsed.minTimeSeconds) : 60;
+  if (isNaN(minTimeSeconds) || minTimeSeconds < 0) {
+    throw new Error('Completion rule minimum time must be a non-negative number');
+  }
+
+  return {
+    type,
+    minScore,
+    minTimeSeconds: Math.round(minTimeSeconds),
+    targetLocation: typeof parsed.targetLocation === 'string' ? parsed.targetLocation.trim() : '',
+  };
+}
+
+/**
+ * Build the scormSettings of a newly uploaded package
+ * @param {string} zipPath - Path to the uploaded ZIP file
+ * @param {Object} [options]
+ * @param {Object|string} [options.completionRule] - Admin completion rule
+ * @param {number|string} [options.slideCount] - Admin slide count (overrides detection)
+ * @returns {Promise<Object>} scormSettings value
+ * @throws {Error} If the completion rule or slide count is invalid
+ */
+async function buildScormSettings(zipPath, { completionRule, slideCount } = {}) {
+  const settings = {
+    completionRule: completionRule ? parseCompletionRule(completionRule) : parseCompletionRule({}),
+  };
+
+  if (slideCount !== undefined && slideCount !== null && slideCount !== '') {
+    settings.slideCount = parseSlideCount(slideCount);
+    settings.slideCountSource = 'manual';
+    return settings;
+  }
+
+  const detected = await detectSlideCount(zipPath);
+  settings.slideCount = detected.slideCount;
+  settings.slideCountSource = detected.source;
+  return settings;
+}
+
+/**
+ * Validate an admin-supplied slide count
+ * @param {number|string} slideCount - Slide count
+ * @returns {number} Slide count
+ * @throws {Error} If the slide count is not a positive integer
+ */
+function parseSlideCount(slideCount) {
+  const count = parseInt(slideCount, 10);
+  if (isNaN(count) || count < 1) {
+    throw new Error('Slide count must be at least 1');
+  }
+  return count;
+}
+
+/**
+ * Apply admin changes to an existing content item's scormSettings
+ * An empty slideCount clears a manual value so the count is detected again on next launch;
+ * detected counts are kept.
+ * @param {Object} content - Mongoose content document
+ * @param {Object} [options]
+ * @param {Object|string} [options.completionRule] - Admin completion rule
+ * @param {number|string} [options.slideCount] - Admin slide count
+ * @throws {Error} If the completion rule or slide count is invalid
+ */
+function updateScormSettings(content, { completionRule, slideCount } = {}) {
+  if (completionRule !== undefined) {
+    content.set('scormSettings.completionRule', parseCompletionRule(completionRule));
+  }
+
+  if (slideCount !== undefined) {
+    if (slideCount === null || slideCount === '') {
+      if (content.scormSettings?.slideCountSource === 'manual') {
+        content.set('scormSettings.slideCount', null);
+        content.set('scormSettings.slideCountSource', null);
+      }
+    } else {
+      content.set('scormSettings.slideCount', parseSlideCount(slideCount));
+      content.set('scormSettings.slideCountSource', 'manual');
+    }
+  }
+}
+
 /**
  * Clean up extracted SCORM package
  * @param {string} extractedPath - Path to extracted directory
@@ -243,6 +930,7 @@ async function getScormMetadata(extractedPath) {
  */
 async function cleanupScormPackage(extractedPath) {
   try {
+    await storageService.removeDirectory(extractedPath);
     await fs.remove(extractedPath);
   } catch (error) {
     console.error(`Failed to cleanup SCORM package: ${error.message}`);
@@ -251,11 +939,22 @@ async function cleanupScormPackage(extractedPath) {
 }
 
 module.exports = {
+  SCORM_QUARANTINE_DIR,
+  inspectScormPackage,
+  createValidationError,
+  releaseScormUpload,
   extractScormPackage,
   parseManifest,
   getScormEntryPoint,
+  getOrganizationTree,
+  getLaunchableItems,
   validateScormPackage,
   findManifestFile,
+  detectScormVersion,
   getScormMetadata,
+  detectSlideCount,
+  parseCompletionRule,
+  buildScormSettings,
+  updateScormSettings,
   cleanupScormPackage,
 };
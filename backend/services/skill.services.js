@@ -0,0 +1,302 @@
+const mongoose = require('mongoose');
+const {
+  Skill,
+  SkillMastery,
+  Activity,
+  Book,
+  Media,
+  Chant,
+  AudioAssignment,
+  Quiz,
+} = require('../models');
+
+/**
+ * Skill Service
+ *
+ * Admin management of the skills tree and skill tagging of content.
+ * The tree is small (tens of skills), so it is loaded whole when a change
+ * has to be checked against it (depth, cycles, sibling names).
+ */
+
+// Content that can be tagged with skills, by course content type
+const SKILL_CONTENT_MODELS = {
+  activity: Activity,
+  book: Book,
+  video: Media,
+  chant: Chant,
+  audioAssignment: AudioAssignment,
+  quiz: Quiz,
+};
+
+const createSkillError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const loadSkillMap = async () => {
+  const skills = await Skill.find().lean();
+  return new Map(skills.map((skill) => [String(skill._id), skill]));
+};
+
+// Ancestors of a skill, nearest first
+const getAncestors = (skillMap, skillId) => {
+  const ancestors = [];
+  let current = skillMap.get(String(skillId));
+  while (current?.parent && ancestors.length <= Skill.MAX_DEPTH) {
+    current = skillMap.get(String(current.parent));
+    if (!current) break;
+    ancestors.push(current);
+  }
+  return ancestors;
+};
+
+// Levels below a skill (0 for a leaf)
+const getSubtreeHeight = (skillMap, skillId) => {
+  const children = [...skillMap.values()].filter((skill) => String(skill.parent) === String(skillId));
+  if (children.length === 0) return 0;
+  return 1 + Math.max(...children.map((child) => getSubtreeHeight(skillMap, child._id)));
+};
+
+/**
+ * Check the parent of a new or moved skill
+ * @param {Map} skillMap - All skills by ID
+ * @param {String|null} parentId - Requested parent
+ * @param {String} [skillId] - Skill being moved (update)
+ * @returns {String|null} Parent ID
+ * @throws {Error} 400 unknown parent, cycle or tree too deep
+ */
+const validateParent = (skillMap, parentId, skillId = null) => {
+  if (!parentId) return null;
+
+  const parent = skillMap.get(String(parentId));
+  if (!parent) {
+    throw createSkillError('Parent skill not found');
+  }
+
+  if (skillId) {
+    const ancestorIds = [parent, ...getAncestors(skillMap, parent._id)].map((skill) => String(skill._id));
+    if (ancestorIds.includes(String(skillId))) {
+      throw createSkillError('A skill cannot be moved under itself');
+    }
+  }
+
+  const depth = getAncestors(skillMap, parent._id).length + 2;
+  const height = skillId ? getSubtreeHeight(skillMap, skillId) : 0;
+  if (depth + height > Skill.MAX_DEPTH) {
+    throw createSkillError(`The skills tree cannot be deeper than ${Skill.MAX_DEPTH} levels`);
+  }
+
+  return String(parent._id);
+};
+
+const assertUniqueName = (skillMap, name, parentId, skillId = null) => {
+  const duplicate = [...skillMap.values()].some(
+    (skill) =>
+      String(skill.parent || null) === String(parentId || null) &&
+      skill.name.toLowerCase() === name.toLowerCase() &&
+      String(skill._id) !== String(skillId)
+  );
+  if (duplicate) {
+    throw createSkillError('A skill with this name already exists at this level', 409);
+  }
+};
+
+const toSkillPath = (skillMap, skill) =>
+  [...getAncestors(skillMap, skill._id).reverse(), skill].map((item) => item.name).join(' › ');
+
+/**
+ * Get All Skills Service
+ *
+ * Flat list in tree order (parents before their children), with the full
+ * path ("Phonics › Letter sounds") and depth of each skill.
+ *
+ * @param {Object} queryParams
+ * @param {Boolean} [queryParams.includeInactive] - Include deactivated skills
+ * @returns {Array} Skills
+ */
+const getAllSkills = async (queryParams = {}) => {
+  const includeInactive = queryParams.includeInactive === 'true' || queryParams.includeInactive === true;
+  const skillMap = await loadSkillMap();
+
+  const byParent = new Map();
+  skillMap.forEach((skill) => {
+    const key = String(skill.parent || null);
+    if (!byParent.has(key)) byParent.set(key, []);
+    byParent.get(key).push(skill);
+  });
+
+  const ordered = [];
+  const visit = (parentKey, depth) => {
+    (byParent.get(parentKey) || [])
+      .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name))
+      .forEach((skill) => {
+        ordered.push({ ...skill, depth, path: toSkillPath(skillMap, skill) });
+        visit(String(skill._id), depth + 1);
+      });
+  };
+  visit('null', 0);
+
+  return includeInactive ? ordered : ordered.filter((skill) => skill.isActive);
+};
+
+/**
+ * Get Skill By ID Service
+ * @param {String} skillId - Skill's MongoDB ID
+ * @returns {Object} Skill
+ * @throws {Error} 404 if not found
+ */
+const getSkillById = async (skillId) => {
+  const skill = mongoose.Types.ObjectId.isValid(skillId) ? await Skill.findById(skillId).lean() : null;
+  if (!skill) {
+    throw createSkillError('Skill not found', 404);
+  }
+  return skill;
+};
+
+/**
+ * Create Skill Service
+ *
+ * @param {String} userId - Admin user's MongoDB ID
+ * @param {Object} data - { name, description, parent, icon, order }
+ * @returns {Object} Created skill
+ * @throws {Error} 400 validation, 409 duplicate name among siblings
+ */
+const createSkill = async (userId, data) => {
+  const { name, description, parent, icon, order } = data;
+
+  if (!name || !name.trim()) {
+    throw createSkillError('Please provide a skill name');
+  }
+
+  const skillMap = await loadSkillMap();
+  const parentId = validateParent(skillMap, parent);
+  assertUniqueName(skillMap, name.trim(), parentId);
+
+  const skill = await Skill.create({
+    name: name.trim(),
+    description: description?.trim() || null,
+    parent: parentId,
+    icon: icon?.trim() || null,
+    order: parseInt(order, 10) || 0,
+    createdBy: userId,
+  });
+
+  return skill.toObject();
+};
+
+/**
+ * Update Skill Service
+ *
+ * @param {String} skillId - Skill's MongoDB ID
+ * @param {Object} data - { name, description, parent, icon, order, isActive }, all optional
+ * @returns {Object} Updated skill
+ * @throws {Error} 400 validation, 404 not found, 409 duplicate name among siblings
+ */
+const updateSkill = async (skillId, data) => {
+  const { name, description, parent, icon, order, isActive } = data;
+
+  const skillMap = await loadSkillMap();
+  const skill = skillMap.get(String(skillId));
+  if (!skill) {
+    throw createSkillError('Skill not found', 404);
+  }
+
+  const updates = {};
+
+  if (name !== undefined) {
+    if (!name || !name.trim()) {
+      throw createSkillError('Skill name cannot be empty');
+    }
+    updates.name = name.trim();
+  }
+  if (parent !== undefined) {
+    updates.parent = validateParent(skillMap, parent, skillId);
+  }
+  if (description !== undefined) updates.description = description?.trim() || null;
+  if (icon !== undefined) updates.icon = icon?.trim() || null;
+  if (order !== undefined) updates.order = parseInt(order, 10) || 0;
+  if (isActive !== undefined) updates.isActive = isActive === true || isActive === 'true';
+
+  assertUniqueName(
+    skillMap,
+    updates.name ?? skill.name,
+    updates.parent !== undefined ? updates.parent : skill.parent,
+    skillId
+  );
+
+  return await Skill.findByIdAndUpdate(skillId, updates, { new: true, runValidators: true }).lean();
+};
+
+/**
+ * Delete Skill Service
+ *
+ * Removes the skill from all tagged content and deletes the children's
+ * mastery of it. Skills with sub-skills cannot be deleted.
+ *
+ * @param {String} skillId - Skill's MongoDB ID
+ * @returns {Object} { message, id }
+ * @throws {Error} 404 not found, 409 has sub-skills
+ */
+const deleteSkill = async (skillId) => {
+  const skill = await getSkillById(skillId);
+
+  if (await Skill.exists({ parent: skill._id })) {
+    throw createSkillError('Move or delete the sub-skills of this skill first', 409);
+  }
+
+  await Promise.all(
+    Object.values(SKILL_CONTENT_MODELS).map((Model) =>
+      Model.updateMany({ skills: skill._id }, { $pull: { skills: skill._id } })
+    )
+  );
+  await SkillMastery.deleteMany({ skill: skill._id });
+  await Skill.deleteOne({ _id: skill._id });
+
+  return { message: 'Skill deleted successfully', id: skill._id };
+};
+
+/**
+ * Validate the skills a content item is tagged with
+ *
+ * @param {String|Array} rawSkills - JSON string or array of skill IDs from the request
+ * @returns {Array<String>} Unique skill IDs
+ * @throws {Error} 400 invalid format or unknown skill
+ */
+const resolveSkillIds = async (rawSkills) => {
+  if (rawSkills === undefined || rawSkills === null || rawSkills === '') return [];
+
+  let skillIds = rawSkills;
+  if (typeof skillIds === 'string') {
+    try {
+      skillIds = JSON.parse(skillIds);
+    } catch (error) {
+      throw createSkillError('Invalid skills format');
+    }
+  }
+  if (!Array.isArray(skillIds)) {
+    throw createSkillError('Invalid skills format');
+  }
+
+  const uniqueIds = [...new Set(skillIds.map(String))];
+  if (uniqueIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw createSkillError('Invalid skill ID');
+  }
+
+  const found = await Skill.countDocuments({ _id: { $in: uniqueIds } });
+  if (found !== uniqueIds.length) {
+    throw createSkillError('Invalid skill ID');
+  }
+
+  return uniqueIds;
+};
+
+module.exports = {
+  SKILL_CONTENT_MODELS,
+  getAllSkills,
+  getSkillById,
+  createSkill,
+  updateSkill,
+  deleteSkill,
+  resolveSkillIds,
+};
@@ -0,0 +1,184 @@
+const { Skill, SkillMastery } = require('../models');
+const { SKILL_CONTENT_MODELS } = require('./skill.services');
+
+/**
+ * Skill Mastery Service
+ *
+ * Turns learning outcomes into per-child skill mastery. Every outcome of a
+ * content item (completion, SCORM score, quiz attempt, chant analysis, audio
+ * review) is evidence for each skill the item is tagged with.
+ *
+ * Score: recency-weighted average of the evidence values (0-100). Older
+ * evidence fades by RECENCY_DECAY per new piece of evidence, and sources that
+ * say less about the child's ability (a bare completion) weigh less.
+ * Parent skills roll up the evidence of their sub-skills when read.
+ */
+
+const RECENCY_DECAY = 0.85;
+
+const SOURCE_WEIGHTS = {
+  completion: 0.5,
+  scorm: 1,
+  quiz: 1,
+  chant: 0.75,
+  review: 1,
+};
+
+const RECENT_EVIDENCE_LIMIT = 10;
+
+// "mastered" needs repeated evidence, not one lucky score
+const MIN_EVIDENCE_FOR_MASTERED = 3;
+
+/**
+ * Mastery level for a score
+ * @param {Number} score - 0-100
+ * @param {Number} evidenceCount - Evidence behind the score
+ * @returns {String} One of SkillMastery.MASTERY_LEVELS
+ */
+const getMasteryLevel = (score, evidenceCount) => {
+  if (!evidenceCount) return 'not_started';
+  if (score >= 85 && evidenceCount >= MIN_EVIDENCE_FOR_MASTERED) return 'mastered';
+  if (score >= 70) return 'proficient';
+  if (score >= 40) return 'developing';
+  return 'emerging';
+};
+
+/**
+ * Record an outcome of a content item as evidence for its skills
+ * Never throws - a failed update must not block the progress update that emitted it
+ *
+ * @param {Object} evidence
+ * @param {String} evidence.childId - Child's MongoDB ID
+ * @param {String} evidence.contentType - Course content type (activity, book, video, chant, audioAssignment, quiz)
+ * @param {String} evidence.contentId - Content MongoDB ID
+ * @param {String} evidence.source - One of SkillMastery.EVIDENCE_SOURCES
+ * @param {Number} evidence.value - 0-100 (100 for a bare completion, 0 for a rejected review)
+ * @returns {Number} Skills updated
+ */
+const recordSkillEvidence = async ({ childId, contentType, contentId, source, value }) => {
+  try {
+    const Model = SKILL_CONTENT_MODELS[contentType];
+    if (!Model || !childId || !contentId || !SOURCE_WEIGHTS[source]) return 0;
+
+    const content = await Model.findById(contentId).select('title skills').lean();
+    if (!content?.skills?.length) return 0;
+
+    const clampedValue = Math.min(Math.max(Math.round(Number(value) || 0), 0), 100);
+    const weight = SOURCE_WEIGHTS[source];
+    const now = new Date();
+
+    for (const skillId of content.skills) {
+      const mastery =
+        (await SkillMastery.findOne({ child: childId, skill: skillId })) ||
+        new SkillMastery({ child: childId, skill: skillId });
+
+      mastery.weightedValue = mastery.weightedValue * RECENCY_DECAY + clampedValue * weight;
+      mastery.weightTotal = mastery.weightTotal * RECENCY_DECAY + weight;
+      mastery.score = Math.round(mastery.weightedValue / mastery.weightTotal);
+      mastery.evidenceCount += 1;
+      mastery.level = getMasteryLevel(mastery.score, mastery.evidenceCount);
+      mastery.lastEvidenceAt = now;
+      mastery.recentEvidence = [
+        { source, contentType, contentId, title: content.title || null, value: clampedValue, recordedAt: now },
+        ...mastery.recentEvidence.map((item) => item.toObject()),
+      ].slice(0, RECENT_EVIDENCE_LIMIT);
+
+      await mastery.save();
+    }
+
+    return content.skills.length;
+  } catch (error) {
+    console.warn('[SkillMastery] Evidence not recorded:', error.message);
+    return 0;
+  }
+};
+
+/**
+ * Get a child's skills tree with mastery
+ *
+ * Every active skill is listed; a parent skill's score and level combine its
+ * own evidence with that of its sub-skills.
+ *
+ * @param {String} childId - Child's MongoDB ID
+ * @returns {Object} { skills: [node], summary: { tracked, byLevel } }
+ *   node: { _id, name, description, icon, score, level, evidenceCount, lastEvidenceAt, recentEvidence, children }
+ */
+const getChildSkills = async (childId) => {
+  const [skills, masteries] = await Promise.all([
+    Skill.find({ isActive: true }).sort({ order: 1, name: 1 }).lean(),
+    SkillMastery.find({ child: childId }).lean(),
+  ]);
+
+  const masteryBySkill = new Map(masteries.map((mastery) => [String(mastery.skill), mastery]));
+  const activeIds = new Set(skills.map((skill) => String(skill._id)));
+
+  const buildNode = (skill) => {
+    const children = skills
+      .filter((child) => String(child.parent) === String(skill._id))
+      .map(buildNode);
+    const own = masteryBySkill.get(String(skill._id));
+
+    // Sums over the subtree, so a parent skill reflects all of its evidence
+    const totals = children.reduce(
+      (sum, child) => ({
+        weightedValue: sum.weightedValue + child.totals.weightedValue,
+        weightTotal: sum.weightTotal + child.totals.weightTotal,
+        evidenceCount: sum.evidenceCount + child.evidenceCount,
+      }),
+      {
+        weightedValue: own?.weightedValue || 0,
+        weightTotal: own?.weightTotal || 0,
+        evidenceCount: own?.evidenceCount || 0,
+      }
+    );
+    const score = totals.weightTotal ? Math.round(totals.weightedValue / totals.weightTotal) : 0;
+    const lastEvidenceAt = [own?.lastEvidenceAt, ...children.map((child) => child.lastEvidenceAt)]
+      .filter(Boolean)
+      .sort((a, b) => new Date(b) - new Date(a))[0] || null;
+
+    return {
+      _id: skill._id,
+      name: skill.name,
+      description: skill.description,
+      icon: skill.icon,
+      score,
+      level: getMasteryLevel(score, totals.evidenceCount),
+      evidenceCount: totals.evidenceCount,
+      lastEvidenceAt,
+      recentEvidence: own?.recentEvidence || [],
+      children,
+      totals,
+    };
+  };
+
+  // Skills under a deactivated parent are shown at the top level
+  const roots = skills
+    .filter((skill) => !skill.parent || !activeIds.has(String(skill.parent)))
+    .map(buildNode);
+
+  const stripTotals = (node) => {
+    const { totals, ...rest } = node;
+    return { ...rest, children: node.children.map(stripTotals) };
+  };
+
+  const byLevel = SkillMastery.MASTERY_LEVELS.reduce((counts, level) => ({ ...counts, [level]: 0 }), {});
+  masteries
+    .filter((mastery) => activeIds.has(String(mastery.skill)))
+    .forEach((mastery) => {
+      byLevel[mastery.level] += 1;
+    });
+
+  return {
+    skills: roots.map(stripTotals),
+    summary: {
+      tracked: masteries.filter((mastery) => activeIds.has(String(mastery.skill))).length,
+      byLevel,
+    },
+  };
+};
+
+module.exports = {
+  recordSkillEvidence,
+  getChildSkills,
+  getMasteryLevel,
+};
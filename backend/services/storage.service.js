@@ -0,0 +1,320 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const { createLocalDriver } = require('./storageDrivers/local.driver');
+const { createS3Driver } = require('./storageDrivers/s3.driver');
+
+/**
+ * Storage Service
+ *
+ * Every uploaded or generated file (uploads, processed recordings, HLS
+ * renditions, extracted SCORM/cmi5 packages) is stored through a driver
+ * chosen with STORAGE_DRIVER:
+ *
+ * - local (default): files under backend/uploads
+ * - s3: an S3 bucket or S3-compatible server such as MinIO
+ *   (S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_FORCE_PATH_STYLE,
+ *   S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_PREFIX)
+ *
+ * Files are addressed by a storage key: their path below uploads/, e.g.
+ * "media/audio/20250101-120000-123.webm". Documents store the key in
+ * filePath and "/uploads/<key>" in url, whatever the driver.
+ *
+ * ffmpeg and the SCORM parser need real files, so backend/uploads also holds
+ * working copies: uploads are written there first, and ensureLocalFile()
+ * downloads a missing copy from the driver. With the s3 driver the folder is
+ * only a cache and can be emptied at any time.
+ */
+
+const UPLOADS_ROOT = path.join(__dirname, '..', 'uploads');
+
+let storageDriver = null;
+
+const createStorageError = (message, statusCode = 500) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Create a driver by name, configured from the environment
+ * @param {String} [name] - 'local' or 's3' (default: STORAGE_DRIVER or 'local')
+ * @returns {Object} Storage driver
+ */
+const createStorageDriver = (name = process.env.STORAGE_DRIVER || 'local') => {
+  if (name === 'local') {
+    return createLocalDriver({ root: UPLOADS_ROOT });
+  }
+  if (name === 's3') {
+    return createS3Driver({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+        ? process.env.S3_FORCE_PATH_STYLE === 'true'
+        : undefined,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      prefix: process.env.S3_PREFIX,
+    });
+  }
+  throw createStorageError(`Unknown storage driver: ${name}`);
+};
+
+/**
+ * The configured driver (created on first use)
+ * @returns {Object}
+ */
+const getStorageDriver = () => {
+  if (!storageDriver) {
+    storageDriver = createStorageDriver();
+  }
+  return storageDriver;
+};
+
+/**
+ * Storage key for any form a file location has been saved in: a key, an
+ * "uploads/..." path, a /uploads/... URL (relative or absolute) or an absolute
+ * path below an uploads folder (including paths recorded on another machine).
+ *
+ * Only the leading uploads prefix is removed: keys are passed through as they
+ * are, so folders named "uploads" inside SCORM/cmi5 packages stay in the key.
+ * @param {String} value
+ * @returns {String|null} Key, or null for paths outside uploads/
+ */
+const toStorageKey = (value) => {
+  if (!value) return null;
+  let location = String(value);
+  if (/^https?:\/\//i.test(location)) {
+    try {
+      location = decodeURIComponent(new URL(location).pathname);
+    } catch (error) {
+      return null;
+    }
+  }
+  location = location.replace(/\\/g, '/');
+
+  const uploadsRoot = `${UPLOADS_ROOT.replace(/\\/g, '/')}/`;
+  if (location.startsWith(uploadsRoot)) {
+    location = location.slice(uploadsRoot.length);
+  } else if (location.startsWith('/uploads/') || location.startsWith('uploads/')) {
+    location = location.slice(location.indexOf('uploads/') + 'uploads/'.length);
+  } else if (path.isAbsolute(location) || /^[a-zA-Z]:\//.test(location)) {
+    // Recorded under another server's uploads folder: the first "/uploads/" is that folder
+    const uploadsIndex = location.indexOf('/uploads/');
+    if (uploadsIndex === -1) return null;
+    location = location.slice(uploadsIndex + '/uploads/'.length);
+  }
+
+  const key = path.posix.normalize(location);
+  if (!key || key === '.' || key.startsWith('..') || path.posix.isAbsolute(key)) return null;
+  return key;
+};
+
+/**
+ * @param {String} key - Storage key
+ * @returns {String} URL path stored on documents ("/uploads/<key>")
+ */
+const toUploadsUrl = (key) => `/uploads/${key}`;
+
+/**
+ * Where the working copy of a key lives on this server
+ * @param {String} keyOrPath - Storage key or any form accepted by toStorageKey()
+ * @returns {String|null} Absolute path, or null when outside uploads/
+ */
+const getLocalPath = (keyOrPath) => {
+  const key = toStorageKey(keyOrPath);
+  return key ? path.join(UPLOADS_ROOT, key) : null;
+};
+
+/**
+ * Store a local file
+ * @param {String} localPath - File to store
+ * @param {Object} [options]
+ * @param {String} [options.key] - Storage key (default: derived from localPath, which must be below uploads/)
+ * @param {String} [options.contentType]
+ * @returns {Promise<String>} Storage key
+ */
+const saveFile = async (localPath, { key = toStorageKey(localPath), contentType } = {}) => {
+  if (!key) {
+    throw createStorageError(`Cannot derive a storage key for ${localPath}`);
+  }
+  await getStorageDriver().putFile(key, localPath, { contentType });
+  return key;
+};
+
+/**
+ * Store every file in a local folder (extracted packages, HLS renditions)
+ * @param {String} localDir - Folder to store
+ * @param {Object} [options]
+ * @param {String} [options.prefix] - Key prefix (default: derived from localDir)
+ * @returns {Promise<Array<String>>} Stored keys
+ */
+const saveDirectory = async (localDir, { prefix = toStorageKey(localDir) } = {}) => {
+  if (!prefix) {
+    throw createStorageError(`Cannot derive a storage key for ${localDir}`);
+  }
+  const driver = getStorageDriver();
+  const keys = [];
+
+  const walk = async (dir) => {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(entryPath);
+      } else if (entry.isFile()) {
+        const key = `${prefix.replace(/\/+$/, '')}/${path.relative(localDir, entryPath).split(path.sep).join('/')}`;
+        await driver.putFile(key, entryPath);
+        keys.push(key);
+      }
+    }
+  };
+
+  await walk(localDir);
+  return keys;
+};
+
+/**
+ * Local path of a stored file, downloading the working copy if needed
+ * @param {String} keyOrPath - Storage key, /uploads URL or path
+ * @returns {Promise<String|null>} Absolute path (may not exist when the file is missing everywhere)
+ */
+const ensureLocalFile = async (keyOrPath) => {
+  if (!keyOrPath) return null;
+  const key = toStorageKey(keyOrPath);
+  // Paths outside uploads/ (e.g. the SCORM quarantine) are used as they are
+  if (!key) return keyOrPath;
+
+  const localPath = path.join(UPLOADS_ROOT, key);
+  const driver = getStorageDriver();
+  if (driver.isLocal || (await fs.pathExists(localPath))) return localPath;
+
+  if (await driver.stat(key)) {
+    await driver.getFile(key, localPath);
+  }
+  return localPath;
+};
+
+/**
+ * Local copy of a stored folder, downloading missing files
+ * @param {String} prefix - Key prefix of the folder
+ * @returns {Promise<String|null>} Absolute path, or null when nothing is stored there
+ */
+const ensureLocalDirectory = async (prefix) => {
+  const key = toStorageKey(prefix);
+  if (!key) return null;
+
+  const localDir = path.join(UPLOADS_ROOT, key);
+  const driver = getStorageDriver();
+  if (driver.isLocal) {
+    return (await fs.pathExists(localDir)) ? localDir : null;
+  }
+
+  const keys = await driver.list(`${key}/`);
+  if (keys.length === 0) {
+    return (await fs.pathExists(localDir)) ? localDir : null;
+  }
+  for (const fileKey of keys) {
+    const localPath = path.join(UPLOADS_ROOT, fileKey);
+    if (!(await fs.pathExists(localPath))) {
+      await driver.getFile(fileKey, localPath);
+    }
+  }
+  return localDir;
+};
+
+/**
+ * Size and type of a stored file
+ * @param {String} keyOrPath
+ * @returns {Promise<Object|null>} { size, lastModified, contentType } or null when missing
+ */
+const statFile = async (keyOrPath) => {
+  const key = toStorageKey(keyOrPath);
+  return key ? getStorageDriver().stat(key) : null;
+};
+
+/**
+ * @param {String} keyOrPath
+ * @returns {Promise<Boolean>} True when the file is stored
+ */
+const fileExists = async (keyOrPath) => Boolean(await statFile(keyOrPath));
+
+/**
+ * Read a stored file, optionally a byte range of it
+ * @param {String} key
+ * @param {Object} [range] - { start, end } inclusive byte offsets
+ * @returns {Promise<Readable>}
+ */
+const createReadStream = (key, range) => getStorageDriver().createReadStream(key, range);
+
+/**
+ * @param {String} keyOrPath
+ * @returns {Promise<Buffer>} Whole file contents
+ */
+const readFile = async (keyOrPath) => {
+  const key = toStorageKey(keyOrPath);
+  if (!key) throw createStorageError(`Not a stored file: ${keyOrPath}`, 404);
+  return getStorageDriver().readFile(key);
+};
+
+/**
+ * Delete a stored file and its working copy; missing files are ignored
+ * @param {String} keyOrPath - Storage key, /uploads URL or path
+ */
+const removeFile = async (keyOrPath) => {
+  if (!keyOrPath) return;
+  const key = toStorageKey(keyOrPath);
+  if (!key) {
+    await fs.remove(keyOrPath);
+    return;
+  }
+
+  const driver = getStorageDriver();
+  try {
+    await driver.remove(key);
+  } catch (error) {
+    console.error(`[Storage] Could not remove ${key}:`, error.message);
+  }
+  if (!driver.isLocal) {
+    await fs.remove(path.join(UPLOADS_ROOT, key));
+  }
+};
+
+/**
+ * Delete a stored folder and its working copy
+ * @param {String} prefix - Key prefix of the folder
+ */
+const removeDirectory = async (prefix) => {
+  const key = toStorageKey(prefix);
+  if (!key) return;
+
+  const driver = getStorageDriver();
+  try {
+    await driver.removePrefix(key);
+  } catch (error) {
+    console.error(`[Storage] Could not remove ${key}/:`, error.message);
+  }
+  if (!driver.isLocal) {
+    await fs.remove(path.join(UPLOADS_ROOT, key));
+  }
+};
+
+module.exports = {
+  UPLOADS_ROOT,
+  createStorageDriver,
+  getStorageDriver,
+  toStorageKey,
+  toUploadsUrl,
+  getLocalPath,
+  saveFile,
+  saveDirectory,
+  ensureLocalFile,
+  ensureLocalDirectory,
+  statFile,
+  fileExists,
+  createReadStream,
+  readFile,
+  removeFile,
+  removeDirectory,
+};
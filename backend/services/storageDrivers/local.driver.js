@@ -0,0 +1,109 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Local Disk Storage Driver
+ *
+ * Stores objects as files under a root folder (backend/uploads by default),
+ * the key being the path below it. The working copy and the stored object
+ * are the same file, so moving files in and out is free.
+ *
+ * @param {Object} [options]
+ * @param {String} [options.root] - Folder holding the files (default: backend/uploads)
+ */
+const createLocalDriver = ({ root = path.join(__dirname, '..', '..', 'uploads') } = {}) => {
+  const resolveKey = (key) => {
+    const filePath = path.join(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Storage key is outside the storage root: ${key}`);
+    }
+    return filePath;
+  };
+
+  // Folder for a key prefix ("" is the whole root)
+  const resolvePrefix = (prefix) => {
+    const trimmed = prefix.replace(/\/+$/, '');
+    return trimmed ? resolveKey(trimmed) : root;
+  };
+
+  const putFile = async (key, localPath) => {
+    const target = resolveKey(key);
+    if (path.resolve(localPath) === target) return;
+    await fs.ensureDir(path.dirname(target));
+    await fs.copy(localPath, target);
+  };
+
+  const getFile = async (key, localPath) => {
+    const source = resolveKey(key);
+    if (path.resolve(localPath) === source) return;
+    await fs.ensureDir(path.dirname(localPath));
+    await fs.copy(source, localPath);
+  };
+
+  const stat = async (key) => {
+    try {
+      const stats = await fs.stat(resolveKey(key));
+      if (!stats.isFile()) return null;
+      return { size: stats.size, lastModified: stats.mtime, contentType: null };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const createReadStream = async (key, { start, end } = {}) =>
+    fs.createReadStream(resolveKey(key), { start, end });
+
+  const readFile = async (key) => fs.readFile(resolveKey(key));
+
+  const remove = async (key) => {
+    await fs.remove(resolveKey(key));
+  };
+
+  const removePrefix = async (prefix) => {
+    if (!prefix.replace(/\/+$/, '')) {
+      throw new Error('Refusing to remove the whole storage root');
+    }
+    await fs.remove(resolvePrefix(prefix));
+  };
+
+  const list = async (prefix) => {
+    const keys = [];
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else if (entry.isFile()) {
+          keys.push(path.relative(root, entryPath).split(path.sep).join('/'));
+        }
+      }
+    };
+    await walk(resolvePrefix(prefix));
+    return keys;
+  };
+
+  return {
+    name: 'local',
+    root,
+    isLocal: true,
+    localPath: resolveKey,
+    putFile,
+    getFile,
+    stat,
+    createReadStream,
+    readFile,
+    remove,
+    removePrefix,
+    list,
+  };
+};
+
+module.exports = { createLocalDriver };
@@ -0,0 +1,159 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+
+/**
+ * S3-compatible Storage Driver
+ *
+ * Stores objects in an S3 bucket, or any S3-compatible server (MinIO,
+ * DigitalOcean Spaces, Cloudflare R2) when an endpoint is given. Keys are
+ * the same paths used under uploads/, optionally below a prefix.
+ *
+ * @param {Object} options
+ * @param {String} options.bucket - Bucket name
+ * @param {String} [options.region='us-east-1']
+ * @param {String} [options.endpoint] - Custom endpoint, e.g. http://localhost:9000 for MinIO
+ * @param {Boolean} [options.forcePathStyle] - Use bucket-in-path URLs (needed by MinIO)
+ * @param {String} [options.accessKeyId] - Defaults to the AWS credential chain
+ * @param {String} [options.secretAccessKey]
+ * @param {String} [options.prefix=''] - Folder inside the bucket for all keys
+ */
+const createS3Driver = ({
+  bucket,
+  region = 'us-east-1',
+  endpoint,
+  forcePathStyle = Boolean(endpoint),
+  accessKeyId,
+  secretAccessKey,
+  prefix = '',
+}) => {
+  if (!bucket) {
+    throw new Error('S3 storage requires a bucket (S3_BUCKET)');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  const keyPrefix = prefix ? `${prefix.replace(/^\/+|\/+$/g, '')}/` : '';
+  const toObjectKey = (key) => `${keyPrefix}${key}`;
+  const fromObjectKey = (objectKey) => objectKey.slice(keyPrefix.length);
+
+  const isNotFound = (error) =>
+    error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+
+  const putFile = async (key, localPath, { contentType } = {}) => {
+    const { size } = await fs.stat(localPath);
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: toObjectKey(key),
+      Body: fs.createReadStream(localPath),
+      ContentLength: size,
+      ContentType: contentType || undefined,
+    }));
+  };
+
+  const getFile = async (key, localPath) => {
+    const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: toObjectKey(key) }));
+    await fs.ensureDir(path.dirname(localPath));
+    // Write next to the target first so a failed download never leaves a partial file
+    const partialPath = `${localPath}.download`;
+    try {
+      await pipeline(response.Body, fs.createWriteStream(partialPath));
+      await fs.move(partialPath, localPath, { overwrite: true });
+    } catch (error) {
+      await fs.remove(partialPath);
+      throw error;
+    }
+  };
+
+  const stat = async (key) => {
+    try {
+      const response = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: toObjectKey(key) }));
+      return {
+        size: response.ContentLength,
+        lastModified: response.LastModified,
+        contentType: response.ContentType || null,
+      };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  };
+
+  const createReadStream = async (key, { start, end } = {}) => {
+    const range = start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined;
+    const response = await client.send(new GetObjectCommand({
+      Bucket: bucket,
+      Key: toObjectKey(key),
+      Range: range,
+    }));
+    return response.Body;
+  };
+
+  const readFile = async (key) => {
+    const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: toObjectKey(key) }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  };
+
+  const remove = async (key) => {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: toObjectKey(key) }));
+  };
+
+  const list = async (listPrefix) => {
+    const keys = [];
+    let continuationToken;
+    do {
+      const response = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: toObjectKey(listPrefix),
+        ContinuationToken: continuationToken,
+      }));
+      (response.Contents || []).forEach((object) => keys.push(fromObjectKey(object.Key)));
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+    return keys;
+  };
+
+  const removePrefix = async (removedPrefix) => {
+    if (!removedPrefix.replace(/\/+$/, '')) {
+      throw new Error('Refusing to remove the whole storage root');
+    }
+    const keys = await list(removedPrefix.endsWith('/') ? removedPrefix : `${removedPrefix}/`);
+    // DeleteObjects takes up to 1000 keys per request
+    for (let i = 0; i < keys.length; i += 1000) {
+      await client.send(new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: { Objects: keys.slice(i, i + 1000).map((key) => ({ Key: toObjectKey(key) })), Quiet: true },
+      }));
+    }
+  };
+
+  return {
+    name: 's3',
+    bucket,
+    isLocal: false,
+    putFile,
+    getFile,
+    stat,
+    createReadStream,
+    readFile,
+    remove,
+    removePrefix,
+    list,
+  };
+};
+
+module.exports = { createS3Driver };
@@ -0,0 +1,208 @@
+const { ChildProfile, ChildStats, DailyActivity } = require('../models');
+
+/**
+ * Streak Service
+ *
+ * Streak status, streak calendar history and streak freezes.
+ *
+ * Streak days are calendar days in the child's timezone (ChildProfile.timezone,
+ * UTC when unset). The streak itself is updated by ChildStats.addStars; this
+ * service only reads it and sells freezes.
+ */
+
+// Longest range the history endpoint returns
+const MAX_HISTORY_DAYS = 366;
+const DEFAULT_HISTORY_DAYS = 30;
+
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const createStreakError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Load the child's timezone and stats
+ * @param {String} childId - Child profile ID
+ * @returns {Object} { child, stats } (stats may be null)
+ * @throws {Error} 404 if the child does not exist
+ */
+const loadChildStats = async (childId) => {
+  const [child, stats] = await Promise.all([
+    ChildProfile.findById(childId).select('displayName timezone').lean(),
+    ChildStats.findOne({ child: childId }),
+  ]);
+
+  if (!child) {
+    throw createStreakError('Child not found', 404);
+  }
+
+  return { child, stats };
+};
+
+/**
+ * Build the streak summary returned by every streak endpoint
+ * @param {Object} child - Child profile (timezone)
+ * @param {Object|null} stats - ChildStats document
+ * @returns {Object} Streak summary
+ */
+const buildStreakSummary = (child, stats) => {
+  const timezone = child.timezone || 'UTC';
+  const { STREAK_FREEZE_RULES } = ChildStats;
+
+  const status = stats
+    ? stats.getStreakStatus(timezone)
+    : {
+      currentStreak: 0,
+      today: ChildStats.getDayKey(new Date(), timezone),
+      lastActivityDay: null,
+      activeToday: false,
+      atRisk: false,
+      freezesNeeded: 0,
+    };
+
+  return {
+    ...status,
+    timezone,
+    longestStreak: stats?.longestStreak || 0,
+    streakFreezes: stats?.streakFreezes || 0,
+    streakFreezesUsed: stats?.streakFreezesUsed || 0,
+    maxStreakFreezes: STREAK_FREEZE_RULES.MAX,
+    freezeEarnedEvery: STREAK_FREEZE_RULES.EARN_EVERY,
+    freezeCost: STREAK_FREEZE_RULES.COST,
+  };
+};
+
+/**
+ * Get a child's streak status
+ * @param {String} childId - Child profile ID
+ * @returns {Object} Streak summary (currentStreak is 0 when missed days broke the streak)
+ */
+const getStreak = async (childId) => {
+  const { child, stats } = await loadChildStats(childId);
+  return buildStreakSummary(child, stats);
+};
+
+/**
+ * Get the streak calendar for a date range
+ *
+ * Every day of the range is returned; days without a DailyActivity are 'missed'
+ * (or 'upcoming' after today). Defaults to the last DEFAULT_HISTORY_DAYS days.
+ *
+ * @param {String} childId - Child profile ID
+ * @param {Object} [range]
+ * @param {String} [range.from] - First day (YYYY-MM-DD)
+ * @param {String} [range.to] - Last day (YYYY-MM-DD, default: today)
+ * @param {Number} [range.days] - Number of days ending at `to` (when from is omitted)
+ * @returns {Object} { streak, from, to, days: [{ date, status, activityCount, starsEarned }], summary }
+ * @throws {Error} 400 invalid range
+ */
+const getStreakHistory = async (childId, range = {}) => {
+  const { child, stats } = await loadChildStats(childId);
+  const streak = buildStreakSummary(child, stats);
+
+  const to = range.to || streak.today;
+  if (!DAY_KEY_PATTERN.test(to) || Number.isNaN(Date.parse(to))) {
+    throw createStreakError('to must be a date in YYYY-MM-DD format', 400);
+  }
+
+  let from = range.from;
+  if (from) {
+    if (!DAY_KEY_PATTERN.test(from) || Number.isNaN(Date.parse(from))) {
+      throw createStreakError('from must be a date in YYYY-MM-DD format', 400);
+    }
+  } else {
+    const days = Math.min(Math.max(parseInt(range.days, 10) || DEFAULT_HISTORY_DAYS, 1), MAX_HISTORY_DAYS);
+    from = ChildStats.addDays(to, -(days - 1));
+  }
+
+  const length = ChildStats.daysBetween(from, to) + 1;
+  if (length < 1) {
+    throw createStreakError('from must not be after to', 400);
+  }
+  if (length > MAX_HISTORY_DAYS) {
+    throw createStreakError(`History is limited to ${MAX_HISTORY_DAYS} days`, 400);
+  }
+
+  const records = await DailyActivity.find({
+    child: childId,
+    date: { $gte: from, $lte: to },
+  })
+    .select('date status activityCount starsEarned')
+    .lean();
+  const recordMap = new Map(records.map((record) => [record.date, record]));
+
+  const days = [];
+  for (let i = 0; i < length; i += 1) {
+    const date = ChildStats.addDays(from, i);
+    const record = recordMap.get(date);
+    let status = 'missed';
+    if (record) {
+      status = record.status;
+    } else if (date >= streak.today) {
+      status = date === streak.today ? 'pending' : 'upcoming';
+    }
+    days.push({
+      date,
+      status,
+      activityCount: record?.activityCount || 0,
+      starsEarned: record?.starsEarned || 0,
+    });
+  }
+
+  return {
+    streak,
+    from,
+    to,
+    days,
+    summary: {
+      activeDays: days.filter((day) => day.status === 'active').length,
+      frozenDays: days.filter((day) => day.status === 'frozen').length,
+      starsEarned: days.reduce((sum, day) => sum + day.starsEarned, 0),
+    },
+  };
+};
+
+/**
+ * Buy a streak freeze with spendable stars
+ * @param {String} childId - Child profile ID
+ * @returns {Object} { streak, balance }
+ * @throws {Error} 409 when the child already holds the maximum or has too few stars
+ */
+const purchaseStreakFreeze = async (childId) => {
+  const { child } = await loadChildStats(childId);
+  const { STREAK_FREEZE_RULES } = ChildStats;
+
+  const existing = await ChildStats.getOrCreate(childId);
+  if ((existing.streakFreezes || 0) >= STREAK_FREEZE_RULES.MAX) {
+    throw createStreakError(`You can hold at most ${STREAK_FREEZE_RULES.MAX} streak freezes`, 409);
+  }
+
+  const debited = await ChildStats.spendStars(childId, STREAK_FREEZE_RULES.COST);
+  if (!debited) {
+    throw createStreakError('Not enough stars to buy a streak freeze', 409);
+  }
+
+  const stats = await ChildStats.addStreakFreeze(childId);
+  if (!stats) {
+    // Another request filled the last slot between the check and the debit
+    await ChildStats.refundStars(childId, STREAK_FREEZE_RULES.COST);
+    throw createStreakError(`You can hold at most ${STREAK_FREEZE_RULES.MAX} streak freezes`, 409);
+  }
+
+  return {
+    streak: buildStreakSummary(child, stats),
+    balance: {
+      totalStars: stats.totalStars || 0,
+      spentStars: stats.spentStars || 0,
+      spendableStars: stats.spendableStars,
+    },
+  };
+};
+
+module.exports = {
+  getStreak,
+  getStreakHistory,
+  purchaseStreakFreeze,
+};
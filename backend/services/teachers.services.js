@@ -1,4 +1,5 @@
 const { User } = require('../models');
+const { sendVerificationEmail } = require('./auth.services');
 
 /**
  * Teachers Service
@@ -91,6 +92,13 @@ const createTeacher = async (teacherData) => {
     isActive: true,
   });
 
+  // Send verification email (account creation must not fail if the mail transport is down)
+  try {
+    await sendVerificationEmail(teacher._id);
+  } catch (error) {
+    console.error('[Auth] Failed to send verification email:', error.message);
+  }
+
   return await User.findById(teacher._id).select('-password');
 };
 
@@ -1,6 +1,9 @@
 const { Media, Badge } = require('../models');
-const fs = require('fs');
 const path = require('path');
+const storageService = require('./storage.service');
+const scormService = require('./scorm.service');
+const videoProcessingService = require('./videoProcessing.service');
+const skillService = require('./skill.services');
 
 /**
  * Create Video Service
@@ -22,8 +25,11 @@ const createVideo = async (userId, videoData, files = {}) => {
     starsAwarded,
     badgeAwarded,
     tags,
+    skills,
     isPublished,
     requiredWatchCount,
+    completionRule,
+    slideCount,
   } = videoData;
 
   // Validate required fields
@@ -31,6 +37,9 @@ const createVideo = async (userId, videoData, files = {}) => {
     throw new Error('Please provide a video title');
   }
 
+  // Validate skills if provided
+  const skillIds = await skillService.resolveSkillIds(skills);
+
   // Validate video file is provided
   if (!files.videoFile || !Array.isArray(files.videoFile) || files.videoFile.length === 0) {
     throw new Error('Please provide a video file');
@@ -47,6 +56,14 @@ const createVideo = async (userId, videoData, files = {}) => {
     }
   }
 
+  // Validate the quarantined SCORM package and move it to uploads
+  const scormValidation = scormFile ? await scormService.releaseScormUpload(scormFile) : null;
+
+  // Detect slide count and validate the completion rule of the optional SCORM file
+  const scormSettings = scormFile
+    ? await scormService.buildScormSettings(scormFile.path, { completionRule, slideCount })
+    : undefined;
+
   // Process video file and create Media record
   const videoRelativePath = videoFile.path.replace(path.join(__dirname, '../uploads'), '').replace(/\\/g, '/');
   const videoFileUrl = `/uploads${videoRelativePath.startsWith('/') ? videoRelativePath : `/${videoRelativePath}`}`;
@@ -55,7 +72,7 @@ const createVideo = async (userId, videoData, files = {}) => {
     type: 'video',
     title: title?.trim() || videoFile.originalname, // Use provided title, fallback to filename
     description: description?.trim() || null,
-    filePath: videoFile.path, // Keep full path for server operations (deletion, etc.)
+    filePath: videoFile.storageKey, // Keep full path for server operations (deletion, etc.)
     url: videoFileUrl, // Relative path for client access
     mimeType: videoFile.mimetype,
     size: videoFile.size,
@@ -64,6 +81,9 @@ const createVideo = async (userId, videoData, files = {}) => {
     requiredWatchCount: requiredWatchCount ? parseInt(requiredWatchCount, 10) : 5, // Default to 5
     isPublished: isPublished === 'true' || isPublished === true,
     uploadedBy: userId,
+    processing: {
+      status: 'pending',
+    },
   });
 
   // Attach optional badge to the video media
@@ -79,7 +99,7 @@ const createVideo = async (userId, videoData, files = {}) => {
     const scormMedia = await Media.create({
       type: 'video', // Using 'video' type for SCORM files
       title: scormFile.originalname,
-      filePath: scormFile.path, // Keep full path for server operations
+      filePath: scormFile.storageKey, // Keep full path for server operations
       url: scormFileUrl, // Relative path for client access
       mimeType: scormFile.mimetype,
       size: scormFile.size,
@@ -88,9 +108,10 @@ const createVideo = async (userId, videoData, files = {}) => {
 
     // Link SCORM file to video Media
     videoMedia.scormFile = scormMedia._id;
-    videoMedia.scormFilePath = scormFile.path; // Keep full path for server operations
+    videoMedia.scormFilePath = scormFile.storageKey; // Keep full path for server operations
     videoMedia.scormFileUrl = scormFileUrl; // Relative path for client access
     videoMedia.scormFileSize = scormFile.size;
+    videoMedia.scormSettings = scormSettings;
   }
 
   await videoMedia.save();
@@ -119,8 +140,13 @@ const createVideo = async (userId, videoData, files = {}) => {
   }
 
   videoMedia.tags = parsedTags.filter(t => t && t.trim()).map(t => t.trim());
+  videoMedia.skills = skillIds;
   await videoMedia.save();
 
+  // HLS renditions and a poster are made in the background; the original
+  // file plays until they are ready
+  videoProcessingService.enqueueVideoProcessing(videoMedia._id);
+
   // Get created video with populated data
   const createdVideo = await Media.findById(videoMedia._id)
     .populate('scormFile', 'type title url mimeType size')
@@ -128,7 +154,7 @@ const createVideo = async (userId, videoData, files = {}) => {
     .populate('uploadedBy', 'name email')
     .lean();
 
-  return createdVideo;
+  return { ...createdVideo, scormValidation };
 };
 
 /**
@@ -253,6 +279,9 @@ const updateVideo = async (videoId, userId, updateData, files = {}) => {
     badgeAwarded,
     isPublished,
     requiredWatchCount,
+    completionRule,
+    slideCount,
+    skills,
   } = updateData;
 
   // Find video (SCORM is optional)
@@ -306,6 +335,9 @@ const updateVideo = async (videoId, userId, updateData, files = {}) => {
     video.isPublished = isPublished === 'true' || isPublished === true;
   }
 
+  // Update SCORM completion rule / slide count
+  scormService.updateScormSettings(video, { completionRule, slideCount });
+
   // Update badge awarded
   if (badgeAwarded !== undefined) {
     if (badgeAwarded) {
@@ -328,6 +360,11 @@ const updateVideo = async (videoId, userId, updateData, files = {}) => {
     video.thumbnail = coverImagePath;
   }
 
+  // Update skills
+  if (skills !== undefined) {
+    video.skills = await skillService.resolveSkillIds(skills);
+  }
+
   await video.save();
 
   // Get updated video with populated data
@@ -361,20 +398,16 @@ const deleteVideo = async (videoId) => {
   }
 
   // Delete video file if exists
-  if (video.filePath && fs.existsSync(video.filePath)) {
-    try {
-      fs.unlinkSync(video.filePath);
-    } catch (error) {
-      console.error('Error deleting video file:', error);
-    }
+  if (video.filePath || video.url) {
+    await storageService.removeFile(video.filePath || video.url);
   }
 
   // Delete SCORM file if exists
   if (video.scormFile) {
     try {
       const scormMedia = await Media.findById(video.scormFile);
-      if (scormMedia && scormMedia.filePath && fs.existsSync(scormMedia.filePath)) {
-        fs.unlinkSync(scormMedia.filePath);
+      if (scormMedia) {
+        await storageService.removeFile(scormMedia.filePath || scormMedia.url);
       }
       await Media.findByIdAndDelete(video.scormFile);
     } catch (error) {
@@ -383,24 +416,38 @@ const deleteVideo = async (videoId) => {
   }
 
   // Delete thumbnail if exists
-  if (video.thumbnail && fs.existsSync(path.join(__dirname, '../', video.thumbnail.replace('/uploads', 'uploads')))) {
-    try {
-      fs.unlinkSync(path.join(__dirname, '../', video.thumbnail.replace('/uploads', 'uploads')));
-    } catch (error) {
-      console.error('Error deleting thumbnail:', error);
-    }
+  if (video.thumbnail) {
+    await storageService.removeFile(video.thumbnail);
   }
 
+  // Delete HLS renditions and poster
+  await videoProcessingService.removeVideoRenditions(video._id);
+
   await Media.findByIdAndDelete(videoId);
 
   return { message: 'Video deleted successfully', id: videoId };
 };
 
+/**
+ * Reprocess Video Service
+ *
+ * Queues a video for HLS transcoding again, e.g. after a failed job
+ *
+ * @param {String} videoId - Video's MongoDB ID
+ * @returns {Object} Video with processing status reset to pending
+ * @throws {Error} If video not found or already being processed
+ */
+const reprocessVideo = async (videoId) => {
+  const video = await videoProcessingService.reprocessVideo(videoId);
+  return video.toObject();
+};
+
 module.exports = {
   createVideo,
   getAllVideos,
   getVideoById,
   updateVideo,
   deleteVideo,
+  reprocessVideo,
 };
 
@@ -0,0 +1,344 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const { Media, ExploreContent } = require('../models');
+const { resolveMediaFilePath } = require('./audioAnalysis.service');
+const { runFfmpeg } = require('./audioProcessing.service');
+const { createProcessingQueue } = require('./mediaProcessingQueue.service');
+const storageService = require('./storage.service');
+
+/**
+ * Video Processing Service
+ *
+ * Turns an uploaded video (MP4, MOV, AVI, ...) into HLS for adaptive
+ * streaming, so playback starts quickly and drops to a lower quality on a
+ * slow connection instead of stalling. For each video:
+ *
+ * 1. ffprobe reads the duration and size (Media.duration/width/height)
+ * 2. an H.264/AAC HLS rendition is encoded for each rung of the ladder up to
+ *    the source height (always at least the lowest)
+ * 3. a master playlist lists the renditions (Media.hlsUrl)
+ * 4. a poster frame is taken; it becomes Media.thumbnail and the cover of
+ *    explore videos that have none
+ *
+ * Output is written to uploads/media/videos/hls/<mediaId>/ and then saved to
+ * storage (storage.service.js) under the same key. The original upload is
+ * kept as the fallback for players without HLS and for failed jobs.
+ *
+ * Jobs run one at a time in this process (see mediaProcessingQueue.service.js)
+ * and videos still pending are queued again when the server starts.
+ */
+
+const HLS_ROOT = path.join(__dirname, '..', 'uploads', 'media', 'videos', 'hls');
+const MASTER_PLAYLIST = 'master.m3u8';
+const POSTER_FILE = 'poster.jpg';
+const SEGMENT_SECONDS = 6;
+const PROBE_TIMEOUT_MS = 30000;
+const RENDITION_TIMEOUT_MS = 60 * 60 * 1000;
+
+// Heights and bitrates (bits per second) of the HLS renditions
+const RENDITION_LADDER = [
+  { height: 360, videoBitrate: 800000, audioBitrate: 96000 },
+  { height: 480, videoBitrate: 1400000, audioBitrate: 128000 },
+  { height: 720, videoBitrate: 2800000, audioBitrate: 128000 },
+  { height: 1080, videoBitrate: 5000000, audioBitrate: 160000 },
+];
+
+const createVideoProcessingError = (message, statusCode = 500) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const filePathToUploadsUrl = (absolutePath) => {
+  const uploadsIndex = absolutePath.indexOf('uploads');
+  if (uploadsIndex === -1) return absolutePath;
+  const relativePath = absolutePath
+    .substring(uploadsIndex + 'uploads'.length)
+    .replace(/\\/g, '/');
+  return `/uploads${relativePath.startsWith('/') ? relativePath : `/${relativePath}`}`;
+};
+
+/**
+ * Read duration, size and audio presence with ffprobe (FFPROBE_PATH,
+ * default "ffprobe" on the PATH)
+ * @param {String} filePath - Video file
+ * @returns {Promise<Object>} { duration, width, height, hasAudio }
+ */
+const probeVideo = (filePath) =>
+  new Promise((resolve, reject) => {
+    let stdout = '';
+    let stderr = '';
+    let settled = false;
+
+    const ffprobe = spawn(process.env.FFPROBE_PATH || 'ffprobe', [
+      '-v', 'error',
+      '-print_format', 'json',
+      '-show_format',
+      '-show_streams',
+      filePath,
+    ]);
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (error) reject(error);
+      else resolve(result);
+    };
+
+    const timer = setTimeout(() => {
+      ffprobe.kill('SIGKILL');
+      finish(createVideoProcessingError('ffprobe timed out'));
+    }, PROBE_TIMEOUT_MS);
+
+    ffprobe.stdout.on('data', (chunk) => {
+      stdout += chunk.toString();
+    });
+    ffprobe.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk.toString()).slice(-500);
+    });
+    ffprobe.on('error', (error) => {
+      finish(createVideoProcessingError(
+        error.code === 'ENOENT' ? 'ffprobe is not installed' : `ffprobe failed: ${error.message}`
+      ));
+    });
+    ffprobe.on('close', (code) => {
+      if (code !== 0) {
+        finish(createVideoProcessingError(`Could not read video${stderr ? `: ${stderr.trim()}` : ''}`, 422));
+        return;
+      }
+      try {
+        const { streams = [], format = {} } = JSON.parse(stdout);
+        const video = streams.find((stream) => stream.codec_type === 'video');
+        if (!video) {
+          finish(createVideoProcessingError('File has no video stream', 422));
+          return;
+        }
+        // Phones record portrait video as landscape plus a rotation flag
+        const rotation = Math.abs(parseInt(video.tags?.rotate || '0', 10)) % 180;
+        finish(null, {
+          duration: parseFloat(format.duration || video.duration) || null,
+          width: rotation === 90 ? video.height : video.width,
+          height: rotation === 90 ? video.width : video.height,
+          hasAudio: streams.some((stream) => stream.codec_type === 'audio'),
+        });
+      } catch (error) {
+        finish(createVideoProcessingError('Could not read video information', 422));
+      }
+    });
+  });
+
+/**
+ * Renditions to encode for a source of the given height
+ * @param {Number} sourceHeight
+ * @returns {Array<Object>} Ladder rungs, lowest first
+ */
+const selectRenditions = (sourceHeight) => {
+  const renditions = RENDITION_LADDER.filter((rung) => rung.height <= sourceHeight);
+  return renditions.length > 0 ? renditions : [RENDITION_LADDER[0]];
+};
+
+const encodeRendition = (inputPath, outputDir, rendition, { hasAudio, duration }) => {
+  const rungDir = path.join(outputDir, String(rendition.height));
+  fs.mkdirSync(rungDir, { recursive: true });
+
+  const args = [
+    '-i', inputPath,
+    // Even width keeps libx264 happy
+    '-vf', `scale=-2:${rendition.height}`,
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-profile:v', 'main',
+    '-pix_fmt', 'yuv420p',
+    '-b:v', String(rendition.videoBitrate),
+    '-maxrate', String(Math.round(rendition.videoBitrate * 1.07)),
+    '-bufsize', String(rendition.videoBitrate * 2),
+    // Keyframe every 2 s at common frame rates so segments cut cleanly
+    '-force_key_frames', 'expr:gte(t,n_forced*2)',
+  ];
+  if (hasAudio) {
+    args.push('-c:a', 'aac', '-b:a', String(rendition.audioBitrate), '-ac', '2');
+  } else {
+    args.push('-an');
+  }
+  args.push(
+    '-f', 'hls',
+    '-hls_time', String(SEGMENT_SECONDS),
+    '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', path.join(rungDir, 'segment_%04d.ts'),
+    path.join(rungDir, 'index.m3u8')
+  );
+
+  // Roughly real time on a small server, with a generous floor and cap
+  const timeoutMs = Math.min(RENDITION_TIMEOUT_MS, Math.max(10 * 60 * 1000, (duration || 0) * 4000));
+  return runFfmpeg(args, { timeoutMs });
+};
+
+const buildMasterPlaylist = (renditions, { width, height, hasAudio }) => {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  renditions.forEach((rendition) => {
+    const renditionWidth = Math.round((width / height) * rendition.height / 2) * 2;
+    const bandwidth = rendition.videoBitrate + (hasAudio ? rendition.audioBitrate : 0);
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${renditionWidth}x${rendition.height}`,
+      `${rendition.height}/index.m3u8`
+    );
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Delete a video's HLS output
+ * @param {String} mediaId - Media ID
+ */
+const removeVideoRenditions = async (mediaId) => {
+  try {
+    await storageService.removeDirectory(path.join(HLS_ROOT, String(mediaId)));
+  } catch (error) {
+    console.error(`[VideoProcessing] Could not remove HLS output of ${mediaId}:`, error.message);
+  }
+};
+
+/**
+ * Process one video now (normally called by the queue)
+ * @param {String} mediaId - Video Media ID with processing.status 'pending'
+ * @returns {Promise<Object|null>} Updated Media document, or null when not found
+ */
+const processVideo = async (mediaId) => {
+  const media = await Media.findById(mediaId);
+  if (!media) return null;
+  if (!media.processing || ['processing', 'completed'].includes(media.processing.status)) {
+    return media;
+  }
+
+  const inputPath = await resolveMediaFilePath(media);
+  const outputDir = path.join(HLS_ROOT, String(media._id));
+
+  media.processing.status = 'processing';
+  media.processing.progress = 0;
+  media.processing.attempts += 1;
+  media.processing.startedAt = new Date();
+  media.processing.error = null;
+  await media.save();
+
+  const setProgress = async (done, total) => {
+    media.processing.progress = Math.round((done / total) * 100);
+    await media.save();
+  };
+
+  try {
+    if (!fs.existsSync(inputPath)) {
+      throw createVideoProcessingError('Video file not found', 404);
+    }
+
+    const info = await probeVideo(inputPath);
+    const renditions = selectRenditions(info.height);
+    // Poster + one step per rendition
+    const totalSteps = renditions.length + 1;
+
+    await removeVideoRenditions(media._id);
+    await fs.promises.mkdir(outputDir, { recursive: true });
+
+    const posterPath = path.join(outputDir, POSTER_FILE);
+    await runFfmpeg([
+      '-ss', String(Math.min(5, (info.duration || 0) * 0.1)),
+      '-i', inputPath,
+      '-frames:v', '1',
+      '-vf', 'scale=640:-2',
+      posterPath,
+    ]);
+    await setProgress(1, totalSteps);
+
+    for (let i = 0; i < renditions.length; i += 1) {
+      await encodeRendition(inputPath, outputDir, renditions[i], info);
+      await setProgress(i + 2, totalSteps);
+    }
+
+    const masterPath = path.join(outputDir, MASTER_PLAYLIST);
+    await fs.promises.writeFile(masterPath, buildMasterPlaylist(renditions, info));
+    await storageService.saveDirectory(outputDir);
+
+    const posterUrl = filePathToUploadsUrl(posterPath);
+    media.hlsUrl = filePathToUploadsUrl(masterPath);
+    media.duration = info.duration ? Math.round(info.duration) : media.duration;
+    media.width = info.width;
+    media.height = info.height;
+    // An admin's cover image wins over the extracted frame
+    if (!media.thumbnail) {
+      media.thumbnail = posterUrl;
+    }
+    media.processing.status = 'completed';
+    media.processing.progress = 100;
+    media.processing.completedAt = new Date();
+    await media.save();
+
+    await ExploreContent.updateMany({ videoFile: media._id, coverImage: null }, { coverImage: posterUrl });
+    await ExploreContent.updateMany({ videoFile: media._id, duration: null }, { duration: media.duration });
+  } catch (error) {
+    console.error(`[VideoProcessing] Error processing media ${mediaId}:`, error.message);
+    await removeVideoRenditions(media._id);
+
+    media.hlsUrl = null;
+    media.processing.status = 'failed';
+    media.processing.error = error.message;
+    media.processing.completedAt = new Date();
+    await media.save();
+  }
+
+  return media;
+};
+
+const videoQueue = createProcessingQueue({
+  name: 'VideoProcessing',
+  mediaType: 'video',
+  processMedia: processVideo,
+});
+
+/**
+ * Queue a video for HLS transcoding; returns immediately
+ * @param {String} mediaId - Media ID created with processing: { status: 'pending' }
+ */
+const enqueueVideoProcessing = (mediaId) => videoQueue.enqueue(mediaId);
+
+/**
+ * Queue videos left pending or interrupted by a restart
+ * @returns {Promise<Number>} Number of videos queued
+ */
+const resumePendingVideoProcessing = () => videoQueue.resume();
+
+/**
+ * Transcode a video again (after a failure, or to pick up a new ladder)
+ * @param {String} mediaId - Video Media ID
+ * @returns {Promise<Object>} Media document with processing reset to pending
+ * @throws {Error} If the video does not exist or is being processed
+ */
+const reprocessVideo = async (mediaId) => {
+  const media = await Media.findOne({ _id: mediaId, type: 'video' });
+  if (!media) {
+    throw createVideoProcessingError('Video not found', 404);
+  }
+  if (media.processing && ['pending', 'processing'].includes(media.processing.status)) {
+    throw createVideoProcessingError('Video is already being processed', 409);
+  }
+
+  media.processing = {
+    status: 'pending',
+    attempts: media.processing?.attempts || 0,
+  };
+  await media.save();
+  enqueueVideoProcessing(media._id);
+  return media;
+};
+
+module.exports = {
+  enqueueVideoProcessing,
+  resumePendingVideoProcessing,
+  reprocessVideo,
+  processVideo,
+  probeVideo,
+  selectRenditions,
+  buildMasterPlaylist,
+  removeVideoRenditions,
+};
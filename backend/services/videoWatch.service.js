@@ -1,4 +1,5 @@
 const { VideoWatch, Media, ChildProfile, StarEarning, ChildStats } = require('../models');
+const xapiService = require('./xapi.service');
 
 /**
  * Mark video as watched (completed)
@@ -140,6 +141,17 @@ const markVideoWatched = async (childId, videoId, completionPercentage = 100) =>
 
   await videoWatch.save();
 
+  if (!isDuplicateWatch) {
+    await xapiService.recordLearningEvent({
+      childId,
+      verb: 'watched',
+      contentType: 'video',
+      contentId: videoId,
+      title: video.title,
+      result: { completion: completionPercentage >= 100 },
+    });
+  }
+
   // Populate video info
   await videoWatch.populate('video', 'title starsAwarded requiredWatchCount');
 
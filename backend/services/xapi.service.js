@@ -0,0 +1,702 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { XapiStatement, XapiState, ChildProfile } = require('../models');
+
+/**
+ * xAPI Service
+ *
+ * Built-in Learning Record Store (LRS) for xAPI 1.0.3 statements.
+ *
+ * - Content packages store and read statements through /api/xapi/statements
+ * - Progress services record learning events (watched, read, submitted,
+ *   approved, completed) with recordLearningEvent()
+ * - External LRS tools export records with GET /api/xapi/statements
+ * - xAPI/cmi5 content keeps bookmarks and suspend data in the State API
+ *   (/api/xapi/activities/state); cmi5 launches store LMS.LaunchData there
+ *
+ * Children are identified by an account agent: { homePage: XAPI_HOMEPAGE, name: childId }.
+ * XAPI_HOMEPAGE defaults to FRONTEND_BASE_URL; it also prefixes our activity IRIs.
+ */
+
+const XAPI_VERSION = '1.0.3';
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 500;
+
+const XAPI_VERBS = {
+  watched: {
+    id: 'http://activitystrea.ms/schema/1.0/watch',
+    display: { 'en-US': 'watched' },
+  },
+  read: {
+    id: 'http://activitystrea.ms/schema/1.0/read',
+    display: { 'en-US': 'read' },
+  },
+  submitted: {
+    id: 'http://activitystrea.ms/schema/1.0/submit',
+    display: { 'en-US': 'submitted' },
+  },
+  approved: {
+    id: 'http://activitystrea.ms/schema/1.0/approve',
+    display: { 'en-US': 'approved' },
+  },
+  rejected: {
+    id: 'http://activitystrea.ms/schema/1.0/reject',
+    display: { 'en-US': 'rejected' },
+  },
+  completed: {
+    id: 'http://adlnet.gov/expapi/verbs/completed',
+    display: { 'en-US': 'completed' },
+  },
+  voided: {
+    id: 'http://adlnet.gov/expapi/verbs/voided',
+    display: { 'en-US': 'voided' },
+  },
+  // cmi5 defined verbs
+  launched: {
+    id: 'http://adlnet.gov/expapi/verbs/launched',
+    display: { 'en-US': 'launched' },
+  },
+  initialized: {
+    id: 'http://adlnet.gov/expapi/verbs/initialized',
+    display: { 'en-US': 'initialized' },
+  },
+  passed: {
+    id: 'http://adlnet.gov/expapi/verbs/passed',
+    display: { 'en-US': 'passed' },
+  },
+  failed: {
+    id: 'http://adlnet.gov/expapi/verbs/failed',
+    display: { 'en-US': 'failed' },
+  },
+  terminated: {
+    id: 'http://adlnet.gov/expapi/verbs/terminated',
+    display: { 'en-US': 'terminated' },
+  },
+  satisfied: {
+    id: 'https://w3id.org/xapi/adl/verbs/satisfied',
+    display: { 'en-US': 'satisfied' },
+  },
+};
+
+// Activity type per content type (as used in Course.contents and the progress services)
+const XAPI_ACTIVITY_TYPES = {
+  video: 'http://adlnet.gov/expapi/activities/media',
+  exploreVideo: 'http://adlnet.gov/expapi/activities/media',
+  book: 'http://id.tincanapi.com/activitytype/book',
+  chant: 'http://adlnet.gov/expapi/activities/performance',
+  audioAssignment: 'http://adlnet.gov/expapi/activities/assessment',
+  activity: 'http://adlnet.gov/expapi/activities/lesson',
+  cmi5: 'http://adlnet.gov/expapi/activities/lesson',
+  quiz: 'http://adlnet.gov/expapi/activities/assessment',
+  course: 'http://adlnet.gov/expapi/activities/course',
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const IRI_PATTERN = /^[a-z][a-z0-9+.-]*:\S+$/i;
+
+const createXapiError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Home page of our agent accounts and prefix of our activity IRIs
+ * @returns {String} Base URL without trailing slash
+ */
+const getHomePage = () =>
+  (process.env.XAPI_HOMEPAGE || process.env.FRONTEND_BASE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+/**
+ * Build the xAPI agent for a child
+ * @param {String} childId - Child's MongoDB ID
+ * @param {String} [name] - Child's display name
+ * @returns {Object} Agent
+ */
+const buildChildActor = (childId, name) => ({
+  objectType: 'Agent',
+  ...(name && { name }),
+  account: {
+    homePage: getHomePage(),
+    name: String(childId),
+  },
+});
+
+/**
+ * Build the xAPI activity for a content item
+ * @param {String} contentType - Content type (video, book, chant, audioAssignment, activity, course, exploreVideo)
+ * @param {String} contentId - Content MongoDB ID
+ * @param {String} [title] - Content title
+ * @returns {Object} Activity
+ */
+const buildActivity = (contentType, contentId, title) => ({
+  objectType: 'Activity',
+  id: `${getHomePage()}/xapi/activities/${contentType}/${contentId}`,
+  definition: {
+    type: XAPI_ACTIVITY_TYPES[contentType] || XAPI_ACTIVITY_TYPES.activity,
+    ...(title && { name: { 'en-US': title } }),
+  },
+});
+
+/**
+ * Convert seconds to an ISO 8601 duration (result.duration)
+ * @param {Number} seconds - Duration in seconds
+ * @returns {String} Duration (e.g. "PT95S")
+ */
+const secondsToDuration = (seconds) => `PT${Math.max(0, Math.round(Number(seconds) || 0))}S`;
+
+/**
+ * Get the inverse functional identifier of an agent or group
+ * @param {Object} agent - xAPI agent/group
+ * @returns {String|null} Key such as "mbox:mailto:a@b.c" or "account:<homePage>|<name>", null if not exactly one IFI
+ */
+const getActorKey = (agent) => {
+  if (!agent || typeof agent !== 'object') return null;
+
+  const keys = [];
+  if (agent.mbox) keys.push(`mbox:${String(agent.mbox).toLowerCase()}`);
+  if (agent.mbox_sha1sum) keys.push(`mbox_sha1sum:${String(agent.mbox_sha1sum).toLowerCase()}`);
+  if (agent.openid) keys.push(`openid:${agent.openid}`);
+  if (agent.account) {
+    if (!agent.account.homePage || !agent.account.name) return null;
+    keys.push(`account:${String(agent.account.homePage).replace(/\/+$/, '')}|${agent.account.name}`);
+  }
+
+  return keys.length === 1 ? keys[0] : null;
+};
+
+/**
+ * Get the child a statement actor refers to (our account agents only)
+ * @param {Object} actor - xAPI agent
+ * @returns {String|null} Child ID
+ */
+const getChildIdFromActor = (actor) => {
+  const account = actor?.account;
+  if (!account || String(account.homePage || '').replace(/\/+$/, '') !== getHomePage()) {
+    return null;
+  }
+  return mongoose.Types.ObjectId.isValid(account.name) ? String(account.name) : null;
+};
+
+const validateAgent = (agent, field) => {
+  if (!agent || typeof agent !== 'object' || Array.isArray(agent)) {
+    throw createXapiError(`${field} is required`, 400);
+  }
+  if (agent.objectType && !['Agent', 'Group'].includes(agent.objectType)) {
+    throw createXapiError(`Invalid ${field} objectType: ${agent.objectType}`, 400);
+  }
+  if (agent.mbox && !String(agent.mbox).startsWith('mailto:')) {
+    throw createXapiError(`Invalid ${field} mbox. Must be a mailto: IRI`, 400);
+  }
+  if (!getActorKey(agent)) {
+    throw createXapiError(`${field} must have exactly one identifier (mbox, mbox_sha1sum, openid or account)`, 400);
+  }
+};
+
+/**
+ * Validate a statement against the parts of the xAPI spec we rely on
+ * @param {Object} statement - Statement from the client
+ * @throws {Error} 400 error describing the first problem
+ */
+const validateStatement = (statement) => {
+  if (!statement || typeof statement !== 'object' || Array.isArray(statement)) {
+    throw createXapiError('Statement must be a JSON object', 400);
+  }
+
+  if (statement.id !== undefined && !UUID_PATTERN.test(String(statement.id))) {
+    throw createXapiError('Invalid statement id. Must be a UUID', 400);
+  }
+
+  validateAgent(statement.actor, 'Actor');
+
+  if (!statement.verb || !IRI_PATTERN.test(String(statement.verb.id || ''))) {
+    throw createXapiError('Verb id is required and must be an IRI', 400);
+  }
+
+  const object = statement.object;
+  if (!object || typeof object !== 'object' || Array.isArray(object)) {
+    throw createXapiError('Object is required', 400);
+  }
+
+  const objectType = object.objectType || 'Activity';
+  if (objectType === 'Activity') {
+    if (!IRI_PATTERN.test(String(object.id || ''))) {
+      throw createXapiError('Activity id is required and must be an IRI', 400);
+    }
+  } else if (objectType === 'Agent' || objectType === 'Group') {
+    validateAgent(object, 'Object');
+  } else if (objectType === 'StatementRef') {
+    if (!UUID_PATTERN.test(String(object.id || ''))) {
+      throw createXapiError('StatementRef id must be a UUID', 400);
+    }
+  } else if (objectType === 'SubStatement') {
+    validateAgent(object.actor, 'SubStatement actor');
+    if (!object.verb || !IRI_PATTERN.test(String(object.verb.id || ''))) {
+      throw createXapiError('SubStatement verb id is required and must be an IRI', 400);
+    }
+  } else {
+    throw createXapiError(`Invalid object objectType: ${objectType}`, 400);
+  }
+
+  if (statement.verb.id === XAPI_VERBS.voided.id && objectType !== 'StatementRef') {
+    throw createXapiError('Voiding statements must reference a statement (StatementRef)', 400);
+  }
+
+  const scaled = statement.result?.score?.scaled;
+  if (scaled !== undefined && (typeof scaled !== 'number' || scaled < -1 || scaled > 1)) {
+    throw createXapiError('Invalid result.score.scaled. Must be between -1 and 1', 400);
+  }
+
+  if (statement.timestamp !== undefined && Number.isNaN(Date.parse(statement.timestamp))) {
+    throw createXapiError('Invalid timestamp. Must be an ISO 8601 date', 400);
+  }
+
+  const registration = statement.context?.registration;
+  if (registration !== undefined && !UUID_PATTERN.test(String(registration))) {
+    throw createXapiError('Invalid context.registration. Must be a UUID', 400);
+  }
+};
+
+const getRelatedActivityIds = (statement) => {
+  const ids = [];
+  if ((statement.object.objectType || 'Activity') === 'Activity') {
+    ids.push(statement.object.id);
+  }
+
+  const contextActivities = statement.context?.contextActivities || {};
+  ['parent', 'grouping', 'category', 'other'].forEach((key) => {
+    const activities = contextActivities[key];
+    (Array.isArray(activities) ? activities : activities ? [activities] : []).forEach((activity) => {
+      if (activity?.id) ids.push(activity.id);
+    });
+  });
+
+  return [...new Set(ids)];
+};
+
+/**
+ * Store one or more statements
+ *
+ * @param {Object|Array} input - Statement or array of statements
+ * @param {Object} [options]
+ * @param {Object} [options.user] - Authenticated user (becomes the statement authority)
+ * @param {Array<String>|null} [options.allowedChildIds] - Children the user may record for (null = any actor)
+ * @param {String} [options.statementId] - Statement id from the query string (PUT)
+ * @returns {Array<String>} Stored statement ids, in input order
+ * @throws {Error} 400 invalid statement, 403 actor not allowed, 409 statement id already stored
+ */
+const saveStatements = async (input, { user = null, allowedChildIds = null, statementId = null } = {}) => {
+  const statements = Array.isArray(input) ? input : [input];
+
+  if (statements.length === 0) {
+    throw createXapiError('At least one statement is required', 400);
+  }
+
+  if (statementId) {
+    if (statements.length !== 1 || !UUID_PATTERN.test(String(statementId))) {
+      throw createXapiError('PUT requires a single statement and a UUID statementId', 400);
+    }
+    if (statements[0].id && String(statements[0].id).toLowerCase() !== String(statementId).toLowerCase()) {
+      throw createXapiError('Statement id does not match the statementId parameter', 400);
+    }
+  }
+
+  statements.forEach(validateStatement);
+
+  const stored = new Date();
+  const authority = user
+    ? {
+        objectType: 'Agent',
+        name: user.name,
+        account: { homePage: getHomePage(), name: `user/${user._id}` },
+      }
+    : {
+        objectType: 'Agent',
+        name: 'Rise Up Kids',
+        account: { homePage: getHomePage(), name: 'system' },
+      };
+
+  const docs = statements.map((statement, index) => {
+    const id = String((index === 0 && statementId) || statement.id || crypto.randomUUID()).toLowerCase();
+    const childId = getChildIdFromActor(statement.actor);
+
+    if (allowedChildIds && (!childId || !allowedChildIds.includes(childId))) {
+      throw createXapiError('Statements can only be recorded for your own children', 403);
+    }
+
+    const fullStatement = {
+      ...statement,
+      id,
+      timestamp: statement.timestamp ? new Date(statement.timestamp).toISOString() : stored.toISOString(),
+      stored: stored.toISOString(),
+      authority,
+      version: statement.version || XAPI_VERSION,
+    };
+
+    return {
+      statementId: id,
+      statement: fullStatement,
+      actorKey: getActorKey(statement.actor),
+      verbId: statement.verb.id,
+      activityId: (statement.object.objectType || 'Activity') === 'Activity' ? statement.object.id : null,
+      relatedActivityIds: getRelatedActivityIds(statement),
+      registration: statement.context?.registration ? String(statement.context.registration).toLowerCase() : null,
+      child: childId,
+      timestamp: new Date(fullStatement.timestamp),
+      stored,
+      storedBy: user?._id || null,
+    };
+  });
+
+  const ids = docs.map((doc) => doc.statementId);
+  if (new Set(ids).size !== ids.length) {
+    throw createXapiError('Duplicate statement ids in request', 400);
+  }
+
+  const existing = await XapiStatement.find({ statementId: { $in: ids } }).select('statementId').lean();
+  if (existing.length > 0) {
+    throw createXapiError(`Statement ${existing[0].statementId} already exists`, 409);
+  }
+
+  await XapiStatement.insertMany(docs);
+
+  // Voiding statements hide their target from regular queries (voiding statements can't be voided)
+  const voidedIds = docs
+    .filter((doc) => doc.verbId === XAPI_VERBS.voided.id)
+    .map((doc) => String(doc.statement.object.id).toLowerCase());
+
+  if (voidedIds.length > 0) {
+    await XapiStatement.updateMany(
+      { statementId: { $in: voidedIds }, verbId: { $ne: XAPI_VERBS.voided.id } },
+      { $set: { voided: true } }
+    );
+  }
+
+  return ids;
+};
+
+/**
+ * Get one statement or a page of statements
+ *
+ * Supported parameters: statementId, voidedStatementId, agent (JSON), verb, activity,
+ * related_activities, registration, since, until, limit, ascending, cursor
+ *
+ * @param {Object} queryParams - Query parameters
+ * @param {Object} [options]
+ * @param {Array<String>|null} [options.allowedChildIds] - Restrict to these children (null = all statements)
+ * @returns {Object} { statement } for single lookups, { statements, nextCursor } otherwise
+ * @throws {Error} 400 invalid parameters, 404 statement not found
+ */
+const getStatements = async (queryParams = {}, { allowedChildIds = null } = {}) => {
+  const {
+    statementId,
+    voidedStatementId,
+    agent,
+    verb,
+    activity,
+    related_activities: relatedActivities,
+    registration,
+    since,
+    until,
+    limit,
+    ascending,
+    cursor,
+  } = queryParams;
+
+  const accessFilter = allowedChildIds ? { child: { $in: allowedChildIds } } : {};
+
+  if (statementId || voidedStatementId) {
+    if (agent || verb || activity || registration || since || until || cursor) {
+      throw createXapiError('statementId and voidedStatementId cannot be combined with other filters', 400);
+    }
+
+    const doc = await XapiStatement.findOne({
+      ...accessFilter,
+      statementId: String(statementId || voidedStatementId).toLowerCase(),
+      voided: !!voidedStatementId,
+    }).lean();
+
+    if (!doc) {
+      throw createXapiError('Statement not found', 404);
+    }
+
+    return { statement: doc.statement };
+  }
+
+  const filter = { ...accessFilter, voided: false };
+
+  if (agent) {
+    filter.actorKey = parseAgentParam(agent).actorKey;
+  }
+
+  if (verb) filter.verbId = verb;
+  if (activity) {
+    if (relatedActivities === 'true' || relatedActivities === true) {
+      filter.relatedActivityIds = activity;
+    } else {
+      filter.activityId = activity;
+    }
+  }
+  if (registration) filter.registration = String(registration).toLowerCase();
+
+  if (since || until) {
+    filter.stored = {};
+    if (since) {
+      if (Number.isNaN(Date.parse(since))) throw createXapiError('Invalid since parameter', 400);
+      filter.stored.$gt = new Date(since);
+    }
+    if (until) {
+      if (Number.isNaN(Date.parse(until))) throw createXapiError('Invalid until parameter', 400);
+      filter.stored.$lte = new Date(until);
+    }
+  }
+
+  // limit=0 means "server maximum" in the xAPI spec
+  const parsedLimit = parseInt(limit, 10);
+  const pageSize = Number.isNaN(parsedLimit)
+    ? DEFAULT_QUERY_LIMIT
+    : parsedLimit <= 0
+      ? MAX_QUERY_LIMIT
+      : Math.min(parsedLimit, MAX_QUERY_LIMIT);
+  const skip = Math.max(0, parseInt(cursor, 10) || 0);
+  const order = ascending === 'true' || ascending === true ? 1 : -1;
+
+  const docs = await XapiStatement.find(filter)
+    .sort({ stored: order, _id: order })
+    .skip(skip)
+    .limit(pageSize + 1)
+    .lean();
+
+  return {
+    statements: docs.slice(0, pageSize).map((doc) => doc.statement),
+    nextCursor: docs.length > pageSize ? String(skip + pageSize) : null,
+  };
+};
+
+const parseAgentParam = (agent) => {
+  let parsedAgent;
+  try {
+    parsedAgent = typeof agent === 'string' ? JSON.parse(agent) : agent;
+  } catch (error) {
+    throw createXapiError('Invalid agent parameter. Must be a JSON agent', 400);
+  }
+  const actorKey = getActorKey(parsedAgent);
+  if (!actorKey) {
+    throw createXapiError('Invalid agent parameter. Must have exactly one identifier', 400);
+  }
+  return { agent: parsedAgent, actorKey };
+};
+
+const getStateFilter = ({ activityId, agent, registration }, allowedChildIds) => {
+  if (!activityId || !IRI_PATTERN.test(String(activityId))) {
+    throw createXapiError('activityId parameter is required and must be an IRI', 400);
+  }
+  if (!agent) {
+    throw createXapiError('agent parameter is required', 400);
+  }
+  if (registration && !UUID_PATTERN.test(String(registration))) {
+    throw createXapiError('Invalid registration parameter. Must be a UUID', 400);
+  }
+
+  const parsed = parseAgentParam(agent);
+  const childId = getChildIdFromActor(parsed.agent);
+  if (allowedChildIds && (!childId || !allowedChildIds.includes(childId))) {
+    throw createXapiError('State documents can only be accessed for your own children', 403);
+  }
+
+  return {
+    filter: {
+      activityId,
+      actorKey: parsed.actorKey,
+      registration: registration ? String(registration).toLowerCase() : '',
+    },
+    childId,
+  };
+};
+
+/**
+ * Get a state document, or the ids of all state documents when stateId is omitted
+ *
+ * @param {Object} params - { activityId, agent (JSON), registration, stateId, since }
+ * @param {Object} [options]
+ * @param {Array<String>|null} [options.allowedChildIds] - Children the user may access (null = any agent)
+ * @returns {Object} { document: { contentType, content } } or { stateIds }
+ * @throws {Error} 400 invalid parameters, 403 agent not allowed, 404 document not found
+ */
+const getStateDocument = async (params, { allowedChildIds = null } = {}) => {
+  const { filter } = getStateFilter(params, allowedChildIds);
+
+  if (!params.stateId) {
+    if (params.since) {
+      if (Number.isNaN(Date.parse(params.since))) throw createXapiError('Invalid since parameter', 400);
+      filter.updatedAt = { $gt: new Date(params.since) };
+    }
+    const documents = await XapiState.find(filter).select('stateId').lean();
+    return { stateIds: documents.map((doc) => doc.stateId) };
+  }
+
+  const document = await XapiState.findOne({ ...filter, stateId: params.stateId }).lean();
+  if (!document) {
+    throw createXapiError('State document not found', 404);
+  }
+
+  return { document: { contentType: document.contentType, content: document.content } };
+};
+
+/**
+ * Store a state document
+ * PUT replaces the document; POST merges JSON objects into the existing JSON document
+ *
+ * @param {Object} params - { activityId, agent (JSON), registration, stateId }
+ * @param {*} content - Document content (object for JSON documents)
+ * @param {Object} [options]
+ * @param {Boolean} [options.merge] - POST semantics
+ * @param {Array<String>|null} [options.allowedChildIds] - Children the user may access (null = any agent)
+ * @throws {Error} 400 invalid parameters or merge of non-JSON documents, 403 agent not allowed
+ */
+const saveStateDocument = async (params, content, { merge = false, allowedChildIds = null } = {}) => {
+  const { filter, childId } = getStateFilter(params, allowedChildIds);
+
+  if (!params.stateId) {
+    throw createXapiError('stateId parameter is required', 400);
+  }
+
+  const isJson = content !== null && typeof content === 'object';
+  let documentContent = isJson ? content : content === undefined || content === null ? '' : String(content);
+
+  const query = { ...filter, stateId: params.stateId };
+
+  if (merge) {
+    if (!isJson || Array.isArray(content)) {
+      throw createXapiError('POST to the State API requires a JSON object', 400);
+    }
+    const existing = await XapiState.findOne(query).lean();
+    if (existing) {
+      let existingContent;
+      try {
+        existingContent = existing.contentType === 'application/json' ? JSON.parse(existing.content) : null;
+      } catch (error) {
+        existingContent = null;
+      }
+      if (!existingContent || typeof existingContent !== 'object' || Array.isArray(existingContent)) {
+        throw createXapiError('Existing state document is not a JSON object and cannot be merged', 400);
+      }
+      documentContent = { ...existingContent, ...content };
+    }
+  }
+
+  await XapiState.findOneAndUpdate(
+    query,
+    {
+      $set: {
+        child: childId,
+        contentType: isJson ? 'application/json' : 'text/plain',
+        content: isJson ? JSON.stringify(documentContent) : documentContent,
+      },
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Delete one state document, or all documents of the activity/agent/registration when stateId is omitted
+ *
+ * @param {Object} params - { activityId, agent (JSON), registration, stateId }
+ * @param {Object} [options]
+ * @param {Array<String>|null} [options.allowedChildIds] - Children the user may access (null = any agent)
+ */
+const deleteStateDocument = async (params, { allowedChildIds = null } = {}) => {
+  const { filter } = getStateFilter(params, allowedChildIds);
+  if (params.stateId) {
+    filter.stateId = params.stateId;
+  }
+  await XapiState.deleteMany(filter);
+};
+
+/**
+ * Children whose statements a user may read and write
+ * @param {Object} user - Authenticated user
+ * @param {Object} [childSession] - req.childSession for child-scoped tokens
+ * @returns {Array<String>|null} Child IDs, or null for admins/teachers (no restriction)
+ */
+const getAccessibleChildIds = async (user, childSession = null) => {
+  if (childSession) {
+    return [String(childSession.childId)];
+  }
+
+  if (user.role === 'admin' || user.role === 'teacher') {
+    return null;
+  }
+
+  const children = await ChildProfile.find({ parent: user._id }).select('_id').lean();
+  return children.map((child) => String(child._id));
+};
+
+/**
+ * Record a learning event as an xAPI statement
+ * Never throws - a failed statement must not block the progress update that emitted it
+ *
+ * @param {Object} event
+ * @param {String} event.childId - Child's MongoDB ID
+ * @param {String} event.verb - Key of XAPI_VERBS (watched, read, submitted, approved, rejected, completed)
+ * @param {String} event.contentType - Content type (see XAPI_ACTIVITY_TYPES)
+ * @param {String} event.contentId - Content MongoDB ID
+ * @param {String} [event.title] - Content title
+ * @param {String} [event.courseId] - Course the content was completed in (context parent)
+ * @param {String} [event.instructorId] - User who reviewed the work (context instructor)
+ * @param {Object} [event.result] - xAPI result (completion, success, score, duration)
+ * @returns {String|null} Stored statement id, null on failure
+ */
+const recordLearningEvent = async ({ childId, verb, contentType, contentId, title, courseId, instructorId, result }) => {
+  try {
+    const statement = {
+      actor: buildChildActor(childId),
+      verb: XAPI_VERBS[verb],
+      object: buildActivity(contentType, contentId, title),
+    };
+
+    if (result) {
+      statement.result = result;
+    }
+
+    if (courseId || instructorId) {
+      statement.context = {};
+      if (courseId) {
+        statement.context.contextActivities = {
+          parent: [buildActivity('course', courseId)],
+        };
+      }
+      if (instructorId) {
+        statement.context.instructor = {
+          objectType: 'Agent',
+          account: { homePage: getHomePage(), name: `user/${instructorId}` },
+        };
+      }
+    }
+
+    const [id] = await saveStatements(statement);
+    return id;
+  } catch (error) {
+    console.error(`[xAPI] Failed to record "${verb}" statement for child ${childId}:`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  XAPI_VERSION,
+  XAPI_VERBS,
+  XAPI_ACTIVITY_TYPES,
+  getHomePage,
+  buildChildActor,
+  buildActivity,
+  secondsToDuration,
+  validateStatement,
+  saveStatements,
+  getStatements,
+  getStateDocument,
+  saveStateDocument,
+  deleteStateDocument,
+  getAccessibleChildIds,
+  recordLearningEvent,
+};
@@ -13,7 +13,8 @@ const api = axios.create({
 api.interceptors.request.use(
   (config) => {
     // Add auth token if available (from sessionStorage)
-    const token = sessionStorage.getItem('token');
+    // A child-scoped token (child session after PIN entry) takes precedence over the parent token
+    const token = sessionStorage.getItem('childToken') || sessionStorage.getItem('token');
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -33,8 +34,11 @@ api.interceptors.response.use(
     // Handle common errors
     if (error.response?.status === 401) {
       // Unauthorized - clear token and user data
+      // (an expired child session never falls back to the parent token)
       sessionStorage.removeItem('token');
       sessionStorage.removeItem('user');
+      sessionStorage.removeItem('childToken');
+      sessionStorage.removeItem('childSessionId');
       // Redirect to login will be handled by the app
     }
     return Promise.reject(error);
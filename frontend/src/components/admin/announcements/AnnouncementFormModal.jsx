@@ -0,0 +1,365 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Stack,
+  Typography,
+  MenuItem,
+  CircularProgress,
+  FormControlLabel,
+  Switch,
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { Close as CloseIcon } from '@mui/icons-material';
+
+export const AUDIENCE_OPTIONS = [
+  { value: 'all', label: 'Everyone' },
+  { value: 'parents', label: 'Parents' },
+  { value: 'children', label: 'Children' },
+  { value: 'teachers', label: 'Teachers' },
+  { value: 'admins', label: 'Admins' },
+];
+
+export const PRIORITY_OPTIONS = [
+  { value: 'low', label: 'Low' },
+  { value: 'normal', label: 'Normal' },
+  { value: 'high', label: 'High' },
+  { value: 'urgent', label: 'Urgent' },
+];
+
+// <input type="datetime-local"> value in the admin's local time
+const toLocalInputValue = (date) => {
+  if (!date) return '';
+  const value = new Date(date);
+  if (Number.isNaN(value.getTime())) return '';
+  const offsetMs = value.getTimezoneOffset() * 60000;
+  return new Date(value.getTime() - offsetMs).toISOString().slice(0, 16);
+};
+
+const emptyForm = {
+  title: '',
+  message: '',
+  targetAudience: ['all'],
+  priority: 'normal',
+  displayAs: 'banner',
+  publishDate: '',
+  expiryDate: '',
+  isPublished: true,
+};
+
+/**
+ * AnnouncementFormModal Component
+ *
+ * Create/edit modal for announcements (admin only)
+ * When `announcement` is passed the modal edits it, otherwise it creates a new one
+ * An empty publish date publishes immediately; a future one schedules the announcement
+ */
+const AnnouncementFormModal = ({ open, announcement = null, onClose, onSubmit }) => {
+  const theme = useTheme();
+  const [formData, setFormData] = useState(emptyForm);
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setFormData(
+        announcement
+          ? {
+              title: announcement.title || '',
+              message: announcement.message || '',
+              targetAudience: announcement.targetAudience?.length ? announcement.targetAudience : ['all'],
+              priority: announcement.priority || 'normal',
+              displayAs: announcement.displayAs || 'banner',
+              publishDate: toLocalInputValue(announcement.publishDate),
+              expiryDate: toLocalInputValue(announcement.expiryDate),
+              isPublished: Boolean(announcement.isPublished),
+            }
+          : emptyForm
+      );
+      setErrors({});
+    }
+  }, [open, announcement]);
+
+  const handleChange = (field) => (event) => {
+    const value = event.target.value;
+    setFormData((prev) => ({ ...prev, [field]: value }));
+    if (errors[field]) {
+      setErrors((prev) => ({ ...prev, [field]: null }));
+    }
+  };
+
+  // 'Everyone' replaces the other audiences; picking another audience drops 'Everyone'
+  const handleAudienceChange = (event) => {
+    const selected = event.target.value;
+    const added = selected.find((value) => !formData.targetAudience.includes(value));
+    let targetAudience = added === 'all' ? ['all'] : selected.filter((value) => value !== 'all');
+    if (targetAudience.length === 0) targetAudience = ['all'];
+    setFormData((prev) => ({ ...prev, targetAudience }));
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (!formData.title.trim()) newErrors.title = 'Title is required';
+    if (!formData.message.trim()) newErrors.message = 'Message is required';
+    if (
+      formData.expiryDate &&
+      new Date(formData.expiryDate) <= (formData.publishDate ? new Date(formData.publishDate) : new Date())
+    ) {
+      newErrors.expiryDate = 'Expiry must be after the publish date';
+    }
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+
+    const data = {
+      title: formData.title.trim(),
+      message: formData.message.trim(),
+      targetAudience: formData.targetAudience,
+      priority: formData.priority,
+      displayAs: formData.displayAs,
+      publishDate: formData.publishDate ? new Date(formData.publishDate).toISOString() : '',
+      expiryDate: formData.expiryDate ? new Date(formData.expiryDate).toISOString() : null,
+      isPublished: formData.isPublished,
+    };
+
+    try {
+      setSubmitting(true);
+      await onSubmit(data);
+      onClose();
+    } catch (error) {
+      setErrors({ submit: typeof error === 'string' ? error : 'Failed to save announcement' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const fieldSx = {
+    '& .MuiOutlinedInput-root': {
+      fontFamily: 'Quicksand, sans-serif',
+      borderRadius: '8px',
+      backgroundColor: theme.palette.background.paper,
+      '& fieldset': { borderColor: theme.palette.border.main },
+      '&:hover fieldset': { borderColor: theme.palette.primary.main },
+      '&.Mui-focused fieldset': { borderColor: theme.palette.primary.main },
+    },
+    '& .MuiInputLabel-root': { fontFamily: 'Quicksand, sans-serif' },
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="sm"
+      fullWidth
+      aria-label={announcement ? 'Edit announcement dialog' : 'Add announcement dialog'}
+      PaperProps={{
+        sx: {
+          borderRadius: '12px',
+          padding: 0,
+        },
+      }}
+    >
+      <DialogTitle
+        sx={{
+          padding: 3,
+          paddingBottom: 2,
+          borderBottom: `1px solid ${theme.palette.border.main}`,
+          backgroundColor: theme.palette.custom.bgSecondary,
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+        }}
+      >
+        <Typography
+          variant="h6"
+          sx={{
+            fontFamily: 'Quicksand, sans-serif',
+            fontWeight: 700,
+            fontSize: '1.25rem',
+            color: theme.palette.text.primary,
+          }}
+        >
+          {announcement ? 'Edit Announcement' : 'New Announcement'}
+        </Typography>
+        <Button
+          onClick={onClose}
+          aria-label="Close announcement dialog"
+          sx={{
+            minWidth: 'auto',
+            padding: 0.5,
+            color: theme.palette.text.secondary,
+            '&:hover': {
+              backgroundColor: theme.palette.custom.bgTertiary,
+            },
+          }}
+        >
+          <CloseIcon />
+        </Button>
+      </DialogTitle>
+
+      <form onSubmit={handleSubmit}>
+        <DialogContent sx={{ padding: 3 }}>
+          <Stack spacing={2.5}>
+            <TextField
+              label="Title"
+              value={formData.title}
+              onChange={handleChange('title')}
+              fullWidth
+              required
+              inputProps={{ maxLength: 200 }}
+              error={!!errors.title}
+              helperText={errors.title}
+              sx={fieldSx}
+            />
+            <TextField
+              label="Message"
+              value={formData.message}
+              onChange={handleChange('message')}
+              fullWidth
+              required
+              multiline
+              minRows={3}
+              inputProps={{ maxLength: 2000 }}
+              error={!!errors.message}
+              helperText={errors.message}
+              sx={fieldSx}
+            />
+            <TextField
+              select
+              label="Audience"
+              value={formData.targetAudience}
+              onChange={handleAudienceChange}
+              SelectProps={{ multiple: true }}
+              fullWidth
+              sx={fieldSx}
+            >
+              {AUDIENCE_OPTIONS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </TextField>
+            <Stack direction="row" spacing={2}>
+              <TextField
+                select
+                label="Priority"
+                value={formData.priority}
+                onChange={handleChange('priority')}
+                fullWidth
+                sx={fieldSx}
+              >
+                {PRIORITY_OPTIONS.map((option) => (
+                  <MenuItem key={option.value} value={option.value}>
+                    {option.label}
+                  </MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                select
+                label="Show as"
+                value={formData.priority === 'urgent' ? 'modal' : formData.displayAs}
+                onChange={handleChange('displayAs')}
+                disabled={formData.priority === 'urgent'}
+                helperText={formData.priority === 'urgent' ? 'Urgent announcements always open as a popup' : ' '}
+                fullWidth
+                sx={fieldSx}
+              >
+                <MenuItem value="banner">Banner</MenuItem>
+                <MenuItem value="modal">Popup</MenuItem>
+              </TextField>
+            </Stack>
+            <Stack direction="row" spacing={2}>
+              <TextField
+                label="Publish at"
+                type="datetime-local"
+                value={formData.publishDate}
+                onChange={handleChange('publishDate')}
+                InputLabelProps={{ shrink: true }}
+                helperText="Empty: publish now"
+                fullWidth
+                sx={fieldSx}
+              />
+              <TextField
+                label="Expires at"
+                type="datetime-local"
+                value={formData.expiryDate}
+                onChange={handleChange('expiryDate')}
+                InputLabelProps={{ shrink: true }}
+                error={!!errors.expiryDate}
+                helperText={errors.expiryDate || 'Empty: never expires'}
+                fullWidth
+                sx={fieldSx}
+              />
+            </Stack>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={formData.isPublished}
+                  onChange={(e) => setFormData((prev) => ({ ...prev, isPublished: e.target.checked }))}
+                />
+              }
+              label="Published (turn off to keep as a draft)"
+              sx={{ '& .MuiFormControlLabel-label': { fontFamily: 'Quicksand, sans-serif' } }}
+            />
+            {errors.submit && (
+              <Typography sx={{ fontFamily: 'Quicksand, sans-serif', color: theme.palette.error.main }}>
+                {errors.submit}
+              </Typography>
+            )}
+          </Stack>
+        </DialogContent>
+
+        <DialogActions
+          sx={{
+            padding: 3,
+            paddingTop: 2,
+            borderTop: `1px solid ${theme.palette.border.main}`,
+            gap: 1.5,
+          }}
+        >
+          <Button
+            onClick={onClose}
+            disabled={submitting}
+            sx={{
+              fontFamily: 'Quicksand, sans-serif',
+              fontWeight: 600,
+              textTransform: 'none',
+              color: theme.palette.text.secondary,
+            }}
+          >
+            Cancel
+          </Button>
+          <Button
+            type="submit"
+            variant="contained"
+            disabled={submitting}
+            startIcon={submitting ? <CircularProgress size={16} color="inherit" /> : null}
+            sx={{
+              fontFamily: 'Quicksand, sans-serif',
+              fontWeight: 600,
+              textTransform: 'none',
+              borderRadius: '8px',
+              backgroundColor: theme.palette.orange?.main || theme.palette.primary.main,
+              color: theme.palette.textCustom?.inverse || theme.palette.primary.contrastText,
+              '&:hover': {
+                backgroundColor: theme.palette.orange?.dark || theme.palette.primary.dark,
+              },
+            }}
+          >
+            {announcement ? 'Save Changes' : 'Create Announcement'}
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default AnnouncementFormModal;
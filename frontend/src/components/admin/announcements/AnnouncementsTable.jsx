@@ -0,0 +1,162 @@
+import React from 'react';
+import {
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Chip,
+  Typography,
+  Tooltip,
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { Edit as EditIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import { AUDIENCE_OPTIONS } from './AnnouncementFormModal';
+
+const STATUS_CHIPS = {
+  draft: { label: 'Draft', color: 'default' },
+  scheduled: { label: 'Scheduled', color: 'info' },
+  active: { label: 'Live', color: 'success' },
+  expired: { label: 'Expired', color: 'warning' },
+};
+
+const PRIORITY_COLORS = {
+  low: 'default',
+  normal: 'primary',
+  high: 'warning',
+  urgent: 'error',
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : '—');
+
+/**
+ * AnnouncementsTable Component
+ *
+ * Lists announcements for admins with status, schedule, audience,
+ * read count and edit/delete actions
+ */
+const AnnouncementsTable = ({ announcements = [], onEdit, onDelete }) => {
+  const theme = useTheme();
+
+  const getAudienceLabel = (audience) =>
+    AUDIENCE_OPTIONS.find((o) => o.value === audience)?.label || audience;
+
+  const headerCellSx = {
+    fontFamily: 'Quicksand, sans-serif',
+    fontWeight: 700,
+    color: theme.palette.text.primary,
+    backgroundColor: theme.palette.custom.bgSecondary,
+  };
+
+  const cellSx = {
+    fontFamily: 'Quicksand, sans-serif',
+    color: theme.palette.text.primary,
+  };
+
+  return (
+    <TableContainer
+      component={Paper}
+      sx={{
+        borderRadius: '16px',
+        border: `1px solid ${theme.palette.border.main}`,
+        boxShadow: theme.shadows[2],
+      }}
+    >
+      <Table aria-label="Announcements table">
+        <TableHead>
+          <TableRow>
+            <TableCell sx={headerCellSx}>Announcement</TableCell>
+            <TableCell sx={headerCellSx}>Audience</TableCell>
+            <TableCell sx={headerCellSx}>Priority</TableCell>
+            <TableCell sx={headerCellSx}>Schedule</TableCell>
+            <TableCell sx={headerCellSx}>Status</TableCell>
+            <TableCell sx={headerCellSx}>Reads</TableCell>
+            <TableCell sx={headerCellSx} align="right">
+              Actions
+            </TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {announcements.length === 0 ? (
+            <TableRow>
+              <TableCell colSpan={7}>
+                <Typography
+                  sx={{ fontFamily: 'Quicksand, sans-serif', textAlign: 'center', color: theme.palette.text.secondary, padding: 2 }}
+                >
+                  No announcements found
+                </Typography>
+              </TableCell>
+            </TableRow>
+          ) : (
+            announcements.map((announcement) => {
+              const status = STATUS_CHIPS[announcement.status] || STATUS_CHIPS.draft;
+              return (
+                <TableRow key={announcement._id} hover>
+                  <TableCell sx={{ ...cellSx, maxWidth: 320 }}>
+                    <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600 }}>
+                      {announcement.title}
+                    </Typography>
+                    <Typography
+                      sx={{
+                        fontFamily: 'Quicksand, sans-serif',
+                        fontSize: '0.8125rem',
+                        color: theme.palette.text.secondary,
+                        overflow: 'hidden',
+                        textOverflow: 'ellipsis',
+                        whiteSpace: 'nowrap',
+                      }}
+                    >
+                      {announcement.message}
+                    </Typography>
+                  </TableCell>
+                  <TableCell sx={cellSx}>
+                    {(announcement.targetAudience || []).map(getAudienceLabel).join(', ')}
+                  </TableCell>
+                  <TableCell sx={cellSx}>
+                    <Chip
+                      label={announcement.priority}
+                      size="small"
+                      color={PRIORITY_COLORS[announcement.priority] || 'default'}
+                      variant="outlined"
+                      sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600, textTransform: 'capitalize' }}
+                    />
+                  </TableCell>
+                  <TableCell sx={{ ...cellSx, fontSize: '0.8125rem' }}>
+                    <div>From: {formatDate(announcement.publishDate)}</div>
+                    <div>Until: {formatDate(announcement.expiryDate)}</div>
+                  </TableCell>
+                  <TableCell sx={cellSx}>
+                    <Chip
+                      label={status.label}
+                      size="small"
+                      color={status.color}
+                      sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600 }}
+                    />
+                  </TableCell>
+                  <TableCell sx={cellSx}>{announcement.readCount || 0}</TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Edit">
+                      <IconButton onClick={() => onEdit(announcement)} aria-label={`Edit ${announcement.title}`}>
+                        <EditIcon />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <IconButton onClick={() => onDelete(announcement)} aria-label={`Delete ${announcement.title}`}>
+                        <DeleteIcon />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              );
+            })
+          )}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+};
+
+export default AnnouncementsTable;
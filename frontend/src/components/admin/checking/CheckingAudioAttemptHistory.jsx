@@ -0,0 +1,112 @@
+import React from 'react';
+import { Box, Typography, Chip, Accordion, AccordionSummary, AccordionDetails } from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { ExpandMore } from '@mui/icons-material';
+import CheckingAudioTimedComments from './CheckingAudioTimedComments';
+import useMediaUrl from '../../../hooks/mediaHook';
+
+const ATTEMPT_STATUS = {
+  submitted: { label: 'Waiting for review', color: 'warning' },
+  approved: { label: 'Approved', color: 'success' },
+  rejected: { label: 'Resubmission Requested', color: 'warning' },
+  superseded: { label: 'Replaced', color: 'default' },
+};
+
+// Each recording is signed separately (private upload)
+const AttemptRecording = ({ attempt }) => {
+  const { url } = useMediaUrl(attempt.recordedAudio.url);
+  if (!url) return null;
+
+  return (
+    <Box
+      component="audio"
+      controls
+      preload="none"
+      src={url}
+      aria-label={`Attempt ${attempt.attemptNumber} recording`}
+      sx={{ width: '100%' }}
+    />
+  );
+};
+
+/**
+ * CheckingAudioAttemptHistory Component
+ *
+ * Earlier recordings of the same assignment with the review each one got,
+ * so a reviewer can hear how the child improved between attempts
+ */
+const CheckingAudioAttemptHistory = ({ attempts = [] }) => {
+  const theme = useTheme();
+
+  if (attempts.length === 0) return null;
+
+  return (
+    <Box>
+      <Typography
+        sx={{
+          fontFamily: 'Quicksand, sans-serif',
+          fontSize: '0.875rem',
+          fontWeight: 600,
+          color: theme.palette.text.secondary,
+          mb: 1,
+          textTransform: 'uppercase',
+          letterSpacing: '0.5px',
+        }}
+      >
+        Earlier attempts
+      </Typography>
+      {[...attempts].reverse().map((attempt) => {
+        const status = ATTEMPT_STATUS[attempt.status] || { label: attempt.status, color: 'default' };
+        return (
+          <Accordion
+            key={attempt._id || attempt.attemptNumber}
+            disableGutters
+            elevation={0}
+            sx={{ border: `1px solid ${theme.palette.border.main}`, borderRadius: '8px', mb: 1, '&:before': { display: 'none' } }}
+          >
+            <AccordionSummary expandIcon={<ExpandMore />}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600, fontSize: '0.9rem' }}>
+                  Attempt {attempt.attemptNumber}
+                </Typography>
+                <Chip size="small" variant="outlined" label={status.label} color={status.color} />
+                {attempt.rubricScore !== null && attempt.rubricScore !== undefined && (
+                  <Chip size="small" label={`${attempt.rubricScore}%`} />
+                )}
+                {attempt.analysis?.status === 'completed' && (
+                  <Chip size="small" variant="outlined" label={`Match ${attempt.analysis.score}%`} />
+                )}
+                <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontSize: '0.8rem', color: theme.palette.text.secondary }}>
+                  {attempt.submittedAt ? new Date(attempt.submittedAt).toLocaleString() : ''}
+                </Typography>
+              </Box>
+            </AccordionSummary>
+            <AccordionDetails sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+              {attempt.recordedAudio?.url && <AttemptRecording attempt={attempt} />}
+              {attempt.scores?.length > 0 && (
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.75 }}>
+                  {attempt.scores.map((entry) => (
+                    <Chip
+                      key={entry.criterion}
+                      size="small"
+                      label={`${entry.label || entry.criterion}: ${entry.score}/${entry.maxScore}`}
+                      title={entry.comment || undefined}
+                    />
+                  ))}
+                </Box>
+              )}
+              {attempt.feedback && (
+                <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontSize: '0.875rem', fontStyle: 'italic' }}>
+                  “{attempt.feedback}”
+                </Typography>
+              )}
+              <CheckingAudioTimedComments comments={attempt.comments} readOnly />
+            </AccordionDetails>
+          </Accordion>
+        );
+      })}
+    </Box>
+  );
+};
+
+export default CheckingAudioAttemptHistory;
@@ -24,12 +24,20 @@ import {
   CheckCircleOutlined,
   ReplayOutlined,
 } from '@mui/icons-material';
+import CheckingAudioRubricScoring, { calculateRubricScore } from './CheckingAudioRubricScoring';
+import CheckingAudioTimedComments from './CheckingAudioTimedComments';
+import CheckingAudioAttemptHistory from './CheckingAudioAttemptHistory';
+import CheckingAudioWaveform from './CheckingAudioWaveform';
+import useMediaUrl from '../../../hooks/mediaHook';
 
 /**
  * CheckingAudioPlayRecordingModal Component
  * 
  * Modal for playing child's recorded audio submission
  * Displays child info and audio player
+ * Pending submissions are scored on the assignment rubric with comments pinned
+ * to moments in the recording; reviewed ones show the review they got.
+ * Earlier attempts are listed below the player.
  * Uses environment variable for base URL to support deployment flexibility
  */
 const CheckingAudioPlayRecordingModal = ({
@@ -45,25 +53,34 @@ const CheckingAudioPlayRecordingModal = ({
   const [currentTime, setCurrentTime] = React.useState(0);
   const [volume, setVolume] = React.useState(1);
   const [reviewFeedback, setReviewFeedback] = React.useState('');
+  const [rubricScores, setRubricScores] = React.useState({});
+  const [timedComments, setTimedComments] = React.useState([]);
+  const [submittingReview, setSubmittingReview] = React.useState(false);
 
-  // Get base URL from environment or use default
-  const getAudioUrl = (relativePath) => {
-    if (!relativePath) return '';
-    
-    // If URL is already absolute, return as is
-    if (relativePath.startsWith('http')) {
-      return relativePath;
-    }
-    
-    // Build full URL with base URL
-    const baseUrl = import.meta.env.VITE_API_URL?.replace('/api', '') || 'http://localhost:5000';
-    return `${baseUrl}${relativePath}`;
-  };
+  const attemptHistory = submission?.attemptHistory || [];
+  const currentAttempt = attemptHistory[attemptHistory.length - 1] || null;
+
+  // Start from the latest attempt's review (empty for a pending attempt)
+  React.useEffect(() => {
+    const scores = {};
+    (currentAttempt?.scores || []).forEach((entry) => {
+      scores[entry.criterion] = { score: entry.score, comment: entry.comment || '' };
+    });
+    setRubricScores(scores);
+    setTimedComments(currentAttempt?.comments || []);
+    setReviewFeedback('');
+    setCurrentTime(0);
+    setIsPlaying(false);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [submission?._id, currentAttempt?._id]);
+
+  // Recordings are private uploads: play them through signed, expiring URLs
+  const { url: audioUrl } = useMediaUrl(submission?.recordedAudio?.url);
+  const { url: waveformUrl } = useMediaUrl(submission?.recordedAudio?.waveformUrl);
 
   if (!submission) return null;
 
   const { child, audioAssignment, recordedAudio, timeSpent } = submission;
-  const audioUrl = getAudioUrl(recordedAudio?.url);
 
   const handlePlayPause = () => {
     if (audioRef.current) {
@@ -107,32 +124,43 @@ const CheckingAudioPlayRecordingModal = ({
     setCurrentTime(0);
   };
 
-  const handleApprove = async () => {
-    if (submission && onReview) {
-      await onReview(
-        submission.audioAssignment._id,
-        submission.child._id,
-        'approved',
-        reviewFeedback
-      );
-      onClose();
-      setReviewFeedback('');
+  const rubric = audioAssignment?.rubric || [];
+  const rubricScore = calculateRubricScore(rubric, rubricScores);
+  const isPending = submission.status === 'submitted';
+
+  const handleCommentSeek = (seconds) => {
+    if (audioRef.current) {
+      handleSeek(null, seconds);
+      audioRef.current.play();
+      setIsPlaying(true);
     }
   };
 
-  const handleReject = async () => {
-    if (submission && onReview) {
-      await onReview(
-        submission.audioAssignment._id,
-        submission.child._id,
-        'rejected',
-        reviewFeedback
-      );
+  const submitReview = async (decision) => {
+    if (!onReview) return;
+    const scores = Object.entries(rubricScores)
+      .filter(([, entry]) => entry.score !== undefined && entry.score !== null)
+      .map(([criterion, entry]) => ({ criterion, score: entry.score, comment: entry.comment || '' }));
+
+    setSubmittingReview(true);
+    const saved = await onReview(
+      submission.audioAssignment._id,
+      submission.child._id,
+      decision,
+      reviewFeedback,
+      { scores, comments: timedComments }
+    );
+    setSubmittingReview(false);
+    if (saved !== false) {
       onClose();
       setReviewFeedback('');
     }
   };
 
+  const handleApprove = () => submitReview('approved');
+
+  const handleReject = () => submitReview('rejected');
+
   const formatTime = (time) => {
     if (isNaN(time)) return '0:00';
     const minutes = Math.floor(time / 60);
@@ -299,13 +327,14 @@ const CheckingAudioPlayRecordingModal = ({
           >
             {/* Hidden Audio Element */}
             <audio
+              key={audioUrl || 'loading'}
               ref={audioRef}
               onLoadedMetadata={handleLoadedMetadata}
               onTimeUpdate={handleTimeUpdate}
               onEnded={handleEnded}
               style={{ display: 'none' }}
             >
-              <source src={audioUrl} type={recordedAudio.mimeType} />
+              {audioUrl && <source src={audioUrl} type={recordedAudio.mimeType} />}
               Your browser does not support the audio element.
             </audio>
 
@@ -389,6 +418,16 @@ const CheckingAudioPlayRecordingModal = ({
                 }}
               /> */}
 
+              {/* Waveform (once the server has processed the recording) */}
+              {waveformUrl && (
+                <CheckingAudioWaveform
+                  waveformUrl={waveformUrl}
+                  currentTime={currentTime}
+                  duration={isFinite(duration) && duration > 0 ? duration : recordedAudio.duration || 0}
+                  onSeek={(seconds) => handleSeek(null, seconds)}
+                />
+              )}
+
               {/* Volume Control */}
               <Stack
                 direction="row"
@@ -431,6 +470,55 @@ const CheckingAudioPlayRecordingModal = ({
             </Stack>
           </Paper>
         )}
+
+        {currentAttempt && (
+          <Typography
+            sx={{
+              fontFamily: 'Quicksand, sans-serif',
+              fontSize: '0.8125rem',
+              color: theme.palette.text.secondary,
+              mt: 1.5,
+            }}
+          >
+            Attempt {currentAttempt.attemptNumber}
+            {currentAttempt.submittedAt ? ` · submitted ${new Date(currentAttempt.submittedAt).toLocaleString()}` : ''}
+          </Typography>
+        )}
+
+        {rubric.length > 0 && (isPending || currentAttempt?.scores?.length > 0) && (
+          <Box sx={{ mt: 3 }}>
+            <CheckingAudioRubricScoring
+              rubric={rubric}
+              scores={rubricScores}
+              onChange={setRubricScores}
+              starsAwarded={audioAssignment?.starsAwarded || 0}
+              disabled={!isPending}
+            />
+          </Box>
+        )}
+
+        {!isPending && currentAttempt?.feedback && (
+          <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontSize: '0.9rem', fontStyle: 'italic', mt: 2 }}>
+            Tip given: “{currentAttempt.feedback}”
+          </Typography>
+        )}
+
+        <Box sx={{ mt: 3 }}>
+          <CheckingAudioTimedComments
+            comments={timedComments}
+            currentTime={currentTime}
+            onAdd={(comment) => setTimedComments((prev) => [...prev, comment].sort((a, b) => a.at - b.at))}
+            onRemove={(index) => setTimedComments((prev) => prev.filter((_, i) => i !== index))}
+            onSeek={handleCommentSeek}
+            readOnly={!isPending}
+          />
+        </Box>
+
+        {attemptHistory.length > 1 && (
+          <Box sx={{ mt: 3 }}>
+            <CheckingAudioAttemptHistory attempts={attemptHistory.slice(0, -1)} />
+          </Box>
+        )}
       </DialogContent>
 
       {/* Feedback */}
@@ -497,6 +585,7 @@ const CheckingAudioPlayRecordingModal = ({
           <Box sx={{ display: 'flex', gap: 1 }}>
             <Button
               onClick={handleReject}
+              disabled={submittingReview}
               startIcon={<ReplayOutlined />}
               sx={{
                 fontFamily: 'Quicksand, sans-serif',
@@ -514,6 +603,8 @@ const CheckingAudioPlayRecordingModal = ({
             </Button>
             <Button
               onClick={handleApprove}
+              disabled={submittingReview || (rubric.length > 0 && rubricScore === null)}
+              title={rubric.length > 0 && rubricScore === null ? 'Score every rubric criterion to approve' : undefined}
               startIcon={<CheckCircleOutlined />}
               sx={{
                 fontFamily: 'Quicksand, sans-serif',
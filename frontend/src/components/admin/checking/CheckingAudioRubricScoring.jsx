@@ -0,0 +1,142 @@
+import React from 'react';
+import { Box, Typography, ToggleButton, ToggleButtonGroup, TextField, Chip } from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { Star as StarIcon } from '@mui/icons-material';
+
+/**
+ * Weighted rubric percentage, matching the server's calculation.
+ * Returns null until every criterion has a score.
+ */
+export const calculateRubricScore = (rubric = [], scores = {}) => {
+  if (rubric.length === 0) return null;
+  let weightedTotal = 0;
+  let totalWeight = 0;
+  for (const criterion of rubric) {
+    const score = scores[criterion.key]?.score;
+    if (score === undefined || score === null) return null;
+    weightedTotal += (score / criterion.maxScore) * criterion.weight;
+    totalWeight += criterion.weight;
+  }
+  return Math.round((weightedTotal / totalWeight) * 100);
+};
+
+/**
+ * Stars an approval would award (at least one when the assignment gives stars)
+ */
+export const calculateRubricStars = (starsAwarded = 0, rubricScore) => {
+  if (!starsAwarded) return 0;
+  if (rubricScore === null || rubricScore === undefined) return starsAwarded;
+  return Math.max(1, Math.round((starsAwarded * rubricScore) / 100));
+};
+
+/**
+ * CheckingAudioRubricScoring Component
+ *
+ * Score a recording on each rubric criterion, with an optional note per
+ * criterion and a live preview of the total score and stars
+ */
+const CheckingAudioRubricScoring = ({ rubric = [], scores = {}, onChange, starsAwarded = 0, disabled = false }) => {
+  const theme = useTheme();
+  const rubricScore = calculateRubricScore(rubric, scores);
+
+  const updateCriterion = (key, changes) => {
+    onChange({ ...scores, [key]: { ...scores[key], ...changes } });
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1.5 }}>
+        <Typography
+          sx={{
+            fontFamily: 'Quicksand, sans-serif',
+            fontSize: '0.875rem',
+            fontWeight: 600,
+            color: theme.palette.text.secondary,
+            textTransform: 'uppercase',
+            letterSpacing: '0.5px',
+          }}
+        >
+          Rubric
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Chip
+            size="small"
+            label={rubricScore === null ? 'Score: –' : `Score: ${rubricScore}%`}
+            sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600 }}
+          />
+          <Chip
+            size="small"
+            icon={<StarIcon sx={{ fontSize: '1rem' }} />}
+            label={`${calculateRubricStars(starsAwarded, rubricScore)} / ${starsAwarded}`}
+            sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600 }}
+          />
+        </Box>
+      </Box>
+
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+        {rubric.map((criterion) => (
+          <Box key={criterion.key}>
+            <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600, fontSize: '0.9375rem' }}>
+              {criterion.label}
+              {criterion.weight !== 1 && (
+                <Box component="span" sx={{ fontWeight: 500, fontSize: '0.75rem', color: theme.palette.text.secondary, ml: 1 }}>
+                  ×{criterion.weight}
+                </Box>
+              )}
+            </Typography>
+            {criterion.description && (
+              <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontSize: '0.8125rem', color: theme.palette.text.secondary }}>
+                {criterion.description}
+              </Typography>
+            )}
+            <ToggleButtonGroup
+              exclusive
+              size="small"
+              disabled={disabled}
+              value={scores[criterion.key]?.score ?? null}
+              onChange={(e, value) => {
+                if (value !== null) updateCriterion(criterion.key, { score: value });
+              }}
+              aria-label={`${criterion.label} score`}
+              sx={{ mt: 0.75, flexWrap: 'wrap' }}
+            >
+              {Array.from({ length: criterion.maxScore + 1 }, (_, score) => (
+                <ToggleButton
+                  key={score}
+                  value={score}
+                  sx={{
+                    fontFamily: 'Quicksand, sans-serif',
+                    fontWeight: 700,
+                    minWidth: 36,
+                    '&.Mui-selected': {
+                      backgroundColor: theme.palette.orange.main,
+                      color: '#fff',
+                      '&:hover': { backgroundColor: theme.palette.orange.dark },
+                    },
+                  }}
+                >
+                  {score}
+                </ToggleButton>
+              ))}
+            </ToggleButtonGroup>
+            <TextField
+              fullWidth
+              size="small"
+              disabled={disabled}
+              placeholder={`Note on ${criterion.label.toLowerCase()} (optional)`}
+              value={scores[criterion.key]?.comment || ''}
+              onChange={(e) => updateCriterion(criterion.key, { comment: e.target.value })}
+              inputProps={{ maxLength: 300 }}
+              sx={{
+                mt: 1,
+                '& .MuiOutlinedInput-root': { fontFamily: 'Quicksand, sans-serif', borderRadius: '8px' },
+              }}
+            />
+          </Box>
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+export default CheckingAudioRubricScoring;
@@ -58,12 +58,34 @@ const CheckingAudioTable = ({
     }
   };
 
+  // "Attempt 2 · Score 80%" for resubmissions and rubric-scored reviews
+  const getAttemptSummary = (item) => {
+    const history = item.attemptHistory || [];
+    const latest = history[history.length - 1];
+    if (!latest) return '';
+    const parts = [];
+    if (history.length > 1) parts.push(`Attempt ${latest.attemptNumber}`);
+    if (latest.rubricScore !== null && latest.rubricScore !== undefined) parts.push(`Score ${latest.rubricScore}%`);
+    if (latest.analysis?.status === 'completed') parts.push(`Match ${latest.analysis.score}%`);
+    return parts.join(' · ');
+  };
+
   const getStatusLabel = (status) => {
     if (status === 'rejected') return 'Resubmission Requested';
     return status.charAt(0).toUpperCase() + status.slice(1);
   };
 
+  const openPlayModal = (item) => {
+    setPlayingSubmission(item);
+    setPlayModalOpen(true);
+  };
+
   const handleApprove = (item) => {
+    // Rubric assignments are scored while listening
+    if (item.audioAssignment?.rubric?.length > 0) {
+      openPlayModal(item);
+      return;
+    }
     setReviewingItem(item);
     setReviewDecision('approved');
     setReviewFeedback('');
@@ -79,12 +101,13 @@ const CheckingAudioTable = ({
 
   const handleSubmitReview = async () => {
     if (reviewingItem) {
-      await onReview(
+      const saved = await onReview(
         reviewingItem.audioAssignment._id,
         reviewingItem.child._id,
         reviewDecision,
         reviewFeedback
       );
+      if (saved === false) return;
       setFeedbackDialog(false);
       setReviewingItem(null);
       setReviewFeedback('');
@@ -197,6 +220,11 @@ const CheckingAudioTable = ({
                     fontWeight: 600,
                   }}
                 />
+                {getAttemptSummary(item) && (
+                  <Box sx={{ fontSize: '0.8rem', color: theme.palette.text.secondary, mt: 0.5 }}>
+                    {getAttemptSummary(item)}
+                  </Box>
+                )}
               </TableCell>
 
               {/* Submission Date */}
@@ -218,10 +246,7 @@ const CheckingAudioTable = ({
                           backgroundColor: theme.palette.primary.light + '20',
                         },
                       }}
-                      onClick={() => {
-                        setPlayingSubmission(item);
-                        setPlayModalOpen(true);
-                      }}
+                      onClick={() => openPlayModal(item)}
                     >
                       <PlayArrowOutlined fontSize="small" />
                     </IconButton>
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { Box, Typography, TextField, Button, IconButton, Chip } from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { AddCommentOutlined, DeleteOutline } from '@mui/icons-material';
+
+export const formatTimestamp = (seconds) => {
+  if (!Number.isFinite(seconds)) return '0:00';
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.floor(seconds % 60);
+  return `${minutes}:${rest.toString().padStart(2, '0')}`;
+};
+
+/**
+ * CheckingAudioTimedComments Component
+ *
+ * Comments pinned to a moment in the recording. New comments take the
+ * player's current position; clicking a timestamp seeks the player there.
+ */
+const CheckingAudioTimedComments = ({ comments = [], currentTime = 0, onAdd, onRemove, onSeek, readOnly = false }) => {
+  const theme = useTheme();
+  const [text, setText] = useState('');
+
+  const handleAdd = () => {
+    if (!text.trim()) return;
+    onAdd({ at: Math.round(currentTime * 10) / 10, text: text.trim() });
+    setText('');
+  };
+
+  if (readOnly && comments.length === 0) return null;
+
+  return (
+    <Box>
+      <Typography
+        sx={{
+          fontFamily: 'Quicksand, sans-serif',
+          fontSize: '0.875rem',
+          fontWeight: 600,
+          color: theme.palette.text.secondary,
+          mb: 1,
+          textTransform: 'uppercase',
+          letterSpacing: '0.5px',
+        }}
+      >
+        Comments on the recording
+      </Typography>
+
+      {comments.length > 0 && (
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.75, mb: readOnly ? 0 : 1.5 }}>
+          {comments.map((comment, index) => (
+            <Box key={`${comment.at}-${index}`} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <Chip
+                size="small"
+                label={formatTimestamp(comment.at)}
+                onClick={onSeek ? () => onSeek(comment.at) : undefined}
+                sx={{ fontFamily: 'monospace', fontWeight: 700, flexShrink: 0 }}
+              />
+              <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontSize: '0.875rem', flexGrow: 1 }}>
+                {comment.text}
+              </Typography>
+              {!readOnly && (
+                <IconButton size="small" onClick={() => onRemove(index)} aria-label="Remove comment">
+                  <DeleteOutline fontSize="small" />
+                </IconButton>
+              )}
+            </Box>
+          ))}
+        </Box>
+      )}
+
+      {!readOnly && (
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <TextField
+            fullWidth
+            size="small"
+            placeholder={`Comment at ${formatTimestamp(currentTime)}`}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                handleAdd();
+              }
+            }}
+            inputProps={{ maxLength: 300 }}
+            sx={{ '& .MuiOutlinedInput-root': { fontFamily: 'Quicksand, sans-serif', borderRadius: '8px' } }}
+          />
+          <Button
+            onClick={handleAdd}
+            disabled={!text.trim()}
+            startIcon={<AddCommentOutlined />}
+            sx={{ fontFamily: 'Quicksand, sans-serif', textTransform: 'none', fontWeight: 600, flexShrink: 0 }}
+          >
+            Add
+          </Button>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default CheckingAudioTimedComments;
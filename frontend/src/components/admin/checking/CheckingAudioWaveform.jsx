@@ -0,0 +1,89 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Box } from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+
+const BAR_COUNT = 160;
+
+/**
+ * CheckingAudioWaveform Component
+ *
+ * Waveform of a processed recording, drawn from the peaks JSON the server
+ * writes next to the audio. The played part is highlighted and clicking a
+ * bar seeks the player there.
+ */
+const CheckingAudioWaveform = ({ waveformUrl, currentTime = 0, duration = 0, onSeek }) => {
+  const theme = useTheme();
+  const [waveform, setWaveform] = useState(null);
+
+  useEffect(() => {
+    if (!waveformUrl) return undefined;
+    let cancelled = false;
+    fetch(waveformUrl)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (!cancelled) setWaveform(data);
+      })
+      .catch(() => {
+        if (!cancelled) setWaveform(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [waveformUrl]);
+
+  // Fewer, wider bars than peaks read better at modal width
+  const bars = useMemo(() => {
+    const peaks = waveform?.peaks || [];
+    const count = Math.min(BAR_COUNT, peaks.length);
+    return Array.from({ length: count }, (_, index) => {
+      const start = Math.floor((index * peaks.length) / count);
+      const end = Math.max(start + 1, Math.floor(((index + 1) * peaks.length) / count));
+      return Math.max(...peaks.slice(start, end));
+    });
+  }, [waveform]);
+
+  if (bars.length === 0) return null;
+
+  const totalDuration = duration > 0 ? duration : waveform.duration;
+  const playedRatio = totalDuration > 0 ? Math.min(1, currentTime / totalDuration) : 0;
+
+  const handleClick = (event) => {
+    if (!onSeek || !totalDuration) return;
+    const rect = event.currentTarget.getBoundingClientRect();
+    const ratio = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+    onSeek(ratio * totalDuration);
+  };
+
+  return (
+    <Box
+      onClick={handleClick}
+      role="slider"
+      aria-label="Recording position"
+      aria-valuemin={0}
+      aria-valuemax={Math.round(totalDuration)}
+      aria-valuenow={Math.round(currentTime)}
+      sx={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '1px',
+        height: 64,
+        cursor: onSeek ? 'pointer' : 'default',
+      }}
+    >
+      {bars.map((peak, index) => (
+        <Box
+          key={index}
+          sx={{
+            flex: 1,
+            height: `${Math.max(4, peak * 100)}%`,
+            borderRadius: '1px',
+            backgroundColor:
+              (index + 0.5) / bars.length <= playedRatio ? theme.palette.orange.main : theme.palette.border.main,
+          }}
+        />
+      ))}
+    </Box>
+  );
+};
+
+export default CheckingAudioWaveform;
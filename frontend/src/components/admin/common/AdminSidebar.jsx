@@ -31,6 +31,10 @@ import {
   AudiotrackOutlined,
   MeetingRoomOutlined,
   VideocamOutlined,
+  StorefrontOutlined,
+  CampaignOutlined,
+  PsychologyOutlined,
+  TuneOutlined,
 } from '@mui/icons-material';
 import { APP_VERSION } from '../../../config/constants';
 
@@ -65,9 +69,13 @@ const AdminSidebar = () => {
       ],
     },/* 
     { text: 'Learning Paths', icon: <SchoolOutlined />, path: '/admin/learning-paths' }, */
+    { text: 'Skills', icon: <PsychologyOutlined />, path: '/admin/skills' },
+    { text: 'Recommendations', icon: <TuneOutlined />, path: '/admin/recommendations' },
     { text: 'Check Audio', icon: <AudiotrackOutlined />, path: '/admin/checking-audio' },
     { text: 'Kids Wall', icon: <WallpaperOutlined />, path: '/admin/kids-wall' },
     { text: 'Live Classes', icon: <VideocamOutlined />, path: '/admin/meetings' },
+    { text: 'Star Shop', icon: <StorefrontOutlined />, path: '/admin/rewards' },
+    { text: 'Announcements', icon: <CampaignOutlined />, path: '/admin/announcements' },
     /*     { text: 'Communities', icon: <ForumOutlined />, path: '/admin/communities' },
         { text: 'Notifications', icon: <NotificationsNone />, path: '/admin/notifications' },
         { text: 'Settings', icon: <SettingsOutlined />, path: '/admin/settings' },
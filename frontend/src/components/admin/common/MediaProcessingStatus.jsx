@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { Box, Chip, IconButton, Tooltip, CircularProgress } from '@mui/material';
+import { Replay as ReplayIcon } from '@mui/icons-material';
+
+/**
+ * MediaProcessingStatus Component
+ *
+ * Shows where an uploaded video is in background processing (HLS
+ * transcoding). Nothing is shown once processing has completed; a failed
+ * job can be retried when onRetry is given.
+ */
+const MediaProcessingStatus = ({ processing, onRetry }) => {
+  const [retrying, setRetrying] = useState(false);
+
+  if (!processing || processing.status === 'completed') return null;
+
+  const handleRetry = async (event) => {
+    event.stopPropagation();
+    setRetrying(true);
+    try {
+      await onRetry();
+    } finally {
+      setRetrying(false);
+    }
+  };
+
+  const chipSx = { fontFamily: 'Quicksand, sans-serif', fontWeight: 600 };
+
+  if (processing.status === 'failed') {
+    return (
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+        <Tooltip title={processing.error || 'Processing failed'}>
+          <Chip size="small" color="error" variant="outlined" label="Processing failed" sx={chipSx} />
+        </Tooltip>
+        {onRetry && (
+          <Tooltip title="Process again">
+            <span>
+              <IconButton size="small" onClick={handleRetry} disabled={retrying} aria-label="Process video again">
+                {retrying ? <CircularProgress size={16} /> : <ReplayIcon fontSize="small" />}
+              </IconButton>
+            </span>
+          </Tooltip>
+        )}
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Chip
+        size="small"
+        color="warning"
+        variant="outlined"
+        label={processing.status === 'processing' ? `Processing ${processing.progress || 0}%` : 'Waiting to process'}
+        sx={chipSx}
+      />
+    </Box>
+  );
+};
+
+export default MediaProcessingStatus;
@@ -15,7 +15,7 @@ import {
 } from '@mui/material';
 import { useTheme } from '@mui/material/styles';
 import { Close as CloseIcon, CheckCircle as CheckCircleIcon } from '@mui/icons-material';
-import SCORMAPI from '../../../services/scormAPI';
+import SCORMAPI, { SCORM2004API } from '../../../services/scormAPI';
 import { launchScorm } from '../../../services/scormService';
 import { useAuth } from '../../../hooks/userHook';
 import { themeColors } from '../../../config/themeColors';
@@ -116,18 +116,19 @@ const ScormPlayer = ({
 
         // Initialize SCORM API
         const api = new SCORMAPI(contentId, contentType, user?._id);
+        const api2004 = new SCORM2004API(api);
         apiRef.current = api;
 
         // Inject API into iframe
         // SCORM content looks for window.API (SCORM 1.2) or window.API_1484_11 (SCORM 2004)
         iframeWindow.API = api;
-        iframeWindow.API_1484_11 = api; // SCORM 2004 compatibility
+        iframeWindow.API_1484_11 = api2004;
         
         // Also try parent window (some SCORM content looks for parent.API)
         try {
           if (iframeWindow.parent && iframeWindow.parent !== window) {
             iframeWindow.parent.API = api;
-            iframeWindow.parent.API_1484_11 = api;
+            iframeWindow.parent.API_1484_11 = api2004;
           }
         } catch (e) {
           // Cross-origin restriction - that's okay
@@ -20,6 +20,7 @@ import { useTheme } from '@mui/material/styles';
 import { Close as CloseIcon, CloudUpload as CloudUploadIcon } from '@mui/icons-material';
 import useContent from '../../../../hooks/contentHook';
 import { CONTENT_TYPES } from '../../../../services/contentService';
+import SkillSelect, { skillIdsFromContent, appendSkills } from './SkillSelect';
 
 /**
  * ActivityEditModal Component
@@ -47,6 +48,7 @@ const ActivityEditModal = ({ open, onClose, activityId, contentType = CONTENT_TY
   const [selectedCoverImage, setSelectedCoverImage] = useState(null);
   const [currentCoverImage, setCurrentCoverImage] = useState(null);
   const [imagePreviewUrl, setImagePreviewUrl] = useState(null);
+  const [skillIds, setSkillIds] = useState([]);
   const [isInitialized, setIsInitialized] = useState(false);
   const isFetchingRef = useRef(false);
   const lastFetchedIdRef = useRef(null);
@@ -99,6 +101,7 @@ const ActivityEditModal = ({ open, onClose, activityId, contentType = CONTENT_TY
       });
       setCurrentCoverImage(currentContent.coverImage);
       setSelectedCoverImage(null);
+      setSkillIds(skillIdsFromContent(currentContent.skills));
       setIsInitialized(true);
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -135,6 +138,7 @@ const ActivityEditModal = ({ open, onClose, activityId, contentType = CONTENT_TY
       formDataToSend.append('description', formData.description || '');
       formDataToSend.append('starsAwarded', formData.starsAwarded);
       formDataToSend.append('isPublished', formData.isPublished);
+      appendSkills(formDataToSend, skillIds);
 
       // Add cover image if a new one is selected
       if (selectedCoverImage) {
@@ -324,6 +328,9 @@ const ActivityEditModal = ({ open, onClose, activityId, contentType = CONTENT_TY
             )}
           </Box>
 
+          {/* Skills practised */}
+          <SkillSelect value={skillIds} onChange={setSkillIds} />
+
           {/* Published Toggle */}
           <FormControl fullWidth>
             <InputLabel>Status</InputLabel>
@@ -19,14 +19,17 @@ import {
 import { useTheme } from '@mui/material/styles';
 import { Close as CloseIcon, CloudUpload as CloudUploadIcon } from '@mui/icons-material';
 import useContent from '../../../../hooks/contentHook';
+import useMediaUrl from '../../../../hooks/mediaHook';
 import { CONTENT_TYPES } from '../../../../services/contentService';
+import SkillSelect, { skillIdsFromContent, appendSkills } from './SkillSelect';
+import AudioRubricEditor from './AudioRubricEditor';
 
 /**
  * AudioEditModal Component
  * 
  * Modal for editing audio assignments
  * Can only edit: title, description, instructions, coverImage, estimatedDuration,
- * starsAwarded, isStarAssignment, isPublished
+ * starsAwarded, minimum similarity score, isStarAssignment, review rubric, isPublished
  * Reference audio cannot be changed
  */
 const AudioEditModal = ({ open, onClose, audioId, onSuccess }) => {
@@ -45,7 +48,9 @@ const AudioEditModal = ({ open, onClose, audioId, onSuccess }) => {
     instructions: '',
     estimatedDuration: null,
     starsAwarded: 10,
+    minSimilarityScore: '',
     isStarAssignment: false,
+    rubric: [],
     isPublished: false,
   });
 
@@ -55,6 +60,7 @@ const AudioEditModal = ({ open, onClose, audioId, onSuccess }) => {
   const [selectedInstructionVideo, setSelectedInstructionVideo] = useState(null);
   const [currentInstructionVideo, setCurrentInstructionVideo] = useState(null);
   const [instructionVideoPreviewUrl, setInstructionVideoPreviewUrl] = useState(null);
+  const [skillIds, setSkillIds] = useState([]);
   const [isInitialized, setIsInitialized] = useState(false);
   const isFetchingRef = useRef(false);
   const lastFetchedIdRef = useRef(null);
@@ -94,13 +100,16 @@ const AudioEditModal = ({ open, onClose, audioId, onSuccess }) => {
         instructions: currentContent.instructions || '',
         estimatedDuration: currentContent.estimatedDuration || null,
         starsAwarded: currentContent.starsAwarded || 10,
+        minSimilarityScore: currentContent.minSimilarityScore ?? '',
         isStarAssignment: currentContent.isStarAssignment || false,
+        rubric: currentContent.rubric || [],
         isPublished: currentContent.isPublished || false,
       });
       setCurrentCoverImage(currentContent.coverImage);
       setSelectedCoverImage(null);
       setCurrentInstructionVideo(currentContent.instructionVideo || null);
       setSelectedInstructionVideo(null);
+      setSkillIds(skillIdsFromContent(currentContent.skills));
       setIsInitialized(true);
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -141,8 +150,14 @@ const AudioEditModal = ({ open, onClose, audioId, onSuccess }) => {
         formDataToSend.append('estimatedDuration', formData.estimatedDuration);
       }
       formDataToSend.append('starsAwarded', formData.starsAwarded);
+      formDataToSend.append('minSimilarityScore', formData.minSimilarityScore);
       formDataToSend.append('isStarAssignment', formData.isStarAssignment);
+      formDataToSend.append(
+        'rubric',
+        JSON.stringify(formData.rubric.filter((criterion) => criterion.label.trim()))
+      );
       formDataToSend.append('isPublished', formData.isPublished);
+      appendSkills(formDataToSend, skillIds);
 
       if (selectedCoverImage) {
         formDataToSend.append('coverImage', selectedCoverImage);
@@ -169,7 +184,9 @@ const AudioEditModal = ({ open, onClose, audioId, onSuccess }) => {
       instructions: '',
       estimatedDuration: null,
       starsAwarded: 10,
+      minSimilarityScore: '',
       isStarAssignment: false,
+      rubric: [],
       isPublished: false,
     });
     setSelectedCoverImage(null);
@@ -189,14 +206,10 @@ const AudioEditModal = ({ open, onClose, audioId, onSuccess }) => {
     onClose();
   };
 
-  const getMediaUrl = (media) => {
-    if (!media) return null;
-    const url = typeof media === 'string' ? media : media.url;
-    if (!url) return null;
-    if (url.startsWith('http://') || url.startsWith('https://')) return url;
-    const baseUrl = import.meta.env.VITE_API_URL?.replace('/api', '') || 'http://localhost:5000';
-    return `${baseUrl}${url.startsWith('/') ? url : `/${url}`}`;
-  };
+  // Uploaded videos are private: preview through a signed URL
+  const { url: currentInstructionVideoUrl } = useMediaUrl(
+    typeof currentInstructionVideo === 'string' ? currentInstructionVideo : currentInstructionVideo?.url
+  );
 
   const displayCoverImage = selectedCoverImage && imagePreviewUrl
     ? imagePreviewUrl
@@ -206,7 +219,7 @@ const AudioEditModal = ({ open, onClose, audioId, onSuccess }) => {
 
   const displayInstructionVideo = selectedInstructionVideo && instructionVideoPreviewUrl
     ? instructionVideoPreviewUrl
-    : getMediaUrl(currentInstructionVideo);
+    : currentInstructionVideoUrl;
 
   return (
     <Dialog
@@ -326,6 +339,26 @@ const AudioEditModal = ({ open, onClose, audioId, onSuccess }) => {
             }}
           />
 
+          {/* Minimum Similarity Score */}
+          <TextField
+            label="Minimum Similarity Score (optional)"
+            type="number"
+            value={formData.minSimilarityScore}
+            onChange={(e) => {
+              const value = e.target.value === '' ? '' : parseInt(e.target.value, 10);
+              handleInputChange('minSimilarityScore', Number.isNaN(value) ? '' : Math.min(100, Math.max(0, value)));
+            }}
+            inputProps={{ min: 0, max: 100 }}
+            helperText="How closely (0-100) a recording must match the reference audio before it earns stars. Leave empty for no minimum."
+            fullWidth
+            sx={{
+              '& .MuiOutlinedInput-root': {
+                borderRadius: '10px',
+                fontFamily: 'Quicksand, sans-serif',
+              },
+            }}
+          />
+
           {/* Is Star Assignment */}
           <FormControl fullWidth>
             <InputLabel>Is Star Assignment?</InputLabel>
@@ -343,6 +376,12 @@ const AudioEditModal = ({ open, onClose, audioId, onSuccess }) => {
             </Select>
           </FormControl>
 
+          {/* Review Rubric */}
+          <AudioRubricEditor
+            rubric={formData.rubric}
+            onChange={(rubric) => handleInputChange('rubric', rubric)}
+          />
+
           {/* Cover Image Upload */}
           <Box>
             <Typography
@@ -481,6 +520,9 @@ const AudioEditModal = ({ open, onClose, audioId, onSuccess }) => {
             )}
           </Box>
 
+          {/* Skills practised */}
+          <SkillSelect value={skillIds} onChange={setSkillIds} />
+
           {/* Published Toggle */}
           <FormControl fullWidth>
             <InputLabel>Status</InputLabel>
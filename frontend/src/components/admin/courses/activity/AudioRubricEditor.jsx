@@ -0,0 +1,117 @@
+import React from 'react';
+import { Box, Typography, TextField, Button, IconButton, Stack } from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { Add as AddIcon, DeleteOutline } from '@mui/icons-material';
+
+const SUGGESTED_RUBRIC = [
+  { label: 'Pronunciation', description: 'Sounds and words are said clearly', maxScore: 5, weight: 2 },
+  { label: 'Fluency', description: 'Speaks smoothly without long pauses', maxScore: 5, weight: 1 },
+  { label: 'Volume', description: 'Loud enough to hear every word', maxScore: 5, weight: 1 },
+];
+
+const MAX_CRITERIA = 10;
+
+/**
+ * AudioRubricEditor Component
+ *
+ * Edits the criteria teachers score recordings on. Without criteria a review
+ * is a plain approve/reject and approval gives the full stars; with criteria
+ * approval gives the rubric share of the stars.
+ */
+const AudioRubricEditor = ({ rubric = [], onChange }) => {
+  const theme = useTheme();
+
+  const updateCriterion = (index, field, value) => {
+    onChange(rubric.map((criterion, i) => (i === index ? { ...criterion, [field]: value } : criterion)));
+  };
+
+  const fieldSx = {
+    '& .MuiOutlinedInput-root': {
+      borderRadius: '10px',
+      fontFamily: 'Quicksand, sans-serif',
+    },
+  };
+
+  return (
+    <Box>
+      <Typography variant="subtitle2" sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600 }}>
+        Review Rubric (Optional)
+      </Typography>
+      <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontSize: '0.8125rem', color: theme.palette.text.secondary, mb: 1.5 }}>
+        Reviewers score each criterion; approved recordings earn stars in proportion to the weighted score.
+      </Typography>
+
+      <Stack spacing={1.5}>
+        {rubric.map((criterion, index) => (
+          <Box
+            key={criterion.key || index}
+            sx={{ display: 'flex', gap: 1, alignItems: 'flex-start', flexWrap: { xs: 'wrap', sm: 'nowrap' } }}
+          >
+            <TextField
+              size="small"
+              label="Criterion"
+              value={criterion.label}
+              onChange={(e) => updateCriterion(index, 'label', e.target.value)}
+              inputProps={{ maxLength: 60 }}
+              sx={{ ...fieldSx, flex: 2, minWidth: 140 }}
+            />
+            <TextField
+              size="small"
+              label="Description"
+              value={criterion.description || ''}
+              onChange={(e) => updateCriterion(index, 'description', e.target.value)}
+              inputProps={{ maxLength: 200 }}
+              sx={{ ...fieldSx, flex: 3, minWidth: 160 }}
+            />
+            <TextField
+              size="small"
+              label="Max"
+              type="number"
+              value={criterion.maxScore}
+              onChange={(e) => updateCriterion(index, 'maxScore', parseInt(e.target.value, 10) || 1)}
+              inputProps={{ min: 1, max: 10 }}
+              sx={{ ...fieldSx, width: 80 }}
+            />
+            <TextField
+              size="small"
+              label="Weight"
+              type="number"
+              value={criterion.weight}
+              onChange={(e) => updateCriterion(index, 'weight', parseFloat(e.target.value) || 1)}
+              inputProps={{ min: 0.1, max: 10, step: 0.5 }}
+              sx={{ ...fieldSx, width: 90 }}
+            />
+            <IconButton
+              onClick={() => onChange(rubric.filter((_, i) => i !== index))}
+              aria-label={`Remove ${criterion.label || 'criterion'}`}
+              sx={{ mt: 0.25 }}
+            >
+              <DeleteOutline />
+            </IconButton>
+          </Box>
+        ))}
+      </Stack>
+
+      <Box sx={{ display: 'flex', gap: 1, mt: 1.5 }}>
+        <Button
+          startIcon={<AddIcon />}
+          disabled={rubric.length >= MAX_CRITERIA}
+          onClick={() => onChange([...rubric, { label: '', description: '', maxScore: 5, weight: 1 }])}
+          sx={{ fontFamily: 'Quicksand, sans-serif', textTransform: 'none', fontWeight: 600 }}
+        >
+          Add criterion
+        </Button>
+        {rubric.length === 0 && (
+          <Button
+            onClick={() => onChange(SUGGESTED_RUBRIC)}
+            sx={{ fontFamily: 'Quicksand, sans-serif', textTransform: 'none' }}
+          >
+            Use pronunciation / fluency / volume
+          </Button>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default AudioRubricEditor;
@@ -20,13 +20,16 @@ import { useTheme } from '@mui/material/styles';
 import { Close as CloseIcon, CloudUpload as CloudUploadIcon } from '@mui/icons-material';
 import useContent from '../../../../hooks/contentHook';
 import { CONTENT_TYPES } from '../../../../services/contentService';
+import SkillSelect, { skillIdsFromContent, appendSkills } from './SkillSelect';
+import ScormCompletionSettings, { DEFAULT_SCORM_SETTINGS, scormSettingsToForm, appendScormSettings } from './ScormCompletionSettings';
 
 /**
  * BookEditModal Component
  * 
  * Modal for editing books
  * Can only edit: title, description, coverImage, language, readingLevel,
- * estimatedReadingTime, requiredReadingCount, starsPerReading, totalStarsAwarded, isPublished
+ * estimatedReadingTime, requiredReadingCount, starsPerReading, totalStarsAwarded, isPublished,
+ * SCORM completion rule and slide count
  * SCORM file cannot be changed
  */
 const BookEditModal = ({ open, onClose, bookId, onSuccess }) => {
@@ -54,6 +57,8 @@ const BookEditModal = ({ open, onClose, bookId, onSuccess }) => {
   const [selectedCoverImage, setSelectedCoverImage] = useState(null);
   const [currentCoverImage, setCurrentCoverImage] = useState(null);
   const [imagePreviewUrl, setImagePreviewUrl] = useState(null);
+  const [scormSettings, setScormSettings] = useState(DEFAULT_SCORM_SETTINGS);
+  const [skillIds, setSkillIds] = useState([]);
   const [isInitialized, setIsInitialized] = useState(false);
   const isFetchingRef = useRef(false);
   const lastFetchedIdRef = useRef(null);
@@ -100,6 +105,8 @@ const BookEditModal = ({ open, onClose, bookId, onSuccess }) => {
       });
       setCurrentCoverImage(currentContent.coverImage);
       setSelectedCoverImage(null);
+      setScormSettings(scormSettingsToForm(currentContent.scormSettings));
+      setSkillIds(skillIdsFromContent(currentContent.skills));
       setIsInitialized(true);
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -141,11 +148,14 @@ const BookEditModal = ({ open, onClose, bookId, onSuccess }) => {
       formDataToSend.append('starsPerReading', formData.starsPerReading);
       formDataToSend.append('totalStarsAwarded', formData.totalStarsAwarded);
       formDataToSend.append('isPublished', formData.isPublished);
+      appendSkills(formDataToSend, skillIds);
 
       if (selectedCoverImage) {
         formDataToSend.append('coverImage', selectedCoverImage);
       }
 
+      appendScormSettings(formDataToSend, scormSettings);
+
       await updateContentData(CONTENT_TYPES.BOOK, bookId, formDataToSend);
       
       if (onSuccess) {
@@ -171,6 +181,7 @@ const BookEditModal = ({ open, onClose, bookId, onSuccess }) => {
     });
     setSelectedCoverImage(null);
     setCurrentCoverImage(null);
+    setScormSettings(DEFAULT_SCORM_SETTINGS);
     setIsInitialized(false);
     isFetchingRef.current = false;
     if (imagePreviewUrl) {
@@ -415,6 +426,16 @@ const BookEditModal = ({ open, onClose, bookId, onSuccess }) => {
             )}
           </Box>
 
+          {/* SCORM completion rule + slide count */}
+          <ScormCompletionSettings
+            value={scormSettings}
+            onChange={setScormSettings}
+            detected={currentContent?.scormSettings}
+          />
+
+          {/* Skills practised */}
+          <SkillSelect value={skillIds} onChange={setSkillIds} />
+
           {/* Published Toggle */}
           <FormControl fullWidth>
             <InputLabel>Status</InputLabel>
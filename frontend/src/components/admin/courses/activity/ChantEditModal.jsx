@@ -19,14 +19,17 @@ import {
 import { useTheme } from '@mui/material/styles';
 import { Close as CloseIcon, CloudUpload as CloudUploadIcon } from '@mui/icons-material';
 import useContent from '../../../../hooks/contentHook';
+import useMediaUrl from '../../../../hooks/mediaHook';
 import { CONTENT_TYPES } from '../../../../services/contentService';
+import SkillSelect, { skillIdsFromContent, appendSkills } from './SkillSelect';
+import ScormCompletionSettings, { DEFAULT_SCORM_SETTINGS, scormSettingsToForm, appendScormSettings } from './ScormCompletionSettings';
 
 /**
  * ChantEditModal Component
  * 
  * Modal for editing chants
  * Can only edit: title, description, instructions, coverImage, estimatedDuration,
- * starsAwarded, isPublished
+ * starsAwarded, minimum similarity score, isPublished
  * Audio and SCORM files cannot be changed
  */
 const ChantEditModal = ({ open, onClose, chantId, onSuccess }) => {
@@ -45,6 +48,7 @@ const ChantEditModal = ({ open, onClose, chantId, onSuccess }) => {
     instructions: '',
     estimatedDuration: null,
     starsAwarded: 10,
+    minSimilarityScore: '',
     isPublished: false,
   });
 
@@ -54,6 +58,10 @@ const ChantEditModal = ({ open, onClose, chantId, onSuccess }) => {
   const [selectedInstructionVideo, setSelectedInstructionVideo] = useState(null);
   const [currentInstructionVideo, setCurrentInstructionVideo] = useState(null);
   const [instructionVideoPreviewUrl, setInstructionVideoPreviewUrl] = useState(null);
+  const [scormSettings, setScormSettings] = useState(DEFAULT_SCORM_SETTINGS);
+  // Completion settings only apply when the item has a SCORM package
+  const hasScormFile = Boolean(currentContent?.scormFile);
+  const [skillIds, setSkillIds] = useState([]);
   const [isInitialized, setIsInitialized] = useState(false);
   const isFetchingRef = useRef(false);
   const lastFetchedIdRef = useRef(null);
@@ -93,12 +101,15 @@ const ChantEditModal = ({ open, onClose, chantId, onSuccess }) => {
         instructions: currentContent.instructions || '',
         estimatedDuration: currentContent.estimatedDuration || null,
         starsAwarded: currentContent.starsAwarded || 10,
+        minSimilarityScore: currentContent.minSimilarityScore ?? '',
         isPublished: currentContent.isPublished || false,
       });
       setCurrentCoverImage(currentContent.coverImage);
       setSelectedCoverImage(null);
       setCurrentInstructionVideo(currentContent.instructionVideo || null);
       setSelectedInstructionVideo(null);
+      setScormSettings(scormSettingsToForm(currentContent.scormSettings));
+      setSkillIds(skillIdsFromContent(currentContent.skills));
       setIsInitialized(true);
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -141,7 +152,9 @@ const ChantEditModal = ({ open, onClose, chantId, onSuccess }) => {
         formDataToSend.append('estimatedDuration', formData.estimatedDuration);
       }
       formDataToSend.append('starsAwarded', formData.starsAwarded);
+      formDataToSend.append('minSimilarityScore', formData.minSimilarityScore);
       formDataToSend.append('isPublished', formData.isPublished);
+      appendSkills(formDataToSend, skillIds);
 
       if (selectedCoverImage) {
         formDataToSend.append('coverImage', selectedCoverImage);
@@ -150,6 +163,10 @@ const ChantEditModal = ({ open, onClose, chantId, onSuccess }) => {
         formDataToSend.append('instructionVideo', selectedInstructionVideo);
       }
 
+      if (hasScormFile) {
+        appendScormSettings(formDataToSend, scormSettings);
+      }
+
       await updateContentData(CONTENT_TYPES.CHANT, chantId, formDataToSend);
       
       if (onSuccess) {
@@ -168,10 +185,12 @@ const ChantEditModal = ({ open, onClose, chantId, onSuccess }) => {
       instructions: '',
       estimatedDuration: null,
       starsAwarded: 10,
+      minSimilarityScore: '',
       isPublished: false,
     });
     setSelectedCoverImage(null);
     setCurrentCoverImage(null);
+    setScormSettings(DEFAULT_SCORM_SETTINGS);
     setSelectedInstructionVideo(null);
     setCurrentInstructionVideo(null);
     setIsInitialized(false);
@@ -187,14 +206,10 @@ const ChantEditModal = ({ open, onClose, chantId, onSuccess }) => {
     onClose();
   };
 
-  const getMediaUrl = (media) => {
-    if (!media) return null;
-    const url = typeof media === 'string' ? media : media.url;
-    if (!url) return null;
-    if (url.startsWith('http://') || url.startsWith('https://')) return url;
-    const baseUrl = import.meta.env.VITE_API_URL?.replace('/api', '') || 'http://localhost:5000';
-    return `${baseUrl}${url.startsWith('/') ? url : `/${url}`}`;
-  };
+  // Uploaded videos are private: preview through a signed URL
+  const { url: currentInstructionVideoUrl } = useMediaUrl(
+    typeof currentInstructionVideo === 'string' ? currentInstructionVideo : currentInstructionVideo?.url
+  );
 
   const displayCoverImage = selectedCoverImage && imagePreviewUrl
     ? imagePreviewUrl
@@ -204,7 +219,7 @@ const ChantEditModal = ({ open, onClose, chantId, onSuccess }) => {
 
   const displayInstructionVideo = selectedInstructionVideo && instructionVideoPreviewUrl
     ? instructionVideoPreviewUrl
-    : getMediaUrl(currentInstructionVideo);
+    : currentInstructionVideoUrl;
 
   return (
     <Dialog
@@ -323,6 +338,26 @@ const ChantEditModal = ({ open, onClose, chantId, onSuccess }) => {
             }}
           />
 
+          {/* Minimum Similarity Score */}
+          <TextField
+            label="Minimum Similarity Score (optional)"
+            type="number"
+            value={formData.minSimilarityScore}
+            onChange={(e) => {
+              const value = e.target.value === '' ? '' : parseInt(e.target.value, 10);
+              handleInputChange('minSimilarityScore', Number.isNaN(value) ? '' : Math.min(100, Math.max(0, value)));
+            }}
+            inputProps={{ min: 0, max: 100 }}
+            helperText="How closely (0-100) a recording must match the reference audio before it earns stars. Leave empty for no minimum."
+            fullWidth
+            sx={{
+              '& .MuiOutlinedInput-root': {
+                borderRadius: '10px',
+                fontFamily: 'Quicksand, sans-serif',
+              },
+            }}
+          />
+
           {/* Cover Image Upload */}
           <Box>
             <Typography
@@ -461,6 +496,18 @@ const ChantEditModal = ({ open, onClose, chantId, onSuccess }) => {
             )}
           </Box>
 
+          {/* SCORM completion rule + slide count */}
+          {hasScormFile && (
+            <ScormCompletionSettings
+              value={scormSettings}
+              onChange={setScormSettings}
+              detected={currentContent?.scormSettings}
+            />
+          )}
+
+          {/* Skills practised */}
+          <SkillSelect value={skillIds} onChange={setSkillIds} />
+
           {/* Published Toggle */}
           <FormControl fullWidth>
             <InputLabel>Status</InputLabel>
@@ -21,7 +21,14 @@ import {
 import { useTheme } from '@mui/material/styles';
 import { Close as CloseIcon, CloudUpload as CloudUploadIcon } from '@mui/icons-material';
 import useContent from '../../../../hooks/contentHook';
+import useResumableUpload from '../../../../hooks/resumableUploadHook';
 import { CONTENT_TYPES } from '../../../../services/contentService';
+import { validateScormPackage } from '../../../../services/scormService';
+import ScormCompletionSettings, { DEFAULT_SCORM_SETTINGS, appendScormSettings } from './ScormCompletionSettings';
+import ScormValidationReport from './ScormValidationReport';
+import QuizQuestionsEditor, { DEFAULT_QUIZ_SETTINGS, validateQuizQuestions, appendQuizFields } from './QuizQuestionsEditor';
+import UploadProgress from './UploadProgress';
+import SkillSelect, { appendSkills } from './SkillSelect';
 
 /**
  * ContentAddModal Component
@@ -32,12 +39,22 @@ import { CONTENT_TYPES } from '../../../../services/contentService';
  * - Video (video + SCORM)
  * - Audio Assignment (reference audio)
  * - Chant (optional audio and SCORM files)
+ * - Quiz (question bank with pictures and sounds)
  * 
  * Automatically detects current content type from filters/URL
+ * SCORM packages and videos of activities, books and videos are sent first
+ * as resumable uploads (with progress), then referenced by upload id
  */
 const ContentAddModal = ({ open, onClose, onSuccess, initialContentType, renderAsDrawer = false }) => {
   const theme = useTheme();
   const { createNewContent, loading, filters } = useContent();
+  const {
+    uploads,
+    uploading,
+    uploadFiles,
+    cancel: cancelUploads,
+    reset: resetUploads,
+  } = useResumableUpload();
 
   // Initialize with initialContentType prop, or current content type from filters, or default
   const [contentType, setContentType] = useState(
@@ -85,6 +102,47 @@ const ContentAddModal = ({ open, onClose, onSuccess, initialContentType, renderA
     instructionVideo: null, // For audio assignments & chants
   });
 
+  // Completion rule and slide count for SCORM books, videos and chants
+  const [scormSettings, setScormSettings] = useState(DEFAULT_SCORM_SETTINGS);
+  const hasScormSettings =
+    Boolean(selectedFiles.scormFile) &&
+    [CONTENT_TYPES.BOOK, CONTENT_TYPES.VIDEO, CONTENT_TYPES.CHANT].includes(contentType);
+
+  // Question bank and scoring of quizzes
+  const [quizSettings, setQuizSettings] = useState(DEFAULT_QUIZ_SETTINGS);
+  const [quizQuestions, setQuizQuestions] = useState([]);
+
+  // Skills the content practises (all content types)
+  const [skillIds, setSkillIds] = useState([]);
+
+  // Server-side validation report of the selected SCORM package
+  const [scormValidation, setScormValidation] = useState({ checking: false, report: null, error: null });
+  const scormRejected =
+    Boolean(selectedFiles.scormFile) &&
+    (scormValidation.checking || scormValidation.report?.valid === false);
+
+  useEffect(() => {
+    const file = selectedFiles.scormFile;
+    if (!file) {
+      setScormValidation({ checking: false, report: null, error: null });
+      return undefined;
+    }
+
+    let cancelled = false;
+    setScormValidation({ checking: true, report: null, error: null });
+    validateScormPackage(file)
+      .then((report) => {
+        if (!cancelled) setScormValidation({ checking: false, report, error: null });
+      })
+      .catch((error) => {
+        if (!cancelled) setScormValidation({ checking: false, report: null, error: error.message });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedFiles.scormFile]);
+
   const handleInputChange = (field, value) => {
     setFormData((prev) => ({ ...prev, [field]: value }));
   };
@@ -123,11 +181,18 @@ const ContentAddModal = ({ open, onClose, onSuccess, initialContentType, renderA
       audio: null,
       instructionVideo: null,
     });
+    setScormSettings(DEFAULT_SCORM_SETTINGS);
+    setQuizSettings(DEFAULT_QUIZ_SETTINGS);
+    setQuizQuestions([]);
+    setSkillIds([]);
+    resetUploads();
   };
 
   const handleSubmit = async () => {
     try {
       const fd = new FormData();
+      // Large files sent through resumable uploads before the create request
+      const resumableFiles = [];
 
       // common fields
       fd.append('title', formData.title);
@@ -138,13 +203,17 @@ const ContentAddModal = ({ open, onClose, onSuccess, initialContentType, renderA
         fd.append('tags', JSON.stringify(formData.tags));
       }
 
+      if (skillIds.length) {
+        appendSkills(fd, skillIds);
+      }
+
       if (contentType === CONTENT_TYPES.ACTIVITY) {
         if (!selectedFiles.scormFile) {
           alert('Please upload a SCORM file (ZIP) for the activity.');
           return;
         }
         fd.append('starsAwarded', formData.starsAwarded || 15);
-        fd.append('scormFile', selectedFiles.scormFile);
+        resumableFiles.push({ field: 'scormFile', file: selectedFiles.scormFile, purpose: 'scorm' });
         if (selectedFiles.coverImage) {
           fd.append('coverImage', selectedFiles.coverImage);
         }
@@ -163,7 +232,7 @@ const ContentAddModal = ({ open, onClose, onSuccess, initialContentType, renderA
         fd.append('requiredReadingCount', formData.requiredReadingCount || 5);
         fd.append('starsPerReading', formData.starsPerReading || 10);
         fd.append('totalStarsAwarded', formData.totalStarsAwarded || 50);
-        fd.append('scormFile', selectedFiles.scormFile);
+        resumableFiles.push({ field: 'scormFile', file: selectedFiles.scormFile, purpose: 'scorm' });
         if (selectedFiles.coverImage) {
           fd.append('coverImage', selectedFiles.coverImage);
         }
@@ -179,9 +248,9 @@ const ContentAddModal = ({ open, onClose, onSuccess, initialContentType, renderA
           fd.append('duration', formData.duration);
         }
         fd.append('starsAwarded', formData.starsAwarded || 10);
-        fd.append('videoFile', selectedFiles.videoFile);
+        resumableFiles.push({ field: 'videoFile', file: selectedFiles.videoFile, purpose: 'video' });
         if (selectedFiles.scormFile) {
-          fd.append('scormFile', selectedFiles.scormFile);
+          resumableFiles.push({ field: 'scormFile', file: selectedFiles.scormFile, purpose: 'scorm' });
         }
         if (selectedFiles.coverImage) {
           fd.append('coverImage', selectedFiles.coverImage);
@@ -237,6 +306,36 @@ const ContentAddModal = ({ open, onClose, onSuccess, initialContentType, renderA
         }
       }
 
+      if (contentType === CONTENT_TYPES.QUIZ) {
+        const questionsError = validateQuizQuestions(quizQuestions);
+        if (questionsError) {
+          alert(questionsError);
+          return;
+        }
+        if (formData.instructions) {
+          fd.append('instructions', formData.instructions.trim());
+        }
+        if (formData.estimatedDuration) {
+          fd.append('estimatedDuration', formData.estimatedDuration);
+        }
+        fd.append('starsAwarded', formData.starsAwarded || 10);
+        appendQuizFields(fd, quizSettings, quizQuestions);
+        if (selectedFiles.coverImage) {
+          fd.append('coverImage', selectedFiles.coverImage);
+        }
+      }
+
+      if (hasScormSettings) {
+        appendScormSettings(fd, scormSettings);
+      }
+
+      if (resumableFiles.length > 0) {
+        const uploadIds = await uploadFiles(resumableFiles);
+        Object.entries(uploadIds).forEach(([field, uploadId]) => {
+          fd.append(`${field}UploadId`, uploadId);
+        });
+      }
+
       const result = await createNewContent(contentType, fd);
       resetState();
       // Pass created content data to onSuccess callback
@@ -249,6 +348,7 @@ const ContentAddModal = ({ open, onClose, onSuccess, initialContentType, renderA
   };
 
   const handleClose = () => {
+    cancelUploads();
     resetState();
     onClose();
   };
@@ -489,6 +589,60 @@ const ContentAddModal = ({ open, onClose, onSuccess, initialContentType, renderA
             />
           </>
         );
+      case CONTENT_TYPES.QUIZ:
+        return (
+          <>
+            <TextField
+              label="Instructions (Optional)"
+              value={formData.instructions}
+              onChange={(e) => handleInputChange('instructions', e.target.value)}
+              multiline
+              rows={2}
+              fullWidth
+              sx={{
+                '& .MuiOutlinedInput-root': {
+                  borderRadius: '10px',
+                  fontFamily: 'Quicksand, sans-serif',
+                },
+              }}
+            />
+            <TextField
+              label="Estimated Duration (minutes)"
+              type="number"
+              value={formData.estimatedDuration}
+              onChange={(e) => handleInputChange('estimatedDuration', parseInt(e.target.value) || 0)}
+              inputProps={{ min: 0 }}
+              fullWidth
+              sx={{
+                '& .MuiOutlinedInput-root': {
+                  borderRadius: '10px',
+                  fontFamily: 'Quicksand, sans-serif',
+                },
+              }}
+            />
+            <TextField
+              label="Stars Awarded"
+              type="number"
+              value={formData.starsAwarded}
+              onChange={(e) => handleInputChange('starsAwarded', parseInt(e.target.value) || 0)}
+              inputProps={{ min: 0 }}
+              helperText="Given once, the first time the child passes"
+              fullWidth
+              sx={{
+                '& .MuiOutlinedInput-root': {
+                  borderRadius: '10px',
+                  fontFamily: 'Quicksand, sans-serif',
+                },
+              }}
+            />
+            <QuizQuestionsEditor
+              settings={quizSettings}
+              onSettingsChange={setQuizSettings}
+              questions={quizQuestions}
+              onChange={setQuizQuestions}
+            />
+          </>
+        );
       case CONTENT_TYPES.ACTIVITY:
       default:
         return (
@@ -997,6 +1151,8 @@ const ContentAddModal = ({ open, onClose, onSuccess, initialContentType, renderA
         return 'Create New Audio Assignment';
       case CONTENT_TYPES.CHANT:
         return 'Create New Chant';
+      case CONTENT_TYPES.QUIZ:
+        return 'Create New Quiz';
       case CONTENT_TYPES.ACTIVITY:
       default:
         return 'Create New Activity';
@@ -1024,6 +1180,7 @@ const ContentAddModal = ({ open, onClose, onSuccess, initialContentType, renderA
             <MenuItem value={CONTENT_TYPES.VIDEO}>Video + SCORM</MenuItem>
             <MenuItem value={CONTENT_TYPES.AUDIO_ASSIGNMENT}>Audio Assignment</MenuItem>
             <MenuItem value={CONTENT_TYPES.CHANT}>Chant (Optional Audio & SCORM)</MenuItem>
+            <MenuItem value={CONTENT_TYPES.QUIZ}>Quiz (Question Bank)</MenuItem>
           </Select>
         </FormControl>
 
@@ -1064,6 +1221,30 @@ const ContentAddModal = ({ open, onClose, onSuccess, initialContentType, renderA
         {/* File inputs based on type + cover image */}
         {renderFileInputs()}
 
+        {/* SCORM package validation report */}
+        {selectedFiles.scormFile && (
+          <ScormValidationReport
+            checking={scormValidation.checking}
+            report={scormValidation.report}
+            error={scormValidation.error}
+          />
+        )}
+
+        {/* SCORM completion rule + slide count */}
+        {hasScormSettings && (
+          <ScormCompletionSettings
+            value={scormSettings}
+            onChange={setScormSettings}
+            detected={scormValidation.report}
+          />
+        )}
+
+        {/* Resumable upload progress (SCORM packages and videos) */}
+        <UploadProgress uploads={uploads} />
+
+        {/* Skills practised */}
+        <SkillSelect value={skillIds} onChange={setSkillIds} />
+
         {/* Published Toggle */}
         <FormControl fullWidth>
           <InputLabel>Status</InputLabel>
@@ -1106,7 +1287,7 @@ const ContentAddModal = ({ open, onClose, onSuccess, initialContentType, renderA
         <Button
           onClick={handleSubmit}
           variant="contained"
-          disabled={loading || !formData.title}
+          disabled={loading || uploading || !formData.title || scormRejected}
           sx={{
             backgroundColor: theme.palette.orange.main,
             color: theme.palette.textCustom.inverse,
@@ -1118,7 +1299,7 @@ const ContentAddModal = ({ open, onClose, onSuccess, initialContentType, renderA
             },
           }}
         >
-          {loading ? 'Creating...' : 'Create'}
+          {uploading ? 'Uploading...' : loading ? 'Creating...' : 'Create'}
         </Button>
       </Box>
     </>
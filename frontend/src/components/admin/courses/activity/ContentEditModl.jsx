@@ -4,13 +4,14 @@ import VideoEditModal from './VideoEditModal';
 import BookEditModal from './BooksEditModa';
 import AudioEditModal from './AudioEditModal';
 import ChantEditModal from './ChantEditModal';
+import QuizEditModal from './QuizEditModal';
 import { CONTENT_TYPES } from '../../../../services/contentService';
 
 /**
  * ContentEditModal
  *
  * Unified wrapper that routes to the appropriate edit modal based on content type.
- * Supports: Activities, Books, Videos, Audio Assignments, Chants
+ * Supports: Activities, Books, Videos, Audio Assignments, Chants, Quizzes
  */
 const ContentEditModal = ({ open, onClose, contentId, contentType = CONTENT_TYPES.ACTIVITY, onSuccess }) => {
   // Route to the appropriate edit modal based on content type
@@ -66,6 +67,16 @@ const ContentEditModal = ({ open, onClose, contentId, contentType = CONTENT_TYPE
         />
       );
 
+    case CONTENT_TYPES.QUIZ:
+      return (
+        <QuizEditModal
+          open={open}
+          onClose={onClose}
+          quizId={contentId}
+          onSuccess={onSuccess}
+        />
+      );
+
     default:
       console.warn(`Unknown content type: ${contentType}`);
       return null;
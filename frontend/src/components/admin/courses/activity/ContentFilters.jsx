@@ -34,6 +34,7 @@ const ContentFilters = () => {
       [CONTENT_TYPES.VIDEO]: 'videos',
       [CONTENT_TYPES.AUDIO_ASSIGNMENT]: 'audio',
       [CONTENT_TYPES.CHANT]: 'chants',
+      [CONTENT_TYPES.QUIZ]: 'quizzes',
     };
     return urlMap[contentType] || 'activities';
   };
@@ -137,6 +138,7 @@ const ContentFilters = () => {
             <MenuItem value={CONTENT_TYPES.VIDEO}>Videos</MenuItem>
             <MenuItem value={CONTENT_TYPES.AUDIO_ASSIGNMENT}>Audio Assignments</MenuItem>
             <MenuItem value={CONTENT_TYPES.CHANT}>Chants</MenuItem>
+            <MenuItem value={CONTENT_TYPES.QUIZ}>Quizzes</MenuItem>
           </Select>
         </FormControl>
 
@@ -24,6 +24,8 @@ const ContentHeader = ({ onAddClick }) => {
         return 'Audio Assignments';
       case CONTENT_TYPES.CHANT:
         return 'Chants';
+      case CONTENT_TYPES.QUIZ:
+        return 'Quizzes';
       case CONTENT_TYPES.ACTIVITY:
       default:
         return 'Activityy';
@@ -40,6 +42,8 @@ const ContentHeader = ({ onAddClick }) => {
         return 'Manage audio assignments and speaking activities';
       case CONTENT_TYPES.CHANT:
         return 'Manage chants with optional audio and SCORM files';
+      case CONTENT_TYPES.QUIZ:
+        return 'Build picture, audio, matching and ordering quizzes';
       case CONTENT_TYPES.ACTIVITY:
       default:
         return 'Manage interactive learning activities for children';
@@ -56,6 +60,8 @@ const ContentHeader = ({ onAddClick }) => {
         return 'audio assignments';
       case CONTENT_TYPES.CHANT:
         return 'chants';
+      case CONTENT_TYPES.QUIZ:
+        return 'quizzes';
       case CONTENT_TYPES.ACTIVITY:
       default:
         return 'activities';
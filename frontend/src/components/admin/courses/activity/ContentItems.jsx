@@ -22,7 +22,8 @@ import {
   Restore as RestoreIcon,
 } from '@mui/icons-material';
 import useContent from '../../../../hooks/contentHook';
-import { CONTENT_TYPES } from '../../../../services/contentService';
+import contentService, { CONTENT_TYPES } from '../../../../services/contentService';
+import MediaProcessingStatus from '../../common/MediaProcessingStatus';
 import ContentEditModal from './ContentEditModl';
 
 /**
@@ -97,6 +98,15 @@ const ContentItems = ({ loading, onRefresh }) => {
     handleMenuClose();
   };
 
+  const handleReprocess = async (item) => {
+    try {
+      await contentService.reprocessVideo(item._id);
+      if (onRefresh) onRefresh();
+    } catch (error) {
+      console.error('Error reprocessing video:', error);
+    }
+  };
+
   const handleEditModalClose = () => {
     setEditModalOpen(false);
     setSelectedContentId(null);
@@ -114,6 +124,8 @@ const ContentItems = ({ loading, onRefresh }) => {
         return '🎤 Audio';
       case CONTENT_TYPES.CHANT:
         return '🎵 Chant';
+      case CONTENT_TYPES.QUIZ:
+        return '🧩 Quiz';
       case CONTENT_TYPES.ACTIVITY:
       default:
         return '⭐ Activity';
@@ -384,6 +396,11 @@ const ContentItems = ({ loading, onRefresh }) => {
                   {item.title}
                 </Typography>
 
+                {/* HLS processing status (videos) */}
+                {item._contentType === CONTENT_TYPES.VIDEO && (
+                  <MediaProcessingStatus processing={item.processing} onRetry={() => handleReprocess(item)} />
+                )}
+
                 {/* Description */}
                 {item.description && (
                   <Typography
@@ -0,0 +1,584 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Checkbox,
+  Chip,
+  FormControl,
+  FormControlLabel,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Stack,
+  Switch,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import {
+  Add as AddIcon,
+  ArrowDownward as ArrowDownwardIcon,
+  ArrowUpward as ArrowUpwardIcon,
+  DeleteOutline,
+  Image as ImageIcon,
+  VolumeUp as VolumeUpIcon,
+} from '@mui/icons-material';
+import useMediaUrl from '../../../../hooks/mediaHook';
+
+export const QUESTION_KINDS = {
+  picture_choice: 'Picture choice',
+  audio_prompt: 'Listen and choose',
+  match: 'Tap to match',
+  ordering: 'Put in order',
+};
+
+// Same bounds as the server (quiz.services.js)
+const LIST_LIMITS = {
+  picture_choice: { field: 'options', min: 2, max: 6, label: 'answers' },
+  audio_prompt: { field: 'options', min: 2, max: 6, label: 'answers' },
+  match: { field: 'pairs', min: 2, max: 6, label: 'pairs' },
+  ordering: { field: 'items', min: 2, max: 8, label: 'items' },
+};
+
+const MAX_QUESTIONS = 100;
+
+export const DEFAULT_QUIZ_SETTINGS = {
+  passingScore: 70,
+  questionsPerAttempt: '',
+  shuffleQuestions: true,
+};
+
+let nextKey = 0;
+const createKey = () => {
+  nextKey += 1;
+  return `quiz-${nextKey}`;
+};
+
+const createCard = () => ({ key: createKey(), text: '', image: null });
+
+const createEntry = (kind) => {
+  if (kind === 'match') return { key: createKey(), left: createCard(), right: createCard() };
+  if (kind === 'ordering') return createCard();
+  return { ...createCard(), isCorrect: false };
+};
+
+/**
+ * New empty question of a kind
+ * @param {String} kind - Key of QUESTION_KINDS
+ * @returns {Object} Question form state
+ */
+export const createQuizQuestion = (kind = 'picture_choice') => {
+  const { field, min } = LIST_LIMITS[kind];
+  return {
+    key: createKey(),
+    kind,
+    prompt: '',
+    promptImage: null,
+    promptAudio: null,
+    points: 1,
+    options: [],
+    pairs: [],
+    items: [],
+    [field]: Array.from({ length: min }, () => createEntry(kind)),
+  };
+};
+
+/**
+ * Build form state from a quiz returned by the API
+ * @param {Object} quiz - Quiz with questions (admin view)
+ * @returns {Object} { settings, questions }
+ */
+export const quizToForm = (quiz) => {
+  const withKey = (entry) => ({ ...entry, key: entry._id || createKey() });
+  return {
+    settings: {
+      passingScore: quiz?.passingScore ?? DEFAULT_QUIZ_SETTINGS.passingScore,
+      questionsPerAttempt: quiz?.questionsPerAttempt || '',
+      shuffleQuestions: quiz?.shuffleQuestions ?? true,
+    },
+    questions: (quiz?.questions || []).map((question) => ({
+      ...withKey(question),
+      options: (question.options || []).map(withKey),
+      pairs: (question.pairs || []).map((pair) => ({
+        ...withKey(pair),
+        left: withKey(pair.left || {}),
+        right: withKey(pair.right || {}),
+      })),
+      items: (question.items || []).map(withKey),
+    })),
+  };
+};
+
+/**
+ * First problem that would make the server reject the questions
+ * @param {Array} questions - Question form state
+ * @returns {String|null} Message, or null when the quiz can be saved
+ */
+export const validateQuizQuestions = (questions) => {
+  if (questions.length === 0) return 'Please add at least one question.';
+
+  for (let index = 0; index < questions.length; index += 1) {
+    const question = questions[index];
+    const label = `Question ${index + 1}`;
+    const { field, min, label: listLabel } = LIST_LIMITS[question.kind];
+    const hasContent = (card) => Boolean(card?.text?.trim() || card?.image);
+
+    if (!question.prompt.trim() && !question.promptImage && !question.promptAudio) {
+      return `${label}: please add a prompt.`;
+    }
+    if (question.kind === 'audio_prompt' && !question.promptAudio) {
+      return `${label}: add the sound the child listens to.`;
+    }
+
+    let entries = question[field];
+    if (field === 'pairs') {
+      if (entries.some((pair) => hasContent(pair.left) !== hasContent(pair.right))) {
+        return `${label}: every pair needs two sides.`;
+      }
+      entries = entries.filter((pair) => hasContent(pair.left));
+    } else {
+      entries = entries.filter(hasContent);
+    }
+
+    if (entries.length < min) {
+      return `${label}: add at least ${min} ${listLabel}.`;
+    }
+    if (question.kind === 'picture_choice' && entries.some((option) => !option.image)) {
+      return `${label}: every answer needs a picture.`;
+    }
+    if (field === 'options' && !entries.some((option) => option.isCorrect)) {
+      return `${label}: mark the correct answer.`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Append quiz settings and questions to a content FormData
+ *
+ * Newly picked files are sent in fields named "upload:<n>" and the questions
+ * JSON refers to them by that name; media already saved keeps its path.
+ *
+ * @param {FormData} fd - Request body
+ * @param {Object} settings - { passingScore, questionsPerAttempt, shuffleQuestions }
+ * @param {Array} questions - Question form state
+ */
+export const appendQuizFields = (fd, settings, questions) => {
+  let uploadCount = 0;
+  const toMediaRef = (value) => {
+    if (value instanceof File) {
+      uploadCount += 1;
+      const field = `upload:${uploadCount}`;
+      fd.append(field, value);
+      return field;
+    }
+    return value || null;
+  };
+  const toCard = ({ _id, text, image }) => ({ _id, text, image: toMediaRef(image) });
+
+  const payload = questions.map((question) => ({
+    _id: question._id,
+    kind: question.kind,
+    prompt: question.prompt,
+    promptImage: toMediaRef(question.promptImage),
+    promptAudio: toMediaRef(question.promptAudio),
+    points: question.points,
+    options: question.options.map((option) => ({ ...toCard(option), isCorrect: option.isCorrect })),
+    pairs: question.pairs.map((pair) => ({ _id: pair._id, left: toCard(pair.left), right: toCard(pair.right) })),
+    items: question.items.map(toCard),
+  }));
+
+  fd.append('questions', JSON.stringify(payload));
+  fd.append('passingScore', settings.passingScore);
+  fd.append('questionsPerAttempt', settings.questionsPerAttempt || '');
+  fd.append('shuffleQuestions', settings.shuffleQuestions);
+};
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    borderRadius: '10px',
+    fontFamily: 'Quicksand, sans-serif',
+  },
+};
+
+// Object URL for a picked File, signed URL for a saved path
+const useMediaPreview = (value) => {
+  const isFile = value instanceof File;
+  const { url: savedUrl } = useMediaUrl(isFile ? null : value);
+  const [fileUrl, setFileUrl] = useState(null);
+
+  useEffect(() => {
+    if (!isFile) return undefined;
+    const url = URL.createObjectURL(value);
+    setFileUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [value, isFile]);
+
+  return isFile ? fileUrl : savedUrl;
+};
+
+/**
+ * Picture or sound of a question, answer or card
+ */
+const MediaPicker = ({ type, value, onChange, label }) => {
+  const theme = useTheme();
+  const previewUrl = useMediaPreview(value);
+  const isImage = type === 'image';
+
+  if (value) {
+    return (
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, minWidth: 0 }}>
+        {isImage ? (
+          previewUrl && (
+            <Box
+              component="img"
+              src={previewUrl}
+              alt={label}
+              sx={{ width: 48, height: 48, objectFit: 'cover', borderRadius: '8px', border: `1px solid ${theme.palette.border.main}` }}
+            />
+          )
+        ) : (
+          previewUrl && <audio src={previewUrl} controls style={{ height: 32, maxWidth: 220 }} />
+        )}
+        <Chip
+          size="small"
+          label={value instanceof File ? value.name : `Current ${isImage ? 'picture' : 'sound'}`}
+          onDelete={() => onChange(null)}
+          sx={{ fontFamily: 'Quicksand, sans-serif', maxWidth: 160 }}
+        />
+      </Box>
+    );
+  }
+
+  return (
+    <Button
+      component="label"
+      size="small"
+      variant="outlined"
+      startIcon={isImage ? <ImageIcon /> : <VolumeUpIcon />}
+      sx={{ borderRadius: '10px', fontFamily: 'Quicksand, sans-serif', textTransform: 'none', whiteSpace: 'nowrap' }}
+    >
+      {label}
+      <input
+        hidden
+        type="file"
+        accept={isImage ? 'image/*' : 'audio/*'}
+        onChange={(e) => {
+          const file = e.target.files?.[0];
+          if (file) onChange(file);
+          e.target.value = '';
+        }}
+      />
+    </Button>
+  );
+};
+
+/**
+ * Text and picture of one answer/card
+ */
+const CardFields = ({ card, onChange, textLabel }) => (
+  <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flex: 1, minWidth: 0, flexWrap: 'wrap' }}>
+    <TextField
+      size="small"
+      label={textLabel}
+      value={card.text || ''}
+      onChange={(e) => onChange({ ...card, text: e.target.value })}
+      inputProps={{ maxLength: 200 }}
+      sx={{ ...fieldSx, flex: 1, minWidth: 120 }}
+    />
+    <MediaPicker
+      type="image"
+      label="Picture"
+      value={card.image}
+      onChange={(image) => onChange({ ...card, image })}
+    />
+  </Box>
+);
+
+const moveInList = (list, index, offset) => {
+  const target = index + offset;
+  if (target < 0 || target >= list.length) return list;
+  const moved = [...list];
+  [moved[index], moved[target]] = [moved[target], moved[index]];
+  return moved;
+};
+
+/**
+ * One question of the quiz
+ */
+const QuestionEditor = ({ question, index, total, onChange, onRemove, onMove }) => {
+  const theme = useTheme();
+  const { field, max, label: listLabel } = LIST_LIMITS[question.kind];
+  const entries = question[field];
+
+  const updateEntry = (entryIndex, entry) => {
+    onChange({ ...question, [field]: entries.map((item, i) => (i === entryIndex ? entry : item)) });
+  };
+  const removeEntry = (entryIndex) => {
+    onChange({ ...question, [field]: entries.filter((_, i) => i !== entryIndex) });
+  };
+
+  const handleKindChange = (kind) => {
+    const fresh = createQuizQuestion(kind);
+    onChange({ ...fresh, key: question.key, _id: question._id, prompt: question.prompt, promptImage: question.promptImage, promptAudio: question.promptAudio, points: question.points });
+  };
+
+  return (
+    <Paper
+      variant="outlined"
+      sx={{ padding: 2, borderRadius: '12px', borderColor: theme.palette.border.main }}
+    >
+      <Stack spacing={2}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+          <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 700, marginRight: 1 }}>
+            Question {index + 1}
+          </Typography>
+          <FormControl size="small" sx={{ minWidth: 180 }}>
+            <InputLabel>Kind</InputLabel>
+            <Select
+              value={question.kind}
+              label="Kind"
+              onChange={(e) => handleKindChange(e.target.value)}
+              sx={{ borderRadius: '10px', fontFamily: 'Quicksand, sans-serif' }}
+            >
+              {Object.entries(QUESTION_KINDS).map(([kind, label]) => (
+                <MenuItem key={kind} value={kind}>{label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            size="small"
+            label="Points"
+            type="number"
+            value={question.points}
+            onChange={(e) => onChange({ ...question, points: Math.min(Math.max(parseInt(e.target.value, 10) || 1, 1), 10) })}
+            inputProps={{ min: 1, max: 10 }}
+            sx={{ ...fieldSx, width: 90 }}
+          />
+          <Box sx={{ flex: 1 }} />
+          <IconButton size="small" disabled={index === 0} onClick={() => onMove(-1)} aria-label="Move question up">
+            <ArrowUpwardIcon fontSize="small" />
+          </IconButton>
+          <IconButton size="small" disabled={index === total - 1} onClick={() => onMove(1)} aria-label="Move question down">
+            <ArrowDownwardIcon fontSize="small" />
+          </IconButton>
+          <IconButton size="small" onClick={onRemove} aria-label={`Remove question ${index + 1}`}>
+            <DeleteOutline fontSize="small" />
+          </IconButton>
+        </Box>
+
+        <TextField
+          size="small"
+          label={question.kind === 'audio_prompt' ? 'Prompt (optional)' : 'Prompt'}
+          placeholder={question.kind === 'match' ? 'Match the animal to its baby' : 'Which one is the cat?'}
+          value={question.prompt}
+          onChange={(e) => onChange({ ...question, prompt: e.target.value })}
+          inputProps={{ maxLength: 500 }}
+          fullWidth
+          sx={fieldSx}
+        />
+
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+          <MediaPicker
+            type="image"
+            label="Prompt picture"
+            value={question.promptImage}
+            onChange={(promptImage) => onChange({ ...question, promptImage })}
+          />
+          <MediaPicker
+            type="audio"
+            label={question.kind === 'audio_prompt' ? 'Sound to listen to' : 'Prompt sound'}
+            value={question.promptAudio}
+            onChange={(promptAudio) => onChange({ ...question, promptAudio })}
+          />
+        </Box>
+
+        <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontSize: '0.8125rem', color: theme.palette.text.secondary }}>
+          {field === 'options' && 'Answers - tick the correct one(s)'}
+          {field === 'pairs' && 'Pairs - the child taps a left card, then its partner; the right side is shuffled'}
+          {field === 'items' && 'Items in the correct order - the child sees them shuffled'}
+        </Typography>
+
+        <Stack spacing={1}>
+          {entries.map((entry, entryIndex) => (
+            <Box key={entry.key} sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+              {field === 'options' && (
+                <>
+                  <Tooltip title="Correct answer">
+                    <Checkbox
+                      checked={Boolean(entry.isCorrect)}
+                      onChange={(e) => updateEntry(entryIndex, { ...entry, isCorrect: e.target.checked })}
+                      inputProps={{ 'aria-label': `Answer ${entryIndex + 1} is correct` }}
+                    />
+                  </Tooltip>
+                  <CardFields
+                    card={entry}
+                    textLabel={`Answer ${entryIndex + 1}`}
+                    onChange={(card) => updateEntry(entryIndex, card)}
+                  />
+                </>
+              )}
+              {field === 'pairs' && (
+                <>
+                  <CardFields
+                    card={entry.left}
+                    textLabel="Left"
+                    onChange={(left) => updateEntry(entryIndex, { ...entry, left })}
+                  />
+                  <CardFields
+                    card={entry.right}
+                    textLabel="Right"
+                    onChange={(right) => updateEntry(entryIndex, { ...entry, right })}
+                  />
+                </>
+              )}
+              {field === 'items' && (
+                <>
+                  <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 700, width: 20 }}>
+                    {entryIndex + 1}.
+                  </Typography>
+                  <CardFields
+                    card={entry}
+                    textLabel={`Item ${entryIndex + 1}`}
+                    onChange={(card) => updateEntry(entryIndex, card)}
+                  />
+                  <IconButton
+                    size="small"
+                    disabled={entryIndex === 0}
+                    onClick={() => onChange({ ...question, items: moveInList(entries, entryIndex, -1) })}
+                    aria-label="Move item up"
+                  >
+                    <ArrowUpwardIcon fontSize="small" />
+                  </IconButton>
+                </>
+              )}
+              <IconButton size="small" onClick={() => removeEntry(entryIndex)} aria-label={`Remove ${listLabel.slice(0, -1)}`}>
+                <DeleteOutline fontSize="small" />
+              </IconButton>
+            </Box>
+          ))}
+        </Stack>
+
+        <Box>
+          <Button
+            size="small"
+            startIcon={<AddIcon />}
+            disabled={entries.length >= max}
+            onClick={() => onChange({ ...question, [field]: [...entries, createEntry(question.kind)] })}
+            sx={{ fontFamily: 'Quicksand, sans-serif', textTransform: 'none', fontWeight: 600 }}
+          >
+            Add {listLabel.slice(0, -1)}
+          </Button>
+        </Box>
+      </Stack>
+    </Paper>
+  );
+};
+
+/**
+ * QuizQuestionsEditor Component
+ *
+ * Builds a quiz's question bank: picture choice, listen-and-choose, tap-to-match
+ * and ordering questions with optional pictures and sounds, plus the scoring
+ * settings. Picked files stay in the form state until appendQuizFields sends them.
+ *
+ * @param {Object} settings - { passingScore, questionsPerAttempt, shuffleQuestions }
+ * @param {Function} onSettingsChange - Called with the new settings
+ * @param {Array} questions - Question form state (see createQuizQuestion)
+ * @param {Function} onChange - Called with the new questions
+ */
+const QuizQuestionsEditor = ({ settings, onSettingsChange, questions, onChange }) => {
+  const theme = useTheme();
+  const [newKind, setNewKind] = useState('picture_choice');
+
+  const updateQuestion = (index, question) => {
+    onChange(questions.map((item, i) => (i === index ? question : item)));
+  };
+
+  return (
+    <Stack spacing={2}>
+      <Typography variant="subtitle2" sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600 }}>
+        Scoring
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+        <TextField
+          label="Passing Score (%)"
+          type="number"
+          value={settings.passingScore}
+          onChange={(e) => onSettingsChange({ ...settings, passingScore: Math.min(Math.max(parseInt(e.target.value, 10) || 0, 0), 100) })}
+          inputProps={{ min: 0, max: 100 }}
+          sx={{ ...fieldSx, width: 170 }}
+        />
+        <TextField
+          label="Questions per Attempt"
+          type="number"
+          value={settings.questionsPerAttempt}
+          onChange={(e) => onSettingsChange({ ...settings, questionsPerAttempt: e.target.value === '' ? '' : Math.max(parseInt(e.target.value, 10) || 1, 1) })}
+          inputProps={{ min: 1 }}
+          helperText="Empty = all questions"
+          sx={{ ...fieldSx, width: 200 }}
+        />
+        <FormControlLabel
+          control={
+            <Switch
+              checked={settings.shuffleQuestions}
+              onChange={(e) => onSettingsChange({ ...settings, shuffleQuestions: e.target.checked })}
+            />
+          }
+          label="Shuffle questions"
+          sx={{ '& .MuiFormControlLabel-label': { fontFamily: 'Quicksand, sans-serif' } }}
+        />
+      </Box>
+
+      <Typography variant="subtitle2" sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600 }}>
+        Questions ({questions.length})
+      </Typography>
+      {questions.length === 0 && (
+        <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontSize: '0.875rem', color: theme.palette.text.secondary }}>
+          No questions yet. Pick a kind below and add the first one.
+        </Typography>
+      )}
+
+      {questions.map((question, index) => (
+        <QuestionEditor
+          key={question.key}
+          question={question}
+          index={index}
+          total={questions.length}
+          onChange={(updated) => updateQuestion(index, updated)}
+          onRemove={() => onChange(questions.filter((_, i) => i !== index))}
+          onMove={(offset) => onChange(moveInList(questions, index, offset))}
+        />
+      ))}
+
+      <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+        <FormControl size="small" sx={{ minWidth: 200 }}>
+          <InputLabel>New question</InputLabel>
+          <Select
+            value={newKind}
+            label="New question"
+            onChange={(e) => setNewKind(e.target.value)}
+            sx={{ borderRadius: '10px', fontFamily: 'Quicksand, sans-serif' }}
+          >
+            {Object.entries(QUESTION_KINDS).map(([kind, label]) => (
+              <MenuItem key={kind} value={kind}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button
+          startIcon={<AddIcon />}
+          disabled={questions.length >= MAX_QUESTIONS}
+          onClick={() => onChange([...questions, createQuizQuestion(newKind)])}
+          sx={{ fontFamily: 'Quicksand, sans-serif', textTransform: 'none', fontWeight: 600 }}
+        >
+          Add question
+        </Button>
+      </Box>
+    </Stack>
+  );
+};
+
+export default QuizQuestionsEditor;
@@ -0,0 +1,160 @@
+import React from 'react';
+import {
+  TextField,
+  Stack,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Typography,
+} from '@mui/material';
+
+export const DEFAULT_SCORM_SETTINGS = {
+  completionRule: {
+    type: 'status',
+    minScore: 80,
+    minTimeSeconds: 60,
+    targetLocation: '',
+  },
+  slideCount: '',
+};
+
+/**
+ * Build form state from a content item's scormSettings
+ * @param {Object} scormSettings - scormSettings from the API
+ * @returns {Object} Form state ({ completionRule, slideCount })
+ */
+export const scormSettingsToForm = (scormSettings) => ({
+  completionRule: {
+    ...DEFAULT_SCORM_SETTINGS.completionRule,
+    ...(scormSettings?.completionRule || {}),
+  },
+  // Only manual counts are editable - detected counts are shown as helper text
+  slideCount: scormSettings?.slideCountSource === 'manual' ? scormSettings.slideCount : '',
+});
+
+/**
+ * Append completion rule and slide count to a content FormData
+ * @param {FormData} fd - Request body
+ * @param {Object} settings - Form state ({ completionRule, slideCount })
+ */
+export const appendScormSettings = (fd, settings) => {
+  fd.append('completionRule', JSON.stringify(settings.completionRule));
+  fd.append('slideCount', settings.slideCount || '');
+};
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    borderRadius: '10px',
+    fontFamily: 'Quicksand, sans-serif',
+  },
+};
+
+const SOURCE_LABELS = {
+  manifest: 'detected from the manifest',
+  story: 'detected from the story data',
+  manual: 'set manually',
+};
+
+/**
+ * ScormCompletionSettings Component
+ *
+ * Completion rule and slide count fields for SCORM content.
+ * The server uses the slide count to compute progress from the lesson location
+ * and the rule to decide when the content item is completed.
+ *
+ * @param {Object} value - { completionRule: { type, minScore, minTimeSeconds, targetLocation }, slideCount }
+ * @param {Function} onChange - Called with the new value
+ * @param {Object} detected - Current scormSettings of the content (edit modals), for the detected slide count
+ */
+const ScormCompletionSettings = ({ value, onChange, detected = null }) => {
+  const { completionRule, slideCount } = value;
+
+  const handleRuleChange = (field, fieldValue) => {
+    onChange({ ...value, completionRule: { ...completionRule, [field]: fieldValue } });
+  };
+
+  const slideCountHelper = detected?.slideCount && detected.slideCountSource !== 'manual'
+    ? `${detected.slideCount} slides ${SOURCE_LABELS[detected.slideCountSource] || 'detected'}. Leave empty to keep it.`
+    : 'Leave empty to detect from the SCORM package.';
+
+  return (
+    <Stack spacing={2}>
+      <Typography
+        variant="subtitle2"
+        sx={{
+          fontFamily: 'Quicksand, sans-serif',
+          fontWeight: 600,
+        }}
+      >
+        SCORM Completion
+      </Typography>
+
+      <FormControl fullWidth>
+        <InputLabel>Completion Rule</InputLabel>
+        <Select
+          value={completionRule.type}
+          label="Completion Rule"
+          onChange={(e) => handleRuleChange('type', e.target.value)}
+          sx={{
+            borderRadius: '10px',
+            fontFamily: 'Quicksand, sans-serif',
+          }}
+        >
+          <MenuItem value="status">SCORM status (completed / passed)</MenuItem>
+          <MenuItem value="score">Score threshold</MenuItem>
+          <MenuItem value="time">Time spent</MenuItem>
+          <MenuItem value="location">Location reached</MenuItem>
+        </Select>
+      </FormControl>
+
+      {completionRule.type === 'score' && (
+        <TextField
+          label="Minimum Score (%)"
+          type="number"
+          value={completionRule.minScore}
+          onChange={(e) => handleRuleChange('minScore', parseInt(e.target.value) || 0)}
+          inputProps={{ min: 0, max: 100 }}
+          fullWidth
+          sx={fieldSx}
+        />
+      )}
+
+      {completionRule.type === 'time' && (
+        <TextField
+          label="Minimum Time (seconds)"
+          type="number"
+          value={completionRule.minTimeSeconds}
+          onChange={(e) => handleRuleChange('minTimeSeconds', parseInt(e.target.value) || 0)}
+          inputProps={{ min: 0 }}
+          fullWidth
+          sx={fieldSx}
+        />
+      )}
+
+      {completionRule.type === 'location' && (
+        <TextField
+          label="Target Location"
+          value={completionRule.targetLocation}
+          onChange={(e) => handleRuleChange('targetLocation', e.target.value)}
+          helperText="Lesson location to reach. Leave empty for the last slide."
+          fullWidth
+          sx={fieldSx}
+        />
+      )}
+
+      <TextField
+        label="Slide Count (Optional)"
+        type="number"
+        value={slideCount}
+        onChange={(e) => onChange({ ...value, slideCount: e.target.value ? parseInt(e.target.value) || '' : '' })}
+        inputProps={{ min: 1 }}
+        helperText={slideCountHelper}
+        fullWidth
+        sx={fieldSx}
+      />
+    </Stack>
+  );
+};
+
+export default ScormCompletionSettings;
@@ -0,0 +1,97 @@
+import React from 'react';
+import { Alert, AlertTitle, Box, CircularProgress, Typography } from '@mui/material';
+
+const formatSize = (bytes) => {
+  if (!bytes) return '0 KB';
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+const renderProblem = (problem, index) => (
+  <Typography
+    key={`${problem.code}-${index}`}
+    component="li"
+    variant="body2"
+    sx={{ fontFamily: 'Quicksand, sans-serif' }}
+  >
+    {problem.message}
+    {problem.entry && (
+      <Box component="span" sx={{ fontFamily: 'monospace', marginLeft: 0.5 }}>
+        ({problem.entry})
+      </Box>
+    )}
+  </Typography>
+);
+
+/**
+ * ScormValidationReport Component
+ *
+ * Shows the result of POST /api/scorm/validate for the selected SCORM file:
+ * errors block creation, warnings are informational.
+ *
+ * @param {Boolean} checking - Validation request in flight
+ * @param {Object} report - Validation report from the API
+ * @param {String} error - Request error message
+ * @param {String} label - Package format shown in messages (default: SCORM; cmi5 imports use 'cmi5')
+ */
+const ScormValidationReport = ({ checking = false, report = null, error = null, label = 'SCORM' }) => {
+  if (checking) {
+    return (
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <CircularProgress size={18} />
+        <Typography variant="body2" sx={{ fontFamily: 'Quicksand, sans-serif' }}>
+          Checking {label} package...
+        </Typography>
+      </Box>
+    );
+  }
+
+  if (error) {
+    return (
+      <Alert severity="error" sx={{ fontFamily: 'Quicksand, sans-serif' }}>
+        {error}
+      </Alert>
+    );
+  }
+
+  if (!report) {
+    return null;
+  }
+
+  const details = [
+    report.scormVersion && `SCORM ${report.scormVersion}`,
+    report.title,
+    report.auCount && `${report.auCount} ${report.auCount === 1 ? 'AU' : 'AUs'}`,
+    `${report.fileCount} files`,
+    formatSize(report.totalSize),
+    report.slideCount && `${report.slideCount} slides`,
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <Alert
+      severity={report.valid ? (report.warnings.length > 0 ? 'warning' : 'success') : 'error'}
+      sx={{ fontFamily: 'Quicksand, sans-serif' }}
+    >
+      <AlertTitle sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600 }}>
+        {report.valid ? `${label} package is valid` : `${label} package was rejected`}
+      </AlertTitle>
+      {report.valid && (
+        <Typography variant="body2" sx={{ fontFamily: 'Quicksand, sans-serif' }}>
+          {details}
+        </Typography>
+      )}
+      {report.errors.length > 0 && (
+        <Box component="ul" sx={{ margin: 0, paddingLeft: 2.5 }}>
+          {report.errors.map(renderProblem)}
+        </Box>
+      )}
+      {report.warnings.length > 0 && (
+        <Box component="ul" sx={{ margin: 0, paddingLeft: 2.5 }}>
+          {report.warnings.map(renderProblem)}
+        </Box>
+      )}
+    </Alert>
+  );
+};
+
+export default ScormValidationReport;
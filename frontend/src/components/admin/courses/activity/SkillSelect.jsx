@@ -0,0 +1,102 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Autocomplete, TextField, Chip } from '@mui/material';
+import skillService from '../../../../services/skillService';
+
+/**
+ * Skill IDs of a content item from the API (plain IDs or populated skills)
+ * @param {Array} skills - skills from the API
+ * @returns {Array<String>} Skill IDs
+ */
+export const skillIdsFromContent = (skills) =>
+  (skills || []).map((skill) => String(skill?._id || skill));
+
+/**
+ * Append the selected skills to a content FormData
+ * @param {FormData} fd - Request body
+ * @param {Array<String>} skillIds - Selected skill IDs
+ */
+export const appendSkills = (fd, skillIds) => {
+  fd.append('skills', JSON.stringify(skillIds || []));
+};
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    borderRadius: '10px',
+    fontFamily: 'Quicksand, sans-serif',
+  },
+};
+
+/**
+ * SkillSelect Component
+ *
+ * Multi-select of the skills a content item practises, labelled with the
+ * skill's full path ("Phonics › Letter sounds"). Outcomes of the content
+ * count towards the child's mastery of these skills.
+ *
+ * @param {Array<String>} value - Selected skill IDs
+ * @param {Function} onChange - Called with the new skill IDs
+ */
+const SkillSelect = ({ value = [], onChange }) => {
+  const [skills, setSkills] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    skillService
+      .getAllSkills()
+      .then((response) => {
+        if (!cancelled) setSkills(response.data || []);
+      })
+      .catch((error) => {
+        console.error('Error fetching skills:', error);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Tagged skills that are now inactive are kept (shown by ID) until removed
+  const selected = useMemo(
+    () => value.map((id) => skills.find((skill) => skill._id === id) || { _id: id, path: 'Inactive skill' }),
+    [value, skills]
+  );
+
+  return (
+    <Autocomplete
+      multiple
+      options={skills}
+      value={selected}
+      loading={loading}
+      onChange={(e, newValue) => onChange(newValue.map((skill) => skill._id))}
+      getOptionLabel={(option) => option.path || option.name || ''}
+      isOptionEqualToValue={(option, selectedOption) => option._id === selectedOption._id}
+      filterSelectedOptions
+      renderTags={(tagValue, getTagProps) =>
+        tagValue.map((option, index) => (
+          <Chip
+            {...getTagProps({ index })}
+            key={option._id}
+            size="small"
+            label={`${option.icon ? `${option.icon} ` : ''}${option.path || option.name}`}
+            sx={{ fontFamily: 'Quicksand, sans-serif' }}
+          />
+        ))
+      }
+      renderInput={(params) => (
+        <TextField
+          {...params}
+          label="Skills (optional)"
+          placeholder={selected.length === 0 ? 'Skills this content practises' : ''}
+          helperText="Children's results on this content count towards their mastery of these skills."
+          sx={fieldSx}
+        />
+      )}
+    />
+  );
+};
+
+export default SkillSelect;
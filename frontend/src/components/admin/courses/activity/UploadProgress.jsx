@@ -0,0 +1,84 @@
+import React from 'react';
+import { Alert, Box, LinearProgress, Stack, Typography } from '@mui/material';
+
+const FIELD_LABELS = {
+  scormFile: 'SCORM package',
+  videoFile: 'Video',
+};
+
+const formatSize = (bytes) => {
+  if (!bytes) return '0 KB';
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+const getStatusText = (upload) => {
+  switch (upload.status) {
+    case 'retrying':
+      return 'Connection lost, resuming...';
+    case 'done':
+      return 'Uploaded';
+    case 'error':
+      return 'Upload failed';
+    default:
+      return `${formatSize(upload.loaded)} of ${formatSize(upload.total)}`;
+  }
+};
+
+/**
+ * UploadProgress Component
+ *
+ * Progress of the large files a content form is sending through resumable
+ * uploads (see useResumableUpload), one bar per file.
+ *
+ * @param {Object} uploads - Upload state by form field from useResumableUpload
+ */
+const UploadProgress = ({ uploads = {} }) => {
+  const entries = Object.entries(uploads);
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const failed = entries.find(([, upload]) => upload.status === 'error');
+
+  return (
+    <Stack spacing={1.5}>
+      {entries.map(([field, upload]) => {
+        const percent = upload.total ? Math.round((upload.loaded / upload.total) * 100) : 0;
+        return (
+          <Box key={field}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', gap: 2, marginBottom: 0.5 }}>
+              <Typography
+                variant="body2"
+                noWrap
+                sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600 }}
+              >
+                {FIELD_LABELS[field] || field}: {upload.fileName}
+              </Typography>
+              <Typography
+                variant="body2"
+                color={upload.status === 'error' ? 'error' : 'text.secondary'}
+                sx={{ fontFamily: 'Quicksand, sans-serif', whiteSpace: 'nowrap' }}
+              >
+                {getStatusText(upload)} · {percent}%
+              </Typography>
+            </Box>
+            <LinearProgress
+              variant="determinate"
+              value={percent}
+              color={upload.status === 'error' ? 'error' : upload.status === 'done' ? 'success' : 'primary'}
+              sx={{ height: 8, borderRadius: 4 }}
+            />
+          </Box>
+        );
+      })}
+      {failed && (
+        <Alert severity="error" sx={{ fontFamily: 'Quicksand, sans-serif' }}>
+          {failed[1].error || 'Upload failed'}. Click Create again to resume from where it stopped.
+        </Alert>
+      )}
+    </Stack>
+  );
+};
+
+export default UploadProgress;
@@ -20,6 +20,8 @@ import { useTheme } from '@mui/material/styles';
 import { Close as CloseIcon, CloudUpload as CloudUploadIcon } from '@mui/icons-material';
 import useContent from '../../../../hooks/contentHook';
 import { CONTENT_TYPES } from '../../../../services/contentService';
+import SkillSelect, { skillIdsFromContent, appendSkills } from './SkillSelect';
+import ScormCompletionSettings, { DEFAULT_SCORM_SETTINGS, scormSettingsToForm, appendScormSettings } from './ScormCompletionSettings';
 
 /**
  * VideoEditModal Component
@@ -49,6 +51,10 @@ const VideoEditModal = ({ open, onClose, videoId, onSuccess }) => {
   const [selectedCoverImage, setSelectedCoverImage] = useState(null);
   const [currentCoverImage, setCurrentCoverImage] = useState(null);
   const [imagePreviewUrl, setImagePreviewUrl] = useState(null);
+  const [scormSettings, setScormSettings] = useState(DEFAULT_SCORM_SETTINGS);
+  // Completion settings only apply when the item has a SCORM package
+  const hasScormFile = Boolean(currentContent?.scormFile);
+  const [skillIds, setSkillIds] = useState([]);
   const [isInitialized, setIsInitialized] = useState(false);
   const isFetchingRef = useRef(false);
   const lastFetchedIdRef = useRef(null);
@@ -92,6 +98,8 @@ const VideoEditModal = ({ open, onClose, videoId, onSuccess }) => {
       // Videos use 'thumbnail' field, but we map it to 'coverImage' in the slice
       setCurrentCoverImage(currentContent.coverImage || currentContent.thumbnail);
       setSelectedCoverImage(null);
+      setScormSettings(scormSettingsToForm(currentContent.scormSettings));
+      setSkillIds(skillIdsFromContent(currentContent.skills));
       setIsInitialized(true);
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -129,11 +137,16 @@ const VideoEditModal = ({ open, onClose, videoId, onSuccess }) => {
       }
       formDataToSend.append('starsAwarded', formData.starsAwarded);
       formDataToSend.append('isPublished', formData.isPublished);
+      appendSkills(formDataToSend, skillIds);
 
       if (selectedCoverImage) {
         formDataToSend.append('coverImage', selectedCoverImage);
       }
 
+      if (hasScormFile) {
+        appendScormSettings(formDataToSend, scormSettings);
+      }
+
       await updateContentData(CONTENT_TYPES.VIDEO, videoId, formDataToSend);
       
       if (onSuccess) {
@@ -155,6 +168,7 @@ const VideoEditModal = ({ open, onClose, videoId, onSuccess }) => {
     });
     setSelectedCoverImage(null);
     setCurrentCoverImage(null);
+    setScormSettings(DEFAULT_SCORM_SETTINGS);
     setIsInitialized(false);
     isFetchingRef.current = false;
     if (imagePreviewUrl) {
@@ -332,6 +346,18 @@ const VideoEditModal = ({ open, onClose, videoId, onSuccess }) => {
             )}
           </Box>
 
+          {/* SCORM completion rule + slide count */}
+          {hasScormFile && (
+            <ScormCompletionSettings
+              value={scormSettings}
+              onChange={setScormSettings}
+              detected={currentContent?.scormSettings}
+            />
+          )}
+
+          {/* Skills practised */}
+          <SkillSelect value={skillIds} onChange={setSkillIds} />
+
           {/* Published Toggle */}
           <FormControl fullWidth>
             <InputLabel>Status</InputLabel>
@@ -0,0 +1,234 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Stack,
+  Typography,
+  IconButton,
+  Alert,
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { Close as CloseIcon, CloudUpload as CloudUploadIcon } from '@mui/icons-material';
+import { importCmi5Package } from '../../../../services/cmi5Service';
+import ScormValidationReport from '../activity/ScormValidationReport';
+
+/**
+ * Cmi5ImportModal Component
+ *
+ * Imports a cmi5 package (ZIP with cmi5.xml) into a course.
+ * Every AU of the package is added to the course as a 'cmi5' content item;
+ * the step defaults to a new step after the course's last one.
+ */
+const Cmi5ImportModal = ({ open, course, onClose, onSuccess }) => {
+  const theme = useTheme();
+  const [file, setFile] = useState(null);
+  const [step, setStep] = useState('');
+  const [starsAwarded, setStarsAwarded] = useState(15);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [validationReport, setValidationReport] = useState(null);
+
+  const resetForm = () => {
+    setFile(null);
+    setStep('');
+    setStarsAwarded(15);
+    setError(null);
+    setValidationReport(null);
+  };
+
+  const handleClose = () => {
+    if (loading) return;
+    resetForm();
+    onClose();
+  };
+
+  const handleFileChange = (e) => {
+    if (e.target.files && e.target.files.length > 0) {
+      setFile(e.target.files[0]);
+      setError(null);
+      setValidationReport(null);
+    }
+  };
+
+  const handleSubmit = async () => {
+    if (!file || !course?._id) return;
+
+    setLoading(true);
+    setError(null);
+    setValidationReport(null);
+    try {
+      const response = await importCmi5Package(course._id, file, {
+        step: step ? parseInt(step, 10) : undefined,
+        starsAwarded,
+      });
+      resetForm();
+      if (onSuccess) {
+        onSuccess(response.data);
+      }
+    } catch (err) {
+      setError(err.message);
+      setValidationReport(err.validationReport || null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={handleClose}
+      maxWidth="sm"
+      fullWidth
+      PaperProps={{
+        sx: {
+          borderRadius: '16px',
+          fontFamily: 'Quicksand, sans-serif',
+        },
+      }}
+    >
+      <DialogTitle
+        sx={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          padding: 3,
+          borderBottom: `1px solid ${theme.palette.border.main}`,
+        }}
+      >
+        <Typography
+          variant="h5"
+          sx={{
+            fontFamily: 'Quicksand, sans-serif',
+            fontWeight: 700,
+          }}
+        >
+          Import cmi5 Package
+        </Typography>
+        <IconButton onClick={handleClose} size="small">
+          <CloseIcon />
+        </IconButton>
+      </DialogTitle>
+
+      <DialogContent sx={{ padding: 3 }}>
+        <Stack spacing={3} sx={{ marginTop: '20px' }}>
+          <Typography
+            variant="body2"
+            sx={{
+              fontFamily: 'Quicksand, sans-serif',
+              color: theme.palette.text.secondary,
+            }}
+          >
+            Every AU in the package is added to "{course?.title}" as a lesson. Children complete an
+            AU when it reports the result its moveOn rule requires (completed, passed, ...).
+          </Typography>
+
+          <input
+            accept=".zip,application/zip"
+            style={{ display: 'none' }}
+            id="cmi5-package-upload"
+            type="file"
+            onChange={handleFileChange}
+          />
+          <label htmlFor="cmi5-package-upload">
+            <Button
+              variant="outlined"
+              component="span"
+              startIcon={<CloudUploadIcon />}
+              fullWidth
+              sx={{
+                borderRadius: '10px',
+                fontFamily: 'Quicksand, sans-serif',
+              }}
+            >
+              {file ? file.name : 'Choose cmi5 ZIP'}
+            </Button>
+          </label>
+
+          <Stack direction="row" spacing={2}>
+            <TextField
+              label="Step (optional)"
+              type="number"
+              value={step}
+              onChange={(e) => setStep(e.target.value)}
+              inputProps={{ min: 1 }}
+              helperText="Leave empty to add a new step"
+              fullWidth
+              sx={{
+                '& .MuiOutlinedInput-root': {
+                  borderRadius: '10px',
+                  fontFamily: 'Quicksand, sans-serif',
+                },
+              }}
+            />
+            <TextField
+              label="Stars per AU"
+              type="number"
+              value={starsAwarded}
+              onChange={(e) => setStarsAwarded(e.target.value)}
+              inputProps={{ min: 0 }}
+              fullWidth
+              sx={{
+                '& .MuiOutlinedInput-root': {
+                  borderRadius: '10px',
+                  fontFamily: 'Quicksand, sans-serif',
+                },
+              }}
+            />
+          </Stack>
+
+          {validationReport ? (
+            <ScormValidationReport report={validationReport} label="cmi5" />
+          ) : (
+            error && (
+              <Alert severity="error" sx={{ fontFamily: 'Quicksand, sans-serif' }}>
+                {error}
+              </Alert>
+            )
+          )}
+        </Stack>
+      </DialogContent>
+
+      <DialogActions
+        sx={{
+          padding: 3,
+          borderTop: `1px solid ${theme.palette.border.main}`,
+        }}
+      >
+        <Button
+          onClick={handleClose}
+          disabled={loading}
+          sx={{
+            fontFamily: 'Quicksand, sans-serif',
+            fontWeight: 600,
+            borderRadius: '10px',
+          }}
+        >
+          Cancel
+        </Button>
+        <Button
+          onClick={handleSubmit}
+          variant="contained"
+          disabled={loading || !file}
+          sx={{
+            backgroundColor: theme.palette.orange.main,
+            color: theme.palette.textCustom.inverse,
+            fontFamily: 'Quicksand, sans-serif',
+            fontWeight: 600,
+            borderRadius: '10px',
+            '&:hover': {
+              backgroundColor: theme.palette.orange.dark,
+            },
+          }}
+        >
+          {loading ? 'Importing...' : 'Import'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default Cmi5ImportModal;
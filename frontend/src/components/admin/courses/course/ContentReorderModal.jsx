@@ -162,6 +162,7 @@ const ContentTypeSection = ({ contentType, items, activeId }) => {
       'video': '🎬 Videos',
       'audioAssignment': '🎵 Audio Assignments',
       'chant': '🎵 Chants',
+      'quiz': '🧩 Quizzes',
     };
     return labels[type] || type;
   };
@@ -173,6 +174,7 @@ const ContentTypeSection = ({ contentType, items, activeId }) => {
       'video': '🎬',
       'audioAssignment': '🎵',
       'chant': '🎵',
+      'quiz': '🧩',
     };
     return icons[type] || '📄';
   };
@@ -277,6 +279,7 @@ const ContentReorderModal = ({ open, onClose, contents: initialContents = [], on
       video: [],
       audioAssignment: [],
       chant: [],
+      quiz: [],
     };
 
     contentsList.forEach((item) => {
@@ -491,7 +494,7 @@ const ContentReorderModal = ({ open, onClose, contents: initialContents = [], on
     try {
       // Group by type and save each type separately
       const grouped = groupContentsByType(contents);
-      const typeOrder = ['activity', 'book', 'video', 'audioAssignment', 'chant'];
+      const typeOrder = ['activity', 'book', 'video', 'audioAssignment', 'chant', 'quiz'];
 
       // If courseId exists and we're in edit mode, call API for each type
       if (courseId) {
@@ -527,7 +530,7 @@ const ContentReorderModal = ({ open, onClose, contents: initialContents = [], on
   };
 
   const groupedContents = groupContentsByType(contents);
-  const typeOrder = ['activity', 'book', 'video', 'audioAssignment', 'chant'];
+  const typeOrder = ['activity', 'book', 'video', 'audioAssignment', 'chant', 'quiz'];
   const nonEmptyTypes = typeOrder.filter((type) => groupedContents[type].length > 0);
 
   return (
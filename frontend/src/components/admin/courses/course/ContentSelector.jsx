@@ -50,6 +50,7 @@ const ContentSelector = ({ selectedContents = [], onSelectionChange, onCreateCon
       'video': CONTENT_TYPES.VIDEO,
       'audioAssignment': CONTENT_TYPES.AUDIO_ASSIGNMENT,
       'chant': CONTENT_TYPES.CHANT,
+      'quiz': CONTENT_TYPES.QUIZ,
     };
     return mapping[backendType] || backendType;
   };
@@ -123,6 +124,7 @@ const ContentSelector = ({ selectedContents = [], onSelectionChange, onCreateCon
       [CONTENT_TYPES.VIDEO]: 'video',
       [CONTENT_TYPES.AUDIO_ASSIGNMENT]: 'audioAssignment',
       [CONTENT_TYPES.CHANT]: 'chant',
+      [CONTENT_TYPES.QUIZ]: 'quiz',
     };
     return mapping[frontendType] || frontendType;
   };
@@ -231,6 +233,7 @@ const ContentSelector = ({ selectedContents = [], onSelectionChange, onCreateCon
       [CONTENT_TYPES.VIDEO]: 'Video',
       [CONTENT_TYPES.AUDIO_ASSIGNMENT]: 'Audio Assignment',
       [CONTENT_TYPES.CHANT]: 'Chant',
+      [CONTENT_TYPES.QUIZ]: 'Quiz',
     };
     return labels[type] || type;
   };
@@ -277,6 +280,7 @@ const ContentSelector = ({ selectedContents = [], onSelectionChange, onCreateCon
             <MenuItem value={CONTENT_TYPES.VIDEO}>Videos</MenuItem>
             <MenuItem value={CONTENT_TYPES.AUDIO_ASSIGNMENT}>Audio Assignments</MenuItem>
             <MenuItem value={CONTENT_TYPES.CHANT}>Chants</MenuItem>
+            <MenuItem value={CONTENT_TYPES.QUIZ}>Quizzes</MenuItem>
           </Select>
         </FormControl>
 
@@ -15,6 +15,7 @@ import {
   Archive as ArchiveIcon,
   Restore as RestoreIcon,
   MoreVert as MoreVertIcon,
+  UploadFile as UploadFileIcon,
 } from '@mui/icons-material';
 import useCourse from '../../../../hooks/courseHook';
 
@@ -24,7 +25,7 @@ import useCourse from '../../../../hooks/courseHook';
  * Displays a single course/content collection card
  * Shows cover image, title, description, tags, content count, and status
  */
-const CourseCard = ({ course, onEdit, onArchive, onView }) => {
+const CourseCard = ({ course, onEdit, onArchive, onView, onImportCmi5 }) => {
   const theme = useTheme();
   const { getCoverImageUrl } = useCourse();
   const [anchorEl, setAnchorEl] = useState(null);
@@ -50,6 +51,13 @@ const CourseCard = ({ course, onEdit, onArchive, onView }) => {
     }
   };
 
+  const handleImportCmi5 = () => {
+    handleMenuClose();
+    if (onImportCmi5) {
+      onImportCmi5(course);
+    }
+  };
+
   const handleArchive = () => {
     handleMenuClose();
     if (onArchive) {
@@ -360,6 +368,17 @@ const CourseCard = ({ course, onEdit, onArchive, onView }) => {
           <EditIcon sx={{ marginRight: 1, fontSize: 20 }} />
           Edit
         </MenuItem>
+        {onImportCmi5 && !isArchived && (
+          <MenuItem
+            onClick={handleImportCmi5}
+            sx={{
+              fontFamily: 'Quicksand, sans-serif',
+            }}
+          >
+            <UploadFileIcon sx={{ marginRight: 1, fontSize: 20 }} />
+            Import cmi5
+          </MenuItem>
+        )}
         {isArchived ? (
           <MenuItem
             onClick={handleArchive}
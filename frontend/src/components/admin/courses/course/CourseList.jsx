@@ -7,6 +7,7 @@ import CourseHeader from './CourseHeader';
 import CoursePagination from './CoursePagination';
 import CourseCard from './CourseCard';
 import CourseAddModal from './CourseAddModal';
+import Cmi5ImportModal from './Cmi5ImportModal';
 
 /**
  * CourseList Component
@@ -21,6 +22,7 @@ const CourseList = ({ onAddClick, onReorderClick }) => {
   const [courseToArchive, setCourseToArchive] = useState(null);
   const [editModalOpen, setEditModalOpen] = useState(false);
   const [courseToEdit, setCourseToEdit] = useState(null);
+  const [courseToImportCmi5, setCourseToImportCmi5] = useState(null);
 
   // Fetch courses on component mount
   useEffect(() => {
@@ -144,6 +146,7 @@ const CourseList = ({ onAddClick, onReorderClick }) => {
                     setCourseToArchive(course);
                     setArchiveDialogOpen(true);
                   }}
+                  onImportCmi5={(course) => setCourseToImportCmi5(course)}
                   onView={(course) => {
                     // TODO: Implement view functionality
                     console.log('View course:', course);
@@ -245,6 +248,18 @@ const CourseList = ({ onAddClick, onReorderClick }) => {
         }}
       />
 
+      {/* Import cmi5 Package Modal */}
+      <Cmi5ImportModal
+        open={Boolean(courseToImportCmi5)}
+        course={courseToImportCmi5}
+        onClose={() => setCourseToImportCmi5(null)}
+        onSuccess={() => {
+          setCourseToImportCmi5(null);
+          // Refresh courses list (content counts changed)
+          fetchCourses();
+        }}
+      />
+
       {/* Pagination - Always visible */}
       <CoursePagination />
     </Box>
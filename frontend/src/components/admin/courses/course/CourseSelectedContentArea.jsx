@@ -35,6 +35,8 @@ const CourseSelectedContentArea = ({ selectedContents = [], onRemove, onReorder
       'video': CONTENT_TYPES.VIDEO,
       'audioAssignment': CONTENT_TYPES.AUDIO_ASSIGNMENT,
       'chant': CONTENT_TYPES.CHANT,
+      'quiz': CONTENT_TYPES.QUIZ,
+      'cmi5': 'cmi5',
     };
     return mapping[backendType] || backendType;
   };
@@ -47,6 +49,8 @@ const CourseSelectedContentArea = ({ selectedContents = [], onRemove, onReorder
       'video': 'Videos',
       'audioAssignment': 'Audio Assignments',
       'chant': 'Chants',
+      'quiz': 'Quizzes',
+      'cmi5': 'cmi5 Lessons',
     };
     return labels[backendType] || backendType;
   };
@@ -79,6 +83,8 @@ const CourseSelectedContentArea = ({ selectedContents = [], onRemove, onReorder
     video: [],
     audioAssignment: [],
     chant: [],
+    quiz: [],
+    cmi5: [],
   };
 
   selectedContents.forEach((item) => {
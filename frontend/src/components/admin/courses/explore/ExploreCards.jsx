@@ -24,6 +24,8 @@ import {
 import { useExplore } from '../../../../hooks/exploreHook';
 import { getVideoTypeOptions } from '../../../../constants/exploreVideoTypes';
 import ExploreEditModal from './ExploreEditModa';
+import MediaProcessingStatus from '../../common/MediaProcessingStatus';
+import contentService from '../../../../services/contentService';
 
 /**
  * ExploreCards Component
@@ -74,6 +76,15 @@ const ExploreCards = () => {
     setContentToDelete(null);
   };
 
+  const handleReprocess = async (content) => {
+    try {
+      await contentService.reprocessVideo(content.videoFile._id);
+      fetchExploreContent();
+    } catch (error) {
+      console.error('Error reprocessing video:', error);
+    }
+  };
+
   const formatDuration = (seconds) => {
     if (!seconds) return '';
     const mins = Math.floor(seconds / 60);
@@ -270,6 +281,13 @@ const ExploreCards = () => {
             {content.title}
           </Typography>
 
+          {/* HLS processing status */}
+          {content.videoFile?.processing && (
+            <Box sx={{ marginBottom: 1 }}>
+              <MediaProcessingStatus processing={content.videoFile.processing} onRetry={() => handleReprocess(content)} />
+            </Box>
+          )}
+
           {/* Description */}
           {content.description && (
             <Typography
@@ -30,6 +30,7 @@ import {
 import useKidsWall from '../../../hooks/kidsWallHook';
 import KidsWallViewModal from './KidsWallViewModal';
 import { formatDate } from '../../../util/helpers';
+import MediaImage from '../../common/MediaImage';
 
 /**
  * KidsWallTableList Component
@@ -52,17 +53,6 @@ const KidsWallTableList = () => {
   const [rejectDialogOpen, setRejectDialogOpen] = useState(false);
   const [postToReject, setPostToReject] = useState(null);
 
-  // Get image URL
-  const getImageUrl = (image) => {
-    if (!image) return null;
-    if (image.url && (image.url.startsWith('http://') || image.url.startsWith('https://'))) {
-      return image.url;
-    }
-    const baseUrl = import.meta.env.VITE_API_URL?.replace('/api', '') || 'http://localhost:5000';
-    const path = image.url || image.filePath;
-    return `${baseUrl}${path.startsWith('/') ? path : `/${path}`}`;
-  };
-
   // Get avatar URL
   const getAvatarUrl = (avatar) => {
     if (!avatar) return null;
@@ -346,7 +336,7 @@ const KidsWallTableList = () => {
           <TableBody>
             {posts.map((post) => {
               const image = post.images?.[0];
-              const imageUrl = image ? getImageUrl(image) : null;
+              const imagePath = image ? image.url || image.filePath : null;
               const child = post.child;
               const avatarUrl = child?.avatar ? getAvatarUrl(child.avatar) : null;
 
@@ -365,16 +355,17 @@ const KidsWallTableList = () => {
                   }}
                 >
                   <TableCell>
-                    {imageUrl ? (
-                      <Avatar
-                        src={imageUrl}
+                    {imagePath ? (
+                      <MediaImage
+                        path={imagePath}
                         alt={post.title}
-                        variant="rounded"
                         sx={{
                           width: 56,
                           height: 56,
                           borderRadius: '8px',
+                          objectFit: 'cover',
                           cursor: 'pointer',
+                          display: 'block',
                         }}
                         onClick={() => handleView(post)}
                       />
@@ -24,6 +24,7 @@ import {
   Comment as CommentIcon,
 } from '@mui/icons-material';
 import { formatDate } from '../../../util/helpers';
+import MediaImage from '../../common/MediaImage';
 
 /**
  * KidsWallViewModal Component
@@ -38,17 +39,6 @@ const KidsWallViewModal = ({ open, onClose, post, onApprove, onReject }) => {
 
   if (!post) return null;
 
-  // Get image URL
-  const getImageUrl = (image) => {
-    if (!image) return null;
-    if (image.url && (image.url.startsWith('http://') || image.url.startsWith('https://'))) {
-      return image.url;
-    }
-    const baseUrl = import.meta.env.VITE_API_URL?.replace('/api', '') || 'http://localhost:5000';
-    const path = image.url || image.filePath;
-    return `${baseUrl}${path.startsWith('/') ? path : `/${path}`}`;
-  };
-
   // Get avatar URL
   const getAvatarUrl = (avatar) => {
     if (!avatar) return null;
@@ -60,7 +50,7 @@ const KidsWallViewModal = ({ open, onClose, post, onApprove, onReject }) => {
   };
 
   const image = post.images?.[0];
-  const imageUrl = image ? getImageUrl(image) : null;
+  const imagePath = image ? image.url || image.filePath : null;
   const child = post.child;
   const avatarUrl = child?.avatar ? getAvatarUrl(child.avatar) : null;
 
@@ -205,7 +195,7 @@ const KidsWallViewModal = ({ open, onClose, post, onApprove, onReject }) => {
           </Paper>
 
           {/* Post Image - Perfect Square, 0px border radius */}
-          {imageUrl && (
+          {imagePath && (
             <Box
               sx={{
                 width: '100%',
@@ -216,9 +206,8 @@ const KidsWallViewModal = ({ open, onClose, post, onApprove, onReject }) => {
                 backgroundColor: theme.palette.custom.bgSecondary,
               }}
             >
-              <Box
-                component="img"
-                src={imageUrl}
+              <MediaImage
+                path={imagePath}
                 alt={post.title}
                 sx={{
                   width: '100%',
@@ -0,0 +1,293 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Stack,
+  Typography,
+  MenuItem,
+  CircularProgress,
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { Close as CloseIcon } from '@mui/icons-material';
+
+export const REWARD_TYPE_OPTIONS = [
+  { value: 'avatar_frame', label: 'Avatar Frame' },
+  { value: 'sticker', label: 'Sticker' },
+  { value: 'theme', label: 'Theme' },
+  { value: 'certificate', label: 'Printable Certificate' },
+];
+
+const emptyForm = {
+  name: '',
+  description: '',
+  type: 'sticker',
+  cost: '',
+  order: 0,
+  message: '',
+};
+
+/**
+ * RewardFormModal Component
+ *
+ * Create/edit modal for reward shop items (admin only)
+ * When `reward` is passed the modal edits it, otherwise it creates a new item
+ * Certificates accept a message printed on the certificate (stored in metadata)
+ */
+const RewardFormModal = ({ open, reward = null, onClose, onSubmit }) => {
+  const theme = useTheme();
+  const [formData, setFormData] = useState(emptyForm);
+  const [imageFile, setImageFile] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setFormData(
+        reward
+          ? {
+              name: reward.name || '',
+              description: reward.description || '',
+              type: reward.type || 'sticker',
+              cost: reward.cost ?? '',
+              order: reward.order ?? 0,
+              message: reward.metadata?.message || '',
+            }
+          : emptyForm
+      );
+      setImageFile(null);
+      setErrors({});
+    }
+  }, [open, reward]);
+
+  const handleChange = (field) => (event) => {
+    const value = event.target.value;
+    setFormData((prev) => ({ ...prev, [field]: value }));
+    if (errors[field]) {
+      setErrors((prev) => ({ ...prev, [field]: null }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (!formData.name.trim()) newErrors.name = 'Name is required';
+    if (formData.cost === '' || isNaN(Number(formData.cost)) || Number(formData.cost) < 0) {
+      newErrors.cost = 'Cost must be 0 or more stars';
+    }
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+
+    const data = new FormData();
+    data.append('name', formData.name.trim());
+    data.append('description', formData.description.trim());
+    data.append('type', formData.type);
+    data.append('cost', String(formData.cost));
+    data.append('order', String(formData.order || 0));
+    data.append(
+      'metadata',
+      JSON.stringify(formData.type === 'certificate' ? { ...(reward?.metadata || {}), message: formData.message } : reward?.metadata || {})
+    );
+    if (imageFile) {
+      data.append('image', imageFile);
+    }
+
+    try {
+      setSubmitting(true);
+      await onSubmit(data);
+      onClose();
+    } catch (error) {
+      setErrors({ submit: typeof error === 'string' ? error : 'Failed to save reward' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const fieldSx = {
+    '& .MuiOutlinedInput-root': {
+      fontFamily: 'Quicksand, sans-serif',
+      borderRadius: '8px',
+      backgroundColor: theme.palette.background.paper,
+      '& fieldset': { borderColor: theme.palette.border.main },
+      '&:hover fieldset': { borderColor: theme.palette.primary.main },
+      '&.Mui-focused fieldset': { borderColor: theme.palette.primary.main },
+    },
+    '& .MuiInputLabel-root': { fontFamily: 'Quicksand, sans-serif' },
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="sm"
+      fullWidth
+      aria-label={reward ? 'Edit reward dialog' : 'Add reward dialog'}
+      PaperProps={{
+        sx: {
+          borderRadius: '12px',
+          padding: 0,
+        },
+      }}
+    >
+      <DialogTitle
+        sx={{
+          padding: 3,
+          paddingBottom: 2,
+          borderBottom: `1px solid ${theme.palette.border.main}`,
+          backgroundColor: theme.palette.custom.bgSecondary,
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+        }}
+      >
+        <Typography
+          variant="h6"
+          sx={{
+            fontFamily: 'Quicksand, sans-serif',
+            fontWeight: 700,
+            fontSize: '1.25rem',
+            color: theme.palette.text.primary,
+          }}
+        >
+          {reward ? 'Edit Reward' : 'Add New Reward'}
+        </Typography>
+        <Button
+          onClick={onClose}
+          aria-label="Close reward dialog"
+          sx={{
+            minWidth: 'auto',
+            padding: 0.5,
+            color: theme.palette.text.secondary,
+            '&:hover': {
+              backgroundColor: theme.palette.custom.bgTertiary,
+            },
+          }}
+        >
+          <CloseIcon />
+        </Button>
+      </DialogTitle>
+
+      <form onSubmit={handleSubmit}>
+        <DialogContent sx={{ padding: 3 }}>
+          <Stack spacing={2.5}>
+            <TextField
+              label="Name"
+              value={formData.name}
+              onChange={handleChange('name')}
+              fullWidth
+              required
+              error={!!errors.name}
+              helperText={errors.name}
+              sx={fieldSx}
+            />
+            <TextField
+              label="Description"
+              value={formData.description}
+              onChange={handleChange('description')}
+              fullWidth
+              multiline
+              minRows={2}
+              sx={fieldSx}
+            />
+            <TextField
+              select
+              label="Type"
+              value={formData.type}
+              onChange={handleChange('type')}
+              fullWidth
+              sx={fieldSx}
+            >
+              {REWARD_TYPE_OPTIONS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </TextField>
+            <Stack direction="row" spacing={2}>
+              <TextField
+                label="Cost (stars)"
+                type="number"
+                value={formData.cost}
+                onChange={handleChange('cost')}
+                fullWidth
+                required
+                inputProps={{ min: 0 }}
+                error={!!errors.cost}
+                helperText={errors.cost}
+                sx={fieldSx}
+              />
+              <TextField
+                label="Display Order"
+                type="number"
+                value={formData.order}
+                onChange={handleChange('order')}
+                fullWidth
+                sx={fieldSx}
+              />
+            </Stack>
+            {formData.type === 'certificate' && (
+              <TextField
+                label="Certificate Message"
+                value={formData.message}
+                onChange={handleChange('message')}
+                fullWidth
+                placeholder="For being an amazing learner!"
+                sx={fieldSx}
+              />
+            )}
+            <Button
+              variant="outlined"
+              component="label"
+              sx={{ fontFamily: 'Quicksand, sans-serif', textTransform: 'none', borderRadius: '8px' }}
+            >
+              {imageFile ? imageFile.name : reward?.image ? 'Replace Image' : 'Upload Image (optional)'}
+              <input
+                type="file"
+                hidden
+                accept="image/*"
+                onChange={(e) => setImageFile(e.target.files?.[0] || null)}
+              />
+            </Button>
+            {errors.submit && (
+              <Typography sx={{ fontFamily: 'Quicksand, sans-serif', color: theme.palette.error.main }}>
+                {errors.submit}
+              </Typography>
+            )}
+          </Stack>
+        </DialogContent>
+
+        <DialogActions sx={{ padding: 3, paddingTop: 0 }}>
+          <Button
+            onClick={onClose}
+            sx={{ fontFamily: 'Quicksand, sans-serif', textTransform: 'none', color: theme.palette.text.secondary }}
+          >
+            Cancel
+          </Button>
+          <Button
+            type="submit"
+            variant="contained"
+            disabled={submitting}
+            sx={{
+              fontFamily: 'Quicksand, sans-serif',
+              fontWeight: 600,
+              textTransform: 'none',
+              borderRadius: '8px',
+              padding: '8px 24px',
+            }}
+          >
+            {submitting ? <CircularProgress size={20} /> : reward ? 'Save Changes' : 'Create Reward'}
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default RewardFormModal;
@@ -0,0 +1,121 @@
+import React from 'react';
+import {
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Chip,
+  Typography,
+  Tooltip,
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { Edit as EditIcon, Archive as ArchiveIcon } from '@mui/icons-material';
+import { REWARD_TYPE_OPTIONS } from './RewardFormModal';
+
+/**
+ * RewardsTable Component
+ *
+ * Lists reward shop items for admins with edit and archive actions
+ */
+const RewardsTable = ({ rewards = [], onEdit, onArchive }) => {
+  const theme = useTheme();
+
+  const getTypeLabel = (type) => REWARD_TYPE_OPTIONS.find((o) => o.value === type)?.label || type;
+
+  const headerCellSx = {
+    fontFamily: 'Quicksand, sans-serif',
+    fontWeight: 700,
+    color: theme.palette.text.primary,
+    backgroundColor: theme.palette.custom.bgSecondary,
+  };
+
+  const cellSx = {
+    fontFamily: 'Quicksand, sans-serif',
+    color: theme.palette.text.primary,
+  };
+
+  return (
+    <TableContainer
+      component={Paper}
+      sx={{
+        borderRadius: '16px',
+        border: `1px solid ${theme.palette.border.main}`,
+        boxShadow: theme.shadows[2],
+      }}
+    >
+      <Table aria-label="Rewards table">
+        <TableHead>
+          <TableRow>
+            <TableCell sx={headerCellSx}>Name</TableCell>
+            <TableCell sx={headerCellSx}>Type</TableCell>
+            <TableCell sx={headerCellSx}>Cost</TableCell>
+            <TableCell sx={headerCellSx}>Order</TableCell>
+            <TableCell sx={headerCellSx}>Status</TableCell>
+            <TableCell sx={headerCellSx} align="right">
+              Actions
+            </TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {rewards.length === 0 ? (
+            <TableRow>
+              <TableCell colSpan={6}>
+                <Typography
+                  sx={{ fontFamily: 'Quicksand, sans-serif', textAlign: 'center', color: theme.palette.text.secondary, padding: 2 }}
+                >
+                  No rewards found
+                </Typography>
+              </TableCell>
+            </TableRow>
+          ) : (
+            rewards.map((reward) => (
+              <TableRow key={reward._id} hover>
+                <TableCell sx={cellSx}>
+                  <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600 }}>{reward.name}</Typography>
+                  {reward.description && (
+                    <Typography
+                      sx={{ fontFamily: 'Quicksand, sans-serif', fontSize: '0.8125rem', color: theme.palette.text.secondary }}
+                    >
+                      {reward.description}
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell sx={cellSx}>{getTypeLabel(reward.type)}</TableCell>
+                <TableCell sx={cellSx}>⭐ {reward.cost}</TableCell>
+                <TableCell sx={cellSx}>{reward.order}</TableCell>
+                <TableCell sx={cellSx}>
+                  <Chip
+                    label={reward.isActive ? 'Active' : 'Archived'}
+                    size="small"
+                    color={reward.isActive ? 'success' : 'default'}
+                    sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600 }}
+                  />
+                </TableCell>
+                <TableCell align="right">
+                  <Tooltip title="Edit">
+                    <IconButton onClick={() => onEdit(reward)} aria-label={`Edit ${reward.name}`}>
+                      <EditIcon />
+                    </IconButton>
+                  </Tooltip>
+                  {reward.isActive && (
+                    <Tooltip title="Archive">
+                      <IconButton onClick={() => onArchive(reward)} aria-label={`Archive ${reward.name}`}>
+                        <ArchiveIcon />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))
+          )}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+};
+
+export default RewardsTable;
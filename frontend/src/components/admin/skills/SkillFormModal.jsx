@@ -0,0 +1,281 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Stack,
+  Typography,
+  MenuItem,
+  FormControlLabel,
+  Switch,
+  CircularProgress,
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { Close as CloseIcon } from '@mui/icons-material';
+
+const emptyForm = {
+  name: '',
+  description: '',
+  parent: '',
+  icon: '',
+  order: 0,
+  isActive: true,
+};
+
+/**
+ * SkillFormModal Component
+ *
+ * Create/edit modal for skills in the skills tree (admin only)
+ * When `skill` is passed the modal edits it, otherwise it creates a new skill
+ * (under `defaultParent` when adding a sub-skill)
+ */
+const SkillFormModal = ({ open, skill = null, defaultParent = '', skills = [], onClose, onSubmit }) => {
+  const theme = useTheme();
+  const [formData, setFormData] = useState(emptyForm);
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setFormData(
+        skill
+          ? {
+              name: skill.name || '',
+              description: skill.description || '',
+              parent: skill.parent || '',
+              icon: skill.icon || '',
+              order: skill.order ?? 0,
+              isActive: skill.isActive !== false,
+            }
+          : { ...emptyForm, parent: defaultParent || '' }
+      );
+      setErrors({});
+    }
+  }, [open, skill, defaultParent]);
+
+  // A skill cannot be moved under itself or one of its sub-skills
+  const parentOptions = useMemo(() => {
+    if (!skill) return skills;
+    const excluded = new Set([skill._id]);
+    skills.forEach((item) => {
+      if (item.parent && excluded.has(item.parent)) excluded.add(item._id);
+    });
+    return skills.filter((item) => !excluded.has(item._id));
+  }, [skills, skill]);
+
+  const handleChange = (field) => (event) => {
+    const value = event.target.value;
+    setFormData((prev) => ({ ...prev, [field]: value }));
+    if (errors[field]) {
+      setErrors((prev) => ({ ...prev, [field]: null }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (!formData.name.trim()) newErrors.name = 'Name is required';
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+
+    const data = {
+      name: formData.name.trim(),
+      description: formData.description.trim(),
+      parent: formData.parent || null,
+      icon: formData.icon.trim(),
+      order: Number(formData.order) || 0,
+    };
+    if (skill) {
+      data.isActive = formData.isActive;
+    }
+
+    try {
+      setSubmitting(true);
+      await onSubmit(data);
+      onClose();
+    } catch (error) {
+      setErrors({ submit: typeof error === 'string' ? error : 'Failed to save skill' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const fieldSx = {
+    '& .MuiOutlinedInput-root': {
+      fontFamily: 'Quicksand, sans-serif',
+      borderRadius: '8px',
+      backgroundColor: theme.palette.background.paper,
+      '& fieldset': { borderColor: theme.palette.border.main },
+      '&:hover fieldset': { borderColor: theme.palette.primary.main },
+      '&.Mui-focused fieldset': { borderColor: theme.palette.primary.main },
+    },
+    '& .MuiInputLabel-root': { fontFamily: 'Quicksand, sans-serif' },
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="sm"
+      fullWidth
+      aria-label={skill ? 'Edit skill dialog' : 'Add skill dialog'}
+      PaperProps={{
+        sx: {
+          borderRadius: '12px',
+          padding: 0,
+        },
+      }}
+    >
+      <DialogTitle
+        sx={{
+          padding: 3,
+          paddingBottom: 2,
+          borderBottom: `1px solid ${theme.palette.border.main}`,
+          backgroundColor: theme.palette.custom.bgSecondary,
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+        }}
+      >
+        <Typography
+          variant="h6"
+          sx={{
+            fontFamily: 'Quicksand, sans-serif',
+            fontWeight: 700,
+            fontSize: '1.25rem',
+            color: theme.palette.text.primary,
+          }}
+        >
+          {skill ? 'Edit Skill' : 'Add New Skill'}
+        </Typography>
+        <Button
+          onClick={onClose}
+          aria-label="Close skill dialog"
+          sx={{
+            minWidth: 'auto',
+            padding: 0.5,
+            color: theme.palette.text.secondary,
+            '&:hover': {
+              backgroundColor: theme.palette.custom.bgTertiary,
+            },
+          }}
+        >
+          <CloseIcon />
+        </Button>
+      </DialogTitle>
+
+      <form onSubmit={handleSubmit}>
+        <DialogContent sx={{ padding: 3 }}>
+          <Stack spacing={2.5}>
+            <Stack direction="row" spacing={2}>
+              <TextField
+                label="Icon"
+                value={formData.icon}
+                onChange={handleChange('icon')}
+                placeholder="🔤"
+                inputProps={{ maxLength: 10 }}
+                sx={{ ...fieldSx, width: 100 }}
+              />
+              <TextField
+                label="Name"
+                value={formData.name}
+                onChange={handleChange('name')}
+                fullWidth
+                required
+                inputProps={{ maxLength: 100 }}
+                error={!!errors.name}
+                helperText={errors.name}
+                sx={fieldSx}
+              />
+            </Stack>
+            <TextField
+              label="Description"
+              value={formData.description}
+              onChange={handleChange('description')}
+              fullWidth
+              multiline
+              minRows={2}
+              sx={fieldSx}
+            />
+            <Stack direction="row" spacing={2}>
+              <TextField
+                select
+                label="Parent Skill"
+                value={formData.parent}
+                onChange={handleChange('parent')}
+                fullWidth
+                sx={fieldSx}
+              >
+                <MenuItem value="">None (top-level area)</MenuItem>
+                {parentOptions.map((option) => (
+                  <MenuItem key={option._id} value={option._id}>
+                    {option.path}
+                  </MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                label="Display Order"
+                type="number"
+                value={formData.order}
+                onChange={handleChange('order')}
+                sx={{ ...fieldSx, width: 160 }}
+              />
+            </Stack>
+            {skill && (
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={formData.isActive}
+                    onChange={(e) => setFormData((prev) => ({ ...prev, isActive: e.target.checked }))}
+                  />
+                }
+                label={
+                  <Typography sx={{ fontFamily: 'Quicksand, sans-serif' }}>
+                    Active (inactive skills are hidden from tagging and parents)
+                  </Typography>
+                }
+              />
+            )}
+            {errors.submit && (
+              <Typography sx={{ fontFamily: 'Quicksand, sans-serif', color: theme.palette.error.main }}>
+                {errors.submit}
+              </Typography>
+            )}
+          </Stack>
+        </DialogContent>
+
+        <DialogActions sx={{ padding: 3, paddingTop: 0 }}>
+          <Button
+            onClick={onClose}
+            sx={{ fontFamily: 'Quicksand, sans-serif', textTransform: 'none', color: theme.palette.text.secondary }}
+          >
+            Cancel
+          </Button>
+          <Button
+            type="submit"
+            variant="contained"
+            disabled={submitting}
+            sx={{
+              fontFamily: 'Quicksand, sans-serif',
+              fontWeight: 600,
+              textTransform: 'none',
+              borderRadius: '8px',
+              padding: '8px 24px',
+            }}
+          >
+            {submitting ? <CircularProgress size={20} /> : skill ? 'Save Changes' : 'Create Skill'}
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default SkillFormModal;
@@ -0,0 +1,128 @@
+import React from 'react';
+import {
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Chip,
+  Typography,
+  Tooltip,
+  Box,
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { Edit as EditIcon, Delete as DeleteIcon, AddCircleOutline as AddChildIcon } from '@mui/icons-material';
+
+/**
+ * SkillsTable Component
+ *
+ * Lists the skills tree for admins (flat, in tree order, indented by depth)
+ * with add sub-skill, edit and delete actions
+ */
+const SkillsTable = ({ skills = [], maxDepth = 4, onAddChild, onEdit, onDelete }) => {
+  const theme = useTheme();
+
+  const headerCellSx = {
+    fontFamily: 'Quicksand, sans-serif',
+    fontWeight: 700,
+    color: theme.palette.text.primary,
+    backgroundColor: theme.palette.custom.bgSecondary,
+  };
+
+  const cellSx = {
+    fontFamily: 'Quicksand, sans-serif',
+    color: theme.palette.text.primary,
+  };
+
+  return (
+    <TableContainer
+      component={Paper}
+      sx={{
+        borderRadius: '16px',
+        border: `1px solid ${theme.palette.border.main}`,
+        boxShadow: theme.shadows[2],
+      }}
+    >
+      <Table aria-label="Skills table">
+        <TableHead>
+          <TableRow>
+            <TableCell sx={headerCellSx}>Skill</TableCell>
+            <TableCell sx={headerCellSx}>Order</TableCell>
+            <TableCell sx={headerCellSx}>Status</TableCell>
+            <TableCell sx={headerCellSx} align="right">
+              Actions
+            </TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {skills.length === 0 ? (
+            <TableRow>
+              <TableCell colSpan={4}>
+                <Typography
+                  sx={{ fontFamily: 'Quicksand, sans-serif', textAlign: 'center', color: theme.palette.text.secondary, padding: 2 }}
+                >
+                  No skills yet. Add a top-level area such as Phonics or Vocabulary to start.
+                </Typography>
+              </TableCell>
+            </TableRow>
+          ) : (
+            skills.map((skill) => (
+              <TableRow key={skill._id} hover>
+                <TableCell sx={cellSx}>
+                  <Box sx={{ paddingLeft: skill.depth * 3, display: 'flex', alignItems: 'center', gap: 1 }}>
+                    {skill.icon && <Typography component="span">{skill.icon}</Typography>}
+                    <Box>
+                      <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: skill.depth === 0 ? 700 : 600 }}>
+                        {skill.name}
+                      </Typography>
+                      {skill.description && (
+                        <Typography
+                          sx={{ fontFamily: 'Quicksand, sans-serif', fontSize: '0.8125rem', color: theme.palette.text.secondary }}
+                        >
+                          {skill.description}
+                        </Typography>
+                      )}
+                    </Box>
+                  </Box>
+                </TableCell>
+                <TableCell sx={cellSx}>{skill.order}</TableCell>
+                <TableCell sx={cellSx}>
+                  <Chip
+                    label={skill.isActive ? 'Active' : 'Inactive'}
+                    size="small"
+                    color={skill.isActive ? 'success' : 'default'}
+                    sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600 }}
+                  />
+                </TableCell>
+                <TableCell align="right">
+                  {skill.depth < maxDepth - 1 && (
+                    <Tooltip title="Add sub-skill">
+                      <IconButton onClick={() => onAddChild(skill)} aria-label={`Add sub-skill to ${skill.name}`}>
+                        <AddChildIcon />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                  <Tooltip title="Edit">
+                    <IconButton onClick={() => onEdit(skill)} aria-label={`Edit ${skill.name}`}>
+                      <EditIcon />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Delete">
+                    <IconButton onClick={() => onDelete(skill)} aria-label={`Delete ${skill.name}`}>
+                      <DeleteIcon />
+                    </IconButton>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))
+          )}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+};
+
+export default SkillsTable;
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  TextField,
+  Button,
+  Typography,
+  Link,
+  CircularProgress,
+} from '@mui/material';
+import LockIcon from '@mui/icons-material/Lock';
+import authService from '../../services/authService';
+
+/**
+ * AuthForgotPasswordForm Component
+ *
+ * Collects the account email and requests a password reset link
+ * The same confirmation is shown whether or not the account exists
+ */
+const AuthForgotPasswordForm = () => {
+  const navigate = useNavigate();
+
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sentMessage, setSentMessage] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!email) {
+      setError('Email is required');
+      return;
+    }
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setError('Email is invalid');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await authService.forgotPassword(email.trim().toLowerCase());
+      setSentMessage(response.message);
+    } catch (err) {
+      setError(err?.message || 'Unable to send reset email. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Box component="form" onSubmit={handleSubmit} className="auth-login-form">
+      {/* Title with lock icon */}
+      <Box className="auth-form-header" sx={{ margin: 'auto' }}>
+        <Typography variant="h5" className="auth-form-title">
+          Forgot password
+        </Typography>
+        <LockIcon className="auth-lock-icon" />
+      </Box>
+
+      {sentMessage ? (
+        <Typography
+          variant="body2"
+          className="auth-form-subtitle"
+          role="status"
+          sx={{ fontWeight: '600', fontSize: '18px', margin: 'auto', marginBottom: '20px', textAlign: 'center' }}
+        >
+          {sentMessage}. Please check your inbox.
+        </Typography>
+      ) : (
+        <>
+          {/* Subtitle */}
+          <Typography
+            variant="body2"
+            className="auth-form-subtitle"
+            sx={{ fontWeight: '600', fontSize: '18px', margin: 'auto', marginBottom: '20px', textAlign: 'center' }}
+          >
+            Enter your email and we will send you a link to reset your password
+          </Typography>
+
+          {/* Email Field */}
+          <Box className="auth-field-container">
+            <Typography variant="body2" className="auth-field-label" sx={{ fontWeight: '700', fontSize: '18px' }}>
+              Email
+            </Typography>
+            <TextField
+              type="email"
+              placeholder="your@email.com"
+              value={email}
+              onChange={(e) => {
+                setEmail(e.target.value);
+                setError('');
+              }}
+              fullWidth
+              className="auth-text-field"
+              required
+              error={!!error}
+              helperText={error}
+              disabled={loading}
+            />
+          </Box>
+
+          <Button
+            type="submit"
+            variant="contained"
+            fullWidth
+            className="auth-signin-button"
+            sx={{ borderRadius: '0px', fontSize: '20px' }}
+            disabled={loading}
+          >
+            {loading ? (
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <CircularProgress size={20} sx={{ color: 'white' }} />
+                <span>Sending...</span>
+              </Box>
+            ) : (
+              'Send Reset Link'
+            )}
+          </Button>
+        </>
+      )}
+
+      {/* Back to Login Link */}
+      <Box className="auth-links-container" sx={{ margin: 'auto' }}>
+        <Link
+          onClick={() => navigate('/login')}
+          className="auth-link"
+          sx={{ borderRadius: '0px', fontSize: '18px', fontWeight: '600', marginY: '10px', textDecoration: 'none', cursor: 'pointer' }}
+        >
+          Back to Login
+        </Link>
+      </Box>
+    </Box>
+  );
+};
+
+export default AuthForgotPasswordForm;
@@ -193,8 +193,8 @@ const AuthLoginForm = () => {
       {/* Forgot Password Link */}
       <Box className="auth-links-container"
         sx={{margin: 'auto'}}>
-        <Link href="#" className="auth-link" 
-        sx={{borderRadius: '0px', fontSize: '18px', fontWeight: '600', marginY: '10px', textDecoration: 'none'}}>
+        <Link onClick={() => navigate('/forgot-password')} className="auth-link" 
+        sx={{borderRadius: '0px', fontSize: '18px', fontWeight: '600', marginY: '10px', textDecoration: 'none', cursor: 'pointer'}}>
           Forgot Password?
         </Link>
       </Box>
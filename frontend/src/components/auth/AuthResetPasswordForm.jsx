@@ -0,0 +1,210 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  TextField,
+  Button,
+  Typography,
+  Link,
+  InputAdornment,
+  IconButton,
+  CircularProgress,
+} from '@mui/material';
+import LockIcon from '@mui/icons-material/Lock';
+import Visibility from '@mui/icons-material/Visibility';
+import VisibilityOff from '@mui/icons-material/VisibilityOff';
+import authService from '../../services/authService';
+
+/**
+ * AuthResetPasswordForm Component
+ *
+ * Sets a new password using the token from the reset email link
+ *
+ * @param {String} token - Reset token from the URL
+ */
+const AuthResetPasswordForm = ({ token }) => {
+  const navigate = useNavigate();
+
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [formErrors, setFormErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [done, setDone] = useState(false);
+
+  const validateForm = () => {
+    const errors = {};
+
+    if (!password) {
+      errors.password = 'Password is required';
+    } else if (password.length < 6) {
+      errors.password = 'Password must be at least 6 characters';
+    }
+
+    if (confirmPassword !== password) {
+      errors.confirmPassword = 'Passwords do not match';
+    }
+
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+
+    setLoading(true);
+    try {
+      await authService.resetPassword(token, password);
+      setDone(true);
+    } catch (err) {
+      setFormErrors({ submit: err?.message || 'Unable to reset password. Please try again.' });
+    } finally {
+      setLoading(false);
+      setPassword('');
+      setConfirmPassword('');
+    }
+  };
+
+  const passwordAdornment = {
+    endAdornment: (
+      <InputAdornment position="end">
+        <IconButton
+          onClick={() => setShowPassword(!showPassword)}
+          edge="end"
+          aria-label="toggle password visibility"
+          className="auth-password-toggle"
+          disabled={loading}
+        >
+          {showPassword ? <VisibilityOff /> : <Visibility />}
+        </IconButton>
+      </InputAdornment>
+    ),
+  };
+
+  if (!token || done) {
+    return (
+      <Box className="auth-login-form">
+        <Box className="auth-form-header" sx={{ margin: 'auto' }}>
+          <Typography variant="h5" className="auth-form-title">
+            {done ? 'Password updated' : 'Invalid link'}
+          </Typography>
+          <LockIcon className="auth-lock-icon" />
+        </Box>
+        <Typography
+          variant="body2"
+          className="auth-form-subtitle"
+          role="status"
+          sx={{ fontWeight: '600', fontSize: '18px', margin: 'auto', marginBottom: '20px', textAlign: 'center' }}
+        >
+          {done
+            ? 'Your password has been reset. You can now log in with your new password.'
+            : 'This reset link is missing its token. Please request a new one.'}
+        </Typography>
+        <Button
+          variant="contained"
+          fullWidth
+          className="auth-signin-button"
+          sx={{ borderRadius: '0px', fontSize: '20px' }}
+          onClick={() => navigate(done ? '/login' : '/forgot-password')}
+        >
+          {done ? 'Go to Login' : 'Request New Link'}
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box component="form" onSubmit={handleSubmit} className="auth-login-form">
+      {/* Title with lock icon */}
+      <Box className="auth-form-header" sx={{ margin: 'auto' }}>
+        <Typography variant="h5" className="auth-form-title">
+          Choose a new password
+        </Typography>
+        <LockIcon className="auth-lock-icon" />
+      </Box>
+
+      {/* New Password Field */}
+      <Box className="auth-field-container">
+        <Typography variant="body2" className="auth-field-label" sx={{ fontWeight: '700', fontSize: '18px' }}>
+          New Password
+        </Typography>
+        <TextField
+          type={showPassword ? 'text' : 'password'}
+          value={password}
+          onChange={(e) => {
+            setPassword(e.target.value);
+            setFormErrors({ ...formErrors, password: '' });
+          }}
+          fullWidth
+          className="auth-text-field"
+          placeholder="New password"
+          required
+          error={!!formErrors.password}
+          helperText={formErrors.password}
+          disabled={loading}
+          InputProps={passwordAdornment}
+        />
+      </Box>
+
+      {/* Confirm Password Field */}
+      <Box className="auth-field-container">
+        <Typography variant="body2" className="auth-field-label" sx={{ fontWeight: '700', fontSize: '18px' }}>
+          Confirm Password
+        </Typography>
+        <TextField
+          type={showPassword ? 'text' : 'password'}
+          value={confirmPassword}
+          onChange={(e) => {
+            setConfirmPassword(e.target.value);
+            setFormErrors({ ...formErrors, confirmPassword: '' });
+          }}
+          fullWidth
+          className="auth-text-field"
+          placeholder="Confirm new password"
+          required
+          error={!!formErrors.confirmPassword}
+          helperText={formErrors.confirmPassword}
+          disabled={loading}
+        />
+      </Box>
+
+      {formErrors.submit && (
+        <Typography variant="body2" color="error" role="alert" sx={{ textAlign: 'center', marginBottom: '10px' }}>
+          {formErrors.submit}
+        </Typography>
+      )}
+
+      <Button
+        type="submit"
+        variant="contained"
+        fullWidth
+        className="auth-signin-button"
+        sx={{ borderRadius: '0px', fontSize: '20px' }}
+        disabled={loading}
+      >
+        {loading ? (
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <CircularProgress size={20} sx={{ color: 'white' }} />
+            <span>Saving...</span>
+          </Box>
+        ) : (
+          'Reset Password'
+        )}
+      </Button>
+
+      {/* Back to Login Link */}
+      <Box className="auth-links-container" sx={{ margin: 'auto' }}>
+        <Link
+          onClick={() => navigate('/login')}
+          className="auth-link"
+          sx={{ borderRadius: '0px', fontSize: '18px', fontWeight: '600', marginY: '10px', textDecoration: 'none', cursor: 'pointer' }}
+        >
+          Back to Login
+        </Link>
+      </Box>
+    </Box>
+  );
+};
+
+export default AuthResetPasswordForm;
@@ -1,6 +1,7 @@
 import React from 'react';
 import { Box, Typography, Paper } from '@mui/material';
 import { themeColors } from '../../../config/themeColors';
+import StreakCalendar from '../../common/StreakCalendar';
 
 /**
  * HeaderStats Component
@@ -9,8 +10,10 @@ import { themeColors } from '../../../config/themeColors';
  * Two main rows:
  * 1. Profile avatar + child name and level
  * 2. Total stars, streak, and badges
+ * When streakHistory (streak history endpoint response) is given, a day
+ * calendar and the child's streak freezes are shown under the stats.
  */
-const HeaderStats = ({ child, stats }) => {
+const HeaderStats = ({ child, stats, streakHistory = null }) => {
   if (!child || !stats) {
     return null;
   }
@@ -18,7 +21,9 @@ const HeaderStats = ({ child, stats }) => {
   const childName = child.displayName || 'Child';
   const levelName = stats.level || 'New Learner';
   const totalStars = stats.totalStars || 0;
-  const streak = stats.currentStreak || 0;
+  const streak = streakHistory?.streak?.currentStreak ?? stats.currentStreak ?? 0;
+  const streakFreezes = streakHistory?.streak?.streakFreezes || 0;
+  const streakAtRisk = streakHistory?.streak?.atRisk || false;
   const totalBadges = stats.totalBadges || 0;
 
   // Calculate level number based on level name
@@ -315,6 +320,50 @@ const HeaderStats = ({ child, stats }) => {
           </Typography>
         </Box>
       </Box>
+
+      {/* Third Row: Streak Calendar */}
+      {streakHistory?.days?.length > 0 && (
+        <Box
+          sx={{
+            marginTop: { xs: '16px', sm: '20px' },
+            backgroundColor: '#fef9e7',
+            borderRadius: '16px',
+            padding: { xs: '12px', sm: '16px' },
+          }}
+        >
+          <Box
+            sx={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              marginBottom: '12px',
+              gap: '8px',
+            }}
+          >
+            <Typography
+              sx={{
+                fontFamily: 'Quicksand, sans-serif',
+                fontSize: { xs: '14px', sm: '16px' },
+                fontWeight: 600,
+                color: streakAtRisk ? themeColors.orange : themeColors.textSecondary,
+              }}
+            >
+              {streakAtRisk ? 'Learn today to keep your streak!' : 'Your week'}
+            </Typography>
+            <Typography
+              sx={{
+                fontFamily: 'Quicksand, sans-serif',
+                fontSize: { xs: '12px', sm: '14px' },
+                fontWeight: 600,
+                color: themeColors.secondary,
+              }}
+            >
+              ❄️ {streakFreezes} {streakFreezes === 1 ? 'freeze' : 'freezes'}
+            </Typography>
+          </Box>
+          <StreakCalendar days={streakHistory.days} today={streakHistory.streak?.today} />
+        </Box>
+      )}
     </Paper>
   );
 };
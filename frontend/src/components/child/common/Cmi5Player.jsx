@@ -0,0 +1,219 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  Box,
+  Typography,
+  IconButton,
+  CircularProgress,
+  Alert,
+  Button,
+} from '@mui/material';
+import { Close as CloseIcon } from '@mui/icons-material';
+import { launchCmi5Au } from '../../../services/cmi5Service';
+import useLearningSession from '../../../hooks/learningSessionHook';
+import { themeColors } from '../../../config/themeColors';
+
+/**
+ * Cmi5Player Component
+ *
+ * Launches a cmi5 AU in an iframe. The AU reports its progress straight to the
+ * backend LRS (fetch-token handshake), so the player only creates the launch and
+ * asks the parent to refresh course progress when it is closed.
+ * AUs with launchMethod "OwnWindow" are opened in a new browser window instead.
+ */
+const Cmi5Player = ({ open, onClose, lesson, childId, courseId }) => {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [launch, setLaunch] = useState(null);
+
+  const lessonId = lesson?._id || lesson?._contentId || lesson?.contentId || lesson?.id;
+
+  // Learning time: heartbeats while the lesson is open
+  useLearningSession({
+    childId,
+    contentType: 'cmi5',
+    contentId: lessonId,
+    courseId,
+    active: open,
+  });
+
+  useEffect(() => {
+    if (!open || !lessonId || !childId || !courseId) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    setLaunch(null);
+
+    launchCmi5Au(lessonId, childId, courseId)
+      .then((data) => {
+        if (cancelled) return;
+        setLaunch(data);
+        if (data.launchMethod === 'OwnWindow') {
+          window.open(data.launchUrl, '_blank', 'noopener');
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, lessonId, childId, courseId]);
+
+  const isOwnWindow = launch?.launchMethod === 'OwnWindow';
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="lg"
+      fullWidth
+      disableEscapeKeyDown={true}
+      PaperProps={{
+        elevation: 8,
+        sx: {
+          borderRadius: '20px',
+          fontFamily: 'Quicksand, sans-serif',
+          maxHeight: '90vh',
+          backgroundColor: themeColors.bgCard,
+          overflow: 'hidden',
+        },
+      }}
+      BackdropProps={{
+        sx: {
+          backgroundColor: 'rgba(0, 0, 0, 0.7)',
+        },
+      }}
+    >
+      <DialogTitle
+        sx={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          padding: 4,
+          borderBottom: `4px solid ${themeColors.secondary}`,
+          backgroundColor: themeColors.bgCard,
+        }}
+      >
+        <Typography
+          component="span"
+          sx={{
+            fontFamily: 'Quicksand, sans-serif',
+            fontWeight: 700,
+            fontSize: '2rem',
+            color: themeColors.primary,
+          }}
+        >
+          {lesson?.title || 'Lesson'}
+        </Typography>
+        <IconButton
+          onClick={onClose}
+          size="large"
+          sx={{
+            color: themeColors.orange,
+            backgroundColor: themeColors.bgTertiary,
+            borderRadius: '12px',
+            padding: '12px',
+            '&:hover': {
+              backgroundColor: themeColors.orange,
+              color: themeColors.textInverse,
+              transform: 'scale(1.1)',
+            },
+          }}
+        >
+          <CloseIcon sx={{ fontSize: '2rem' }} />
+        </IconButton>
+      </DialogTitle>
+
+      <DialogContent
+        sx={{
+          padding: 0,
+          backgroundColor: themeColors.bgSecondary,
+          position: 'relative',
+          minHeight: '600px',
+          display: 'flex',
+          flexDirection: 'column',
+          overflow: 'hidden',
+        }}
+      >
+        {loading && (
+          <Box sx={{ flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+            <CircularProgress sx={{ color: themeColors.primary }} />
+          </Box>
+        )}
+
+        {error && (
+          <Box sx={{ padding: 4 }}>
+            <Alert severity="error" sx={{ fontFamily: 'Quicksand, sans-serif', fontSize: '1.1rem' }}>
+              {error}
+            </Alert>
+          </Box>
+        )}
+
+        {launch && isOwnWindow && (
+          <Box
+            sx={{
+              flex: 1,
+              display: 'flex',
+              flexDirection: 'column',
+              alignItems: 'center',
+              justifyContent: 'center',
+              gap: 3,
+              padding: 4,
+            }}
+          >
+            <Typography
+              sx={{
+                fontFamily: 'Quicksand, sans-serif',
+                fontSize: '1.5rem',
+                color: themeColors.text,
+                textAlign: 'center',
+              }}
+            >
+              This lesson opened in a new window. Close this box when you are done!
+            </Typography>
+            <Button
+              variant="contained"
+              onClick={() => window.open(launch.launchUrl, '_blank', 'noopener')}
+              sx={{
+                fontFamily: 'Quicksand, sans-serif',
+                fontWeight: 600,
+                fontSize: '1.2rem',
+                textTransform: 'none',
+                borderRadius: '12px',
+                backgroundColor: themeColors.secondary,
+              }}
+            >
+              Open lesson again
+            </Button>
+          </Box>
+        )}
+
+        {launch && !isOwnWindow && (
+          <Box
+            component="iframe"
+            src={launch.launchUrl}
+            title={lesson?.title || 'cmi5 lesson'}
+            allow="autoplay; fullscreen"
+            sx={{
+              flex: 1,
+              width: '100%',
+              minHeight: '600px',
+              border: 'none',
+              backgroundColor: themeColors.textInverse,
+            }}
+          />
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default Cmi5Player;
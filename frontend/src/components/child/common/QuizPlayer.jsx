@@ -0,0 +1,627 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  Box,
+  Typography,
+  IconButton,
+  CircularProgress,
+  Alert,
+  Button,
+  LinearProgress,
+} from '@mui/material';
+import {
+  Close as CloseIcon,
+  VolumeUp as VolumeUpIcon,
+  CheckCircle as CheckCircleIcon,
+  Cancel as CancelIcon,
+} from '@mui/icons-material';
+import { getQuizForChild, submitQuizAttempt } from '../../../services/quizService';
+import useLearningSession from '../../../hooks/learningSessionHook';
+import useMediaUrl from '../../../hooks/mediaHook';
+import MediaImage from '../../common/MediaImage';
+import { themeColors } from '../../../config/themeColors';
+
+// Colours of matched pairs, in the order they are made
+const MATCH_COLORS = ['#62caca', '#f2af10', '#e98a68', '#85c2b9', '#a78bfa', '#f472b6'];
+
+const KIND_HINTS = {
+  picture_choice: 'Tap the right picture',
+  audio_prompt: 'Listen, then tap the right answer',
+  match: 'Tap a card on the left, then its partner on the right',
+  ordering: 'Tap the cards in the right order',
+};
+
+const sameId = (a, b) => String(a) === String(b);
+
+// Answer the backend can score, or null while the question is unanswered
+const isAnswered = (question, answer) => {
+  if (!answer) return false;
+  if (question.kind === 'match') return answer.matches?.length === question.left.length;
+  if (question.kind === 'ordering') return answer.order?.length === question.items.length;
+  return Boolean(answer.optionId);
+};
+
+/**
+ * Play button for a prompt sound
+ */
+const PromptSound = ({ path, onPlayingChange }) => {
+  const { url } = useMediaUrl(path);
+  const audioRef = useRef(null);
+
+  if (!url) return null;
+
+  return (
+    <>
+      <IconButton
+        onClick={() => {
+          if (!audioRef.current) return;
+          audioRef.current.currentTime = 0;
+          audioRef.current.play().catch(() => {});
+        }}
+        aria-label="Play sound"
+        sx={{
+          width: 72,
+          height: 72,
+          backgroundColor: themeColors.accent,
+          color: themeColors.textInverse,
+          '&:hover': { backgroundColor: themeColors.orange },
+        }}
+      >
+        <VolumeUpIcon sx={{ fontSize: '2.5rem' }} />
+      </IconButton>
+      <audio
+        ref={audioRef}
+        src={url}
+        preload="auto"
+        onPlay={() => onPlayingChange(true)}
+        onPause={() => onPlayingChange(false)}
+        onEnded={() => onPlayingChange(false)}
+      />
+    </>
+  );
+};
+
+/**
+ * Picture and/or text of an answer card
+ */
+const QuizCard = ({ card, selected, color, muted, onClick, badge }) => (
+  <Box
+    component="button"
+    type="button"
+    onClick={onClick}
+    disabled={!onClick}
+    sx={{
+      position: 'relative',
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      justifyContent: 'center',
+      gap: 1,
+      width: '100%',
+      minHeight: 96,
+      padding: '12px',
+      fontFamily: 'Quicksand, sans-serif',
+      backgroundColor: themeColors.textInverse,
+      border: `4px solid ${color || (selected ? themeColors.secondary : themeColors.border)}`,
+      borderRadius: '16px',
+      cursor: onClick ? 'pointer' : 'default',
+      opacity: muted ? 0.45 : 1,
+      transition: 'transform 0.15s ease',
+      '&:hover': onClick ? { transform: 'scale(1.03)' } : {},
+    }}
+  >
+    {badge && (
+      <Box
+        sx={{
+          position: 'absolute',
+          top: 6,
+          left: 6,
+          minWidth: 28,
+          height: 28,
+          borderRadius: '9999px',
+          backgroundColor: color || themeColors.secondary,
+          color: themeColors.textInverse,
+          fontWeight: 700,
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+        }}
+      >
+        {badge}
+      </Box>
+    )}
+    {card.image && (
+      <MediaImage
+        path={card.image}
+        alt={card.text || 'Answer picture'}
+        sx={{ width: '100%', maxHeight: 140, objectFit: 'contain', borderRadius: '8px' }}
+      />
+    )}
+    {card.text && (
+      <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600, fontSize: '1.2rem', color: themeColors.text }}>
+        {card.text}
+      </Typography>
+    )}
+  </Box>
+);
+
+const cardGridSx = {
+  display: 'grid',
+  gridTemplateColumns: { xs: 'repeat(2, 1fr)', md: 'repeat(3, 1fr)' },
+  gap: 2,
+};
+
+/**
+ * Picture choice and listen-and-choose questions
+ */
+const ChoiceQuestion = ({ question, answer, onAnswer }) => (
+  <Box sx={cardGridSx}>
+    {question.options.map((option) => (
+      <QuizCard
+        key={option._id}
+        card={option}
+        selected={sameId(answer?.optionId, option._id)}
+        onClick={() => onAnswer({ optionId: option._id })}
+      />
+    ))}
+  </Box>
+);
+
+/**
+ * Tap-to-match questions: a left card, then its partner on the right
+ */
+const MatchQuestion = ({ question, answer, onAnswer }) => {
+  const [activeLeft, setActiveLeft] = useState(null);
+  const matches = answer?.matches || [];
+
+  const matchOf = (side, id) => matches.findIndex((match) => sameId(match[side], id));
+
+  const handleLeft = (id) => {
+    const index = matchOf('left', id);
+    if (index >= 0) {
+      // Tapping a matched card undoes the match
+      onAnswer({ matches: matches.filter((_, i) => i !== index) });
+      return;
+    }
+    setActiveLeft(sameId(activeLeft, id) ? null : id);
+  };
+
+  const handleRight = (id) => {
+    const index = matchOf('right', id);
+    if (index >= 0) {
+      onAnswer({ matches: matches.filter((_, i) => i !== index) });
+      return;
+    }
+    if (!activeLeft) return;
+    onAnswer({ matches: [...matches, { left: activeLeft, right: id }] });
+    setActiveLeft(null);
+  };
+
+  const colorOf = (side, id) => {
+    const index = matchOf(side, id);
+    return index >= 0 ? MATCH_COLORS[index % MATCH_COLORS.length] : null;
+  };
+
+  return (
+    <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: { xs: 2, md: 6 } }}>
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+        {question.left.map((card) => (
+          <QuizCard
+            key={card._id}
+            card={card}
+            selected={sameId(activeLeft, card._id)}
+            color={colorOf('left', card._id)}
+            onClick={() => handleLeft(card._id)}
+          />
+        ))}
+      </Box>
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+        {question.right.map((card) => (
+          <QuizCard
+            key={card._id}
+            card={card}
+            color={colorOf('right', card._id)}
+            muted={!activeLeft && matchOf('right', card._id) < 0}
+            onClick={() => handleRight(card._id)}
+          />
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+/**
+ * Ordering questions: the cards are tapped in order, tapping a numbered card takes it back
+ */
+const OrderingQuestion = ({ question, answer, onAnswer }) => {
+  const order = answer?.order || [];
+
+  return (
+    <Box sx={cardGridSx}>
+      {question.items.map((item) => {
+        const position = order.findIndex((id) => sameId(id, item._id));
+        return (
+          <QuizCard
+            key={item._id}
+            card={item}
+            selected={position >= 0}
+            badge={position >= 0 ? position + 1 : null}
+            onClick={() =>
+              onAnswer({
+                order: position >= 0
+                  ? order.filter((id) => !sameId(id, item._id))
+                  : [...order, item._id],
+              })
+            }
+          />
+        );
+      })}
+    </Box>
+  );
+};
+
+/**
+ * Correct answer of a question on the results screen
+ */
+const CorrectAnswer = ({ question, correctAnswer }) => {
+  const findCard = (cards, id) => cards.find((card) => sameId(card._id, id));
+
+  if (question.kind === 'match') {
+    return (
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+        {correctAnswer.matches.map((match) => (
+          <Box key={match.left} sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 1 }}>
+            <QuizCard card={findCard(question.left, match.left) || {}} />
+            <QuizCard card={findCard(question.right, match.right) || {}} />
+          </Box>
+        ))}
+      </Box>
+    );
+  }
+
+  if (question.kind === 'ordering') {
+    return (
+      <Box sx={cardGridSx}>
+        {correctAnswer.order.map((id, index) => (
+          <QuizCard key={id} card={findCard(question.items, id) || {}} badge={index + 1} />
+        ))}
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={cardGridSx}>
+      {question.options
+        .filter((option) => correctAnswer.optionIds.some((id) => sameId(id, option._id)))
+        .map((option) => (
+          <QuizCard key={option._id} card={option} color={themeColors.success} />
+        ))}
+    </Box>
+  );
+};
+
+/**
+ * QuizPlayer Component
+ *
+ * Plays a quiz of a course: the backend draws the questions of the attempt
+ * (without answers), the child answers them one at a time and the answers are
+ * scored on submit. The results screen shows the score, the stars earned and
+ * the correct answer of every question that was missed.
+ *
+ * @param {Boolean} open - Dialog open
+ * @param {Function} onClose - Called when closed; refresh course progress there
+ * @param {Object} quiz - Course content item of the quiz
+ * @param {String} childId - Child's ID
+ * @param {String} courseId - Course the quiz belongs to
+ */
+const QuizPlayer = ({ open, onClose, quiz, childId, courseId }) => {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(null);
+  const [index, setIndex] = useState(0);
+  const [answers, setAnswers] = useState({});
+  const [result, setResult] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [soundPlaying, setSoundPlaying] = useState(false);
+  const startedAtRef = useRef(null);
+
+  const quizId = quiz?._id || quiz?._contentId || quiz?.contentId || quiz?.id;
+
+  // Learning time: heartbeats while the quiz is open
+  useLearningSession({
+    childId,
+    contentType: 'quiz',
+    contentId: quizId,
+    courseId,
+    active: open,
+    engaged: soundPlaying,
+  });
+
+  const startAttempt = useCallback(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    setAttempt(null);
+    setResult(null);
+    setAnswers({});
+    setIndex(0);
+
+    getQuizForChild(quizId, childId, courseId)
+      .then((data) => {
+        if (cancelled) return;
+        setAttempt(data);
+        startedAtRef.current = Date.now();
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [quizId, childId, courseId]);
+
+  useEffect(() => {
+    if (!open || !quizId || !childId || !courseId) return undefined;
+    return startAttempt();
+  }, [open, quizId, childId, courseId, startAttempt]);
+
+  const questions = attempt?.questions || [];
+  const question = questions[index];
+  const isLast = index === questions.length - 1;
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const data = await submitQuizAttempt(quizId, childId, {
+        courseId,
+        answers: questions.map((item) => ({ questionId: item._id, ...answers[item._id] })),
+        timeSpent: Math.round((Date.now() - startedAtRef.current) / 1000),
+      });
+      setResult(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const buttonSx = {
+    fontFamily: 'Quicksand, sans-serif',
+    fontWeight: 700,
+    fontSize: '1.2rem',
+    textTransform: 'none',
+    borderRadius: '12px',
+    padding: '10px 28px',
+  };
+
+  const renderQuestion = () => {
+    const answer = answers[question._id];
+    const setAnswer = (value) => setAnswers((prev) => ({ ...prev, [question._id]: value }));
+
+    return (
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, padding: { xs: 2, md: 4 } }}>
+        <LinearProgress
+          variant="determinate"
+          value={((index + 1) / questions.length) * 100}
+          sx={{ height: 10, borderRadius: '9999px', backgroundColor: themeColors.bgTertiary }}
+        />
+        <Typography sx={{ fontFamily: 'Quicksand, sans-serif', color: themeColors.textSecondary, fontWeight: 600 }}>
+          Question {index + 1} of {questions.length} · {KIND_HINTS[question.kind]}
+        </Typography>
+
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 3, flexWrap: 'wrap' }}>
+          {question.promptAudio && (
+            <PromptSound key={question._id} path={question.promptAudio} onPlayingChange={setSoundPlaying} />
+          )}
+          {question.prompt && (
+            <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 700, fontSize: '1.6rem', color: themeColors.text }}>
+              {question.prompt}
+            </Typography>
+          )}
+        </Box>
+        {question.promptImage && (
+          <MediaImage
+            path={question.promptImage}
+            alt="Question picture"
+            sx={{ maxWidth: '100%', maxHeight: 220, objectFit: 'contain', alignSelf: 'center', borderRadius: '12px' }}
+          />
+        )}
+
+        {question.kind === 'match' && (
+          <MatchQuestion key={question._id} question={question} answer={answer} onAnswer={setAnswer} />
+        )}
+        {question.kind === 'ordering' && (
+          <OrderingQuestion question={question} answer={answer} onAnswer={setAnswer} />
+        )}
+        {['picture_choice', 'audio_prompt'].includes(question.kind) && (
+          <ChoiceQuestion question={question} answer={answer} onAnswer={setAnswer} />
+        )}
+
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', marginTop: 2 }}>
+          <Button
+            onClick={() => setIndex((prev) => prev - 1)}
+            disabled={index === 0 || submitting}
+            sx={{ ...buttonSx, color: themeColors.textSecondary }}
+          >
+            Back
+          </Button>
+          <Button
+            variant="contained"
+            onClick={isLast ? handleSubmit : () => setIndex((prev) => prev + 1)}
+            disabled={!isAnswered(question, answer) || submitting}
+            sx={{ ...buttonSx, backgroundColor: themeColors.secondary, '&:hover': { backgroundColor: themeColors.primary } }}
+          >
+            {isLast ? (submitting ? 'Checking...' : 'Finish') : 'Next'}
+          </Button>
+        </Box>
+      </Box>
+    );
+  };
+
+  const renderResult = () => {
+    const missed = result.results.filter((item) => !item.correct);
+
+    return (
+      <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 3, padding: { xs: 2, md: 4 } }}>
+        <Typography sx={{ fontSize: '4rem', lineHeight: 1 }}>{result.passed ? '🎉' : '💪'}</Typography>
+        <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 700, fontSize: '2rem', color: themeColors.primary, textAlign: 'center' }}>
+          {result.passed ? 'Great job!' : 'Good try!'}
+        </Typography>
+        <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontSize: '1.3rem', color: themeColors.text, textAlign: 'center' }}>
+          You scored {result.percent}%{result.passed ? '' : ` - you need ${result.passingScore}% to pass`}
+        </Typography>
+        {result.starsEarned > 0 && (
+          <Box sx={{ backgroundColor: themeColors.accent, borderRadius: '9999px', padding: '8px 20px' }}>
+            <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 700, fontSize: '1.3rem', color: themeColors.textInverse }}>
+              ★ +{result.starsEarned} stars
+            </Typography>
+          </Box>
+        )}
+
+        {missed.length > 0 && (
+          <Box sx={{ width: '100%', display: 'flex', flexDirection: 'column', gap: 3, marginTop: 2 }}>
+            <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 700, fontSize: '1.3rem', color: themeColors.text }}>
+              Let&apos;s look at the right answers
+            </Typography>
+            {missed.map((item) => {
+              const missedQuestion = questions.find((entry) => sameId(entry._id, item.questionId));
+              if (!missedQuestion) return null;
+              return (
+                <Box key={item.questionId} sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <CancelIcon sx={{ color: themeColors.orange }} />
+                    <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600, color: themeColors.text }}>
+                      {missedQuestion.prompt || `Question ${questions.indexOf(missedQuestion) + 1}`}
+                    </Typography>
+                  </Box>
+                  <CorrectAnswer question={missedQuestion} correctAnswer={item.correctAnswer} />
+                </Box>
+              );
+            })}
+          </Box>
+        )}
+        {missed.length === 0 && (
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <CheckCircleIcon sx={{ color: themeColors.success }} />
+            <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600, color: themeColors.text }}>
+              Every answer was right!
+            </Typography>
+          </Box>
+        )}
+
+        <Box sx={{ display: 'flex', gap: 2, marginTop: 2 }}>
+          <Button onClick={startAttempt} sx={{ ...buttonSx, color: themeColors.secondary }}>
+            Try again
+          </Button>
+          <Button
+            variant="contained"
+            onClick={onClose}
+            sx={{ ...buttonSx, backgroundColor: themeColors.orange, '&:hover': { backgroundColor: themeColors.accent } }}
+          >
+            Done
+          </Button>
+        </Box>
+      </Box>
+    );
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="md"
+      fullWidth
+      disableEscapeKeyDown={true}
+      PaperProps={{
+        elevation: 8,
+        sx: {
+          borderRadius: '20px',
+          fontFamily: 'Quicksand, sans-serif',
+          maxHeight: '90vh',
+          backgroundColor: themeColors.bgCard,
+        },
+      }}
+      BackdropProps={{
+        sx: {
+          backgroundColor: 'rgba(0, 0, 0, 0.7)',
+        },
+      }}
+    >
+      <DialogTitle
+        sx={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          padding: 4,
+          borderBottom: `4px solid ${themeColors.secondary}`,
+          backgroundColor: themeColors.bgCard,
+        }}
+      >
+        <Box>
+          <Typography
+            component="span"
+            sx={{
+              display: 'block',
+              fontFamily: 'Quicksand, sans-serif',
+              fontWeight: 700,
+              fontSize: '2rem',
+              color: themeColors.primary,
+            }}
+          >
+            {attempt?.quiz?.title || quiz?.title || 'Quiz'}
+          </Typography>
+          {attempt?.quiz?.instructions && !result && (
+            <Typography component="span" sx={{ fontFamily: 'Quicksand, sans-serif', color: themeColors.textSecondary }}>
+              {attempt.quiz.instructions}
+            </Typography>
+          )}
+        </Box>
+        <IconButton
+          onClick={onClose}
+          size="large"
+          sx={{
+            color: themeColors.orange,
+            backgroundColor: themeColors.bgTertiary,
+            borderRadius: '12px',
+            padding: '12px',
+            '&:hover': {
+              backgroundColor: themeColors.orange,
+              color: themeColors.textInverse,
+              transform: 'scale(1.1)',
+            },
+          }}
+        >
+          <CloseIcon sx={{ fontSize: '2rem' }} />
+        </IconButton>
+      </DialogTitle>
+
+      <DialogContent sx={{ padding: 0, backgroundColor: themeColors.bgSecondary, minHeight: '420px' }}>
+        {loading && (
+          <Box sx={{ minHeight: '420px', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+            <CircularProgress sx={{ color: themeColors.primary }} />
+          </Box>
+        )}
+
+        {error && (
+          <Box sx={{ padding: 4 }}>
+            <Alert severity="error" sx={{ fontFamily: 'Quicksand, sans-serif', fontSize: '1.1rem' }}>
+              {error}
+            </Alert>
+          </Box>
+        )}
+
+        {!loading && attempt && !result && question && renderQuestion()}
+        {result && renderResult()}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default QuizPlayer;
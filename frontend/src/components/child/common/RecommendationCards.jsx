@@ -0,0 +1,140 @@
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+import { useNavigate } from 'react-router-dom';
+import { themeColors } from '../../../config/themeColors';
+import MediaImage from '../../common/MediaImage';
+
+const CONTENT_ICONS = {
+  activity: '🧩',
+  book: '📖',
+  video: '🎬',
+  chant: '🎵',
+  audioAssignment: '🎤',
+  quiz: '❓',
+  cmi5: '🎓',
+  explore: '📺',
+};
+
+/**
+ * Page a recommendation opens: the course module for course content,
+ * the explore category for explore videos
+ * @param {String} childId - Child ID
+ * @param {Object} recommendation - Item from the recommendations API (explore videos have videoType)
+ * @returns {String} Route path
+ */
+export const getRecommendationPath = (childId, recommendation) =>
+  recommendation.videoType
+    ? `/child/${childId}/explore/videos/${recommendation.videoType}`
+    : `/child/${childId}/journey/${recommendation.course._id}`;
+
+/**
+ * RecommendationCards Component
+ *
+ * Grid of recommended course content and explore videos with the main reason
+ * each one is suggested. Clicking a card opens its course or explore category.
+ *
+ * @param {String} childId - Child ID
+ * @param {Array} items - Recommended course content and/or explore videos
+ */
+const RecommendationCards = ({ childId, items = [] }) => {
+  const navigate = useNavigate();
+
+  if (items.length === 0) return null;
+
+  return (
+    <Box
+      sx={{
+        display: 'grid',
+        gridTemplateColumns: { xs: '1fr', sm: 'repeat(3, 1fr)' },
+        gap: '16px',
+      }}
+    >
+      {items.map((item) => {
+        const icon = CONTENT_ICONS[item.videoType ? 'explore' : item.contentType] || '⭐';
+        const subtitle = item.videoType ? 'Explore' : item.course?.title;
+
+        return (
+          <Box
+            key={item.videoType ? item._id : `${item.contentType}-${item.contentId}`}
+            component="button"
+            type="button"
+            onClick={() => navigate(getRecommendationPath(childId, item))}
+            aria-label={`Open ${item.title}`}
+            sx={{
+              display: 'flex',
+              flexDirection: 'column',
+              textAlign: 'left',
+              padding: 0,
+              border: `3px solid ${themeColors.accent}`,
+              backgroundColor: 'white',
+              cursor: 'pointer',
+              overflow: 'hidden',
+              boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)',
+              transition: 'transform 0.2s ease',
+              '&:hover': { transform: 'scale(1.03)' },
+            }}
+          >
+            <Box
+              sx={{
+                width: '100%',
+                height: '96px',
+                backgroundColor: themeColors.bgTertiary,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                fontSize: '40px',
+              }}
+            >
+              {item.coverImage ? (
+                <MediaImage
+                  path={item.coverImage}
+                  alt={item.title}
+                  sx={{ width: '100%', height: '100%', objectFit: 'cover' }}
+                />
+              ) : (
+                icon
+              )}
+            </Box>
+            <Box sx={{ padding: '12px', width: '100%', boxSizing: 'border-box' }}>
+              <Typography
+                sx={{
+                  fontFamily: 'Quicksand, sans-serif',
+                  fontSize: '16px',
+                  fontWeight: 700,
+                  color: themeColors.text,
+                }}
+                noWrap
+              >
+                {icon} {item.title}
+              </Typography>
+              {subtitle && (
+                <Typography
+                  sx={{ fontFamily: 'Quicksand, sans-serif', fontSize: '13px', color: themeColors.textMuted }}
+                  noWrap
+                >
+                  {subtitle}
+                  {item.durationMinutes ? ` · ${item.durationMinutes} min` : ''}
+                </Typography>
+              )}
+              {item.reasons?.[0] && (
+                <Typography
+                  sx={{
+                    fontFamily: 'Quicksand, sans-serif',
+                    fontSize: '13px',
+                    fontWeight: 600,
+                    color: themeColors.orange,
+                    marginTop: '4px',
+                  }}
+                >
+                  {item.reasons[0].text}
+                </Typography>
+              )}
+            </Box>
+          </Box>
+        );
+      })}
+    </Box>
+  );
+};
+
+export default RecommendationCards;
@@ -19,10 +19,12 @@ import { launchScorm } from '../../../services/scormService';
 import { useAuth } from '../../../hooks/userHook';
 import { themeColors } from '../../../config/themeColors';
 import useCourseProgress from '../../../hooks/courseProgressHook';
+import useLearningSession from '../../../hooks/learningSessionHook';
 import courseProgressService from '../../../services/courseProgressService';
 import { useParams } from 'react-router-dom';
 import axios from '../../../api/axios';
 import ScormCompletionDialog from './ScormCompletionDialog';
+import ScormTocSidebar from './ScormTocSidebar';
 import { useDispatch } from 'react-redux';
 import { updateChildStats } from '../../../store/slices/userSlice';
 
@@ -173,6 +175,11 @@ const ScormPlayer = ({
   const [showCompletionDialog, setShowCompletionDialog] = useState(false);
   const [completionData, setCompletionData] = useState(null);
   const [readingProgress, setReadingProgress] = useState({ readingCount: 0, requiredReadingCount: 5 });
+  // Multi-SCO packages: table of contents, launchable items and the item being played
+  const [toc, setToc] = useState(null);
+  const [scos, setScos] = useState([]);
+  const [currentScoId, setCurrentScoId] = useState(null);
+  const [switchingSco, setSwitchingSco] = useState(false);
   
   // Estimated minimum time for completion (60 seconds)
   const estimatedMinTime = 60;
@@ -180,6 +187,15 @@ const ScormPlayer = ({
   // Get courseId from URL params or context
   const { courseId } = useParams();
 
+  // Learning time: heartbeats while the player is open (book, chant, video activity, ...)
+  useLearningSession({
+    childId,
+    contentType,
+    contentId,
+    courseId,
+    active: open,
+  });
+
   /**
    * Fetch current book reading progress
    */
@@ -320,6 +336,9 @@ const ScormPlayer = ({
       setCompletionData(null);
       setReadingProgress({ readingCount: 0, requiredReadingCount: 5 });
       setIsCompleting(false);
+      setToc(null);
+      setScos([]);
+      setCurrentScoId(null);
 
       // Map contentType to backend format
       const backendContentType = contentType === 'video' ? 'video' : 
@@ -331,6 +350,9 @@ const ScormPlayer = ({
       
       if (response.success && response.data.launchUrl) {
         setScormUrl(response.data.launchUrl);
+        setToc(response.data.toc || null);
+        setScos(response.data.scos || []);
+        setCurrentScoId(response.data.scoId || null);
       } else {
         throw new Error('Failed to get SCORM launch URL');
       }
@@ -341,6 +363,53 @@ const ScormPlayer = ({
     }
   };
 
+  /**
+   * Switch to another SCO of a multi-SCO package
+   * Saves and finishes the current SCO first, then launches the new one
+   * (the launch response also refreshes the per-SCO statuses in the sidebar)
+   * @param {String} scoId - Manifest item identifier
+   */
+  const switchSco = (scoId) => {
+    if (!scoId || scoId === currentScoId || switchingSco) return;
+
+    setSwitchingSco(true);
+    try {
+      const iframe = iframeRef.current;
+      if (iframe && iframe.contentWindow) {
+        iframe.contentWindow.postMessage({ type: 'SCORM_SAVE' }, '*');
+        iframe.contentWindow.postMessage({ type: 'SCORM_FINISH' }, '*');
+      }
+    } catch (err) {
+      console.error('Error finishing SCO before switching:', err);
+    }
+
+    // Give the final commit a moment before the iframe navigates away
+    setTimeout(async () => {
+      try {
+        const response = await launchScorm(contentId, contentType, scoId);
+        if (response.success && response.data.launchUrl) {
+          setLoading(true);
+          setApiInitialized(false);
+          setCurrentStatus('not attempted');
+          setCurrentScore(null);
+          setMaxScore(null);
+          setTimeSpent('00:00:00.00');
+          setTimeSpentSeconds(0);
+          setCurrentProgress(0);
+          setToc(response.data.toc || null);
+          setScos(response.data.scos || []);
+          setCurrentScoId(response.data.scoId || scoId);
+          setScormUrl(response.data.launchUrl);
+        }
+      } catch (err) {
+        console.error('Error switching SCO:', err);
+        setError(err.message || 'Failed to open this part of the activity');
+      } finally {
+        setSwitchingSco(false);
+      }
+    }, 500);
+  };
+
   /**
    * Monitor iframe load and listen for postMessage updates from wrapper
    */
@@ -407,6 +476,21 @@ const ScormPlayer = ({
         // REMOVED: All auto-completion logic
         // User must click "Done" button to trigger completion check
       }
+
+      // SCORM 2004 navigation request (adl.nav.request) sent on Terminate
+      if (event.data && event.data.type === 'SCORM_NAV_REQUEST' && scos.length > 1) {
+        const request = event.data.data?.request || '';
+        const currentIndex = scos.findIndex((sco) => sco.identifier === currentScoId);
+        const choiceMatch = /^\{target=([^}]+)\}(choice|jump)$/.exec(request);
+
+        if (request === 'continue' && currentIndex < scos.length - 1) {
+          switchSco(scos[currentIndex + 1].identifier);
+        } else if (request === 'previous' && currentIndex > 0) {
+          switchSco(scos[currentIndex - 1].identifier);
+        } else if (choiceMatch) {
+          switchSco(choiceMatch[1]);
+        }
+      }
     };
 
     iframe.addEventListener('load', handleIframeLoad);
@@ -416,7 +500,8 @@ const ScormPlayer = ({
       iframe.removeEventListener('load', handleIframeLoad);
       window.removeEventListener('message', handleMessage);
     };
-  }, [scormUrl, contentId, contentType, user, courseId, childId, onComplete]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [scormUrl, contentId, contentType, user, courseId, childId, onComplete, scos, currentScoId]);
 
   // Progress monitoring is now handled via postMessage from wrapper
   // No need for startProgressMonitoring function anymore
@@ -963,39 +1048,49 @@ const ScormPlayer = ({
           </Box>
         )} */}
 
-        {/* SCORM Content Iframe */}
+        {/* SCORM Content Iframe (with table of contents for multi-SCO packages) */}
         {scormUrl && !error && (
-          <Box
-            sx={{
-              flex: 1,
-              position: 'relative',
-              backgroundColor: '#000',
-              display: loading ? 'none' : 'block',
-              overflow: 'hidden', // Hide scrollbar on container
-              '&::-webkit-scrollbar': {
-                display: 'none', // Hide scrollbar for Chrome, Safari, Edge
-              },
-              scrollbarWidth: 'none', // Hide scrollbar for Firefox
-              msOverflowStyle: 'none', // Hide scrollbar for IE and Edge
-            }}
-          >
-            <iframe
-              ref={iframeRef}
-              src={scormUrl}
-              style={{
-                width: '100%',
-                height: '100%',
-                minHeight: '600px',
-                border: 'none',
+          <Box sx={{ flex: 1, display: loading ? 'none' : 'flex', minHeight: '600px' }}>
+            {toc && (
+              <ScormTocSidebar
+                toc={toc}
+                currentScoId={currentScoId}
+                onSelect={switchSco}
+                disabled={switchingSco}
+              />
+            )}
+            <Box
+              sx={{
+                flex: 1,
+                position: 'relative',
+                backgroundColor: '#000',
                 display: 'block',
-                overflow: 'hidden', // Hide scrollbar on iframe
+                overflow: 'hidden', // Hide scrollbar on container
+                '&::-webkit-scrollbar': {
+                  display: 'none', // Hide scrollbar for Chrome, Safari, Edge
+                },
+                scrollbarWidth: 'none', // Hide scrollbar for Firefox
+                msOverflowStyle: 'none', // Hide scrollbar for IE and Edge
               }}
-              title="SCORM Content"
-              allow="fullscreen"
-              scrolling="no" // Disable scrolling on iframe (deprecated but still works)
-              // Removed sandbox to allow full window access (same-origin, so it's safe)
-              // The SCORM content needs to access window.parent.open without restrictions
-            />
+            >
+              <iframe
+                ref={iframeRef}
+                src={scormUrl}
+                style={{
+                  width: '100%',
+                  height: '100%',
+                  minHeight: '600px',
+                  border: 'none',
+                  display: 'block',
+                  overflow: 'hidden', // Hide scrollbar on iframe
+                }}
+                title="SCORM Content"
+                allow="fullscreen"
+                scrolling="no" // Disable scrolling on iframe (deprecated but still works)
+                // Removed sandbox to allow full window access (same-origin, so it's safe)
+                // The SCORM content needs to access window.parent.open without restrictions
+              />
+            </Box>
           </Box>
         )}
       </DialogContent>
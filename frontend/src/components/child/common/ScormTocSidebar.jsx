@@ -0,0 +1,121 @@
+import React from 'react';
+import { Box, Typography, ButtonBase } from '@mui/material';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import RadioButtonUncheckedIcon from '@mui/icons-material/RadioButtonUnchecked';
+import PlayCircleIcon from '@mui/icons-material/PlayCircle';
+import { themeColors } from '../../../config/themeColors';
+
+const isDone = (status) => status === 'completed' || status === 'passed';
+
+/**
+ * ScormTocSidebar Component
+ *
+ * Table of contents for multi-SCO SCORM packages.
+ * Renders the manifest organization tree; items with a launchUrl can be opened,
+ * items without one are section headings.
+ *
+ * @param {Object} toc - { title, items: [{ identifier, title, launchUrl, status, children }] }
+ * @param {String} currentScoId - Identifier of the SCO being played
+ * @param {Function} onSelect - Called with the item identifier when a SCO is picked
+ * @param {Boolean} disabled - Disable navigation (while switching)
+ */
+const ScormTocSidebar = ({ toc, currentScoId, onSelect, disabled = false }) => {
+  const renderItem = (item, depth) => {
+    const isCurrent = item.identifier === currentScoId;
+
+    if (!item.launchUrl) {
+      return (
+        <Box key={item.identifier}>
+          <Typography
+            sx={{
+              fontFamily: 'Quicksand, sans-serif',
+              fontWeight: 700,
+              fontSize: '1rem',
+              color: themeColors.textSecondary,
+              padding: '12px 12px 4px',
+              paddingLeft: `${12 + depth * 16}px`,
+            }}
+          >
+            {item.title}
+          </Typography>
+          {item.children.map((child) => renderItem(child, depth + 1))}
+        </Box>
+      );
+    }
+
+    return (
+      <Box key={item.identifier}>
+        <ButtonBase
+          onClick={() => onSelect(item.identifier)}
+          disabled={disabled || isCurrent}
+          aria-current={isCurrent ? 'step' : undefined}
+          sx={{
+            width: '100%',
+            justifyContent: 'flex-start',
+            gap: 1,
+            padding: '10px 12px',
+            paddingLeft: `${12 + depth * 16}px`,
+            borderRadius: '12px',
+            textAlign: 'left',
+            backgroundColor: isCurrent ? themeColors.secondary : 'transparent',
+            color: isCurrent ? themeColors.textInverse : themeColors.text,
+            '&:hover': {
+              backgroundColor: isCurrent ? themeColors.secondary : themeColors.bgTertiary,
+            },
+          }}
+        >
+          {isCurrent ? (
+            <PlayCircleIcon sx={{ fontSize: '1.4rem' }} />
+          ) : isDone(item.status) ? (
+            <CheckCircleIcon sx={{ fontSize: '1.4rem', color: themeColors.success }} />
+          ) : (
+            <RadioButtonUncheckedIcon sx={{ fontSize: '1.4rem', color: themeColors.textMuted }} />
+          )}
+          <Typography
+            component="span"
+            sx={{
+              fontFamily: 'Quicksand, sans-serif',
+              fontWeight: 600,
+              fontSize: '1.05rem',
+            }}
+          >
+            {item.title}
+          </Typography>
+        </ButtonBase>
+        {item.children.map((child) => renderItem(child, depth + 1))}
+      </Box>
+    );
+  };
+
+  return (
+    <Box
+      component="nav"
+      aria-label="Lessons"
+      sx={{
+        width: { xs: '180px', md: '240px' },
+        flexShrink: 0,
+        overflowY: 'auto',
+        backgroundColor: themeColors.bgCard,
+        borderRight: `4px solid ${themeColors.secondary}`,
+        padding: 1,
+      }}
+    >
+      {toc.title && (
+        <Typography
+          sx={{
+            fontFamily: 'Quicksand, sans-serif',
+            fontWeight: 700,
+            fontSize: '1.2rem',
+            color: themeColors.primary,
+            padding: '8px 12px',
+          }}
+        >
+          {toc.title}
+        </Typography>
+      )}
+      {toc.items.map((item) => renderItem(item, 0))}
+    </Box>
+  );
+};
+
+export default ScormTocSidebar;
@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
+import Hls from 'hls.js';
 import {
   Dialog,
   DialogTitle,
@@ -16,10 +17,12 @@ import { themeColors } from '../../../config/themeColors';
 import ScormPlayer from './ScormPlayer';
 import useCourseProgress from '../../../hooks/courseProgressHook';
 import useExploreVideoWatch from '../../../hooks/exploreVideoWatchHook';
+import useLearningSession from '../../../hooks/learningSessionHook';
 import ChildDialogBox from '../../common/ChildDialogBox';
 import { useDispatch } from 'react-redux';
 import { updateChildStats } from '../../../store/slices/userSlice';
 import courseProgressService from '../../../services/courseProgressService';
+import useMediaUrl from '../../../hooks/mediaHook';
 
 // Confirmation Dialog Component
 const ConfirmCloseDialog = ({ open, onConfirm, onCancel, title }) => (
@@ -163,6 +166,12 @@ const VideoPlayerModal = ({
   const [isRecordingWatch, setIsRecordingWatch] = useState(false);
   const [hasRecordedWatch, setHasRecordedWatch] = useState(false); // Prevent duplicate watch recording
   const [isClosingModal, setIsClosingModal] = useState(false); // Track if we're closing the modal
+  const [hlsFailed, setHlsFailed] = useState(false); // Fall back to the original file
+
+  // Videos are private uploads: the player loads signed, expiring URLs
+  const { url: sourceUrl } = useMediaUrl(open ? video?.url || video?.filePath : null);
+  const { url: hlsSource } = useMediaUrl(open ? video?.hlsUrl : null);
+  const { url: posterUrl } = useMediaUrl(open ? video?.thumbnail : null);
 
   // Get video watch methods from hooks
   // Note: Using markVideoWatched and getVideoWatchStatus from hook
@@ -333,21 +342,7 @@ const VideoPlayerModal = ({
   // Get video URL
   useEffect(() => {
     if (video && open) {
-      const getVideoUrl = () => {
-        if (!video.url && !video.filePath) return null;
-
-        // If already a full URL, return as-is
-        if (video.url && (video.url.startsWith('http://') || video.url.startsWith('https://'))) {
-          return video.url;
-        }
-
-        // Build full URL from relative path
-        const baseUrl = import.meta.env.VITE_API_URL?.replace('/api', '') || 'http://localhost:5000';
-        const path = video.url || video.filePath;
-        return `${baseUrl}${path.startsWith('/') ? path : `/${path}`}`;
-      };
-
-      const newVideoUrl = getVideoUrl();
+      const newVideoUrl = sourceUrl;
 
       // Only reset states if the video URL actually changed (new video)
       // Don't reset if completion dialog has been shown (video just finished)
@@ -365,6 +360,7 @@ const VideoPlayerModal = ({
         setStarsAlreadyAwarded(false);
         setWatchStatusBefore(null);
         setIsClosingModal(false); // Reset closing state when video changes
+        setHlsFailed(false);
         // Clear auto-close timer when video changes
         if (autoCloseTimerRef.current) {
           clearTimeout(autoCloseTimerRef.current);
@@ -377,7 +373,42 @@ const VideoPlayerModal = ({
         setVideoUrl(newVideoUrl);
       }
     }
-  }, [video, open, videoUrl, showCompletionDialog]);
+  }, [video, open, videoUrl, sourceUrl, showCompletionDialog]);
+
+  // Stream the HLS renditions once the server has transcoded the video;
+  // the original file plays before that and if streaming fails
+  const streamHls = Boolean(hlsSource) && !hlsFailed;
+
+  useEffect(() => {
+    const videoElement = videoRef.current;
+    if (!open || !streamHls || !videoUrl || !videoElement) return undefined;
+
+    // Safari and iOS play HLS natively
+    if (videoElement.canPlayType('application/vnd.apple.mpegurl')) {
+      videoElement.src = hlsSource;
+      return undefined;
+    }
+
+    if (!Hls.isSupported()) {
+      setHlsFailed(true);
+      return undefined;
+    }
+
+    const hls = new Hls({ capLevelToPlayerSize: true });
+    hls.on(Hls.Events.ERROR, (event, data) => {
+      if (data.fatal) {
+        console.error('HLS playback failed, using the original video file:', data.type);
+        hls.destroy();
+        setHlsFailed(true);
+      }
+    });
+    hls.loadSource(hlsSource);
+    hls.attachMedia(videoElement);
+
+    return () => {
+      hls.destroy();
+    };
+  }, [open, streamHls, hlsSource, videoUrl]);
 
   // Auto-play video when loaded
   useEffect(() => {
@@ -723,6 +754,16 @@ const VideoPlayerModal = ({
   // Get video ID
   const videoId = video?._id || video?._contentId || video?.contentId || video?.id;
 
+  // Learning time: the video counts while it plays; the SCORM activity tracks its own session
+  useLearningSession({
+    childId,
+    contentType: isExploreVideo ? 'exploreVideo' : 'video',
+    contentId: isExploreVideo ? exploreContentId : videoId,
+    courseId: isExploreVideo ? null : courseId,
+    active: open && !scormOpen,
+    engaged: videoPlaying,
+  });
+
   return (
     <>
       <Dialog
@@ -804,7 +845,8 @@ const VideoPlayerModal = ({
             <>
               <video
                 ref={videoRef}
-                src={videoUrl}
+                src={streamHls ? undefined : videoUrl}
+                poster={posterUrl || undefined}
                 controls={false}
                 disablePictureInPicture
                 controlsList="nodownload nofullscreen noremoteplayback"
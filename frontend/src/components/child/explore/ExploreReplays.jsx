@@ -126,6 +126,9 @@ const ExploreReplays = ({ childId }) => {
       url: videoUrl,
       description: exploreVideo.description,
       duration: exploreVideo.duration,
+      // HLS playlist and poster once the video is processed
+      hlsUrl: videoFile?.hlsUrl,
+      thumbnail: videoFile?.thumbnail || exploreVideo.coverImage,
       // SCORM file if exists
       scormFile: videoFile?.scormFile,
       scormFileUrl: videoFile?.scormFileUrl,
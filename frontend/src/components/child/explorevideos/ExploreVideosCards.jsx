@@ -208,6 +208,9 @@ const ExploreVideosCards = ({ childId, videoType }) => {
       url: videoUrl,
       description: exploreVideo.description,
       duration: exploreVideo.duration,
+      // HLS playlist and poster once the video is processed
+      hlsUrl: videoFile?.hlsUrl,
+      thumbnail: videoFile?.thumbnail || exploreVideo.coverImage,
       // SCORM file if exists
       scormFile: videoFile?.scormFile,
       scormFileUrl: videoFile?.scormFileUrl,
@@ -5,12 +5,15 @@ import sampleImage from '../../../assets/images/sample.png';
 import { themeColors } from '../../../config/themeColors';
 import { useNavigate, useParams } from 'react-router-dom';
 import childrenService from '../../../services/childrenService';
+import { getChildRecommendations } from '../../../services/recommendationService';
+import RecommendationCards, { getRecommendationPath } from '../common/RecommendationCards';
 
 /**
  * ChildHomeStartLearning Component
  * 
  * Welcome card component for child home page
  * Displays personalized greeting with avatar and start learning button
+ * The button opens the top recommendation; the next few are shown below it
  * 
  * Uses API to fetch child data if not provided via props
  */
@@ -18,6 +21,7 @@ const ChildHomeStartLearning = ({ child: childProp }) => {
   const navigate = useNavigate();
   const { id: childId } = useParams();
   const [child, setChild] = useState(childProp);
+  const [recommendations, setRecommendations] = useState([]);
 
   // Fetch child data from API if not provided via props
   useEffect(() => {
@@ -46,8 +50,23 @@ const ChildHomeStartLearning = ({ child: childProp }) => {
     }
   }, [childProp]);
 
+  // Recommendations are optional; without them the button opens Explore
+  useEffect(() => {
+    if (!childId) return;
+
+    getChildRecommendations(childId, { limit: 3, exploreLimit: 1 })
+      .then((data) => {
+        setRecommendations([...data.items, ...data.exploreVideos]);
+      })
+      .catch((err) => {
+        console.error('[ChildHomeStartLearning] Error fetching recommendations:', err);
+      });
+  }, [childId]);
+
+  const [topPick, ...upNext] = recommendations;
+
   const handleStartLearning = () => {
-    navigate(`/child/${childId}/explore`);
+    navigate(topPick ? getRecommendationPath(childId, topPick) : `/child/${childId}/explore`);
   };
 
   return (
@@ -157,8 +176,26 @@ const ChildHomeStartLearning = ({ child: childProp }) => {
             fill: 'white',
           }}
         />
-        Start Learning!
+        {topPick ? `Start: ${topPick.title}` : 'Start Learning!'}
       </Button>
+
+      {/* Up next */}
+      {upNext.length > 0 && (
+        <Box sx={{ marginTop: '24px' }}>
+          <Typography
+            sx={{
+              fontFamily: 'Quicksand, sans-serif',
+              fontSize: '20px',
+              fontWeight: 600,
+              color: themeColors.primary,
+              marginBottom: '12px',
+            }}
+          >
+            Up next for you
+          </Typography>
+          <RecommendationCards childId={childId} items={upNext} />
+        </Box>
+      )}
     </Box>
   );
 };
@@ -205,6 +205,9 @@ const ChildJourneyCards = ({ courses = [] }) => {
             const course = courseItem.course || {};
             const status = courseItem.status || 'not_started';
             const isLocked = status === 'locked';
+            // Courses assigned by a parent or teacher can be paused or have a target date
+            const isPaused = courseItem.assignment?.status === 'paused';
+            const targetDate = status !== 'completed' ? courseItem.assignment?.targetDate : null;
             // Use sequential position for step display (1, 2, 3...) 
             // Courses are already sorted by stepOrder from backend, so index + 1 represents the sequential position
             // This displays as "Step 1", "Step 2", etc. regardless of raw stepOrder values (10, 20, 30...)
@@ -435,13 +438,28 @@ const ChildJourneyCards = ({ courses = [] }) => {
                     fontWeight: 600,
                   }}
                   title={isLocked 
-                    ? 'Complete previous steps to unlock'
+                    ? (isPaused ? 'Paused by your grown-up' : 'Complete previous steps to unlock')
                     : (course.description || 'No description available')}
                 >
                   {isLocked 
-                    ? 'Complete previous weeks to unlock'
+                    ? (isPaused ? 'Paused for now' : 'Complete previous weeks to unlock')
                     : truncateDescription(course.description || 'No description available', 50)}
                 </Typography>
+
+                {/* Target date set by a parent or teacher */}
+                {targetDate && !isLocked && (
+                  <Typography
+                    sx={{
+                      fontSize: '13px',
+                      color: themeColors.orange,
+                      fontFamily: theme.typography.fontFamily,
+                      fontWeight: 700,
+                      marginTop: '4px',
+                    }}
+                  >
+                    Finish by {new Date(targetDate).toLocaleDateString()}
+                  </Typography>
+                )}
               </Box>
             </Box>
           </Card>
@@ -0,0 +1,48 @@
+import React, { useState, useEffect } from 'react';
+import { Box, Typography } from '@mui/material';
+import { themeColors } from '../../../config/themeColors';
+import { getChildRecommendations } from '../../../services/recommendationService';
+import RecommendationCards from '../common/RecommendationCards';
+
+/**
+ * ChildJourneyRecommendations Component
+ *
+ * "Recommended for you" strip on the journey page: the best next content of
+ * the child's open courses. Hidden when there is nothing to recommend.
+ */
+const ChildJourneyRecommendations = ({ childId }) => {
+  const [items, setItems] = useState([]);
+
+  useEffect(() => {
+    if (!childId) return;
+
+    getChildRecommendations(childId, { limit: 3, exploreLimit: 0 })
+      .then((data) => {
+        setItems(data.items);
+      })
+      .catch((err) => {
+        console.error('[ChildJourneyRecommendations] Error fetching recommendations:', err);
+      });
+  }, [childId]);
+
+  if (items.length === 0) return null;
+
+  return (
+    <Box sx={{ width: '100%', marginBottom: '32px' }}>
+      <Typography
+        sx={{
+          fontFamily: 'Quicksand, sans-serif',
+          fontSize: '24px',
+          fontWeight: 700,
+          color: themeColors.textInverse,
+          marginBottom: '12px',
+        }}
+      >
+        Recommended for you
+      </Typography>
+      <RecommendationCards childId={childId} items={items} />
+    </Box>
+  );
+};
+
+export default ChildJourneyRecommendations;
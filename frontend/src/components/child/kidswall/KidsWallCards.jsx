@@ -1,6 +1,7 @@
 import React from 'react';
 import { Box, Typography, IconButton, Button } from '@mui/material';
 import { themeColors } from '../../../config/themeColors';
+import MediaImage from '../../common/MediaImage';
 
 /**
  * Heart Icon Component (Custom SVG)
@@ -57,21 +58,6 @@ const KidsWallCards = ({ posts = [], onDelete, onToggleLike, onToggleStar, curre
     return emojiList[index];
   };
 
-  // Get image URL
-  const getImageUrl = (image) => {
-    if (!image) return null;
-
-    // If already a full URL, return as-is
-    if (image.url && (image.url.startsWith('http://') || image.url.startsWith('https://'))) {
-      return image.url;
-    }
-
-    // Build full URL from relative path
-    const baseUrl = import.meta.env.VITE_API_URL?.replace('/api', '') || 'http://localhost:5000';
-    const path = image.url || image.filePath;
-    return `${baseUrl}${path.startsWith('/') ? path : `/${path}`}`;
-  };
-
   // Get like count
   const getLikeCount = (post) => {
     return post.likes?.length || post.likeCount || 0;
@@ -126,7 +112,7 @@ const KidsWallCards = ({ posts = [], onDelete, onToggleLike, onToggleStar, curre
     >
       {posts.map((post) => {
         const image = post.images?.[0];
-        const imageUrl = image ? getImageUrl(image) : null;
+        const imagePath = image ? image.url || image.filePath : null;
         const child = post.child || {};
         const childName = child.displayName || 'Child';
         const childAge = child.age || null;
@@ -148,7 +134,7 @@ const KidsWallCards = ({ posts = [], onDelete, onToggleLike, onToggleStar, curre
             }}
           >
             {/* First Row: Image (Perfect Square) */}
-            {imageUrl && (
+            {imagePath && (
               <Box
                 sx={{
                   width: '100%',
@@ -158,9 +144,8 @@ const KidsWallCards = ({ posts = [], onDelete, onToggleLike, onToggleStar, curre
                   overflow: 'hidden',
                 }}
               >
-                <Box
-                  component="img"
-                  src={imageUrl}
+                <MediaImage
+                  path={imagePath}
                   alt={post.title || 'Post image'}
                   sx={{
                     position: 'absolute',
@@ -15,21 +15,10 @@ import {
 import { Close as CloseIcon, Mic as MicIcon, Stop as StopIcon, Upload as UploadIcon, CloudUpload as CloudUploadIcon } from '@mui/icons-material';
 import { themeColors } from '../../../config/themeColors';
 import audioAssignmentProgressService from '../../../services/audioAssignmentProgressService';
+import AudioAssignmentReviewDetails from './AudioAssignmentReviewDetails';
 import courseProgressService from '../../../services/courseProgressService';
-
-const buildPublicUrl = (maybeUrl) => {
-  if (!maybeUrl) return null;
-  // Handle both string URLs and Media objects with .url property
-  const urlStr = typeof maybeUrl === 'string' ? maybeUrl : maybeUrl?.url || '';
-  if (!urlStr) return null;
-  
-  // If already absolute, return as-is
-  if (urlStr.startsWith('http://') || urlStr.startsWith('https://')) return urlStr;
-  
-  // Otherwise, prepend base URL
-  const baseUrl = import.meta.env.VITE_API_URL?.replace('/api', '') || 'http://localhost:5000';
-  return `${baseUrl}${urlStr.startsWith('/') ? urlStr : `/${urlStr}`}`;
-};
+import useLearningSession from '../../../hooks/learningSessionHook';
+import useMediaUrl from '../../../hooks/mediaHook';
 
 const pickBestAudioMimeType = () => {
   const candidates = [
@@ -173,19 +162,30 @@ const AudioAssignmentRecordingModal = ({
   const chunksRef = useRef([]);
   const timerRef = useRef(null);
 
-  const instructionVideoUrl = useMemo(() => {
+  // Learning time: heartbeats while the modal is open, recording counts as active
+  useLearningSession({
+    childId,
+    contentType: 'audioAssignment',
+    contentId: audioAssignmentId,
+    courseId,
+    active: open,
+    engaged: isRecording,
+  });
+
+  const instructionVideoPath = useMemo(() => {
     const media = progress?.audioAssignment?.instructionVideo || audioAssignment?.instructionVideo;
     const url = typeof media === 'string' ? media : media?.url;
-    // Only use buildPublicUrl if it's a valid path or URL, not just an ID
+    // Only a path or URL can be played, not just an ID
     if (!url || /^[a-f0-9]{24}$/i.test(url)) return null;
-    return buildPublicUrl(url);
+    return url;
   }, [progress?.audioAssignment?.instructionVideo, audioAssignment?.instructionVideo]);
+  const { url: instructionVideoUrl } = useMediaUrl(instructionVideoPath);
 
-  const referenceAudioUrl = useMemo(() => {
+  const referenceAudioPath = useMemo(() => {
     const media = progress?.audioAssignment?.referenceAudio || audioAssignment?.referenceAudio;
-    const url = typeof media === 'string' ? media : media?.url;
-    return buildPublicUrl(url);
+    return (typeof media === 'string' ? media : media?.url) || null;
   }, [progress?.audioAssignment?.referenceAudio, audioAssignment?.referenceAudio]);
+  const { url: referenceAudioUrl } = useMediaUrl(referenceAudioPath);
 
   const cleanupRecording = () => {
     if (timerRef.current) {
@@ -465,6 +465,7 @@ const AudioAssignmentRecordingModal = ({
   };
 
   const status = progress?.status || 'not_started';
+  const latestAttempt = progress?.attemptHistory?.[progress.attemptHistory.length - 1] || null;
   const statusChip = (() => {
     if (status === 'approved') return { label: 'Approved', color: themeColors.success };
     if (status === 'rejected') return { label: "Let's Try Again!", color: themeColors.orange };
@@ -854,12 +855,19 @@ const AudioAssignmentRecordingModal = ({
                       Teacher's tip: {progress.adminFeedback}
                     </Typography>
                   )}
+                  <AudioAssignmentReviewDetails attempt={latestAttempt} />
                 </Box>
               )}
 
               {status === 'approved' && (
                 <Alert severity="success" sx={{ fontFamily: 'Quicksand, sans-serif' }}>
-                  Approved! You earned {progress?.starsEarned || 0} stars.
+                  Approved! You earned {progress?.starsEarned || 0}
+                  {progress?.audioAssignment?.starsAwarded > (progress?.starsEarned || 0)
+                    ? ` of ${progress.audioAssignment.starsAwarded}`
+                    : ''}{' '}
+                  stars.
+                  {progress?.adminFeedback ? ` Teacher's tip: ${progress.adminFeedback}` : ''}
+                  <AudioAssignmentReviewDetails attempt={latestAttempt} />
                 </Alert>
               )}
               {status === 'submitted' && (
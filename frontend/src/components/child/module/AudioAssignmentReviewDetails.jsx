@@ -0,0 +1,64 @@
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+import StarIcon from '@mui/icons-material/Star';
+import { themeColors } from '../../../config/themeColors';
+
+const formatTimestamp = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.floor(seconds % 60);
+  return `${minutes}:${rest.toString().padStart(2, '0')}`;
+};
+
+/**
+ * AudioAssignmentReviewDetails Component
+ *
+ * Kid-friendly view of the teacher's review of the latest recording:
+ * a row of stars per rubric criterion and the teacher's notes at moments
+ * in the recording
+ */
+const AudioAssignmentReviewDetails = ({ attempt }) => {
+  if (!attempt || (!attempt.scores?.length && !attempt.comments?.length)) return null;
+
+  const textSx = { fontFamily: 'Quicksand, sans-serif', color: themeColors.text };
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.25, marginTop: 1.5 }}>
+      {attempt.scores?.map((entry) => (
+        <Box key={entry.criterion}>
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 1 }}>
+            <Typography sx={{ ...textSx, fontWeight: 700, fontSize: '0.95rem' }}>{entry.label}</Typography>
+            <Box aria-label={`${entry.score} out of ${entry.maxScore}`} sx={{ display: 'flex' }}>
+              {Array.from({ length: entry.maxScore }, (_, index) => (
+                <StarIcon
+                  key={index}
+                  sx={{ fontSize: '1.2rem', color: index < entry.score ? themeColors.accent : themeColors.border }}
+                />
+              ))}
+            </Box>
+          </Box>
+          {entry.comment && (
+            <Typography sx={{ ...textSx, fontSize: '0.85rem', color: themeColors.textSecondary }}>{entry.comment}</Typography>
+          )}
+        </Box>
+      ))}
+
+      {attempt.comments?.length > 0 && (
+        <Box>
+          <Typography sx={{ ...textSx, fontWeight: 700, fontSize: '0.95rem', marginBottom: 0.5 }}>
+            Listen again at…
+          </Typography>
+          {attempt.comments.map((comment, index) => (
+            <Typography key={`${comment.at}-${index}`} sx={{ ...textSx, fontSize: '0.875rem' }}>
+              <Box component="span" sx={{ fontFamily: 'monospace', fontWeight: 700, color: themeColors.secondary, marginRight: 1 }}>
+                {formatTimestamp(comment.at)}
+              </Box>
+              {comment.text}
+            </Typography>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default AudioAssignmentReviewDetails;
@@ -18,20 +18,14 @@ import { updateChildStats } from '../../../store/slices/userSlice';
 import { themeColors } from '../../../config/themeColors';
 import chantProgressService from '../../../services/chantProgressService';
 import courseProgressService from '../../../services/courseProgressService';
+import useLearningSession from '../../../hooks/learningSessionHook';
+import useMediaUrl from '../../../hooks/mediaHook';
 
-const buildPublicUrl = (maybeUrl) => {
-  if (!maybeUrl) return null;
-  // Handle both string URLs and Media objects with .url property
-  const urlStr = typeof maybeUrl === 'string' ? maybeUrl : maybeUrl?.url || '';
-  if (!urlStr) return null;
-  
-  // If already absolute, return as-is
-  if (urlStr.startsWith('http://') || urlStr.startsWith('https://')) return urlStr;
-  
-  // Otherwise, prepend base URL
-  const baseUrl = import.meta.env.VITE_API_URL?.replace('/api', '') || 'http://localhost:5000';
-  return `${baseUrl}${urlStr.startsWith('/') ? urlStr : `/${urlStr}`}`;
-};
+// Recordings are scored in the background; check for the result this often
+const ANALYSIS_POLL_INTERVAL_MS = 2000;
+const ANALYSIS_POLL_ATTEMPTS = 60;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 const pickBestAudioMimeType = () => {
   const candidates = [
@@ -144,7 +138,8 @@ const ConfirmCloseDialog = ({ open, onConfirm, onCancel, title }) => (
 /**
  * ChantRecordingModal (Child-facing)
  *
- * Similar to audio assignment modal, but completion is immediate (no review).
+ * Similar to audio assignment modal, but there is no review: the chant is
+ * completed as soon as the recording has been scored in the background.
  */
 const ChantRecordingModal = ({ open, onClose, chant, childId, courseId, onAfterComplete }) => {
   const dispatch = useDispatch();
@@ -167,13 +162,24 @@ const ChantRecordingModal = ({ open, onClose, chant, childId, courseId, onAfterC
   const chunksRef = useRef([]);
   const timerRef = useRef(null);
 
-  const instructionVideoUrl = useMemo(() => {
+  // Learning time: heartbeats while the modal is open, recording counts as active
+  useLearningSession({
+    childId,
+    contentType: 'chant',
+    contentId: chantId,
+    courseId,
+    active: open,
+    engaged: isRecording,
+  });
+
+  const instructionVideoPath = useMemo(() => {
     const media = progress?.chant?.instructionVideo || chant?.instructionVideo;
     const url = typeof media === 'string' ? media : media?.url;
-    // Only use buildPublicUrl if it's a valid path or URL, not just an ID
+    // Only a path or URL can be played, not just an ID
     if (!url || /^[a-f0-9]{24}$/i.test(url)) return null;
-    return buildPublicUrl(url);
+    return url;
   }, [progress?.chant?.instructionVideo, chant?.instructionVideo]);
+  const { url: instructionVideoUrl } = useMediaUrl(instructionVideoPath);
 
   const cleanupRecording = () => {
     if (timerRef.current) {
@@ -211,6 +217,18 @@ const ChantRecordingModal = ({ open, onClose, chant, childId, courseId, onAfterC
     setProgress(res?.data || null);
   };
 
+  // Poll until the recording has been scored; returns the latest progress
+  const waitForAnalysis = async (initialProgress) => {
+    let latest = initialProgress;
+    for (let attempt = 0; attempt < ANALYSIS_POLL_ATTEMPTS && latest?.analysis?.status === 'pending'; attempt += 1) {
+      await wait(ANALYSIS_POLL_INTERVAL_MS);
+      const res = await chantProgressService.getProgress(chantId, childId);
+      latest = res?.data || latest;
+      setProgress(latest);
+    }
+    return latest;
+  };
+
   useEffect(() => {
     if (!open) return;
     if (!chantId || !childId) return;
@@ -381,16 +399,18 @@ const ChantRecordingModal = ({ open, onClose, chant, childId, courseId, onAfterC
       );
 
       const completeResult = await chantProgressService.complete(chantId, childId, fd);
-      await fetchProgress();
+      setProgress(completeResult?.data || null);
+      const result = await waitForAnalysis(completeResult?.data);
 
-      // Mark course content as completed
-      if (courseId) {
+      // Mark course content as completed - a recording that did not match
+      // the reference closely enough leaves the chant open for another try
+      if (courseId && result?.status === 'completed') {
         await courseProgressService.updateContentProgress(courseId, childId, chantId, 'chant');
       }
 
       // Update Redux state with new stars - this is the source of truth
-      if (completeResult?.data?.starsEarned) {
-        const starsEarned = completeResult.data.starsEarned;
+      if (result?.starsEarned) {
+        const starsEarned = result.starsEarned;
         console.log('[ChantRecordingModal] Chant completed, stars earned:', starsEarned);
         
         // Dispatch Redux action to update child stats
@@ -707,9 +727,25 @@ const ChantRecordingModal = ({ open, onClose, chant, childId, courseId, onAfterC
                 </Box>
               )}
 
+              {progress?.analysis?.status === 'pending' && (
+                <Alert severity="info" sx={{ fontFamily: 'Quicksand, sans-serif' }}>
+                  Listening to your chant…
+                </Alert>
+              )}
+
+              {status !== 'completed' && progress?.analysis?.status !== 'pending' && progress?.analysis?.passed === false && (
+                <Alert severity="warning" sx={{ fontFamily: 'Quicksand, sans-serif' }}>
+                  {progress.analysis.status === 'failed'
+                    ? 'We could not listen to your chant this time.'
+                    : `Almost there! Your chant matched ${progress.analysis.score}% and needs ${progress.analysis.minScore}%.`}
+                  {' '}Listen to the chant again and record another try.
+                </Alert>
+              )}
+
               {status === 'completed' && (
                 <Alert icon={<CheckIcon />} severity="success" sx={{ fontFamily: 'Quicksand, sans-serif' }}>
                   Completed! You earned {progress?.starsEarned || 0} stars.
+                  {progress?.analysis?.status === 'completed' && ` Your chant matched ${progress.analysis.score}%.`}
                 </Alert>
               )}
             </Box>
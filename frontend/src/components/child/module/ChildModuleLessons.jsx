@@ -0,0 +1,162 @@
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+import { themeColors } from '../../../config/themeColors';
+
+/**
+ * ChildModuleLessons Component
+ *
+ * Interactive lessons section (cmi5 AUs imported into the course) in a 3-column grid.
+ * Renders nothing when the course has no cmi5 lessons.
+ */
+const ChildModuleLessons = ({ lessons = [], courseProgress = null, onLessonClick }) => {
+  // Get completed lesson IDs from progress
+  const completedLessons = new Set();
+  if (courseProgress?.progress?.contentProgress) {
+    courseProgress.progress.contentProgress
+      .filter((item) => item.contentType === 'cmi5' && item.status === 'completed')
+      .forEach((item) => completedLessons.add(item.contentId.toString()));
+  }
+
+  const isLessonCompleted = (lesson) => {
+    const lessonId = lesson._contentId || lesson._id || lesson.contentId;
+    return lessonId ? completedLessons.has(lessonId.toString()) : false;
+  };
+
+  if (!lessons || lessons.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box
+      sx={{
+        width: '100%',
+        marginTop: '32px',
+      }}
+    >
+      {/* Section Title */}
+      <Typography
+        sx={{
+          fontSize: '24px',
+          fontWeight: 600,
+          color: themeColors.textInverse,
+          marginBottom: '24px',
+        }}
+      >
+        Lessons
+      </Typography>
+
+      {/* Lessons Grid - 3 columns */}
+      <Box
+        sx={{
+          display: 'grid',
+          gridTemplateColumns: {
+            xs: '1fr',
+            sm: 'repeat(2, 1fr)',
+            md: 'repeat(3, 1fr)',
+          },
+          gap: '24px',
+        }}
+      >
+        {lessons.map((lesson, index) => {
+          const lessonId = lesson._id || lesson._contentId || lesson.contentId || lesson.id;
+          const isCompleted = isLessonCompleted(lesson);
+
+          return (
+            <Box
+              key={lessonId || index}
+              onClick={() => {
+                if (onLessonClick) {
+                  onLessonClick(lesson);
+                }
+              }}
+              sx={{
+                position: 'relative',
+                cursor: 'pointer',
+                transition: 'transform 0.2s ease',
+                '&:hover': {
+                  transform: 'scale(1.05)',
+                },
+                backgroundColor: themeColors.textInverse,
+                borderRadius: '0px',
+                overflow: 'hidden',
+                padding: '20px',
+              }}
+            >
+              {/* Star points and completion */}
+              <Box
+                sx={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  marginBottom: '12px',
+                }}
+              >
+                <Typography
+                  sx={{
+                    fontSize: '13px',
+                    fontWeight: 600,
+                    color: isCompleted ? themeColors.secondary : themeColors.textSecondary,
+                  }}
+                >
+                  {isCompleted ? 'Completed' : 'Interactive lesson'}
+                </Typography>
+                {lesson.starsAwarded > 0 && (
+                  <Box
+                    sx={{
+                      backgroundColor: themeColors.accent,
+                      borderRadius: '9999px',
+                      padding: '4px 10px',
+                    }}
+                  >
+                    <Typography
+                      sx={{
+                        fontSize: '14px',
+                        fontWeight: 600,
+                        color: themeColors.textInverse,
+                      }}
+                    >
+                      ★ {lesson.starsAwarded}
+                    </Typography>
+                  </Box>
+                )}
+              </Box>
+
+              {/* Title */}
+              <Typography
+                sx={{
+                  fontSize: '16px',
+                  fontWeight: 600,
+                  color: themeColors.text,
+                  marginBottom: '8px',
+                  lineHeight: 1.4,
+                }}
+              >
+                {lesson.title || 'Lesson'}
+              </Typography>
+
+              {/* Description */}
+              {lesson.description && (
+                <Typography
+                  sx={{
+                    fontSize: '13px',
+                    fontWeight: 400,
+                    color: themeColors.textSecondary,
+                    lineHeight: 1.3,
+                    display: '-webkit-box',
+                    WebkitLineClamp: 2,
+                    WebkitBoxOrient: 'vertical',
+                    overflow: 'hidden',
+                  }}
+                >
+                  {lesson.description}
+                </Typography>
+              )}
+            </Box>
+          );
+        })}
+      </Box>
+    </Box>
+  );
+};
+
+export default ChildModuleLessons;
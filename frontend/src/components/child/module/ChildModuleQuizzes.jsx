@@ -0,0 +1,169 @@
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+import { themeColors } from '../../../config/themeColors';
+
+/**
+ * ChildModuleQuizzes Component
+ *
+ * Quizzes section in a 3-column grid, with the best score of each quiz.
+ * Renders nothing when the course has no quizzes.
+ */
+const ChildModuleQuizzes = ({ quizzes = [], courseProgress = null, onQuizClick }) => {
+  // Quiz progress (passed, best score) by quiz ID
+  const quizProgressById = new Map();
+  if (courseProgress?.progress?.contentProgress) {
+    courseProgress.progress.contentProgress
+      .filter((item) => item.contentType === 'quiz')
+      .forEach((item) => quizProgressById.set(item.contentId.toString(), item));
+  }
+
+  const getQuizProgress = (quiz) => {
+    const quizId = quiz._contentId || quiz._id || quiz.contentId;
+    return quizId ? quizProgressById.get(quizId.toString()) : null;
+  };
+
+  const getStatusLabel = (item) => {
+    if (item?.status === 'completed') return `Passed · best ${item.quizProgress?.bestPercent ?? 100}%`;
+    if (item?.quizProgress?.attempts) return `Best score ${item.quizProgress.bestPercent}%`;
+    return 'Quiz';
+  };
+
+  if (!quizzes || quizzes.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box
+      sx={{
+        width: '100%',
+        marginTop: '32px',
+      }}
+    >
+      {/* Section Title */}
+      <Typography
+        sx={{
+          fontSize: '24px',
+          fontWeight: 600,
+          color: themeColors.textInverse,
+          marginBottom: '24px',
+        }}
+      >
+        Quizzes
+      </Typography>
+
+      {/* Quizzes Grid - 3 columns */}
+      <Box
+        sx={{
+          display: 'grid',
+          gridTemplateColumns: {
+            xs: '1fr',
+            sm: 'repeat(2, 1fr)',
+            md: 'repeat(3, 1fr)',
+          },
+          gap: '24px',
+        }}
+      >
+        {quizzes.map((quiz, index) => {
+          const quizId = quiz._id || quiz._contentId || quiz.contentId || quiz.id;
+          const quizProgress = getQuizProgress(quiz);
+          const isCompleted = quizProgress?.status === 'completed';
+
+          return (
+            <Box
+              key={quizId || index}
+              onClick={() => {
+                if (onQuizClick) {
+                  onQuizClick(quiz);
+                }
+              }}
+              sx={{
+                position: 'relative',
+                cursor: 'pointer',
+                transition: 'transform 0.2s ease',
+                '&:hover': {
+                  transform: 'scale(1.05)',
+                },
+                backgroundColor: themeColors.textInverse,
+                borderRadius: '0px',
+                overflow: 'hidden',
+                padding: '20px',
+              }}
+            >
+              {/* Star points and completion */}
+              <Box
+                sx={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  marginBottom: '12px',
+                }}
+              >
+                <Typography
+                  sx={{
+                    fontSize: '13px',
+                    fontWeight: 600,
+                    color: isCompleted ? themeColors.secondary : themeColors.textSecondary,
+                  }}
+                >
+                  {getStatusLabel(quizProgress)}
+                </Typography>
+                {quiz.starsAwarded > 0 && (
+                  <Box
+                    sx={{
+                      backgroundColor: themeColors.accent,
+                      borderRadius: '9999px',
+                      padding: '4px 10px',
+                    }}
+                  >
+                    <Typography
+                      sx={{
+                        fontSize: '14px',
+                        fontWeight: 600,
+                        color: themeColors.textInverse,
+                      }}
+                    >
+                      ★ {quiz.starsAwarded}
+                    </Typography>
+                  </Box>
+                )}
+              </Box>
+
+              {/* Title */}
+              <Typography
+                sx={{
+                  fontSize: '16px',
+                  fontWeight: 600,
+                  color: themeColors.text,
+                  marginBottom: '8px',
+                  lineHeight: 1.4,
+                }}
+              >
+                {quiz.title || 'Quiz'}
+              </Typography>
+
+              {/* Description */}
+              {quiz.description && (
+                <Typography
+                  sx={{
+                    fontSize: '13px',
+                    fontWeight: 400,
+                    color: themeColors.textSecondary,
+                    lineHeight: 1.3,
+                    display: '-webkit-box',
+                    WebkitLineClamp: 2,
+                    WebkitBoxOrient: 'vertical',
+                    overflow: 'hidden',
+                  }}
+                >
+                  {quiz.description}
+                </Typography>
+              )}
+            </Box>
+          );
+        })}
+      </Box>
+    </Box>
+  );
+};
+
+export default ChildModuleQuizzes;
@@ -0,0 +1,221 @@
+import React from 'react';
+import { Box, Typography, Paper, Grid, Button, CircularProgress } from '@mui/material';
+import { themeColors } from '../../../config/themeColors';
+
+/**
+ * Fallback icons per reward type when an item has no image
+ */
+const REWARD_TYPE_ICONS = {
+    avatar_frame: '🖼️',
+    sticker: '🌟',
+    theme: '🎨',
+    certificate: '📜',
+};
+
+const REWARD_TYPE_LABELS = {
+    avatar_frame: 'Avatar Frame',
+    sticker: 'Sticker',
+    theme: 'Theme',
+    certificate: 'Certificate',
+};
+
+/**
+ * Build full URL for reward image
+ */
+const getImageUrl = (image) => {
+    if (!image) return null;
+    if (image.startsWith('http')) return image;
+    const baseUrl = import.meta.env.VITE_API_URL?.replace('/api', '') || 'http://localhost:5000';
+    return `${baseUrl}${image}`;
+};
+
+/**
+ * RewardsShopCards Component
+ *
+ * Grid of reward cards used for both the shop and the child's inventory
+ * - mode="shop": shows cost and a Buy button (disabled when not affordable or owned)
+ * - mode="inventory": shows Equip/Unequip for frames and themes, Print for certificates
+ */
+const RewardsShopCards = ({
+    items = [],
+    mode = 'shop',
+    busyId = null,
+    onBuy,
+    onEquip,
+    onPrint,
+}) => {
+    if (items.length === 0) {
+        return (
+            <Paper
+                sx={{
+                    padding: { xs: '20px', sm: '24px' },
+                    borderRadius: '24px',
+                    backgroundColor: 'white',
+                    boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+                }}
+            >
+                <Typography
+                    sx={{
+                        fontFamily: 'Quicksand, sans-serif',
+                        fontSize: { xs: '16px', sm: '18px' },
+                        fontWeight: 600,
+                        color: themeColors.textSecondary,
+                        textAlign: 'center',
+                    }}
+                >
+                    {mode === 'shop' ? 'No rewards in the shop yet' : "You haven't bought any rewards yet"}
+                </Typography>
+            </Paper>
+        );
+    }
+
+    const renderAction = (entry, reward) => {
+        const id = mode === 'shop' ? reward._id : entry._id;
+        const isBusy = busyId === id;
+
+        const buttonSx = {
+            fontFamily: 'Quicksand, sans-serif',
+            fontWeight: 700,
+            textTransform: 'none',
+            borderRadius: '12px',
+            width: '100%',
+            marginTop: 'auto',
+        };
+
+        if (mode === 'shop') {
+            if (entry.owned) {
+                return (
+                    <Button disabled sx={buttonSx}>
+                        Owned ✓
+                    </Button>
+                );
+            }
+            return (
+                <Button
+                    variant="contained"
+                    disabled={!entry.canAfford || isBusy}
+                    onClick={() => onBuy && onBuy(reward)}
+                    sx={{
+                        ...buttonSx,
+                        backgroundColor: themeColors.orange,
+                        '&:hover': { backgroundColor: '#d66b47' },
+                    }}
+                >
+                    {isBusy ? <CircularProgress size={20} sx={{ color: 'white' }} /> : `Buy for ⭐ ${reward.cost}`}
+                </Button>
+            );
+        }
+
+        if (reward.type === 'certificate') {
+            return (
+                <Button
+                    variant="contained"
+                    onClick={() => onPrint && onPrint(reward)}
+                    sx={{ ...buttonSx, backgroundColor: themeColors.secondary }}
+                >
+                    Print
+                </Button>
+            );
+        }
+
+        if (reward.type === 'avatar_frame' || reward.type === 'theme') {
+            return (
+                <Button
+                    variant={entry.isEquipped ? 'outlined' : 'contained'}
+                    disabled={isBusy}
+                    onClick={() => onEquip && onEquip(entry, !entry.isEquipped)}
+                    sx={{
+                        ...buttonSx,
+                        ...(entry.isEquipped ? {} : { backgroundColor: themeColors.secondary }),
+                    }}
+                >
+                    {isBusy ? <CircularProgress size={20} /> : entry.isEquipped ? 'Take Off' : 'Use It'}
+                </Button>
+            );
+        }
+
+        return null;
+    };
+
+    return (
+        <Grid container spacing={{ xs: 2, sm: 3 }}>
+            {items.map((entry) => {
+                // Inventory entries wrap the reward; shop entries are the reward itself
+                const reward = mode === 'shop' ? entry : entry.reward;
+                if (!reward) return null;
+
+                const imageUrl = getImageUrl(reward.image);
+                const highlighted = mode === 'inventory' ? entry.isEquipped : entry.owned;
+
+                return (
+                    <Grid item xs={6} sm={4} md={3} key={entry._id}>
+                        <Box
+                            sx={{
+                                display: 'flex',
+                                flexDirection: 'column',
+                                alignItems: 'center',
+                                gap: '8px',
+                                padding: { xs: '12px', sm: '16px' },
+                                height: '100%',
+                                backgroundColor: 'white',
+                                borderRadius: '24px',
+                                border: `2px solid ${highlighted ? themeColors.secondary : themeColors.border}`,
+                                boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+                                opacity: mode === 'shop' && !entry.owned && !entry.canAfford ? 0.7 : 1,
+                            }}
+                        >
+                            <Box
+                                sx={{
+                                    width: '80px',
+                                    height: '80px',
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    justifyContent: 'center',
+                                    fontSize: '48px',
+                                }}
+                            >
+                                {imageUrl ? (
+                                    <img
+                                        src={imageUrl}
+                                        alt={reward.name}
+                                        style={{ maxWidth: '100%', maxHeight: '100%', objectFit: 'contain' }}
+                                    />
+                                ) : (
+                                    REWARD_TYPE_ICONS[reward.type] || '🎁'
+                                )}
+                            </Box>
+
+                            <Typography
+                                sx={{
+                                    fontFamily: 'Quicksand, sans-serif',
+                                    fontSize: { xs: '14px', sm: '16px' },
+                                    fontWeight: 700,
+                                    color: themeColors.text,
+                                    textAlign: 'center',
+                                    lineHeight: 1.2,
+                                }}
+                            >
+                                {reward.name}
+                            </Typography>
+
+                            <Typography
+                                sx={{
+                                    fontFamily: 'Quicksand, sans-serif',
+                                    fontSize: '12px',
+                                    fontWeight: 600,
+                                    color: themeColors.textMuted,
+                                }}
+                            >
+                                {REWARD_TYPE_LABELS[reward.type] || reward.type}
+                            </Typography>
+
+                            {renderAction(entry, reward)}
+                        </Box>
+                    </Grid>
+                );
+            })}
+        </Grid>
+    );
+};
+
+export default RewardsShopCards;
@@ -0,0 +1,109 @@
+import React from 'react';
+import { Box, Typography, Paper, Button } from '@mui/material';
+import { themeColors } from '../../../config/themeColors';
+
+/**
+ * RewardsShopHeader Component
+ *
+ * Shows the shop title, the child's spendable stars and tabs to switch
+ * between the shop and the child's own rewards
+ * Lifetime stars are shown separately so children see spending doesn't lower their level
+ */
+const RewardsShopHeader = ({ balance, activeTab = 'shop', onTabChange }) => {
+    const spendableStars = balance?.spendableStars || 0;
+    const totalStars = balance?.totalStars || 0;
+
+    const tabs = [
+        { value: 'shop', label: 'Shop' },
+        { value: 'inventory', label: 'My Rewards' },
+    ];
+
+    return (
+        <Paper
+            sx={{
+                padding: { xs: '20px', sm: '24px' },
+                backgroundColor: 'white',
+                boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+                borderRadius: '24px',
+            }}
+        >
+            <Box
+                sx={{
+                    display: 'flex',
+                    flexDirection: { xs: 'column', sm: 'row' },
+                    alignItems: { xs: 'flex-start', sm: 'center' },
+                    justifyContent: 'space-between',
+                    gap: '16px',
+                }}
+            >
+                <Box>
+                    <Typography
+                        sx={{
+                            fontFamily: 'Quicksand, sans-serif',
+                            fontSize: { xs: '24px', sm: '28px' },
+                            fontWeight: 700,
+                            color: themeColors.text,
+                        }}
+                    >
+                        Star Shop 🛍️
+                    </Typography>
+                    <Typography
+                        sx={{
+                            fontFamily: 'Quicksand, sans-serif',
+                            fontSize: { xs: '14px', sm: '16px' },
+                            color: themeColors.textSecondary,
+                        }}
+                    >
+                        Spend your stars on fun rewards! Your level stays the same.
+                    </Typography>
+                </Box>
+
+                <Box
+                    sx={{
+                        display: 'flex',
+                        flexDirection: 'column',
+                        alignItems: 'center',
+                        padding: '12px 24px',
+                        borderRadius: '16px',
+                        background: themeColors.bgOrangeGradient,
+                        color: 'white',
+                        minWidth: '140px',
+                    }}
+                >
+                    <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontSize: '28px', fontWeight: 700 }}>
+                        ⭐ {spendableStars}
+                    </Typography>
+                    <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontSize: '12px', fontWeight: 600 }}>
+                        stars to spend ({totalStars} earned)
+                    </Typography>
+                </Box>
+            </Box>
+
+            <Box sx={{ display: 'flex', gap: '12px', marginTop: '20px' }}>
+                {tabs.map((tab) => (
+                    <Button
+                        key={tab.value}
+                        onClick={() => onTabChange && onTabChange(tab.value)}
+                        sx={{
+                            fontFamily: 'Quicksand, sans-serif',
+                            fontWeight: 700,
+                            fontSize: '16px',
+                            textTransform: 'none',
+                            borderRadius: '16px',
+                            padding: '8px 20px',
+                            backgroundColor: activeTab === tab.value ? themeColors.secondary : themeColors.bgTertiary,
+                            color: activeTab === tab.value ? 'white' : themeColors.textSecondary,
+                            '&:hover': {
+                                backgroundColor: activeTab === tab.value ? themeColors.secondary : themeColors.border,
+                            },
+                        }}
+                    >
+                        {tab.label}
+                    </Button>
+                ))}
+            </Box>
+        </Paper>
+    );
+};
+
+export default RewardsShopHeader;
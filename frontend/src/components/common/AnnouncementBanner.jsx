@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Alert,
+  AlertTitle,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Typography,
+} from '@mui/material';
+import { Campaign as CampaignIcon } from '@mui/icons-material';
+import announcementService from '../../services/announcementService';
+import { themeColors } from '../../config/themeColors';
+
+// Re-check for new announcements while the app stays open
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+// Banners shown at once (most important first)
+const MAX_BANNERS = 3;
+
+const SEVERITY_BY_PRIORITY = {
+  urgent: 'error',
+  high: 'warning',
+  normal: 'info',
+  low: 'info',
+};
+
+/**
+ * AnnouncementBanner Component
+ *
+ * Shows the viewer's unread announcements: banners under the navigation and
+ * a popup for 'modal' (and all urgent) announcements, one at a time.
+ * Dismissing a banner or closing the popup records a read receipt.
+ *
+ * @param {String} [childId] - Read announcements as this child (child app)
+ * @param {Boolean} [kidFriendly] - Larger, rounder styling for the child app
+ */
+const AnnouncementBanner = ({ childId = null, kidFriendly = false }) => {
+  const [announcements, setAnnouncements] = useState([]);
+
+  const fetchAnnouncements = useCallback(async () => {
+    try {
+      const response = await announcementService.getFeed({ childId, unreadOnly: true });
+      setAnnouncements(response.data || []);
+    } catch (error) {
+      // Announcements are optional; never break the page
+      console.error('[AnnouncementBanner] Failed to load announcements:', error);
+    }
+  }, [childId]);
+
+  useEffect(() => {
+    fetchAnnouncements();
+    const interval = setInterval(fetchAnnouncements, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchAnnouncements]);
+
+  const handleRead = async (announcement) => {
+    setAnnouncements((prev) => prev.filter((item) => item._id !== announcement._id));
+    try {
+      await announcementService.markAsRead(announcement._id, childId);
+    } catch (error) {
+      console.error('[AnnouncementBanner] Failed to mark announcement as read:', error);
+    }
+  };
+
+  const popup = announcements.find((announcement) => announcement.displayAs === 'modal');
+  const banners = announcements
+    .filter((announcement) => announcement.displayAs !== 'modal')
+    .slice(0, MAX_BANNERS);
+
+  if (announcements.length === 0) {
+    return null;
+  }
+
+  return (
+    <>
+      {banners.length > 0 && (
+        <Box
+          sx={{
+            display: 'flex',
+            flexDirection: 'column',
+            gap: kidFriendly ? 1 : 0,
+            padding: kidFriendly ? { xs: '8px 16px', sm: '12px 24px' } : 0,
+          }}
+        >
+          {banners.map((announcement) => (
+            <Alert
+              key={announcement._id}
+              severity={SEVERITY_BY_PRIORITY[announcement.priority] || 'info'}
+              icon={<CampaignIcon fontSize={kidFriendly ? 'large' : 'medium'} />}
+              onClose={() => handleRead(announcement)}
+              sx={{
+                borderRadius: kidFriendly ? '16px' : 0,
+                fontFamily: 'Quicksand, sans-serif',
+                fontSize: kidFriendly ? '1.1rem' : undefined,
+                alignItems: 'center',
+              }}
+            >
+              <AlertTitle sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 700, marginBottom: 0 }}>
+                {announcement.title}
+              </AlertTitle>
+              {announcement.message}
+            </Alert>
+          ))}
+        </Box>
+      )}
+
+      {popup && (
+        <Dialog
+          open
+          onClose={() => handleRead(popup)}
+          maxWidth="sm"
+          fullWidth
+          PaperProps={{
+            sx: {
+              borderRadius: kidFriendly ? '24px' : '16px',
+              padding: 1,
+            },
+          }}
+        >
+          <DialogTitle
+            sx={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: 1.5,
+              fontFamily: 'Quicksand, sans-serif',
+              fontWeight: 700,
+              fontSize: kidFriendly ? '1.75rem' : '1.25rem',
+              color: popup.priority === 'urgent' ? themeColors.error : themeColors.secondary,
+            }}
+          >
+            <CampaignIcon fontSize={kidFriendly ? 'large' : 'medium'} />
+            {popup.title}
+          </DialogTitle>
+          <DialogContent>
+            <Typography
+              sx={{
+                fontFamily: 'Quicksand, sans-serif',
+                fontSize: kidFriendly ? '1.3rem' : '1rem',
+                color: themeColors.text,
+                whiteSpace: 'pre-line',
+                lineHeight: 1.6,
+              }}
+            >
+              {popup.message}
+            </Typography>
+          </DialogContent>
+          <DialogActions sx={{ padding: 2 }}>
+            <Button
+              variant="contained"
+              onClick={() => handleRead(popup)}
+              sx={{
+                fontFamily: 'Quicksand, sans-serif',
+                fontWeight: 600,
+                fontSize: kidFriendly ? '1.2rem' : '0.95rem',
+                textTransform: 'none',
+                borderRadius: '12px',
+                backgroundColor: themeColors.secondary,
+                color: themeColors.textInverse,
+                '&:hover': {
+                  backgroundColor: themeColors.primary,
+                },
+              }}
+            >
+              Got it
+            </Button>
+          </DialogActions>
+        </Dialog>
+      )}
+    </>
+  );
+};
+
+export default AnnouncementBanner;
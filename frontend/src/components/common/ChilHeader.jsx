@@ -6,12 +6,13 @@ import StarIcon from '@mui/icons-material/Star';
 import CloudIcon from '@mui/icons-material/Cloud';
 import smallLogo from '../../assets/images/small-logo.png';
 import { themeColors } from '../../config/themeColors';
+import NotificationBell from './NotificationBell';
 
 /**
  * ChildHeader Component
  * 
  * Sticky header for child interface
- * Shows logo centered and points/star button on the right
+ * Shows logo centered and notifications and points/star buttons on the right
  */
 const ChildHeader = ({ childId }) => {
   const theme = useTheme();
@@ -126,6 +127,23 @@ const ChildHeader = ({ childId }) => {
             gap: 1,
           }}
         >
+          {/* Notifications */}
+          {childId && (
+            <NotificationBell
+              childId={childId}
+              kidFriendly
+              sx={{
+                color: themeColors.secondary,
+                padding: '12px',
+                '&:hover': {
+                  backgroundColor: themeColors.bgTertiary,
+                  transform: 'scale(1.05)',
+                },
+                transition: 'all 0.3s ease',
+              }}
+            />
+          )}
+
           {/* Points/Star Button */}
           <IconButton
             onClick={handlePointsClick}
@@ -0,0 +1,360 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  MenuItem,
+  Button,
+  Chip,
+  IconButton,
+  Tooltip,
+  Switch,
+  Checkbox,
+  FormControlLabel,
+  LinearProgress,
+  CircularProgress,
+} from '@mui/material';
+import {
+  ArrowUpward,
+  ArrowDownward,
+  PauseCircleOutline,
+  PlayCircleOutline,
+  DeleteOutline,
+} from '@mui/icons-material';
+import { themeColors } from '../../config/themeColors';
+import {
+  getAssignableCourses,
+  getChildAssignments,
+  assignCourse,
+  updateAssignment,
+  unassignCourse,
+  reorderAssignments,
+} from '../../services/courseAssignmentService';
+
+const HISTORY_LABELS = {
+  assigned: 'assigned',
+  unassigned: 'unassigned',
+  paused: 'paused',
+  resumed: 'resumed',
+  reordered: 'moved',
+  target_date_set: 'set the target date of',
+  target_date_cleared: 'cleared the target date of',
+  lock_override_set: 'unlocked prerequisites of',
+  lock_override_removed: 'restored prerequisites of',
+};
+
+const HISTORY_PREVIEW = 5;
+
+// Date inputs work with local YYYY-MM-DD; target dates are stored as the end of that day
+const toDateInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+const fromDateInput = (value) => (value ? new Date(`${value}T23:59:59`).toISOString() : null);
+
+const describeHistoryEntry = (entry) => {
+  const who = entry.by?.name ? `${entry.by.name} (${entry.byRole})` : entry.byRole;
+  const course = entry.course?.title || 'a deleted course';
+  let text = `${who} ${HISTORY_LABELS[entry.action] || entry.action} ${course}`;
+  if (entry.action === 'target_date_set' && entry.details?.targetDate) {
+    text += ` to ${new Date(entry.details.targetDate).toLocaleDateString()}`;
+  }
+  if (entry.action === 'reordered' && entry.details?.position) {
+    text += ` to position ${entry.details.position}`;
+  }
+  return text;
+};
+
+/**
+ * CourseAssignments Component
+ *
+ * Courses a parent or teacher assigned to one child: assign a published course
+ * with an optional target date and prerequisite override, reorder, pause or
+ * unassign it, and the history of those changes. Assigned courses come first
+ * on the child's journey and don't count towards the one-course limit.
+ *
+ * @param {String} childId - Child ID
+ */
+const CourseAssignments = ({ childId }) => {
+  const [data, setData] = useState({ assignments: [], history: [] });
+  const [availableCourses, setAvailableCourses] = useState([]);
+  const [courseId, setCourseId] = useState('');
+  const [targetDate, setTargetDate] = useState('');
+  const [overrideLocks, setOverrideLocks] = useState(false);
+  const [showAllHistory, setShowAllHistory] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchAssignments = useCallback(async () => {
+    try {
+      setData(await getChildAssignments(childId));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [childId]);
+
+  useEffect(() => {
+    if (childId) fetchAssignments();
+  }, [childId, fetchAssignments]);
+
+  useEffect(() => {
+    getAssignableCourses()
+      .then(setAvailableCourses)
+      .catch((err) => setError(err.message));
+  }, []);
+
+  // Every change returns the child's updated assignments and history
+  const runAction = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      setData(await action());
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAssign = async () => {
+    const assigned = await runAction(() =>
+      assignCourse(childId, { courseId, targetDate: fromDateInput(targetDate), overrideLocks })
+    );
+    if (assigned) {
+      setCourseId('');
+      setTargetDate('');
+      setOverrideLocks(false);
+    }
+  };
+
+  const handleMove = (index, offset) => {
+    const courseIds = data.assignments.map((assignment) => assignment.course._id);
+    [courseIds[index], courseIds[index + offset]] = [courseIds[index + offset], courseIds[index]];
+    runAction(() => reorderAssignments(childId, courseIds));
+  };
+
+  const assignedIds = new Set(data.assignments.map((assignment) => assignment.course._id));
+  const unassignedCourses = availableCourses.filter((course) => !assignedIds.has(course._id));
+  const history = showAllHistory ? data.history : data.history.slice(0, HISTORY_PREVIEW);
+
+  const textSx = { fontFamily: 'Quicksand, sans-serif', fontSize: { xs: '0.875rem', sm: '0.9375rem' } };
+  const smallSx = { ...textSx, fontSize: '0.8125rem', color: themeColors.textSecondary };
+
+  if (loading) {
+    return <CircularProgress size={24} sx={{ color: themeColors.secondary }} />;
+  }
+
+  return (
+    <Box>
+      {data.assignments.length === 0 ? (
+        <Typography sx={{ ...textSx, color: themeColors.textSecondary, marginBottom: 2 }}>
+          No courses assigned. Assigned courses come first on the child's journey.
+        </Typography>
+      ) : (
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5, marginBottom: 2 }}>
+          {data.assignments.map((assignment, index) => {
+            const isPaused = assignment.status === 'paused';
+            const progress = assignment.progress?.progressPercentage || 0;
+            const isCompleted = assignment.progress?.status === 'completed';
+
+            return (
+              <Box
+                key={assignment._id}
+                sx={{
+                  display: 'flex',
+                  alignItems: 'flex-start',
+                  gap: 1,
+                  paddingBottom: 1.5,
+                  borderBottom: `1px solid ${themeColors.border}`,
+                  opacity: isPaused ? 0.7 : 1,
+                }}
+              >
+                <Box sx={{ display: 'flex', flexDirection: 'column' }}>
+                  <IconButton
+                    size="small"
+                    disabled={busy || index === 0}
+                    onClick={() => handleMove(index, -1)}
+                    aria-label={`Move ${assignment.course.title} up`}
+                  >
+                    <ArrowUpward fontSize="inherit" />
+                  </IconButton>
+                  <IconButton
+                    size="small"
+                    disabled={busy || index === data.assignments.length - 1}
+                    onClick={() => handleMove(index, 1)}
+                    aria-label={`Move ${assignment.course.title} down`}
+                  >
+                    <ArrowDownward fontSize="inherit" />
+                  </IconButton>
+                </Box>
+
+                <Box sx={{ flex: 1, minWidth: 0 }}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                    <Typography sx={{ ...textSx, fontWeight: 600, color: themeColors.text }}>
+                      {assignment.course.title}
+                    </Typography>
+                    {isPaused && <Chip size="small" label="Paused" sx={{ fontFamily: 'Quicksand, sans-serif' }} />}
+                    {isCompleted && (
+                      <Chip size="small" color="success" label="Completed" sx={{ fontFamily: 'Quicksand, sans-serif' }} />
+                    )}
+                    {assignment.isOverdue && (
+                      <Chip size="small" color="error" label="Overdue" sx={{ fontFamily: 'Quicksand, sans-serif' }} />
+                    )}
+                  </Box>
+                  <Typography sx={smallSx}>
+                    Assigned by {assignment.assignedBy?.name || assignment.assignedByRole}
+                  </Typography>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, marginTop: 0.75 }}>
+                    <LinearProgress
+                      variant="determinate"
+                      value={progress}
+                      color={isCompleted ? 'success' : 'primary'}
+                      sx={{ flex: 1, height: 6, borderRadius: 3 }}
+                    />
+                    <Typography sx={{ ...smallSx, width: 36, textAlign: 'right' }}>{progress}%</Typography>
+                  </Box>
+                  <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1.5, marginTop: 1 }}>
+                    <TextField
+                      size="small"
+                      type="date"
+                      label="Target date"
+                      value={toDateInput(assignment.targetDate)}
+                      disabled={busy}
+                      onChange={(e) =>
+                        runAction(() =>
+                          updateAssignment(childId, assignment.course._id, {
+                            targetDate: fromDateInput(e.target.value),
+                          })
+                        )
+                      }
+                      InputLabelProps={{ shrink: true }}
+                    />
+                    <FormControlLabel
+                      control={
+                        <Switch
+                          size="small"
+                          checked={assignment.overrideLocks}
+                          disabled={busy}
+                          onChange={(e) =>
+                            runAction(() =>
+                              updateAssignment(childId, assignment.course._id, { overrideLocks: e.target.checked })
+                            )
+                          }
+                        />
+                      }
+                      label={<Typography sx={smallSx}>Skip prerequisites</Typography>}
+                    />
+                  </Box>
+                </Box>
+
+                <Tooltip title={isPaused ? 'Resume' : 'Pause'}>
+                  <span>
+                    <IconButton
+                      size="small"
+                      disabled={busy}
+                      onClick={() =>
+                        runAction(() =>
+                          updateAssignment(childId, assignment.course._id, { status: isPaused ? 'active' : 'paused' })
+                        )
+                      }
+                      aria-label={`${isPaused ? 'Resume' : 'Pause'} ${assignment.course.title}`}
+                    >
+                      {isPaused ? <PlayCircleOutline fontSize="small" /> : <PauseCircleOutline fontSize="small" />}
+                    </IconButton>
+                  </span>
+                </Tooltip>
+                <Tooltip title="Unassign (progress is kept)">
+                  <span>
+                    <IconButton
+                      size="small"
+                      disabled={busy}
+                      onClick={() => runAction(() => unassignCourse(childId, assignment.course._id))}
+                      aria-label={`Unassign ${assignment.course.title}`}
+                    >
+                      <DeleteOutline fontSize="small" />
+                    </IconButton>
+                  </span>
+                </Tooltip>
+              </Box>
+            );
+          })}
+        </Box>
+      )}
+
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1.5, alignItems: 'center' }}>
+        <TextField
+          select
+          size="small"
+          label="Course"
+          value={courseId}
+          onChange={(e) => setCourseId(e.target.value)}
+          sx={{ minWidth: 200, flex: 1 }}
+        >
+          {unassignedCourses.map((course) => (
+            <MenuItem key={course._id} value={course._id}>
+              {course.title}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          size="small"
+          type="date"
+          label="Target date"
+          value={targetDate}
+          onChange={(e) => setTargetDate(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+        />
+        <FormControlLabel
+          control={<Checkbox size="small" checked={overrideLocks} onChange={(e) => setOverrideLocks(e.target.checked)} />}
+          label={<Typography sx={smallSx}>Skip prerequisites</Typography>}
+        />
+        <Button
+          variant="contained"
+          disabled={!courseId || busy}
+          onClick={handleAssign}
+          sx={{
+            fontFamily: 'Quicksand, sans-serif',
+            fontWeight: 600,
+            textTransform: 'none',
+            borderRadius: '8px',
+            backgroundColor: themeColors.btnTeal,
+            color: themeColors.textInverse,
+            '&:hover': { backgroundColor: themeColors.primary },
+          }}
+        >
+          Assign
+        </Button>
+      </Box>
+      {error && <Typography sx={{ ...textSx, color: themeColors.error, marginTop: 1 }}>{error}</Typography>}
+
+      {data.history.length > 0 && (
+        <Box sx={{ marginTop: 2.5 }}>
+          <Typography sx={{ ...textSx, fontWeight: 700, color: themeColors.text, marginBottom: 1 }}>History</Typography>
+          {history.map((entry, index) => (
+            <Typography key={`${entry.at}-${entry.action}-${index}`} sx={{ ...smallSx, marginBottom: 0.5 }}>
+              {new Date(entry.at).toLocaleDateString()} · {describeHistoryEntry(entry)}
+            </Typography>
+          ))}
+          {data.history.length > HISTORY_PREVIEW && (
+            <Button
+              size="small"
+              onClick={() => setShowAllHistory((prev) => !prev)}
+              sx={{ fontFamily: 'Quicksand, sans-serif', textTransform: 'none', color: themeColors.secondary }}
+            >
+              {showAllHistory ? 'Show less' : `Show all ${data.history.length}`}
+            </Button>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default CourseAssignments;
@@ -0,0 +1,20 @@
+import React from 'react';
+import { Box } from '@mui/material';
+import useMediaUrl from '../../hooks/mediaHook';
+
+/**
+ * MediaImage Component
+ *
+ * <img> for an uploaded file that may be private (e.g. Kids Wall photos):
+ * the signed URL is fetched first and nothing is drawn until it is ready.
+ * Other props are passed to the MUI Box.
+ */
+const MediaImage = ({ path, ...props }) => {
+  const { url } = useMediaUrl(path);
+
+  if (!url) return null;
+
+  return <Box component="img" src={url} {...props} />;
+};
+
+export default MediaImage;
@@ -0,0 +1,270 @@
+import React, { useState } from 'react';
+import {
+  Badge,
+  Box,
+  Button,
+  CircularProgress,
+  Drawer,
+  IconButton,
+  Typography,
+} from '@mui/material';
+import {
+  Notifications as NotificationsIcon,
+  Settings as SettingsIcon,
+  ArrowBack,
+  Close as CloseIcon,
+} from '@mui/icons-material';
+import { useNavigate } from 'react-router-dom';
+import useNotifications from '../../hooks/notificationHook';
+import NotificationPreferences from './NotificationPreferences';
+import { themeColors } from '../../config/themeColors';
+
+const TYPE_ICONS = {
+  audio_review: '🎤',
+  kids_wall_post: '🖼️',
+  support_response: '💬',
+  badge_awarded: '🏅',
+  meeting_scheduled: '📅',
+};
+
+const formatTimeAgo = (date) => {
+  const seconds = Math.max(0, Math.round((Date.now() - new Date(date).getTime()) / 1000));
+  if (seconds < 60) return 'Just now';
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  const days = Math.round(hours / 24);
+  if (days < 7) return `${days} d ago`;
+  return new Date(date).toLocaleDateString();
+};
+
+/**
+ * NotificationBell Component
+ *
+ * Bell with the unread count that opens a drawer of the latest notifications.
+ * New notifications arrive live over the notification stream. Opening a
+ * notification marks it read and follows its link (app path or external URL).
+ * The user's bell has a settings view for per-type preferences; the child app's
+ * bell (`childId`) doesn't.
+ *
+ * @param {String} [childId] - Show the child app's notifications
+ * @param {Boolean} [kidFriendly] - Larger, rounder styling for the child app
+ * @param {Object} [sx] - Extra styles for the bell button
+ */
+const NotificationBell = ({ childId = null, kidFriendly = false, sx = {} }) => {
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const [showPreferences, setShowPreferences] = useState(false);
+  const { notifications, unreadCount, loading, error, markAsRead, markAllAsRead } = useNotifications({
+    childId,
+  });
+
+  const handleClose = () => {
+    setOpen(false);
+    setShowPreferences(false);
+  };
+
+  const handleOpenNotification = (notification) => {
+    if (!notification.readAt) {
+      markAsRead(notification._id);
+    }
+    if (!notification.link) return;
+    if (/^https?:\/\//.test(notification.link)) {
+      window.open(notification.link, '_blank', 'noopener,noreferrer');
+    } else {
+      handleClose();
+      navigate(notification.link);
+    }
+  };
+
+  const fontSize = kidFriendly
+    ? { title: '1.5rem', item: '1.15rem', body: '1rem' }
+    : { title: '1.1rem', item: '0.95rem', body: '0.85rem' };
+
+  return (
+    <>
+      <IconButton
+        onClick={() => setOpen(true)}
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+        sx={sx}
+      >
+        <Badge
+          badgeContent={unreadCount}
+          color="error"
+          max={99}
+          sx={{
+            '& .MuiBadge-badge': {
+              fontSize: kidFriendly ? '0.8rem' : '0.625rem',
+              height: kidFriendly ? '22px' : '18px',
+              minWidth: kidFriendly ? '22px' : '18px',
+              padding: '0 4px',
+            },
+          }}
+        >
+          <NotificationsIcon sx={{ fontSize: kidFriendly ? '2rem' : undefined }} />
+        </Badge>
+      </IconButton>
+
+      <Drawer
+        anchor="right"
+        open={open}
+        onClose={handleClose}
+        // Above the sticky navigation bars (they sit above the default drawer layer)
+        sx={{ zIndex: (theme) => theme.zIndex.modal }}
+        PaperProps={{
+          sx: {
+            width: { xs: '100%', sm: kidFriendly ? 420 : 380 },
+            borderRadius: kidFriendly ? '24px 0 0 24px' : 0,
+          },
+        }}
+      >
+        <Box
+          sx={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: 1,
+            padding: 2,
+            borderBottom: `1px solid ${themeColors.border}`,
+            backgroundColor: themeColors.bgSecondary,
+          }}
+        >
+          {showPreferences && (
+            <IconButton size="small" onClick={() => setShowPreferences(false)} aria-label="Back to notifications">
+              <ArrowBack />
+            </IconButton>
+          )}
+          <Typography
+            sx={{
+              flexGrow: 1,
+              fontFamily: 'Quicksand, sans-serif',
+              fontWeight: 700,
+              fontSize: fontSize.title,
+              color: themeColors.text,
+            }}
+          >
+            {showPreferences ? 'Notification settings' : 'Notifications'}
+          </Typography>
+          {!showPreferences && unreadCount > 0 && (
+            <Button
+              size="small"
+              onClick={markAllAsRead}
+              sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600, textTransform: 'none' }}
+            >
+              Mark all read
+            </Button>
+          )}
+          {!childId && !showPreferences && (
+            <IconButton size="small" onClick={() => setShowPreferences(true)} aria-label="Notification settings">
+              <SettingsIcon />
+            </IconButton>
+          )}
+          <IconButton size="small" onClick={handleClose} aria-label="Close notifications">
+            <CloseIcon />
+          </IconButton>
+        </Box>
+
+        {showPreferences ? (
+          <NotificationPreferences />
+        ) : (
+          <Box sx={{ overflowY: 'auto', flexGrow: 1 }}>
+            {loading && notifications.length === 0 && (
+              <Box sx={{ display: 'flex', justifyContent: 'center', padding: 3 }}>
+                <CircularProgress size={24} />
+              </Box>
+            )}
+            {error && notifications.length === 0 && (
+              <Typography sx={{ fontFamily: 'Quicksand, sans-serif', color: themeColors.error, padding: 2 }}>
+                {error}
+              </Typography>
+            )}
+            {!loading && !error && notifications.length === 0 && (
+              <Typography
+                sx={{
+                  fontFamily: 'Quicksand, sans-serif',
+                  color: themeColors.textSecondary,
+                  fontSize: fontSize.item,
+                  textAlign: 'center',
+                  padding: 4,
+                }}
+              >
+                {kidFriendly ? 'Nothing new yet! 🌈' : 'No notifications yet'}
+              </Typography>
+            )}
+            {notifications.map((notification) => (
+              <Box
+                key={notification._id}
+                role="button"
+                tabIndex={0}
+                onClick={() => handleOpenNotification(notification)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') handleOpenNotification(notification);
+                }}
+                sx={{
+                  display: 'flex',
+                  gap: 1.5,
+                  padding: 2,
+                  cursor: 'pointer',
+                  borderBottom: `1px solid ${themeColors.border}`,
+                  backgroundColor: notification.readAt ? 'transparent' : `${themeColors.secondary}12`,
+                  transition: 'background-color 0.2s ease',
+                  '&:hover': {
+                    backgroundColor: themeColors.bgTertiary,
+                  },
+                }}
+              >
+                <Box sx={{ fontSize: kidFriendly ? '2rem' : '1.5rem', lineHeight: 1 }}>
+                  {TYPE_ICONS[notification.type] || '🔔'}
+                </Box>
+                <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+                  <Typography
+                    sx={{
+                      fontFamily: 'Quicksand, sans-serif',
+                      fontWeight: notification.readAt ? 600 : 700,
+                      fontSize: fontSize.item,
+                      color: themeColors.text,
+                    }}
+                  >
+                    {notification.title}
+                  </Typography>
+                  {notification.message && (
+                    <Typography
+                      sx={{
+                        fontFamily: 'Quicksand, sans-serif',
+                        fontSize: fontSize.body,
+                        color: themeColors.textSecondary,
+                        whiteSpace: 'pre-line',
+                      }}
+                    >
+                      {notification.message}
+                    </Typography>
+                  )}
+                  <Typography
+                    variant="caption"
+                    sx={{ fontFamily: 'Quicksand, sans-serif', color: themeColors.textMuted }}
+                  >
+                    {formatTimeAgo(notification.createdAt)}
+                  </Typography>
+                </Box>
+                {!notification.readAt && (
+                  <Box
+                    sx={{
+                      width: 10,
+                      height: 10,
+                      borderRadius: '50%',
+                      backgroundColor: themeColors.orange,
+                      flexShrink: 0,
+                      marginTop: 0.75,
+                    }}
+                  />
+                )}
+              </Box>
+            ))}
+          </Box>
+        )}
+      </Drawer>
+    </>
+  );
+};
+
+export default NotificationBell;
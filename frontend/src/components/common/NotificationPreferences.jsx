@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import { Box, Typography, Switch, CircularProgress, Alert } from '@mui/material';
+import {
+  getNotificationPreferences,
+  updateNotificationPreferences,
+} from '../../services/notificationService';
+import { themeColors } from '../../config/themeColors';
+
+export const NOTIFICATION_TYPE_LABELS = {
+  audio_review: { label: 'Recording reviews', description: 'A teacher approved or rejected a recording' },
+  kids_wall_post: { label: 'Kids Wall posts', description: 'A Kids Wall post was approved or not approved' },
+  support_response: { label: 'Support replies', description: 'Our team answered your message' },
+  badge_awarded: { label: 'Badges', description: 'A new badge was earned' },
+  meeting_scheduled: { label: 'Meetings', description: 'You were invited to a meeting' },
+};
+
+/**
+ * NotificationPreferences Component
+ *
+ * Per-type on/off switches for the current user's in-app notifications.
+ * Each switch saves immediately and rolls back if the save fails.
+ */
+const NotificationPreferences = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getNotificationPreferences()
+      .then((data) => {
+        if (!cancelled) setPreferences(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleToggle = async (type, enabled) => {
+    const previous = preferences;
+    setPreferences((prev) => ({ ...prev, [type]: enabled }));
+    setSaving(type);
+    setError(null);
+    try {
+      setPreferences(await updateNotificationPreferences({ [type]: enabled }));
+    } catch (err) {
+      setPreferences(previous);
+      setError(err.message);
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  if (!preferences && !error) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', padding: 3 }}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ padding: 2 }}>
+      {error && (
+        <Alert severity="error" sx={{ marginBottom: 2, fontFamily: 'Quicksand, sans-serif' }}>
+          {error}
+        </Alert>
+      )}
+      {preferences &&
+        Object.keys(preferences).map((type) => (
+          <Box
+            key={type}
+            sx={{
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'space-between',
+              gap: 2,
+              paddingY: 1,
+              borderBottom: `1px solid ${themeColors.border}`,
+            }}
+          >
+            <Box>
+              <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600, color: themeColors.text }}>
+                {NOTIFICATION_TYPE_LABELS[type]?.label || type}
+              </Typography>
+              {NOTIFICATION_TYPE_LABELS[type]?.description && (
+                <Typography
+                  variant="caption"
+                  sx={{ fontFamily: 'Quicksand, sans-serif', color: themeColors.textSecondary }}
+                >
+                  {NOTIFICATION_TYPE_LABELS[type].description}
+                </Typography>
+              )}
+            </Box>
+            <Switch
+              checked={preferences[type]}
+              disabled={saving === type}
+              onChange={(e) => handleToggle(type, e.target.checked)}
+              inputProps={{ 'aria-label': NOTIFICATION_TYPE_LABELS[type]?.label || type }}
+            />
+          </Box>
+        ))}
+    </Box>
+  );
+};
+
+export default NotificationPreferences;
@@ -0,0 +1,104 @@
+import React from 'react';
+import { Box, Typography, Tooltip } from '@mui/material';
+import { themeColors } from '../../config/themeColors';
+
+// Look of each day status returned by the streak history endpoint
+const DAY_STYLES = {
+  active: { background: themeColors.orange, color: themeColors.textInverse, icon: '🔥', label: 'Active' },
+  frozen: { background: themeColors.secondary, color: themeColors.textInverse, icon: '❄️', label: 'Streak freeze used' },
+  missed: { background: themeColors.bgTertiary, color: themeColors.textMuted, icon: '', label: 'Missed' },
+  pending: { background: 'transparent', color: themeColors.textSecondary, icon: '', label: 'Not yet today' },
+  upcoming: { background: 'transparent', color: themeColors.textMuted, icon: '', label: 'Upcoming' },
+};
+
+// Days are 'YYYY-MM-DD' keys in the child's timezone, so read them as UTC dates
+const getWeekdayLetter = (dayKey) =>
+  new Date(`${dayKey}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'narrow', timeZone: 'UTC' });
+
+const formatDay = (dayKey) =>
+  new Date(`${dayKey}T00:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+
+/**
+ * StreakCalendar Component
+ *
+ * Row of day circles for a child's streak history (one per day from the
+ * streak history endpoint): active days, days covered by a streak freeze,
+ * missed days and today when the child has not been active yet.
+ * `today` (the child's current day key) gets a highlight ring.
+ */
+const StreakCalendar = ({ days = [], today = null, size = 32 }) => {
+  if (!days || days.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box
+      sx={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        gap: '6px',
+      }}
+    >
+      {days.map((day) => {
+        const style = DAY_STYLES[day.status] || DAY_STYLES.missed;
+        const isToday = day.date === today;
+        const tooltip = `${formatDay(day.date)}: ${style.label}${
+          day.starsEarned ? ` (${day.starsEarned} ★)` : ''
+        }`;
+
+        return (
+          <Tooltip key={day.date} title={tooltip} arrow>
+            <Box
+              sx={{
+                display: 'flex',
+                flexDirection: 'column',
+                alignItems: 'center',
+                gap: '4px',
+                flex: 1,
+              }}
+            >
+              <Box
+                sx={{
+                  width: size,
+                  height: size,
+                  borderRadius: '50%',
+                  backgroundColor: style.background,
+                  border:
+                    day.status === 'pending' || day.status === 'upcoming'
+                      ? `2px dashed ${themeColors.border}`
+                      : 'none',
+                  boxShadow: isToday ? `0 0 0 2px ${themeColors.accent}` : 'none',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  fontSize: size * 0.5,
+                  lineHeight: 1,
+                }}
+                aria-label={tooltip}
+              >
+                {style.icon}
+              </Box>
+              <Typography
+                sx={{
+                  fontFamily: 'Quicksand, sans-serif',
+                  fontSize: '12px',
+                  fontWeight: 600,
+                  color: themeColors.textSecondary,
+                }}
+              >
+                {getWeekdayLetter(day.date)}
+              </Typography>
+            </Box>
+          </Tooltip>
+        );
+      })}
+    </Box>
+  );
+};
+
+export default StreakCalendar;
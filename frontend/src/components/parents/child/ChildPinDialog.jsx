@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Typography,
+  CircularProgress,
+} from '@mui/material';
+import { themeColors } from '../../../config/themeColors';
+
+/**
+ * ChildPinDialog Component
+ *
+ * Asks the selected child for their 4-digit PIN before starting a child session
+ * `onSubmit(pin)` should throw a message string when the PIN is rejected
+ */
+const ChildPinDialog = ({ open, child, onClose, onSubmit }) => {
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setPin('');
+      setError('');
+    }
+  }, [open]);
+
+  const handlePinChange = (event) => {
+    setPin(event.target.value.replace(/\D/g, '').slice(0, 4));
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (pin.length !== 4) {
+      setError('Enter your 4 numbers');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      await onSubmit(pin);
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'That PIN did not work. Try again!');
+      setPin('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="xs"
+      fullWidth
+      aria-label="Enter child PIN dialog"
+      PaperProps={{ sx: { borderRadius: '24px', padding: 1 } }}
+    >
+      <form onSubmit={handleSubmit}>
+        <DialogTitle
+          sx={{
+            fontFamily: 'Quicksand, sans-serif',
+            fontWeight: 700,
+            fontSize: '1.5rem',
+            textAlign: 'center',
+            color: themeColors.secondary,
+          }}
+        >
+          Hi {child?.displayName}! 👋
+        </DialogTitle>
+        <DialogContent>
+          <Typography sx={{ fontFamily: 'Quicksand, sans-serif', textAlign: 'center', marginBottom: 2 }}>
+            Type your secret PIN
+          </Typography>
+          <TextField
+            value={pin}
+            onChange={handlePinChange}
+            type="password"
+            autoFocus
+            fullWidth
+            error={!!error}
+            helperText={error}
+            inputProps={{
+              inputMode: 'numeric',
+              maxLength: 4,
+              'aria-label': 'Child PIN',
+              style: { textAlign: 'center', fontSize: '2rem', letterSpacing: '0.75rem' },
+            }}
+            FormHelperTextProps={{ sx: { fontFamily: 'Quicksand, sans-serif', textAlign: 'center' } }}
+          />
+        </DialogContent>
+        <DialogActions sx={{ justifyContent: 'center', paddingBottom: 2 }}>
+          <Button
+            onClick={onClose}
+            sx={{ fontFamily: 'Quicksand, sans-serif', textTransform: 'none', color: themeColors.textMuted }}
+          >
+            Cancel
+          </Button>
+          <Button
+            type="submit"
+            variant="contained"
+            disabled={submitting}
+            sx={{
+              fontFamily: 'Quicksand, sans-serif',
+              fontWeight: 700,
+              textTransform: 'none',
+              borderRadius: '16px',
+              padding: '8px 32px',
+              backgroundColor: themeColors.orange,
+            }}
+          >
+            {submitting ? <CircularProgress size={20} /> : "Let's go!"}
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default ChildPinDialog;
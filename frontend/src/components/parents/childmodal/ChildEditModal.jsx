@@ -12,12 +12,13 @@ import { Delete as DeleteIcon } from '@mui/icons-material';
 import { themeColors } from '../../../config/themeColors';
 import ModalHeader from './ModalHeader';
 import ModalForm from './ModalForm';
+import ModalPinSection from './ModalPinSection';
 
 /**
  * ChildEditModal Component
  * 
  * Modal for editing and deleting child profiles
- * Includes confirmation dialog for delete action
+ * Includes the child's login PIN settings and a confirmation dialog for delete action
  */
 const ChildEditModal = ({
   open,
@@ -26,6 +27,7 @@ const ChildEditModal = ({
   loading,
   onSave,
   onDelete,
+  onPinChange,
 }) => {
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
 
@@ -81,6 +83,9 @@ const ChildEditModal = ({
             onCancel={onClose}
           />
 
+          {/* PIN Section */}
+          <ModalPinSection child={child} onPinChange={onPinChange} />
+
           {/* Delete Section */}
           <Box
             sx={{
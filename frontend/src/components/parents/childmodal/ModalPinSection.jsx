@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  TextField,
+  Button,
+  Typography,
+} from '@mui/material';
+import { Lock as LockIcon } from '@mui/icons-material';
+import { themeColors } from '../../../config/themeColors';
+import childrenService from '../../../services/childrenService';
+
+/**
+ * ModalPinSection Component
+ *
+ * Lets the parent set, change or remove the child's optional 4-digit login PIN
+ * The PIN is asked when the child is picked on the "Who's learning?" screen
+ */
+const ModalPinSection = ({ child, onPinChange }) => {
+  const [hasPin, setHasPin] = useState(false);
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setHasPin(!!child?.hasPin);
+    setPin('');
+    setError('');
+    setMessage('');
+  }, [child]);
+
+  const handlePinChange = (e) => {
+    setPin(e.target.value.replace(/\D/g, '').slice(0, 4));
+    setError('');
+    setMessage('');
+  };
+
+  const handleSavePin = async () => {
+    if (!/^\d{4}$/.test(pin)) {
+      setError('PIN must be exactly 4 digits');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await childrenService.setChildPin(child._id, pin);
+      setHasPin(true);
+      setPin('');
+      setMessage('PIN saved');
+      if (onPinChange) onPinChange();
+    } catch (err) {
+      setError(err?.message || 'Failed to save PIN');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemovePin = async () => {
+    try {
+      setSaving(true);
+      await childrenService.removeChildPin(child._id);
+      setHasPin(false);
+      setPin('');
+      setMessage('PIN removed');
+      if (onPinChange) onPinChange();
+    } catch (err) {
+      setError(err?.message || 'Failed to remove PIN');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Box
+      sx={{
+        padding: { xs: '16px 20px', sm: '20px 24px' },
+        borderTop: `1px solid ${themeColors.border}`,
+      }}
+    >
+      <Typography
+        sx={{
+          fontFamily: 'Quicksand, sans-serif',
+          fontSize: { xs: '14px', sm: '16px' },
+          fontWeight: 600,
+          color: themeColors.text,
+          marginBottom: '4px',
+          display: 'flex',
+          alignItems: 'center',
+          gap: 1,
+        }}
+      >
+        <LockIcon sx={{ fontSize: '18px', color: themeColors.secondary }} />
+        Child PIN {hasPin ? '(set)' : '(not set)'}
+      </Typography>
+      <Typography
+        sx={{
+          fontFamily: 'Quicksand, sans-serif',
+          fontSize: '13px',
+          color: themeColors.textMuted,
+          marginBottom: '12px',
+        }}
+      >
+        Optional 4-digit PIN your child enters after you pick their profile
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 1.5, alignItems: 'flex-start' }}>
+        <TextField
+          value={pin}
+          onChange={handlePinChange}
+          type="password"
+          size="small"
+          placeholder={hasPin ? 'New PIN' : '4-digit PIN'}
+          error={!!error}
+          helperText={error || message}
+          inputProps={{ inputMode: 'numeric', maxLength: 4, 'aria-label': 'Child PIN' }}
+          sx={{
+            flex: 1,
+            '& .MuiOutlinedInput-root': {
+              fontFamily: 'Quicksand, sans-serif',
+              borderRadius: '12px',
+            },
+            '& .MuiFormHelperText-root': { fontFamily: 'Quicksand, sans-serif' },
+          }}
+        />
+        <Button
+          onClick={handleSavePin}
+          disabled={saving || pin.length !== 4}
+          variant="contained"
+          sx={{
+            fontFamily: 'Quicksand, sans-serif',
+            fontWeight: 600,
+            textTransform: 'none',
+            borderRadius: '12px',
+            backgroundColor: themeColors.secondary,
+            boxShadow: 'none',
+          }}
+        >
+          {hasPin ? 'Change' : 'Set PIN'}
+        </Button>
+        {hasPin && (
+          <Button
+            onClick={handleRemovePin}
+            disabled={saving}
+            sx={{
+              fontFamily: 'Quicksand, sans-serif',
+              fontWeight: 600,
+              textTransform: 'none',
+              borderRadius: '12px',
+              color: themeColors.error,
+            }}
+          >
+            Remove
+          </Button>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default ModalPinSection;
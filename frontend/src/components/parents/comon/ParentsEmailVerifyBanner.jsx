@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { Alert, Button } from '@mui/material';
+import useAuth from '../../../hooks/userHook';
+import authService from '../../../services/authService';
+
+/**
+ * ParentsEmailVerifyBanner Component
+ * 
+ * Reminds parents with an unverified email to confirm it
+ * and lets them resend the verification link
+ */
+const ParentsEmailVerifyBanner = () => {
+  const { user } = useAuth();
+  const [status, setStatus] = useState('idle'); // idle | sending | sent | error
+  const [message, setMessage] = useState('');
+
+  if (!user || user.isEmailVerified) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setStatus('sending');
+    try {
+      const response = await authService.resendVerification();
+      setStatus('sent');
+      setMessage(response.message);
+    } catch (error) {
+      setStatus('error');
+      setMessage(error?.message || 'Failed to send verification email');
+    }
+  };
+
+  return (
+    <Alert
+      severity={status === 'error' ? 'error' : 'info'}
+      sx={{ borderRadius: 0, fontFamily: 'Quicksand, sans-serif' }}
+      action={
+        status !== 'sent' && (
+          <Button
+            color="inherit"
+            size="small"
+            onClick={handleResend}
+            disabled={status === 'sending'}
+            sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600, textTransform: 'none' }}
+          >
+            {status === 'sending' ? 'Sending...' : 'Resend link'}
+          </Button>
+        )
+      }
+    >
+      {message || `Please verify your email address (${user.email}) using the link we sent you.`}
+    </Alert>
+  );
+};
+
+export default ParentsEmailVerifyBanner;
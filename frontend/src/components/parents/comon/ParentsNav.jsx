@@ -20,6 +20,7 @@ import { useNavigate } from 'react-router-dom';
 import smallLogo from '../../../assets/images/small-logo.png';
 import { themeColors } from '../../../config/themeColors';
 import useAuth from '../../../hooks/userHook';
+import NotificationBell from '../../common/NotificationBell';
 
 /**
  * ParentsNav Component
@@ -89,59 +90,71 @@ const ParentsNav = () => {
             />
           </Box>
 
-          {/* Right Side - Profile */}
-          <Box
-            sx={{
-              display: 'flex',
-              alignItems: 'center',
-              gap: 1.25,
-              cursor: 'pointer',
-              padding: '6px 12px',
-              borderRadius: '12px',
-              transition: 'all 0.2s ease',
-              '&:hover': {
-                backgroundColor: themeColors.bgTertiary,
-                transform: 'translateY(-1px)',
-              },
-            }}
-            onClick={handleProfileMenuOpen}
-          >
-            <Avatar
-              sx={{
-                width: 36,
-                height: 36,
-                background: `linear-gradient(135deg, ${themeColors.secondary} 0%, ${themeColors.primary} 100%)`,
-                fontSize: '1rem',
-                boxShadow: `0 2px 6px ${themeColors.secondary}40`,
-              }}
-            >
-              <AccountCircle />
-            </Avatar>
-            <Typography
-              variant="body2"
+          {/* Right Side - Notifications and Profile */}
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <NotificationBell
               sx={{
-                fontFamily: 'Quicksand, sans-serif',
-                fontWeight: 600,
-                color: themeColors.text,
-                fontSize: '0.875rem',
-                display: { xs: 'none', sm: 'block' },
+                color: themeColors.textSecondary,
+                borderRadius: '12px',
+                '&:hover': {
+                  backgroundColor: themeColors.bgTertiary,
+                  color: themeColors.text,
+                },
               }}
-            >
-              {user?.name || 'Parent'}
-            </Typography>
+            />
             <Box
-              component="span"
               sx={{
-                width: 0,
-                height: 0,
-                borderLeft: '5px solid transparent',
-                borderRight: '5px solid transparent',
-                borderTop: `5px solid ${themeColors.textSecondary}`,
-                marginLeft: 0.5,
-                transition: 'transform 0.2s ease',
-                transform: anchorEl ? 'rotate(180deg)' : 'rotate(0deg)',
+                display: 'flex',
+                alignItems: 'center',
+                gap: 1.25,
+                cursor: 'pointer',
+                padding: '6px 12px',
+                borderRadius: '12px',
+                transition: 'all 0.2s ease',
+                '&:hover': {
+                  backgroundColor: themeColors.bgTertiary,
+                  transform: 'translateY(-1px)',
+                },
               }}
-            />
+              onClick={handleProfileMenuOpen}
+            >
+              <Avatar
+                sx={{
+                  width: 36,
+                  height: 36,
+                  background: `linear-gradient(135deg, ${themeColors.secondary} 0%, ${themeColors.primary} 100%)`,
+                  fontSize: '1rem',
+                  boxShadow: `0 2px 6px ${themeColors.secondary}40`,
+                }}
+              >
+                <AccountCircle />
+              </Avatar>
+              <Typography
+                variant="body2"
+                sx={{
+                  fontFamily: 'Quicksand, sans-serif',
+                  fontWeight: 600,
+                  color: themeColors.text,
+                  fontSize: '0.875rem',
+                  display: { xs: 'none', sm: 'block' },
+                }}
+              >
+                {user?.name || 'Parent'}
+              </Typography>
+              <Box
+                component="span"
+                sx={{
+                  width: 0,
+                  height: 0,
+                  borderLeft: '5px solid transparent',
+                  borderRight: '5px solid transparent',
+                  borderTop: `5px solid ${themeColors.textSecondary}`,
+                  marginLeft: 0.5,
+                  transition: 'transform 0.2s ease',
+                  transform: anchorEl ? 'rotate(180deg)' : 'rotate(0deg)',
+                }}
+              />
+            </Box>
           </Box>
 
           {/* Profile Menu */}
@@ -103,7 +103,11 @@ const ChildListProgress = ({ children: childrenProp, loading: loadingProp, onSel
 
   const handleAddChild = async (childData) => {
     try {
-      await createNewChild(childData);
+      // Streaks count days in the child's timezone; default it to the parent's browser timezone
+      await createNewChild({
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        ...childData,
+      });
       handleCloseAddModal();
       // Refresh children list with active filter
       setTimeout(() => {
@@ -414,6 +418,7 @@ const ChildListProgress = ({ children: childrenProp, loading: loadingProp, onSel
         loading={childrenLoading}
         onSave={handleSaveChild}
         onDelete={handleDeleteChild}
+        onPinChange={() => fetchChildren({ isActive: true })}
       />
 
       {/* Child Add Modal */}
@@ -8,10 +8,14 @@ import {
 } from '@mui/material';
 import { themeColors } from '../../../config/themeColors';
 import parentDashboardService from '../../../services/parentDashboardService';
+import { getStreakHistory, purchaseStreakFreeze } from '../../../services/streakService';
 import ChildProgressModalHeader from './ChildProgressModalHeader';
 import ChildProgressModalProgressOverview from './ChildProgressModalProgressOverview';
 import ChildProgressModalWeeklyActivities from './ChildProgressModalWeeklyActivities';
 import ChildProgressModalFooter from './ChildProgressModalFooter';
+import ChildProgressModalClassrooms from './ChildProgressModalClassrooms';
+import ChildProgressModalSkills from './ChildProgressModalSkills';
+import ChildProgressModalAssignedCourses from './ChildProgressModalAssignedCourses';
 
 /**
  * ChildProgressModal Component
@@ -19,7 +23,8 @@ import ChildProgressModalFooter from './ChildProgressModalFooter';
  * Modal displaying child's progress summary:
  * - Total Stars
  * - Learning Time
- * - This Week's Activity (top 4 newest courses)
+ * - This Week's Activity (streak calendar + top 4 newest courses)
+ * - Skills (mastery per skill area)
  * 
  * Features:
  * - Glassy backdrop
@@ -31,6 +36,9 @@ const ChildProgressModal = ({ open, onClose, childId, childName }) => {
   const [progressData, setProgressData] = useState(null);
   const [error, setError] = useState(null);
   const [loadedChildId, setLoadedChildId] = useState(null);
+  const [weekActivity, setWeekActivity] = useState(null);
+  const [freezeError, setFreezeError] = useState(null);
+  const [purchasingFreeze, setPurchasingFreeze] = useState(false);
 
   useEffect(() => {
     if (open && childId && childId !== loadedChildId) {
@@ -39,6 +47,8 @@ const ChildProgressModal = ({ open, onClose, childId, childName }) => {
     } else if (!open) {
       // Reset data when modal closes
       setProgressData(null);
+      setWeekActivity(null);
+      setFreezeError(null);
       setError(null);
       setLoading(false);
       setLoadedChildId(null);
@@ -62,6 +72,14 @@ const ChildProgressModal = ({ open, onClose, childId, childName }) => {
       } else {
         throw new Error(response.message || 'Failed to load progress data');
       }
+
+      // The streak calendar is optional; progress still shows without it
+      try {
+        setWeekActivity(await getStreakHistory(childId, { days: 7 }));
+      } catch (streakErr) {
+        console.error('Error loading streak history:', streakErr);
+        setWeekActivity(null);
+      }
     } catch (err) {
       console.error('Error loading child progress:', err);
       setError(err.message || 'Failed to load progress data');
@@ -70,6 +88,18 @@ const ChildProgressModal = ({ open, onClose, childId, childName }) => {
     }
   };
 
+  const handlePurchaseFreeze = async () => {
+    setPurchasingFreeze(true);
+    setFreezeError(null);
+    try {
+      await purchaseStreakFreeze(childId);
+      setWeekActivity(await getStreakHistory(childId, { days: 7 }));
+    } catch (err) {
+      setFreezeError(err.message);
+    } finally {
+      setPurchasingFreeze(false);
+    }
+  };
 
   const displayName = progressData?.child?.displayName || progressData?.child?.name || childName || 'Child';
 
@@ -147,11 +177,28 @@ const ChildProgressModal = ({ open, onClose, childId, childName }) => {
             <ChildProgressModalProgressOverview
               totalStars={progressData.totalStars}
               learningTimeHours={progressData.learningTimeHours}
+              weekSeconds={progressData.learningTime?.weekSeconds}
               childName={displayName}
             />
 
             {/* This Week's Activity */}
-            <ChildProgressModalWeeklyActivities courses={progressData.courses} />
+            <ChildProgressModalWeeklyActivities
+              courses={progressData.courses}
+              weekActivity={weekActivity}
+              learningDays={progressData.learningTime?.days}
+              onPurchaseFreeze={handlePurchaseFreeze}
+              purchasingFreeze={purchasingFreeze}
+              freezeError={freezeError}
+            />
+
+            {/* Skill mastery by area */}
+            <ChildProgressModalSkills childId={childId} />
+
+            {/* Courses assigned to this child, with their history */}
+            <ChildProgressModalAssignedCourses childId={childId} />
+
+            {/* Teacher classes (joined with an invite code) */}
+            <ChildProgressModalClassrooms childId={childId} />
 
             {/* Footer - Star Sources (shows where stars came from) */}
             <ChildProgressModalFooter starSources={progressData.starSources} />
@@ -0,0 +1,37 @@
+import React from 'react';
+import { Card, CardContent, Typography } from '@mui/material';
+import { themeColors } from '../../../config/themeColors';
+import CourseAssignments from '../../common/CourseAssignments';
+
+/**
+ * ChildProgressModalAssignedCourses Component
+ *
+ * Courses assigned to the child by the parent or a teacher, with controls to
+ * assign, reorder, pause or unassign them and the history of those changes
+ */
+const ChildProgressModalAssignedCourses = ({ childId }) => (
+  <Card
+    sx={{
+      borderRadius: { xs: '12px', sm: '16px' },
+      backgroundColor: themeColors.bgCard,
+      border: `1px solid ${themeColors.border}`,
+    }}
+  >
+    <CardContent sx={{ padding: { xs: 2, sm: 3 } }}>
+      <Typography
+        sx={{
+          fontFamily: 'Quicksand, sans-serif',
+          fontSize: { xs: '1rem', sm: '1.25rem' },
+          fontWeight: 700,
+          color: themeColors.secondary,
+          marginBottom: 2,
+        }}
+      >
+        Assigned courses
+      </Typography>
+      <CourseAssignments childId={childId} />
+    </CardContent>
+  </Card>
+);
+
+export default ChildProgressModalAssignedCourses;
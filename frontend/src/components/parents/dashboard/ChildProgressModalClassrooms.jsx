@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Box, Typography, Card, CardContent, TextField, Button, Chip, CircularProgress } from '@mui/material';
+import { themeColors } from '../../../config/themeColors';
+import { getChildClassrooms, joinClassroom, leaveClassroom } from '../../../services/classroomService';
+
+/**
+ * ChildProgressModalClassrooms Component
+ *
+ * Teacher classes the child is in. Entering a teacher's invite code here is
+ * the parent's consent to add the child to that class.
+ */
+const ChildProgressModalClassrooms = ({ childId }) => {
+  const [classrooms, setClassrooms] = useState([]);
+  const [inviteCode, setInviteCode] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchClassrooms = useCallback(async () => {
+    try {
+      setClassrooms(await getChildClassrooms(childId));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [childId]);
+
+  useEffect(() => {
+    if (childId) fetchClassrooms();
+  }, [childId, fetchClassrooms]);
+
+  const handleJoin = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await joinClassroom(childId, inviteCode);
+      setInviteCode('');
+      await fetchClassrooms();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleLeave = async (classroomId) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await leaveClassroom(childId, classroomId);
+      await fetchClassrooms();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const textSx = { fontFamily: 'Quicksand, sans-serif', fontSize: { xs: '0.875rem', sm: '0.9375rem' } };
+
+  return (
+    <Card
+      sx={{
+        borderRadius: { xs: '12px', sm: '16px' },
+        backgroundColor: themeColors.bgCard,
+        border: `1px solid ${themeColors.border}`,
+      }}
+    >
+      <CardContent sx={{ padding: { xs: 2, sm: 3 } }}>
+        <Typography
+          sx={{
+            fontFamily: 'Quicksand, sans-serif',
+            fontSize: { xs: '1rem', sm: '1.25rem' },
+            fontWeight: 700,
+            color: themeColors.secondary,
+            marginBottom: 2,
+          }}
+        >
+          Classes
+        </Typography>
+
+        {loading ? (
+          <CircularProgress size={24} sx={{ color: themeColors.secondary }} />
+        ) : classrooms.length === 0 ? (
+          <Typography sx={{ ...textSx, color: themeColors.textSecondary, marginBottom: 2 }}>
+            Not in any class yet. Enter the invite code from your child's teacher to join.
+          </Typography>
+        ) : (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5, marginBottom: 2 }}>
+            {classrooms.map((classroom) => (
+              <Box
+                key={classroom._id}
+                sx={{
+                  display: 'flex',
+                  alignItems: 'flex-start',
+                  justifyContent: 'space-between',
+                  gap: 2,
+                  paddingBottom: 1.5,
+                  borderBottom: `1px solid ${themeColors.border}`,
+                }}
+              >
+                <Box sx={{ flex: 1, minWidth: 0 }}>
+                  <Typography sx={{ ...textSx, fontWeight: 600, color: themeColors.text }}>
+                    {classroom.name}
+                  </Typography>
+                  {classroom.teacher?.name && (
+                    <Typography sx={{ ...textSx, fontSize: '0.8125rem', color: themeColors.textSecondary }}>
+                      Teacher: {classroom.teacher.name}
+                    </Typography>
+                  )}
+                  {classroom.courses.length > 0 && (
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, marginTop: 0.75 }}>
+                      {classroom.courses.map((entry) => (
+                        <Chip
+                          key={entry.course._id}
+                          size="small"
+                          label={
+                            entry.dueDate
+                              ? `${entry.course.title} · due ${new Date(entry.dueDate).toLocaleDateString()}`
+                              : entry.course.title
+                          }
+                          sx={{ fontFamily: 'Quicksand, sans-serif' }}
+                        />
+                      ))}
+                    </Box>
+                  )}
+                </Box>
+                <Button
+                  size="small"
+                  disabled={busy}
+                  onClick={() => handleLeave(classroom._id)}
+                  sx={{ fontFamily: 'Quicksand, sans-serif', textTransform: 'none', color: themeColors.error }}
+                >
+                  Leave
+                </Button>
+              </Box>
+            ))}
+          </Box>
+        )}
+
+        <Box sx={{ display: 'flex', gap: 1.5, alignItems: 'center' }}>
+          <TextField
+            size="small"
+            label="Invite code"
+            value={inviteCode}
+            onChange={(e) => setInviteCode(e.target.value.toUpperCase())}
+            inputProps={{ maxLength: 12, style: { fontFamily: 'monospace', letterSpacing: '2px' } }}
+            sx={{ flex: 1 }}
+          />
+          <Button
+            variant="contained"
+            disabled={!inviteCode.trim() || busy}
+            onClick={handleJoin}
+            sx={{
+              fontFamily: 'Quicksand, sans-serif',
+              fontWeight: 600,
+              textTransform: 'none',
+              borderRadius: '8px',
+              backgroundColor: themeColors.btnTeal,
+              color: themeColors.textInverse,
+              '&:hover': { backgroundColor: themeColors.primary },
+            }}
+          >
+            Join class
+          </Button>
+        </Box>
+        {error && (
+          <Typography sx={{ ...textSx, color: themeColors.error, marginTop: 1 }}>{error}</Typography>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ChildProgressModalClassrooms;
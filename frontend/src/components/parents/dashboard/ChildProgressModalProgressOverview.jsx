@@ -8,9 +8,10 @@ import { themeColors } from '../../../config/themeColors';
  * ChildProgressModalProgressOverview Component
  * 
  * Displays progress overview with Total Stars and Learning Time
+ * (total, plus this week's time when weekSeconds is given)
  * Minimalist layout with icon and description side by side
  */
-const ChildProgressModalProgressOverview = ({ totalStars, learningTimeHours, childName }) => {
+const ChildProgressModalProgressOverview = ({ totalStars, learningTimeHours, weekSeconds, childName }) => {
   const formatLearningTime = (hours) => {
     if (!hours || hours === 0) return '0h';
     if (hours < 1) {
@@ -151,6 +152,19 @@ const ChildProgressModalProgressOverview = ({ totalStars, learningTimeHours, chi
           >
             {formatLearningTime(learningTimeHours)}
           </Typography>
+          {weekSeconds !== undefined && (
+            <Typography
+              sx={{
+                fontFamily: 'Quicksand, sans-serif',
+                fontSize: '14px',
+                fontWeight: 600,
+                color: themeColors.textInverse,
+                opacity: 0.9,
+              }}
+            >
+              {formatLearningTime(Math.round((weekSeconds / 3600) * 10) / 10)} this week
+            </Typography>
+          )}
         </Box>
       </Box>
     </Box>
@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from 'react';
+import { Box, Typography, Card, CardContent, Chip, CircularProgress, LinearProgress, Collapse, IconButton } from '@mui/material';
+import { ExpandMore, ExpandLess } from '@mui/icons-material';
+import { themeColors } from '../../../config/themeColors';
+import skillService from '../../../services/skillService';
+
+const LEVELS = {
+  not_started: { label: 'Not started', color: themeColors.textMuted },
+  emerging: { label: 'Emerging', color: themeColors.orange },
+  developing: { label: 'Developing', color: themeColors.warning },
+  proficient: { label: 'Proficient', color: themeColors.secondary },
+  mastered: { label: 'Mastered', color: themeColors.success },
+};
+
+const textSx = { fontFamily: 'Quicksand, sans-serif', fontSize: { xs: '0.875rem', sm: '0.9375rem' } };
+
+/**
+ * One skill with its mastery bar; sub-skills expand below it
+ */
+const SkillRow = ({ skill, depth = 0 }) => {
+  const [expanded, setExpanded] = useState(false);
+  const level = LEVELS[skill.level] || LEVELS.not_started;
+  const hasChildren = skill.children.length > 0;
+
+  return (
+    <Box sx={{ paddingLeft: depth * 2 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, paddingY: 0.75 }}>
+        <Box sx={{ flex: 1, minWidth: 0 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 1 }}>
+            <Typography sx={{ ...textSx, fontWeight: depth === 0 ? 700 : 600, color: themeColors.text }} noWrap>
+              {skill.icon ? `${skill.icon} ` : ''}
+              {skill.name}
+            </Typography>
+            <Chip
+              size="small"
+              label={skill.evidenceCount ? `${level.label} · ${skill.score}%` : level.label}
+              sx={{
+                fontFamily: 'Quicksand, sans-serif',
+                fontWeight: 600,
+                backgroundColor: `${level.color}22`,
+                color: themeColors.text,
+              }}
+            />
+          </Box>
+          <LinearProgress
+            variant="determinate"
+            value={skill.evidenceCount ? skill.score : 0}
+            sx={{
+              marginTop: 0.75,
+              height: 6,
+              borderRadius: 3,
+              backgroundColor: themeColors.bgTertiary,
+              '& .MuiLinearProgress-bar': { backgroundColor: level.color, borderRadius: 3 },
+            }}
+          />
+        </Box>
+        {hasChildren && (
+          <IconButton
+            size="small"
+            onClick={() => setExpanded((prev) => !prev)}
+            aria-label={expanded ? `Hide ${skill.name} sub-skills` : `Show ${skill.name} sub-skills`}
+          >
+            {expanded ? <ExpandLess /> : <ExpandMore />}
+          </IconButton>
+        )}
+      </Box>
+      {hasChildren && (
+        <Collapse in={expanded} timeout="auto" unmountOnExit>
+          {skill.children.map((child) => (
+            <SkillRow key={child._id} skill={child} depth={depth + 1} />
+          ))}
+        </Collapse>
+      )}
+    </Box>
+  );
+};
+
+/**
+ * ChildProgressModalSkills Component
+ *
+ * The child's mastery of each skill area, built from their results on content
+ * tagged with the skill. Areas roll up their sub-skills and expand to show them.
+ */
+const ChildProgressModalSkills = ({ childId }) => {
+  const [skills, setSkills] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!childId) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    skillService
+      .getChildSkills(childId)
+      .then((response) => {
+        if (!cancelled) setSkills(response.data?.skills || []);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(typeof err === 'string' ? err : err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [childId]);
+
+  // Nothing to show until an admin has set up the skills tree
+  if (!loading && !error && skills.length === 0) return null;
+
+  return (
+    <Card
+      sx={{
+        borderRadius: { xs: '12px', sm: '16px' },
+        backgroundColor: themeColors.bgCard,
+        border: `1px solid ${themeColors.border}`,
+      }}
+    >
+      <CardContent sx={{ padding: { xs: 2, sm: 3 } }}>
+        <Typography
+          sx={{
+            fontFamily: 'Quicksand, sans-serif',
+            fontSize: { xs: '1rem', sm: '1.25rem' },
+            fontWeight: 700,
+            color: themeColors.secondary,
+            marginBottom: 2,
+          }}
+        >
+          Skills
+        </Typography>
+
+        {loading ? (
+          <CircularProgress size={24} sx={{ color: themeColors.secondary }} />
+        ) : error ? (
+          <Typography sx={{ ...textSx, color: themeColors.error }}>{error}</Typography>
+        ) : (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5 }}>
+            {skills.map((skill) => (
+              <SkillRow key={skill._id} skill={skill} />
+            ))}
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ChildProgressModalSkills;
@@ -1,15 +1,35 @@
 import React from 'react';
-import { Box, Typography, Card, CardContent, LinearProgress } from '@mui/material';
+import { Box, Typography, Card, CardContent, LinearProgress, Button, Alert } from '@mui/material';
 import BookIcon from '@mui/icons-material/Book';
 import { themeColors } from '../../../config/themeColors';
+import StreakCalendar from '../../common/StreakCalendar';
 
 /**
  * ChildProgressModalWeeklyActivities Component
  * 
  * Displays weekly activity progress for courses
- * Shows course name, progress bar, and completion ratio
+ * Shows the 7-day streak calendar (when weekActivity is loaded),
+ * learning minutes per day (learningDays from learning session heartbeats),
+ * then course name, time this week, progress bar, and completion ratio
  */
-const ChildProgressModalWeeklyActivities = ({ courses }) => {
+const ChildProgressModalWeeklyActivities = ({
+  courses,
+  weekActivity = null,
+  learningDays = [],
+  onPurchaseFreeze,
+  purchasingFreeze = false,
+  freezeError = null,
+}) => {
+  const streak = weekActivity?.streak;
+  const canBuyFreeze = streak && streak.streakFreezes < streak.maxStreakFreezes;
+  const maxDaySeconds = Math.max(...(learningDays || []).map((day) => day.seconds), 0);
+
+  const formatMinutes = (seconds) => {
+    const minutes = Math.round((seconds || 0) / 60);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  };
+
   const getProgressColor = (index) => {
     const colors = [
       themeColors.success, // Green
@@ -41,6 +61,122 @@ const ChildProgressModalWeeklyActivities = ({ courses }) => {
           This Week's Activity
         </Typography>
 
+        {weekActivity?.days?.length > 0 && (
+          <Box
+            sx={{
+              marginBottom: 3,
+              paddingBottom: 2,
+              borderBottom: `1px solid ${themeColors.border}`,
+            }}
+          >
+            <Box
+              sx={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                flexWrap: 'wrap',
+                gap: 1,
+                marginBottom: 1.5,
+              }}
+            >
+              <Typography
+                sx={{
+                  fontFamily: 'Quicksand, sans-serif',
+                  fontSize: { xs: '0.875rem', sm: '1rem' },
+                  fontWeight: 600,
+                  color: themeColors.text,
+                }}
+              >
+                🔥 {streak.currentStreak} day streak
+                {streak.atRisk ? ' · not active yet today' : ''}
+              </Typography>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <Typography
+                  sx={{
+                    fontFamily: 'Quicksand, sans-serif',
+                    fontSize: { xs: '0.75rem', sm: '0.875rem' },
+                    fontWeight: 600,
+                    color: themeColors.textSecondary,
+                  }}
+                >
+                  ❄️ {streak.streakFreezes}/{streak.maxStreakFreezes} freezes
+                </Typography>
+                {onPurchaseFreeze && canBuyFreeze && (
+                  <Button
+                    size="small"
+                    variant="outlined"
+                    onClick={onPurchaseFreeze}
+                    disabled={purchasingFreeze}
+                    sx={{
+                      fontFamily: 'Quicksand, sans-serif',
+                      fontWeight: 600,
+                      textTransform: 'none',
+                      borderRadius: '10px',
+                      borderColor: themeColors.secondary,
+                      color: themeColors.secondary,
+                    }}
+                  >
+                    {purchasingFreeze ? 'Buying...' : `Buy for ${streak.freezeCost} ★`}
+                  </Button>
+                )}
+              </Box>
+            </Box>
+            <StreakCalendar days={weekActivity.days} today={streak.today} />
+            {freezeError && (
+              <Alert severity="error" sx={{ marginTop: 1.5, fontFamily: 'Quicksand, sans-serif' }}>
+                {freezeError}
+              </Alert>
+            )}
+          </Box>
+        )}
+
+        {maxDaySeconds > 0 && (
+          <Box sx={{ marginBottom: 3 }}>
+            <Typography
+              sx={{
+                fontFamily: 'Quicksand, sans-serif',
+                fontSize: { xs: '0.875rem', sm: '1rem' },
+                fontWeight: 600,
+                color: themeColors.text,
+                marginBottom: 1.5,
+              }}
+            >
+              Learning time per day
+            </Typography>
+            <Box sx={{ display: 'flex', alignItems: 'flex-end', gap: '6px', height: 80 }}>
+              {learningDays.map((day) => (
+                <Box
+                  key={day.date}
+                  title={`${day.date}: ${formatMinutes(day.seconds)}`}
+                  sx={{
+                    flex: 1,
+                    height: `${Math.max((day.seconds / maxDaySeconds) * 100, day.seconds > 0 ? 8 : 2)}%`,
+                    backgroundColor: day.seconds > 0 ? themeColors.secondary : themeColors.bgTertiary,
+                    borderRadius: '6px 6px 0 0',
+                  }}
+                />
+              ))}
+            </Box>
+            <Box sx={{ display: 'flex', gap: '6px', marginTop: 0.5 }}>
+              {learningDays.map((day) => (
+                <Typography
+                  key={day.date}
+                  sx={{
+                    flex: 1,
+                    textAlign: 'center',
+                    fontFamily: 'Quicksand, sans-serif',
+                    fontSize: '0.7rem',
+                    fontWeight: 600,
+                    color: themeColors.textSecondary,
+                  }}
+                >
+                  {Math.round(day.seconds / 60)}m
+                </Typography>
+              ))}
+            </Box>
+          </Box>
+        )}
+
         {courses && courses.length > 0 ? (
           <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
             {courses.map((course, index) => (
@@ -71,6 +207,7 @@ const ChildProgressModalWeeklyActivities = ({ courses }) => {
                       color: themeColors.textSecondary,
                     }}
                   >
+                    {course.weekSeconds > 0 ? `${formatMinutes(course.weekSeconds)} · ` : ''}
                     {course.completedCount || 0}/{course.totalCount || 0}
                   </Typography>
                 </Box>
@@ -71,7 +71,9 @@ const ParentLoginForm = () => {
       // Verify password by attempting to login (this verifies password without changing session)
       await authService.login(email, password);
       
-      // Password verified successfully - set flag and navigate to dashboard
+      // Password verified successfully - end any child session, set flag and navigate to dashboard
+      sessionStorage.removeItem('childToken');
+      sessionStorage.removeItem('childSessionId');
       sessionStorage.setItem('dashboardPasswordVerified', 'true');
       setPassword(''); // Clear password for security
       navigate('/parent/dashboard');
@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  TextField,
+  MenuItem,
+  IconButton,
+  Tooltip,
+  CircularProgress,
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { DeleteOutline } from '@mui/icons-material';
+import courseService from '../../../services/courseService';
+
+/**
+ * ClassroomCourses Component
+ *
+ * Courses assigned to a class with their due dates, and a form to assign a
+ * published course (assigning an already assigned course updates its due date)
+ */
+const ClassroomCourses = ({ courses = [], onAssign, onUnassign, busy = false }) => {
+  const theme = useTheme();
+  const [availableCourses, setAvailableCourses] = useState([]);
+  const [courseId, setCourseId] = useState('');
+  const [dueDate, setDueDate] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    courseService
+      .getAllCourses({ isPublished: true, sortBy: 'order', limit: 100 })
+      .then((response) => setAvailableCourses(response.data || []))
+      .catch((err) => setError(typeof err === 'string' ? err : 'Failed to load courses'));
+  }, []);
+
+  const handleAssign = async () => {
+    if (!courseId) return;
+    setError(null);
+    try {
+      await onAssign({ courseId, dueDate: dueDate ? new Date(`${dueDate}T23:59:59`).toISOString() : null });
+      setCourseId('');
+      setDueDate('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const textSx = { fontFamily: 'Quicksand, sans-serif', fontSize: '0.875rem' };
+
+  return (
+    <Paper sx={{ padding: 2.5, borderRadius: '16px', border: `1px solid ${theme.palette.border.main}`, boxShadow: 'none' }}>
+      <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 700, fontSize: '1.1rem', marginBottom: 1.5 }}>
+        Assigned courses
+      </Typography>
+
+      {courses.length === 0 ? (
+        <Typography sx={{ ...textSx, color: theme.palette.text.secondary, marginBottom: 2 }}>
+          No courses assigned yet. Assigned courses start for every child in the class.
+        </Typography>
+      ) : (
+        <Box sx={{ marginBottom: 2 }}>
+          {courses.map((entry) => (
+            <Box
+              key={entry.course?._id || entry._id}
+              sx={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: 1,
+                paddingY: 1,
+                borderBottom: `1px solid ${theme.palette.border.main}`,
+              }}
+            >
+              <Box sx={{ flexGrow: 1 }}>
+                <Typography sx={{ ...textSx, fontWeight: 600 }}>{entry.course?.title || 'Deleted course'}</Typography>
+                <Typography sx={{ ...textSx, fontSize: '0.75rem', color: theme.palette.text.secondary }}>
+                  {entry.dueDate ? `Due ${new Date(entry.dueDate).toLocaleDateString()}` : 'No due date'}
+                </Typography>
+              </Box>
+              {entry.course && (
+                <Tooltip title="Remove from class (children keep their progress)">
+                  <span>
+                    <IconButton
+                      size="small"
+                      disabled={busy}
+                      onClick={() => onUnassign(entry.course)}
+                      aria-label={`Remove ${entry.course.title}`}
+                    >
+                      <DeleteOutline fontSize="small" />
+                    </IconButton>
+                  </span>
+                </Tooltip>
+              )}
+            </Box>
+          ))}
+        </Box>
+      )}
+
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1.5, alignItems: 'center' }}>
+        <TextField
+          select
+          size="small"
+          label="Course"
+          value={courseId}
+          onChange={(e) => setCourseId(e.target.value)}
+          sx={{ minWidth: 220, flexGrow: 1 }}
+        >
+          {availableCourses.map((course) => (
+            <MenuItem key={course._id} value={course._id}>
+              {course.title}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          size="small"
+          label="Due date"
+          type="date"
+          value={dueDate}
+          onChange={(e) => setDueDate(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+        />
+        <Button
+          variant="contained"
+          disabled={!courseId || busy}
+          onClick={handleAssign}
+          startIcon={busy ? <CircularProgress size={16} color="inherit" /> : null}
+          sx={{
+            fontFamily: 'Quicksand, sans-serif',
+            fontWeight: 600,
+            textTransform: 'none',
+            borderRadius: '8px',
+            backgroundColor: theme.palette.orange.main,
+            color: theme.palette.textCustom.inverse,
+            '&:hover': { backgroundColor: theme.palette.orange.dark },
+          }}
+        >
+          Assign
+        </Button>
+      </Box>
+      {error && (
+        <Typography sx={{ ...textSx, color: theme.palette.error.main, marginTop: 1 }}>{error}</Typography>
+      )}
+    </Paper>
+  );
+};
+
+export default ClassroomCourses;
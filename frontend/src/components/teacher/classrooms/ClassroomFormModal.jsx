@@ -0,0 +1,166 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Stack,
+  Typography,
+  CircularProgress,
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { Close as CloseIcon } from '@mui/icons-material';
+
+/**
+ * ClassroomFormModal Component
+ *
+ * Create/edit modal for a teacher's classroom (name and description)
+ * When `classroom` is passed the modal edits it, otherwise it creates a new one
+ */
+const ClassroomFormModal = ({ open, classroom = null, onClose, onSubmit }) => {
+  const theme = useTheme();
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setName(classroom?.name || '');
+      setDescription(classroom?.description || '');
+      setError(null);
+    }
+  }, [open, classroom]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      setError('Name is required');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      await onSubmit({ name: name.trim(), description: description.trim() });
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to save classroom');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const fieldSx = {
+    '& .MuiOutlinedInput-root': {
+      fontFamily: 'Quicksand, sans-serif',
+      borderRadius: '8px',
+      '& fieldset': { borderColor: theme.palette.border.main },
+      '&:hover fieldset': { borderColor: theme.palette.primary.main },
+      '&.Mui-focused fieldset': { borderColor: theme.palette.primary.main },
+    },
+    '& .MuiInputLabel-root': { fontFamily: 'Quicksand, sans-serif' },
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="sm"
+      fullWidth
+      aria-label={classroom ? 'Edit class dialog' : 'New class dialog'}
+      PaperProps={{ sx: { borderRadius: '12px' } }}
+    >
+      <DialogTitle
+        sx={{
+          padding: 3,
+          paddingBottom: 2,
+          borderBottom: `1px solid ${theme.palette.border.main}`,
+          backgroundColor: theme.palette.custom.bgSecondary,
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+        }}
+      >
+        <Typography
+          variant="h6"
+          sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 700, fontSize: '1.25rem', color: theme.palette.text.primary }}
+        >
+          {classroom ? 'Edit Class' : 'New Class'}
+        </Typography>
+        <Button
+          onClick={onClose}
+          aria-label="Close class dialog"
+          sx={{ minWidth: 'auto', padding: 0.5, color: theme.palette.text.secondary }}
+        >
+          <CloseIcon />
+        </Button>
+      </DialogTitle>
+
+      <form onSubmit={handleSubmit}>
+        <DialogContent sx={{ padding: 3 }}>
+          <Stack spacing={2.5}>
+            <TextField
+              label="Class name"
+              value={name}
+              onChange={(e) => {
+                setName(e.target.value);
+                setError(null);
+              }}
+              fullWidth
+              required
+              autoFocus
+              inputProps={{ maxLength: 100 }}
+              sx={fieldSx}
+            />
+            <TextField
+              label="Description"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              fullWidth
+              multiline
+              minRows={2}
+              inputProps={{ maxLength: 500 }}
+              sx={fieldSx}
+            />
+            {error && (
+              <Typography sx={{ fontFamily: 'Quicksand, sans-serif', color: theme.palette.error.main }}>
+                {error}
+              </Typography>
+            )}
+          </Stack>
+        </DialogContent>
+
+        <DialogActions sx={{ padding: 3, paddingTop: 2, borderTop: `1px solid ${theme.palette.border.main}`, gap: 1.5 }}>
+          <Button
+            onClick={onClose}
+            disabled={submitting}
+            sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600, textTransform: 'none', color: theme.palette.text.secondary }}
+          >
+            Cancel
+          </Button>
+          <Button
+            type="submit"
+            variant="contained"
+            disabled={submitting}
+            startIcon={submitting ? <CircularProgress size={16} color="inherit" /> : null}
+            sx={{
+              fontFamily: 'Quicksand, sans-serif',
+              fontWeight: 600,
+              textTransform: 'none',
+              borderRadius: '8px',
+              backgroundColor: theme.palette.orange.main,
+              color: theme.palette.textCustom.inverse,
+              '&:hover': { backgroundColor: theme.palette.orange.dark },
+            }}
+          >
+            {classroom ? 'Save Changes' : 'Create Class'}
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default ClassroomFormModal;
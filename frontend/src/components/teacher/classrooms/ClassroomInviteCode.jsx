@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { Box, Typography, Paper, Button, IconButton, Tooltip, FormControlLabel, Switch } from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { ContentCopy as CopyIcon, Refresh as RefreshIcon } from '@mui/icons-material';
+
+/**
+ * ClassroomInviteCode Component
+ *
+ * Shows the class invite code parents enter to add their child, with copy,
+ * regenerate (the old code stops working) and open/close joining controls
+ */
+const ClassroomInviteCode = ({ classroom, onRegenerate, onToggleJoin, busy = false }) => {
+  const theme = useTheme();
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(classroom.inviteCode);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('[ClassroomInviteCode] Failed to copy invite code:', err);
+    }
+  };
+
+  return (
+    <Paper
+      sx={{
+        padding: 2.5,
+        borderRadius: '16px',
+        border: `1px solid ${theme.palette.border.main}`,
+        boxShadow: 'none',
+        display: 'flex',
+        flexWrap: 'wrap',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: 2,
+      }}
+    >
+      <Box>
+        <Typography sx={{ fontFamily: 'Quicksand, sans-serif', color: theme.palette.text.secondary, fontSize: '0.875rem' }}>
+          Invite code for parents
+        </Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Typography
+            sx={{
+              fontFamily: 'monospace',
+              fontWeight: 700,
+              fontSize: '1.75rem',
+              letterSpacing: '4px',
+              color: classroom.isJoinOpen ? theme.palette.text.primary : theme.palette.text.disabled,
+            }}
+          >
+            {classroom.inviteCode}
+          </Typography>
+          <Tooltip title={copied ? 'Copied!' : 'Copy code'}>
+            <IconButton onClick={handleCopy} aria-label="Copy invite code">
+              <CopyIcon />
+            </IconButton>
+          </Tooltip>
+        </Box>
+      </Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+        <FormControlLabel
+          control={
+            <Switch
+              checked={classroom.isJoinOpen}
+              disabled={busy}
+              onChange={(e) => onToggleJoin(e.target.checked)}
+            />
+          }
+          label="Open for new children"
+          sx={{ '& .MuiFormControlLabel-label': { fontFamily: 'Quicksand, sans-serif' } }}
+        />
+        <Button
+          startIcon={<RefreshIcon />}
+          onClick={onRegenerate}
+          disabled={busy}
+          sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600, textTransform: 'none' }}
+        >
+          New code
+        </Button>
+      </Box>
+    </Paper>
+  );
+};
+
+export default ClassroomInviteCode;
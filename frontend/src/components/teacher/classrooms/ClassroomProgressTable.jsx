@@ -0,0 +1,130 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  LinearProgress,
+  Avatar,
+  IconButton,
+  Tooltip,
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { PersonRemoveOutlined, PlaylistAddOutlined } from '@mui/icons-material';
+
+const STATUS_LABELS = {
+  completed: 'Done',
+  in_progress: 'In progress',
+  not_started: 'Not started',
+  locked: 'Locked',
+};
+
+/**
+ * ClassroomProgressTable Component
+ *
+ * Roster with each child's progress on every course assigned to the class,
+ * plus the class average per course in the header
+ */
+const ClassroomProgressTable = ({ progress, onRemoveChild, onManageCourses }) => {
+  const theme = useTheme();
+  const textSx = { fontFamily: 'Quicksand, sans-serif', fontSize: '0.875rem' };
+
+  if (!progress || progress.children.length === 0) {
+    return (
+      <Typography sx={{ ...textSx, color: theme.palette.text.secondary, padding: 2 }}>
+        No children in this class yet. Share the invite code with parents.
+      </Typography>
+    );
+  }
+
+  return (
+    <TableContainer
+      component={Paper}
+      sx={{ borderRadius: '16px', border: `1px solid ${theme.palette.border.main}`, boxShadow: 'none' }}
+    >
+      <Table size="small">
+        <TableHead>
+          <TableRow sx={{ backgroundColor: theme.palette.custom.bgSecondary }}>
+            <TableCell sx={{ ...textSx, fontWeight: 700 }}>Child</TableCell>
+            <TableCell sx={{ ...textSx, fontWeight: 700 }}>Overall</TableCell>
+            {progress.courses.map((row) => (
+              <TableCell key={row.course._id} sx={{ ...textSx, fontWeight: 700, minWidth: 140 }}>
+                {row.course.title}
+                <Typography
+                  sx={{
+                    ...textSx,
+                    fontSize: '0.75rem',
+                    color: row.isOverdue ? theme.palette.error.main : theme.palette.text.secondary,
+                  }}
+                >
+                  Avg {row.averageProgress}% · {row.completedCount} done
+                  {row.dueDate ? ` · due ${new Date(row.dueDate).toLocaleDateString()}` : ''}
+                </Typography>
+              </TableCell>
+            ))}
+            <TableCell />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {progress.children.map((row) => (
+            <TableRow key={row.child._id} hover>
+              <TableCell>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <Avatar src={row.child.avatar || undefined} sx={{ width: 28, height: 28 }}>
+                    {row.child.displayName?.[0]}
+                  </Avatar>
+                  <Typography sx={{ ...textSx, fontWeight: 600 }}>{row.child.displayName}</Typography>
+                </Box>
+              </TableCell>
+              <TableCell sx={{ ...textSx, fontWeight: 700 }}>{row.averageProgress}%</TableCell>
+              {row.courses.map((item) => (
+                <TableCell key={item.course}>
+                  <Tooltip title={STATUS_LABELS[item.status] || item.status}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <LinearProgress
+                        variant="determinate"
+                        value={item.progressPercentage}
+                        color={item.status === 'completed' ? 'success' : 'primary'}
+                        sx={{ flexGrow: 1, height: 6, borderRadius: 3 }}
+                      />
+                      <Typography sx={{ ...textSx, fontSize: '0.75rem', width: 36, textAlign: 'right' }}>
+                        {item.progressPercentage}%
+                      </Typography>
+                    </Box>
+                  </Tooltip>
+                </TableCell>
+              ))}
+              <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                <Tooltip title="Assign courses to this child">
+                  <IconButton
+                    size="small"
+                    onClick={() => onManageCourses(row.child)}
+                    aria-label={`Manage ${row.child.displayName}'s courses`}
+                  >
+                    <PlaylistAddOutlined fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+                <Tooltip title="Remove from class">
+                  <IconButton
+                    size="small"
+                    onClick={() => onRemoveChild(row.child)}
+                    aria-label={`Remove ${row.child.displayName} from class`}
+                  >
+                    <PersonRemoveOutlined fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+};
+
+export default ClassroomProgressTable;
@@ -4,15 +4,12 @@ import {
   Toolbar,
   Box,
   Typography,
-  IconButton,
-  Badge,
   Menu,
   MenuItem,
   Avatar,
   Divider,
 } from '@mui/material';
 import {
-  Notifications as NotificationsIcon,
   AccountCircle,
   Logout,
   Person,
@@ -20,6 +17,7 @@ import {
 import { useTheme } from '@mui/material/styles';
 import useAuth from '../../../hooks/userHook';
 import smallLogo from '../../../assets/images/small-logo.png';
+import NotificationBell from '../../common/NotificationBell';
 
 /**
  * TeacherNavigation Component
@@ -31,7 +29,6 @@ const TeacherNavigation = ({ profileDrawerOpen, setProfileDrawerOpen }) => {
   const theme = useTheme();
   const { user, logout } = useAuth();
   const [anchorEl, setAnchorEl] = useState(null);
-  const [notificationAnchor, setNotificationAnchor] = useState(null);
 
   const handleProfileMenuOpen = (event) => {
     setAnchorEl(event.currentTarget);
@@ -41,14 +38,6 @@ const TeacherNavigation = ({ profileDrawerOpen, setProfileDrawerOpen }) => {
     setAnchorEl(null);
   };
 
-  const handleNotificationMenuOpen = (event) => {
-    setNotificationAnchor(event.currentTarget);
-  };
-
-  const handleNotificationMenuClose = () => {
-    setNotificationAnchor(null);
-  };
-
   const handleLogout = async () => {
     handleProfileMenuClose();
     await logout();
@@ -102,8 +91,7 @@ const TeacherNavigation = ({ profileDrawerOpen, setProfileDrawerOpen }) => {
         {/* Right Side Actions */}
         <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
           {/* Notifications */}
-          <IconButton
-            onClick={handleNotificationMenuOpen}
+          <NotificationBell
             sx={{
               color: theme.palette.text.secondary,
               padding: 1.25,
@@ -115,83 +103,7 @@ const TeacherNavigation = ({ profileDrawerOpen, setProfileDrawerOpen }) => {
                 transform: 'scale(1.05)',
               },
             }}
-          >
-            <Badge 
-              badgeContent={3} 
-              color="error"
-              sx={{
-                '& .MuiBadge-badge': {
-                  fontSize: '0.625rem',
-                  height: '18px',
-                  minWidth: '18px',
-                  padding: '0 4px',
-                },
-              }}
-            >
-              <NotificationsIcon />
-            </Badge>
-          </IconButton>
-
-          {/* Notifications Menu */}
-          <Menu
-            anchorEl={notificationAnchor}
-            open={Boolean(notificationAnchor)}
-            onClose={handleNotificationMenuClose}
-            PaperProps={{
-              sx: {
-                mt: 2,
-                minWidth: 360,
-                maxHeight: 480,
-                borderRadius: '12px',
-                boxShadow: '0 8px 24px rgba(0, 0, 0, 0.12)',
-                border: `1px solid ${theme.palette.border.main}`,
-                overflow: 'hidden',
-              },
-            }}
-            transformOrigin={{ horizontal: 'right', vertical: 'top' }}
-            anchorOrigin={{ horizontal: 'right', vertical: 'bottom' }}
-          >
-            <Box
-              sx={{
-                padding: 2,
-                backgroundColor: theme.palette.custom.bgSecondary,
-                borderBottom: `1px solid ${theme.palette.border.main}`,
-              }}
-            >
-              <Typography
-                variant="h6"
-                sx={{
-                  fontFamily: 'Quicksand, sans-serif',
-                  fontWeight: 700,
-                  fontSize: '1rem',
-                  color: theme.palette.text.primary,
-                }}
-              >
-                Notifications
-              </Typography>
-            </Box>
-            <Box sx={{ maxHeight: 400, overflow: 'auto' }}>
-              <MenuItem
-                onClick={handleNotificationMenuClose}
-                sx={{
-                  padding: 2,
-                  '&:hover': {
-                    backgroundColor: theme.palette.custom.bgTertiary,
-                  },
-                }}
-              >
-                <Typography
-                  variant="body2"
-                  sx={{
-                    fontFamily: 'Quicksand, sans-serif',
-                    color: theme.palette.text.secondary,
-                  }}
-                >
-                  No new notifications
-                </Typography>
-              </MenuItem>
-            </Box>
-          </Menu>
+          />
 
           {/* Teacher Profile */}
           <Box
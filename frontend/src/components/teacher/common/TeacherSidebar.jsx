@@ -23,6 +23,7 @@ import {
   PlayCircleOutlined,
   WallpaperOutlined,
   AudiotrackOutlined,
+  GroupsOutlined,
 } from '@mui/icons-material';
 import { APP_VERSION } from '../../../config/constants';
 
@@ -44,6 +45,7 @@ const TeacherSidebar = () => {
 
   const menuItems = [
     { text: 'Dashboard', icon: <DashboardOutlined />, path: '/teacher/dashboard' },
+    { text: 'Classes', icon: <GroupsOutlined />, path: '/teacher/classrooms', matchPrefix: true },
     {
       text: 'Courses',
       icon: <MenuBookOutlined />,
@@ -138,6 +140,7 @@ const TeacherSidebar = () => {
         <List sx={{ padding: 0 }}>
           {menuItems.map((item, index) => {
             const isActive = location.pathname === item.path || 
+              (item.matchPrefix && location.pathname.startsWith(item.path)) ||
               (item.subItems && item.subItems.some(sub => location.pathname === sub.path));
             const hasSubItems = item.subItems && item.subItems.length > 0;
             
@@ -259,6 +259,7 @@ export const useContent = () => {
       [CONTENT_TYPES.VIDEO]: 'Video',
       [CONTENT_TYPES.AUDIO_ASSIGNMENT]: 'Audio Assignment',
       [CONTENT_TYPES.CHANT]: 'Chant',
+      [CONTENT_TYPES.QUIZ]: 'Quiz',
     };
     return labels[contentType] || 'Content';
   };
@@ -0,0 +1,131 @@
+import { useEffect, useRef } from 'react';
+import {
+  startLearningSession,
+  sendLearningHeartbeat,
+  endLearningSession,
+} from '../services/learningSessionService';
+
+// The child counts as idle after this long without input (unless media is playing)
+const IDLE_AFTER_MS = 60 * 1000;
+// Used until the backend tells us its heartbeat interval
+const DEFAULT_HEARTBEAT_SECONDS = 30;
+
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'touchstart', 'wheel', 'scroll'];
+
+/**
+ * Custom hook for learning time tracking
+ *
+ * Starts a learning session while `active` is true, counts the seconds the
+ * child is actually active and sends them in heartbeats; ends the session when
+ * `active` turns false or the component unmounts.
+ *
+ * Idle detection (checked every second):
+ * - hidden tab: idle
+ * - `engaged` (e.g. a video or recording is playing): active
+ * - focus inside an iframe player (SCORM, cmi5): active, input there is not visible to us
+ * - otherwise: active when there was input in the last minute
+ *
+ * Tracking errors never interrupt the player; they are only logged.
+ *
+ * @param {Object} options
+ * @param {String} options.childId - Child's ID (no tracking without it)
+ * @param {String} options.contentType - Learning session content type
+ * @param {String} options.contentId - Content ID (no tracking without it)
+ * @param {String} [options.courseId] - Course the content was opened from
+ * @param {Boolean} options.active - Player is open
+ * @param {Boolean} [options.engaged] - Child is engaged without input (media playing, recording)
+ */
+export const useLearningSession = ({
+  childId,
+  contentType,
+  contentId,
+  courseId = null,
+  active,
+  engaged = false,
+}) => {
+  const engagedRef = useRef(engaged);
+
+  useEffect(() => {
+    engagedRef.current = engaged;
+  }, [engaged]);
+
+  useEffect(() => {
+    if (!active || !childId || !contentType || !contentId) return undefined;
+
+    let cancelled = false;
+    let sessionId = null;
+    let heartbeatSeconds = DEFAULT_HEARTBEAT_SECONDS;
+    let activeSeconds = 0;
+    let elapsedSeconds = 0;
+    let lastInputAt = Date.now();
+
+    const start = async () => {
+      try {
+        const session = await startLearningSession(childId, { contentType, contentId, courseId });
+        if (cancelled) {
+          endLearningSession(childId, session.sessionId, { activeSeconds: 0, idle: true }).catch(() => {});
+          return;
+        }
+        sessionId = session.sessionId;
+        heartbeatSeconds = session.heartbeatInterval || DEFAULT_HEARTBEAT_SECONDS;
+      } catch (err) {
+        console.error('[LearningSession] Failed to start session:', err.message);
+      }
+    };
+
+    const takeActivity = () => {
+      const activity = { activeSeconds, idle: activeSeconds === 0 };
+      activeSeconds = 0;
+      elapsedSeconds = 0;
+      return activity;
+    };
+
+    const handleInput = () => {
+      lastInputAt = Date.now();
+    };
+
+    const isChildActive = () => {
+      if (document.hidden) return false;
+      if (engagedRef.current) return true;
+      if (document.activeElement?.tagName === 'IFRAME') return true;
+      return Date.now() - lastInputAt < IDLE_AFTER_MS;
+    };
+
+    const tick = async () => {
+      if (isChildActive()) activeSeconds += 1;
+      elapsedSeconds += 1;
+
+      if (!sessionId || elapsedSeconds < heartbeatSeconds) return;
+
+      const currentSessionId = sessionId;
+      try {
+        await sendLearningHeartbeat(childId, currentSessionId, takeActivity());
+      } catch (err) {
+        // The session ended or expired (e.g. the device slept): start a new one
+        if (err.status === 409 && !cancelled && sessionId === currentSessionId) {
+          sessionId = null;
+          start();
+        } else {
+          console.error('[LearningSession] Heartbeat failed:', err.message);
+        }
+      }
+    };
+
+    ACTIVITY_EVENTS.forEach((eventName) => window.addEventListener(eventName, handleInput, { passive: true }));
+    const interval = setInterval(tick, 1000);
+    start();
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+      ACTIVITY_EVENTS.forEach((eventName) => window.removeEventListener(eventName, handleInput));
+      if (sessionId) {
+        endLearningSession(childId, sessionId, takeActivity()).catch((err) => {
+          console.error('[LearningSession] Failed to end session:', err.message);
+        });
+      }
+    };
+  }, [active, childId, contentType, contentId, courseId]);
+};
+
+export default useLearningSession;
@@ -0,0 +1,50 @@
+import { useEffect, useState } from 'react';
+import { getMediaAccessUrl, getMediaBaseUrl, isPublicMediaPath } from '../services/mediaService';
+
+/**
+ * Custom hook resolving an uploaded file to a URL the browser can load
+ *
+ * Public uploads (covers, badges, rewards) resolve immediately; private ones
+ * (recordings, Kids Wall, videos) are signed by the backend first.
+ *
+ * @param {String} path - /uploads/... path or URL as returned by the API
+ * @returns {Object} { url, loading, error } - url is null until resolved
+ */
+export const useMediaUrl = (path) => {
+  let immediateUrl = null;
+  if (path && isPublicMediaPath(path)) {
+    immediateUrl = path.startsWith('/') ? `${getMediaBaseUrl()}${path}` : path;
+  }
+
+  const [signed, setSigned] = useState({ path: null, url: null, error: null });
+
+  useEffect(() => {
+    if (!path || immediateUrl) return undefined;
+
+    let cancelled = false;
+    getMediaAccessUrl(path)
+      .then((url) => {
+        if (!cancelled) setSigned({ path, url, error: null });
+      })
+      .catch((error) => {
+        if (!cancelled) setSigned({ path, url: null, error: error.message });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [path, immediateUrl]);
+
+  if (immediateUrl || !path) {
+    return { url: immediateUrl, loading: false, error: null };
+  }
+
+  const isCurrent = signed.path === path;
+  return {
+    url: isCurrent ? signed.url : null,
+    loading: !isCurrent,
+    error: isCurrent ? signed.error : null,
+  };
+};
+
+export default useMediaUrl;
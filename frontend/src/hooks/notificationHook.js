@@ -0,0 +1,132 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getNotifications,
+  markNotificationAsRead,
+  markAllNotificationsAsRead,
+  streamNotifications,
+} from '../services/notificationService';
+
+// Notifications kept in the drawer
+const PAGE_SIZE = 20;
+// Reconnect delay after the stream drops (doubles up to the max)
+const RECONNECT_DELAY_MS = 5 * 1000;
+const MAX_RECONNECT_DELAY_MS = 60 * 1000;
+
+/**
+ * Custom hook for the notification bell
+ *
+ * Loads the latest notifications, keeps a Server-Sent Events stream open for
+ * new ones and the unread count, and reconnects with backoff when the stream
+ * drops (refetching the list so nothing pushed meanwhile is missed).
+ * Auth errors (401/403) stop reconnecting.
+ *
+ * @param {Object} [options]
+ * @param {String} [options.childId] - Child app notifications instead of the user's own
+ * @param {Boolean} [options.enabled] - Set false to skip loading (e.g. no user yet)
+ */
+export const useNotifications = ({ childId = null, enabled = true } = {}) => {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchNotifications = useCallback(async () => {
+    if (!enabled) return;
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await getNotifications({ childId, limit: PAGE_SIZE });
+      setNotifications(result.notifications);
+      setUnreadCount(result.unreadCount);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [childId, enabled]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const controller = new AbortController();
+    let reconnectTimer = null;
+    let delay = RECONNECT_DELAY_MS;
+
+    const handleEvent = (event, data) => {
+      delay = RECONNECT_DELAY_MS;
+      if (event === 'notification' && data.notification) {
+        setNotifications((prev) => [data.notification, ...prev].slice(0, PAGE_SIZE));
+      }
+      if (typeof data.unreadCount === 'number') {
+        setUnreadCount(data.unreadCount);
+      }
+    };
+
+    const connect = async () => {
+      try {
+        await streamNotifications({ childId, signal: controller.signal, onEvent: handleEvent });
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        if (err.status === 401 || err.status === 403) {
+          console.error('[useNotifications] Not allowed to open notification stream:', err);
+          return;
+        }
+      }
+      if (controller.signal.aborted) return;
+      reconnectTimer = setTimeout(() => {
+        fetchNotifications();
+        connect();
+      }, delay);
+      delay = Math.min(delay * 2, MAX_RECONNECT_DELAY_MS);
+    };
+
+    fetchNotifications();
+    connect();
+
+    return () => {
+      controller.abort();
+      clearTimeout(reconnectTimer);
+    };
+  }, [childId, enabled, fetchNotifications]);
+
+  const markAsRead = useCallback(
+    async (notificationId) => {
+      setNotifications((prev) =>
+        prev.map((item) =>
+          item._id === notificationId && !item.readAt ? { ...item, readAt: new Date().toISOString() } : item
+        )
+      );
+      try {
+        const result = await markNotificationAsRead(notificationId, childId);
+        setUnreadCount(result.unreadCount);
+      } catch (err) {
+        console.error('[useNotifications] Failed to mark notification as read:', err);
+      }
+    },
+    [childId]
+  );
+
+  const markAllAsRead = useCallback(async () => {
+    const now = new Date().toISOString();
+    setNotifications((prev) => prev.map((item) => (item.readAt ? item : { ...item, readAt: now })));
+    setUnreadCount(0);
+    try {
+      await markAllNotificationsAsRead(childId);
+    } catch (err) {
+      console.error('[useNotifications] Failed to mark notifications as read:', err);
+      fetchNotifications();
+    }
+  }, [childId, fetchNotifications]);
+
+  return {
+    notifications,
+    unreadCount,
+    loading,
+    error,
+    refresh: fetchNotifications,
+    markAsRead,
+    markAllAsRead,
+  };
+};
+
+export default useNotifications;
@@ -0,0 +1,78 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { uploadFileResumable } from '../services/uploadService';
+
+/**
+ * Custom hook for sending a form's large files through resumable uploads
+ *
+ * Uploads the files one after another and tracks each one's progress by form
+ * field, for display while the admin waits. Unmounting or cancel() stops the
+ * upload; picking the same file again later resumes it.
+ *
+ * @returns {Object} { uploads, uploading, uploadFiles, cancel, reset }
+ *   uploads: { [field]: { fileName, loaded, total, status } }, status being
+ *   'uploading', 'retrying', 'done' or 'error'
+ */
+export const useResumableUpload = () => {
+  const [uploads, setUploads] = useState({});
+  const [uploading, setUploading] = useState(false);
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const updateUpload = useCallback((field, changes) => {
+    setUploads((prev) => ({ ...prev, [field]: { ...prev[field], ...changes } }));
+  }, []);
+
+  /**
+   * Upload files in order
+   * @param {Array<Object>} files - [{ field, file, purpose }]
+   * @returns {Promise<Object>} Upload ids by field, e.g. { scormFile: '...' }
+   */
+  const uploadFiles = useCallback(async (files) => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setUploading(true);
+    setUploads(Object.fromEntries(files.map(({ field, file }) => [
+      field,
+      { fileName: file.name, loaded: 0, total: file.size, status: 'uploading' },
+    ])));
+
+    const uploadIds = {};
+    try {
+      for (const { field, file, purpose } of files) {
+        uploadIds[field] = await uploadFileResumable(file, {
+          purpose,
+          signal: controller.signal,
+          onProgress: ({ loaded, total, retrying }) => {
+            updateUpload(field, { loaded, total, status: retrying ? 'retrying' : 'uploading' });
+          },
+        });
+        updateUpload(field, { loaded: file.size, status: 'done' });
+      }
+      return uploadIds;
+    } catch (error) {
+      setUploads((prev) => Object.fromEntries(Object.entries(prev).map(([field, upload]) => [
+        field,
+        upload.status === 'done' ? upload : { ...upload, status: 'error', error: error.message },
+      ])));
+      throw error;
+    } finally {
+      setUploading(false);
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+      }
+    }
+  }, [updateUpload]);
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  const reset = useCallback(() => {
+    setUploads({});
+  }, []);
+
+  return { uploads, uploading, uploadFiles, cancel, reset };
+};
+
+export default useResumableUpload;
@@ -5,6 +5,7 @@ import { useDispatch, useSelector } from 'react-redux';
 import { CheckCircle, Error as ErrorIcon, Warning, Info, Close } from '@mui/icons-material';
 import ChildHeader from '../components/common/ChilHeader';
 import ChildNavigation from '../components/common/ChildNavigation';
+import AnnouncementBanner from '../components/common/AnnouncementBanner';
 import { themeColors } from '../config/themeColors';
 import { hideNotification } from '../store/slices/uiSlice';
 
@@ -15,6 +16,7 @@ import { hideNotification } from '../store/slices/uiSlice';
  * Includes sticky header and fixed bottom navigation
  * Default background color uses theme primary color
  * Displays notifications that persist across page navigation
+ * and the child's unread announcements
  */
 const ChildLayout = ({ children, childId }) => {
   const theme = useTheme();
@@ -70,6 +72,9 @@ const ChildLayout = ({ children, childId }) => {
       {/* Sticky Header */}
       <ChildHeader childId={childId} />
 
+      {/* Announcements for children */}
+      {childId && <AnnouncementBanner childId={childId} kidFriendly />}
+
       {/* Scrollable Content Area */}
       <Box
         component="main"
@@ -4,12 +4,14 @@ import { useTheme } from '@mui/material/styles';
 import ParentsNav from '../components/parents/comon/ParentsNav';
 import { themeColors } from '../config/themeColors';
 import ContactSupportCustomDialog from '../components/parents/contactsupport/ContactSupportCustomDialog';
+import ParentsEmailVerifyBanner from '../components/parents/comon/ParentsEmailVerifyBanner';
+import AnnouncementBanner from '../components/common/AnnouncementBanner';
 
 /**
  * ParentsLayout Component
  * 
  * Layout wrapper for parent dashboard pages
- * Includes sticky navigation bar at the top
+ * Includes sticky navigation bar at the top and announcement banners
  */
 const ParentsLayout = ({ children }) => {
   const theme = useTheme();
@@ -26,6 +28,12 @@ const ParentsLayout = ({ children }) => {
       {/* Sticky Navigation */}
       <ParentsNav />
 
+      {/* Email verification reminder */}
+      <ParentsEmailVerifyBanner />
+
+      {/* Announcements for parents */}
+      <AnnouncementBanner />
+
       {/* Scrollable Content Area */}
       <Box
         component="main"
@@ -3,13 +3,14 @@ import { Box } from '@mui/material';
 import TeacherNavigation from '../components/teacher/common/TeacherNavigation';
 import TeacherSidebar, { DRAWER_WIDTH } from '../components/teacher/common/TeacherSidebar';
 import AdminProfileDrawer from '../components/admin/common/AdminProfileDrawer';
+import AnnouncementBanner from '../components/common/AnnouncementBanner';
 import { useAuth } from '../hooks/userHook';
 
 /**
  * TeacherLayout Component
  *
  * Layout wrapper for teacher pages
- * Includes navigation header and sidebar
+ * Includes navigation header, sidebar and announcement banners
  */
 const TeacherLayout = ({ children }) => {
   const [profileDrawerOpen, setProfileDrawerOpen] = useState(false);
@@ -34,6 +35,11 @@ const TeacherLayout = ({ children }) => {
           minHeight: 'calc(100vh - 64px)',
         }}
       >
+        {/* Announcements for teachers */}
+        <Box sx={{ marginBottom: 2, '&:empty': { display: 'none' } }}>
+          <AnnouncementBanner />
+        </Box>
+
         {children}
       </Box>
 
@@ -13,7 +13,7 @@ import { CONTENT_TYPES } from '../../services/contentService';
 /**
  * AdminActivities Page (Contents)
  * 
- * Main page for managing all content types (activities, books, videos, audio, chants)
+ * Main page for managing all content types (activities, books, videos, audio, chants, quizzes)
  * Supports URL persistence: /admin/courses/contents?type=books
  */
 const AdminActivities = () => {
@@ -37,6 +37,8 @@ const AdminActivities = () => {
       'audio-assignment': CONTENT_TYPES.AUDIO_ASSIGNMENT,
       'chant': CONTENT_TYPES.CHANT,
       'chants': CONTENT_TYPES.CHANT,
+      'quiz': CONTENT_TYPES.QUIZ,
+      'quizzes': CONTENT_TYPES.QUIZ,
     };
     return typeMap[typeParam?.toLowerCase()] || CONTENT_TYPES.ACTIVITY;
   };
@@ -49,6 +51,7 @@ const AdminActivities = () => {
       [CONTENT_TYPES.VIDEO]: 'videos',
       [CONTENT_TYPES.AUDIO_ASSIGNMENT]: 'audio',
       [CONTENT_TYPES.CHANT]: 'chants',
+      [CONTENT_TYPES.QUIZ]: 'quizzes',
     };
     return urlMap[contentType] || 'activities';
   };
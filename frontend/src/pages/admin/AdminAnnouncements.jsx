@@ -0,0 +1,233 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Box, Paper, Stack, Typography, Button, TextField, MenuItem, Alert, Pagination } from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { Add as AddIcon } from '@mui/icons-material';
+import announcementService from '../../services/announcementService';
+import AnnouncementsTable from '../../components/admin/announcements/AnnouncementsTable';
+import AnnouncementFormModal, {
+  AUDIENCE_OPTIONS,
+  PRIORITY_OPTIONS,
+} from '../../components/admin/announcements/AnnouncementFormModal';
+
+/**
+ * AdminAnnouncements Page
+ *
+ * Manage announcements shown as banners/popups to parents, children and teachers
+ * Announcements can be scheduled (publish/expiry dates) and kept as drafts
+ */
+const AdminAnnouncements = () => {
+  const theme = useTheme();
+  const [announcements, setAnnouncements] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0, pages: 0 });
+  const [filters, setFilters] = useState({ status: '', audience: '', priority: '', search: '' });
+  const [error, setError] = useState(null);
+  const [modalOpen, setModalOpen] = useState(false);
+  const [editingAnnouncement, setEditingAnnouncement] = useState(null);
+
+  const fetchAnnouncements = useCallback(
+    async (page = 1) => {
+      try {
+        setError(null);
+        const response = await announcementService.getAnnouncements({ ...filters, page, limit: pagination.limit });
+        setAnnouncements(response.data || []);
+        setPagination(response.pagination || { page, limit: 20, total: 0, pages: 0 });
+      } catch (err) {
+        setError(typeof err === 'string' ? err : 'Failed to load announcements');
+      }
+    },
+    [filters, pagination.limit]
+  );
+
+  useEffect(() => {
+    fetchAnnouncements(1);
+  }, [fetchAnnouncements]);
+
+  const handleFilterChange = (field) => (event) => {
+    setFilters((prev) => ({ ...prev, [field]: event.target.value }));
+  };
+
+  const handleOpenCreate = () => {
+    setEditingAnnouncement(null);
+    setModalOpen(true);
+  };
+
+  const handleOpenEdit = (announcement) => {
+    setEditingAnnouncement(announcement);
+    setModalOpen(true);
+  };
+
+  const handleSubmit = async (data) => {
+    if (editingAnnouncement) {
+      await announcementService.updateAnnouncement(editingAnnouncement._id, data);
+    } else {
+      await announcementService.createAnnouncement(data);
+    }
+    await fetchAnnouncements(pagination.page);
+  };
+
+  const handleDelete = async (announcement) => {
+    if (!window.confirm(`Delete "${announcement.title}"? Its read receipts are deleted too.`)) return;
+    try {
+      await announcementService.deleteAnnouncement(announcement._id);
+      await fetchAnnouncements(pagination.page);
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to delete announcement');
+    }
+  };
+
+  return (
+    <Box
+      sx={{
+        padding: 3,
+        minHeight: '100vh',
+        backgroundColor: 'transparent',
+      }}
+    >
+      {/* Header */}
+      <Paper
+        sx={{
+          padding: 3.5,
+          marginBottom: 4,
+          marginTop: 2,
+          borderRadius: '16px',
+          backgroundColor: theme.palette.background.paper,
+          border: `1px solid ${theme.palette.border.main}`,
+          boxShadow: theme.shadows[2],
+        }}
+      >
+        <Stack spacing={2}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+            <Box>
+              <Typography
+                variant="h4"
+                sx={{
+                  fontFamily: 'Quicksand, sans-serif',
+                  fontWeight: 700,
+                  fontSize: '1.75rem',
+                  color: theme.palette.text.primary,
+                }}
+              >
+                Announcements
+              </Typography>
+              <Typography
+                variant="body1"
+                sx={{
+                  fontFamily: 'Quicksand, sans-serif',
+                  color: theme.palette.text.secondary,
+                  fontSize: '0.9375rem',
+                  marginTop: 1,
+                }}
+              >
+                Schedule banners and popups for parents, children and teachers
+              </Typography>
+            </Box>
+            <Button
+              variant="contained"
+              startIcon={<AddIcon />}
+              onClick={handleOpenCreate}
+              aria-label="Add announcement"
+              sx={{
+                fontFamily: 'Quicksand, sans-serif',
+                fontWeight: 600,
+                fontSize: '0.875rem',
+                padding: '10px 24px',
+                borderRadius: '8px',
+                textTransform: 'none',
+                backgroundColor: theme.palette.orange?.main || theme.palette.primary.main,
+                color: theme.palette.textCustom?.inverse || theme.palette.primary.contrastText,
+                '&:hover': {
+                  backgroundColor: theme.palette.orange?.dark || theme.palette.primary.dark,
+                },
+              }}
+            >
+              New Announcement
+            </Button>
+          </Box>
+
+          {/* Filters */}
+          <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2}>
+            <TextField
+              label="Search"
+              size="small"
+              value={filters.search}
+              onChange={handleFilterChange('search')}
+              sx={{ minWidth: 220 }}
+            />
+            <TextField
+              select
+              label="Status"
+              size="small"
+              value={filters.status}
+              onChange={handleFilterChange('status')}
+              sx={{ minWidth: 160 }}
+            >
+              <MenuItem value="">All</MenuItem>
+              <MenuItem value="active">Live</MenuItem>
+              <MenuItem value="scheduled">Scheduled</MenuItem>
+              <MenuItem value="draft">Draft</MenuItem>
+              <MenuItem value="expired">Expired</MenuItem>
+            </TextField>
+            <TextField
+              select
+              label="Audience"
+              size="small"
+              value={filters.audience}
+              onChange={handleFilterChange('audience')}
+              sx={{ minWidth: 160 }}
+            >
+              <MenuItem value="">All audiences</MenuItem>
+              {AUDIENCE_OPTIONS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              label="Priority"
+              size="small"
+              value={filters.priority}
+              onChange={handleFilterChange('priority')}
+              sx={{ minWidth: 140 }}
+            >
+              <MenuItem value="">All</MenuItem>
+              {PRIORITY_OPTIONS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Stack>
+        </Stack>
+      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ marginBottom: 2, fontFamily: 'Quicksand, sans-serif' }}>
+          {error}
+        </Alert>
+      )}
+
+      <AnnouncementsTable announcements={announcements} onEdit={handleOpenEdit} onDelete={handleDelete} />
+
+      {pagination.pages > 1 && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', marginTop: 3 }}>
+          <Pagination
+            count={pagination.pages}
+            page={pagination.page}
+            onChange={(e, page) => fetchAnnouncements(page)}
+            color="primary"
+          />
+        </Box>
+      )}
+
+      <AnnouncementFormModal
+        open={modalOpen}
+        announcement={editingAnnouncement}
+        onClose={() => setModalOpen(false)}
+        onSubmit={handleSubmit}
+      />
+    </Box>
+  );
+};
+
+export default AdminAnnouncements;
@@ -122,12 +122,15 @@ const AdminCheckingAudio = () => {
 
   /**
    * Handle review action (approve/reject)
+   * Resolves true when the review was saved, so dialogs can stay open on errors
    */
-  const handleReview = async (audioAssignmentId, childId, decision, feedback = '') => {
+  const handleReview = async (audioAssignmentId, childId, decision, feedback = '', { scores, comments } = {}) => {
     try {
       await audioAssignmentProgressService.review(audioAssignmentId, childId, {
         decision,
         feedback,
+        scores,
+        comments,
       });
 
       dispatch(showNotification({
@@ -137,12 +140,14 @@ const AdminCheckingAudio = () => {
 
       // Refresh submissions
       await fetchSubmissions();
+      return true;
     } catch (err) {
       const errorMessage = err.response?.data?.message || err.message || 'Failed to review submission';
       dispatch(showNotification({
         message: errorMessage,
         type: 'error',
       }));
+      return false;
     }
   };
 
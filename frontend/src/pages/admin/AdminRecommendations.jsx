@@ -0,0 +1,203 @@
+import React, { useState, useEffect } from 'react';
+import { Box, Paper, Stack, Typography, Button, Alert, Slider, CircularProgress } from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import {
+  getRecommendationSettings,
+  updateRecommendationSettings,
+} from '../../services/recommendationService';
+
+// Signals in the order they are shown, with what they reward
+const SIGNALS = [
+  { key: 'continueCourse', label: 'Continue started courses', description: 'Next content of a course the child is part-way through' },
+  { key: 'skillGap', label: 'Skill gaps', description: 'Content practising skills the child has not mastered yet' },
+  { key: 'scoreRetry', label: 'Retry low scores', description: 'SCORM lessons and quizzes the child scored low on' },
+  { key: 'ageFit', label: 'Age fit', description: "Courses whose age range includes the child's age" },
+  { key: 'streak', label: 'Streak quick wins', description: "Short content while today's streak activity is still missing" },
+  { key: 'typePreference', label: 'Favourite content types', description: 'Content types the child completes most' },
+  { key: 'timeOfDay', label: 'Time of day', description: 'Focused practice in the morning, books and videos in the evening' },
+  { key: 'exploreVideo', label: 'New explore videos', description: 'Explore videos the child has not watched yet' },
+];
+
+/**
+ * AdminRecommendations Page
+ *
+ * Tune how much each signal counts towards children's "what to do next"
+ * recommendations on the child home and journey pages. 0 turns a signal off.
+ */
+const AdminRecommendations = () => {
+  const theme = useTheme();
+  const [settings, setSettings] = useState(null);
+  const [weights, setWeights] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    getRecommendationSettings()
+      .then((data) => {
+        setSettings(data);
+        setWeights(data.weights);
+      })
+      .catch((err) => setError(err.message));
+  }, []);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    setSuccess(null);
+    try {
+      const data = await updateRecommendationSettings(weights);
+      setSettings(data);
+      setWeights(data.weights);
+      setSuccess('Recommendation weights saved');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const isDirty = settings && SIGNALS.some(({ key }) => weights[key] !== settings.weights[key]);
+
+  return (
+    <Box
+      sx={{
+        padding: 3,
+        minHeight: '100vh',
+        backgroundColor: 'transparent',
+      }}
+    >
+      {/* Header */}
+      <Paper
+        sx={{
+          padding: 3.5,
+          marginBottom: 4,
+          marginTop: 2,
+          borderRadius: '16px',
+          backgroundColor: theme.palette.background.paper,
+          border: `1px solid ${theme.palette.border.main}`,
+          boxShadow: theme.shadows[2],
+        }}
+      >
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 2 }}>
+          <Box>
+            <Typography
+              variant="h4"
+              sx={{
+                fontFamily: 'Quicksand, sans-serif',
+                fontWeight: 700,
+                fontSize: '1.75rem',
+                color: theme.palette.text.primary,
+              }}
+            >
+              Recommendations
+            </Typography>
+            <Typography
+              variant="body1"
+              sx={{
+                fontFamily: 'Quicksand, sans-serif',
+                color: theme.palette.text.secondary,
+                fontSize: '0.9375rem',
+                marginTop: 1,
+              }}
+            >
+              How much each signal counts when suggesting what a child should do next (0 turns it off)
+            </Typography>
+          </Box>
+          <Stack direction="row" spacing={1.5}>
+            <Button
+              onClick={() => settings && setWeights(settings.defaults)}
+              disabled={!settings || saving}
+              sx={{ fontFamily: 'Quicksand, sans-serif', textTransform: 'none', color: theme.palette.text.secondary }}
+            >
+              Reset to defaults
+            </Button>
+            <Button
+              variant="contained"
+              onClick={handleSave}
+              disabled={!isDirty || saving}
+              sx={{
+                fontFamily: 'Quicksand, sans-serif',
+                fontWeight: 600,
+                fontSize: '0.875rem',
+                padding: '10px 24px',
+                borderRadius: '8px',
+                textTransform: 'none',
+                backgroundColor: theme.palette.orange?.main || theme.palette.primary.main,
+                color: theme.palette.textCustom?.inverse || theme.palette.primary.contrastText,
+                '&:hover': {
+                  backgroundColor: theme.palette.orange?.dark || theme.palette.primary.dark,
+                },
+              }}
+            >
+              {saving ? <CircularProgress size={20} /> : 'Save Weights'}
+            </Button>
+          </Stack>
+        </Box>
+      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ marginBottom: 2, fontFamily: 'Quicksand, sans-serif' }}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ marginBottom: 2, fontFamily: 'Quicksand, sans-serif' }} onClose={() => setSuccess(null)}>
+          {success}
+        </Alert>
+      )}
+
+      {!settings ? (
+        !error && <CircularProgress />
+      ) : (
+        <Paper
+          sx={{
+            padding: 3.5,
+            borderRadius: '16px',
+            border: `1px solid ${theme.palette.border.main}`,
+            boxShadow: theme.shadows[2],
+          }}
+        >
+          <Stack spacing={3}>
+            {SIGNALS.map(({ key, label, description }) => (
+              <Box key={key}>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
+                  <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600, color: theme.palette.text.primary }}>
+                    {label}
+                  </Typography>
+                  <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 700, color: theme.palette.text.primary }}>
+                    {weights[key]}
+                  </Typography>
+                </Box>
+                <Typography
+                  sx={{ fontFamily: 'Quicksand, sans-serif', fontSize: '0.8125rem', color: theme.palette.text.secondary }}
+                >
+                  {description} · default {settings.defaults[key]}
+                </Typography>
+                <Slider
+                  value={weights[key] ?? 0}
+                  onChange={(e, value) => setWeights((prev) => ({ ...prev, [key]: value }))}
+                  min={0}
+                  max={settings.maxWeight}
+                  step={0.5}
+                  marks
+                  aria-label={label}
+                />
+              </Box>
+            ))}
+          </Stack>
+          {settings.updatedAt && (
+            <Typography
+              sx={{ fontFamily: 'Quicksand, sans-serif', fontSize: '0.8125rem', color: theme.palette.text.secondary, marginTop: 2 }}
+            >
+              Last saved {new Date(settings.updatedAt).toLocaleString()}
+              {settings.updatedBy?.name ? ` by ${settings.updatedBy.name}` : ''}
+            </Typography>
+          )}
+        </Paper>
+      )}
+    </Box>
+  );
+};
+
+export default AdminRecommendations;
@@ -0,0 +1,213 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Box, Paper, Stack, Typography, Button, TextField, MenuItem, Alert, Pagination } from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { Add as AddIcon } from '@mui/icons-material';
+import rewardService from '../../services/rewardService';
+import RewardsTable from '../../components/admin/rewards/RewardsTable';
+import RewardFormModal, { REWARD_TYPE_OPTIONS } from '../../components/admin/rewards/RewardFormModal';
+
+/**
+ * AdminRewards Page
+ *
+ * Manage star shop reward items (avatar frames, stickers, themes, certificates)
+ * Archived items stay in children's inventories but are hidden from the shop
+ */
+const AdminRewards = () => {
+  const theme = useTheme();
+  const [rewards, setRewards] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0, pages: 0 });
+  const [filters, setFilters] = useState({ type: '', isActive: '', search: '' });
+  const [error, setError] = useState(null);
+  const [modalOpen, setModalOpen] = useState(false);
+  const [editingReward, setEditingReward] = useState(null);
+
+  const fetchRewards = useCallback(
+    async (page = 1) => {
+      try {
+        setError(null);
+        const response = await rewardService.getRewards({ ...filters, page, limit: pagination.limit });
+        setRewards(response.data || []);
+        setPagination(response.pagination || { page, limit: 20, total: 0, pages: 0 });
+      } catch (err) {
+        setError(typeof err === 'string' ? err : 'Failed to load rewards');
+      }
+    },
+    [filters, pagination.limit]
+  );
+
+  useEffect(() => {
+    fetchRewards(1);
+  }, [fetchRewards]);
+
+  const handleFilterChange = (field) => (event) => {
+    setFilters((prev) => ({ ...prev, [field]: event.target.value }));
+  };
+
+  const handleOpenCreate = () => {
+    setEditingReward(null);
+    setModalOpen(true);
+  };
+
+  const handleOpenEdit = (reward) => {
+    setEditingReward(reward);
+    setModalOpen(true);
+  };
+
+  const handleSubmit = async (formData) => {
+    if (editingReward) {
+      await rewardService.updateReward(editingReward._id, formData);
+    } else {
+      await rewardService.createReward(formData);
+    }
+    await fetchRewards(pagination.page);
+  };
+
+  const handleArchive = async (reward) => {
+    if (!window.confirm(`Archive "${reward.name}"? Children who own it will keep it.`)) return;
+    try {
+      await rewardService.deleteReward(reward._id);
+      await fetchRewards(pagination.page);
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to archive reward');
+    }
+  };
+
+  return (
+    <Box
+      sx={{
+        padding: 3,
+        minHeight: '100vh',
+        backgroundColor: 'transparent',
+      }}
+    >
+      {/* Header */}
+      <Paper
+        sx={{
+          padding: 3.5,
+          marginBottom: 4,
+          marginTop: 2,
+          borderRadius: '16px',
+          backgroundColor: theme.palette.background.paper,
+          border: `1px solid ${theme.palette.border.main}`,
+          boxShadow: theme.shadows[2],
+        }}
+      >
+        <Stack spacing={2}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+            <Box>
+              <Typography
+                variant="h4"
+                sx={{
+                  fontFamily: 'Quicksand, sans-serif',
+                  fontWeight: 700,
+                  fontSize: '1.75rem',
+                  color: theme.palette.text.primary,
+                }}
+              >
+                Star Shop Rewards
+              </Typography>
+              <Typography
+                variant="body1"
+                sx={{
+                  fontFamily: 'Quicksand, sans-serif',
+                  color: theme.palette.text.secondary,
+                  fontSize: '0.9375rem',
+                  marginTop: 1,
+                }}
+              >
+                Manage rewards children can buy with the stars they earn
+              </Typography>
+            </Box>
+            <Button
+              variant="contained"
+              startIcon={<AddIcon />}
+              onClick={handleOpenCreate}
+              aria-label="Add reward"
+              sx={{
+                fontFamily: 'Quicksand, sans-serif',
+                fontWeight: 600,
+                fontSize: '0.875rem',
+                padding: '10px 24px',
+                borderRadius: '8px',
+                textTransform: 'none',
+                backgroundColor: theme.palette.orange?.main || theme.palette.primary.main,
+                color: theme.palette.textCustom?.inverse || theme.palette.primary.contrastText,
+                '&:hover': {
+                  backgroundColor: theme.palette.orange?.dark || theme.palette.primary.dark,
+                },
+              }}
+            >
+              Add Reward
+            </Button>
+          </Box>
+
+          {/* Filters */}
+          <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2}>
+            <TextField
+              label="Search"
+              size="small"
+              value={filters.search}
+              onChange={handleFilterChange('search')}
+              sx={{ minWidth: 220 }}
+            />
+            <TextField
+              select
+              label="Type"
+              size="small"
+              value={filters.type}
+              onChange={handleFilterChange('type')}
+              sx={{ minWidth: 180 }}
+            >
+              <MenuItem value="">All types</MenuItem>
+              {REWARD_TYPE_OPTIONS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              label="Status"
+              size="small"
+              value={filters.isActive}
+              onChange={handleFilterChange('isActive')}
+              sx={{ minWidth: 160 }}
+            >
+              <MenuItem value="">All</MenuItem>
+              <MenuItem value="true">Active</MenuItem>
+              <MenuItem value="false">Archived</MenuItem>
+            </TextField>
+          </Stack>
+        </Stack>
+      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ marginBottom: 2, fontFamily: 'Quicksand, sans-serif' }}>
+          {error}
+        </Alert>
+      )}
+
+      <RewardsTable rewards={rewards} onEdit={handleOpenEdit} onArchive={handleArchive} />
+
+      {pagination.pages > 1 && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', marginTop: 3 }}>
+          <Pagination
+            count={pagination.pages}
+            page={pagination.page}
+            onChange={(e, page) => fetchRewards(page)}
+            color="primary"
+          />
+        </Box>
+      )}
+
+      <RewardFormModal
+        open={modalOpen}
+        reward={editingReward}
+        onClose={() => setModalOpen(false)}
+        onSubmit={handleSubmit}
+      />
+    </Box>
+  );
+};
+
+export default AdminRewards;
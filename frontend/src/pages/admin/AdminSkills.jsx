@@ -0,0 +1,179 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Box, Paper, Stack, Typography, Button, Alert, FormControlLabel, Switch } from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { Add as AddIcon } from '@mui/icons-material';
+import skillService from '../../services/skillService';
+import SkillsTable from '../../components/admin/skills/SkillsTable';
+import SkillFormModal from '../../components/admin/skills/SkillFormModal';
+
+// Matches Skill.MAX_DEPTH on the backend
+const MAX_SKILL_DEPTH = 4;
+
+/**
+ * AdminSkills Page
+ *
+ * Manage the skills tree (e.g. Phonics › Letter sounds) that content is tagged
+ * with. Children's mastery of each skill is built from their results on that content.
+ */
+const AdminSkills = () => {
+  const theme = useTheme();
+  const [skills, setSkills] = useState([]);
+  const [showInactive, setShowInactive] = useState(true);
+  const [error, setError] = useState(null);
+  const [modalOpen, setModalOpen] = useState(false);
+  const [editingSkill, setEditingSkill] = useState(null);
+  const [defaultParent, setDefaultParent] = useState('');
+
+  const fetchSkills = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await skillService.getAllSkills({ includeInactive: showInactive });
+      setSkills(response.data || []);
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to load skills');
+    }
+  }, [showInactive]);
+
+  useEffect(() => {
+    fetchSkills();
+  }, [fetchSkills]);
+
+  const handleOpenCreate = (parent = null) => {
+    setEditingSkill(null);
+    setDefaultParent(parent?._id || '');
+    setModalOpen(true);
+  };
+
+  const handleOpenEdit = (skill) => {
+    setEditingSkill(skill);
+    setDefaultParent('');
+    setModalOpen(true);
+  };
+
+  const handleSubmit = async (data) => {
+    if (editingSkill) {
+      await skillService.updateSkill(editingSkill._id, data);
+    } else {
+      await skillService.createSkill(data);
+    }
+    await fetchSkills();
+  };
+
+  const handleDelete = async (skill) => {
+    if (
+      !window.confirm(
+        `Delete "${skill.name}"? It will be removed from all tagged content and children's mastery of it will be lost.`
+      )
+    )
+      return;
+    try {
+      await skillService.deleteSkill(skill._id);
+      await fetchSkills();
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to delete skill');
+    }
+  };
+
+  return (
+    <Box
+      sx={{
+        padding: 3,
+        minHeight: '100vh',
+        backgroundColor: 'transparent',
+      }}
+    >
+      {/* Header */}
+      <Paper
+        sx={{
+          padding: 3.5,
+          marginBottom: 4,
+          marginTop: 2,
+          borderRadius: '16px',
+          backgroundColor: theme.palette.background.paper,
+          border: `1px solid ${theme.palette.border.main}`,
+          boxShadow: theme.shadows[2],
+        }}
+      >
+        <Stack spacing={2}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+            <Box>
+              <Typography
+                variant="h4"
+                sx={{
+                  fontFamily: 'Quicksand, sans-serif',
+                  fontWeight: 700,
+                  fontSize: '1.75rem',
+                  color: theme.palette.text.primary,
+                }}
+              >
+                Skills
+              </Typography>
+              <Typography
+                variant="body1"
+                sx={{
+                  fontFamily: 'Quicksand, sans-serif',
+                  color: theme.palette.text.secondary,
+                  fontSize: '0.9375rem',
+                  marginTop: 1,
+                }}
+              >
+                Organise the skills content practises; parents see their child's mastery of each one
+              </Typography>
+            </Box>
+            <Button
+              variant="contained"
+              startIcon={<AddIcon />}
+              onClick={() => handleOpenCreate()}
+              aria-label="Add skill"
+              sx={{
+                fontFamily: 'Quicksand, sans-serif',
+                fontWeight: 600,
+                fontSize: '0.875rem',
+                padding: '10px 24px',
+                borderRadius: '8px',
+                textTransform: 'none',
+                backgroundColor: theme.palette.orange?.main || theme.palette.primary.main,
+                color: theme.palette.textCustom?.inverse || theme.palette.primary.contrastText,
+                '&:hover': {
+                  backgroundColor: theme.palette.orange?.dark || theme.palette.primary.dark,
+                },
+              }}
+            >
+              Add Skill
+            </Button>
+          </Box>
+
+          <FormControlLabel
+            control={<Switch checked={showInactive} onChange={(e) => setShowInactive(e.target.checked)} />}
+            label={<Typography sx={{ fontFamily: 'Quicksand, sans-serif' }}>Show inactive skills</Typography>}
+          />
+        </Stack>
+      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ marginBottom: 2, fontFamily: 'Quicksand, sans-serif' }}>
+          {error}
+        </Alert>
+      )}
+
+      <SkillsTable
+        skills={skills}
+        maxDepth={MAX_SKILL_DEPTH}
+        onAddChild={handleOpenCreate}
+        onEdit={handleOpenEdit}
+        onDelete={handleDelete}
+      />
+
+      <SkillFormModal
+        open={modalOpen}
+        skill={editingSkill}
+        defaultParent={defaultParent}
+        skills={skills}
+        onClose={() => setModalOpen(false)}
+        onSubmit={handleSubmit}
+      />
+    </Box>
+  );
+};
+
+export default AdminSkills;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { Box, Container } from '@mui/material';
+import Card from '@mui/material/Card';
+import CardContent from '@mui/material/CardContent';
+import AuthLogo from '../../components/auth/AuthLogo';
+import AuthForgotPasswordForm from '../../components/auth/AuthForgotPasswordForm';
+
+/**
+ * ForgotPassword Page
+ * 
+ * Lets parents and teachers request a password reset email
+ */
+const ForgotPassword = () => {
+  return (
+    <Box className="auth-login-page">
+      <Container maxWidth="sm" className="auth-login-container">
+        {/* Logo */}
+        <AuthLogo />
+
+        {/* Forgot Password Card */}
+        <Card className="auth-login-card">
+          <CardContent className="auth-login-card-content" sx={{margin: '0px', padding: '0px !important'}}>
+            <AuthForgotPasswordForm />
+          </CardContent>
+        </Card>
+      </Container>
+    </Box>
+  );
+};
+
+export default ForgotPassword;
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Box, Container, Card, CardContent } from '@mui/material';
+import { Box, Container, Card, CardContent, Typography } from '@mui/material';
 import { useSearchParams } from 'react-router-dom';
 import AuthLogo from '../../components/auth/AuthLogo';
 import AuthEmailCheck from '../../components/auth/AuthEmailCheck';
@@ -148,14 +148,20 @@ const ParentSignup = () => {
     }
 
     return (
-      <AuthPriceBilling
-        email={formData.email}
-        name={formData.name}
-        onBack={() => setStep(2)}
-        onContinue={handleGoToCheckout}
-        loading={loading}
-        error={error}
-      />
+      <>
+        {/* The account is created in step 2, which also sends the verification email */}
+        <Typography variant="body2" color="text.secondary" role="status" sx={{ mb: 2 }}>
+          We sent a verification link to {formData.email}. Please confirm your email address.
+        </Typography>
+        <AuthPriceBilling
+          email={formData.email}
+          name={formData.name}
+          onBack={() => setStep(2)}
+          onContinue={handleGoToCheckout}
+          loading={loading}
+          error={error}
+        />
+      </>
     );
   };
 
@@ -0,0 +1,35 @@
+import React from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Box, Container } from '@mui/material';
+import Card from '@mui/material/Card';
+import CardContent from '@mui/material/CardContent';
+import AuthLogo from '../../components/auth/AuthLogo';
+import AuthResetPasswordForm from '../../components/auth/AuthResetPasswordForm';
+
+/**
+ * ResetPassword Page
+ * 
+ * Landing page for the password reset email link (/reset-password?token=...)
+ */
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+
+  return (
+    <Box className="auth-login-page">
+      <Container maxWidth="sm" className="auth-login-container">
+        {/* Logo */}
+        <AuthLogo />
+
+        {/* Reset Password Card */}
+        <Card className="auth-login-card">
+          <CardContent className="auth-login-card-content" sx={{margin: '0px', padding: '0px !important'}}>
+            <AuthResetPasswordForm token={token} />
+          </CardContent>
+        </Card>
+      </Container>
+    </Box>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,94 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { Box, Container, Card, CardContent, Typography, CircularProgress, Button } from '@mui/material';
+import AuthLogo from '../../components/auth/AuthLogo';
+import authService from '../../services/authService';
+import { setUser } from '../../store/slices/userSlice';
+
+/**
+ * VerifyEmail Page
+ * 
+ * Landing page for the email verification link (/verify-email?token=...)
+ * Works whether or not the user is logged in on this browser
+ */
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const { isAuthenticated, user } = useSelector((state) => state.user);
+
+  const token = searchParams.get('token') || '';
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // Tokens are single-use; guard against the effect running twice in StrictMode
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (requestedRef.current) return;
+    requestedRef.current = true;
+
+    const verify = async () => {
+      if (!token) {
+        setError('This verification link is missing its token.');
+        setLoading(false);
+        return;
+      }
+
+      try {
+        const response = await authService.verifyEmail(token);
+        const verifiedUser = response.data?.user;
+        if (isAuthenticated && user && verifiedUser && user._id === verifiedUser._id) {
+          dispatch(setUser(verifiedUser));
+        }
+      } catch (err) {
+        setError(err?.message || 'This verification link is invalid or has expired.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    verify();
+  }, [token, isAuthenticated, user, dispatch]);
+
+  const handleContinue = () => {
+    navigate(isAuthenticated ? '/' : '/login');
+  };
+
+  return (
+    <Box className="auth-login-page" role="main" aria-label="Email verification page">
+      <Container maxWidth="sm" className="auth-login-container">
+        <AuthLogo />
+
+        <Card className="auth-login-card" sx={{ mt: 3 }}>
+          <CardContent sx={{ m: 0, p: 3, textAlign: 'center' }}>
+            {loading ? (
+              <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 2 }}>
+                <CircularProgress />
+                <Typography variant="h6" sx={{ fontWeight: 600 }}>
+                  Verifying your email...
+                </Typography>
+              </Box>
+            ) : (
+              <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 2 }}>
+                <Typography
+                  variant="h6"
+                  color={error ? 'error' : 'text.primary'}
+                  role={error ? 'alert' : 'status'}
+                  sx={{ fontWeight: 600 }}
+                >
+                  {error || 'Your email has been verified. Thank you!'}
+                </Typography>
+                <Button variant="contained" color="primary" onClick={handleContinue}>
+                  {isAuthenticated ? 'Continue' : 'Go to Login'}
+                </Button>
+              </Box>
+            )}
+          </CardContent>
+        </Card>
+      </Container>
+    </Box>
+  );
+};
+
+export default VerifyEmail;
@@ -6,6 +6,7 @@ import useCourseProgress from '../../hooks/courseProgressHook';
 import ChildJourneyHeader from '../../components/child/journey/ChildJourneyHeader';
 import ChildJourneyCards from '../../components/child/journey/ChildJourneyCards';
 import ChildJourneySummary from '../../components/child/journey/ChildJourneySummary';
+import ChildJourneyRecommendations from '../../components/child/journey/ChildJourneyRecommendations';
 
 /**
  * ChildJourney Page
@@ -148,6 +149,9 @@ const ChildJourney = ({ childId }) => {
         {/* Header - Title and Subtitle */}
         <ChildJourneyHeader week={currentWeek} totalWeeks={totalWeeks} />
 
+        {/* Recommended next content */}
+        <ChildJourneyRecommendations childId={childId} />
+
         {/* Card Grid Area */}
         <ChildJourneyCards courses={courses} />
 
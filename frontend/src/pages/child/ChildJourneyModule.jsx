@@ -12,8 +12,12 @@ import ChildModuleLibrary from '../../components/child/module/ChildModuleLibrary
 import ChildModuleVideos from '../../components/child/module/ChildModuleVideos';
 import ChildModuleAudio from '../../components/child/module/ChildModuleAudio';
 import ChildModuleChants from '../../components/child/module/ChildModuleChants';
+import ChildModuleLessons from '../../components/child/module/ChildModuleLessons';
+import ChildModuleQuizzes from '../../components/child/module/ChildModuleQuizzes';
 import ChildModuleFooter from '../../components/child/module/ChildModuleFooter';
 import ScormPlayer from '../../components/child/common/ScormPlayer';
+import Cmi5Player from '../../components/child/common/Cmi5Player';
+import QuizPlayer from '../../components/child/common/QuizPlayer';
 import VideoPlayerModal from '../../components/child/common/VideoPlayerModal';
 import AudioAssignmentRecordingModal from '../../components/child/module/AudioAssignmentRecordingModal';
 import ChantRecordingModal from '../../components/child/module/ChantRecordingModal';
@@ -42,6 +46,8 @@ const ChildJourneyModule = ({ childId }) => {
   const [selectedAudioAssignment, setSelectedAudioAssignment] = useState(null);
   const [chantRecordingOpen, setChantRecordingOpen] = useState(false);
   const [selectedChant, setSelectedChant] = useState(null);
+  const [selectedLesson, setSelectedLesson] = useState(null);
+  const [selectedQuiz, setSelectedQuiz] = useState(null);
   
   // Refresh trigger for video watches
   const [videoWatchRefreshTrigger, setVideoWatchRefreshTrigger] = useState(0);
@@ -182,6 +188,20 @@ const ChildJourneyModule = ({ childId }) => {
     );
   }, [course?.contents]);
 
+  const lessons = useMemo(() => {
+    if (!course || !course.contents) return [];
+    return course.contents.filter(
+      (content) => (content._contentType || content.contentType) === 'cmi5'
+    );
+  }, [course?.contents]);
+
+  const quizzes = useMemo(() => {
+    if (!course || !course.contents) return [];
+    return course.contents.filter(
+      (content) => (content._contentType || content.contentType) === 'quiz'
+    );
+  }, [course?.contents]);
+
   // Get cover image URL
   const coverImageUrl = courseDetails?.course?.coverImage
     ? getCoverImageUrl(courseDetails.course.coverImage)
@@ -411,6 +431,20 @@ const ChildJourneyModule = ({ childId }) => {
             onAudioClick={handleAudioClick}
           />
 
+          {/* cmi5 Lessons Component */}
+          <ChildModuleLessons
+            lessons={lessons}
+            courseProgress={courseDetails}
+            onLessonClick={(lesson) => setSelectedLesson(lesson)}
+          />
+
+          {/* Quizzes Component */}
+          <ChildModuleQuizzes
+            quizzes={quizzes}
+            courseProgress={courseDetails}
+            onQuizClick={(quiz) => setSelectedQuiz(quiz)}
+          />
+
           {/* Footer Component */}
           <ChildModuleFooter />
         </Box>
@@ -432,6 +466,44 @@ const ChildJourneyModule = ({ childId }) => {
         />
       )}
 
+      {/* cmi5 Lesson Player - the AU reports progress itself; refresh when it closes */}
+      {selectedLesson && (
+        <Cmi5Player
+          open={Boolean(selectedLesson)}
+          onClose={async () => {
+            setSelectedLesson(null);
+            try {
+              const details = await fetchCourseDetailsForChild(courseId);
+              setCourseDetails(details);
+            } catch (e) {
+              // non-blocking
+            }
+          }}
+          lesson={selectedLesson}
+          childId={childId}
+          courseId={courseId}
+        />
+      )}
+
+      {/* Quiz Player - scored on submit; refresh when it closes */}
+      {selectedQuiz && (
+        <QuizPlayer
+          open={Boolean(selectedQuiz)}
+          onClose={async () => {
+            setSelectedQuiz(null);
+            try {
+              const details = await fetchCourseDetailsForChild(courseId);
+              setCourseDetails(details);
+            } catch (e) {
+              // non-blocking
+            }
+          }}
+          quiz={selectedQuiz}
+          childId={childId}
+          courseId={courseId}
+        />
+      )}
+
       {/* Audio Assignment Recording Modal */}
       {selectedAudioAssignment && (
         <AudioAssignmentRecordingModal
@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
-import { Box, CircularProgress } from '@mui/material';
-import { useParams } from 'react-router-dom';
+import { Box, CircularProgress, Button } from '@mui/material';
+import { useParams, useNavigate } from 'react-router-dom';
 import childProfileService from '../../services/childProfileService';
+import { getStreakHistory } from '../../services/streakService';
 import HeaderStats from '../../components/child/childprofile/HeaderStats';
 import NextLevelProgress from '../../components/child/childprofile/NextLevelProgress';
 import AllBadges from '../../components/child/childprofile/AllBadges';
@@ -16,16 +17,19 @@ import { themeColors } from '../../config/themeColors';
  * 2. Next level progress
  * 3. All badges (locked and unlocked)
  * 4. Latest badges earned (last 5)
+ * Also links to the star shop where spendable stars can be used
  */
 const ChildProfile = ({ childId: propChildId }) => {
     const { id: paramChildId } = useParams();
     const childId = propChildId || paramChildId;
+    const navigate = useNavigate();
 
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [childProfile, setChildProfile] = useState(null);
     const [allBadges, setAllBadges] = useState([]);
     const [latestBadges, setLatestBadges] = useState([]);
+    const [streakHistory, setStreakHistory] = useState(null);
 
     useEffect(() => {
         const fetchData = async () => {
@@ -48,6 +52,14 @@ const ChildProfile = ({ childId: propChildId }) => {
                 setChildProfile(profileResponse.data);
                 setAllBadges(badgesResponse.data || []);
                 setLatestBadges(latestResponse.data || []);
+
+                // The streak calendar is optional; the profile still renders without it
+                try {
+                    setStreakHistory(await getStreakHistory(childId, { days: 7 }));
+                } catch (streakErr) {
+                    console.error('[ChildProfile] Error fetching streak history:', streakErr);
+                    setStreakHistory(null);
+                }
             } catch (err) {
                 console.error('[ChildProfile] Error fetching data:', err);
                 setError(err?.message || 'Failed to load child profile');
@@ -136,7 +148,44 @@ const ChildProfile = ({ childId: propChildId }) => {
                 }}
             >
                 {/* 1st Row: Header Stats */}
-                <HeaderStats child={childProfile} stats={childProfile.stats} />
+                <HeaderStats
+                    child={childProfile}
+                    stats={childProfile.stats}
+                    streakHistory={streakHistory}
+                />
+
+                {/* Grown-ups exit (parent password) and Star Shop link */}
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 2 }}>
+                    <Button
+                        variant="text"
+                        onClick={() => navigate('/parents/login')}
+                        sx={{
+                            fontFamily: 'Quicksand, sans-serif',
+                            fontWeight: 600,
+                            fontSize: '14px',
+                            textTransform: 'none',
+                            color: themeColors.textMuted,
+                        }}
+                    >
+                        🔒 Grown-ups
+                    </Button>
+                    <Button
+                        variant="contained"
+                        onClick={() => navigate(`/child/${childId}/shop`)}
+                        sx={{
+                            fontFamily: 'Quicksand, sans-serif',
+                            fontWeight: 700,
+                            fontSize: '16px',
+                            textTransform: 'none',
+                            borderRadius: '16px',
+                            padding: '10px 24px',
+                            backgroundColor: themeColors.orange,
+                            '&:hover': { backgroundColor: '#d66b47' },
+                        }}
+                    >
+                        🛍️ Star Shop · ⭐ {childProfile.stats?.spendableStars ?? childProfile.stats?.totalStars ?? 0} to spend
+                    </Button>
+                </Box>
 
                 {/* 2nd Row: Next Level Progress */}
                 <NextLevelProgress stats={childProfile.stats} />
@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Box, CircularProgress, Typography } from '@mui/material';
+import { useParams } from 'react-router-dom';
+import { useDispatch } from 'react-redux';
+import rewardService from '../../services/rewardService';
+import RewardsShopHeader from '../../components/child/rewardsshop/RewardsShopHeader';
+import RewardsShopCards from '../../components/child/rewardsshop/RewardsShopCards';
+import { showNotification } from '../../store/slices/uiSlice';
+import { themeColors } from '../../config/themeColors';
+
+/**
+ * ChildRewardsShop Page
+ *
+ * Lets a child spend stars on rewards:
+ * 1. Header with spendable balance and Shop / My Rewards tabs
+ * 2. Shop grid (buy) or inventory grid (equip, print certificates)
+ *
+ * Spending only lowers the spendable balance; totalStars (used for levels) is unchanged
+ */
+const ChildRewardsShop = ({ childId: propChildId }) => {
+    const { id: paramChildId } = useParams();
+    const childId = propChildId || paramChildId;
+    const dispatch = useDispatch();
+
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [activeTab, setActiveTab] = useState('shop');
+    const [balance, setBalance] = useState(null);
+    const [shopItems, setShopItems] = useState([]);
+    const [inventory, setInventory] = useState([]);
+    const [busyId, setBusyId] = useState(null);
+
+    const fetchData = useCallback(async () => {
+        if (!childId) {
+            setLoading(false);
+            return;
+        }
+
+        try {
+            setError(null);
+            const [shopResponse, inventoryResponse] = await Promise.all([
+                rewardService.getChildShop(childId),
+                rewardService.getChildInventory(childId),
+            ]);
+
+            setBalance(shopResponse.data?.balance || null);
+            setShopItems(shopResponse.data?.items || []);
+            setInventory(inventoryResponse.data?.items || []);
+        } catch (err) {
+            console.error('[ChildRewardsShop] Error fetching data:', err);
+            setError(typeof err === 'string' ? err : 'Failed to load the star shop');
+        } finally {
+            setLoading(false);
+        }
+    }, [childId]);
+
+    useEffect(() => {
+        setLoading(true);
+        fetchData();
+    }, [fetchData]);
+
+    const handleBuy = async (reward) => {
+        try {
+            setBusyId(reward._id);
+            await rewardService.purchaseReward(childId, reward._id);
+            dispatch(showNotification({
+                message: `You got ${reward.name}! 🎉`,
+                type: 'success',
+            }));
+            await fetchData();
+        } catch (err) {
+            dispatch(showNotification({
+                message: typeof err === 'string' ? err : 'Could not buy this reward',
+                type: 'error',
+            }));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleEquip = async (entry, equip) => {
+        try {
+            setBusyId(entry._id);
+            await rewardService.equipReward(childId, entry._id, equip);
+            await fetchData();
+        } catch (err) {
+            dispatch(showNotification({
+                message: typeof err === 'string' ? err : 'Could not update this reward',
+                type: 'error',
+            }));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    // Open a printable certificate in a new window
+    const handlePrint = (reward) => {
+        const childProfiles = JSON.parse(sessionStorage.getItem('childProfiles') || '[]');
+        const child = childProfiles.find((c) => c._id === childId);
+        const childName = child?.displayName || 'Super Learner';
+        const message = reward.metadata?.message || reward.description || 'For being an amazing learner!';
+
+        const printWindow = window.open('', '_blank', 'width=900,height=650');
+        if (!printWindow) return;
+
+        const doc = printWindow.document;
+        doc.title = reward.name;
+        doc.body.style.cssText = 'font-family: Quicksand, sans-serif; text-align: center; padding: 48px;';
+        doc.body.innerHTML = `
+            <div style="border: 8px double ${themeColors.orange}; padding: 48px;">
+                <h1 style="color: ${themeColors.secondary}; font-size: 40px; margin: 0;"></h1>
+                <p style="font-size: 20px;">This certificate is proudly presented to</p>
+                <h2 style="font-size: 36px; margin: 16px 0;"></h2>
+                <p style="font-size: 18px;"></p>
+                <p style="font-size: 14px; color: ${themeColors.textMuted};">Rise Up Kids · ${new Date().toLocaleDateString()}</p>
+            </div>`;
+        // Set user-provided text via textContent to avoid injecting markup
+        doc.querySelector('h1').textContent = reward.name;
+        doc.querySelector('h2').textContent = childName;
+        doc.querySelectorAll('p')[1].textContent = message;
+        printWindow.focus();
+        printWindow.print();
+    };
+
+    if (loading) {
+        return (
+            <Box
+                sx={{
+                    minHeight: '100vh',
+                    display: 'flex',
+                    justifyContent: 'center',
+                    alignItems: 'center',
+                    padding: '20px',
+                }}
+            >
+                <CircularProgress sx={{ color: themeColors.primary }} />
+            </Box>
+        );
+    }
+
+    return (
+        <Box
+            sx={{
+                minHeight: '100vh',
+                paddingBottom: '90px', // Space for fixed bottom navigation
+                paddingTop: '20px',
+            }}
+        >
+            <Box
+                sx={{
+                    maxWidth: '848px',
+                    width: '100%',
+                    margin: '0 auto',
+                    padding: { xs: '16px', sm: '24px' },
+                    display: 'flex',
+                    flexDirection: 'column',
+                    gap: { xs: '16px', sm: '20px' },
+                }}
+            >
+                <RewardsShopHeader balance={balance} activeTab={activeTab} onTabChange={setActiveTab} />
+
+                {error && (
+                    <Typography
+                        sx={{
+                            fontFamily: 'Quicksand, sans-serif',
+                            fontSize: '16px',
+                            fontWeight: 600,
+                            color: themeColors.error,
+                            backgroundColor: 'white',
+                            padding: '16px',
+                            borderRadius: '16px',
+                        }}
+                    >
+                        {error}
+                    </Typography>
+                )}
+
+                {activeTab === 'shop' ? (
+                    <RewardsShopCards items={shopItems} mode="shop" busyId={busyId} onBuy={handleBuy} />
+                ) : (
+                    <RewardsShopCards
+                        items={inventory}
+                        mode="inventory"
+                        busyId={busyId}
+                        onEquip={handleEquip}
+                        onPrint={handlePrint}
+                    />
+                )}
+            </Box>
+        </Box>
+    );
+};
+
+export default ChildRewardsShop;
@@ -8,6 +8,8 @@ import AuthLogo from '../../components/auth/AuthLogo';
 import ParentsChildList from '../../components/parents/child/ParentsChildList';
 import ParentsChildAddButton from '../../components/parents/child/ParentsChildAddButton';
 import ParentChildAddModal from '../../components/parents/child/ParentChildAddModal';
+import ChildPinDialog from '../../components/parents/child/ChildPinDialog';
+import childrenService from '../../services/childrenService';
 import useAuth from '../../hooks/userHook';
 import useChildren from '../../hooks/childrenHook';
 import { themeColors } from '../../config/themeColors';
@@ -25,6 +27,7 @@ const ParentsChild = () => {
   const { user, isAuthenticated } = useAuth();
   const { children, fetchChildren, loading } = useChildren();
   const [addModalOpen, setAddModalOpen] = useState(false);
+  const [pinChild, setPinChild] = useState(null);
 
   // Redirect if not authenticated or not a parent
   useEffect(() => {
@@ -45,14 +48,40 @@ const ParentsChild = () => {
     }
   }, [isAuthenticated, user]);
 
-  const handleSelectChild = (child) => {
-    // Store selected child in sessionStorage for child session
-    if (child && child._id) {
-      sessionStorage.setItem('selectedChildId', child._id);
-      sessionStorage.setItem('selectedChild', JSON.stringify(child));
-      
-      // Navigate to child home page
-      navigate(`/child/${child._id}/home`);
+  // Exchange the parent session for a child-scoped token and enter the child UI
+  const enterChildSession = async (child, pin) => {
+    const response = await childrenService.startChildSession(child._id, pin);
+    sessionStorage.setItem('childToken', response.data.token);
+    sessionStorage.setItem('childSessionId', child._id);
+    sessionStorage.setItem('selectedChildId', child._id);
+    sessionStorage.setItem('selectedChild', JSON.stringify(child));
+
+    // Navigate to child home page
+    navigate(`/child/${child._id}/home`);
+  };
+
+  const handleSelectChild = async (child) => {
+    if (!child || !child._id) return;
+
+    // Children with a PIN must enter it first
+    if (child.hasPin) {
+      setPinChild(child);
+      return;
+    }
+
+    try {
+      await enterChildSession(child);
+    } catch (error) {
+      console.error('Failed to start child session:', error);
+    }
+  };
+
+  const handleSubmitPin = async (pin) => {
+    try {
+      await enterChildSession(pinChild, pin);
+      setPinChild(null);
+    } catch (error) {
+      throw error?.message || 'Incorrect PIN';
     }
   };
 
@@ -181,6 +210,14 @@ const ParentsChild = () => {
         open={addModalOpen}
         onClose={handleCloseAddModal}
       />
+
+      {/* Child PIN Dialog */}
+      <ChildPinDialog
+        open={!!pinChild}
+        child={pinChild}
+        onClose={() => setPinChild(null)}
+        onSubmit={handleSubmitPin}
+      />
     </Box>
   );
 };
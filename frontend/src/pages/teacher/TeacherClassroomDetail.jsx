@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Button,
+  CircularProgress,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { ArrowBack, EditOutlined, ArchiveOutlined, UnarchiveOutlined } from '@mui/icons-material';
+import {
+  getClassroom,
+  getClassroomProgress,
+  updateClassroom,
+  regenerateInviteCode,
+  removeClassroomMember,
+  assignClassroomCourse,
+  unassignClassroomCourse,
+} from '../../services/classroomService';
+import ClassroomFormModal from '../../components/teacher/classrooms/ClassroomFormModal';
+import ClassroomInviteCode from '../../components/teacher/classrooms/ClassroomInviteCode';
+import ClassroomCourses from '../../components/teacher/classrooms/ClassroomCourses';
+import ClassroomProgressTable from '../../components/teacher/classrooms/ClassroomProgressTable';
+import CourseAssignments from '../../components/common/CourseAssignments';
+
+/**
+ * TeacherClassroomDetail Page
+ *
+ * One class: invite code, assigned courses and the roster's progress on them
+ */
+const TeacherClassroomDetail = () => {
+  const theme = useTheme();
+  const navigate = useNavigate();
+  const { classroomId } = useParams();
+  const [classroom, setClassroom] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [formOpen, setFormOpen] = useState(false);
+  const [childToRemove, setChildToRemove] = useState(null);
+  const [childForCourses, setChildForCourses] = useState(null);
+
+  const fetchClassroom = useCallback(async () => {
+    try {
+      setError(null);
+      const [classroomData, progressData] = await Promise.all([
+        getClassroom(classroomId),
+        getClassroomProgress(classroomId),
+      ]);
+      setClassroom(classroomData);
+      setProgress(progressData);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [classroomId]);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchClassroom();
+  }, [fetchClassroom]);
+
+  // Run a change, then reload the class; errors show in the page alert
+  const runAction = async (action, { rethrow = false } = {}) => {
+    setBusy(true);
+    try {
+      await action();
+      await fetchClassroom();
+    } catch (err) {
+      if (rethrow) throw err;
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRemoveChild = async () => {
+    const child = childToRemove;
+    setChildToRemove(null);
+    await runAction(() => removeClassroomMember(classroomId, child._id));
+  };
+
+  // Assignments can start courses, so reload the progress table afterwards
+  const handleCloseChildCourses = () => {
+    setChildForCourses(null);
+    fetchClassroom();
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', padding: 6 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const buttonSx = { fontFamily: 'Quicksand, sans-serif', fontWeight: 600, textTransform: 'none' };
+
+  return (
+    <Box>
+      <Button startIcon={<ArrowBack />} onClick={() => navigate('/teacher/classrooms')} sx={{ ...buttonSx, marginBottom: 2 }}>
+        All classes
+      </Button>
+
+      {error && (
+        <Alert severity="error" onClose={() => setError(null)} sx={{ marginBottom: 2, fontFamily: 'Quicksand, sans-serif' }}>
+          {error}
+        </Alert>
+      )}
+
+      {classroom && (
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3 }}>
+          <Box sx={{ display: 'flex', alignItems: 'flex-start', justifyContent: 'space-between', gap: 2 }}>
+            <Box>
+              <Typography
+                variant="h4"
+                sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 700, fontSize: '1.75rem', color: theme.palette.text.primary }}
+              >
+                {classroom.name}
+                {classroom.isArchived ? ' (archived)' : ''}
+              </Typography>
+              {classroom.description && (
+                <Typography sx={{ fontFamily: 'Quicksand, sans-serif', color: theme.palette.text.secondary }}>
+                  {classroom.description}
+                </Typography>
+              )}
+              <Typography sx={{ fontFamily: 'Quicksand, sans-serif', color: theme.palette.text.secondary, fontSize: '0.875rem' }}>
+                {classroom.memberCount} children · class average {progress?.averageProgress ?? 0}%
+              </Typography>
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1, flexShrink: 0 }}>
+              <Button startIcon={<EditOutlined />} onClick={() => setFormOpen(true)} sx={buttonSx}>
+                Edit
+              </Button>
+              <Button
+                startIcon={classroom.isArchived ? <UnarchiveOutlined /> : <ArchiveOutlined />}
+                disabled={busy}
+                onClick={() => runAction(() => updateClassroom(classroomId, { isArchived: !classroom.isArchived }))}
+                sx={buttonSx}
+              >
+                {classroom.isArchived ? 'Restore' : 'Archive'}
+              </Button>
+            </Box>
+          </Box>
+
+          <ClassroomInviteCode
+            classroom={classroom}
+            busy={busy}
+            onRegenerate={() => runAction(() => regenerateInviteCode(classroomId))}
+            onToggleJoin={(isJoinOpen) => runAction(() => updateClassroom(classroomId, { isJoinOpen }))}
+          />
+
+          <ClassroomCourses
+            courses={classroom.courses}
+            busy={busy}
+            onAssign={(data) => runAction(() => assignClassroomCourse(classroomId, data), { rethrow: true })}
+            onUnassign={(course) => runAction(() => unassignClassroomCourse(classroomId, course._id))}
+          />
+
+          <Box>
+            <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 700, fontSize: '1.1rem', marginBottom: 1.5 }}>
+              Class progress
+            </Typography>
+            <ClassroomProgressTable
+              progress={progress}
+              onRemoveChild={setChildToRemove}
+              onManageCourses={setChildForCourses}
+            />
+          </Box>
+        </Box>
+      )}
+
+      <ClassroomFormModal
+        open={formOpen}
+        classroom={classroom}
+        onClose={() => setFormOpen(false)}
+        onSubmit={async (data) => {
+          await updateClassroom(classroomId, data);
+          await fetchClassroom();
+        }}
+      />
+
+      <Dialog open={Boolean(childToRemove)} onClose={() => setChildToRemove(null)} PaperProps={{ sx: { borderRadius: '12px' } }}>
+        <DialogTitle sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 700 }}>Remove from class?</DialogTitle>
+        <DialogContent>
+          <Typography sx={{ fontFamily: 'Quicksand, sans-serif' }}>
+            {childToRemove?.displayName} will leave {classroom?.name}. Their course progress is kept.
+          </Typography>
+        </DialogContent>
+        <DialogActions sx={{ padding: 2 }}>
+          <Button onClick={() => setChildToRemove(null)} sx={buttonSx}>
+            Cancel
+          </Button>
+          <Button color="error" variant="contained" onClick={handleRemoveChild} sx={buttonSx}>
+            Remove
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Courses assigned to one child (on top of the class's courses) */}
+      <Dialog
+        open={Boolean(childForCourses)}
+        onClose={handleCloseChildCourses}
+        maxWidth="sm"
+        fullWidth
+        PaperProps={{ sx: { borderRadius: '12px' } }}
+      >
+        <DialogTitle sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 700 }}>
+          {childForCourses?.displayName}'s courses
+        </DialogTitle>
+        <DialogContent>
+          {childForCourses && <CourseAssignments childId={childForCourses._id} />}
+        </DialogContent>
+        <DialogActions sx={{ padding: 2 }}>
+          <Button onClick={handleCloseChildCourses} sx={buttonSx}>
+            Close
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default TeacherClassroomDetail;
@@ -0,0 +1,172 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Button,
+  CircularProgress,
+  Alert,
+  Chip,
+  FormControlLabel,
+  Switch,
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { Add as AddIcon } from '@mui/icons-material';
+import { getClassrooms, createClassroom } from '../../services/classroomService';
+import ClassroomFormModal from '../../components/teacher/classrooms/ClassroomFormModal';
+
+/**
+ * TeacherClassrooms Page
+ *
+ * The teacher's classes with their invite codes; creates new classes
+ */
+const TeacherClassrooms = () => {
+  const theme = useTheme();
+  const navigate = useNavigate();
+  const [classrooms, setClassrooms] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const [formOpen, setFormOpen] = useState(false);
+
+  const fetchClassrooms = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setClassrooms(await getClassrooms({ includeArchived: showArchived }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [showArchived]);
+
+  useEffect(() => {
+    fetchClassrooms();
+  }, [fetchClassrooms]);
+
+  const handleCreate = async (data) => {
+    const classroom = await createClassroom(data);
+    navigate(`/teacher/classrooms/${classroom._id}`);
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'flex-start', justifyContent: 'space-between', gap: 2, marginBottom: 3 }}>
+        <Box>
+          <Typography
+            variant="h4"
+            sx={{
+              fontFamily: 'Quicksand, sans-serif',
+              fontWeight: 700,
+              fontSize: '1.75rem',
+              color: theme.palette.text.primary,
+              marginBottom: 1,
+            }}
+          >
+            Classes
+          </Typography>
+          <Typography sx={{ fontFamily: 'Quicksand, sans-serif', color: theme.palette.text.secondary }}>
+            Parents add their children to a class with its invite code.
+          </Typography>
+        </Box>
+        <Button
+          variant="contained"
+          startIcon={<AddIcon />}
+          onClick={() => setFormOpen(true)}
+          sx={{
+            fontFamily: 'Quicksand, sans-serif',
+            fontWeight: 600,
+            textTransform: 'none',
+            borderRadius: '8px',
+            flexShrink: 0,
+            backgroundColor: theme.palette.orange.main,
+            color: theme.palette.textCustom.inverse,
+            '&:hover': { backgroundColor: theme.palette.orange.dark },
+          }}
+        >
+          New Class
+        </Button>
+      </Box>
+
+      <FormControlLabel
+        control={<Switch checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} />}
+        label="Show archived classes"
+        sx={{ marginBottom: 2, '& .MuiFormControlLabel-label': { fontFamily: 'Quicksand, sans-serif' } }}
+      />
+
+      {error && (
+        <Alert severity="error" sx={{ marginBottom: 2, fontFamily: 'Quicksand, sans-serif' }}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', padding: 6 }}>
+          <CircularProgress />
+        </Box>
+      ) : classrooms.length === 0 ? (
+        <Typography sx={{ fontFamily: 'Quicksand, sans-serif', color: theme.palette.text.secondary }}>
+          No classes yet.
+        </Typography>
+      ) : (
+        <Grid container spacing={2.5}>
+          {classrooms.map((classroom) => (
+            <Grid key={classroom._id} item xs={12} sm={6} md={4}>
+              <Paper
+                role="button"
+                tabIndex={0}
+                aria-label={`Open ${classroom.name}`}
+                onClick={() => navigate(`/teacher/classrooms/${classroom._id}`)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') navigate(`/teacher/classrooms/${classroom._id}`);
+                }}
+                sx={{
+                  padding: 2.5,
+                  height: '100%',
+                  borderRadius: '16px',
+                  border: `1px solid ${theme.palette.border.main}`,
+                  boxShadow: 'none',
+                  cursor: 'pointer',
+                  opacity: classroom.isArchived ? 0.6 : 1,
+                  transition: 'all 0.25s ease',
+                  '&:hover': { transform: 'translateY(-2px)', boxShadow: theme.shadows[3] },
+                }}
+              >
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 1, marginBottom: 1 }}>
+                  <Typography sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 700, fontSize: '1.1rem' }}>
+                    {classroom.name}
+                  </Typography>
+                  {classroom.isArchived && <Chip label="Archived" size="small" />}
+                </Box>
+                {classroom.description && (
+                  <Typography
+                    sx={{ fontFamily: 'Quicksand, sans-serif', color: theme.palette.text.secondary, fontSize: '0.875rem', marginBottom: 1.5 }}
+                  >
+                    {classroom.description}
+                  </Typography>
+                )}
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                  <Chip label={`${classroom.memberCount} children`} size="small" variant="outlined" />
+                  <Chip label={`${classroom.courseCount} courses`} size="small" variant="outlined" />
+                  <Chip
+                    label={classroom.isJoinOpen ? `Code ${classroom.inviteCode}` : 'Joining closed'}
+                    size="small"
+                    color={classroom.isJoinOpen ? 'primary' : 'default'}
+                    sx={{ fontFamily: 'monospace', fontWeight: 700 }}
+                  />
+                </Box>
+              </Paper>
+            </Grid>
+          ))}
+        </Grid>
+      )}
+
+      <ClassroomFormModal open={formOpen} onClose={() => setFormOpen(false)} onSubmit={handleCreate} />
+    </Box>
+  );
+};
+
+export default TeacherClassrooms;
@@ -1,50 +1,95 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Box, Typography, Paper, Grid } from '@mui/material';
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Button,
+  LinearProgress,
+  CircularProgress,
+  Alert,
+  Avatar,
+} from '@mui/material';
 import { useTheme } from '@mui/material/styles';
 import {
-  MenuBookOutlined,
-  AssignmentOutlined,
-  PlayCircleOutlined,
-  WallpaperOutlined,
+  GroupsOutlined,
+  ChildCareOutlined,
+  AudiotrackOutlined,
+  EventOutlined,
+  Add as AddIcon,
 } from '@mui/icons-material';
+import { getTeacherDashboard } from '../../services/classroomService';
+
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
 
 /**
  * TeacherDashboard Page
  *
- * Simple dashboard for teachers
- * Focused on course and child-content management (no user management)
+ * Teacher's overview of their classes:
+ * - progress per class (average across the class's assigned courses)
+ * - recordings from the teacher's children waiting for review
+ * - upcoming meetings the teacher created or was invited to
  */
 const TeacherDashboard = () => {
   const theme = useTheme();
   const navigate = useNavigate();
+  const [dashboard, setDashboard] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchDashboard = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setDashboard(await getTeacherDashboard());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDashboard();
+  }, [fetchDashboard]);
+
+  const cardSx = {
+    padding: 2.5,
+    borderRadius: '16px',
+    backgroundColor: theme.palette.background.paper,
+    border: `1px solid ${theme.palette.border.main}`,
+    boxShadow: 'none',
+  };
+
+  const sectionTitleSx = {
+    fontFamily: 'Quicksand, sans-serif',
+    fontWeight: 700,
+    fontSize: '1.1rem',
+    color: theme.palette.text.primary,
+  };
 
-  const quickActions = [
-    {
-      title: 'Courses',
-      description: 'Create and organize learning modules.',
-      icon: <MenuBookOutlined sx={{ fontSize: 34 }} />,
-      path: '/teacher/courses',
-    },
-    {
-      title: 'Contents',
-      description: 'Manage activities, books, videos, audio and chants.',
-      icon: <AssignmentOutlined sx={{ fontSize: 34 }} />,
-      path: '/teacher/courses/contents',
-    },
-    {
-      title: 'Explore',
-      description: 'Update Explore videos and featured content.',
-      icon: <PlayCircleOutlined sx={{ fontSize: 34 }} />,
-      path: '/teacher/courses/explore',
-    },
-    {
-      title: 'Kids Wall',
-      description: 'Review and moderate Kids Wall posts.',
-      icon: <WallpaperOutlined sx={{ fontSize: 34 }} />,
-      path: '/teacher/kids-wall',
-    },
-  ];
+  const mutedTextSx = {
+    fontFamily: 'Quicksand, sans-serif',
+    color: theme.palette.text.secondary,
+    fontSize: '0.875rem',
+  };
+
+  const stats = dashboard
+    ? [
+        { label: 'Classes', value: dashboard.classrooms.length, icon: <GroupsOutlined /> },
+        { label: 'Children', value: dashboard.childCount, icon: <ChildCareOutlined /> },
+        { label: 'Recordings to review', value: dashboard.pendingReviewCount, icon: <AudiotrackOutlined /> },
+        { label: 'Upcoming meetings', value: dashboard.upcomingMeetings.length, icon: <EventOutlined /> },
+      ]
+    : [];
 
   return (
     <Box>
@@ -68,86 +113,244 @@ const TeacherDashboard = () => {
           marginBottom: 3,
         }}
       >
-        Manage courses and learning content for children.
+        How your classes are doing and what needs your attention.
       </Typography>
 
-      <Grid container spacing={2.5}>
-        {quickActions.map((action) => (
-          <Grid key={action.title} item xs={12} sm={6} md={3}>
-            <Paper
-              role="button"
-              aria-label={`Go to ${action.title}`}
-              tabIndex={0}
-              onClick={() => navigate(action.path)}
-              onKeyDown={(e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                  e.preventDefault();
-                  navigate(action.path);
-                }
-              }}
-              sx={{
-                padding: 2.5,
-                borderRadius: '16px',
-                backgroundColor: theme.palette.background.paper,
-                border: `1px solid ${theme.palette.border.main}`,
-                cursor: 'pointer',
-                transition: 'all 0.25s ease',
-                outline: 'none',
-                '&:hover': {
-                  transform: 'translateY(-4px)',
-                  boxShadow: theme.shadows[4],
-                },
-                '&:focus-visible': {
-                  boxShadow: `0 0 0 3px ${theme.palette.orange.main}33`,
-                },
-              }}
+      {loading && !dashboard && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', padding: 6 }}>
+          <CircularProgress />
+        </Box>
+      )}
+
+      {error && (
+        <Alert
+          severity="error"
+          action={<Button onClick={fetchDashboard}>Retry</Button>}
+          sx={{ marginBottom: 3, fontFamily: 'Quicksand, sans-serif' }}
+        >
+          {error}
+        </Alert>
+      )}
+
+      {dashboard && (
+        <>
+          {/* Stats */}
+          <Grid container spacing={2.5} sx={{ marginBottom: 3 }}>
+            {stats.map((stat) => (
+              <Grid key={stat.label} item xs={12} sm={6} md={3}>
+                <Paper sx={{ ...cardSx, display: 'flex', alignItems: 'center', gap: 2 }}>
+                  <Box
+                    sx={{
+                      width: 48,
+                      height: 48,
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'center',
+                      borderRadius: '12px',
+                      background: `linear-gradient(135deg, ${theme.palette.orange.main} 0%, ${theme.palette.orange.dark} 100%)`,
+                      color: theme.palette.textCustom.inverse,
+                    }}
+                  >
+                    {stat.icon}
+                  </Box>
+                  <Box>
+                    <Typography sx={{ ...sectionTitleSx, fontSize: '1.5rem' }}>{stat.value}</Typography>
+                    <Typography sx={mutedTextSx}>{stat.label}</Typography>
+                  </Box>
+                </Paper>
+              </Grid>
+            ))}
+          </Grid>
+
+          {/* Classes */}
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 1.5 }}>
+            <Typography sx={sectionTitleSx}>My classes</Typography>
+            <Button
+              onClick={() => navigate('/teacher/classrooms')}
+              sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600, textTransform: 'none' }}
             >
-              <Box
-                sx={{
-                  width: 56,
-                  height: 56,
-                  display: 'flex',
-                  alignItems: 'center',
-                  justifyContent: 'center',
-                  borderRadius: '14px',
-                  marginBottom: 2,
-                  background: `linear-gradient(135deg, ${theme.palette.orange.main} 0%, ${theme.palette.orange.dark} 100%)`,
-                  color: theme.palette.textCustom.inverse,
-                  boxShadow: `0 6px 18px ${theme.palette.orange.main}33`,
-                }}
-              >
-                {action.icon}
-              </Box>
+              Manage classes
+            </Button>
+          </Box>
 
-              <Typography
-                variant="h6"
-                sx={{
-                  fontFamily: 'Quicksand, sans-serif',
-                  fontWeight: 700,
-                  color: theme.palette.text.primary,
-                  fontSize: '1.05rem',
-                  marginBottom: 0.5,
-                }}
-              >
-                {action.title}
+          {dashboard.classrooms.length === 0 ? (
+            <Paper sx={{ ...cardSx, textAlign: 'center', marginBottom: 3 }}>
+              <Typography sx={{ ...mutedTextSx, marginBottom: 2 }}>
+                You don't have any classes yet. Create one and share its invite code with parents.
               </Typography>
-              <Typography
-                variant="body2"
+              <Button
+                variant="contained"
+                startIcon={<AddIcon />}
+                onClick={() => navigate('/teacher/classrooms')}
                 sx={{
                   fontFamily: 'Quicksand, sans-serif',
-                  color: theme.palette.text.secondary,
-                  lineHeight: 1.5,
+                  fontWeight: 600,
+                  textTransform: 'none',
+                  borderRadius: '8px',
+                  backgroundColor: theme.palette.orange.main,
+                  '&:hover': { backgroundColor: theme.palette.orange.dark },
                 }}
               >
-                {action.description}
-              </Typography>
+                Create a class
+              </Button>
             </Paper>
+          ) : (
+            <Grid container spacing={2.5} sx={{ marginBottom: 3 }}>
+              {dashboard.classrooms.map((classroom) => (
+                <Grid key={classroom._id} item xs={12} md={6}>
+                  <Paper
+                    role="button"
+                    tabIndex={0}
+                    aria-label={`Open ${classroom.name}`}
+                    onClick={() => navigate(`/teacher/classrooms/${classroom._id}`)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') navigate(`/teacher/classrooms/${classroom._id}`);
+                    }}
+                    sx={{
+                      ...cardSx,
+                      cursor: 'pointer',
+                      transition: 'all 0.25s ease',
+                      '&:hover': { transform: 'translateY(-2px)', boxShadow: theme.shadows[3] },
+                    }}
+                  >
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: 1 }}>
+                      <Typography sx={sectionTitleSx}>{classroom.name}</Typography>
+                      <Typography sx={mutedTextSx}>
+                        {classroom.memberCount} {classroom.memberCount === 1 ? 'child' : 'children'}
+                      </Typography>
+                    </Box>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, marginBottom: 1.5 }}>
+                      <LinearProgress
+                        variant="determinate"
+                        value={classroom.averageProgress}
+                        sx={{ flexGrow: 1, height: 8, borderRadius: 4 }}
+                      />
+                      <Typography sx={{ ...mutedTextSx, fontWeight: 700 }}>{classroom.averageProgress}%</Typography>
+                    </Box>
+                    {classroom.courses.length === 0 ? (
+                      <Typography sx={mutedTextSx}>No courses assigned yet</Typography>
+                    ) : (
+                      classroom.courses.slice(0, 3).map((row) => (
+                        <Box
+                          key={row.course._id}
+                          sx={{ display: 'flex', justifyContent: 'space-between', gap: 1, paddingY: 0.25 }}
+                        >
+                          <Typography sx={{ ...mutedTextSx, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                            {row.course.title}
+                          </Typography>
+                          <Typography
+                            sx={{
+                              ...mutedTextSx,
+                              flexShrink: 0,
+                              color: row.isOverdue ? theme.palette.error.main : theme.palette.text.secondary,
+                            }}
+                          >
+                            {row.completedCount}/{classroom.memberCount} done · {row.averageProgress}%
+                          </Typography>
+                        </Box>
+                      ))
+                    )}
+                  </Paper>
+                </Grid>
+              ))}
+            </Grid>
+          )}
+
+          <Grid container spacing={2.5}>
+            {/* Pending audio reviews */}
+            <Grid item xs={12} md={6}>
+              <Paper sx={cardSx}>
+                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 1.5 }}>
+                  <Typography sx={sectionTitleSx}>Recordings to review</Typography>
+                  <Button
+                    onClick={() => navigate('/teacher/checking-audio')}
+                    sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600, textTransform: 'none' }}
+                  >
+                    Open review queue
+                  </Button>
+                </Box>
+                {dashboard.pendingReviews.length === 0 ? (
+                  <Typography sx={mutedTextSx}>Nothing waiting for review.</Typography>
+                ) : (
+                  dashboard.pendingReviews.map((review) => (
+                    <Box
+                      key={review._id}
+                      sx={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: 1.5,
+                        paddingY: 1,
+                        borderBottom: `1px solid ${theme.palette.border.main}`,
+                        '&:last-of-type': { borderBottom: 'none' },
+                      }}
+                    >
+                      <Avatar src={review.child?.avatar || undefined} sx={{ width: 32, height: 32 }}>
+                        {review.child?.displayName?.[0]}
+                      </Avatar>
+                      <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+                        <Typography sx={{ ...mutedTextSx, color: theme.palette.text.primary, fontWeight: 600 }}>
+                          {review.child?.displayName || 'Child'}
+                        </Typography>
+                        <Typography sx={mutedTextSx}>{review.audioAssignment?.title || 'Audio assignment'}</Typography>
+                      </Box>
+                      {review.submittedAt && (
+                        <Typography sx={{ ...mutedTextSx, flexShrink: 0 }}>{formatDateTime(review.submittedAt)}</Typography>
+                      )}
+                    </Box>
+                  ))
+                )}
+              </Paper>
+            </Grid>
+
+            {/* Upcoming meetings */}
+            <Grid item xs={12} md={6}>
+              <Paper sx={cardSx}>
+                <Typography sx={{ ...sectionTitleSx, marginBottom: 1.5 }}>Upcoming meetings</Typography>
+                {dashboard.upcomingMeetings.length === 0 ? (
+                  <Typography sx={mutedTextSx}>No upcoming meetings.</Typography>
+                ) : (
+                  dashboard.upcomingMeetings.map((meeting) => (
+                    <Box
+                      key={meeting._id}
+                      sx={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: 1.5,
+                        paddingY: 1,
+                        borderBottom: `1px solid ${theme.palette.border.main}`,
+                        '&:last-of-type': { borderBottom: 'none' },
+                      }}
+                    >
+                      <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+                        <Typography sx={{ ...mutedTextSx, color: theme.palette.text.primary, fontWeight: 600 }}>
+                          {meeting.title}
+                        </Typography>
+                        <Typography sx={mutedTextSx}>
+                          {formatDateTime(meeting.startTime)} · {meeting.attendees?.length || 0} invited
+                        </Typography>
+                      </Box>
+                      {meeting.meetLink && (
+                        <Button
+                          size="small"
+                          variant="outlined"
+                          href={meeting.meetLink}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          sx={{ fontFamily: 'Quicksand, sans-serif', fontWeight: 600, textTransform: 'none', borderRadius: '8px' }}
+                        >
+                          Join
+                        </Button>
+                      )}
+                    </Box>
+                  ))
+                )}
+              </Paper>
+            </Grid>
           </Grid>
-        ))}
-      </Grid>
+        </>
+      )}
     </Box>
   );
 };
 
 export default TeacherDashboard;
-
@@ -1,5 +1,5 @@
 import React from 'react';
-import { BrowserRouter, Routes, Route, useParams } from 'react-router-dom';
+import { BrowserRouter, Routes, Route, useParams, Navigate } from 'react-router-dom';
 import AuthLogin from '../pages/auth/AuthLogin';
 import ParentSignup from '../pages/auth/ParentSignup';
 import ParentSignupSuccess from '../pages/auth/ParentSignupSuccess';
@@ -17,9 +17,15 @@ import AdminExplore from '../pages/admin/AdminExplore';
 import AdminKidsWall from '../pages/admin/AdminKidsWall';
 import AdminCheckingAudio from '../pages/admin/AdminCheckingAudio';
 import AdminMeetings from '../pages/admin/AdminMeetings';
+import AdminRewards from '../pages/admin/AdminRewards';
+import AdminAnnouncements from '../pages/admin/AdminAnnouncements';
+import AdminSkills from '../pages/admin/AdminSkills';
+import AdminRecommendations from '../pages/admin/AdminRecommendations';
 import AdminLayout from '../layouts/AdminLayout';
 import TeacherLayout from '../layouts/TeacherLayout';
 import TeacherDashboard from '../pages/teacher/TeacherDashboard';
+import TeacherClassrooms from '../pages/teacher/TeacherClassrooms';
+import TeacherClassroomDetail from '../pages/teacher/TeacherClassroomDetail';
 import ChildLayout from '../layouts/ChildLayout';
 import ChildHome from '../pages/child/ChildHome';
 import ChildJourney from '../pages/child/ChildJourney';
@@ -28,19 +34,29 @@ import ChildKidsWall from '../pages/child/ChildKidsWall';
 import ChildShareSomething from '../pages/child/ChildShareSomething';
 import AuthedAccess from './access/AuthedAccess';
 import UnAuthed from './access/UnAuthed';
+import ForgotPassword from '../pages/auth/ForgotPassword';
+import ResetPassword from '../pages/auth/ResetPassword';
+import VerifyEmail from '../pages/auth/VerifyEmail';
 import ChildExplore from '../pages/child/ChildExplore';
 import ChildExploreVideos from '../pages/child/ChildExploreVideos';
 import ChildExploreReplays from '../pages/child/ChildExploreReplays';
 import ChildProfile from '../pages/child/ChildProfile';
+import ChildRewardsShop from '../pages/child/ChildRewardsShop';
 
 /**
  * ChildRouteWrapper Component
  * 
  * Wraps child routes to extract childId from URL params
  * and pass it to ChildLayout and child pages
+ * A child session can only view its own child's pages
  */
 const ChildRouteWrapper = ({ children }) => {
   const { id } = useParams();
+  const childSessionId = sessionStorage.getItem('childSessionId');
+
+  if (childSessionId && childSessionId !== id) {
+    return <Navigate to={`/child/${childSessionId}/home`} replace />;
+  }
 
   return (
     <ChildLayout childId={id}>
@@ -86,6 +102,24 @@ const AppRouter = () => {
             </UnAuthed>
           }
         />
+        <Route
+          path="/forgot-password"
+          element={
+            <UnAuthed>
+              <ForgotPassword />
+            </UnAuthed>
+          }
+        />
+        <Route
+          path="/reset-password"
+          element={
+            <UnAuthed>
+              <ResetPassword />
+            </UnAuthed>
+          }
+        />
+        {/* Email verification links work with or without a session */}
+        <Route path="/verify-email" element={<VerifyEmail />} />
         <Route
           path="/parents/login"
           element={
@@ -100,7 +134,7 @@ const AppRouter = () => {
         <Route
           path="/parents/child"
           element={
-            <AuthedAccess allowedRoles={['parent']}>
+            <AuthedAccess allowedRoles={['parent']} blockChildSession>
               <ParentsChild />
             </AuthedAccess>
           }
@@ -108,7 +142,7 @@ const AppRouter = () => {
         <Route
           path="/parent/dashboard"
           element={
-            <AuthedAccess allowedRoles={['parent']}>
+            <AuthedAccess allowedRoles={['parent']} blockChildSession>
               <ParentsLayout>
                 <ParentDashboard />
               </ParentsLayout>
@@ -207,6 +241,16 @@ const AppRouter = () => {
             </AuthedAccess>
           }
         />
+        <Route
+          path="/child/:id/shop"
+          element={
+            <AuthedAccess allowedRoles={['parent']}>
+              <ChildRouteWrapper>
+                <ChildRewardsShop />
+              </ChildRouteWrapper>
+            </AuthedAccess>
+          }
+        />
 
         {/* Admin Routes */}
         <Route
@@ -299,6 +343,46 @@ const AppRouter = () => {
             </AuthedAccess>
           }
         />
+        <Route
+          path="/admin/rewards"
+          element={
+            <AuthedAccess allowedRoles={['admin']}>
+              <AdminLayout>
+                <AdminRewards />
+              </AdminLayout>
+            </AuthedAccess>
+          }
+        />
+        <Route
+          path="/admin/announcements"
+          element={
+            <AuthedAccess allowedRoles={['admin']}>
+              <AdminLayout>
+                <AdminAnnouncements />
+              </AdminLayout>
+            </AuthedAccess>
+          }
+        />
+        <Route
+          path="/admin/skills"
+          element={
+            <AuthedAccess allowedRoles={['admin']}>
+              <AdminLayout>
+                <AdminSkills />
+              </AdminLayout>
+            </AuthedAccess>
+          }
+        />
+        <Route
+          path="/admin/recommendations"
+          element={
+            <AuthedAccess allowedRoles={['admin']}>
+              <AdminLayout>
+                <AdminRecommendations />
+              </AdminLayout>
+            </AuthedAccess>
+          }
+        />
         <Route
           path="/admin/*"
           element={
@@ -371,6 +455,26 @@ const AppRouter = () => {
             </AuthedAccess>
           }
         />
+        <Route
+          path="/teacher/classrooms"
+          element={
+            <AuthedAccess allowedRoles={['teacher']}>
+              <TeacherLayout>
+                <TeacherClassrooms />
+              </TeacherLayout>
+            </AuthedAccess>
+          }
+        />
+        <Route
+          path="/teacher/classrooms/:classroomId"
+          element={
+            <AuthedAccess allowedRoles={['teacher']}>
+              <TeacherLayout>
+                <TeacherClassroomDetail />
+              </TeacherLayout>
+            </AuthedAccess>
+          }
+        />
         <Route
           path="/teacher/*"
           element={
@@ -8,8 +8,9 @@ import { Box, CircularProgress, Typography } from '@mui/material';
  * Protects routes that require authentication
  * Redirects to login if not authenticated
  * Shows loading state while checking authentication
+ * With `blockChildSession`, an active child session is sent back to its own child home
  */
-const AuthedAccess = ({ children, allowedRoles = [] }) => {
+const AuthedAccess = ({ children, allowedRoles = [], blockChildSession = false }) => {
   const { isAuthenticated, loading, user } = useSelector((state) => state.user);
 
   // Show loading state
@@ -43,6 +44,12 @@ const AuthedAccess = ({ children, allowedRoles = [] }) => {
     return <Navigate to="/login" replace />;
   }
 
+  // Parent-only pages are off limits while a child session is active
+  const childSessionId = sessionStorage.getItem('childSessionId');
+  if (blockChildSession && childSessionId) {
+    return <Navigate to={`/child/${childSessionId}/home`} replace />;
+  }
+
   return children;
 };
 
@@ -0,0 +1,109 @@
+import api from '../api/axios';
+
+/**
+ * Announcement Service
+ *
+ * Handles announcement API calls:
+ * - Admin operations: list, create, update, delete announcements
+ * - Feed operations: live announcements for the current user or a child, read receipts
+ */
+
+const announcementService = {
+  // ========== Admin Operations ==========
+
+  /**
+   * Get all announcements (admin)
+   * @param {Object} params - Query parameters (status, audience, priority, search, page, limit)
+   * @returns {Promise} API response with announcements and pagination
+   */
+  getAnnouncements: async (params = {}) => {
+    try {
+      const response = await api.get('/announcements', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || error.message;
+    }
+  },
+
+  /**
+   * Create an announcement (admin)
+   * @param {Object} data - title, message, targetAudience, priority, displayAs, publishDate, expiryDate, isPublished
+   * @returns {Promise} API response with created announcement
+   */
+  createAnnouncement: async (data) => {
+    try {
+      const response = await api.post('/announcements', data);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || error.message;
+    }
+  },
+
+  /**
+   * Update an announcement (admin)
+   * @param {String} announcementId - Announcement ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise} API response with updated announcement
+   */
+  updateAnnouncement: async (announcementId, data) => {
+    try {
+      const response = await api.put(`/announcements/${announcementId}`, data);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || error.message;
+    }
+  },
+
+  /**
+   * Delete an announcement (admin)
+   * @param {String} announcementId - Announcement ID
+   * @returns {Promise} API response
+   */
+  deleteAnnouncement: async (announcementId) => {
+    try {
+      const response = await api.delete(`/announcements/${announcementId}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || error.message;
+    }
+  },
+
+  // ========== Feed Operations ==========
+
+  /**
+   * Get live announcements for the current user, or for a child when childId is given
+   * @param {Object} [options]
+   * @param {String} [options.childId] - Read as this child (child app)
+   * @param {Boolean} [options.unreadOnly] - Only unread announcements
+   * @returns {Promise} API response with announcements (isRead, readAt) and unreadCount
+   */
+  getFeed: async ({ childId, unreadOnly = false } = {}) => {
+    try {
+      const url = childId ? `/announcements/child/${childId}/feed` : '/announcements/feed';
+      const response = await api.get(url, { params: unreadOnly ? { unreadOnly: 'true' } : {} });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || error.message;
+    }
+  },
+
+  /**
+   * Mark an announcement as read for the current user, or for a child when childId is given
+   * @param {String} announcementId - Announcement ID
+   * @param {String} [childId] - Child ID (child app)
+   * @returns {Promise} API response with readAt
+   */
+  markAsRead: async (announcementId, childId = null) => {
+    try {
+      const url = childId
+        ? `/announcements/${announcementId}/read/child/${childId}`
+        : `/announcements/${announcementId}/read`;
+      const response = await api.post(url);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || error.message;
+    }
+  },
+};
+
+export default announcementService;
@@ -29,10 +29,12 @@ const audioAssignmentProgressService = {
     return response.data;
   },
 
-  review: async (audioAssignmentId, childId, { decision, feedback }) => {
+  review: async (audioAssignmentId, childId, { decision, feedback, scores, comments }) => {
     const response = await api.post(`/audio-assignments/${audioAssignmentId}/child/${childId}/review`, {
       decision,
       feedback,
+      scores,
+      comments,
     });
     return response.data;
   },
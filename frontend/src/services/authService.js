@@ -111,6 +111,8 @@ const authService = {
       
       // Clear sessionStorage
       sessionStorage.removeItem('token');
+      sessionStorage.removeItem('childToken');
+      sessionStorage.removeItem('childSessionId');
       sessionStorage.removeItem('user');
       sessionStorage.removeItem('childProfiles');
       sessionStorage.removeItem('childProfile');
@@ -120,6 +122,8 @@ const authService = {
     } catch (error) {
       // Even if API call fails, clear local storage
       sessionStorage.removeItem('token');
+      sessionStorage.removeItem('childToken');
+      sessionStorage.removeItem('childSessionId');
       sessionStorage.removeItem('user');
       sessionStorage.removeItem('childProfiles');
       sessionStorage.removeItem('childProfile');
@@ -207,6 +211,70 @@ const authService = {
     sessionStorage.removeItem('selectedChild');
     // Keep token and user data for parent dashboard access
   },
+
+  /**
+   * Request a password reset email
+   * @param {String} email - Account email
+   * @returns {Promise} API response with a generic message
+   */
+  forgotPassword: async (email) => {
+    try {
+      const response = await api.post('/auth/forgot-password', { email });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  /**
+   * Set a new password using the token from the reset email
+   * @param {String} token - Reset token from the email link
+   * @param {String} password - New password
+   * @returns {Promise} API response
+   */
+  resetPassword: async (token, password) => {
+    try {
+      const response = await api.post('/auth/reset-password', { token, password });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  /**
+   * Verify email address using the token from the verification email
+   * @param {String} token - Verification token from the email link
+   * @returns {Promise} API response with updated user
+   */
+  verifyEmail: async (token) => {
+    try {
+      const response = await api.post('/auth/verify-email', { token });
+
+      // Keep the stored user in sync if this user is logged in
+      const storedUser = JSON.parse(sessionStorage.getItem('user') || 'null');
+      const verifiedUser = response.data.data?.user;
+      if (storedUser && verifiedUser && storedUser._id === verifiedUser._id) {
+        sessionStorage.setItem('user', JSON.stringify(verifiedUser));
+      }
+
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  /**
+   * Resend the verification email to the logged in user
+   * @returns {Promise} API response
+   */
+  resendVerification: async () => {
+    try {
+      const response = await api.post('/auth/resend-verification');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
 };
 
 export default authService;
@@ -106,6 +106,50 @@ const childrenService = {
       throw error.response?.data || error.message;
     }
   },
+
+  /**
+   * Set or change a child's 4-digit login PIN
+   * @param {String} childId - Child's ID
+   * @param {String} pin - 4-digit PIN
+   * @returns {Promise} API response with updated child data
+   */
+  setChildPin: async (childId, pin) => {
+    try {
+      const response = await api.put(`/children/${childId}/pin`, { pin });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  /**
+   * Remove a child's login PIN
+   * @param {String} childId - Child's ID
+   * @returns {Promise} API response with updated child data
+   */
+  removeChildPin: async (childId) => {
+    try {
+      const response = await api.delete(`/children/${childId}/pin`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  /**
+   * Start a child session (exchanges the child's PIN for a child-scoped token)
+   * @param {String} childId - Child's ID
+   * @param {String} [pin] - 4-digit PIN (required when the child has one)
+   * @returns {Promise} API response with { token, child }
+   */
+  startChildSession: async (childId, pin) => {
+    try {
+      const response = await api.post(`/children/${childId}/session`, { pin });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
 };
 
 export default childrenService;
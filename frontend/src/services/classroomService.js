@@ -0,0 +1,135 @@
+import axios from '../api/axios';
+
+/**
+ * Classroom Service
+ *
+ * Service layer for teacher classrooms:
+ * - Teachers manage classrooms, rosters and assigned courses and read class progress
+ * - Parents add a child to a classroom with its invite code and can take the child out
+ */
+
+const request = async (promise, fallbackMessage) => {
+  try {
+    const response = await promise;
+    return response.data.data;
+  } catch (error) {
+    throw new Error(error.response?.data?.message || fallbackMessage);
+  }
+};
+
+/**
+ * Get the teacher dashboard
+ * @returns {Promise<Object>} { classrooms, childCount, pendingReviews, pendingReviewCount, upcomingMeetings }
+ */
+export const getTeacherDashboard = () =>
+  request(axios.get('/classrooms/dashboard'), 'Failed to load dashboard');
+
+/**
+ * Get the current teacher's classrooms (admins: all)
+ * @param {Object} [params] - { includeArchived, teacherId }
+ * @returns {Promise<Array>} Classroom summaries
+ */
+export const getClassrooms = (params = {}) =>
+  request(axios.get('/classrooms', { params }), 'Failed to load classrooms');
+
+/**
+ * Get a classroom with its roster and assigned courses
+ * @param {string} classroomId - Classroom ID
+ * @returns {Promise<Object>} Classroom
+ */
+export const getClassroom = (classroomId) =>
+  request(axios.get(`/classrooms/${classroomId}`), 'Failed to load classroom');
+
+/**
+ * Create a classroom
+ * @param {Object} data - { name, description }
+ * @returns {Promise<Object>} Classroom summary
+ */
+export const createClassroom = (data) =>
+  request(axios.post('/classrooms', data), 'Failed to create classroom');
+
+/**
+ * Update a classroom
+ * @param {string} classroomId - Classroom ID
+ * @param {Object} data - { name, description, isJoinOpen, isArchived }
+ * @returns {Promise<Object>} Classroom summary
+ */
+export const updateClassroom = (classroomId, data) =>
+  request(axios.put(`/classrooms/${classroomId}`, data), 'Failed to update classroom');
+
+/**
+ * Archive a classroom
+ * @param {string} classroomId - Classroom ID
+ * @returns {Promise<Object>} Classroom summary
+ */
+export const archiveClassroom = (classroomId) =>
+  request(axios.delete(`/classrooms/${classroomId}`), 'Failed to archive classroom');
+
+/**
+ * Replace the classroom's invite code
+ * @param {string} classroomId - Classroom ID
+ * @returns {Promise<Object>} Classroom summary with the new inviteCode
+ */
+export const regenerateInviteCode = (classroomId) =>
+  request(axios.post(`/classrooms/${classroomId}/invite-code`), 'Failed to regenerate invite code');
+
+/**
+ * Remove a child from a classroom
+ * @param {string} classroomId - Classroom ID
+ * @param {string} childId - Child ID
+ * @returns {Promise<Object>} Classroom summary
+ */
+export const removeClassroomMember = (classroomId, childId) =>
+  request(axios.delete(`/classrooms/${classroomId}/members/${childId}`), 'Failed to remove child');
+
+/**
+ * Assign a course to a classroom (or update its due date)
+ * @param {string} classroomId - Classroom ID
+ * @param {Object} data - { courseId, dueDate }
+ * @returns {Promise<Object>} Classroom with roster and courses
+ */
+export const assignClassroomCourse = (classroomId, data) =>
+  request(axios.post(`/classrooms/${classroomId}/courses`, data), 'Failed to assign course');
+
+/**
+ * Remove a course from a classroom
+ * @param {string} classroomId - Classroom ID
+ * @param {string} courseId - Course ID
+ * @returns {Promise<Object>} Classroom with roster and courses
+ */
+export const unassignClassroomCourse = (classroomId, courseId) =>
+  request(axios.delete(`/classrooms/${classroomId}/courses/${courseId}`), 'Failed to remove course');
+
+/**
+ * Get per-child course progress for a classroom
+ * @param {string} classroomId - Classroom ID
+ * @returns {Promise<Object>} { classroom, courses, children, averageProgress }
+ */
+export const getClassroomProgress = (classroomId) =>
+  request(axios.get(`/classrooms/${classroomId}/progress`), 'Failed to load classroom progress');
+
+/**
+ * Get a child's classrooms
+ * @param {string} childId - Child ID
+ * @returns {Promise<Array>} Classrooms with teacher and courses
+ */
+export const getChildClassrooms = (childId) =>
+  request(axios.get(`/classrooms/child/${childId}`), 'Failed to load classrooms');
+
+/**
+ * Add a child to a classroom with its invite code
+ * @param {string} childId - Child ID
+ * @param {string} inviteCode - Invite code from the teacher
+ * @returns {Promise<Object>} { _id, name, teacher }
+ */
+export const joinClassroom = (childId, inviteCode) =>
+  request(axios.post(`/classrooms/child/${childId}/join`, { inviteCode }), 'Failed to join classroom');
+
+/**
+ * Take a child out of a classroom
+ * @param {string} childId - Child ID
+ * @param {string} classroomId - Classroom ID
+ * @returns {Promise<void>}
+ */
+export const leaveClassroom = (childId, classroomId) =>
+  request(axios.delete(`/classrooms/child/${childId}/${classroomId}`), 'Failed to leave classroom');
@@ -0,0 +1,66 @@
+import axios from '../api/axios';
+
+/**
+ * cmi5 Service
+ *
+ * Service layer for cmi5 packages:
+ * - Admin/Teacher: import a cmi5 ZIP into a course (each AU becomes a course item)
+ * - Child: get the launch URL of an AU (the AU then talks to the backend LRS itself)
+ */
+
+/**
+ * Import a cmi5 package into a course
+ * @param {string} courseId - Course ID
+ * @param {File} file - cmi5 package ZIP
+ * @param {Object} [options]
+ * @param {number} [options.step] - Step for the AUs (default: new step after the last one)
+ * @param {number} [options.starsAwarded] - Stars per AU
+ * @returns {Promise<Object>} API response ({ course, aus, validation })
+ */
+export const importCmi5Package = async (courseId, file, { step, starsAwarded } = {}) => {
+  try {
+    const formData = new FormData();
+    formData.append('cmi5File', file);
+    formData.append('courseId', courseId);
+    if (step) formData.append('step', step);
+    if (starsAwarded !== undefined && starsAwarded !== '') formData.append('starsAwarded', starsAwarded);
+
+    const response = await axios.post('/cmi5/import', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+    return response.data;
+  } catch (error) {
+    const importError = new Error(
+      error.response?.data?.message || 'Failed to import cmi5 package'
+    );
+    importError.validationReport = error.response?.data?.validationReport;
+    throw importError;
+  }
+};
+
+/**
+ * Launch a cmi5 AU for a child
+ * @param {string} auId - AU ID (course content item ID)
+ * @param {string} childId - Child ID
+ * @param {string} courseId - Course the AU belongs to
+ * @returns {Promise<Object>} { launchUrl, launchMethod, registration, sessionId }
+ */
+export const launchCmi5Au = async (auId, childId, courseId) => {
+  try {
+    const response = await axios.get(
+      `/cmi5/${auId}/launch/child/${childId}?courseId=${encodeURIComponent(courseId)}`
+    );
+    return response.data.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to launch cmi5 lesson'
+    );
+  }
+};
+
+export default {
+  importCmi5Package,
+  launchCmi5Au,
+};
@@ -9,10 +9,14 @@ import api from '../api/axios';
  * - Videos (playable video + SCORM)
  * - Audio Assignments (reference audio)
  * - Chants (optional audio and SCORM files)
+ * - Quizzes (native question bank built in the admin panel)
  * 
  * All methods accept a contentType parameter to route to the correct API endpoint
  */
 
+// Create and update requests validate and store the uploaded files before responding
+const CREATE_TIMEOUT_MS = 5 * 60 * 1000;
+
 // Content type constants
 export const CONTENT_TYPES = {
   ACTIVITY: 'activity',
@@ -20,6 +24,7 @@ export const CONTENT_TYPES = {
   VIDEO: 'video',
   AUDIO_ASSIGNMENT: 'audioAssignment',
   CHANT: 'chant',
+  QUIZ: 'quiz',
 };
 
 // API endpoint mapping
@@ -29,12 +34,13 @@ const API_ENDPOINTS = {
   [CONTENT_TYPES.VIDEO]: '/videos',
   [CONTENT_TYPES.AUDIO_ASSIGNMENT]: '/audio-assignments',
   [CONTENT_TYPES.CHANT]: '/chants',
+  [CONTENT_TYPES.QUIZ]: '/quizzes',
 };
 
 const contentService = {
   /**
    * Get all content items with filtering and pagination
-   * @param {String} contentType - Content type (activity, book, video, audioAssignment, chant)
+   * @param {String} contentType - Content type (activity, book, video, audioAssignment, chant, quiz)
    * @param {Object} params - Query parameters
    * @param {Boolean} params.isPublished - Filter by published status
    * @param {String} params.search - Search in title/description
@@ -81,6 +87,8 @@ const contentService = {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
+        // Validating and extracting a large SCORM package takes a while
+        timeout: CREATE_TIMEOUT_MS,
       });
       return response.data;
     } catch (error) {
@@ -126,6 +134,8 @@ const contentService = {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
+        // A quiz update can carry many question pictures and sounds
+        timeout: CREATE_TIMEOUT_MS,
       });
       return response.data;
     } catch (error) {
@@ -173,6 +183,20 @@ const contentService = {
       throw error.response?.data?.message || error.message;
     }
   },
+
+  /**
+   * Queue a video for HLS transcoding again (e.g. after processing failed)
+   * @param {String} videoId - Video Media ID
+   * @returns {Promise} API response with the video's reset processing status
+   */
+  reprocessVideo: async (videoId) => {
+    try {
+      const response = await api.post(`${API_ENDPOINTS[CONTENT_TYPES.VIDEO]}/${videoId}/reprocess`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || error.message;
+    }
+  },
 };
 
 export default contentService;
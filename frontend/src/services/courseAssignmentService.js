@@ -0,0 +1,112 @@
+import axios from '../api/axios';
+
+/**
+ * Course Assignment Service
+ *
+ * Service layer for courses assigned to one child by a parent or teacher:
+ * - Assign, unassign and reorder courses
+ * - Pause/resume, target completion date and prerequisite lock override
+ * - Assignment history
+ *
+ * Calls for a child resolve to the child's { assignments, history }.
+ */
+
+/**
+ * Get the courses that can be assigned (published, not archived)
+ * @returns {Promise<Array>} Courses
+ */
+export const getAssignableCourses = async () => {
+  try {
+    const response = await axios.get('/course-assignments/courses');
+    return response.data.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to fetch courses'
+    );
+  }
+};
+
+/**
+ * Get a child's assigned courses and their history
+ * @param {string} childId - Child ID
+ * @returns {Promise<Object>} { assignments, history }
+ */
+export const getChildAssignments = async (childId) => {
+  try {
+    const response = await axios.get(`/course-assignments/child/${childId}`);
+    return response.data.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to fetch assigned courses'
+    );
+  }
+};
+
+/**
+ * Assign a course to a child
+ * @param {string} childId - Child ID
+ * @param {Object} data - { courseId, targetDate, overrideLocks }
+ * @returns {Promise<Object>} { assignments, history }
+ */
+export const assignCourse = async (childId, data) => {
+  try {
+    const response = await axios.post(`/course-assignments/child/${childId}`, data);
+    return response.data.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to assign course'
+    );
+  }
+};
+
+/**
+ * Update a course assignment
+ * @param {string} childId - Child ID
+ * @param {string} courseId - Course ID
+ * @param {Object} data - { status: 'active'|'paused', targetDate, overrideLocks }
+ * @returns {Promise<Object>} { assignments, history }
+ */
+export const updateAssignment = async (childId, courseId, data) => {
+  try {
+    const response = await axios.patch(`/course-assignments/child/${childId}/${courseId}`, data);
+    return response.data.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to update assigned course'
+    );
+  }
+};
+
+/**
+ * Unassign a course from a child (progress is kept)
+ * @param {string} childId - Child ID
+ * @param {string} courseId - Course ID
+ * @returns {Promise<Object>} { assignments, history }
+ */
+export const unassignCourse = async (childId, courseId) => {
+  try {
+    const response = await axios.delete(`/course-assignments/child/${childId}/${courseId}`);
+    return response.data.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to unassign course'
+    );
+  }
+};
+
+/**
+ * Reorder a child's assigned courses
+ * @param {string} childId - Child ID
+ * @param {Array<string>} courseIds - Every assigned course ID, in the new order
+ * @returns {Promise<Object>} { assignments, history }
+ */
+export const reorderAssignments = async (childId, courseIds) => {
+  try {
+    const response = await axios.put(`/course-assignments/child/${childId}/order`, { courseIds });
+    return response.data.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to reorder assigned courses'
+    );
+  }
+};
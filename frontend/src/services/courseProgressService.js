@@ -62,7 +62,7 @@ const courseProgressService = {
    * @param {String} courseId - Course's ID
    * @param {String} childId - Child's ID
    * @param {String} contentId - Content item's ID
-   * @param {String} contentType - Content type ('activity', 'book', 'video', 'audioAssignment', 'chant')
+   * @param {String} contentType - Content type ('activity', 'book', 'video', 'audioAssignment', 'chant', 'quiz')
    * @returns {Promise} API response with updated progress
    */
   updateContentProgress: async (courseId, childId, contentId, contentType) => {
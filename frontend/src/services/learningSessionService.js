@@ -0,0 +1,104 @@
+import axios from '../api/axios';
+
+/**
+ * Learning Session Service
+ *
+ * Service layer for learning time tracking:
+ * - Players start a session when they open, send heartbeats while open and end it on close
+ * - Parents read the child's learning time summary
+ */
+
+/**
+ * Start a learning session
+ * @param {string} childId - Child ID
+ * @param {Object} content
+ * @param {string} content.contentType - 'book' | 'video' | 'chant' | 'audioAssignment' | 'scorm' | 'cmi5' | 'quiz' | 'exploreVideo'
+ * @param {string} content.contentId - Content ID
+ * @param {string} [content.courseId] - Course the content was opened from
+ * @returns {Promise<Object>} { sessionId, heartbeatInterval, idleTimeout }
+ */
+export const startLearningSession = async (childId, { contentType, contentId, courseId }) => {
+  try {
+    const response = await axios.post(`/learning-sessions/child/${childId}`, {
+      contentType,
+      contentId,
+      courseId,
+    });
+    return response.data.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to start learning session'
+    );
+  }
+};
+
+/**
+ * Send a heartbeat for a learning session
+ * @param {string} childId - Child ID
+ * @param {string} sessionId - Learning session ID
+ * @param {Object} activity - { activeSeconds, idle } since the previous heartbeat
+ * @returns {Promise<Object>} { status, creditedSeconds, activeSeconds, idleSeconds }
+ * @throws {Error} error.status is 409 when the session ended or expired
+ */
+export const sendLearningHeartbeat = async (childId, sessionId, activity) => {
+  try {
+    const response = await axios.post(
+      `/learning-sessions/child/${childId}/${sessionId}/heartbeat`,
+      activity
+    );
+    return response.data.data;
+  } catch (error) {
+    const heartbeatError = new Error(
+      error.response?.data?.message || 'Failed to send heartbeat'
+    );
+    heartbeatError.status = error.response?.status;
+    throw heartbeatError;
+  }
+};
+
+/**
+ * End a learning session
+ * @param {string} childId - Child ID
+ * @param {string} sessionId - Learning session ID
+ * @param {Object} activity - { activeSeconds, idle } since the previous heartbeat
+ * @returns {Promise<Object>} { status, creditedSeconds, activeSeconds, idleSeconds }
+ */
+export const endLearningSession = async (childId, sessionId, activity) => {
+  try {
+    const response = await axios.post(
+      `/learning-sessions/child/${childId}/${sessionId}/end`,
+      activity
+    );
+    return response.data.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to end learning session'
+    );
+  }
+};
+
+/**
+ * Get a child's learning time summary
+ * @param {string} childId - Child ID
+ * @param {number} [days=7] - Days in the range ending today
+ * @returns {Promise<Object>} { totalSeconds, rangeSeconds, from, to, days, byContentType, byCourse }
+ */
+export const getLearningTimeSummary = async (childId, days = 7) => {
+  try {
+    const response = await axios.get(`/learning-sessions/child/${childId}/summary`, {
+      params: { days },
+    });
+    return response.data.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to fetch learning time'
+    );
+  }
+};
+
+export default {
+  startLearningSession,
+  sendLearningHeartbeat,
+  endLearningSession,
+  getLearningTimeSummary,
+};
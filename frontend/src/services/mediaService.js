@@ -0,0 +1,88 @@
+import axios from '../api/axios';
+
+/**
+ * Media Service
+ *
+ * Uploaded files other than cover images, badges and rewards are served
+ * through short-lived signed URLs. This service asks the backend for one
+ * (after it checks the user may open the file) and keeps it until shortly
+ * before it expires, so lists and players do not request it again.
+ */
+
+const PUBLIC_UPLOAD_PATTERNS = [
+  /^\/uploads\/media\/images\//,
+  /^\/uploads\/courses\//,
+  /^\/uploads\/rewards\//,
+  /^\/uploads\/media\/videos\/hls\/[^/]+\/poster\.jpg$/,
+];
+
+// Signed URLs are refreshed this long before they expire
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Keyed by session token and path: access depends on who is signed in
+const accessCache = new Map();
+
+/**
+ * Backend origin for media URLs (the API URL without /api)
+ * @returns {string}
+ */
+export const getMediaBaseUrl = () =>
+  import.meta.env.VITE_API_URL?.replace('/api', '') || 'http://localhost:5000';
+
+const toUploadPath = (path) => {
+  if (!path) return path;
+  if (!/^https?:\/\//i.test(path)) return path;
+  try {
+    return new URL(path).pathname;
+  } catch {
+    return path;
+  }
+};
+
+/**
+ * Whether a file can be loaded from its /uploads URL without signing
+ * @param {string} path - /uploads/... path or URL
+ * @returns {boolean}
+ */
+export const isPublicMediaPath = (path) => {
+  const uploadPath = toUploadPath(path);
+  if (!uploadPath || !uploadPath.startsWith('/uploads/')) return true;
+  return PUBLIC_UPLOAD_PATTERNS.some((pattern) => pattern.test(uploadPath));
+};
+
+/**
+ * Get a URL the browser can load for an uploaded file
+ * @param {string} path - /uploads/... path or URL as returned by the API
+ * @returns {Promise<string>} Absolute URL (signed for private files)
+ */
+export const getMediaAccessUrl = async (path) => {
+  if (!path) return null;
+  const uploadPath = toUploadPath(path);
+
+  // External URLs (e.g. YouTube) and public uploads need no signature
+  if (!uploadPath.startsWith('/uploads/')) return path;
+  if (isPublicMediaPath(uploadPath)) return `${getMediaBaseUrl()}${uploadPath}`;
+
+  const sessionToken = sessionStorage.getItem('childToken') || sessionStorage.getItem('token');
+  const cacheKey = `${sessionToken}|${uploadPath}`;
+  const cached = accessCache.get(cacheKey);
+  if (cached && cached.expiresAt - EXPIRY_MARGIN_MS > Date.now()) {
+    return cached.url;
+  }
+
+  try {
+    const response = await axios.get('/media/access', { params: { path: uploadPath } });
+    const { url, expiresAt } = response.data.data;
+    const absoluteUrl = `${getMediaBaseUrl()}${url}`;
+    accessCache.set(cacheKey, {
+      url: absoluteUrl,
+      expiresAt: expiresAt ? new Date(expiresAt).getTime() : Infinity,
+    });
+    return absoluteUrl;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to load media'
+    );
+  }
+};
+
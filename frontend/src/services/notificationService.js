@@ -0,0 +1,164 @@
+import axios from '../api/axios';
+
+/**
+ * Notification Service
+ *
+ * Service layer for in-app notifications:
+ * - Parents, teachers and admins read their own notifications (no childId)
+ * - The child app reads the child's notifications (childId)
+ * - New notifications are pushed over a Server-Sent Events stream
+ */
+
+const basePath = (childId) => (childId ? `/notifications/child/${childId}` : '/notifications');
+
+/**
+ * Get notifications, newest first
+ * @param {Object} [options]
+ * @param {string} [options.childId] - Read the child app's notifications
+ * @param {boolean} [options.unreadOnly] - Only unread notifications
+ * @param {number} [options.page] - Page number
+ * @param {number} [options.limit] - Page size
+ * @returns {Promise<Object>} { notifications, unreadCount, pagination }
+ */
+export const getNotifications = async ({ childId, unreadOnly, page, limit } = {}) => {
+  try {
+    const response = await axios.get(basePath(childId), {
+      params: { unreadOnly: unreadOnly ? 'true' : undefined, page, limit },
+    });
+    return {
+      notifications: response.data.data || [],
+      unreadCount: response.data.unreadCount || 0,
+      pagination: response.data.pagination,
+    };
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to load notifications'
+    );
+  }
+};
+
+/**
+ * Mark a notification as read
+ * @param {string} notificationId - Notification ID
+ * @param {string} [childId] - Child app notification
+ * @returns {Promise<Object>} { notification, unreadCount }
+ */
+export const markNotificationAsRead = async (notificationId, childId) => {
+  try {
+    const response = await axios.patch(`${basePath(childId)}/${notificationId}/read`);
+    return {
+      notification: response.data.data,
+      unreadCount: response.data.unreadCount,
+    };
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to mark notification as read'
+    );
+  }
+};
+
+/**
+ * Mark all notifications as read
+ * @param {string} [childId] - Child app notifications
+ * @returns {Promise<Object>} { updated, unreadCount }
+ */
+export const markAllNotificationsAsRead = async (childId) => {
+  try {
+    const response = await axios.patch(`${basePath(childId)}/read-all`);
+    return response.data.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to mark notifications as read'
+    );
+  }
+};
+
+/**
+ * Get the current user's notification preferences
+ * @returns {Promise<Object>} { [type]: enabled }
+ */
+export const getNotificationPreferences = async () => {
+  try {
+    const response = await axios.get('/notifications/preferences');
+    return response.data.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to load notification preferences'
+    );
+  }
+};
+
+/**
+ * Update the current user's notification preferences
+ * @param {Object} preferences - { [type]: enabled }
+ * @returns {Promise<Object>} Updated preferences
+ */
+export const updateNotificationPreferences = async (preferences) => {
+  try {
+    const response = await axios.put('/notifications/preferences', preferences);
+    return response.data.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to update notification preferences'
+    );
+  }
+};
+
+/**
+ * Open the notification stream (Server-Sent Events over fetch, so the auth
+ * header can be sent; EventSource cannot send headers)
+ * Resolves when the stream ends; rejects on HTTP or network errors
+ * @param {Object} options
+ * @param {string} [options.childId] - Stream the child app's notifications
+ * @param {AbortSignal} options.signal - Aborts the stream
+ * @param {Function} options.onEvent - Called with (eventName, data) for each event
+ * @returns {Promise<void>}
+ */
+export const streamNotifications = async ({ childId, signal, onEvent }) => {
+  const token = sessionStorage.getItem('childToken') || sessionStorage.getItem('token');
+  const response = await fetch(`${axios.defaults.baseURL}${basePath(childId)}/stream`, {
+    headers: {
+      Accept: 'text/event-stream',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    signal,
+  });
+
+  if (!response.ok || !response.body) {
+    const error = new Error(`Notification stream failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line; lines starting with ':' are keep-alives
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+
+      let event = 'message';
+      let data = '';
+      block.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+      if (data) {
+        try {
+          onEvent(event, JSON.parse(data));
+        } catch (error) {
+          console.error('[notificationService] Invalid stream event:', error);
+        }
+      }
+    }
+  }
+};
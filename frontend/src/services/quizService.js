@@ -0,0 +1,60 @@
+import axios from '../api/axios';
+
+/**
+ * Quiz Service
+ *
+ * Child side of quizzes (the admin builder goes through contentService):
+ * - start an attempt: the questions drawn for it, without answers
+ * - submit the answers and get the score, the correct answers and the stars earned
+ */
+
+/**
+ * Start a quiz attempt for a child
+ * @param {string} quizId - Quiz ID
+ * @param {string} childId - Child ID
+ * @param {string} courseId - Course the quiz belongs to
+ * @returns {Promise<Object>} { quiz, questions, progress }
+ */
+export const getQuizForChild = async (quizId, childId, courseId) => {
+  try {
+    const response = await axios.get(
+      `/quizzes/${quizId}/child/${childId}/play?courseId=${encodeURIComponent(courseId)}`
+    );
+    return response.data.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to load quiz'
+    );
+  }
+};
+
+/**
+ * Submit the answers of the current attempt
+ * @param {string} quizId - Quiz ID
+ * @param {string} childId - Child ID
+ * @param {Object} attempt
+ * @param {string} attempt.courseId - Course the quiz belongs to
+ * @param {Array} attempt.answers - [{ questionId, optionId }], [{ questionId, matches: [{ left, right }] }]
+ *   or [{ questionId, order: [itemId, ...] }] depending on the question kind
+ * @param {number} [attempt.timeSpent] - Seconds spent on the attempt
+ * @returns {Promise<Object>} { score, maxScore, percent, passed, passingScore, starsEarned, results, progress }
+ */
+export const submitQuizAttempt = async (quizId, childId, { courseId, answers, timeSpent }) => {
+  try {
+    const response = await axios.post(`/quizzes/${quizId}/child/${childId}/attempts`, {
+      courseId,
+      answers,
+      timeSpent,
+    });
+    return response.data.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to submit quiz'
+    );
+  }
+};
+
+export default {
+  getQuizForChild,
+  submitQuizAttempt,
+};
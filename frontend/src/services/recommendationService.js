@@ -0,0 +1,63 @@
+import axios from '../api/axios';
+
+/**
+ * Recommendation Service
+ *
+ * Service layer for "what to do next":
+ * - A child's recommended course content and explore videos
+ * - Admin tuning of the recommendation signal weights
+ */
+
+/**
+ * Get a child's recommendations
+ * @param {string} childId - Child ID
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Course content items (default: 5)
+ * @param {number} [options.exploreLimit] - Explore videos (default: 3, 0 for none)
+ * @returns {Promise<Object>} { generatedAt, context, items, exploreVideos }
+ */
+export const getChildRecommendations = async (childId, { limit, exploreLimit } = {}) => {
+  try {
+    const params = {};
+    if (limit !== undefined) params.limit = limit;
+    if (exploreLimit !== undefined) params.exploreLimit = exploreLimit;
+
+    const response = await axios.get(`/recommendations/child/${childId}`, { params });
+    return response.data.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to fetch recommendations'
+    );
+  }
+};
+
+/**
+ * Get the recommendation signal weights (admin)
+ * @returns {Promise<Object>} { weights, defaults, maxWeight, updatedAt, updatedBy }
+ */
+export const getRecommendationSettings = async () => {
+  try {
+    const response = await axios.get('/recommendations/settings');
+    return response.data.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to fetch recommendation settings'
+    );
+  }
+};
+
+/**
+ * Update the recommendation signal weights (admin)
+ * @param {Object} weights - Signal → weight (0-10)
+ * @returns {Promise<Object>} Updated settings
+ */
+export const updateRecommendationSettings = async (weights) => {
+  try {
+    const response = await axios.put('/recommendations/settings', { weights });
+    return response.data.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to update recommendation settings'
+    );
+  }
+};
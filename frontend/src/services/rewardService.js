@@ -0,0 +1,142 @@
+import api from '../api/axios';
+
+/**
+ * Reward Service
+ *
+ * Handles reward shop API calls:
+ * - Admin operations: list, create, update, archive reward items
+ * - Child operations: get shop, purchase, inventory, equip
+ */
+
+const rewardService = {
+  // ========== Admin Operations ==========
+
+  /**
+   * Get all reward items (admin)
+   * @param {Object} params - Query parameters (type, isActive, search, page, limit)
+   * @returns {Promise} API response with rewards and pagination
+   */
+  getRewards: async (params = {}) => {
+    try {
+      const response = await api.get('/rewards', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || error.message;
+    }
+  },
+
+  /**
+   * Create a reward item (admin)
+   * @param {FormData} formData - Reward fields and optional image
+   * @returns {Promise} API response with created reward
+   */
+  createReward: async (formData) => {
+    try {
+      const response = await api.post('/rewards', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || error.message;
+    }
+  },
+
+  /**
+   * Update a reward item (admin)
+   * @param {String} rewardId - Reward ID
+   * @param {FormData} formData - Fields to update and optional new image
+   * @returns {Promise} API response with updated reward
+   */
+  updateReward: async (rewardId, formData) => {
+    try {
+      const response = await api.put(`/rewards/${rewardId}`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || error.message;
+    }
+  },
+
+  /**
+   * Archive a reward item (admin)
+   * @param {String} rewardId - Reward ID
+   * @returns {Promise} API response
+   */
+  deleteReward: async (rewardId) => {
+    try {
+      const response = await api.delete(`/rewards/${rewardId}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || error.message;
+    }
+  },
+
+  // ========== Child Operations ==========
+
+  /**
+   * Get reward shop for a child
+   * @param {String} childId - Child's ID
+   * @param {Object} params - Optional filters (type)
+   * @returns {Promise} API response with { balance, items }
+   */
+  getChildShop: async (childId, params = {}) => {
+    try {
+      const response = await api.get(`/rewards/child/${childId}/shop`, { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || error.message;
+    }
+  },
+
+  /**
+   * Purchase a reward for a child
+   * @param {String} childId - Child's ID
+   * @param {String} rewardId - Reward ID
+   * @returns {Promise} API response with { purchase, balance }
+   */
+  purchaseReward: async (childId, rewardId) => {
+    try {
+      const response = await api.post(`/rewards/child/${childId}/purchase/${rewardId}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || error.message;
+    }
+  },
+
+  /**
+   * Get a child's reward inventory
+   * @param {String} childId - Child's ID
+   * @returns {Promise} API response with { balance, items }
+   */
+  getChildInventory: async (childId) => {
+    try {
+      const response = await api.get(`/rewards/child/${childId}/inventory`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || error.message;
+    }
+  },
+
+  /**
+   * Equip or unequip an owned reward
+   * @param {String} childId - Child's ID
+   * @param {String} inventoryId - Inventory entry ID
+   * @param {Boolean} equip - true to equip, false to unequip
+   * @returns {Promise} API response with updated inventory entry
+   */
+  equipReward: async (childId, inventoryId, equip = true) => {
+    try {
+      const response = await api.patch(`/rewards/child/${childId}/inventory/${inventoryId}/equip`, { equip });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || error.message;
+    }
+  },
+};
+
+export default rewardService;
@@ -342,6 +342,14 @@ class SCORMAPI {
         if (progressData.exit) {
           this.data['cmi.core.exit'] = progressData.exit;
         }
+
+        if (progressData.lessonLocation) {
+          this.data['cmi.core.lesson_location'] = progressData.lessonLocation;
+        }
+
+        if (this.version2004) {
+          this.version2004.loadFromProgress(progressData);
+        }
       }
     } catch (error) {
       console.error('Failed to load SCORM progress:', error);
@@ -366,6 +374,9 @@ class SCORMAPI {
         suspendData: this.data['cmi.suspend_data'] || '',
         entry: this.data['cmi.core.entry'] || 'ab-initio',
         exit: this.data['cmi.core.exit'] || '',
+        lessonLocation: this.data['cmi.core.lesson_location'] || '',
+        // SCORM 2004 packages also save completion/success status, progress measure and interactions
+        ...(this.version2004?.isActive() ? this.version2004.getProgressFields() : {}),
       };
 
       await axios.post(`/scorm/${this.contentId}/progress`, {
@@ -521,5 +532,486 @@ class SCORMAPI {
   }
 }
 
+const SCORM2004_ERROR_STRINGS = {
+  0: 'No Error',
+  101: 'General Exception',
+  103: 'Already Initialized',
+  104: 'Content Instance Terminated',
+  112: 'Termination Before Initialization',
+  113: 'Termination After Termination',
+  122: 'Retrieve Data Before Initialization',
+  123: 'Retrieve Data After Termination',
+  132: 'Store Data Before Initialization',
+  133: 'Store Data After Termination',
+  142: 'Commit Before Initialization',
+  143: 'Commit After Termination',
+  201: 'General Argument Error',
+  301: 'General Get Failure',
+  351: 'General Set Failure',
+  391: 'General Commit Failure',
+  401: 'Undefined Data Model Element',
+  403: 'Data Model Element Value Not Initialized',
+  404: 'Data Model Element Is Read Only',
+  405: 'Data Model Element Is Write Only',
+  406: 'Data Model Element Type Mismatch',
+  407: 'Data Model Element Value Out Of Range',
+  408: 'Data Model Dependency Not Established',
+};
+
+const SCORM2004_READ_ONLY = [
+  'cmi._version',
+  'cmi.learner_id',
+  'cmi.learner_name',
+  'cmi.credit',
+  'cmi.entry',
+  'cmi.mode',
+  'cmi.launch_data',
+  'cmi.total_time',
+  'cmi.interactions._count',
+  'cmi.interactions._children',
+  'cmi.score._children',
+];
+
+const SCORM2004_WRITE_ONLY = ['cmi.exit', 'cmi.session_time'];
+
+const SCORM2004_INTERACTION_TYPES = [
+  'true-false',
+  'choice',
+  'fill-in',
+  'long-fill-in',
+  'matching',
+  'performance',
+  'sequencing',
+  'likert',
+  'numeric',
+  'other',
+];
+
+const SCORM2004_INTERACTION_FIELDS = [
+  'id',
+  'type',
+  'timestamp',
+  'weighting',
+  'learner_response',
+  'result',
+  'latency',
+  'description',
+];
+
+const ISO_DURATION = /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/;
+
+/**
+ * Convert an ISO 8601 duration (e.g. "PT1H2M3.5S") to seconds
+ * @param {string} value - ISO 8601 duration
+ * @returns {number} Seconds (0 if invalid)
+ */
+const isoDurationToSeconds = (value) => {
+  const match = ISO_DURATION.exec(value || '');
+  if (!match) return 0;
+  return (
+    (parseInt(match[1] || 0, 10) * 365 * 86400) +
+    (parseInt(match[2] || 0, 10) * 30 * 86400) +
+    (parseInt(match[3] || 0, 10) * 86400) +
+    (parseInt(match[4] || 0, 10) * 3600) +
+    (parseInt(match[5] || 0, 10) * 60) +
+    parseFloat(match[6] || 0)
+  );
+};
+
+/**
+ * Convert SCORM 1.2 time (HH:MM:SS.SS) to seconds
+ * @param {string} value - SCORM 1.2 time
+ * @returns {number} Seconds
+ */
+const scorm12TimeToSeconds = (value) => {
+  const parts = String(value || '').split(':');
+  if (parts.length < 3) return 0;
+  return (parseInt(parts[0], 10) || 0) * 3600 + (parseInt(parts[1], 10) || 0) * 60 + (parseFloat(parts[2]) || 0);
+};
+
+/**
+ * Convert seconds to SCORM 1.2 time (HH:MM:SS.SS)
+ * @param {number} seconds - Seconds
+ * @returns {string} SCORM 1.2 time
+ */
+const secondsToScorm12Time = (seconds) => {
+  const total = Math.max(0, seconds || 0);
+  const hours = String(Math.floor(total / 3600)).padStart(2, '0');
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const secs = (total % 60).toFixed(2).padStart(5, '0');
+  return `${hours}:${minutes}:${secs}`;
+};
+
+/**
+ * SCORM 2004 API Implementation (API_1484_11)
+ *
+ * Implements the SCORM 2004 run-time API on top of a SCORMAPI (1.2) instance.
+ * Elements that exist in both versions (location, score, suspend data, status,
+ * exit, time) are mirrored onto the 1.2 keys, so loading and saving progress
+ * stay in one place. 2004-only data (completion/success status, progress
+ * measure, scaled score, interactions) is sent along with every save.
+ *
+ * SCORM 2004 API Methods:
+ * Initialize, Terminate, GetValue, SetValue, Commit,
+ * GetLastError, GetErrorString, GetDiagnostic
+ */
+class SCORM2004API {
+  /**
+   * @param {SCORMAPI} api12 - SCORM 1.2 API instance used for storage
+   */
+  constructor(api12) {
+    this.api12 = api12;
+    this.state = 'not_initialized'; // not_initialized | running | terminated
+    this.data = {};
+    this.interactions = [];
+    this.errorCode = 0;
+    this.baseTotalSeconds = 0;
+
+    api12.version2004 = this;
+  }
+
+  /**
+   * Whether the content is using the 2004 API
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.state !== 'not_initialized';
+  }
+
+  fail(code, returnValue = 'false') {
+    this.errorCode = code;
+    return returnValue;
+  }
+
+  /**
+   * Write a value onto the 1.2 data model and schedule a save
+   * (bypasses SCORMAPI validation, which uses 1.2 limits)
+   */
+  mirror(element, value) {
+    this.api12.data[element] = value;
+    this.api12.hasUncommittedChanges = true;
+    this.api12.scheduleAutoCommit();
+  }
+
+  Initialize(parameter = '') {
+    if (parameter !== '') return this.fail(201);
+    if (this.state === 'running') return this.fail(103);
+    if (this.state === 'terminated') return this.fail(104);
+
+    if (!this.api12.initialized) {
+      this.api12.LMSInitialize('');
+    }
+    this.state = 'running';
+    this.errorCode = 0;
+    return 'true';
+  }
+
+  Terminate(parameter = '') {
+    if (parameter !== '') return this.fail(201);
+    if (this.state === 'not_initialized') return this.fail(112);
+    if (this.state === 'terminated') return this.fail(113);
+
+    this.Commit('');
+    this.state = 'terminated';
+    this.errorCode = 0;
+    return 'true';
+  }
+
+  Commit(parameter = '') {
+    if (parameter !== '') return this.fail(201);
+    if (this.state === 'not_initialized') return this.fail(142);
+    if (this.state === 'terminated') return this.fail(143);
+
+    if (this.api12.commitTimer) {
+      clearTimeout(this.api12.commitTimer);
+      this.api12.commitTimer = null;
+    }
+    this.api12
+      .saveProgress()
+      .then(() => {
+        this.api12.hasUncommittedChanges = false;
+      })
+      .catch(() => {
+        // Logged by saveProgress - the next commit retries
+      });
+
+    this.errorCode = 0;
+    return 'true';
+  }
+
+  GetLastError() {
+    return this.errorCode.toString();
+  }
+
+  GetErrorString(errorCode) {
+    return SCORM2004_ERROR_STRINGS[parseInt(errorCode, 10)] || '';
+  }
+
+  GetDiagnostic(errorCode) {
+    const code = errorCode ? parseInt(errorCode, 10) : this.errorCode;
+    return SCORM2004_ERROR_STRINGS[code] || `Error code: ${code}`;
+  }
+
+  GetValue(element) {
+    if (this.state === 'not_initialized') return this.fail(122, '');
+    if (this.state === 'terminated') return this.fail(123, '');
+    if (!element || typeof element !== 'string') return this.fail(301, '');
+    if (SCORM2004_WRITE_ONLY.includes(element)) return this.fail(405, '');
+
+    this.errorCode = 0;
+
+    const interactionMatch = /^cmi\.interactions\.(\d+)\.(.+)$/.exec(element);
+    if (interactionMatch) {
+      const interaction = this.interactions[parseInt(interactionMatch[1], 10)];
+      const field = interactionMatch[2];
+      if (!interaction) return this.fail(301, '');
+      if (field === 'correct_responses._count') return String((interaction.correct_responses || []).length);
+      const responseMatch = /^correct_responses\.(\d+)\.pattern$/.exec(field);
+      if (responseMatch) {
+        const pattern = (interaction.correct_responses || [])[parseInt(responseMatch[1], 10)];
+        return pattern === undefined ? this.fail(301, '') : pattern;
+      }
+      if (!SCORM2004_INTERACTION_FIELDS.includes(field)) return this.fail(401, '');
+      if (interaction[field] === undefined) return this.fail(403, '');
+      return String(interaction[field]);
+    }
+
+    switch (element) {
+      case 'cmi._version':
+        return '1.0';
+      case 'cmi.learner_id':
+        return this.api12.userId || '';
+      case 'cmi.learner_name':
+        return 'Student';
+      case 'cmi.credit':
+        return 'credit';
+      case 'cmi.mode':
+        return 'normal';
+      case 'cmi.entry':
+        return this.api12.data['cmi.suspend_data'] ? 'resume' : 'ab-initio';
+      case 'cmi.total_time':
+        return `PT${Math.round(this.baseTotalSeconds * 100) / 100}S`;
+      case 'cmi.location':
+        return this.api12.data['cmi.core.lesson_location'] || '';
+      case 'cmi.suspend_data':
+        return this.api12.data['cmi.suspend_data'] || '';
+      case 'cmi.score.raw':
+      case 'cmi.score.min':
+      case 'cmi.score.max':
+        return this.api12.data[element.replace('cmi.score.', 'cmi.core.score.')] || '';
+      case 'cmi.completion_status':
+      case 'cmi.success_status':
+        return this.data[element] || 'unknown';
+      case 'cmi.interactions._count':
+        return String(this.interactions.length);
+      case 'cmi.interactions._children':
+        return 'id,type,objectives,timestamp,correct_responses,weighting,learner_response,result,latency,description';
+      case 'cmi.score._children':
+        return 'scaled,raw,min,max';
+      case 'cmi.launch_data':
+        return '';
+      case 'adl.nav.request':
+        return this.data[element] || '_none_';
+      case 'adl.nav.request_valid.continue':
+      case 'adl.nav.request_valid.previous':
+        return 'unknown';
+      default:
+        break;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(this.data, element)) {
+      return String(this.data[element]);
+    }
+    return this.fail(/^(cmi|adl)\./.test(element) ? 403 : 401, '');
+  }
+
+  SetValue(element, value) {
+    if (this.state === 'not_initialized') return this.fail(132);
+    if (this.state === 'terminated') return this.fail(133);
+    if (!element || typeof element !== 'string') return this.fail(351);
+    if (SCORM2004_READ_ONLY.includes(element)) return this.fail(404);
+
+    const stringValue = value === undefined || value === null ? '' : String(value);
+
+    const interactionMatch = /^cmi\.interactions\.(\d+)\.(.+)$/.exec(element);
+    if (interactionMatch) {
+      return this.setInteractionValue(parseInt(interactionMatch[1], 10), interactionMatch[2], stringValue);
+    }
+
+    switch (element) {
+      case 'cmi.completion_status':
+        if (!['completed', 'incomplete', 'not attempted', 'unknown'].includes(stringValue)) return this.fail(406);
+        this.data[element] = stringValue;
+        this.mirrorLessonStatus();
+        break;
+      case 'cmi.success_status':
+        if (!['passed', 'failed', 'unknown'].includes(stringValue)) return this.fail(406);
+        this.data[element] = stringValue;
+        this.mirrorLessonStatus();
+        break;
+      case 'cmi.progress_measure':
+      case 'cmi.score.scaled': {
+        const number = parseFloat(stringValue);
+        const min = element === 'cmi.score.scaled' ? -1 : 0;
+        if (isNaN(number)) return this.fail(406);
+        if (number < min || number > 1) return this.fail(407);
+        this.data[element] = number;
+        this.api12.hasUncommittedChanges = true;
+        break;
+      }
+      case 'cmi.score.raw':
+      case 'cmi.score.min':
+      case 'cmi.score.max':
+        if (isNaN(parseFloat(stringValue))) return this.fail(406);
+        this.mirror(element.replace('cmi.score.', 'cmi.core.score.'), stringValue);
+        break;
+      case 'cmi.location':
+        if (stringValue.length > 1000) return this.fail(407);
+        this.mirror('cmi.core.lesson_location', stringValue);
+        break;
+      case 'cmi.suspend_data':
+        if (stringValue.length > 64000) return this.fail(407);
+        this.mirror('cmi.suspend_data', stringValue);
+        break;
+      case 'cmi.exit':
+        if (!['time-out', 'suspend', 'logout', 'normal', ''].includes(stringValue)) return this.fail(406);
+        this.mirror('cmi.core.exit', stringValue);
+        break;
+      case 'cmi.session_time':
+        if (!ISO_DURATION.test(stringValue) || stringValue === 'P' || stringValue.endsWith('T')) return this.fail(406);
+        // Total time = previous attempts + this session
+        this.mirror('cmi.core.total_time', secondsToScorm12Time(this.baseTotalSeconds + isoDurationToSeconds(stringValue)));
+        break;
+      case 'adl.nav.request':
+        this.data[element] = stringValue;
+        break;
+      default:
+        if (!/^(cmi|adl)\./.test(element)) return this.fail(401);
+        // Objectives, comments and learner preferences are kept for the session only
+        this.data[element] = stringValue;
+        break;
+    }
+
+    this.errorCode = 0;
+    return 'true';
+  }
+
+  /**
+   * Derive the 1.2 lesson status (success status wins over completion status)
+   */
+  mirrorLessonStatus() {
+    const success = this.data['cmi.success_status'];
+    const completion = this.data['cmi.completion_status'];
+    if (success === 'passed' || success === 'failed') {
+      this.mirror('cmi.core.lesson_status', success);
+    } else if (['completed', 'incomplete', 'not attempted'].includes(completion)) {
+      this.mirror('cmi.core.lesson_status', completion);
+    }
+  }
+
+  /**
+   * Set a cmi.interactions.n.* value (interactions are appended in order, id first)
+   */
+  setInteractionValue(index, field, value) {
+    if (index > this.interactions.length) return this.fail(351);
+    if (index === this.interactions.length) {
+      if (field !== 'id') return this.fail(408);
+      this.interactions.push({});
+    }
+    const interaction = this.interactions[index];
+
+    const responseMatch = /^correct_responses\.(\d+)\.pattern$/.exec(field);
+    if (responseMatch) {
+      const responses = interaction.correct_responses || [];
+      const responseIndex = parseInt(responseMatch[1], 10);
+      if (responseIndex > responses.length) return this.fail(351);
+      responses[responseIndex] = value;
+      interaction.correct_responses = responses;
+    } else if (/^objectives\.\d+\.id$/.test(field)) {
+      // Interaction objectives are accepted but not stored
+    } else if (!SCORM2004_INTERACTION_FIELDS.includes(field)) {
+      return this.fail(401);
+    } else {
+      if (field === 'type' && !SCORM2004_INTERACTION_TYPES.includes(value)) return this.fail(406);
+      if (field === 'weighting' && isNaN(parseFloat(value))) return this.fail(406);
+      if (field === 'latency' && !ISO_DURATION.test(value)) return this.fail(406);
+      if (
+        field === 'result' &&
+        !['correct', 'incorrect', 'unanticipated', 'neutral'].includes(value) &&
+        isNaN(parseFloat(value))
+      ) {
+        return this.fail(406);
+      }
+      interaction[field] = value;
+    }
+
+    this.api12.hasUncommittedChanges = true;
+    this.api12.scheduleAutoCommit();
+    this.errorCode = 0;
+    return 'true';
+  }
+
+  /**
+   * Load 2004 fields from saved progress (called by SCORMAPI.loadProgress)
+   * @param {Object} progressData - scormProgress from the backend
+   */
+  loadFromProgress(progressData) {
+    this.baseTotalSeconds = scorm12TimeToSeconds(progressData.timeSpent);
+
+    if (progressData.completionStatus) this.data['cmi.completion_status'] = progressData.completionStatus;
+    if (progressData.successStatus) this.data['cmi.success_status'] = progressData.successStatus;
+    if (typeof progressData.progressMeasure === 'number') {
+      this.data['cmi.progress_measure'] = progressData.progressMeasure;
+    }
+    if (typeof progressData.score?.scaled === 'number') {
+      this.data['cmi.score.scaled'] = progressData.score.scaled;
+    }
+    if (Array.isArray(progressData.interactions)) {
+      this.interactions = progressData.interactions.map((item) => ({
+        id: item.interactionId,
+        type: item.type,
+        description: item.description,
+        learner_response: item.learnerResponse,
+        correct_responses: item.correctResponses || [],
+        result: item.result,
+        weighting: item.weighting ?? undefined,
+        latency: item.latency || undefined,
+        timestamp: item.timestamp || undefined,
+      }));
+    }
+  }
+
+  /**
+   * Extra fields sent with every save
+   * @returns {Object} SCORM 2004 progress fields for the backend
+   */
+  getProgressFields() {
+    const fields = {
+      scormVersion: '2004',
+      completionStatus: this.data['cmi.completion_status'] || 'unknown',
+      successStatus: this.data['cmi.success_status'] || 'unknown',
+      interactions: this.interactions.map((item) => ({
+        interactionId: item.id,
+        type: item.type,
+        description: item.description || '',
+        learnerResponse: item.learner_response || '',
+        correctResponses: item.correct_responses || [],
+        result: item.result || '',
+        weighting: item.weighting !== undefined ? parseFloat(item.weighting) : null,
+        latency: item.latency || '',
+        timestamp: item.timestamp || '',
+      })),
+    };
+    if (this.data['cmi.progress_measure'] !== undefined) {
+      fields.progressMeasure = this.data['cmi.progress_measure'];
+    }
+    if (this.data['cmi.score.scaled'] !== undefined) {
+      fields.scoreScaled = this.data['cmi.score.scaled'];
+    }
+    return fields;
+  }
+}
+
 // Export for use in SCORM player component
+export { SCORM2004API };
 export default SCORMAPI;
@@ -9,14 +9,17 @@ import axios from '../api/axios';
 
 /**
  * Get SCORM launch URL
+ * Multi-SCO packages also return the table of contents (toc) and per-SCO launch URLs (scos)
  * @param {string} contentId - Content item ID (AudioAssignment, Chant, Book, or Video/Media)
  * @param {string} contentType - Content type ('audioAssignment', 'chant', 'book', or 'video')
+ * @param {string} [scoId] - Manifest item to launch (multi-SCO packages)
  * @returns {Promise<Object>} Launch URL data
  */
-export const launchScorm = async (contentId, contentType) => {
+export const launchScorm = async (contentId, contentType, scoId = null) => {
   try {
+    const scoQuery = scoId ? `&scoId=${encodeURIComponent(scoId)}` : '';
     const response = await axios.get(
-      `/scorm/${contentId}/launch?contentType=${contentType}`
+      `/scorm/${contentId}/launch?contentType=${contentType}${scoQuery}`
     );
     return response.data;
   } catch (error) {
@@ -66,8 +69,33 @@ export const getProgress = async (contentId, contentType) => {
   }
 };
 
+/**
+ * Validate a SCORM package before creating content
+ * @param {File} file - SCORM ZIP file
+ * @returns {Promise<Object>} Validation report
+ *   { valid, fileName, entryCount, fileCount, totalSize, scormVersion, title,
+ *     slideCount, errors: [{ code, message, entry }], warnings: [{ code, message, entry }] }
+ */
+export const validateScormPackage = async (file) => {
+  try {
+    const formData = new FormData();
+    formData.append('scormFile', file);
+    const response = await axios.post('/scorm/validate', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+    return response.data.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to validate SCORM package'
+    );
+  }
+};
+
 export default {
   launchScorm,
   saveProgress,
   getProgress,
+  validateScormPackage,
 };
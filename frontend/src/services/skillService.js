@@ -0,0 +1,88 @@
+import api from '../api/axios';
+
+/**
+ * Skill Service
+ *
+ * Handles skills taxonomy API calls:
+ * - Admin operations: list, create, update, delete skills
+ * - Parent operations: a child's skills tree with mastery
+ */
+
+const skillService = {
+  // ========== Admin Operations ==========
+
+  /**
+   * Get all skills, flat in tree order with path and depth (admin/teacher)
+   * @param {Object} params - Query parameters (includeInactive)
+   * @returns {Promise} API response with skills
+   */
+  getAllSkills: async (params = {}) => {
+    try {
+      const response = await api.get('/skills', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || error.message;
+    }
+  },
+
+  /**
+   * Create a skill (admin)
+   * @param {Object} data - { name, description, parent, icon, order }
+   * @returns {Promise} API response with created skill
+   */
+  createSkill: async (data) => {
+    try {
+      const response = await api.post('/skills', data);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || error.message;
+    }
+  },
+
+  /**
+   * Update a skill (admin)
+   * @param {String} skillId - Skill ID
+   * @param {Object} data - Fields to update (name, description, parent, icon, order, isActive)
+   * @returns {Promise} API response with updated skill
+   */
+  updateSkill: async (skillId, data) => {
+    try {
+      const response = await api.put(`/skills/${skillId}`, data);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || error.message;
+    }
+  },
+
+  /**
+   * Delete a skill (admin)
+   * @param {String} skillId - Skill ID
+   * @returns {Promise} API response
+   */
+  deleteSkill: async (skillId) => {
+    try {
+      const response = await api.delete(`/skills/${skillId}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || error.message;
+    }
+  },
+
+  // ========== Parent Operations ==========
+
+  /**
+   * Get a child's skills tree with mastery
+   * @param {String} childId - Child's ID
+   * @returns {Promise} API response with { skills, summary }
+   */
+  getChildSkills: async (childId) => {
+    try {
+      const response = await api.get(`/skills/child/${childId}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || error.message;
+    }
+  },
+};
+
+export default skillService;
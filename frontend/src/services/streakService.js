@@ -0,0 +1,73 @@
+import axios from '../api/axios';
+
+/**
+ * Streak Service
+ *
+ * Service layer for a child's daily streak:
+ * - Current streak summary (computed in the child's timezone)
+ * - Daily activity calendar (active / frozen / missed days)
+ * - Purchasing streak freezes with stars
+ */
+
+/**
+ * Get a child's streak summary
+ * @param {string} childId - Child ID
+ * @returns {Promise<Object>} { currentStreak, longestStreak, activeToday, atRisk, streakFreezes, ... }
+ */
+export const getStreak = async (childId) => {
+  try {
+    const response = await axios.get(`/streaks/child/${childId}`);
+    return response.data.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to fetch streak'
+    );
+  }
+};
+
+/**
+ * Get a child's daily activity calendar
+ * @param {string} childId - Child ID
+ * @param {Object} [options]
+ * @param {string} [options.from] - First day (YYYY-MM-DD)
+ * @param {string} [options.to] - Last day (YYYY-MM-DD, default: today in the child's timezone)
+ * @param {number} [options.days] - Number of days ending at `to` when `from` is omitted
+ * @returns {Promise<Object>} { streak, from, to, days: [{ date, status, activityCount, starsEarned }], summary }
+ */
+export const getStreakHistory = async (childId, { from, to, days } = {}) => {
+  try {
+    const params = {};
+    if (from) params.from = from;
+    if (to) params.to = to;
+    if (days) params.days = days;
+
+    const response = await axios.get(`/streaks/child/${childId}/history`, { params });
+    return response.data.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to fetch streak history'
+    );
+  }
+};
+
+/**
+ * Buy a streak freeze for a child with the child's stars
+ * @param {string} childId - Child ID
+ * @returns {Promise<Object>} { streak, balance }
+ */
+export const purchaseStreakFreeze = async (childId) => {
+  try {
+    const response = await axios.post(`/streaks/child/${childId}/freezes`);
+    return response.data.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 'Failed to buy streak freeze'
+    );
+  }
+};
+
+export default {
+  getStreak,
+  getStreakHistory,
+  purchaseStreakFreeze,
+};
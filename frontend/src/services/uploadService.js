@@ -0,0 +1,126 @@
+import api from '../api/axios';
+
+/**
+ * Upload Service
+ *
+ * Sends large files (SCORM packages, videos) to /api/uploads in chunks, so a
+ * network hiccup only costs the chunk in flight: failed chunks are retried
+ * from the offset the server reports, and choosing the same file again after
+ * a reload resumes where it stopped. Each chunk carries its SHA-256 so the
+ * server rejects corrupted data. The returned upload id is then sent with the
+ * create request (e.g. scormFileUploadId) instead of the file.
+ */
+
+const CHUNK_SIZE = 5 * 1024 * 1024;
+const CHUNK_TIMEOUT_MS = 120000;
+const MAX_RETRIES = 5;
+const RETRY_DELAY_MS = 1000;
+
+const getFingerprint = (file) => [file.name, file.size, file.lastModified, file.type].join(':');
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('Upload cancelled', 'AbortError'));
+    }, { once: true });
+  });
+
+// SHA-256 of a chunk for the Upload-Checksum header (skipped where Web Crypto
+// is unavailable, i.e. plain-http origins other than localhost)
+const getChunkChecksum = async (blob) => {
+  if (!window.crypto?.subtle) return null;
+  const digest = await window.crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  let binary = '';
+  new Uint8Array(digest).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return `sha256 ${window.btoa(binary)}`;
+};
+
+// Lost connections, timeouts, server errors, offset conflicts and corrupted
+// chunks are retried; other errors (file too large, wrong type) are not
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  return !status || status >= 500 || status === 409 || status === 422;
+};
+
+const toMessage = (error) => error.response?.data?.message || error.message;
+
+/**
+ * Upload a file in resumable chunks
+ * @param {File} file - File to upload
+ * @param {Object} options
+ * @param {String} options.purpose - 'scorm' or 'video'
+ * @param {Function} [options.onProgress] - Called with { loaded, total, retrying }
+ * @param {AbortSignal} [options.signal] - Stops the upload (it can be resumed later)
+ * @returns {Promise<String>} Upload id of the completed upload
+ */
+export const uploadFileResumable = async (file, { purpose, onProgress, signal } = {}) => {
+  let upload;
+  try {
+    const response = await api.post('/uploads', {
+      purpose,
+      fileName: file.name,
+      size: file.size,
+      mimeType: file.type || 'application/octet-stream',
+      fingerprint: getFingerprint(file),
+    }, { signal });
+    upload = response.data.data;
+  } catch (error) {
+    throw new Error(toMessage(error));
+  }
+
+  const chunkSize = Math.min(CHUNK_SIZE, upload.maxChunkSize || CHUNK_SIZE);
+  let { offset } = upload;
+  let retries = 0;
+  onProgress?.({ loaded: offset, total: file.size, retrying: false });
+
+  while (upload.status !== 'completed') {
+    const chunk = file.slice(offset, offset + chunkSize);
+    try {
+      const checksum = await getChunkChecksum(chunk);
+      const chunkOffset = offset;
+      const response = await api.patch(`/uploads/${upload.id}`, chunk, {
+        headers: {
+          'Content-Type': 'application/offset+octet-stream',
+          'Upload-Offset': String(chunkOffset),
+          ...(checksum && { 'Upload-Checksum': checksum }),
+        },
+        timeout: CHUNK_TIMEOUT_MS,
+        signal,
+        onUploadProgress: (event) => {
+          onProgress?.({ loaded: chunkOffset + event.loaded, total: file.size, retrying: false });
+        },
+      });
+      upload = response.data.data;
+      offset = upload.offset;
+      retries = 0;
+      onProgress?.({ loaded: offset, total: file.size, retrying: false });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      if (!isRetryable(error) || retries >= MAX_RETRIES) {
+        throw new Error(toMessage(error) || 'Upload failed');
+      }
+
+      retries += 1;
+      onProgress?.({ loaded: offset, total: file.size, retrying: true });
+      await wait(RETRY_DELAY_MS * 2 ** (retries - 1), signal);
+
+      // Continue from what the server actually has
+      try {
+        const response = await api.get(`/uploads/${upload.id}`, { signal });
+        upload = response.data.data;
+        offset = upload.offset;
+      } catch (statusError) {
+        if (signal?.aborted) throw statusError;
+        if (statusError.response?.status === 404) {
+          throw new Error('Upload expired, please try again');
+        }
+      }
+    }
+  }
+
+  return upload.id;
+};
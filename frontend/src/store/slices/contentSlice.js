@@ -186,6 +186,8 @@ const contentSlice = createSlice({
           items = response.data || [];
         } else if (contentType === CONTENT_TYPES.CHANT) {
           items = response.data || [];
+        } else if (contentType === CONTENT_TYPES.QUIZ) {
+          items = response.data || [];
         }
         
         // Add contentType to each item for identification